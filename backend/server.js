@@ -8,6 +8,10 @@
 import app from './src/app.js';
 import connectDB, { disconnectDB } from './src/config/connectDB.js';
 import { validateEnvVars, getEnvConfig } from './src/config/env.js';
+import { startSubscriptionLifecycleJob, stopSubscriptionLifecycleJob } from './src/jobs/subscriptionLifecycle.job.js';
+import { startStockReservationJob, stopStockReservationJob } from './src/jobs/stockReservation.job.js';
+import { startGiftJob, stopGiftJob } from './src/jobs/gift.job.js';
+import { migrateSequences } from './src/services/counter.service.js';
 
 // CONFIG: Get environment configuration
 const env = getEnvConfig();
@@ -25,6 +29,14 @@ const startServer = async () => {
     // CONFIG: Connect to MongoDB
     await connectDB();
 
+    // MIGRATION: Seed document number counters once per configured format (existing numbers are left as they are)
+    await migrateSequences();
+
+    // JOBS: Start background schedulers once the database is available
+    startSubscriptionLifecycleJob();
+    startStockReservationJob();
+    startGiftJob();
+
     // SERVER: Start Express server
     app.listen(PORT, () => {
       console.log(`
@@ -48,6 +60,9 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   
   try {
+    stopSubscriptionLifecycleJob();
+    stopStockReservationJob();
+    stopGiftJob();
     await disconnectDB();
     console.log('✅ Server shutdown complete');
     process.exit(0);
@@ -22,6 +22,20 @@ import adminProductRequestRoutes from './routes/admin.productRequest.route.js';
 import adminStockRequestRoutes from './routes/admin.stockRequests.route.js';
 import adminSettingsRoutes from './routes/admin.settings.route.js';
 import adminSystemRoutes from './routes/admin.system.route.js';
+import catalogRoutes from './routes/catalog.route.js';
+import paymentRoutes from './routes/payment.route.js';
+import adminOrderRoutes from './routes/admin.order.route.js';
+import adminWarrantyClaimRoutes from './routes/admin.warrantyClaim.route.js';
+import adminRefundRoutes from './routes/admin.refund.route.js';
+import adminSupportTicketRoutes from './routes/admin.supportTicket.route.js';
+import adminPromotionRoutes from './routes/admin.promotion.route.js';
+import adminCurrencyRoutes from './routes/admin.currency.route.js';
+import adminWaitlistRoutes from './routes/admin.waitlist.route.js';
+import adminBundleRoutes from './routes/admin.bundle.route.js';
+import adminWalletRoutes from './routes/admin.wallet.route.js';
+import adminReferralRoutes from './routes/admin.referral.route.js';
+import adminProductRoutes from './routes/admin.product.route.js';
+import adminPricingRoutes from './routes/admin.pricing.route.js';
 
 // CONTROLLERS: Import health controller
 import { getHealth } from './controllers/health.controller.js';
@@ -52,6 +66,8 @@ app.use(cors({
     return callback(new Error(`Not allowed by CORS: ${origin}`));
   },
   credentials: true,
+  // Lets the frontend read download file names (invoices)
+  exposedHeaders: ['Content-Disposition'],
   optionsSuccessStatus: 200
 }));
 
@@ -59,7 +75,15 @@ app.use(cors({
 app.set('trust proxy', 1);
 
 // MIDDLEWARE: Body parsing with limits
-app.use(express.json({ limit: UPLOAD_LIMITS.JSON_BODY_LIMIT }));
+// Raw body is kept for payment webhook signature verification
+app.use(express.json({
+  limit: UPLOAD_LIMITS.JSON_BODY_LIMIT,
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: UPLOAD_LIMITS.URL_ENCODED_LIMIT }));
 app.use(cookieParser());
 
@@ -78,6 +102,20 @@ app.use('/api/admin/product-requests', adminProductRequestRoutes);
 app.use('/api/admin/stock-requests', adminStockRequestRoutes);
 app.use('/api/admin/settings', adminSettingsRoutes);
 app.use('/api/admin/system', adminSystemRoutes);
+app.use('/api/admin/orders', adminOrderRoutes);
+app.use('/api/admin/claims', adminWarrantyClaimRoutes);
+app.use('/api/admin/refunds', adminRefundRoutes);
+app.use('/api/admin/support', adminSupportTicketRoutes);
+app.use('/api/admin/promotions', adminPromotionRoutes);
+app.use('/api/admin/currencies', adminCurrencyRoutes);
+app.use('/api/admin/waitlist', adminWaitlistRoutes);
+app.use('/api/admin/bundles', adminBundleRoutes);
+app.use('/api/admin/wallets', adminWalletRoutes);
+app.use('/api/admin/referrals', adminReferralRoutes);
+app.use('/api/admin/products', adminProductRoutes);
+app.use('/api/admin/pricing', adminPricingRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // SECURITY: Production security headers
 if (NODE_ENV === 'production') {
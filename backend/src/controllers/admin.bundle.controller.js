@@ -0,0 +1,110 @@
+/**
+ * Admin Bundle Controller
+ *
+ * Bundles of catalog products sold as a single product.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getAdminBundles, saveBundle, setBundleStatus } from '../services/bundle.service.js';
+
+/**
+ * Get Bundles
+ *
+ * Query: status, limit, page
+ *
+ * @route GET /api/admin/bundles
+ */
+export const getBundles = async (req, res) => {
+  try {
+    const { status, limit, page } = req.query;
+    const result = await getAdminBundles({ status, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundles'
+    });
+  }
+};
+
+/**
+ * Create Bundle
+ *
+ * Body: { title, description, priceDecimal, currency, planDurationDays,
+ *         items: [{ productId, quantity }], thumbnail, tags, status }
+ *
+ * @route POST /api/admin/bundles
+ */
+export const createBundle = async (req, res) => {
+  try {
+    const bundle = await saveBundle({ data: req.body || {} });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Bundle created',
+      bundle
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create bundle error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create bundle'
+    });
+  }
+};
+
+/**
+ * Update Bundle
+ *
+ * @route PUT /api/admin/bundles/:id
+ */
+export const updateBundle = async (req, res) => {
+  try {
+    const bundle = await saveBundle({ bundleId: req.params.id, data: req.body || {} });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bundle updated',
+      bundle
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update bundle error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update bundle'
+    });
+  }
+};
+
+/**
+ * Update Bundle Status
+ *
+ * Body: { status: 'active' | 'inactive' | 'archived' }
+ *
+ * @route PATCH /api/admin/bundles/:id/status
+ */
+export const updateBundleStatus = async (req, res) => {
+  try {
+    const bundle = await setBundleStatus({ bundleId: req.params.id, status: req.body?.status });
+
+    return res.status(200).json({
+      success: true,
+      message: `Bundle ${bundle.status === 'active' ? 'activated' : bundle.status}`,
+      bundle
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update bundle status error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update bundle status'
+    });
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Admin Currency Controller
+ *
+ * Exchange rate table management and import.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminRates,
+  setRate,
+  deleteRate,
+  importRates
+} from '../services/currency.service.js';
+
+/**
+ * Get Rates
+ *
+ * Includes currencies used by products or vendors that have no rate yet.
+ *
+ * @route GET /api/admin/currencies
+ */
+export const getRates = async (req, res) => {
+  try {
+    const result = await getAdminRates();
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates'
+    });
+  }
+};
+
+/**
+ * Set Rate
+ *
+ * Body: { rate } - units of :currency per settlement currency unit
+ *
+ * @route PUT /api/admin/currencies/:currency
+ */
+export const updateRate = async (req, res) => {
+  try {
+    const rate = await setRate({
+      currency: req.params.currency,
+      rate: req.body?.rate,
+      adminEmail: req.admin.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `${rate.currency} rate saved`,
+      rate
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Set rate error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save rate'
+    });
+  }
+};
+
+/**
+ * Delete Rate
+ *
+ * @route DELETE /api/admin/currencies/:currency
+ */
+export const removeRate = async (req, res) => {
+  try {
+    await deleteRate(req.params.currency);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Rate deleted'
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Delete rate error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete rate'
+    });
+  }
+};
+
+/**
+ * Import Rates
+ *
+ * Multipart upload of a JSON or CSV rate file in the "file" field.
+ *
+ * @route POST /api/admin/currencies/import
+ */
+export const importRateFile = async (req, res) => {
+  try {
+    const result = await importRates({ file: req.file, adminEmail: req.admin.email });
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} rate(s)${result.skipped.length ? `, skipped ${result.skipped.length}` : ''}`,
+      ...result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Import rates error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to import rates'
+    });
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Admin Order Controller
+ * 
+ * Order oversight for admins: listing, payment history and refunds.
+ * All endpoints require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import { refundOrderPayment, getOrderPaymentEvents } from '../services/payment.service.js';
+import { allocateOrder } from '../services/allocation.service.js';
+
+/**
+ * Get Orders
+ * 
+ * Query: status, paymentStatus, search (order number or customer email), limit, page
+ * 
+ * @route GET /api/admin/orders
+ */
+export const getOrders = async (req, res) => {
+  try {
+    const { status, paymentStatus, search, limit = 20, page = 1 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ orderNumber: pattern }, { customerEmail: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [orders, total] = await Promise.all([
+      OrderModel.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip)
+        .lean(),
+      OrderModel.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      orders,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders'
+    });
+  }
+};
+
+/**
+ * Get Order by ID
+ * 
+ * Includes every recorded payment event for the order.
+ * 
+ * @route GET /api/admin/orders/:id
+ */
+export const getOrderById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await OrderModel.findById(req.params.id)
+      .populate('customerId', 'firstname lastname email')
+      .populate('items.vendorId', 'companyName displayName primaryEmail')
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const paymentEvents = await getOrderPaymentEvents(order._id);
+
+    return res.status(200).json({
+      success: true,
+      order,
+      paymentEvents
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order'
+    });
+  }
+};
+
+/**
+ * Refund Order
+ * 
+ * Body: { reason }
+ * 
+ * @route POST /api/admin/orders/:id/refund
+ */
+export const refundOrder = async (req, res) => {
+  try {
+    const { order, status } = await refundOrderPayment({
+      orderId: req.params.id,
+      reason: String(req.body?.reason || '').slice(0, 500),
+      requestedBy: req.admin?.email || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: status === 'succeeded' ? 'Order refunded successfully' : 'Refund submitted to payment provider',
+      order
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Refund order error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to refund order'
+    });
+  }
+};
+
+/**
+ * Retry Order Allocation
+ * 
+ * Allocates credentials for items that are still pending or awaiting stock.
+ * 
+ * @route POST /api/admin/orders/:id/allocate
+ */
+export const retryOrderAllocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await allocateOrder(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Allocation completed',
+      order
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Retry allocation error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to allocate order'
+    });
+  }
+};
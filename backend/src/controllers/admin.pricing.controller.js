@@ -0,0 +1,139 @@
+/**
+ * Admin Pricing Controller
+ *
+ * Markup rules turning vendor cost prices into customer sale prices, and
+ * the margin report. Margins are admin only.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getPricingRules, savePricingRule, deletePricingRule, getMarginReport } from '../services/pricing.service.js';
+
+/**
+ * Get Pricing Rules
+ *
+ * @route GET /api/admin/pricing/rules
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await getPricingRules();
+
+    return res.status(200).json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get pricing rules error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing rules'
+    });
+  }
+};
+
+/**
+ * Create Pricing Rule
+ *
+ * Body: { scope, provider | vendorId | productId, type, value, currency,
+ *         rounding, isActive }
+ * Reprices the products the rule covers.
+ *
+ * @route POST /api/admin/pricing/rules
+ */
+export const createRule = async (req, res) => {
+  try {
+    const { rule, repriced } = await savePricingRule({ data: req.body || {}, adminEmail: req.admin.email });
+
+    return res.status(201).json({
+      success: true,
+      message: `Pricing rule created, ${repriced} product(s) repriced`,
+      rule,
+      repriced
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create pricing rule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create pricing rule'
+    });
+  }
+};
+
+/**
+ * Update Pricing Rule
+ *
+ * @route PUT /api/admin/pricing/rules/:id
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const { rule, repriced } = await savePricingRule({
+      ruleId: req.params.id,
+      data: req.body || {},
+      adminEmail: req.admin.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Pricing rule updated, ${repriced} product(s) repriced`,
+      rule,
+      repriced
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update pricing rule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update pricing rule'
+    });
+  }
+};
+
+/**
+ * Delete Pricing Rule
+ *
+ * Products it covered fall back to the next broader rule.
+ *
+ * @route DELETE /api/admin/pricing/rules/:id
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const { repriced } = await deletePricingRule(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: `Pricing rule deleted, ${repriced} product(s) repriced`,
+      repriced
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Delete pricing rule error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete pricing rule'
+    });
+  }
+};
+
+/**
+ * Get Margin Report
+ *
+ * Query: range (7d, 30d, 90d, 365d)
+ *
+ * @route GET /api/admin/pricing/margins
+ */
+export const getMargins = async (req, res) => {
+  try {
+    const report = await getMarginReport({ range: req.query.range });
+
+    return res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get margin report error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate margin report'
+    });
+  }
+};
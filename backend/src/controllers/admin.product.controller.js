@@ -0,0 +1,241 @@
+/**
+ * Admin Product Controller
+ *
+ * Catalog console across all vendors: listing with filters, editing the
+ * customer-facing listing, storefront status and review decisions,
+ * including vendor changes to price, rules or warranty held for re-review.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminProducts,
+  getAdminProduct,
+  updateProductListing,
+  setProductStatus,
+  requestProductReview,
+  reviewProduct,
+  reviewProductChange
+} from '../services/adminProduct.service.js';
+
+/**
+ * Resolve the request context recorded in the audit log
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getAuditContext = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown'
+});
+
+/**
+ * Get Products
+ *
+ * Query: search (title or SKU), vendorId, provider, status, reviewStatus,
+ * stock ('out' or 'low'), changes ('pending'), limit, page
+ *
+ * @route GET /api/admin/products
+ */
+export const getProducts = async (req, res) => {
+  try {
+    const { search, vendorId, provider, status, reviewStatus, stock, changes, limit, page } = req.query;
+    const result = await getAdminProducts({ search, vendorId, provider, status, reviewStatus, stock, changes, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get admin products error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+};
+
+/**
+ * Get Product by ID
+ *
+ * Includes the admin change history and the vendor's change requests.
+ *
+ * @route GET /api/admin/products/:id
+ */
+export const getProductById = async (req, res) => {
+  try {
+    const { product, auditLog, changeRequests } = await getAdminProduct(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      product,
+      auditLog,
+      changeRequests
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get admin product error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch product'
+    });
+  }
+};
+
+/**
+ * Update Product Listing
+ *
+ * Body: { title, description, images: [{ url, alt, isPrimary }] }
+ *
+ * @route PUT /api/admin/products/:id
+ */
+export const updateProduct = async (req, res) => {
+  try {
+    const product = await updateProductListing({
+      productId: req.params.id,
+      adminEmail: req.admin.email,
+      data: req.body || {},
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Product updated',
+      product
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update admin product error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update product'
+    });
+  }
+};
+
+/**
+ * Update Product Status
+ *
+ * Body: { status: 'active'|'inactive'|'archived', reason }
+ *
+ * @route PATCH /api/admin/products/:id/status
+ */
+export const updateProductStatus = async (req, res) => {
+  try {
+    const product = await setProductStatus({
+      productId: req.params.id,
+      adminEmail: req.admin.email,
+      status: req.body?.status,
+      reason: req.body?.reason,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Product ${product.status}`,
+      product
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update admin product status error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update product status'
+    });
+  }
+};
+
+/**
+ * Force Re-review
+ *
+ * Body: { reason } (required). Hides the product from the storefront
+ * until it is approved again.
+ *
+ * @route POST /api/admin/products/:id/re-review
+ */
+export const forceReReview = async (req, res) => {
+  try {
+    const product = await requestProductReview({
+      productId: req.params.id,
+      adminEmail: req.admin.email,
+      reason: req.body?.reason,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Product sent back for review',
+      product
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Force product re-review error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send product for review'
+    });
+  }
+};
+
+/**
+ * Review Product
+ *
+ * Body: { decision: 'approved'|'rejected', notes } (notes required to reject)
+ *
+ * @route POST /api/admin/products/:id/review
+ */
+export const reviewProductById = async (req, res) => {
+  try {
+    const product = await reviewProduct({
+      productId: req.params.id,
+      adminEmail: req.admin.email,
+      decision: req.body?.decision,
+      notes: req.body?.notes,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Product ${product.adminReviewStatus}`,
+      product
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Review product error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to review product'
+    });
+  }
+};
+
+/**
+ * Review Product Change
+ *
+ * Body: { decision: 'approved'|'rejected', notes } (notes required to reject)
+ * Approval applies the vendor's price, rules or warranty change to the
+ * live product.
+ *
+ * @route POST /api/admin/products/changes/:changeId/review
+ */
+export const reviewProductChangeById = async (req, res) => {
+  try {
+    const { change, product } = await reviewProductChange({
+      changeId: req.params.changeId,
+      adminEmail: req.admin.email,
+      decision: req.body?.decision,
+      notes: req.body?.notes,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Change ${change.status}`,
+      change,
+      product
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Review product change error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to review change'
+    });
+  }
+};
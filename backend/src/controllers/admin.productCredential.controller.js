@@ -14,6 +14,8 @@ import ProductModel from '../models/product.model.js';
 import VendorModel from '../models/vendor.model.js';
 import { decryptCredentials } from '../controllers/vendor.productCredential.controller.js';
 import { sendEmail } from '../services/email.service.js';
+import { getAvailableStock } from '../services/stockReservation.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
 
 /**
  * Get Credentials for Admin Product Request
@@ -47,6 +49,8 @@ export const getRequestCredentials = async (req, res) => {
       isValid: true
     }).sort({ createdAt: -1 });
 
+    const product = await ProductModel.findById(adminRequest.productId).select('stock reservedStock').lean();
+
     return res.status(200).json({
       success: true,
       credentials: credentials.map(c => ({
@@ -66,6 +70,11 @@ export const getRequestCredentials = async (req, res) => {
         quantityRequested: adminRequest.quantityRequested,
         quantityFulfilled: adminRequest.quantityFulfilled,
         status: adminRequest.status
+      },
+      inventory: {
+        stock: product?.stock || 0,
+        reserved: product?.reservedStock || 0,
+        available: getAvailableStock(product)
       }
     });
   } catch (error) {
@@ -182,13 +191,31 @@ export const approveCredential = async (req, res) => {
       });
     }
 
-    // Mark credential as approved (you might want to add an approved field)
-    // For now, we'll just create an audit entry and update the product stock
+    // Mark credential as approved so the allocation engine can sell it
+    // (conditional update so concurrent approvals cannot add stock twice)
+    const approved = await ProductCredentialModel.findOneAndUpdate(
+      { _id: credential._id, approvedAt: null },
+      { $set: { approvedAt: new Date() } }
+    );
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Credential has already been approved'
+      });
+    }
+
     const product = await ProductModel.findById(credential.productId);
     if (product) {
       // Add credentials to product stock
       product.stock = (product.stock || 0) + credential.availableCount;
       await product.save();
+
+      // Customers on the waitlist get the first claim on the new units
+      try {
+        await notifyWaitlist(product._id);
+      } catch (error) {
+        console.error('Waitlist notification error:', error.message);
+      }
     }
 
     // Create audit entry
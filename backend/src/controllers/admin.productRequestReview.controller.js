@@ -0,0 +1,208 @@
+/**
+ * Admin Product Request Review Controller
+ *
+ * Review queue for vendor product proposals: approve (one catalog product
+ * per plan), reject, request changes and comment. Every action is audited
+ * and emailed to the vendor. All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getProposalQueue,
+  getProposalForReview,
+  approveProposal,
+  rejectProposal,
+  requestProposalChanges,
+  addProposalComment
+} from '../services/productRequest.service.js';
+
+/**
+ * Resolve the request context recorded in the audit log
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getAuditContext = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown'
+});
+
+/**
+ * Get Product Requests (review queue)
+ *
+ * Query: status, vendorId, limit, page
+ *
+ * @route GET /api/admin/product-requests
+ */
+export const getProductRequests = async (req, res) => {
+  try {
+    const { status, vendorId, limit, page } = req.query;
+    const result = await getProposalQueue({ status, vendorId, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get product requests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product requests'
+    });
+  }
+};
+
+/**
+ * Get Product Request by ID
+ *
+ * Includes the comment thread, created products, every revision with its
+ * changes against the previous one, and the audit log.
+ *
+ * @route GET /api/admin/product-requests/:id
+ */
+export const getProductRequestById = async (req, res) => {
+  try {
+    const { request, revisions, auditLog } = await getProposalForReview(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      request,
+      revisions,
+      auditLog
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get product request error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch product request'
+    });
+  }
+};
+
+/**
+ * Approve Product Request
+ *
+ * Body: { comment, revision } (both optional; revision is the one reviewed)
+ * Creates one active product per plan; stock follows credential uploads.
+ *
+ * @route POST /api/admin/product-requests/:id/approve
+ */
+export const approveProductRequest = async (req, res) => {
+  try {
+    const { request, products } = await approveProposal({
+      requestId: req.params.id,
+      adminEmail: req.admin.email,
+      comment: req.body?.comment,
+      revision: req.body?.revision,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Request approved, ${products.length} product(s) created`,
+      request,
+      products
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Approve product request error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to approve product request'
+    });
+  }
+};
+
+/**
+ * Reject Product Request
+ *
+ * Body: { comment, revision } (comment required; revision is the one reviewed)
+ *
+ * @route POST /api/admin/product-requests/:id/reject
+ */
+export const rejectProductRequest = async (req, res) => {
+  try {
+    const request = await rejectProposal({
+      requestId: req.params.id,
+      adminEmail: req.admin.email,
+      comment: req.body?.comment,
+      revision: req.body?.revision,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request rejected',
+      request
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Reject product request error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reject product request'
+    });
+  }
+};
+
+/**
+ * Request Changes
+ *
+ * Body: { comment, revision } (comment required; revision is the one reviewed)
+ *
+ * @route POST /api/admin/product-requests/:id/request-changes
+ */
+export const requestChanges = async (req, res) => {
+  try {
+    const request = await requestProposalChanges({
+      requestId: req.params.id,
+      adminEmail: req.admin.email,
+      comment: req.body?.comment,
+      revision: req.body?.revision,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Changes requested',
+      request
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Request changes error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to request changes'
+    });
+  }
+};
+
+/**
+ * Add Comment
+ *
+ * Body: { comment, parentId } (parentId when replying)
+ *
+ * @route POST /api/admin/product-requests/:id/comments
+ */
+export const addComment = async (req, res) => {
+  try {
+    const comment = await addProposalComment({
+      requestId: req.params.id,
+      actor: { type: 'admin', id: req.admin.email },
+      comment: req.body?.comment,
+      parentId: req.body?.parentId || null,
+      context: getAuditContext(req)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Add product request comment error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add comment'
+    });
+  }
+};
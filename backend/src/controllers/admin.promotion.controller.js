@@ -0,0 +1,233 @@
+/**
+ * Admin Promotion Controller
+ *
+ * Coupon codes, automatic promotions and the redemption report.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminCoupons,
+  saveCoupon,
+  deleteCoupon,
+  getAdminPromotions,
+  savePromotion,
+  deletePromotion,
+  getRedemptionReport
+} from '../services/promotion.service.js';
+
+/**
+ * Get Coupons
+ *
+ * Query: search, active, limit, page
+ *
+ * @route GET /api/admin/promotions/coupons
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const { search, active, limit, page } = req.query;
+    const result = await getAdminCoupons({ search, active, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    });
+  }
+};
+
+/**
+ * Create Coupon
+ *
+ * Body: { code, description, type, value, currency, maxDiscountAmount, scope: { providers, productIds },
+ *         minOrderAmount, usageLimit, perUserLimit, startsAt, expiresAt, isActive }
+ *
+ * @route POST /api/admin/promotions/coupons
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = await saveCoupon({ data: req.body || {}, adminEmail: req.admin.email });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      coupon
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create coupon error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create coupon'
+    });
+  }
+};
+
+/**
+ * Update Coupon
+ *
+ * @route PUT /api/admin/promotions/coupons/:id
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await saveCoupon({ couponId: req.params.id, data: req.body || {}, adminEmail: req.admin.email });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon updated',
+      coupon
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update coupon error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update coupon'
+    });
+  }
+};
+
+/**
+ * Delete Coupon
+ *
+ * @route DELETE /api/admin/promotions/coupons/:id
+ */
+export const removeCoupon = async (req, res) => {
+  try {
+    await deleteCoupon(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon deleted'
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Delete coupon error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete coupon'
+    });
+  }
+};
+
+/**
+ * Get Promotions
+ *
+ * Query: limit, page
+ *
+ * @route GET /api/admin/promotions
+ */
+export const getPromotions = async (req, res) => {
+  try {
+    const { limit, page } = req.query;
+    const result = await getAdminPromotions({ limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions'
+    });
+  }
+};
+
+/**
+ * Create Promotion
+ *
+ * Body: { name, description, type, value, currency, scope: { providers, productIds }, startsAt, endsAt, isActive }
+ *
+ * @route POST /api/admin/promotions
+ */
+export const createPromotion = async (req, res) => {
+  try {
+    const promotion = await savePromotion({ data: req.body || {}, adminEmail: req.admin.email });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Promotion created',
+      promotion
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create promotion error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create promotion'
+    });
+  }
+};
+
+/**
+ * Update Promotion
+ *
+ * @route PUT /api/admin/promotions/:id
+ */
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await savePromotion({ promotionId: req.params.id, data: req.body || {}, adminEmail: req.admin.email });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Promotion updated',
+      promotion
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update promotion error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update promotion'
+    });
+  }
+};
+
+/**
+ * Delete Promotion
+ *
+ * @route DELETE /api/admin/promotions/:id
+ */
+export const removePromotion = async (req, res) => {
+  try {
+    await deletePromotion(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Promotion deleted'
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Delete promotion error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete promotion'
+    });
+  }
+};
+
+/**
+ * Get Redemption Report
+ *
+ * Query: startDate, endDate (paid date)
+ *
+ * @route GET /api/admin/promotions/report
+ */
+export const getPromotionReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await getRedemptionReport({ startDate, endDate });
+
+    return res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Promotion report error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to build redemption report'
+    });
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Admin Referral Controller
+ *
+ * Referral program performance for admins.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getReferralReport as getReferralReportService } from '../services/referral.service.js';
+
+/**
+ * Get Referral Report
+ *
+ * Query: startDate, endDate (sign-up dates), status (pending | rewarded | rejected), limit
+ *
+ * @route GET /api/admin/referrals
+ */
+export const getReferralReport = async (req, res) => {
+  try {
+    const { startDate, endDate, status, limit } = req.query;
+    const report = await getReferralReportService({ startDate, endDate, status, limit });
+
+    return res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Referral report error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch referral report'
+    });
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * Admin Refund Controller
+ * 
+ * Review and execute customer refund requests.
+ * All endpoints require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminRefunds,
+  getAdminRefund,
+  approveRefund,
+  rejectRefund
+} from '../services/refund.service.js';
+
+/**
+ * Get Refund Requests
+ * 
+ * Query: status, limit, page
+ * 
+ * @route GET /api/admin/refunds
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const { status, limit, page } = req.query;
+    const result = await getAdminRefunds({ status, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund requests'
+    });
+  }
+};
+
+/**
+ * Get Refund Request by ID
+ * 
+ * Includes the originating claim and the amount still refundable.
+ * 
+ * @route GET /api/admin/refunds/:id
+ */
+export const getRefundById = async (req, res) => {
+  try {
+    const result = await getAdminRefund(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch refund request'
+    });
+  }
+};
+
+/**
+ * Approve Refund
+ * 
+ * Body: { amount (optional, defaults to full), method: original_payment | store_credit, note }
+ * 
+ * @route POST /api/admin/refunds/:id/approve
+ */
+export const approveRefundRequest = async (req, res) => {
+  try {
+    const { amount, method, note } = req.body || {};
+    const refund = await approveRefund({
+      refundId: req.params.id,
+      amount,
+      method,
+      note,
+      adminEmail: req.admin.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: refund.status === 'completed' ? 'Refund completed' : 'Refund submitted to the payment provider; it completes once the provider confirms it',
+      refund
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Approve refund error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to process refund'
+    });
+  }
+};
+
+/**
+ * Reject Refund
+ * 
+ * Body: { note } (required)
+ * 
+ * @route POST /api/admin/refunds/:id/reject
+ */
+export const rejectRefundRequest = async (req, res) => {
+  try {
+    const refund = await rejectRefund({
+      refundId: req.params.id,
+      note: req.body?.note,
+      adminEmail: req.admin.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Refund request rejected',
+      refund
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Reject refund error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reject refund'
+    });
+  }
+};
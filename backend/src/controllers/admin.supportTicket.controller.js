@@ -0,0 +1,254 @@
+/**
+ * Admin Support Ticket Controller
+ *
+ * Admin support inbox: ticket list with status, priority and assignee,
+ * replies and internal notes, vendor sharing and canned replies.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminTickets,
+  getAdminTicket,
+  addAdminReply,
+  updateTicket,
+  getTicketAttachment,
+  getCannedReplies,
+  saveCannedReply,
+  deleteCannedReply
+} from '../services/supportTicket.service.js';
+import { discardTicketAttachments } from '../middleware/uploadTicket.middleware.js';
+
+/**
+ * Get Tickets
+ *
+ * Query: status, priority, assignee ('unassigned' for none), search, limit, page
+ *
+ * @route GET /api/admin/support/tickets
+ */
+export const getTickets = async (req, res) => {
+  try {
+    const { status, priority, assignee, search, limit, page } = req.query;
+    const result = await getAdminTickets({ status, priority, assignee, search, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets'
+    });
+  }
+};
+
+/**
+ * Get Ticket by ID
+ *
+ * Includes internal notes, the customer and the linked order.
+ *
+ * @route GET /api/admin/support/tickets/:id
+ */
+export const getTicketById = async (req, res) => {
+  try {
+    const ticket = await getAdminTicket(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      ticket
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch ticket'
+    });
+  }
+};
+
+/**
+ * Reply to Ticket
+ *
+ * Multipart body: { body, internal, status, attachments[] }
+ *
+ * @route POST /api/admin/support/tickets/:id/messages
+ */
+export const replyToTicket = async (req, res) => {
+  try {
+    const { body, internal, status } = req.body || {};
+    const ticket = await addAdminReply({
+      ticketId: req.params.id,
+      adminEmail: req.admin.email,
+      body,
+      internal: internal === true || internal === 'true',
+      status: status || undefined,
+      files: req.files || []
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: internal === true || internal === 'true' ? 'Note added' : 'Reply sent',
+      ticket
+    });
+  } catch (error) {
+    discardTicketAttachments(req.files);
+    if (!error.statusCode) console.error('Admin ticket reply error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send reply'
+    });
+  }
+};
+
+/**
+ * Update Ticket
+ *
+ * Body: { status, priority, assignee, sharedWithVendor }
+ *
+ * @route PATCH /api/admin/support/tickets/:id
+ */
+export const updateTicketById = async (req, res) => {
+  try {
+    const { status, priority, assignee, sharedWithVendor } = req.body || {};
+    const ticket = await updateTicket({
+      ticketId: req.params.id,
+      adminEmail: req.admin.email,
+      updates: { status, priority, assignee, sharedWithVendor }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ticket updated',
+      ticket
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Update ticket error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update ticket'
+    });
+  }
+};
+
+/**
+ * Download a Ticket Attachment
+ *
+ * @route GET /api/admin/support/tickets/:id/attachments/:attachmentId
+ */
+export const downloadTicketAttachment = async (req, res) => {
+  try {
+    const attachment = await getTicketAttachment({
+      ticketId: req.params.id,
+      attachmentId: req.params.attachmentId
+    });
+
+    res.type(attachment.mimeType);
+    return res.download(attachment.path, attachment.originalName);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to download attachment'
+    });
+  }
+};
+
+/**
+ * Get Canned Replies
+ *
+ * @route GET /api/admin/support/canned-replies
+ */
+export const getCannedReplyList = async (req, res) => {
+  try {
+    const replies = await getCannedReplies();
+
+    return res.status(200).json({
+      success: true,
+      replies
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned replies'
+    });
+  }
+};
+
+/**
+ * Create Canned Reply
+ *
+ * Body: { title, body }
+ *
+ * @route POST /api/admin/support/canned-replies
+ */
+export const createCannedReply = async (req, res) => {
+  try {
+    const reply = await saveCannedReply({
+      title: req.body?.title,
+      body: req.body?.body,
+      adminEmail: req.admin.email
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Canned reply saved',
+      reply
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save canned reply'
+    });
+  }
+};
+
+/**
+ * Update Canned Reply
+ *
+ * Body: { title, body }
+ *
+ * @route PUT /api/admin/support/canned-replies/:id
+ */
+export const updateCannedReply = async (req, res) => {
+  try {
+    const reply = await saveCannedReply({
+      replyId: req.params.id,
+      title: req.body?.title,
+      body: req.body?.body,
+      adminEmail: req.admin.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Canned reply updated',
+      reply
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update canned reply'
+    });
+  }
+};
+
+/**
+ * Delete Canned Reply
+ *
+ * @route DELETE /api/admin/support/canned-replies/:id
+ */
+export const removeCannedReply = async (req, res) => {
+  try {
+    await deleteCannedReply(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Canned reply deleted'
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete canned reply'
+    });
+  }
+};
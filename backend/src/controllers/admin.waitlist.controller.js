@@ -0,0 +1,41 @@
+/**
+ * Admin Waitlist Controller
+ *
+ * Back-in-stock waitlist depth per product as a demand signal.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getWaitlistDemand } from '../services/waitlist.service.js';
+
+/**
+ * Get Waitlist Demand
+ *
+ * Products with customers waiting, deepest queue first.
+ * Query: limit
+ *
+ * @route GET /api/admin/waitlist
+ */
+export const getDemand = async (req, res) => {
+  try {
+    const products = await getWaitlistDemand({ limit: req.query.limit });
+
+    return res.status(200).json({
+      success: true,
+      products,
+      totals: {
+        waiting: products.reduce((sum, row) => sum + row.waiting, 0),
+        holding: products.reduce((sum, row) => sum + row.holding, 0),
+        claimed: products.reduce((sum, row) => sum + row.claimed, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist demand error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist demand'
+    });
+  }
+};
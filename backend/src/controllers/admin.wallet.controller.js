@@ -0,0 +1,96 @@
+/**
+ * Admin Wallet Controller
+ *
+ * Customer store credit balances, their ledgers and manual adjustments.
+ * All endpoints require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getAdminWallets, getAdminWallet, adjustStoreCredit } from '../services/storeCredit.service.js';
+
+/**
+ * Get Wallets
+ *
+ * Query: search (email or name), limit, page. Without a search, lists
+ * customers holding a balance.
+ *
+ * @route GET /api/admin/wallets
+ */
+export const getWallets = async (req, res) => {
+  try {
+    const { search, limit, page } = req.query;
+    const result = await getAdminWallets({ search, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Get wallets error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallets'
+    });
+  }
+};
+
+/**
+ * Get Wallet
+ *
+ * Ledger of one customer, with a check that the balance matches it.
+ *
+ * @route GET /api/admin/wallets/:userId
+ */
+export const getWalletById = async (req, res) => {
+  try {
+    const { limit, page } = req.query;
+    const result = await getAdminWallet(req.params.userId, { limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get wallet error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch wallet'
+    });
+  }
+};
+
+/**
+ * Adjust Wallet
+ *
+ * Body: { amount (signed), reason: 'adjustment' | 'goodwill', note (required) }
+ *
+ * @route POST /api/admin/wallets/:userId/adjustments
+ */
+export const createWalletAdjustment = async (req, res) => {
+  try {
+    const { amount, reason, note } = req.body || {};
+    const ipAddress = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown';
+    const transaction = await adjustStoreCredit({
+      userId: req.params.userId,
+      amount,
+      reason,
+      note,
+      adminEmail: req.admin.email,
+      ipAddress
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted',
+      transaction
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Adjust wallet error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to adjust wallet'
+    });
+  }
+};
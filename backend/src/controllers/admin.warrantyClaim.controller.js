@@ -0,0 +1,123 @@
+/**
+ * Admin Warranty Claim Controller
+ * 
+ * Full view of warranty claims across vendors, including the customer and
+ * the replacement chain, with the same resolution actions as vendors.
+ * All endpoints require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getAdminClaims,
+  getAdminClaim,
+  replaceClaim,
+  rejectClaim
+} from '../services/warrantyClaim.service.js';
+
+/**
+ * Get Claims
+ * 
+ * Query: status, vendorId, limit, page
+ * 
+ * @route GET /api/admin/claims
+ */
+export const getClaims = async (req, res) => {
+  try {
+    const { status, vendorId, limit, page } = req.query;
+    const result = await getAdminClaims({ status, vendorId, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claims'
+    });
+  }
+};
+
+/**
+ * Get Claim by ID
+ * 
+ * Includes every claim raised on the same access (replacement chain).
+ * 
+ * @route GET /api/admin/claims/:id
+ */
+export const getClaimById = async (req, res) => {
+  try {
+    const { claim, chain } = await getAdminClaim(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      claim,
+      chain
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch claim'
+    });
+  }
+};
+
+/**
+ * Issue Replacement
+ * 
+ * Body: { note }
+ * 
+ * @route POST /api/admin/claims/:id/replace
+ */
+export const replaceClaimedAccess = async (req, res) => {
+  try {
+    const claim = await replaceClaim({
+      claimId: req.params.id,
+      actor: { type: 'admin', id: req.admin.email },
+      note: req.body?.note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Replacement issued',
+      claim
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Admin replace claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to issue replacement'
+    });
+  }
+};
+
+/**
+ * Reject Claim
+ * 
+ * Body: { note } (required)
+ * 
+ * @route POST /api/admin/claims/:id/reject
+ */
+export const rejectClaimById = async (req, res) => {
+  try {
+    const claim = await rejectClaim({
+      claimId: req.params.id,
+      actor: { type: 'admin', id: req.admin.email },
+      note: req.body?.note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Claim rejected',
+      claim
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Admin reject claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reject claim'
+    });
+  }
+};
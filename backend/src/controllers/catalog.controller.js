@@ -0,0 +1,263 @@
+/**
+ * Catalog Controller
+ *
+ * Public storefront endpoints for browsing approved products and joining
+ * the back-in-stock waitlist. No authentication required; vendor identity
+ * is never exposed.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import ProductModel from '../models/product.model.js';
+import {
+  PUBLIC_PRODUCT_FIELDS,
+  CATALOG_SORT_OPTIONS,
+  getCatalogVisibilityFilter,
+  buildCatalogQuery,
+  toPublicProduct
+} from '../services/catalog.service.js';
+import { getRateTable } from '../services/currency.service.js';
+import { withBundleDetails } from '../services/bundle.service.js';
+import { getCustomerWaitlistHolds } from '../services/stockReservation.service.js';
+import { joinWaitlist, leaveWaitlist, getCustomerWaitlistEntry } from '../services/waitlist.service.js';
+
+/**
+ * Get Catalog Products
+ *
+ * Supports provider, serviceType, productType, minPrice, maxPrice, duration,
+ * minDuration, maxDuration, q (full-text search), sort, page and limit.
+ *
+ * @route GET /api/catalog
+ * @public
+ */
+export const getCatalogProducts = async (req, res) => {
+  try {
+    const { sort = 'newest', limit = 24, page = 1 } = req.query;
+    const query = buildCatalogQuery(req.query);
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 24, 1), 100);
+    const parsedPage = Math.max(parseInt(page) || 1, 1);
+    const skip = (parsedPage - 1) * parsedLimit;
+
+    let sortBy = CATALOG_SORT_OPTIONS[sort] || CATALOG_SORT_OPTIONS.newest;
+    let findQuery = ProductModel.find(query).select(PUBLIC_PRODUCT_FIELDS);
+
+    // Rank by relevance when searching unless an explicit sort was requested
+    if (query.$text && !req.query.sort) {
+      findQuery = findQuery.select({ score: { $meta: 'textScore' } });
+      sortBy = { score: { $meta: 'textScore' } };
+    }
+
+    const [products, total] = await Promise.all([
+      findQuery.sort(sortBy).skip(skip).limit(parsedLimit).lean(),
+      ProductModel.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      products: (await withBundleDetails(products)).map(toPublicProduct),
+      total,
+      page: parsedPage,
+      limit: parsedLimit
+    });
+  } catch (error) {
+    console.error('Get catalog products error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog'
+    });
+  }
+};
+
+/**
+ * Get Catalog Filters
+ *
+ * Returns the filter facets available across sellable products.
+ *
+ * @route GET /api/catalog/filters
+ * @public
+ */
+export const getCatalogFilters = async (req, res) => {
+  try {
+    const visibility = getCatalogVisibilityFilter();
+
+    const [providers, serviceTypes, durations, priceStats] = await Promise.all([
+      ProductModel.distinct('provider', visibility),
+      ProductModel.distinct('serviceType', visibility),
+      ProductModel.distinct('planDurationDays', visibility),
+      ProductModel.aggregate([
+        { $match: visibility },
+        { $group: { _id: null, minPrice: { $min: '$priceDecimal' }, maxPrice: { $max: '$priceDecimal' } } }
+      ])
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      filters: {
+        providers: providers.sort(),
+        serviceTypes: serviceTypes.sort(),
+        durations: durations.sort((a, b) => a - b),
+        minPrice: priceStats[0]?.minPrice ?? 0,
+        maxPrice: priceStats[0]?.maxPrice ?? 0
+      }
+    });
+  } catch (error) {
+    console.error('Get catalog filters error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog filters'
+    });
+  }
+};
+
+/**
+ * Get Exchange Rates
+ *
+ * Used by the storefront to show prices in the customer's chosen currency.
+ * Orders are still charged in the product's own currency.
+ *
+ * @route GET /api/catalog/currencies
+ * @public
+ */
+export const getCurrencyRates = async (req, res) => {
+  try {
+    const table = await getRateTable();
+
+    return res.status(200).json({
+      success: true,
+      ...table
+    });
+  } catch (error) {
+    console.error('Get currency rates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates'
+    });
+  }
+};
+
+/**
+ * Get Catalog Product by ID
+ *
+ * @route GET /api/catalog/:id
+ * @public
+ */
+export const getCatalogProductById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const [product] = await withBundleDetails(await ProductModel.find({
+      _id: req.params.id,
+      ...getCatalogVisibilityFilter()
+    })
+      .select(PUBLIC_PRODUCT_FIELDS)
+      .limit(1)
+      .lean());
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Other plans for the same provider and service give customers a quick comparison
+    const related = await withBundleDetails(await ProductModel.find({
+      _id: { $ne: product._id },
+      provider: product.provider,
+      serviceType: product.serviceType,
+      ...getCatalogVisibilityFilter()
+    })
+      .select(PUBLIC_PRODUCT_FIELDS)
+      .sort({ planDurationDays: 1 })
+      .limit(6)
+      .lean());
+
+    // Signed-in customers see their place on the waitlist and any unit held for them
+    let waitlist = null;
+    if (req.user) {
+      const holds = await getCustomerWaitlistHolds({ customerId: req.user._id, email: req.user.email, productIds: [product._id] });
+      const hold = holds.get(String(product._id)) || null;
+      const entry = await getCustomerWaitlistEntry({ productId: product._id, user: req.user });
+      if (entry || hold) {
+        waitlist = { ...entry, hold };
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      product: toPublicProduct(product),
+      related: related.map(toPublicProduct),
+      waitlist
+    });
+  } catch (error) {
+    console.error('Get catalog product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product'
+    });
+  }
+};
+
+/**
+ * Join Product Waitlist
+ *
+ * Signed-in customers join with their account email; guests send { email }.
+ *
+ * @route POST /api/catalog/:id/waitlist
+ * @public
+ */
+export const joinProductWaitlist = async (req, res) => {
+  try {
+    const entry = await joinWaitlist({
+      productId: req.params.id,
+      user: req.user || null,
+      email: req.body?.email
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: entry.status === 'notified'
+        ? 'A unit is already held for you'
+        : `You are number ${entry.position} on the waitlist`,
+      waitlist: entry
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Join waitlist error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to join the waitlist'
+    });
+  }
+};
+
+/**
+ * Leave Waitlist
+ *
+ * @route DELETE /api/catalog/waitlist/:token
+ * @public
+ */
+export const leaveProductWaitlist = async (req, res) => {
+  try {
+    const result = await leaveWaitlist(req.params.token);
+
+    return res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist',
+      ...result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Leave waitlist error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to leave the waitlist'
+    });
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Payment Controller
+ * 
+ * Handles payment gateway webhooks and the local mock checkout.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { handleWebhook, getMockCheckoutOrder, completeMockCheckout } from '../services/payment.service.js';
+import { toCustomerOrder, getAmountDue } from '../services/order.service.js';
+
+/**
+ * Payment Webhook
+ * 
+ * Verifies the provider signature against the raw request body and applies
+ * the event. Replayed events are acknowledged with 200 so gateways stop retrying.
+ * 
+ * @route POST /api/payments/webhooks/:provider
+ * @public (signature verified)
+ */
+export const receiveWebhook = async (req, res) => {
+  try {
+    const rawBody = req.rawBody || JSON.stringify(req.body || {});
+    const result = await handleWebhook(req.params.provider, rawBody, req.headers);
+
+    return res.status(200).json({
+      success: true,
+      received: true,
+      duplicate: result.duplicate,
+      status: result.status
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Payment webhook error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to process webhook'
+    });
+  }
+};
+
+/**
+ * Get Mock Checkout Session
+ * 
+ * @route GET /api/payments/mock/:intentId
+ * @protected
+ */
+export const getMockCheckout = async (req, res) => {
+  try {
+    const order = await getMockCheckoutOrder({
+      intentId: req.params.intentId,
+      customerId: req.user._id
+    });
+
+    return res.status(200).json({
+      success: true,
+      session: {
+        intentId: order.paymentIntentId,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: getAmountDue(order),
+        currency: order.currency,
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to load payment session'
+    });
+  }
+};
+
+/**
+ * Complete Mock Checkout
+ * 
+ * Body: { outcome: 'succeeded' | 'failed' }
+ * 
+ * @route POST /api/payments/mock/:intentId/complete
+ * @protected
+ */
+export const completeMockCheckoutController = async (req, res) => {
+  try {
+    const order = await completeMockCheckout({
+      intentId: req.params.intentId,
+      customerId: req.user._id,
+      outcome: req.body?.outcome
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: order.paymentStatus === 'paid' ? 'Payment successful' : 'Payment failed',
+      order: toCustomerOrder(order)
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Mock checkout error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to complete payment'
+    });
+  }
+};
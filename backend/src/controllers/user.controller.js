@@ -25,6 +25,7 @@ import {
     getUserResetPasswordEmailHTML,
 } from "../templates/userEmail.template.js";
 import { deleteOldProfilePic } from '../middleware/upload.middleware.js';
+import { attributeReferral } from '../services/referral.service.js';
 
 // Constants
 const OTP_EXPIRY_MINUTES = 10; // OTP expiration time in minutes
@@ -42,6 +43,22 @@ const generateOTP = () => {
     return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+/**
+ * Utility Function: Get Client Details
+ * 
+ * IP address and browser device ID (sent by the frontend) of a request,
+ * recorded for referral fraud checks.
+ * 
+ * @param {Request} req - Express request object
+ * @returns {{ipAddress: string, deviceId: string|null}}
+ */
+const getClientDetails = (req) => ({
+    ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+    deviceId: typeof req.body?.deviceId === 'string' && req.body.deviceId.trim()
+        ? req.body.deviceId.trim().slice(0, 100)
+        : null
+});
+
 /**
  * Controller: Register New User
  * 
@@ -49,9 +66,10 @@ const generateOTP = () => {
  * 1. Validates input fields (firstname, lastname, email, password)
  * 2. Hashes password using bcrypt
  * 3. Creates new user record in database
- * 4. Generates JWT authentication token for user
- * 5. Sends welcome email
- * 6. Returns user data and token
+ * 4. Records the referral when a referral code was used
+ * 5. Generates JWT authentication token for user
+ * 6. Sends welcome email
+ * 7. Returns user data and token
  * 
  * @route POST /api/users/register
  * @public
@@ -62,7 +80,7 @@ const generateOTP = () => {
 export const registerUser = async (req, res, next) => {
     try {
         // Extract registration data from request body
-        const { firstname, lastname, email, password } = req.body;
+        const { firstname, lastname, email, password, referralCode } = req.body;
         
         // Input validation
         const errors = [];
@@ -116,13 +134,27 @@ export const registerUser = async (req, res, next) => {
         const hashedPassword = await UserModel.hashPassword(password);
         
         // Create new user record
+        const { ipAddress, deviceId } = getClientDetails(req);
         const newUser = new UserModel({
             firstname,
             lastname,
             email,
-            password: hashedPassword
+            password: hashedPassword,
+            signupIp: ipAddress,
+            lastLoginIp: ipAddress,
+            deviceId
         });
         await newUser.save();
+
+        // Attribute the sign-up to a referrer (non-blocking - errors don't fail registration)
+        if (referralCode) {
+            try {
+                const referral = await attributeReferral({ user: newUser, code: referralCode, ipAddress, deviceId });
+                if (referral) newUser.referredBy = referral.referrerId;
+            } catch (err) {
+                console.error("Referral attribution error:", err);
+            }
+        }
         
         // Generate JWT authentication token
         const token = await newUser.generateToken();
@@ -301,6 +333,13 @@ export const loginUser = async (req, res, next) => {
             throw new Error("Invalid email or password");
         }
         
+        // Remember where the account is used from (referral fraud checks)
+        const { ipAddress, deviceId } = getClientDetails(req);
+        await UserModel.updateOne(
+            { _id: user._id },
+            { $set: { lastLoginIp: ipAddress, ...(deviceId ? { deviceId } : {}) } }
+        );
+        
         // Generate JWT authentication token
         const token = await user.generateToken();
         
@@ -0,0 +1,59 @@
+/**
+ * User Gift Controller
+ *
+ * Gift claim page: public preview of a gift and claiming it as a signed-in customer.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getGiftByToken, claimGift } from '../services/gift.service.js';
+
+/**
+ * Get Gift
+ *
+ * @route GET /api/users/gifts/:token
+ * @public
+ */
+export const getGift = async (req, res) => {
+  try {
+    const gift = await getGiftByToken(req.params.token);
+
+    return res.status(200).json({
+      success: true,
+      gift
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get gift error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch gift'
+    });
+  }
+};
+
+/**
+ * Claim Gift
+ *
+ * Creates the redemption order in the customer's name and allocates it.
+ *
+ * @route POST /api/users/gifts/:token/claim
+ * @protected
+ */
+export const claimMyGift = async (req, res) => {
+  try {
+    const order = await claimGift({ token: req.params.token, user: req.user });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Gift claimed',
+      order
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Claim gift error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to claim gift'
+    });
+  }
+};
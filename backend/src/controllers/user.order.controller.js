@@ -0,0 +1,231 @@
+/**
+ * User Order Controller
+ *
+ * Handles checkout and order history for customers.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import { createOrder as createOrderService, quoteOrder, toCustomerItem, toCustomerOrder, CUSTOMER_ORDER_PROJECTION } from '../services/order.service.js';
+import { createPaymentForOrder } from '../services/payment.service.js';
+import { getCustomerInvoice } from '../services/invoice.service.js';
+
+/**
+ * Quote Order
+ *
+ * Body: { items: [{ productId, quantity }], couponCode, billingDetails, storeCreditAmount }
+ * Prices the cart with running promotions, the coupon and tax without creating an order.
+ * The quote also shows how much store credit applies and what is left to pay.
+ *
+ * @route POST /api/users/orders/quote
+ * @protected
+ */
+export const getOrderQuote = async (req, res) => {
+  try {
+    const { items, couponCode, billingDetails, storeCreditAmount } = req.body;
+    const { coupon, ...quote } = await quoteOrder({ user: req.user, items, couponCode, billingDetails, storeCreditAmount });
+
+    return res.status(200).json({
+      success: true,
+      quote: {
+        ...quote,
+        items: quote.items.map(toCustomerItem),
+        couponCode: coupon ? coupon.code : null
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Quote order error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to price your cart'
+    });
+  }
+};
+
+/**
+ * Create Order (Checkout)
+ *
+ * Body: { items: [{ productId, quantity }], billingDetails, paymentMethod, customerNotes, couponCode, gift, storeCreditAmount }
+ * Prices and discounts are computed server-side from the live catalog.
+ * gift ({ recipientEmail, recipientName, message }) sends the paid order to someone else.
+ * storeCreditAmount is taken from the wallet; the rest is paid at the gateway.
+ *
+ * @route POST /api/users/orders
+ * @protected
+ */
+export const createOrder = async (req, res) => {
+  try {
+    const { items, billingDetails, paymentMethod, customerNotes, couponCode, gift, storeCreditAmount } = req.body;
+
+    const order = await createOrderService({
+      user: req.user,
+      items,
+      billingDetails,
+      paymentMethod,
+      customerNotes,
+      couponCode,
+      gift,
+      storeCreditAmount
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      order: toCustomerOrder(order)
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create order error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create order'
+    });
+  }
+};
+
+/**
+ * Get My Orders
+ *
+ * @route GET /api/users/orders
+ * @protected
+ */
+export const getMyOrders = async (req, res) => {
+  try {
+    const { status, paymentStatus, limit = 20, page = 1 } = req.query;
+    const query = { customerId: req.user._id };
+
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [orders, total] = await Promise.all([
+      OrderModel.find(query)
+        .select(CUSTOMER_ORDER_PROJECTION)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip)
+        .lean(),
+      OrderModel.countDocuments(query)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      orders,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders'
+    });
+  }
+};
+
+/**
+ * Get My Order by ID
+ *
+ * @route GET /api/users/orders/:id
+ * @protected
+ */
+export const getMyOrderById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await OrderModel.findOne({
+      _id: req.params.id,
+      customerId: req.user._id
+    })
+      .select(CUSTOMER_ORDER_PROJECTION)
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order'
+    });
+  }
+};
+
+/**
+ * Pay for an Order
+ *
+ * Creates a payment intent with the active payment provider. The client
+ * follows redirectUrl to complete payment; the order is marked paid only
+ * when the provider's signed webhook arrives.
+ *
+ * @route POST /api/users/orders/:id/pay
+ * @protected
+ */
+export const payOrder = async (req, res) => {
+  try {
+    const payment = await createPaymentForOrder({
+      orderId: req.params.id,
+      customerId: req.user._id
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment initiated',
+      payment
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Pay order error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to initiate payment'
+    });
+  }
+};
+
+/**
+ * Download Order Invoice
+ *
+ * Query: format=pdf (default) | html
+ *
+ * @route GET /api/users/orders/:id/invoice
+ * @protected
+ */
+export const downloadMyInvoice = async (req, res) => {
+  try {
+    const invoice = await getCustomerInvoice({
+      orderId: req.params.id,
+      customerId: req.user._id
+    });
+
+    if (req.query.format === 'html') {
+      res.type('html');
+      res.set('Content-Disposition', `inline; filename="${invoice.invoiceNumber}.html"`);
+      return res.send(invoice.html);
+    }
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    return res.send(invoice.pdf);
+  } catch (error) {
+    if (!error.statusCode) console.error('Download invoice error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to download invoice'
+    });
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * User Referral Controller
+ *
+ * The signed-in customer's referral link and the friends who used it.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getMyReferrals } from '../services/referral.service.js';
+
+/**
+ * Get My Referrals
+ *
+ * Issues the customer's referral code on first call (verified accounts only).
+ *
+ * @route GET /api/users/referrals
+ * @protected
+ */
+export const getMyReferralProgram = async (req, res) => {
+  try {
+    const referrals = await getMyReferrals(req.user);
+
+    return res.status(200).json({
+      success: true,
+      ...referrals
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get referrals error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch referrals'
+    });
+  }
+};
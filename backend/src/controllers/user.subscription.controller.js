@@ -0,0 +1,234 @@
+/**
+ * User Subscription Controller
+ *
+ * Handles the customer's subscriptions, credential reveal and dashboard counters.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getCustomerSubscriptions,
+  getSubscriptionSummary,
+  revealAllocation
+} from '../services/subscription.service.js';
+import { createRenewalOrder } from '../services/renewal.service.js';
+import { createClaim, getCustomerClaims } from '../services/warrantyClaim.service.js';
+import { createRefundRequest, getCustomerRefunds } from '../services/refund.service.js';
+import { toCustomerOrder } from '../services/order.service.js';
+
+/**
+ * Get My Subscriptions
+ *
+ * Query: status (active | expiring | expired | pending)
+ *
+ * @route GET /api/users/subscriptions
+ * @protected
+ */
+export const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await getCustomerSubscriptions(req.user._id, { status: req.query.status });
+
+    return res.status(200).json({
+      success: true,
+      subscriptions,
+      total: subscriptions.length
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscriptions'
+    });
+  }
+};
+
+/**
+ * Get Dashboard Summary
+ *
+ * @route GET /api/users/subscriptions/summary
+ * @protected
+ */
+export const getMySubscriptionSummary = async (req, res) => {
+  try {
+    const summary = await getSubscriptionSummary(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription summary'
+    });
+  }
+};
+
+/**
+ * Reveal Access Details
+ *
+ * Decrypts the credentials behind one allocation. Every call is audited.
+ *
+ * @route POST /api/users/subscriptions/:itemId/access/:allocationId/reveal
+ * @protected
+ */
+export const revealSubscriptionAccess = async (req, res) => {
+  try {
+    const access = await revealAllocation({
+      user: req.user,
+      itemId: req.params.itemId,
+      allocationId: req.params.allocationId,
+      ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    return res.status(200).json({
+      success: true,
+      access
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Reveal access error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reveal access details'
+    });
+  }
+};
+
+/**
+ * Renew Subscription
+ *
+ * Creates a renewal order for the subscription (or returns the unpaid one
+ * already open). Once paid, the existing assignment is extended when possible.
+ *
+ * @route POST /api/users/subscriptions/:itemId/renew
+ * @protected
+ */
+export const renewSubscription = async (req, res) => {
+  try {
+    const order = await createRenewalOrder({ user: req.user, itemId: req.params.itemId });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Renewal order created',
+      order: toCustomerOrder(order)
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Renew subscription error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to renew subscription'
+    });
+  }
+};
+
+/**
+ * Report a Problem (Warranty Claim)
+ *
+ * Body: { issueType, description }
+ * Only accepted while the product's warranty window is open.
+ *
+ * @route POST /api/users/subscriptions/:itemId/access/:allocationId/claims
+ * @protected
+ */
+export const createSubscriptionClaim = async (req, res) => {
+  try {
+    const { issueType, description } = req.body || {};
+    const claim = await createClaim({
+      user: req.user,
+      itemId: req.params.itemId,
+      allocationId: req.params.allocationId,
+      issueType,
+      description
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Your claim has been submitted',
+      claim
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Create claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to submit claim'
+    });
+  }
+};
+
+/**
+ * Get My Warranty Claims
+ *
+ * @route GET /api/users/claims
+ * @protected
+ */
+export const getMyClaims = async (req, res) => {
+  try {
+    const claims = await getCustomerClaims(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      claims,
+      total: claims.length
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claims'
+    });
+  }
+};
+
+/**
+ * Request a Refund for a Claim
+ *
+ * Body: { reason }
+ * Available once the claim has been unresolved for the guarantee period.
+ *
+ * @route POST /api/users/claims/:claimId/refund
+ * @protected
+ */
+export const requestClaimRefund = async (req, res) => {
+  try {
+    const refund = await createRefundRequest({
+      user: req.user,
+      claimId: req.params.claimId,
+      reason: req.body?.reason
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Your refund request has been submitted',
+      refund
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Request refund error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to request refund'
+    });
+  }
+};
+
+/**
+ * Get My Refund Requests
+ *
+ * @route GET /api/users/refunds
+ * @protected
+ */
+export const getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await getCustomerRefunds(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      refunds,
+      total: refunds.length
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+};
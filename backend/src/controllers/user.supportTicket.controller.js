@@ -0,0 +1,180 @@
+/**
+ * User Support Ticket Controller
+ *
+ * Customer side of the support ticket system: opening tickets, replying
+ * with attachments, closing and downloading attachments.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  createTicket,
+  getCustomerTickets,
+  getCustomerTicket,
+  addCustomerMessage,
+  closeCustomerTicket,
+  getTicketAttachment
+} from '../services/supportTicket.service.js';
+import { discardTicketAttachments } from '../middleware/uploadTicket.middleware.js';
+
+/**
+ * Open a Ticket
+ *
+ * Multipart body: { subject, category, orderId, body, attachments[] }
+ *
+ * @route POST /api/users/tickets
+ * @protected
+ */
+export const openTicket = async (req, res) => {
+  try {
+    const { subject, category, orderId, body } = req.body || {};
+    const ticket = await createTicket({
+      user: req.user,
+      subject,
+      category,
+      orderId: orderId || null,
+      body,
+      files: req.files || []
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Ticket ${ticket.ticketNumber} has been opened`,
+      ticket
+    });
+  } catch (error) {
+    discardTicketAttachments(req.files);
+    if (!error.statusCode) console.error('Create ticket error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to open ticket'
+    });
+  }
+};
+
+/**
+ * Get My Tickets
+ *
+ * Query: status
+ *
+ * @route GET /api/users/tickets
+ * @protected
+ */
+export const getMyTickets = async (req, res) => {
+  try {
+    const tickets = await getCustomerTickets(req.user._id, { status: req.query.status });
+
+    return res.status(200).json({
+      success: true,
+      tickets,
+      total: tickets.length
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets'
+    });
+  }
+};
+
+/**
+ * Get My Ticket by ID
+ *
+ * @route GET /api/users/tickets/:id
+ * @protected
+ */
+export const getMyTicketById = async (req, res) => {
+  try {
+    const ticket = await getCustomerTicket(req.params.id, req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      ticket
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch ticket'
+    });
+  }
+};
+
+/**
+ * Reply to a Ticket
+ *
+ * Multipart body: { body, attachments[] }. Reopens resolved tickets.
+ *
+ * @route POST /api/users/tickets/:id/messages
+ * @protected
+ */
+export const replyToTicket = async (req, res) => {
+  try {
+    const ticket = await addCustomerMessage({
+      ticketId: req.params.id,
+      user: req.user,
+      body: req.body?.body,
+      files: req.files || []
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Reply sent',
+      ticket
+    });
+  } catch (error) {
+    discardTicketAttachments(req.files);
+    if (!error.statusCode) console.error('Ticket reply error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send reply'
+    });
+  }
+};
+
+/**
+ * Close a Ticket
+ *
+ * @route POST /api/users/tickets/:id/close
+ * @protected
+ */
+export const closeMyTicket = async (req, res) => {
+  try {
+    const ticket = await closeCustomerTicket(req.params.id, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ticket closed',
+      ticket
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to close ticket'
+    });
+  }
+};
+
+/**
+ * Download a Ticket Attachment
+ *
+ * @route GET /api/users/tickets/:id/attachments/:attachmentId
+ * @protected
+ */
+export const downloadMyTicketAttachment = async (req, res) => {
+  try {
+    const attachment = await getTicketAttachment({
+      ticketId: req.params.id,
+      attachmentId: req.params.attachmentId,
+      customerId: req.user._id
+    });
+
+    res.type(attachment.mimeType);
+    return res.download(attachment.path, attachment.originalName);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to download attachment'
+    });
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * User Wallet Controller
+ *
+ * The signed-in customer's store credit balance and ledger.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { getWallet } from '../services/storeCredit.service.js';
+
+/**
+ * Get My Wallet
+ *
+ * Query: limit, page
+ *
+ * @route GET /api/users/wallet
+ * @protected
+ */
+export const getMyWallet = async (req, res) => {
+  try {
+    const { limit, page } = req.query;
+    const wallet = await getWallet(req.user._id, { limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...wallet
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Get wallet error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch wallet'
+    });
+  }
+};
@@ -8,6 +8,9 @@
  */
 
 import OrderModel from '../models/order.model.js';
+import { buildVendorOrderFilter, getVendorOrderTotal, toVendorOrder, updateVendorLines } from '../services/order.service.js';
+import { getRateTable, sumInSettlement, SETTLEMENT_CURRENCY } from '../services/currency.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
 
 /**
  * Get Orders List
@@ -17,7 +20,7 @@ import OrderModel from '../models/order.model.js';
 export const getOrders = async (req, res) => {
   try {
     const { status, limit = 50, page = 1 } = req.query;
-    const query = { vendorId: req.vendor._id };
+    const query = buildVendorOrderFilter(req.vendor._id);
 
     if (status) query.status = status;
 
@@ -32,16 +35,23 @@ export const getOrders = async (req, res) => {
     const total = await OrderModel.countDocuments(query);
     const pending = await OrderModel.countDocuments({ ...query, status: 'pending' });
     
-    // Calculate total revenue
-    const revenueOrders = await OrderModel.find({ ...query, paymentStatus: 'paid' });
-    const totalRevenue = revenueOrders.reduce((sum, order) => sum + order.totalAmount, 0);
+    // Calculate total revenue (normalized to the settlement currency)
+    const [revenueOrders, { rates }] = await Promise.all([
+      OrderModel.find({ ...query, paymentStatus: 'paid' }),
+      getRateTable()
+    ]);
+    const { total: totalRevenue } = sumInSettlement(
+      revenueOrders.map(order => ({ amount: getVendorOrderTotal(order, req.vendor._id), order })),
+      rates
+    );
 
     return res.status(200).json({
       success: true,
-      orders,
+      orders: orders.map(order => toVendorOrder(order, req.vendor._id)),
       total,
       pending,
       totalRevenue,
+      currency: SETTLEMENT_CURRENCY,
       page: parseInt(page),
       limit: parseInt(limit)
     });
@@ -62,7 +72,7 @@ export const getOrderById = async (req, res) => {
   try {
     const order = await OrderModel.findOne({
       _id: req.params.id,
-      vendorId: req.vendor._id
+      ...buildVendorOrderFilter(req.vendor._id)
     })
       .populate('customerId', 'email firstName lastName')
       .populate('items.productId', 'title provider serviceType');
@@ -76,7 +86,7 @@ export const getOrderById = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      order
+      order: toVendorOrder(order, req.vendor._id)
     });
   } catch (error) {
     return res.status(500).json({
@@ -88,47 +98,41 @@ export const getOrderById = async (req, res) => {
 
 /**
  * Update Order Status (Fulfillment)
+ *
+ * Only the vendor's own lines change; the order status follows from all lines.
+ * Body: { status: 'in_progress' | 'fulfilled' | 'cancelled', fulfillmentNotes, trackingInfo }
  * 
  * @route PUT /api/vendor/orders/:id/fulfill
  */
 export const fulfillOrder = async (req, res) => {
   try {
     const { status, fulfillmentNotes, trackingInfo } = req.body;
-    const order = await OrderModel.findOne({
-      _id: req.params.id,
-      vendorId: req.vendor._id
+    const { order, releasedProductIds } = await updateVendorLines({
+      orderId: req.params.id,
+      vendorId: req.vendor._id,
+      status: status || 'in_progress',
+      fulfillmentNotes,
+      trackingInfo
     });
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
-
-    order.status = status || 'in_progress';
-    order.fulfillmentStatus = 'completed';
-    order.fulfillmentNotes = fulfillmentNotes || '';
-    order.trackingInfo = trackingInfo || '';
-    order.fulfilledAt = new Date();
-    order.fulfilledBy = req.vendor._id;
-
-    if (status === 'fulfilled') {
-      order.status = 'fulfilled';
+    // Units released from a cancelled unpaid order go to the waitlist first
+    for (const productId of releasedProductIds) {
+      try {
+        await notifyWaitlist(productId);
+      } catch (error) {
+        console.error('Waitlist notification error:', error.message);
+      }
     }
 
-    await order.save();
-
     return res.status(200).json({
       success: true,
-      message: 'Order fulfilled successfully',
-      order
+      message: status === 'cancelled' ? 'Items cancelled successfully' : 'Order fulfilled successfully',
+      order: toVendorOrder(order, req.vendor._id)
     });
   } catch (error) {
-    return res.status(400).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to fulfill order'
+      message: error.statusCode ? error.message : 'Failed to fulfill order'
     });
   }
 };
-
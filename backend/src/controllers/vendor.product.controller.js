@@ -9,6 +9,114 @@
 
 import ProductModel from '../models/product.model.js';
 import crypto from 'crypto';
+import { applySalePrice, getCostPrice } from '../services/pricing.service.js';
+import { holdSensitiveChanges, getPendingChange } from '../services/productChange.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+// Fields a vendor may set. Everything else (sale price, review decisions,
+// bundles, reserved stock, admin status and listing flags) is set only by
+// admins or the platform; the sale price follows from costPrice and the markup rules
+const VENDOR_EDITABLE_FIELDS = [
+  'title',
+  'sku',
+  'serviceType',
+  'provider',
+  'planDurationDays',
+  'costPrice',
+  'currency',
+  'stock',
+  'profiles',
+  'accountEmail',
+  'accountPassword',
+  'warrantyDays',
+  'warrantyType',
+  'replacementPolicy',
+  'rules',
+  'status',
+  'autoActivate',
+  'images',
+  'thumbnail',
+  'description',
+  'tags'
+];
+
+// Archiving is admin only
+const VENDOR_STATUSES = ['draft', 'pending', 'active', 'inactive'];
+
+// Customer-facing listing; admin-curated once an admin has edited it
+const LISTING_FIELDS = ['title', 'description', 'images', 'thumbnail'];
+
+/**
+ * Keep only the fields a vendor may set from a request body
+ * 
+ * @param {Object} body - Request body
+ * @returns {Object} Vendor-editable fields
+ */
+const pickVendorFields = (body = {}) => {
+  const fields = {};
+  VENDOR_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.status !== undefined && !VENDOR_STATUSES.includes(fields.status)) {
+    throw createServiceError('Status must be draft, pending, active or inactive');
+  }
+  return fields;
+};
+
+/**
+ * Reject vendor edits that would override an admin decision
+ *
+ * Resubmitting the current values is fine (the edit form sends every field).
+ * 
+ * @param {Object} product - Product document
+ * @param {Object} updates - Vendor-editable fields from the request
+ */
+const assertNoAdminOverride = (product, updates) => {
+  const adminStatus = product.status === 'archived' || product.statusSetByAdmin;
+  if (adminStatus && updates.status !== undefined && updates.status !== product.status) {
+    throw createServiceError(`This product was set to ${product.status} by an admin; only an admin can change its status`, 409);
+  }
+
+  if (!product.listingCuratedAt) return;
+  const current = product.toObject();
+  const changed = LISTING_FIELDS.filter(field => {
+    if (updates[field] === undefined) return false;
+    if (field === 'images') {
+      const toComparable = images => (images || []).map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary: Boolean(isPrimary) }));
+      return JSON.stringify(toComparable(updates.images)) !== JSON.stringify(toComparable(current.images));
+    }
+    return String(updates[field] ?? '').trim() !== String(current[field] ?? '').trim();
+  });
+  if (changed.length > 0) {
+    throw createServiceError('The title, description and images of this product are managed by an admin', 409);
+  }
+};
+
+/**
+ * Vendor view of a product: priced at the vendor's cost, without the
+ * customer sale price (margins are admin only)
+ * 
+ * @param {Object} product - Product document
+ * @returns {Object} Vendor-safe product
+ */
+const toVendorProduct = (product) => {
+  const { priceDecimal, accountPassword, ...rest } = product.toObject();
+  return { ...rest, costPrice: getCostPrice(product) };
+};
+
+/**
+ * Validate a vendor's cost price
+ * 
+ * @param {*} value - Raw costPrice
+ * @returns {number} Cost price
+ */
+const parseCostPrice = (value) => {
+  const costPrice = Number(value);
+  if (!Number.isFinite(costPrice) || costPrice <= 0) {
+    throw new Error('Price must be greater than 0');
+  }
+  return Math.round(costPrice * 100) / 100;
+};
 
 // Encryption for account credentials
 // CRITICAL: ENCRYPTION_KEY must be set in environment variables (32+ characters)
@@ -82,7 +190,7 @@ export const getProducts = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      products,
+      products: products.map(toVendorProduct),
       total,
       active,
       page: parseInt(page),
@@ -99,6 +207,9 @@ export const getProducts = async (req, res) => {
 /**
  * Get Product by ID
  * 
+ * Includes the price, rules and warranty change waiting for admin
+ * approval, if any.
+ * 
  * @route GET /api/vendor/products/:id
  */
 export const getProductById = async (req, res) => {
@@ -117,7 +228,8 @@ export const getProductById = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      product
+      product: toVendorProduct(product),
+      pendingChange: await getPendingChange(product._id)
     });
   } catch (error) {
     return res.status(500).json({
@@ -135,9 +247,10 @@ export const getProductById = async (req, res) => {
 export const createProduct = async (req, res) => {
   try {
     const productData = {
-      ...req.body,
+      ...pickVendorFields(req.body),
       vendorId: req.vendor._id
     };
+    productData.costPrice = parseCostPrice(productData.costPrice);
 
     // Encrypt account credentials if provided
     if (productData.accountPassword) {
@@ -150,12 +263,13 @@ export const createProduct = async (req, res) => {
     }
 
     const product = new ProductModel(productData);
+    await applySalePrice(product);
     await product.save();
 
     return res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      product: await ProductModel.findById(product._id).select('-accountPassword')
+      product: toVendorProduct(await ProductModel.findById(product._id))
     });
   } catch (error) {
     return res.status(400).json({
@@ -168,6 +282,10 @@ export const createProduct = async (req, res) => {
 /**
  * Update Product
  * 
+ * On approved products, changes to price, provider, service type, plan
+ * duration, rules or warranty are held for admin approval while the live
+ * version keeps selling; other fields apply immediately.
+ * 
  * @route PUT /api/vendor/products/:id
  */
 export const updateProduct = async (req, res) => {
@@ -184,21 +302,43 @@ export const updateProduct = async (req, res) => {
       });
     }
 
+    const updates = pickVendorFields(req.body);
+    if (updates.costPrice !== undefined) {
+      updates.costPrice = parseCostPrice(updates.costPrice);
+    }
+
     // Encrypt password if provided
-    if (req.body.accountPassword) {
-      req.body.accountPassword = encrypt(req.body.accountPassword);
+    if (updates.accountPassword) {
+      updates.accountPassword = encrypt(updates.accountPassword);
+    }
+
+    assertNoAdminOverride(product, updates);
+    // What is left of the listing is the curated version resubmitted
+    if (product.listingCuratedAt) {
+      LISTING_FIELDS.forEach(field => delete updates[field]);
     }
 
-    Object.assign(product, req.body);
+    const { updates: liveUpdates, change } = await holdSensitiveChanges({
+      product,
+      updates,
+      vendorEmail: req.vendor.primaryEmail
+    });
+
+    Object.assign(product, liveUpdates);
+    // Cost, provider or currency may select a different markup
+    await applySalePrice(product);
     await product.save();
 
     return res.status(200).json({
       success: true,
-      message: 'Product updated successfully',
-      product: await ProductModel.findById(product._id).select('-accountPassword')
+      message: change
+        ? 'Product updated. Changes to price, provider, plan, rules and warranty are waiting for admin approval'
+        : 'Product updated successfully',
+      product: toVendorProduct(await ProductModel.findById(product._id)),
+      pendingChange: change
     });
   } catch (error) {
-    return res.status(400).json({
+    return res.status(error.statusCode || 400).json({
       success: false,
       message: error.message || 'Failed to update product'
     });
@@ -288,7 +428,7 @@ export const uploadAccounts = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Accounts uploaded successfully',
-      product: await ProductModel.findById(product._id).select('-accountPassword')
+      product: toVendorProduct(await ProductModel.findById(product._id))
     });
   } catch (error) {
     return res.status(400).json({
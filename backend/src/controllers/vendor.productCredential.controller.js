@@ -11,6 +11,9 @@ import ProductModel from '../models/product.model.js';
 import ProductRequestModel from '../models/productRequest.model.js';
 import ProductCredentialModel from '../models/productCredential.model.js';
 import ProductCredentialAuditModel from '../models/productCredentialAudit.model.js';
+import { nextSequence, ensureSequenceAtLeast } from '../services/counter.service.js';
+import { getAvailableStock } from '../services/stockReservation.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
 import crypto from 'crypto';
 import csv from 'csv-parser';
 import { Readable } from 'stream';
@@ -330,11 +333,15 @@ export const uploadCredentials = async (req, res) => {
       });
     }
     
-    // Get next batch number
+    // Get next batch number (atomic per product; the counter starts after batches uploaded before it existed)
     const productIdForBatch = adminRequest ? adminRequest.productId._id : id;
+    const batchSequence = `credential-batch-${productIdForBatch}`;
     const lastCredential = await ProductCredentialModel.findOne({ productId: productIdForBatch })
-      .sort({ batchNumber: -1 });
-    const nextBatchNumber = lastCredential ? lastCredential.batchNumber + 1 : 1;
+      .sort({ batchNumber: -1 })
+      .select('batchNumber')
+      .lean();
+    await ensureSequenceAtLeast(batchSequence, lastCredential?.batchNumber || 0);
+    const nextBatchNumber = await nextSequence(batchSequence);
     
     // Process each credential
     const savedCredentials = [];
@@ -444,6 +451,13 @@ export const uploadCredentials = async (req, res) => {
       const totalCredentials = savedCredentials.reduce((sum, cred) => sum + cred.totalCount, 0);
       product.stock = (product.stock || 0) + totalCredentials;
       await product.save();
+
+      // Customers on the waitlist get the first claim on the new units
+      try {
+        await notifyWaitlist(product._id);
+      } catch (error) {
+        console.error('Waitlist notification error:', error.message);
+      }
     }
     
     // Calculate total credentials
@@ -596,12 +610,21 @@ export const getCredentials = async (req, res) => {
         batchNumber: c.batchNumber,
         accountEmail: c.accountEmail ? maskEmail(c.accountEmail) : null,
         profiles: c.profiles ? c.profiles.map(p => ({
+          _id: p._id,
           profileName: p.profileName,
           isAssigned: p.isAssigned,
+          rotationRequired: p.rotationRequired || false,
           // Don't send PIN to vendor
         })) : null,
+        rotationRequired: c.rotationRequired || false,
+        consumedAt: c.consumedAt || null,
         createdAt: c.createdAt
-      }))
+      })),
+      inventory: {
+        stock: product.stock || 0,
+        reserved: product.reservedStock || 0,
+        available: getAvailableStock(product)
+      }
     });
   } catch (error) {
     return res.status(500).json({
@@ -611,6 +634,136 @@ export const getCredentials = async (req, res) => {
   }
 };
 
+/**
+ * Complete Credential Rotation
+ * 
+ * Returns an expired assignment that was flagged for rotation to the pool.
+ * account_share: body { profileId, pin } - the new PIN replaces the old one.
+ * email_invite: the vendor confirms the previous member has been removed.
+ * 
+ * @route POST /api/vendor/products/:id/credentials/:credentialId/rotate
+ */
+export const completeCredentialRotation = async (req, res) => {
+  try {
+    const { id, credentialId } = req.params;
+    const { profileId, pin } = req.body || {};
+    const vendorId = req.vendor._id;
+    const vendorEmail = req.vendor.primaryEmail;
+    const now = new Date();
+
+    const credential = await ProductCredentialModel.findOne({
+      _id: credentialId,
+      productId: id,
+      vendorId: vendorId,
+      isValid: true
+    });
+
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    let result;
+    if (credential.credentialType === 'account_share') {
+      const profile = credential.profiles.id(profileId);
+      if (!profile || !profile.rotationRequired) {
+        return res.status(400).json({
+          success: false,
+          message: 'This profile is not awaiting rotation'
+        });
+      }
+      if (!pin || !String(pin).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A new PIN is required'
+        });
+      }
+      if (profile.pin && String(pin).trim() === profile.pin) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new PIN must differ from the previous one'
+        });
+      }
+
+      // Re-encrypt the payload with the new PIN
+      const payload = decryptCredentials(credential.payloadEncrypted);
+      payload.profiles = (payload.profiles || []).map(p => (
+        p.profileName === profile.profileName ? { ...p, pin: String(pin).trim() } : p
+      ));
+
+      result = await ProductCredentialModel.updateOne(
+        {
+          _id: credential._id,
+          profiles: { $elemMatch: { _id: profile._id, rotationRequired: true } }
+        },
+        {
+          $set: {
+            payloadEncrypted: encryptCredentials(payload),
+            'profiles.$.pin': String(pin).trim(),
+            'profiles.$.isAssigned': false,
+            'profiles.$.assignedTo': null,
+            'profiles.$.assignedAt': null,
+            'profiles.$.rotationRequired': false,
+            'profiles.$.releasedAt': now,
+            updatedAt: now
+          },
+          $inc: { assignedCount: -1, availableCount: 1 }
+        }
+      );
+    } else if (credential.credentialType === 'email_invite') {
+      result = await ProductCredentialModel.updateOne(
+        { _id: credential._id, rotationRequired: true },
+        {
+          $set: { rotationRequired: false, assignedTo: null, assignedAt: null, updatedAt: now },
+          $inc: { assignedCount: -1, availableCount: 1 }
+        }
+      );
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'License keys cannot be rotated'
+      });
+    }
+
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        message: 'This credential is not awaiting rotation'
+      });
+    }
+
+    await ProductModel.updateOne({ _id: id }, { $inc: { stock: 1 } });
+
+    await ProductCredentialAuditModel.create({
+      credentialId: credential._id,
+      productId: credential.productId,
+      vendorId: vendorId,
+      action: 'updated',
+      actorId: vendorEmail,
+      actorType: 'vendor',
+      details: {
+        reason: 'rotation_completed',
+        profileId: profileId || null
+      },
+      ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+      userAgent: req.headers['user-agent'] || 'unknown'
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Credential returned to the available pool'
+    });
+  } catch (error) {
+    console.error('Complete rotation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to complete rotation'
+    });
+  }
+};
+
 // Helper function to mask email
 const maskEmail = (email) => {
   if (!email) return null;
@@ -8,10 +8,13 @@
  */
 
 import ProductRequestModel from '../models/productRequest.model.js';
-import ProductRequestAuditModel from '../models/productRequestAudit.model.js';
+import {
+  submitProposal,
+  resubmitProposal,
+  getVendorProposal,
+  addProposalComment
+} from '../services/productRequest.service.js';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
 
 // Multer configuration for file uploads
 const upload = multer({
@@ -29,101 +32,31 @@ const upload = multer({
   }
 });
 
+/**
+ * Resolve the request context recorded in the audit log
+ * 
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getAuditContext = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
+  userAgent: req.headers['user-agent'] || 'unknown'
+});
+
 /**
  * Create Product Request
  * 
+ * Stored as revision 1 of the proposal.
+ * 
  * @route POST /api/vendor/products/requests
  */
 export const createProductRequest = async (req, res) => {
   try {
-    const vendorId = req.vendor._id;
-    const { title, provider, serviceType, plans, stock, warrantyDays, replacementPolicy, rules, description } = req.body;
-
-    // Validation
-    if (!title || !provider || !serviceType) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title, provider, and service type are required'
-      });
-    }
-
-    // Parse plans if string (from form-data)
-    let parsedPlans = plans;
-    if (typeof plans === 'string') {
-      try {
-        parsedPlans = JSON.parse(plans);
-      } catch {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid plans format'
-        });
-      }
-    }
-
-    if (!parsedPlans || !Array.isArray(parsedPlans) || parsedPlans.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'At least one plan is required'
-      });
-    }
-
-    // Validate each plan
-    for (const plan of parsedPlans) {
-      if (!plan.durationDays || !plan.price || !plan.currency) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each plan must have durationDays, price, and currency'
-        });
-      }
-      if (plan.durationDays < 1 || plan.price < 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid plan values'
-        });
-      }
-    }
-
-    // Handle file uploads
-    const attachments = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        attachments.push({
-          url: `/uploads/product-requests/${file.filename}`,
-          filename: file.originalname,
-          mimetype: file.mimetype,
-          size: file.size
-        });
-      }
-    }
-
-    // Create product request
-    const productRequest = new ProductRequestModel({
-      vendorId,
-      title: title.trim(),
-      provider,
-      serviceType,
-      plans: parsedPlans,
-      stock: parseInt(stock) || 0,
-      warrantyDays: parseInt(warrantyDays) || 0,
-      replacementPolicy: replacementPolicy?.trim() || '',
-      rules: rules?.trim() || '',
-      description: description?.trim() || '',
-      attachments,
-      status: 'pending_review'
-    });
-
-    await productRequest.save();
-
-    // Create audit entry
-    await ProductRequestAuditModel.create({
-      requestId: productRequest._id,
-      vendorId,
-      action: 'submitted',
-      adminId: 'system',
-      comment: 'Product request submitted by vendor',
-      newStatus: 'pending_review',
-      ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown',
-      userAgent: req.headers['user-agent'] || 'unknown'
+    const productRequest = await submitProposal({
+      vendor: req.vendor,
+      body: req.body,
+      files: req.files,
+      context: getAuditContext(req)
     });
 
     // TODO: Send admin notification email
@@ -134,10 +67,42 @@ export const createProductRequest = async (req, res) => {
       request: productRequest
     });
   } catch (error) {
-    console.error('Error creating product request:', error);
-    return res.status(500).json({
+    if (!error.statusCode) console.error('Error creating product request:', error);
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to submit product request'
+      message: error.statusCode ? error.message : 'Failed to submit product request'
+    });
+  }
+};
+
+/**
+ * Resubmit Product Request
+ * 
+ * Body: proposal fields as for create, plus an optional note. Only for
+ * requests with changes requested; saved as the next revision.
+ * 
+ * @route PUT /api/vendor/products/requests/:id
+ */
+export const resubmitProductRequest = async (req, res) => {
+  try {
+    const productRequest = await resubmitProposal({
+      requestId: req.params.id,
+      vendor: req.vendor,
+      body: req.body,
+      files: req.files,
+      context: getAuditContext(req)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Revision ${productRequest.revision} submitted. Awaiting admin review.`,
+      request: productRequest
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Error resubmitting product request:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resubmit product request'
     });
   }
 };
@@ -167,6 +132,7 @@ export const getProductRequests = async (req, res) => {
     const pending = await ProductRequestModel.countDocuments({ ...query, status: 'pending_review' });
     const approved = await ProductRequestModel.countDocuments({ ...query, status: 'approved' });
     const rejected = await ProductRequestModel.countDocuments({ ...query, status: 'rejected' });
+    const changesRequested = await ProductRequestModel.countDocuments({ ...query, status: 'changes_requested' });
 
     return res.status(200).json({
       success: true,
@@ -175,6 +141,7 @@ export const getProductRequests = async (req, res) => {
       pending,
       approved,
       rejected,
+      changesRequested,
       page: parseInt(page),
       limit: parseInt(limit)
     });
@@ -189,29 +156,53 @@ export const getProductRequests = async (req, res) => {
 /**
  * Get Product Request by ID
  * 
+ * Includes the review comment thread and any products created on approval.
+ * 
  * @route GET /api/vendor/products/requests/:id
  */
 export const getProductRequestById = async (req, res) => {
   try {
-    const vendorId = req.vendor._id;
-    const { id } = req.params;
-
-    const request = await ProductRequestModel.findOne({ _id: id, vendorId });
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product request not found'
-      });
-    }
+    const request = await getVendorProposal(req.params.id, req.vendor._id);
 
     return res.status(200).json({
       success: true,
       request
     });
   } catch (error) {
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch product request'
+    });
+  }
+};
+
+/**
+ * Add Comment to Product Request
+ * 
+ * Body: { comment, parentId } (parentId when replying to an admin)
+ * 
+ * @route POST /api/vendor/products/requests/:id/comments
+ */
+export const addProductRequestComment = async (req, res) => {
+  try {
+    const comment = await addProposalComment({
+      requestId: req.params.id,
+      actor: { type: 'vendor', id: req.vendor.primaryEmail, vendorId: req.vendor._id },
+      comment: req.body?.comment,
+      parentId: req.body?.parentId || null,
+      context: getAuditContext(req)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Add product request comment error:', error);
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch product request'
+      message: error.statusCode ? error.message : 'Failed to add comment'
     });
   }
 };
@@ -9,10 +9,16 @@
 
 import OrderModel from '../models/order.model.js';
 import ProductModel from '../models/product.model.js';
+import { buildVendorOrderFilter, getVendorItems, getVendorOrderTotal, getItemCost, getItemEarnings, roundAmount } from '../services/order.service.js';
+import { getRateTable, toSettlementAmount, sumInSettlement, SETTLEMENT_CURRENCY } from '../services/currency.service.js';
 
 /**
  * Get Sales Report
  * 
+ * Amounts are the vendor's cost prices recorded on each order line (what
+ * the vendor earns), normalized to the settlement currency using each
+ * order's recorded exchange rate.
+ * 
  * @route GET /api/vendor/reports/sales
  */
 export const getSalesReport = async (req, res) => {
@@ -33,26 +39,47 @@ export const getSalesReport = async (req, res) => {
     }
 
     const orders = await OrderModel.find({
-      vendorId: req.vendor._id,
+      ...buildVendorOrderFilter(req.vendor._id),
       paymentStatus: 'paid',
       ...dateFilter
     }).populate('items.productId', 'title provider');
 
-    const totalSales = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+    const { rates } = await getRateTable();
+    const { total: totalSales, unconverted: unconvertedOrders } = sumInSettlement(
+      orders.map(order => ({ amount: getVendorOrderTotal(order, req.vendor._id), order })),
+      rates
+    );
     const totalOrders = orders.length;
-    const platformFee = totalSales * 0.15; // 15% platform fee
-    const netPayout = totalSales - platformFee;
+
+    // Refunds already netted out of totalSales, shown separately (includes fully refunded orders)
+    const refundedOrders = await OrderModel.find({
+      ...buildVendorOrderFilter(req.vendor._id),
+      paymentStatus: { $in: ['paid', 'refunded'] },
+      refundAmount: { $gt: 0 },
+      ...dateFilter
+    });
+    const { total: totalRefunds } = sumInSettlement(
+      refundedOrders.map(order => ({
+        amount: getVendorItems(order, req.vendor._id).reduce((lineSum, item) => (
+          lineSum + (order.paymentStatus === 'refunded' ? getItemCost(item) : getItemCost(item) - getItemEarnings(item))
+        ), 0),
+        order
+      })),
+      rates
+    );
+    // Sales are already at the vendor's cost; the platform keeps the markup
+    const netPayout = totalSales;
 
     // Group by product
     const productSales = {};
     orders.forEach(order => {
-      order.items.forEach(item => {
+      getVendorItems(order, req.vendor._id).forEach(item => {
         const productTitle = item.productId?.title || 'Unknown';
         if (!productSales[productTitle]) {
           productSales[productTitle] = { quantity: 0, revenue: 0 };
         }
         productSales[productTitle].quantity += item.quantity;
-        productSales[productTitle].revenue += item.price * item.quantity;
+        productSales[productTitle].revenue += toSettlementAmount(getItemEarnings(item), order, rates) || 0;
       });
     });
 
@@ -60,19 +87,23 @@ export const getSalesReport = async (req, res) => {
       success: true,
       report: {
         period: range,
+        currency: SETTLEMENT_CURRENCY,
+        unconvertedOrders,
         totalSales,
         totalOrders,
-        platformFee,
+        totalRefunds,
         netPayout,
         productSales: Object.entries(productSales).map(([product, data]) => ({
           product,
           quantity: data.quantity,
-          revenue: data.revenue
+          revenue: roundAmount(data.revenue)
         })),
         orders: orders.map(order => ({
           orderNumber: order.orderNumber,
           date: order.createdAt,
-          amount: order.totalAmount,
+          amount: getVendorOrderTotal(order, req.vendor._id),
+          currency: order.currency,
+          settlementAmount: toSettlementAmount(getVendorOrderTotal(order, req.vendor._id), order, rates),
           status: order.status
         }))
       }
@@ -88,6 +119,8 @@ export const getSalesReport = async (req, res) => {
 /**
  * Get Payouts
  * 
+ * Earnings are the vendor's cost prices on paid order lines, net of refunds.
+ * 
  * @route GET /api/vendor/reports/payouts
  */
 export const getPayouts = async (req, res) => {
@@ -95,13 +128,16 @@ export const getPayouts = async (req, res) => {
     // In production, this would query a payouts table
     // For now, calculate from orders
     const orders = await OrderModel.find({
-      vendorId: req.vendor._id,
+      ...buildVendorOrderFilter(req.vendor._id),
       paymentStatus: 'paid'
     }).sort({ createdAt: -1 });
 
-    const totalEarnings = orders.reduce((sum, order) => sum + order.totalAmount, 0);
-    const platformFees = totalEarnings * 0.15;
-    const totalPayouts = totalEarnings - platformFees;
+    const { rates } = await getRateTable();
+    const { total: totalEarnings } = sumInSettlement(
+      orders.map(order => ({ amount: getVendorOrderTotal(order, req.vendor._id), order })),
+      rates
+    );
+    const totalPayouts = totalEarnings;
 
     // Simulate payout schedule (daily/weekly/monthly)
     const payoutSchedule = 'weekly'; // Would come from vendor settings
@@ -109,8 +145,8 @@ export const getPayouts = async (req, res) => {
     return res.status(200).json({
       success: true,
       payouts: {
+        currency: SETTLEMENT_CURRENCY,
         totalEarnings,
-        platformFees,
         totalPayouts,
         pendingPayout: totalPayouts, // Simplified
         payoutSchedule,
@@ -0,0 +1,90 @@
+/**
+ * Vendor Support Ticket Controller
+ *
+ * Support tickets an admin has shared with the supplying vendor. Tickets
+ * are anonymised: no customer identity, contact details, order references
+ * or attachments are returned.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getVendorTickets,
+  getVendorTicket,
+  addVendorReply
+} from '../services/supportTicket.service.js';
+
+/**
+ * Get Tickets
+ *
+ * Query: status, limit, page
+ *
+ * @route GET /api/vendor/tickets
+ */
+export const getTickets = async (req, res) => {
+  try {
+    const { status, limit, page } = req.query;
+    const result = await getVendorTickets(req.vendor._id, { status, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets'
+    });
+  }
+};
+
+/**
+ * Get Ticket by ID
+ *
+ * @route GET /api/vendor/tickets/:id
+ */
+export const getTicketById = async (req, res) => {
+  try {
+    const ticket = await getVendorTicket(req.params.id, req.vendor._id);
+
+    return res.status(200).json({
+      success: true,
+      ticket
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch ticket'
+    });
+  }
+};
+
+/**
+ * Reply to Ticket
+ *
+ * Body: { body }
+ *
+ * @route POST /api/vendor/tickets/:id/messages
+ */
+export const replyToTicket = async (req, res) => {
+  try {
+    const ticket = await addVendorReply({
+      ticketId: req.params.id,
+      vendor: req.vendor,
+      body: req.body?.body
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Reply sent',
+      ticket
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Vendor ticket reply error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send reply'
+    });
+  }
+};
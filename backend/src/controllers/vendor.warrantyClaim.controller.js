@@ -0,0 +1,157 @@
+/**
+ * Vendor Warranty Claim Controller
+ * 
+ * Warranty claims routed to the supplying vendor. Claims are anonymised:
+ * no customer identity, contact details or order references are returned.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import {
+  getVendorClaims,
+  getVendorClaim,
+  startClaimReview,
+  replaceClaim,
+  rejectClaim,
+  toVendorClaim
+} from '../services/warrantyClaim.service.js';
+
+/**
+ * Resolve the acting vendor for claim actions
+ * 
+ * @param {Object} req - Express request
+ * @returns {Object} Claim actor
+ */
+const getVendorActor = (req) => ({
+  type: 'vendor',
+  id: req.vendor.primaryEmail,
+  vendorId: req.vendor._id
+});
+
+/**
+ * Get Claims
+ * 
+ * Query: status, limit, page
+ * 
+ * @route GET /api/vendor/claims
+ */
+export const getClaims = async (req, res) => {
+  try {
+    const { status, limit, page } = req.query;
+    const result = await getVendorClaims(req.vendor._id, { status, limit, page });
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claims'
+    });
+  }
+};
+
+/**
+ * Get Claim by ID
+ * 
+ * @route GET /api/vendor/claims/:id
+ */
+export const getClaimById = async (req, res) => {
+  try {
+    const claim = await getVendorClaim(req.params.id, req.vendor._id);
+
+    return res.status(200).json({
+      success: true,
+      claim
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch claim'
+    });
+  }
+};
+
+/**
+ * Start Reviewing a Claim
+ * 
+ * @route POST /api/vendor/claims/:id/review
+ */
+export const reviewClaim = async (req, res) => {
+  try {
+    const claim = await startClaimReview({ claimId: req.params.id, actor: getVendorActor(req) });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Claim moved to review',
+      claim: toVendorClaim(claim.toObject())
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Review claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update claim'
+    });
+  }
+};
+
+/**
+ * Issue Replacement
+ * 
+ * Body: { note }
+ * Assigns a fresh unit from the vendor's stock to the claimed access.
+ * 
+ * @route POST /api/vendor/claims/:id/replace
+ */
+export const replaceClaimedAccess = async (req, res) => {
+  try {
+    const claim = await replaceClaim({
+      claimId: req.params.id,
+      actor: getVendorActor(req),
+      note: req.body?.note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Replacement issued',
+      claim: toVendorClaim(claim.toObject())
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Replace claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to issue replacement'
+    });
+  }
+};
+
+/**
+ * Reject Claim
+ * 
+ * Body: { note } (required)
+ * 
+ * @route POST /api/vendor/claims/:id/reject
+ */
+export const rejectClaimById = async (req, res) => {
+  try {
+    const claim = await rejectClaim({
+      claimId: req.params.id,
+      actor: getVendorActor(req),
+      note: req.body?.note
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Claim rejected',
+      claim: toVendorClaim(claim.toObject())
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Reject claim error:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reject claim'
+    });
+  }
+};
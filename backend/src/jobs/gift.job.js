@@ -0,0 +1,67 @@
+/**
+ * FILE: jobs/gift.job.js
+ * PURPOSE: Periodic sweep turning gifts that were not claimed in time into store credit for the purchaser
+ * AUTHOR: Next Subscription Engineering
+ * UPDATED: 2026-10-18
+ */
+
+import { convertExpiredGifts } from '../services/gift.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
+
+// CONFIG: Interval between sweeps (minutes)
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * JOB: Run one sweep, skipping if the previous sweep is still in progress
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { converted, productIds } = await convertExpiredGifts();
+    // Units held for the gifts go to the next customers on the waitlist
+    for (const productId of productIds) {
+      await notifyWaitlist(productId);
+    }
+    if (converted) {
+      console.log(`🎁 Gifts: ${converted} unclaimed gift(s) converted to store credit`);
+    }
+  } catch (error) {
+    console.error('❌ Gift sweep failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * JOB: Start the unclaimed gift sweep
+ *
+ * Disabled with GIFT_JOB_ENABLED=false; interval set with
+ * GIFT_JOB_INTERVAL_MINUTES.
+ */
+export const startGiftJob = () => {
+  if (timer || process.env.GIFT_JOB_ENABLED === 'false') return;
+
+  const minutes = parseInt(process.env.GIFT_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+/**
+ * JOB: Stop the sweep (used during graceful shutdown)
+ */
+export const stopGiftJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  startGiftJob,
+  stopGiftJob
+};
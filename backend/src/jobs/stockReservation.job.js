@@ -0,0 +1,75 @@
+/**
+ * FILE: jobs/stockReservation.job.js
+ * PURPOSE: Periodic sweep returning expired stock holds to the available pool and passing them to the waitlist,
+ *          and giving back the store credit and coupon uses held by abandoned unpaid orders
+ * AUTHOR: Next Subscription Engineering
+ * UPDATED: 2026-10-19
+ */
+
+import { releaseExpiredReservations } from '../services/stockReservation.service.js';
+import { notifyWaitlist } from '../services/waitlist.service.js';
+import { releaseAbandonedOrders } from '../services/order.service.js';
+
+// CONFIG: Interval between sweeps (minutes)
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+let timer = null;
+let running = false;
+
+/**
+ * JOB: Run one sweep, skipping if the previous sweep is still in progress
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { released, productIds } = await releaseExpiredReservations();
+    let notified = 0;
+    // Released units go to the next customers on the waitlist
+    for (const productId of productIds) {
+      notified += await notifyWaitlist(productId);
+    }
+    if (released) {
+      console.log(`📦 Stock reservations: ${released} expired hold(s) released, ${notified} waitlist customer(s) notified`);
+    }
+
+    const abandoned = await releaseAbandonedOrders();
+    if (abandoned) {
+      console.log(`📦 Abandoned orders: store credit and coupons returned for ${abandoned} order(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Stock reservation sweep failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * JOB: Start the stock reservation sweep
+ *
+ * Disabled with STOCK_RESERVATION_JOB_ENABLED=false; interval set with
+ * STOCK_RESERVATION_JOB_INTERVAL_MINUTES.
+ */
+export const startStockReservationJob = () => {
+  if (timer || process.env.STOCK_RESERVATION_JOB_ENABLED === 'false') return;
+
+  const minutes = parseInt(process.env.STOCK_RESERVATION_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+/**
+ * JOB: Stop the sweep (used during graceful shutdown)
+ */
+export const stopStockReservationJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  startStockReservationJob,
+  stopStockReservationJob
+};
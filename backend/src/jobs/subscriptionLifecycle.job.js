@@ -0,0 +1,62 @@
+/**
+ * FILE: jobs/subscriptionLifecycle.job.js
+ * PURPOSE: Periodic subscription lifecycle pass (expiry reminders, access release)
+ * AUTHOR: Next Subscription Engineering
+ * UPDATED: 2026-10-18
+ */
+
+import { runSubscriptionLifecycle } from '../services/subscriptionLifecycle.service.js';
+
+// CONFIG: Interval between passes (minutes)
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * JOB: Run one pass, skipping if the previous pass is still in progress
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const { remindersSent, expired } = await runSubscriptionLifecycle();
+    if (remindersSent || expired) {
+      console.log(`🔔 Subscription lifecycle: ${remindersSent} reminder(s) sent, ${expired} subscription(s) expired`);
+    }
+  } catch (error) {
+    console.error('❌ Subscription lifecycle job failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * JOB: Start the subscription lifecycle scheduler
+ *
+ * Disabled with SUBSCRIPTION_JOB_ENABLED=false; interval set with
+ * SUBSCRIPTION_JOB_INTERVAL_MINUTES.
+ */
+export const startSubscriptionLifecycleJob = () => {
+  if (timer || process.env.SUBSCRIPTION_JOB_ENABLED === 'false') return;
+
+  const minutes = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+/**
+ * JOB: Stop the scheduler (used during graceful shutdown)
+ */
+export const stopSubscriptionLifecycleJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+export default {
+  startSubscriptionLifecycleJob,
+  stopSubscriptionLifecycleJob
+};
@@ -92,3 +92,28 @@ export const verifyUserJWT = async (req, res, next) => {
     }
 };
 
+
+/**
+ * Middleware: Attach User If Present
+ * 
+ * For public routes that behave differently for signed-in customers.
+ * Attaches the user to req.user when a valid token is sent and otherwise
+ * continues as a guest; never rejects the request.
+ * 
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const attachUserIfPresent = async (req, res, next) => {
+    try {
+        const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "");
+        if (token) {
+            const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
+            const user = await userModel.findById(decodedToken.id).select("-password");
+            if (user) req.user = user;
+        }
+    } catch (error) {
+        // Invalid or expired tokens are treated as guests
+    }
+    next();
+};
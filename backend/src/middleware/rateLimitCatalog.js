@@ -0,0 +1,74 @@
+/**
+ * Rate Limiting Middleware for Public Catalog Actions
+ * 
+ * Limits waitlist sign-ups from one client, since guests can subscribe
+ * any email address.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+// In-memory store for rate limiting
+const rateLimitStore = new Map();
+
+// Configuration
+const WAITLIST_MAX_REQUESTS = parseInt(process.env.WAITLIST_MAX_REQUESTS) || 10; // Per 15 minutes
+const WAITLIST_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Get client identifier (IP address)
+ */
+const getClientId = (req) => {
+  return req.ip || 
+         req.connection.remoteAddress || 
+         req.headers['x-forwarded-for']?.split(',')[0] || 
+         'unknown';
+};
+
+/**
+ * Cleanup expired entries
+ */
+const cleanupExpiredEntries = () => {
+  const now = Date.now();
+  for (const [key, value] of rateLimitStore.entries()) {
+    if (value.expiresAt < now) {
+      rateLimitStore.delete(key);
+    }
+  }
+};
+
+// Cleanup every 5 minutes
+setInterval(cleanupExpiredEntries, 5 * 60 * 1000);
+
+/**
+ * Rate Limiting Middleware for Waitlist Join/Leave
+ */
+export const rateLimitWaitlist = (req, res, next) => {
+  const clientId = getClientId(req);
+  const key = `waitlist:${clientId}`;
+  const now = Date.now();
+  
+  let entry = rateLimitStore.get(key);
+  
+  if (!entry || entry.expiresAt < now) {
+    entry = {
+      count: 0,
+      expiresAt: now + WAITLIST_WINDOW_MS
+    };
+    rateLimitStore.set(key, entry);
+  }
+  
+  entry.count += 1;
+  
+  if (entry.count > WAITLIST_MAX_REQUESTS) {
+    const retryAfter = Math.ceil((entry.expiresAt - now) / 1000);
+    
+    return res.status(429).json({
+      success: false,
+      message: 'Too many waitlist requests. Please try again later.',
+      retryAfter
+    });
+  }
+  
+  next();
+};
@@ -0,0 +1,80 @@
+/**
+ * Exchange Rate Upload Middleware - Rate Table Import
+ *
+ * Configures Multer for rate table files imported by admins:
+ * - JSON or CSV, 1MB max, single file in the "file" field
+ * - Kept in memory; the file is parsed and discarded, never stored
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import multer from 'multer';
+import path from 'path';
+
+/**
+ * File Filter Function
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file object
+ * @param {Function} cb - Callback function
+ */
+const fileFilter = (req, file, cb) => {
+    const extname = /\.(json|csv)$/.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+        return cb(null, true);
+    }
+    cb(new Error('Rate files must be JSON or CSV'), false);
+};
+
+/**
+ * Rate File Upload Middleware
+ */
+export const uploadRateFile = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024, // 1MB
+        files: 1
+    },
+    fileFilter: fileFilter
+}).single('file');
+
+/**
+ * Upload Error Handling Middleware
+ *
+ * @param {Error} error - The error object
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const handleRateUploadError = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: 'File size too large. Maximum size is 1MB'
+            });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a single file in the "file" field'
+            });
+        }
+    }
+
+    if (error.message === 'Rate files must be JSON or CSV') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: 'File upload error'
+    });
+};
+
+export default uploadRateFile;
@@ -0,0 +1,132 @@
+/**
+ * Support Ticket Upload Middleware - Message Attachments
+ *
+ * Configures Multer for files attached to support ticket messages:
+ * - Images (JPG, JPEG, PNG, GIF, WEBP), PDF and plain text
+ * - 5MB per file, up to 3 files per message
+ * - Stored outside the public /uploads folder; served only through
+ *   the authenticated ticket attachment endpoints
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Upload Directory Configuration
+ *
+ * Attachments can contain screenshots of account details, so they are
+ * kept out of the statically served uploads directory.
+ */
+export const ticketAttachmentsDir = './storage/ticket-attachments';
+if (!fs.existsSync(ticketAttachmentsDir)) {
+    fs.mkdirSync(ticketAttachmentsDir, { recursive: true });
+}
+
+/**
+ * Multer Storage Configuration
+ *
+ * Filename: {timestamp}_{random}.{extension}
+ */
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, ticketAttachmentsDir);
+    },
+    filename: function (req, file, cb) {
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${ext}`);
+    }
+});
+
+/**
+ * File Filter Function
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file object
+ * @param {Function} cb - Callback function
+ */
+const fileFilter = (req, file, cb) => {
+    const allowedExtensions = /\.(jpeg|jpg|png|gif|webp|pdf|txt)$/;
+    const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedMimeTypes.includes(file.mimetype);
+
+    if (mimetype && extname) {
+        return cb(null, true);
+    }
+    cb(new Error('Attachments must be images, PDF or text files'), false);
+};
+
+/**
+ * Ticket Attachments Upload Middleware
+ *
+ * Accepts up to three files in the "attachments" field.
+ */
+export const uploadTicketAttachments = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB per file
+        files: 3
+    },
+    fileFilter: fileFilter
+}).array('attachments', 3);
+
+/**
+ * Upload Error Handling Middleware
+ *
+ * @param {Error} error - The error object
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const handleTicketUploadError = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: 'File size too large. Maximum size is 5MB per file'
+            });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                message: 'You can attach up to 3 files per message'
+            });
+        }
+    }
+
+    if (error.message === 'Attachments must be images, PDF or text files') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: 'File upload error'
+    });
+};
+
+/**
+ * Helper Function: Delete Uploaded Attachments
+ *
+ * Removes files Multer already stored when the message itself is rejected.
+ *
+ * @param {Array} files - Multer file objects
+ */
+export const discardTicketAttachments = (files = []) => {
+    for (const file of files) {
+        try {
+            fs.unlinkSync(file.path);
+        } catch (error) {
+            console.error(`Failed to delete ticket attachment: ${file.filename}`, error.message);
+        }
+    }
+};
+
+export default uploadTicketAttachments;
@@ -0,0 +1,40 @@
+/**
+ * Canned Reply Model
+ *
+ * Reusable answer templates for the admin support inbox.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const cannedReplySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  createdBy: { type: String, required: true },
+  updatedBy: { type: String, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+cannedReplySchema.index({ title: 1 });
+
+export default mongoose.model('CannedReply', cannedReplySchema);
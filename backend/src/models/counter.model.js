@@ -0,0 +1,21 @@
+/**
+ * Counter Model
+ *
+ * Named sequences incremented atomically (e.g. order numbers per year,
+ * credential batches per product). The document _id is the sequence name;
+ * "migration:*" documents record which number formats have been seeded.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+export default mongoose.model('Counter', counterSchema);
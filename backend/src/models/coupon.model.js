@@ -0,0 +1,77 @@
+/**
+ * Coupon Model
+ *
+ * Admin-managed discount codes entered by customers at checkout.
+ * A coupon takes a percentage or a fixed amount off the eligible lines of an
+ * order; with an empty scope every line is eligible.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,32}$/
+  },
+  description: { type: String, default: '', maxlength: 300 },
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  // Percent (1-100) for percentage coupons, amount in `currency` for fixed ones
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: { type: String, default: 'USD', uppercase: true },
+  // Upper bound for percentage coupons (null = no cap)
+  maxDiscountAmount: { type: Number, default: null, min: 0 },
+  // Eligible lines; both empty = whole order
+  scope: {
+    providers: { type: [String], default: [] },
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  // Minimum subtotal of the eligible lines
+  minOrderAmount: { type: Number, default: 0, min: 0 },
+  // Redemption limits (null = unlimited)
+  usageLimit: { type: Number, default: null, min: 1 },
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  // Reserved when an order is placed with the coupon
+  usedCount: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  isActive: { type: Boolean, default: true, index: true },
+  // Only this customer may redeem the coupon (null = anyone), e.g. referral rewards
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: { type: String, required: true },
+  updatedBy: { type: String, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,46 @@
+/**
+ * Coupon Redemption Model
+ *
+ * One use of a coupon by a customer, held for the order it was placed on.
+ * A customer's uses are numbered 1..perUserLimit and the (coupon, customer,
+ * slot) index is unique, so two checkouts cannot both take the customer's
+ * last use. The record is deleted when an unpaid order gives its use back.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // An order carries at most one coupon
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ couponId: 1, customerId: 1, slot: 1 }, { unique: true });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
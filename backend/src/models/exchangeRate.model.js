@@ -0,0 +1,46 @@
+/**
+ * Exchange Rate Model
+ *
+ * Admin-managed rate table. Each row states how many units of a currency
+ * buy one unit of the settlement currency; the settlement currency itself
+ * always has a rate of 1 and is not stored.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: { type: String, required: true },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,90 @@
+/**
+ * Invoice Model
+ *
+ * Invoice issued for a paid order. Seller, buyer, lines and totals are
+ * snapshotted when the invoice is issued and never change afterwards; the
+ * rendered HTML and PDF are stored with it.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  discountAmount: { type: Number, default: 0 },
+  netAmount: { type: Number, required: true },
+  taxRate: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  companyName: { type: String, default: '' },
+  address: { type: String, default: '' },
+  email: { type: String, default: '' },
+  country: { type: String, default: '' },
+  region: { type: String, default: '' },
+  vatId: { type: String, default: '' }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // From the invoice sequence (INVOICE_NUMBER_FORMAT), e.g. INV-2026-000042
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: { type: String, required: true },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  issuedAt: { type: Date, required: true },
+  // Date of supply (payment date)
+  suppliedAt: { type: Date, default: null },
+  seller: { type: partySchema, required: true },
+  buyer: { type: partySchema, required: true },
+  lines: [invoiceLineSchema],
+  currency: { type: String, required: true },
+  subtotalAmount: { type: Number, required: true },
+  discountAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true },
+  taxLines: [{
+    _id: false,
+    name: String,
+    jurisdiction: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxNote: { type: String, default: '' },
+  html: { type: String, required: true },
+  pdf: { type: Buffer, required: true },
+  emailedAt: { type: Date, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -8,6 +8,63 @@
  */
 
 import mongoose from 'mongoose';
+import { nextNumber } from '../services/counter.service.js';
+
+// Fulfillment states of a single order line (set by its vendor)
+export const ORDER_LINE_STATUSES = ['pending', 'in_progress', 'fulfilled', 'cancelled'];
+
+// A single unit of access (profile, invite slot or license key) handed to the customer
+const allocationSchema = new mongoose.Schema({
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductCredential',
+    required: true
+  },
+  credentialType: {
+    type: String,
+    enum: ['account_share', 'email_invite', 'license_key'],
+    required: true
+  },
+  // account_share only
+  profileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  profileName: { type: String, default: null },
+  allocatedAt: { type: Date, default: Date.now },
+  // Units previously behind this allocation, replaced under warranty (oldest first)
+  replacedUnits: [{
+    _id: false,
+    credentialId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductCredential' },
+    profileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    profileName: { type: String, default: null },
+    claimId: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyClaim' },
+    replacedAt: { type: Date, default: Date.now }
+  }]
+}, { _id: true });
+
+// Renewal history entry kept on the subscription's original item
+const renewalSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  orderNumber: { type: String, default: null },
+  mode: { type: String, enum: ['extended', 'new_allocation'], required: true },
+  days: { type: Number, default: null },
+  previousExpiresAt: { type: Date, default: null },
+  newExpiresAt: { type: Date, default: null },
+  renewedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Snapshot of one bundle component at purchase time (quantity per bundle)
+const bundleComponentSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  vendorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', default: null },
+  productTitle: { type: String, required: true },
+  serviceType: { type: String, default: null },
+  provider: { type: String, default: null },
+  quantity: { type: Number, default: 1, min: 1 },
+  // Component's own price, used to split the bundle price between vendors
+  listPrice: { type: Number, default: 0, min: 0 },
+  // Vendor's cost price for one unit of the component
+  unitCost: { type: Number, default: null, min: 0 }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -15,12 +72,141 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Vendor that fulfills this line (orders may span several vendors)
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
   productTitle: { type: String, required: true },
+  // Snapshot of the plan at purchase time
+  serviceType: { type: String, default: null },
+  provider: { type: String, default: null },
+  planDurationDays: { type: Number, default: null },
   quantity: { type: Number, required: true, min: 1 },
   price: { type: Number, required: true },
-  currency: { type: String, required: true }
+  currency: { type: String, required: true },
+  // Vendor's cost price per unit at purchase time; what the vendor earns for
+  // the line (null on bundle lines and on orders placed before cost prices)
+  unitCost: { type: Number, default: null, min: 0 },
+  // Share of the order's coupon/promotion discounts carried by this line
+  discountAmount: { type: Number, default: 0, min: 0 },
+  // Tax charged on the discounted line value (rate in %)
+  taxRate: { type: Number, default: 0, min: 0 },
+  taxAmount: { type: Number, default: 0, min: 0 },
+  // Credential allocation (auto-activate products); 'manual' lines are fulfilled by the vendor.
+  // A bundle line mirrors its components: partially_allocated until every one is delivered
+  allocationStatus: {
+    type: String,
+    // 'extended': renewal applied to the original item's allocation instead of allocating new units
+    // 'gifted': delivered to the gift recipient on the redemption order instead
+    enum: ['pending', 'allocating', 'allocated', 'partially_allocated', 'awaiting_stock', 'manual', 'extended', 'gifted'],
+    default: 'pending'
+  },
+  allocations: [allocationSchema],
+  // Subscription lifecycle (set on first allocation)
+  activatedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  // Reminder thresholds (days before expiry) already emailed
+  remindersSent: { type: [Number], default: [] },
+  // Set once the expiry job has ended access for this item
+  expiredAt: { type: Date, default: null },
+  // Renewals: a renewal line points at the item it renews; the renewed item keeps the history
+  renewalOf: {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    itemId: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+  renewals: [renewalSchema],
+  // Bundles: the bundle line keeps what it contains; once paid, every
+  // component becomes its own line (pointing back via bundleItemId) that is
+  // allocated and earned by the component's vendor
+  isBundle: { type: Boolean, default: false },
+  bundleComponents: { type: [bundleComponentSchema], default: undefined },
+  bundleItemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Refunds (deducted from the vendor's earnings for this line)
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  refundedAt: { type: Date, default: null },
+  // Vendor fulfillment of this line; the order status is derived from its
+  // lines, so vendors of a multi-vendor order only ever change their own
+  status: {
+    type: String,
+    enum: ORDER_LINE_STATUSES,
+    default: 'pending'
+  },
+  fulfillmentNotes: { type: String, default: '' },
+  trackingInfo: { type: String, default: '' },
+  fulfilledAt: { type: Date, default: null }
 }, { _id: true });
 
+// Refund that has been started but not yet counted in refundAmount; its
+// amount stays reserved so concurrent refunds cannot exceed what was paid
+const pendingRefundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  gatewayAmount: { type: Number, default: 0, min: 0 },
+  walletAmount: { type: Number, default: 0, min: 0 },
+  // Set once the gateway accepted the refund and it waits for its webhook
+  refundId: { type: String, default: null },
+  // Set while the wallet part is being credited
+  settling: { type: Boolean, default: false },
+  refundRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'RefundRequest', default: null },
+  reason: { type: String, default: '' },
+  requestedBy: { type: String, default: null },
+  requestedAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Coupon or automatic promotion applied to the order
+const discountSchema = new mongoose.Schema({
+  source: { type: String, enum: ['coupon', 'promotion'], required: true },
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', default: null },
+  code: { type: String, default: null },
+  name: { type: String, default: null },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Tax applied to the order, one entry per rate (rate in %)
+const taxLineSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  jurisdiction: { type: String, required: true },
+  rate: { type: Number, required: true, min: 0 },
+  taxableAmount: { type: Number, required: true },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Gift purchase: the recipient claims it through a single-use link and the
+// units are allocated on a separate redemption order in their name
+const giftSchema = new mongoose.Schema({
+  recipientEmail: { type: String, required: true, lowercase: true, trim: true },
+  recipientName: { type: String, default: '' },
+  message: { type: String, default: '' },
+  senderName: { type: String, default: '' },
+  token: { type: String, required: true },
+  // awaiting_payment -> sent -> claimed, or converted to the purchaser's store credit when it expires unclaimed
+  status: {
+    type: String,
+    enum: ['awaiting_payment', 'sent', 'claimed', 'converted'],
+    default: 'awaiting_payment'
+  },
+  sentAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  claimedAt: { type: Date, default: null },
+  claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  redemptionOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  convertedAt: { type: Date, default: null },
+  storeCreditTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreCreditTransaction', default: null }
+}, { _id: false });
+
+const billingDetailsSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  email: { type: String, default: '' },
+  country: { type: String, default: '' },
+  // US state (sales tax)
+  region: { type: String, default: '' },
+  customerType: { type: String, enum: ['individual', 'business'], default: 'individual' },
+  companyName: { type: String, default: '' },
+  vatId: { type: String, default: '' }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -34,13 +220,25 @@ const orderSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when every item belongs to the same vendor; multi-vendor orders use items.vendorId
   vendorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
-    required: true,
+    default: null,
     index: true
   },
   items: [orderItemSchema],
+  // Line total before discounts; totalAmount is what the customer pays (after discounts, with tax)
+  subtotalAmount: { type: Number, default: null },
+  discountAmount: { type: Number, default: 0, min: 0 },
+  discounts: [discountSchema],
+  taxAmount: { type: Number, default: 0, min: 0 },
+  taxLines: [taxLineSchema],
+  // Printed on the invoice (reverse charge, out of scope)
+  taxNote: { type: String, default: '' },
+  // Set once the invoice has been issued (after payment)
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  invoiceNumber: { type: String, default: null },
   totalAmount: {
     type: Number,
     required: true,
@@ -51,6 +249,11 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 'USD'
   },
+  // totalAmount converted to the settlement currency at the rate used when the order was placed
+  settlementCurrency: { type: String, default: null },
+  settlementAmount: { type: Number, default: null },
+  // Units of `currency` per settlement currency unit
+  exchangeRate: { type: Number, default: null },
   status: {
     type: String,
     enum: ['pending', 'in_progress', 'fulfilled', 'disputed', 'refunded', 'cancelled'],
@@ -74,6 +277,29 @@ const orderSchema = new mongoose.Schema({
     default: 'pending'
   },
   paymentMethod: { type: String, default: '' },
+  // Part of totalAmount paid from the customer's wallet at checkout; the
+  // gateway is charged the rest (see storeCredit.service.js). Cleared when
+  // the credit goes back to an unpaid order's customer (order.service.js)
+  storeCreditAmount: { type: Number, default: 0, min: 0 },
+  storeCreditTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreCreditTransaction', default: null },
+  // Coupon use held for the order (see couponRedemption.model.js). Cleared
+  // when an unpaid order gives the use back; a payment retry reserves it again
+  couponRedemptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'CouponRedemption', default: null },
+  // Share of refundAmount returned through the gateway (the rest went to the wallet)
+  gatewayRefundAmount: { type: Number, default: 0, min: 0 },
+  // Gateway refunds already counted in refundAmount, so a webhook for a
+  // refund issued from here is not counted twice
+  gatewayRefundIds: { type: [String], default: [] },
+  pendingRefunds: { type: [pendingRefundSchema], default: [] },
+  paymentProvider: { type: String, default: null },
+  paymentIntentId: { type: String, default: null, index: true },
+  paidAt: { type: Date, default: null },
+  paymentFailureReason: { type: String, default: null },
+  // Gift purchases (see gift.service.js); a redemption order points back at the gift order
+  gift: { type: giftSchema, default: null },
+  giftOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  // Stock is held for the unpaid order until this time (see stockReservation.service.js)
+  reservationExpiresAt: { type: Date, default: null },
   // Dispute/Refund
   disputeReason: { type: String, default: null },
   refundAmount: { type: Number, default: null },
@@ -81,6 +307,7 @@ const orderSchema = new mongoose.Schema({
   // Metadata
   customerEmail: { type: String, required: true },
   customerNotes: { type: String, default: '' },
+  billingDetails: { type: billingDetailsSchema, default: () => ({}) },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, {
@@ -91,13 +318,28 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ vendorId: 1, status: 1 });
 orderSchema.index({ customerId: 1, status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'items.vendorId': 1, createdAt: -1 });
+orderSchema.index({ 'items.bundleComponents.vendorId': 1, createdAt: -1 });
+orderSchema.index({ paymentStatus: 1, 'items.expiresAt': 1 });
+orderSchema.index({ paymentStatus: 1, updatedAt: 1 });
+orderSchema.index({ 'items.renewalOf.itemId': 1 });
+orderSchema.index({ 'discounts.couponId': 1, customerId: 1 });
+orderSchema.index({ 'discounts.promotionId': 1 });
+orderSchema.index({ 'gift.token': 1 }, { unique: true, partialFilterExpression: { 'gift.token': { $type: 'string' } } });
+orderSchema.index({ 'gift.status': 1, 'gift.expiresAt': 1 });
+// One redemption order per gift
+orderSchema.index({ giftOrderId: 1 }, { unique: true, partialFilterExpression: { giftOrderId: { $type: 'objectId' } } });
 
-// Auto-generate order number
-orderSchema.pre('save', async function(next) {
+// Auto-generate order number from the atomic order sequence (format: ORDER_NUMBER_FORMAT)
+// FIX: Generate in pre('validate') so the required orderNumber exists before validation runs
+orderSchema.pre('validate', async function(next) {
   if (!this.orderNumber && this.isNew) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${count + 1}`;
+    this.orderNumber = await nextNumber('order');
   }
+  next();
+});
+
+orderSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
@@ -0,0 +1,63 @@
+/**
+ * Payment Event Model
+ * 
+ * Records every payment gateway interaction (intents, webhooks, refunds)
+ * for audit and idempotent webhook processing.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Gateway event ID (webhooks) or locally generated ID (outbound calls)
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['webhook', 'api'],
+    default: 'webhook'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    index: true
+  },
+  intentId: { type: String, default: null, index: true },
+  refundId: { type: String, default: null },
+  amount: { type: Number, default: null },
+  currency: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  fromStatus: { type: String, default: null },
+  toStatus: { type: String, default: null },
+  signatureVerified: { type: Boolean, default: false },
+  error: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  processedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ orderId: 1, createdAt: -1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
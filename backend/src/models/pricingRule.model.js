@@ -0,0 +1,82 @@
+/**
+ * Pricing Rule Model
+ *
+ * Admin markup turning a vendor's cost price into the customer sale price.
+ * Rules are global or scoped to a provider, vendor or product; the most
+ * specific active rule wins (product > vendor > provider > global).
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+export const PRICING_SCOPES = ['global', 'provider', 'vendor', 'product'];
+
+export const MARKUP_TYPES = ['percentage', 'fixed'];
+
+// Psychological price points the marked-up price is raised to
+// none: cents as calculated, end_99: x.99, end_95: x.95,
+// half_99: x.49 or x.99, whole: next whole amount
+export const ROUNDING_MODES = ['none', 'end_99', 'end_95', 'half_99', 'whole'];
+
+const pricingRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: PRICING_SCOPES,
+    required: true
+  },
+  // Target of a scoped rule (only the one matching the scope is set)
+  provider: { type: String, default: null },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  // 'global', 'provider:netflix', 'vendor:<id>' or 'product:<id>'; one rule per target
+  targetKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: MARKUP_TYPES,
+    required: true
+  },
+  // Percent added to the cost for percentage rules, amount in `currency` for fixed ones
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Fixed rules only apply to products priced in this currency
+  currency: { type: String, default: 'USD', uppercase: true },
+  rounding: {
+    type: String,
+    enum: ROUNDING_MODES,
+    default: 'none'
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String, required: true },
+  updatedBy: { type: String, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.index({ scope: 1, isActive: 1 });
+
+export default mongoose.model('PricingRule', pricingRuleSchema);
@@ -9,6 +9,7 @@
  */
 
 import mongoose from 'mongoose';
+import { nextNumber } from '../services/counter.service.js';
 
 const profileSchema = new mongoose.Schema({
   profileName: { type: String, required: true },
@@ -18,13 +19,34 @@ const profileSchema = new mongoose.Schema({
   assignedAt: { type: Date, default: null }
 }, { _id: true });
 
+// One catalog product included in a bundle
+const bundleItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
+  // single: sold and fulfilled by one vendor
+  // bundle: admin-curated set of other products sold at its own price and duration
+  productType: {
+    type: String,
+    enum: ['single', 'bundle'],
+    default: 'single',
+    index: true
+  },
+  // Bundles have no vendor; each component keeps its own
   vendorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
-    required: true,
+    required: function() { return this.productType !== 'bundle'; },
+    default: null,
     index: true
   },
+  bundleItems: { type: [bundleItemSchema], default: undefined },
   title: {
     type: String,
     required: true,
@@ -52,11 +74,20 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Price customers pay. For vendor products it is derived from costPrice by
+  // the admin markup rules (see pricing.service.js); bundles are priced by admins
   priceDecimal: {
     type: Number,
     required: true,
     min: 0
   },
+  // What the vendor is paid per unit. Admin only; null on bundles and on
+  // products priced before cost and sale prices were split (cost = priceDecimal)
+  costPrice: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   currency: {
     type: String,
     required: true,
@@ -68,6 +99,13 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Units held by unpaid checkouts (see stockReservation.model.js);
+  // available = stock - reservedStock. Bundles hold no stock of their own.
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // For account_share type
   profiles: [profileSchema],
   accountEmail: { type: String, default: null },
@@ -97,6 +135,9 @@ const productSchema = new mongoose.Schema({
     enum: ['draft', 'pending', 'active', 'inactive', 'archived'],
     default: 'draft'
   },
+  // Set when an admin deactivates or archives the product; the vendor cannot
+  // move it out of that status (see adminProduct.service.js)
+  statusSetByAdmin: { type: Boolean, default: false },
   autoActivate: {
     type: Boolean,
     default: false
@@ -108,6 +149,9 @@ const productSchema = new mongoose.Schema({
     isPrimary: { type: Boolean, default: false }
   }],
   thumbnail: { type: String, default: null },
+  // First admin edit of title, description or images; from then on the
+  // listing is admin-curated and vendors cannot change it
+  listingCuratedAt: { type: Date, default: null },
   // Admin Review
   adminReviewStatus: {
     type: String,
@@ -117,6 +161,13 @@ const productSchema = new mongoose.Schema({
   adminReviewNotes: { type: String, default: null },
   reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
   reviewedAt: { type: Date, default: null },
+  // Vendor proposal this product was created from, and the plan it sells
+  productRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductRequest',
+    default: null
+  },
+  productRequestPlanId: { type: mongoose.Schema.Types.ObjectId, default: null },
   // Metadata
   description: { type: String, default: '' },
   tags: [String],
@@ -130,12 +181,18 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ vendorId: 1, status: 1 });
 productSchema.index({ provider: 1, status: 1 });
 productSchema.index({ sku: 1 });
+productSchema.index({ status: 1, adminReviewStatus: 1, priceDecimal: 1 });
+// A proposal plan becomes at most one product
+productSchema.index(
+  { productRequestId: 1, productRequestPlanId: 1 },
+  { unique: true, partialFilterExpression: { productRequestId: { $type: 'objectId' } } }
+);
+productSchema.index({ title: 'text', description: 'text', tags: 'text' }, { weights: { title: 10, tags: 5, description: 1 }, name: 'catalog_text_search' });
 
-// Auto-generate SKU if not provided
+// Auto-generate SKU from the atomic SKU sequence if not provided (format: SKU_FORMAT)
 productSchema.pre('save', async function(next) {
   if (!this.sku && this.isNew) {
-    const count = await mongoose.model('Product').countDocuments();
-    this.sku = `PRD-${Date.now()}-${count + 1}`;
+    this.sku = await nextNumber('sku');
   }
   this.updatedAt = Date.now();
   next();
@@ -0,0 +1,70 @@
+/**
+ * Product Admin Audit Model
+ *
+ * Append-only log of admin changes to catalog products from the admin
+ * console: listing edits, status changes and review decisions (including
+ * vendor changes held for re-review). Kept apart from vendor-side changes
+ * so it is always clear who changed the storefront.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+export const PRODUCT_ADMIN_ACTIONS = [
+  'listing_updated',
+  'status_changed',
+  // Product taken off the storefront until an admin reviews it again
+  're_review_requested',
+  'review_approved',
+  'review_rejected',
+  // Vendor change to price, rules or warranty held for approval (productChangeRequest.model.js)
+  'change_approved',
+  'change_rejected'
+];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const productAdminAuditSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: PRODUCT_ADMIN_ACTIONS,
+    required: true
+  },
+  adminId: {
+    type: String, // Admin email
+    required: true
+  },
+  changes: { type: [fieldChangeSchema], default: [] },
+  reason: { type: String, default: null, trim: true },
+  ipAddress: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Entries are never edited
+productAdminAuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Product audit entries cannot be changed'));
+});
+
+// Indexes
+productAdminAuditSchema.index({ productId: 1, createdAt: -1 });
+productAdminAuditSchema.index({ adminId: 1, createdAt: -1 });
+
+export default mongoose.model('ProductAdminAudit', productAdminAuditSchema);
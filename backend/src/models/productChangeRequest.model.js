@@ -0,0 +1,69 @@
+/**
+ * Product Change Request Model
+ *
+ * Vendor edit to price, rules or warranty of an approved product, held for
+ * admin approval. Customers keep seeing (and buying) the live version until
+ * the change is approved. The record keeps both versions and the decision.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+// pending: waiting for an admin; superseded: replaced by a newer vendor edit
+export const PRODUCT_CHANGE_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const productChangeRequestSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  // Sensitive fields as they were live when the change was submitted, and as proposed
+  liveVersion: { type: mongoose.Schema.Types.Mixed, required: true },
+  proposedVersion: { type: mongoose.Schema.Types.Mixed, required: true },
+  changes: { type: [fieldChangeSchema], default: [] },
+  status: {
+    type: String,
+    enum: PRODUCT_CHANGE_STATUSES,
+    default: 'pending'
+  },
+  submittedBy: { type: String, required: true }, // Vendor email
+  reviewedBy: { type: String, default: null }, // Admin email
+  reviewedAt: { type: Date, default: null },
+  reviewNotes: { type: String, default: null },
+  // Change request this one replaced
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductChangeRequest',
+    default: null
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+productChangeRequestSchema.index({ productId: 1, createdAt: -1 });
+productChangeRequestSchema.index({ status: 1, createdAt: 1 });
+// At most one pending change per product
+productChangeRequestSchema.index(
+  { productId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+export default mongoose.model('ProductChangeRequest', productChangeRequestSchema);
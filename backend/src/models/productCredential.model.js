@@ -15,7 +15,10 @@ const profileMetadataSchema = new mongoose.Schema({
   pin: { type: String, default: null },
   isAssigned: { type: Boolean, default: false },
   assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
-  assignedAt: { type: Date, default: null }
+  assignedAt: { type: Date, default: null },
+  // Set when an expired assignment needs the vendor to change the PIN before reuse
+  rotationRequired: { type: Boolean, default: false },
+  releasedAt: { type: Date, default: null }
 }, { _id: true });
 
 const productCredentialSchema = new mongoose.Schema({
@@ -47,6 +50,13 @@ const productCredentialSchema = new mongoose.Schema({
   // Metadata for quick access without decryption
   profiles: [profileMetadataSchema],
   accountEmail: { type: String, default: null }, // Stored in plaintext for identification (masked in UI)
+  // Customer holding a single-unit credential (email_invite, license_key)
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  assignedAt: { type: Date, default: null },
+  // Set when an expired invite must be revoked by the vendor before the slot is reused
+  rotationRequired: { type: Boolean, default: false },
+  // License keys are single-use and never return to the pool
+  consumedAt: { type: Date, default: null },
   // Counts
   totalCount: {
     type: Number,
@@ -76,6 +86,12 @@ const productCredentialSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // Set when an admin approves credentials uploaded for an admin stock request;
+  // such batches are not sellable before approval
+  approvedAt: {
+    type: Date,
+    default: null
+  },
   isValid: {
     type: Boolean,
     default: true
@@ -100,6 +116,7 @@ const productCredentialSchema = new mongoose.Schema({
 productCredentialSchema.index({ productId: 1, isValid: 1 });
 productCredentialSchema.index({ vendorId: 1, createdAt: -1 });
 productCredentialSchema.index({ credentialType: 1, isValid: 1 });
+productCredentialSchema.index({ productId: 1, isValid: 1, availableCount: 1, batchNumber: 1 });
 
 // Update updatedAt on save
 productCredentialSchema.pre('save', function(next) {
@@ -1,7 +1,7 @@
 /**
  * Product Credential Audit Model
  * 
- * Tracks all actions on product credentials (upload, view, decrypt, assign).
+ * Tracks all actions on product credentials (upload, view, decrypt, assign, customer reveal).
  * 
  * @author Gaurav Khatri
  * @version 1.0
@@ -30,16 +30,17 @@ const productCredentialAuditSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['uploaded', 'viewed', 'decrypted', 'assigned', 'invalidated', 'updated'],
+    // FIX: 'approved'/'rejected' are written by the admin credential review flow
+    enum: ['uploaded', 'viewed', 'decrypted', 'assigned', 'invalidated', 'updated', 'approved', 'rejected', 'revealed'],
     required: true
   },
   actorId: {
-    type: String, // Admin email or vendor email
+    type: String, // Admin, vendor or customer email ('system' for automated actions)
     required: true
   },
   actorType: {
     type: String,
-    enum: ['admin', 'vendor', 'system'],
+    enum: ['admin', 'vendor', 'customer', 'system'],
     required: true
   },
   details: {
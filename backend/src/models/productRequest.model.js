@@ -15,6 +15,18 @@ const planSchema = new mongoose.Schema({
   currency: { type: String, required: true, default: 'USD' }
 }, { _id: true });
 
+// Review discussion between admins and the vendor; replies point at the
+// comment they answer through parentId
+const commentSchema = new mongoose.Schema({
+  authorType: { type: String, enum: ['admin', 'vendor'], required: true },
+  authorId: { type: String, required: true }, // Admin or vendor email
+  body: { type: String, required: true, trim: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Revision under review when the comment was written
+  revision: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: true });
+
 const productRequestSchema = new mongoose.Schema({
   vendorId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -85,6 +97,12 @@ const productRequestSchema = new mongoose.Schema({
     default: 'pending_review',
     index: true
   },
+  // Latest submitted revision (see productRequestRevision.model.js)
+  revision: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   adminComment: {
     type: String,
     default: null,
@@ -98,6 +116,15 @@ const productRequestSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  comments: {
+    type: [commentSchema],
+    default: []
+  },
+  // Catalog products created on approval, one per plan
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
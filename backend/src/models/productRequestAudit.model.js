@@ -1,7 +1,9 @@
 /**
  * Product Request Audit Model
  * 
- * Tracks all admin actions on product requests (approve, reject, request changes).
+ * Tracks every action on product requests: submission and resubmission,
+ * admin decisions (approve, reject, request changes) and review comments
+ * from either side, each tied to the revision it applied to.
  * 
  * @author Gaurav Khatri
  * @version 1.0
@@ -24,13 +26,18 @@ const productRequestAuditSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['submitted', 'approved', 'rejected', 'changes_requested', 'comment_added'],
+    enum: ['submitted', 'resubmitted', 'approved', 'rejected', 'changes_requested', 'comment_added'],
     required: true
   },
   adminId: {
-    type: String, // Admin email
+    type: String, // Admin email ('system' or vendor email for vendor actions)
     required: true
   },
+  actorType: {
+    type: String,
+    enum: ['admin', 'vendor', 'system'],
+    default: 'admin'
+  },
   comment: {
     type: String,
     default: null,
@@ -44,6 +51,16 @@ const productRequestAuditSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Proposal revision the action applied to
+  revision: {
+    type: Number,
+    default: null
+  },
+  // Products created by an approval
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
   ipAddress: {
     type: String,
     default: null
@@ -0,0 +1,66 @@
+/**
+ * Product Request Revision Model
+ *
+ * Immutable snapshot of a product proposal as the vendor submitted it. The
+ * first submission is revision 1; every resubmission after "changes
+ * requested" adds the next one. ProductRequest always holds the latest.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const revisionPlanSchema = new mongoose.Schema({
+  durationDays: { type: Number, required: true },
+  price: { type: Number, required: true },
+  currency: { type: String, required: true }
+}, { _id: false });
+
+const productRequestRevisionSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductRequest',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: { type: String, required: true },
+  provider: { type: String, required: true },
+  serviceType: { type: String, required: true },
+  plans: { type: [revisionPlanSchema], required: true },
+  stock: { type: Number, default: 0 },
+  warrantyDays: { type: Number, default: 0 },
+  replacementPolicy: { type: String, default: '' },
+  rules: { type: String, default: '' },
+  description: { type: String, default: '' },
+  attachments: [{
+    _id: false,
+    url: String,
+    filename: String,
+    mimetype: String,
+    size: Number
+  }],
+  // Vendor email, or 'system' for proposals created before revisions existed
+  submittedBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Revisions are never edited; a change is a new revision
+productRequestRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Product request revisions cannot be changed'));
+});
+
+// Indexes
+productRequestRevisionSchema.index({ requestId: 1, revision: 1 }, { unique: true });
+
+export default mongoose.model('ProductRequestRevision', productRequestRevisionSchema);
@@ -0,0 +1,58 @@
+/**
+ * Promotion Model
+ *
+ * Automatic discounts (e.g. a flash sale on a provider) applied to matching
+ * order lines during their time window, without a code.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPES } from './coupon.model.js';
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: { type: String, default: '', maxlength: 300 },
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  // Percent (1-100) for percentage promotions, amount off each unit for fixed ones
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: { type: String, default: 'USD', uppercase: true },
+  // Matching lines; at least one provider or product is required
+  scope: {
+    providers: { type: [String], default: [] },
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String, required: true },
+  updatedBy: { type: String, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+export default mongoose.model('Promotion', promotionSchema);
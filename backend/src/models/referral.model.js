@@ -0,0 +1,91 @@
+/**
+ * Referral Model
+ *
+ * One customer signing up with another customer's referral code. Both are
+ * rewarded once the new customer (the referee) pays for their first order;
+ * sign-ups that look like the referrer inviting themselves are recorded as
+ * rejected so they show up in the admin report without earning anything.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+export const REFERRAL_REJECT_REASONS = ['self_referral', 'same_ip', 'same_device'];
+
+const rewardSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['credit', 'coupon'],
+    required: true
+  },
+  // Credit amount in `currency`, or the coupon's percentage
+  amount: { type: Number, required: true },
+  currency: { type: String, default: null },
+  storeCreditTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoreCreditTransaction',
+    default: null
+  },
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: { type: String, default: null },
+  grantedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A customer can only ever be referred once
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Code used at sign-up
+  code: { type: String, required: true },
+  // pending: signed up, waiting for a first paid order
+  // rewarded: first order paid and rewards granted
+  // rejected: failed a fraud check; never rewarded
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded', 'rejected'],
+    default: 'pending'
+  },
+  rejectReason: {
+    type: String,
+    enum: [...REFERRAL_REJECT_REASONS, null],
+    default: null
+  },
+  // Where the referee signed up from, compared against the referrer
+  signupIp: { type: String, default: null },
+  deviceId: { type: String, default: null },
+  qualifyingOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Qualifying order total in the settlement currency
+  qualifyingAmount: { type: Number, default: null },
+  rewardedAt: { type: Date, default: null },
+  referrerReward: { type: rewardSchema, default: null },
+  refereeReward: { type: rewardSchema, default: null }
+}, {
+  timestamps: true
+});
+
+// Indexes
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+referralSchema.index({ referrerId: 1, signupIp: 1 });
+referralSchema.index({ referrerId: 1, deviceId: 1 });
+
+export default mongoose.model('Referral', referralSchema);
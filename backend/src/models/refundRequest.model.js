@@ -0,0 +1,122 @@
+/**
+ * Refund Request Model
+ * 
+ * A customer's request for money back on a subscription, raised from a
+ * warranty claim that stayed unresolved past the failure guarantee.
+ * Admins approve a full or partial amount, paid back through the payment
+ * provider or as store credit. Every step is kept in the history.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import { nextNumber } from '../services/counter.service.js';
+
+export const REFUND_METHODS = ['original_payment', 'store_credit'];
+export const ACTIVE_REFUND_STATUSES = ['requested', 'processing'];
+
+const refundEventSchema = new mongoose.Schema({
+  // Workflow status or step name (e.g. 'credentials_revoked')
+  step: { type: String, required: true },
+  actorType: { type: String, enum: ['customer', 'admin', 'system'], required: true },
+  actorId: { type: String, required: true },
+  note: { type: String, default: '' },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const refundRequestSchema = new mongoose.Schema({
+  refundNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  claimId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WarrantyClaim',
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productTitle: { type: String, default: '' },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'rejected', 'failed'],
+    default: 'requested',
+    index: true
+  },
+  currency: { type: String, required: true },
+  // Refundable amount on the line when the request was made
+  requestedAmount: { type: Number, required: true, min: 0 },
+  approvedAmount: { type: Number, default: null, min: 0 },
+  method: {
+    type: String,
+    enum: [...REFUND_METHODS, null],
+    default: null
+  },
+  providerRefundId: { type: String, default: null },
+  storeCreditTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoreCreditTransaction',
+    default: null
+  },
+  failureReason: { type: String, default: null },
+  decidedBy: { type: String, default: null },
+  decidedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  history: [refundEventSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+refundRequestSchema.index({ status: 1, createdAt: -1 });
+// At most one refund waiting for a decision per claim
+refundRequestSchema.index(
+  { claimId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'requested' } }
+);
+
+refundRequestSchema.pre('validate', async function(next) {
+  if (!this.refundNumber && this.isNew) {
+    this.refundNumber = await nextNumber('refund');
+  }
+  next();
+});
+
+export default mongoose.model('RefundRequest', refundRequestSchema);
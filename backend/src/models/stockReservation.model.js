@@ -0,0 +1,82 @@
+/**
+ * Stock Reservation Model
+ *
+ * Units of a product held for an unpaid order, or for a waitlist subscriber
+ * who was told the product is back in stock. While a hold is active its
+ * quantity is counted in Product.reservedStock, so other checkouts cannot
+ * sell the same units. Holds expire after a TTL unless the order is paid.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const stockReservationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  // checkout: held for orderId
+  // waitlist: held for a notified waitlist entry until it checks out
+  source: {
+    type: String,
+    enum: ['checkout', 'waitlist'],
+    default: 'checkout'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Null for waitlist holds of guests, who are matched by email
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: { type: String, default: '' },
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // active: counted in Product.reservedStock
+  // converted: order paid, units handed to allocation
+  // released / expired: units returned to the available pool
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: { type: Date, required: true },
+  convertedAt: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  releaseReason: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockReservationSchema.index({ orderId: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ productId: 1, status: 1 });
+stockReservationSchema.index({ source: 1, status: 1, customerId: 1 });
+// One active hold per order line
+stockReservationSchema.index(
+  { orderId: 1, productId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', orderId: { $type: 'objectId' } } }
+);
+
+export default mongoose.model('StockReservation', stockReservationSchema);
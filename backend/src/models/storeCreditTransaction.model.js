@@ -0,0 +1,123 @@
+/**
+ * Store Credit Transaction Model
+ *
+ * Append-only ledger of every change to a customer's wallet. Each entry is
+ * booked double-entry style: the customer's wallet on one side and a
+ * platform account (refunds, sales, goodwill, ...) on the other, so the
+ * platform side always sums to minus the total of all wallets.
+ * User.storeCreditBalance is a cache of these entries.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+export const STORE_CREDIT_REASONS = [
+  'refund',
+  'adjustment',
+  // Value of a gift that expired before the recipient claimed it
+  'gift_unclaimed',
+  // Credit an admin grants as a gesture, not owed to the customer
+  'goodwill',
+  // Wallet used to pay an order, and given back when that order is cancelled
+  'checkout_payment',
+  'checkout_reversal',
+  // Reward for referring a customer, or for signing up through a referral
+  'referral_reward'
+];
+
+// Platform account on the other side of each reason
+export const STORE_CREDIT_ACCOUNTS = {
+  refund: 'refunds',
+  adjustment: 'adjustments',
+  gift_unclaimed: 'gifts',
+  goodwill: 'goodwill',
+  checkout_payment: 'sales',
+  checkout_reversal: 'sales',
+  referral_reward: 'referrals'
+};
+
+const storeCreditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // credit: into the wallet (amount > 0); debit: out of it (amount < 0)
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  // Positive for credits, negative for debits, in the wallet currency
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    default: 'USD'
+  },
+  // What the entry was worth in the currency it came from (e.g. the order's)
+  sourceAmount: { type: Number, default: null },
+  sourceCurrency: { type: String, default: null },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: STORE_CREDIT_REASONS,
+    required: true
+  },
+  account: {
+    type: String,
+    enum: [...new Set(Object.values(STORE_CREDIT_ACCOUNTS))],
+    required: true
+  },
+  refundRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest',
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Entry this one undoes (checkout_reversal of a checkout_payment)
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoreCreditTransaction',
+    default: null
+  },
+  note: { type: String, default: '' },
+  // Admin email, 'system' or 'customer'
+  createdBy: { type: String, required: true },
+  ipAddress: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Entries are never edited; mistakes are corrected with a new entry
+storeCreditTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Store credit entries cannot be changed'));
+});
+
+// Indexes
+storeCreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+storeCreditTransactionSchema.index({ orderId: 1 });
+// A refund is credited at most once
+storeCreditTransactionSchema.index(
+  { refundRequestId: 1 },
+  { unique: true, partialFilterExpression: { refundRequestId: { $type: 'objectId' } } }
+);
+// An entry is reversed at most once
+storeCreditTransactionSchema.index(
+  { reversalOf: 1 },
+  { unique: true, partialFilterExpression: { reversalOf: { $type: 'objectId' } } }
+);
+
+export default mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
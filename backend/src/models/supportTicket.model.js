@@ -0,0 +1,130 @@
+/**
+ * Support Ticket Model
+ *
+ * A customer's support conversation, optionally tied to one of their orders.
+ * Messages form a single thread; admin internal notes are never shown to the
+ * customer, and tickets shared with a vendor are served to them anonymised.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import { nextNumber } from '../services/counter.service.js';
+
+export const TICKET_CATEGORIES = ['order', 'subscription', 'payment', 'account', 'other'];
+export const TICKET_STATUSES = ['open', 'pending', 'resolved', 'closed'];
+export const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+// Statuses counted as "open" on the customer dashboard and admin inbox
+export const OPEN_TICKET_STATUSES = ['open', 'pending'];
+
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  originalName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true }
+});
+
+const ticketMessageSchema = new mongoose.Schema({
+  authorType: {
+    type: String,
+    enum: ['customer', 'admin', 'vendor', 'system'],
+    required: true
+  },
+  // Customer ID, admin email or vendor primary email
+  authorId: { type: String, required: true },
+  body: {
+    type: String,
+    default: '',
+    maxlength: 5000
+  },
+  // Admin-only note, hidden from customer and vendor
+  internal: { type: Boolean, default: false },
+  attachments: [attachmentSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const supportTicketSchema = new mongoose.Schema({
+  ticketNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Supplying vendor of the linked order (only set when an order is linked)
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  // Admin decided the vendor should see and answer this ticket
+  sharedWithVendor: { type: Boolean, default: false },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  category: {
+    type: String,
+    enum: TICKET_CATEGORIES,
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: TICKET_STATUSES,
+    default: 'open',
+    index: true
+  },
+  priority: {
+    type: String,
+    enum: TICKET_PRIORITIES,
+    default: 'normal'
+  },
+  // Admin email of the agent handling the ticket
+  assignee: { type: String, default: null },
+  messages: [ticketMessageSchema],
+  lastMessageAt: { type: Date, default: Date.now },
+  lastMessageBy: {
+    type: String,
+    enum: ['customer', 'admin', 'vendor', 'system'],
+    default: 'customer'
+  },
+  resolvedAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+supportTicketSchema.index({ status: 1, priority: 1, lastMessageAt: -1 });
+supportTicketSchema.index({ customerId: 1, lastMessageAt: -1 });
+supportTicketSchema.index({ vendorId: 1, sharedWithVendor: 1, lastMessageAt: -1 });
+supportTicketSchema.index({ assignee: 1, status: 1 });
+
+supportTicketSchema.pre('validate', async function(next) {
+  if (!this.ticketNumber && this.isNew) {
+    this.ticketNumber = await nextNumber('ticket');
+  }
+  next();
+});
+
+export default mongoose.model('SupportTicket', supportTicketSchema);
@@ -49,6 +49,20 @@ const userSchema = new mongoose.Schema({
   // Socket ID for real-time features (optional)
   socketId: { type: String },
   
+  // Store credit balance (cache of StoreCreditTransaction entries)
+  storeCreditBalance: { type: Number, default: 0, min: 0 },
+
+  // Referral code shared by this customer (issued once the account is verified)
+  referralCode: { type: String },
+
+  // Customer whose referral code was used at sign-up
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // Where the account was created and last used from (referral fraud checks)
+  signupIp: { type: String, default: null },
+  lastLoginIp: { type: String, default: null },
+  deviceId: { type: String, default: null },
+  
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
 
 // MODEL: Database indexes for query optimization
@@ -56,6 +70,7 @@ userSchema.index({ email: 1 }); // Already unique, but explicit index for lookup
 userSchema.index({ isAccountVerified: 1, createdAt: -1 }); // For filtering verified users
 userSchema.index({ createdAt: -1 }); // For sorting by creation date
 userSchema.index({ updatedAt: -1 }); // For inactive user cleanup queries
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true }); // Referral link lookups
 
 /**
  * Static Method: Hash Password
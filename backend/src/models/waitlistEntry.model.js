@@ -0,0 +1,75 @@
+/**
+ * Waitlist Entry Model
+ *
+ * A customer (logged in or email-only guest) waiting for an out-of-stock
+ * product. Entries are served first come, first served: when stock comes
+ * back, the oldest waiting entry is given a time-limited hold on one unit
+ * and emailed.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+
+const waitlistEntrySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  // Null for guests
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // waiting: in the queue
+  // notified: emailed with a unit held until holdExpiresAt
+  // claimed: the held unit went into an order
+  // expired: the hold ran out without an order
+  // cancelled: the customer left the waitlist
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Lets guests leave the waitlist from the email link
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  notifiedAt: { type: Date, default: null },
+  holdExpiresAt: { type: Date, default: null },
+  claimedAt: { type: Date, default: null },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ productId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+// One place in the queue per email and product
+waitlistEntrySchema.index(
+  { productId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,144 @@
+/**
+ * Warranty Claim Model
+ *
+ * A customer's report that delivered access stopped working, raised within
+ * the product's warranty window. Vendors see claims without the customer's
+ * identity; admins see everything including the replacement chain.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import { nextNumber } from '../services/counter.service.js';
+
+export const CLAIM_ISSUE_TYPES = ['not_working', 'wrong_credentials', 'password_changed', 'profile_taken', 'other'];
+export const OPEN_CLAIM_STATUSES = ['open', 'in_review'];
+
+// One link per replacement: the unit that failed and the unit issued instead
+const replacementSchema = new mongoose.Schema({
+  fromCredentialId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductCredential', required: true },
+  fromProfileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  fromProfileName: { type: String, default: null },
+  toCredentialId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductCredential', required: true },
+  toProfileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  toProfileName: { type: String, default: null },
+  replacedBy: { type: String, required: true },
+  replacedByType: { type: String, enum: ['vendor', 'admin'], required: true },
+  replacedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const claimEventSchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  actorType: { type: String, enum: ['customer', 'vendor', 'admin', 'system'], required: true },
+  actorId: { type: String, required: true },
+  note: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const warrantyClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productTitle: { type: String, default: '' },
+  // Unit the customer reported (current unit at the time of the claim)
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductCredential',
+    required: true
+  },
+  credentialType: {
+    type: String,
+    enum: ['account_share', 'email_invite', 'license_key'],
+    required: true
+  },
+  profileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  profileName: { type: String, default: null },
+  issueType: {
+    type: String,
+    enum: CLAIM_ISSUE_TYPES,
+    default: 'not_working'
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'replaced', 'rejected', 'refunded'],
+    default: 'open',
+    index: true
+  },
+  // Snapshot of the warranty terms the claim was accepted under
+  warrantyType: { type: String, default: 'none' },
+  warrantyDays: { type: Number, default: 0 },
+  warrantyEndsAt: { type: Date, required: true },
+  resolutionNote: { type: String, default: '' },
+  resolvedAt: { type: Date, default: null },
+  resolvedBy: { type: String, default: null },
+  resolvedByType: { type: String, enum: ['vendor', 'admin', null], default: null },
+  replacement: { type: replacementSchema, default: null },
+  history: [claimEventSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+warrantyClaimSchema.index({ vendorId: 1, status: 1, createdAt: -1 });
+warrantyClaimSchema.index({ customerId: 1, createdAt: -1 });
+// At most one unresolved claim per delivered unit
+warrantyClaimSchema.index(
+  { allocationId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+warrantyClaimSchema.pre('validate', async function(next) {
+  if (!this.claimNumber && this.isNew) {
+    this.claimNumber = await nextNumber('claim');
+  }
+  next();
+});
+
+export default mongoose.model('WarrantyClaim', warrantyClaimSchema);
@@ -0,0 +1,34 @@
+/**
+ * Admin Bundle Routes
+ *
+ * Bundle management for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import { getBundles, createBundle, updateBundle, updateBundleStatus } from '../controllers/admin.bundle.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/bundles - List bundles with their components
+router.get('/', verifyAdminJWT, getBundles);
+
+// POST /api/admin/bundles - Create a bundle
+router.post('/', verifyAdminJWT, rateLimitSystemActions, createBundle);
+
+// PUT /api/admin/bundles/:id - Update a bundle
+router.put('/:id', verifyAdminJWT, rateLimitSystemActions, updateBundle);
+
+// PATCH /api/admin/bundles/:id/status - Activate, deactivate or archive a bundle
+router.patch('/:id/status', verifyAdminJWT, rateLimitSystemActions, updateBundleStatus);
+
+export default router;
@@ -0,0 +1,40 @@
+/**
+ * Admin Currency Routes
+ *
+ * Exchange rate table management for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getRates,
+  updateRate,
+  removeRate,
+  importRateFile
+} from '../controllers/admin.currency.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+import { uploadRateFile, handleRateUploadError } from '../middleware/uploadRates.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/currencies - Rate table and currencies without a rate
+router.get('/', verifyAdminJWT, getRates);
+
+// POST /api/admin/currencies/import - Import rates from a JSON or CSV file
+router.post('/import', verifyAdminJWT, rateLimitSystemActions, uploadRateFile, handleRateUploadError, importRateFile);
+
+// PUT /api/admin/currencies/:currency - Create or update a rate
+router.put('/:currency', verifyAdminJWT, rateLimitSystemActions, updateRate);
+
+// DELETE /api/admin/currencies/:currency - Remove a rate
+router.delete('/:currency', verifyAdminJWT, rateLimitSystemActions, removeRate);
+
+export default router;
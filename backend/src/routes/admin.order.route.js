@@ -0,0 +1,39 @@
+/**
+ * Admin Order Routes
+ * 
+ * Order listing, payment history and refunds for admins.
+ * All routes require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getOrders,
+  getOrderById,
+  refundOrder,
+  retryOrderAllocation
+} from '../controllers/admin.order.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/orders - List orders
+router.get('/', verifyAdminJWT, getOrders);
+
+// GET /api/admin/orders/:id - Get order with payment events
+router.get('/:id', verifyAdminJWT, getOrderById);
+
+// POST /api/admin/orders/:id/refund - Refund a paid order through its provider
+router.post('/:id/refund', verifyAdminJWT, rateLimitSystemActions, refundOrder);
+
+// POST /api/admin/orders/:id/allocate - Retry credential allocation for open items
+router.post('/:id/allocate', verifyAdminJWT, rateLimitSystemActions, retryOrderAllocation);
+
+export default router;
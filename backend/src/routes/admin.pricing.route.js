@@ -0,0 +1,37 @@
+/**
+ * Admin Pricing Routes
+ *
+ * Markup rules and margin reporting for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import { getRules, createRule, updateRule, deleteRule, getMargins } from '../controllers/admin.pricing.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/pricing/rules - List markup rules
+router.get('/rules', verifyAdminJWT, getRules);
+
+// POST /api/admin/pricing/rules - Create a markup rule and reprice affected products
+router.post('/rules', verifyAdminJWT, rateLimitSystemActions, createRule);
+
+// PUT /api/admin/pricing/rules/:id - Update a markup rule and reprice affected products
+router.put('/rules/:id', verifyAdminJWT, rateLimitSystemActions, updateRule);
+
+// DELETE /api/admin/pricing/rules/:id - Delete a markup rule and reprice affected products
+router.delete('/rules/:id', verifyAdminJWT, rateLimitSystemActions, deleteRule);
+
+// GET /api/admin/pricing/margins - Revenue, vendor cost and margin over paid orders
+router.get('/margins', verifyAdminJWT, getMargins);
+
+export default router;
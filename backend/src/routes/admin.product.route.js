@@ -0,0 +1,51 @@
+/**
+ * Admin Product Routes
+ *
+ * Catalog console over every vendor's products.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getProducts,
+  getProductById,
+  updateProduct,
+  updateProductStatus,
+  forceReReview,
+  reviewProductById,
+  reviewProductChangeById
+} from '../controllers/admin.product.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/products - List products across vendors
+router.get('/', verifyAdminJWT, getProducts);
+
+// POST /api/admin/products/changes/:changeId/review - Approve or reject a vendor's price, rules or warranty change
+router.post('/changes/:changeId/review', verifyAdminJWT, rateLimitSystemActions, reviewProductChangeById);
+
+// GET /api/admin/products/:id - Get product with its admin change history
+router.get('/:id', verifyAdminJWT, getProductById);
+
+// PUT /api/admin/products/:id - Edit title, description and images
+router.put('/:id', verifyAdminJWT, rateLimitSystemActions, updateProduct);
+
+// PATCH /api/admin/products/:id/status - Activate, deactivate or archive a product
+router.patch('/:id/status', verifyAdminJWT, rateLimitSystemActions, updateProductStatus);
+
+// POST /api/admin/products/:id/re-review - Take a product off the storefront until reviewed again
+router.post('/:id/re-review', verifyAdminJWT, rateLimitSystemActions, forceReReview);
+
+// POST /api/admin/products/:id/review - Approve or reject a product waiting for review
+router.post('/:id/review', verifyAdminJWT, rateLimitSystemActions, reviewProductById);
+
+export default router;
@@ -9,12 +9,13 @@
 
 import express from 'express';
 import {
-  getAdminProductRequests,
-  getAdminProductRequestById
-  // approveProductRequest,  // Not implemented in controller
-  // rejectProductRequest,   // Not implemented in controller
-  // requestChanges         // Not implemented in controller
-} from '../controllers/admin.productRequest.controller.js';
+  getProductRequests,
+  getProductRequestById,
+  approveProductRequest,
+  rejectProductRequest,
+  requestChanges,
+  addComment
+} from '../controllers/admin.productRequestReview.controller.js';
 import {
   getRequestCredentials,
   decryptCredential,
@@ -22,6 +23,7 @@ import {
   rejectCredential
 } from '../controllers/admin.productCredential.controller.js';
 import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
 
 const router = express.Router();
 
@@ -30,22 +32,22 @@ const router = express.Router();
  */
 
 // GET /api/admin/product-requests - Get all product requests (queue)
-router.get('/', verifyAdminJWT, getAdminProductRequests);
+router.get('/', verifyAdminJWT, getProductRequests);
 
-// GET /api/admin/product-requests/:id - Get product request by ID
-router.get('/:id', verifyAdminJWT, getAdminProductRequestById);
+// GET /api/admin/product-requests/:id - Get product request with comments and audit log
+router.get('/:id', verifyAdminJWT, getProductRequestById);
 
-// POST /api/admin/product-requests/:id/approve - Approve product request
-// router.post('/:id/approve', verifyAdminJWT, approveProductRequest); // Not implemented in controller
+// POST /api/admin/product-requests/:id/approve - Approve and create one product per plan
+router.post('/:id/approve', verifyAdminJWT, rateLimitSystemActions, approveProductRequest);
 
 // POST /api/admin/product-requests/:id/reject - Reject product request
-// router.post('/:id/reject', verifyAdminJWT, rejectProductRequest); // Not implemented in controller
+router.post('/:id/reject', verifyAdminJWT, rateLimitSystemActions, rejectProductRequest);
 
 // POST /api/admin/product-requests/:id/request-changes - Request changes
-// router.post('/:id/request-changes', verifyAdminJWT, requestChanges); // Not implemented in controller
+router.post('/:id/request-changes', verifyAdminJWT, rateLimitSystemActions, requestChanges);
 
-// POST /api/admin/product-requests/:id/comment - Add comment
-// router.post('/:id/comment', verifyAdminJWT, addComment); // Commented out due to missing controller function
+// POST /api/admin/product-requests/:id/comments - Add comment or reply
+router.post('/:id/comments', verifyAdminJWT, rateLimitSystemActions, addComment);
 
 // Admin Product Request Credential Routes
 // GET /api/admin/product-requests/:requestId/credentials - Get credentials for request
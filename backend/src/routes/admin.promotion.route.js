@@ -0,0 +1,59 @@
+/**
+ * Admin Promotion Routes
+ *
+ * Coupon and automatic promotion management for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  removeCoupon,
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  removePromotion,
+  getPromotionReport
+} from '../controllers/admin.promotion.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/promotions/report - Coupon and promotion redemptions on paid orders
+router.get('/report', verifyAdminJWT, getPromotionReport);
+
+// GET /api/admin/promotions/coupons - List coupons
+router.get('/coupons', verifyAdminJWT, getCoupons);
+
+// POST /api/admin/promotions/coupons - Create a coupon
+router.post('/coupons', verifyAdminJWT, rateLimitSystemActions, createCoupon);
+
+// PUT /api/admin/promotions/coupons/:id - Update a coupon
+router.put('/coupons/:id', verifyAdminJWT, rateLimitSystemActions, updateCoupon);
+
+// DELETE /api/admin/promotions/coupons/:id - Delete a coupon that was never redeemed
+router.delete('/coupons/:id', verifyAdminJWT, rateLimitSystemActions, removeCoupon);
+
+// GET /api/admin/promotions - List automatic promotions
+router.get('/', verifyAdminJWT, getPromotions);
+
+// POST /api/admin/promotions - Create an automatic promotion
+router.post('/', verifyAdminJWT, rateLimitSystemActions, createPromotion);
+
+// PUT /api/admin/promotions/:id - Update an automatic promotion
+router.put('/:id', verifyAdminJWT, rateLimitSystemActions, updatePromotion);
+
+// DELETE /api/admin/promotions/:id - Delete a promotion that was never applied
+router.delete('/:id', verifyAdminJWT, rateLimitSystemActions, removePromotion);
+
+export default router;
@@ -0,0 +1,24 @@
+/**
+ * Admin Referral Routes
+ * 
+ * Referral program reporting for admins.
+ * All routes require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import { getReferralReport } from '../controllers/admin.referral.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/referrals - Referral performance, fraud rejections and top referrers
+router.get('/', verifyAdminJWT, getReferralReport);
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * Admin Refund Routes
+ * 
+ * Refund request review and execution for admins.
+ * All routes require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getRefunds,
+  getRefundById,
+  approveRefundRequest,
+  rejectRefundRequest
+} from '../controllers/admin.refund.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/refunds - List refund requests
+router.get('/', verifyAdminJWT, getRefunds);
+
+// GET /api/admin/refunds/:id - Get refund request with claim and refundable amount
+router.get('/:id', verifyAdminJWT, getRefundById);
+
+// POST /api/admin/refunds/:id/approve - Approve and pay out a full or partial refund
+router.post('/:id/approve', verifyAdminJWT, rateLimitSystemActions, approveRefundRequest);
+
+// POST /api/admin/refunds/:id/reject - Reject a refund request with a reason
+router.post('/:id/reject', verifyAdminJWT, rateLimitSystemActions, rejectRefundRequest);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * Admin Support Routes
+ *
+ * Support ticket inbox and canned replies for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getTickets,
+  getTicketById,
+  replyToTicket,
+  updateTicketById,
+  downloadTicketAttachment,
+  getCannedReplyList,
+  createCannedReply,
+  updateCannedReply,
+  removeCannedReply
+} from '../controllers/admin.supportTicket.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+import { uploadTicketAttachments, handleTicketUploadError } from '../middleware/uploadTicket.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/support/tickets - List tickets with status counts
+router.get('/tickets', verifyAdminJWT, getTickets);
+
+// GET /api/admin/support/tickets/:id - Get ticket with full thread and internal notes
+router.get('/tickets/:id', verifyAdminJWT, getTicketById);
+
+// PATCH /api/admin/support/tickets/:id - Update status, priority, assignee or vendor sharing
+router.patch('/tickets/:id', verifyAdminJWT, rateLimitSystemActions, updateTicketById);
+
+// POST /api/admin/support/tickets/:id/messages - Reply or add an internal note (with attachments)
+router.post('/tickets/:id/messages', verifyAdminJWT, rateLimitSystemActions, uploadTicketAttachments, handleTicketUploadError, replyToTicket);
+
+// GET /api/admin/support/tickets/:id/attachments/:attachmentId - Download an attachment
+router.get('/tickets/:id/attachments/:attachmentId', verifyAdminJWT, downloadTicketAttachment);
+
+// GET /api/admin/support/canned-replies - List canned replies
+router.get('/canned-replies', verifyAdminJWT, getCannedReplyList);
+
+// POST /api/admin/support/canned-replies - Create a canned reply
+router.post('/canned-replies', verifyAdminJWT, rateLimitSystemActions, createCannedReply);
+
+// PUT /api/admin/support/canned-replies/:id - Update a canned reply
+router.put('/canned-replies/:id', verifyAdminJWT, rateLimitSystemActions, updateCannedReply);
+
+// DELETE /api/admin/support/canned-replies/:id - Delete a canned reply
+router.delete('/canned-replies/:id', verifyAdminJWT, rateLimitSystemActions, removeCannedReply);
+
+export default router;
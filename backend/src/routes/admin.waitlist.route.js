@@ -0,0 +1,24 @@
+/**
+ * Admin Waitlist Routes
+ *
+ * Back-in-stock waitlist reporting for admins.
+ * All routes require admin authentication.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import { getDemand } from '../controllers/admin.waitlist.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/waitlist - Waitlist depth per product
+router.get('/', verifyAdminJWT, getDemand);
+
+export default router;
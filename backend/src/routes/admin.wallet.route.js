@@ -0,0 +1,31 @@
+/**
+ * Admin Wallet Routes
+ * 
+ * Customer store credit ledgers and manual adjustments for admins.
+ * All routes require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import { getWallets, getWalletById, createWalletAdjustment } from '../controllers/admin.wallet.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/wallets - Find customers and their store credit balance
+router.get('/', verifyAdminJWT, getWallets);
+
+// GET /api/admin/wallets/:userId - Customer ledger with a balance check
+router.get('/:userId', verifyAdminJWT, getWalletById);
+
+// POST /api/admin/wallets/:userId/adjustments - Credit or debit a wallet (note required)
+router.post('/:userId/adjustments', verifyAdminJWT, rateLimitSystemActions, createWalletAdjustment);
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * Admin Warranty Claim Routes
+ * 
+ * Warranty claim oversight and resolution for admins.
+ * All routes require admin authentication.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getClaims,
+  getClaimById,
+  replaceClaimedAccess,
+  rejectClaimById
+} from '../controllers/admin.warrantyClaim.controller.js';
+import { verifyAdminJWT } from '../middleware/adminAuth.middleware.js';
+import { rateLimitSystemActions } from '../middleware/rateLimitSystem.js';
+
+const router = express.Router();
+
+/**
+ * Protected Admin Routes (Requires Admin Authentication)
+ */
+
+// GET /api/admin/claims - List warranty claims
+router.get('/', verifyAdminJWT, getClaims);
+
+// GET /api/admin/claims/:id - Get claim with its replacement chain
+router.get('/:id', verifyAdminJWT, getClaimById);
+
+// POST /api/admin/claims/:id/replace - Issue a replacement unit from stock
+router.post('/:id/replace', verifyAdminJWT, rateLimitSystemActions, replaceClaimedAccess);
+
+// POST /api/admin/claims/:id/reject - Reject the claim with a reason
+router.post('/:id/reject', verifyAdminJWT, rateLimitSystemActions, rejectClaimById);
+
+export default router;
@@ -0,0 +1,46 @@
+/**
+ * Catalog Routes
+ * 
+ * Public storefront routes for browsing approved products.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  getCatalogProducts,
+  getCatalogFilters,
+  getCurrencyRates,
+  getCatalogProductById,
+  joinProductWaitlist,
+  leaveProductWaitlist
+} from '../controllers/catalog.controller.js';
+import { attachUserIfPresent } from '../middleware/auth.middleware.js';
+import { rateLimitWaitlist } from '../middleware/rateLimitCatalog.js';
+
+const router = express.Router();
+
+/**
+ * Public Routes (No Authentication Required)
+ */
+
+// GET /api/catalog - Browse and search approved products
+router.get('/', getCatalogProducts);
+
+// GET /api/catalog/filters - Get available filter facets
+router.get('/filters', getCatalogFilters);
+
+// GET /api/catalog/currencies - Get exchange rates for display currencies
+router.get('/currencies', getCurrencyRates);
+
+// DELETE /api/catalog/waitlist/:token - Leave a waitlist (link from the email)
+router.delete('/waitlist/:token', rateLimitWaitlist, leaveProductWaitlist);
+
+// GET /api/catalog/:id - Get product detail (plus waitlist state for signed-in customers)
+router.get('/:id', attachUserIfPresent, getCatalogProductById);
+
+// POST /api/catalog/:id/waitlist - Join the back-in-stock waitlist (signed in or with an email)
+router.post('/:id/waitlist', rateLimitWaitlist, attachUserIfPresent, joinProductWaitlist);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * Payment Routes
+ * 
+ * Gateway webhooks and the local mock checkout.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import express from 'express';
+import {
+  receiveWebhook,
+  getMockCheckout,
+  completeMockCheckoutController
+} from '../controllers/payment.controller.js';
+import { verifyUserJWT } from '../middleware/auth.middleware.js';
+import { isMockGatewayEnabled } from '../services/paymentProviders/index.js';
+
+const router = express.Router();
+
+/**
+ * Block the mock gateway outside development unless explicitly enabled
+ */
+const requireMockGateway = (req, res, next) => {
+  if (!isMockGatewayEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mock payment gateway is disabled'
+    });
+  }
+  next();
+};
+
+/**
+ * Public Routes (signature verified)
+ */
+
+// POST /api/payments/webhooks/:provider - Receive a payment gateway webhook
+router.post('/webhooks/:provider', receiveWebhook);
+
+/**
+ * Mock Gateway Routes (Authentication Required)
+ */
+
+// GET /api/payments/mock/:intentId - Get a mock checkout session
+router.get('/mock/:intentId', requireMockGateway, verifyUserJWT, getMockCheckout);
+
+// POST /api/payments/mock/:intentId/complete - Simulate the payment outcome
+router.post('/mock/:intentId/complete', requireMockGateway, verifyUserJWT, completeMockCheckoutController);
+
+export default router;
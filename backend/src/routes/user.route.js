@@ -11,8 +11,15 @@
 
 import express from 'express';
 import { registerUser, loginUser, logoutUser, getUserProfile, sendResetPasswordOtp, resetPassword, sendVerificationOtp, verifyOtp, isAuthenticated, uploadProfilePicture, updateProfilePicture, deleteProfilePicture } from '../controllers/user.controller.js';
+import { createOrder, getOrderQuote, getMyOrders, getMyOrderById, payOrder, downloadMyInvoice } from '../controllers/user.order.controller.js';
+import { getMySubscriptions, getMySubscriptionSummary, revealSubscriptionAccess, renewSubscription, createSubscriptionClaim, getMyClaims, requestClaimRefund, getMyRefunds } from '../controllers/user.subscription.controller.js';
+import { getGift, claimMyGift } from '../controllers/user.gift.controller.js';
+import { getMyWallet } from '../controllers/user.wallet.controller.js';
+import { getMyReferralProgram } from '../controllers/user.referral.controller.js';
+import { openTicket, getMyTickets, getMyTicketById, replyToTicket, closeMyTicket, downloadMyTicketAttachment } from '../controllers/user.supportTicket.controller.js';
 import { verifyUserJWT } from '../middleware/auth.middleware.js';
 import upload, { handleUploadError } from '../middleware/upload.middleware.js';
+import { uploadTicketAttachments, handleTicketUploadError } from '../middleware/uploadTicket.middleware.js';
 
 // Create Express router instance
 const router = express.Router();
@@ -74,4 +81,113 @@ router.put('/update-profile-pic', verifyUserJWT, upload.single('profilePic'), ha
 // DELETE /api/users/delete-profile-pic - Delete profile picture
 router.delete('/delete-profile-pic', verifyUserJWT, deleteProfilePicture);
 
+/**
+ * Order Routes (Authentication Required)
+ * 
+ * Checkout and order history for the authenticated customer.
+ */
+
+// POST /api/users/orders/quote - Price the cart with promotions, a coupon and tax
+router.post('/orders/quote', verifyUserJWT, getOrderQuote);
+
+// POST /api/users/orders - Create an order from cart items
+router.post('/orders', verifyUserJWT, createOrder);
+
+// GET /api/users/orders - List the customer's orders
+router.get('/orders', verifyUserJWT, getMyOrders);
+
+// GET /api/users/orders/:id - Get one of the customer's orders
+router.get('/orders/:id', verifyUserJWT, getMyOrderById);
+
+// POST /api/users/orders/:id/pay - Start payment for a pending order
+router.post('/orders/:id/pay', verifyUserJWT, payOrder);
+
+// GET /api/users/orders/:id/invoice - Download the order's invoice (PDF, or HTML with ?format=html)
+router.get('/orders/:id/invoice', verifyUserJWT, downloadMyInvoice);
+
+/**
+ * Subscription Routes (Authentication Required)
+ * 
+ * Purchased subscriptions and their access details.
+ */
+
+// GET /api/users/subscriptions - List the customer's subscriptions
+router.get('/subscriptions', verifyUserJWT, getMySubscriptions);
+
+// GET /api/users/subscriptions/summary - Dashboard counters
+router.get('/subscriptions/summary', verifyUserJWT, getMySubscriptionSummary);
+
+// POST /api/users/subscriptions/:itemId/access/:allocationId/reveal - Decrypt access details (audited)
+router.post('/subscriptions/:itemId/access/:allocationId/reveal', verifyUserJWT, revealSubscriptionAccess);
+
+// POST /api/users/subscriptions/:itemId/renew - Create a renewal order
+router.post('/subscriptions/:itemId/renew', verifyUserJWT, renewSubscription);
+
+// POST /api/users/subscriptions/:itemId/access/:allocationId/claims - Report broken access (warranty claim)
+router.post('/subscriptions/:itemId/access/:allocationId/claims', verifyUserJWT, createSubscriptionClaim);
+
+// GET /api/users/claims - List the customer's warranty claims
+router.get('/claims', verifyUserJWT, getMyClaims);
+
+// POST /api/users/claims/:claimId/refund - Request a refund for an unresolved claim
+router.post('/claims/:claimId/refund', verifyUserJWT, requestClaimRefund);
+
+// GET /api/users/refunds - List the customer's refund requests
+router.get('/refunds', verifyUserJWT, getMyRefunds);
+
+/**
+ * Wallet Routes (Authentication Required)
+ * 
+ * Store credit balance and the entries behind it.
+ */
+
+// GET /api/users/wallet - Store credit balance and ledger
+router.get('/wallet', verifyUserJWT, getMyWallet);
+
+/**
+ * Referral Routes (Authentication Required)
+ * 
+ * The customer's referral link and the friends who signed up with it.
+ */
+
+// GET /api/users/referrals - Referral link, rewards and referred friends
+router.get('/referrals', verifyUserJWT, getMyReferralProgram);
+
+/**
+ * Gift Routes
+ * 
+ * The claim link emailed to a gift recipient. Anyone with the link can see
+ * the gift; claiming it needs an account.
+ */
+
+// GET /api/users/gifts/:token - Preview a gift
+router.get('/gifts/:token', getGift);
+
+// POST /api/users/gifts/:token/claim - Claim a gift into the customer's account
+router.post('/gifts/:token/claim', verifyUserJWT, claimMyGift);
+
+/**
+ * Support Ticket Routes (Authentication Required)
+ * 
+ * Threaded support conversations with optional attachments.
+ */
+
+// POST /api/users/tickets - Open a ticket (optionally linked to an order)
+router.post('/tickets', verifyUserJWT, uploadTicketAttachments, handleTicketUploadError, openTicket);
+
+// GET /api/users/tickets - List the customer's tickets
+router.get('/tickets', verifyUserJWT, getMyTickets);
+
+// GET /api/users/tickets/:id - Get one ticket with its thread
+router.get('/tickets/:id', verifyUserJWT, getMyTicketById);
+
+// POST /api/users/tickets/:id/messages - Reply to a ticket
+router.post('/tickets/:id/messages', verifyUserJWT, uploadTicketAttachments, handleTicketUploadError, replyToTicket);
+
+// POST /api/users/tickets/:id/close - Close a ticket
+router.post('/tickets/:id/close', verifyUserJWT, closeMyTicket);
+
+// GET /api/users/tickets/:id/attachments/:attachmentId - Download an attachment
+router.get('/tickets/:id/attachments/:attachmentId', verifyUserJWT, downloadMyTicketAttachment);
+
 export default router;
\ No newline at end of file
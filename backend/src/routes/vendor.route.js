@@ -31,8 +31,10 @@ import {
 } from '../controllers/vendor.product.controller.js';
 import {
   createProductRequest,
+  resubmitProductRequest,
   getProductRequests,
   getProductRequestById,
+  addProductRequestComment,
   uploadProductRequestFiles
 } from '../controllers/vendor.productRequest.controller.js';
 import {
@@ -44,7 +46,8 @@ import {
 import {
   uploadCredentials,
   getCredentials,
-  uploadCredentialFiles
+  uploadCredentialFiles,
+  completeCredentialRotation
 } from '../controllers/vendor.productCredential.controller.js';
 import {
   getOrders,
@@ -62,6 +65,18 @@ import {
   getPayouts,
   exportReport
 } from '../controllers/vendor.report.controller.js';
+import {
+  getClaims,
+  getClaimById,
+  reviewClaim,
+  replaceClaimedAccess,
+  rejectClaimById
+} from '../controllers/vendor.warrantyClaim.controller.js';
+import {
+  getTickets,
+  getTicketById,
+  replyToTicket
+} from '../controllers/vendor.supportTicket.controller.js';
 import { verifyVendorJWT } from '../middleware/vendorAuth.middleware.js';
 
 const router = express.Router();
@@ -106,6 +121,13 @@ router.put('/profile', verifyVendorJWT, rateLimitFileUpload, upload.single('logo
 // POST /api/vendor/logout - Vendor logout
 router.post('/logout', verifyVendorJWT, vendorLogout);
 
+// Product Request Routes (rate limited; registered before /products/:id)
+router.post('/products/requests', verifyVendorJWT, rateLimitVendorAPI, uploadProductRequestFiles, createProductRequest);
+router.get('/products/requests', verifyVendorJWT, rateLimitVendorAPI, getProductRequests);
+router.get('/products/requests/:id', verifyVendorJWT, rateLimitVendorAPI, getProductRequestById);
+router.put('/products/requests/:id', verifyVendorJWT, rateLimitVendorAPI, uploadProductRequestFiles, resubmitProductRequest);
+router.post('/products/requests/:id/comments', verifyVendorJWT, rateLimitVendorAPI, addProductRequestComment);
+
 // Product Routes (rate limited)
 router.get('/products', verifyVendorJWT, rateLimitVendorAPI, getProducts);
 router.get('/products/:id', verifyVendorJWT, rateLimitVendorAPI, getProductById);
@@ -114,14 +136,10 @@ router.put('/products/:id', verifyVendorJWT, rateLimitVendorAPI, updateProduct);
 router.delete('/products/:id', verifyVendorJWT, rateLimitVendorAPI, deleteProduct);
 router.post('/products/:id/upload-accounts', verifyVendorJWT, rateLimitFileUpload, uploadAccounts);
 
-// Product Request Routes (rate limited)
-router.post('/products/requests', verifyVendorJWT, rateLimitVendorAPI, uploadProductRequestFiles, createProductRequest);
-router.get('/products/requests', verifyVendorJWT, rateLimitVendorAPI, getProductRequests);
-router.get('/products/requests/:id', verifyVendorJWT, rateLimitVendorAPI, getProductRequestById);
-
 // Product Credential Routes (rate limited)
 router.post('/products/:id/credentials', verifyVendorJWT, rateLimitFileUpload, uploadCredentialFiles, uploadCredentials);
 router.get('/products/:id/credentials', verifyVendorJWT, rateLimitVendorAPI, getCredentials);
+router.post('/products/:id/credentials/:credentialId/rotate', verifyVendorJWT, rateLimitVendorAPI, completeCredentialRotation);
 
 // Admin Request Routes (rate limited)
 router.get('/admin-requests', verifyVendorJWT, rateLimitVendorAPI, getAdminRequests);
@@ -135,6 +153,18 @@ router.get('/orders', verifyVendorJWT, rateLimitVendorAPI, getOrders);
 router.get('/orders/:id', verifyVendorJWT, rateLimitVendorAPI, getOrderById);
 router.put('/orders/:id/fulfill', verifyVendorJWT, rateLimitVendorAPI, fulfillOrder);
 
+// Warranty Claim Routes (rate limited, customer identity never exposed)
+router.get('/claims', verifyVendorJWT, rateLimitVendorAPI, getClaims);
+router.get('/claims/:id', verifyVendorJWT, rateLimitVendorAPI, getClaimById);
+router.post('/claims/:id/review', verifyVendorJWT, rateLimitVendorAPI, reviewClaim);
+router.post('/claims/:id/replace', verifyVendorJWT, rateLimitVendorAPI, replaceClaimedAccess);
+router.post('/claims/:id/reject', verifyVendorJWT, rateLimitVendorAPI, rejectClaimById);
+
+// Support Ticket Routes (rate limited, only tickets shared by an admin, customer identity never exposed)
+router.get('/tickets', verifyVendorJWT, rateLimitVendorAPI, getTickets);
+router.get('/tickets/:id', verifyVendorJWT, rateLimitVendorAPI, getTicketById);
+router.post('/tickets/:id/messages', verifyVendorJWT, rateLimitVendorAPI, replyToTicket);
+
 // Team Routes (rate limited)
 router.get('/team', verifyVendorJWT, rateLimitVendorAPI, getTeamMembers);
 router.post('/team', verifyVendorJWT, rateLimitVendorAPI, createTeamMember);
@@ -0,0 +1,461 @@
+/**
+ * Admin Product Service
+ *
+ * Admin console over every vendor's catalog products: cross-vendor listing,
+ * editing what customers see (title, description, images), storefront
+ * status and review decisions, including vendor changes to price, rules or
+ * warranty held for re-review. Every change is written to ProductAdminAudit,
+ * separately from anything the vendor does. Bundles have their own console
+ * (bundle.service.js) and are not listed here.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import ProductModel from '../models/product.model.js';
+import ProductAdminAuditModel from '../models/productAdminAudit.model.js';
+import ProductChangeRequestModel from '../models/productChangeRequest.model.js';
+import { getCostPrice, applySalePrice } from './pricing.service.js';
+import { roundAmount } from './order.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const PRODUCT_STATUSES = ['draft', 'pending', 'active', 'inactive', 'archived'];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+// Statuses an admin can set from the console
+const ADMIN_SETTABLE_STATUSES = ['active', 'inactive', 'archived'];
+const MAX_IMAGES = 10;
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Find a vendor product (not a bundle)
+ *
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Product document
+ */
+const findProduct = async (productId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw createServiceError('Product not found', 404);
+  }
+  const product = await ProductModel.findOne({ _id: productId, productType: { $ne: 'bundle' } });
+  if (!product) {
+    throw createServiceError('Product not found', 404);
+  }
+  return product;
+};
+
+/**
+ * Record an admin change to a product
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product
+ * @param {string} params.action - Audit action
+ * @param {string} params.adminEmail - Acting admin
+ * @param {Array} [params.changes] - [{ field, before, after }]
+ * @param {string} [params.reason] - Reason given by the admin
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Audit entry
+ */
+const writeAudit = ({ product, action, adminEmail, changes = [], reason = null, context = {} }) =>
+  ProductAdminAuditModel.create({
+    productId: product._id,
+    vendorId: product.vendorId,
+    action,
+    adminId: adminEmail,
+    changes,
+    reason: reason || null,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null
+  });
+
+/**
+ * Admin-facing view of a product
+ *
+ * @param {Object} product - Lean product
+ * @returns {Object} Product with available stock and margin, without account secrets
+ */
+const toAdminProduct = (product) => {
+  const { accountPassword, profiles, ...rest } = product;
+  const costPrice = product.productType === 'bundle' ? null : getCostPrice(product);
+  return {
+    ...rest,
+    costPrice,
+    margin: costPrice === null ? null : roundAmount(product.priceDecimal - costPrice),
+    available: Math.max(0, (product.stock || 0) - (product.reservedStock || 0)),
+    onStorefront: product.status === 'active' && product.adminReviewStatus === 'approved'
+  };
+};
+
+/**
+ * List every vendor's products
+ *
+ * Counts cover all products matching the vendor and provider filters.
+ *
+ * @param {Object} [options] - { search, vendorId, provider, status, reviewStatus, stock: 'out'|'low', changes: 'pending', limit, page }
+ * @returns {Promise<Object>} Paginated products with status counts
+ */
+export const getAdminProducts = async ({ search, vendorId, provider, status, reviewStatus, stock, changes, limit = 25, page = 1 } = {}) => {
+  const scope = { productType: { $ne: 'bundle' } };
+  if (vendorId && mongoose.Types.ObjectId.isValid(vendorId)) scope.vendorId = new mongoose.Types.ObjectId(vendorId);
+  if (provider) scope.provider = String(provider);
+
+  const pendingChangeIds = await ProductChangeRequestModel.distinct('productId', { status: 'pending' });
+
+  const query = { ...scope };
+  if (changes === 'pending') query._id = { $in: pendingChangeIds };
+  if (PRODUCT_STATUSES.includes(status)) query.status = status;
+  if (REVIEW_STATUSES.includes(reviewStatus)) query.adminReviewStatus = reviewStatus;
+  if (search && String(search).trim()) {
+    const pattern = { $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    query.$or = [{ title: pattern }, { sku: pattern }];
+  }
+  if (stock === 'out' || stock === 'low') {
+    const available = { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] };
+    query.$expr = stock === 'out'
+      ? { $lte: [available, 0] }
+      : { $and: [{ $gt: [available, 0] }, { $lte: [available, LOW_STOCK_THRESHOLD] }] };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [products, total, statusCounts, reviewPending, changesPending] = await Promise.all([
+    ProductModel.find(query)
+      .select('-accountPassword -profiles')
+      .populate('vendorId', 'companyName displayName')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    ProductModel.countDocuments(query),
+    ProductModel.aggregate([
+      { $match: scope },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    ProductModel.countDocuments({ ...scope, adminReviewStatus: 'pending' }),
+    ProductModel.countDocuments({ ...scope, _id: { $in: pendingChangeIds } })
+  ]);
+
+  const counts = Object.fromEntries(PRODUCT_STATUSES.map(key => [key, 0]));
+  statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+  const pendingSet = new Set(pendingChangeIds.map(String));
+
+  return {
+    products: products.map(product => ({ ...toAdminProduct(product), pendingChange: pendingSet.has(String(product._id)) })),
+    total,
+    counts: { ...counts, reviewPending, changesPending },
+    page: parseInt(page),
+    limit: parseInt(limit)
+  };
+};
+
+/**
+ * Get a product with its admin change history and vendor change requests
+ *
+ * @param {string} productId - Product ID
+ * @returns {Promise<{product: Object, auditLog: Array, changeRequests: Array}>} Product and history, newest first
+ */
+export const getAdminProduct = async (productId) => {
+  const product = await findProduct(productId);
+  await product.populate('vendorId', 'companyName displayName primaryEmail');
+
+  const [auditLog, changeRequests] = await Promise.all([
+    ProductAdminAuditModel.find({ productId: product._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean(),
+    ProductChangeRequestModel.find({ productId: product._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+
+  return { product: toAdminProduct(product.toObject()), auditLog, changeRequests };
+};
+
+/**
+ * Clean a list of image entries
+ *
+ * The first image marked primary (or the first image) becomes primary.
+ *
+ * @param {Array} images - [{ url, alt, isPrimary }]
+ * @param {string} title - Fallback alt text
+ * @returns {Array} Images
+ */
+const sanitizeImages = (images, title) => {
+  if (!Array.isArray(images)) {
+    throw createServiceError('Images must be a list');
+  }
+  const cleaned = images
+    .map(image => ({
+      url: String(image?.url || '').trim(),
+      alt: String(image?.alt || '').trim().slice(0, 150) || title,
+      isPrimary: Boolean(image?.isPrimary)
+    }))
+    .filter(image => image.url);
+  if (cleaned.length > MAX_IMAGES) {
+    throw createServiceError(`At most ${MAX_IMAGES} images are allowed`);
+  }
+  const primaryIndex = Math.max(0, cleaned.findIndex(image => image.isPrimary));
+  return cleaned.map((image, index) => ({ ...image, isPrimary: index === primaryIndex }));
+};
+
+/**
+ * Edit the customer-facing listing of a product
+ *
+ * Only title, description and images can be changed here; the thumbnail
+ * follows the primary image. Once edited here the listing is admin-curated
+ * and the vendor can no longer change it.
+ *
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {Object} params.data - { title, description, images }
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated product
+ */
+export const updateProductListing = async ({ productId, adminEmail, data = {}, context }) => {
+  const product = await findProduct(productId);
+
+  const next = {};
+  if (data.title !== undefined) {
+    const title = String(data.title || '').trim().slice(0, 150);
+    if (!title) {
+      throw createServiceError('Title is required');
+    }
+    next.title = title;
+  }
+  if (data.description !== undefined) {
+    next.description = String(data.description || '').trim().slice(0, 5000);
+  }
+  if (data.images !== undefined) {
+    next.images = sanitizeImages(data.images, next.title || product.title);
+    next.thumbnail = next.images.find(image => image.isPrimary)?.url || null;
+  }
+
+  const changes = [];
+  for (const [field, after] of Object.entries(next)) {
+    const before = field === 'images'
+      ? product.images.map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary }))
+      : product[field] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, before, after });
+    }
+  }
+  if (changes.length === 0) {
+    return toAdminProduct(product.toObject());
+  }
+
+  changes.forEach(({ field, after }) => { product[field] = after; });
+  product.listingCuratedAt = product.listingCuratedAt || new Date();
+  await product.save();
+
+  await writeAudit({ product, action: 'listing_updated', adminEmail, changes, context });
+  return toAdminProduct(product.toObject());
+};
+
+/**
+ * Activate, deactivate or archive a product
+ *
+ * Only approved products can be activated. A product an admin deactivated
+ * or archived stays that way until an admin activates it again.
+ *
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {string} params.status - active, inactive or archived
+ * @param {string} [params.reason] - Why the status changed
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated product
+ */
+export const setProductStatus = async ({ productId, adminEmail, status, reason, context }) => {
+  if (!ADMIN_SETTABLE_STATUSES.includes(status)) {
+    throw createServiceError('Status must be active, inactive or archived');
+  }
+  const product = await findProduct(productId);
+  if (product.status === status) {
+    return toAdminProduct(product.toObject());
+  }
+  if (status === 'active' && product.adminReviewStatus !== 'approved') {
+    throw createServiceError('Approve the product before activating it', 409);
+  }
+
+  const previous = product.status;
+  const updated = await ProductModel.findOneAndUpdate(
+    { _id: product._id, status: previous },
+    { $set: { status, statusSetByAdmin: status !== 'active', updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('Product was changed in the meantime, reload and try again', 409);
+  }
+
+  await writeAudit({
+    product: updated,
+    action: 'status_changed',
+    adminEmail,
+    changes: [{ field: 'status', before: previous, after: status }],
+    reason: String(reason || '').trim().slice(0, 1000),
+    context
+  });
+  return toAdminProduct(updated.toObject());
+};
+
+/**
+ * Take a product off the storefront until it is reviewed again
+ *
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {string} params.reason - Why the product needs review (required)
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated product
+ */
+export const requestProductReview = async ({ productId, adminEmail, reason, context }) => {
+  const note = String(reason || '').trim().slice(0, 1000);
+  if (!note) {
+    throw createServiceError('A reason is required');
+  }
+  const product = await findProduct(productId);
+  if (product.adminReviewStatus === 'pending') {
+    throw createServiceError('Product is already waiting for review', 409);
+  }
+
+  const previous = product.adminReviewStatus;
+  const updated = await ProductModel.findOneAndUpdate(
+    { _id: product._id, adminReviewStatus: previous },
+    { $set: { adminReviewStatus: 'pending', adminReviewNotes: note, reviewedAt: null, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('Product was changed in the meantime, reload and try again', 409);
+  }
+
+  await writeAudit({
+    product: updated,
+    action: 're_review_requested',
+    adminEmail,
+    changes: [{ field: 'adminReviewStatus', before: previous, after: 'pending' }],
+    reason: note,
+    context
+  });
+  return toAdminProduct(updated.toObject());
+};
+
+/**
+ * Approve or reject a product waiting for review
+ *
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {string} params.decision - approved or rejected
+ * @param {string} [params.notes] - Review notes (required to reject)
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated product
+ */
+export const reviewProduct = async ({ productId, adminEmail, decision, notes, context }) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw createServiceError('Decision must be approved or rejected');
+  }
+  const note = String(notes || '').trim().slice(0, 1000);
+  if (decision === 'rejected' && !note) {
+    throw createServiceError('A reason is required to reject a product');
+  }
+  const product = await findProduct(productId);
+
+  const updated = await ProductModel.findOneAndUpdate(
+    { _id: product._id, adminReviewStatus: 'pending' },
+    { $set: { adminReviewStatus: decision, adminReviewNotes: note || null, reviewedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('Only products waiting for review can be approved or rejected', 409);
+  }
+
+  await writeAudit({
+    product: updated,
+    action: decision === 'approved' ? 'review_approved' : 'review_rejected',
+    adminEmail,
+    changes: [{ field: 'adminReviewStatus', before: 'pending', after: decision }],
+    reason: note,
+    context
+  });
+  return toAdminProduct(updated.toObject());
+};
+
+/**
+ * Approve or reject a vendor change to price, rules or warranty
+ *
+ * Approval applies the proposed values to the live product (repricing it
+ * from the new cost); if that fails the change goes back to pending.
+ *
+ * @param {Object} params
+ * @param {string} params.changeId - Product change request ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {string} params.decision - approved or rejected
+ * @param {string} [params.notes] - Review notes (required to reject)
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<{change: Object, product: Object}>} Decided change and the product
+ */
+export const reviewProductChange = async ({ changeId, adminEmail, decision, notes, context }) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw createServiceError('Decision must be approved or rejected');
+  }
+  const note = String(notes || '').trim().slice(0, 1000);
+  if (decision === 'rejected' && !note) {
+    throw createServiceError('A reason is required to reject a change');
+  }
+  if (!mongoose.Types.ObjectId.isValid(changeId)) {
+    throw createServiceError('Change request not found', 404);
+  }
+
+  const change = await ProductChangeRequestModel.findOneAndUpdate(
+    { _id: changeId, status: 'pending' },
+    { $set: { status: decision, reviewedBy: adminEmail, reviewedAt: new Date(), reviewNotes: note || null } },
+    { new: true }
+  );
+  if (!change) {
+    const exists = await ProductChangeRequestModel.exists({ _id: changeId });
+    throw exists
+      ? createServiceError('Only pending changes can be approved or rejected', 409)
+      : createServiceError('Change request not found', 404);
+  }
+
+  let product;
+  try {
+    product = await findProduct(change.productId);
+    if (decision === 'approved') {
+      change.changes.forEach(({ field }) => {
+        product[field] = change.proposedVersion[field];
+      });
+      await applySalePrice(product);
+      product.updatedAt = new Date();
+      await product.save();
+    }
+  } catch (error) {
+    await ProductChangeRequestModel.updateOne(
+      { _id: change._id, status: decision },
+      { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNotes: null } }
+    );
+    throw error;
+  }
+
+  await writeAudit({
+    product,
+    action: decision === 'approved' ? 'change_approved' : 'change_rejected',
+    adminEmail,
+    changes: change.changes,
+    reason: note,
+    context
+  });
+  return { change: change.toObject(), product: toAdminProduct(product.toObject()) };
+};
+
+export default {
+  getAdminProducts,
+  getAdminProduct,
+  updateProductListing,
+  setProductStatus,
+  requestProductReview,
+  reviewProduct,
+  reviewProductChange
+};
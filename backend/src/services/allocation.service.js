@@ -0,0 +1,554 @@
+/**
+ * Allocation Service
+ *
+ * Assigns credentials to paid order items. Each unit (account_share profile,
+ * email invite slot or license key) is reserved with a single conditional
+ * update on its ProductCredential document, so two orders competing for the
+ * last unit can never both receive it.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import ProductCredentialModel from '../models/productCredential.model.js';
+import ProductCredentialAuditModel from '../models/productCredentialAudit.model.js';
+import { applyRenewal } from './renewal.service.js';
+import { getPaidItemTotal, roundAmount, isOrderDelivered } from './order.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const ALLOCATABLE_SERVICE_TYPES = ['account_share', 'email_invite', 'license_key'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Item allocation states that may (still) receive units
+ */
+const OPEN_ALLOCATION_STATUSES = ['pending', 'partially_allocated', 'awaiting_stock'];
+
+/**
+ * Mongo filter for credential batches that may be sold for a product
+ *
+ * Credentials uploaded for an admin stock request only become sellable once approved.
+ *
+ * @param {string|ObjectId} productId - Product ID
+ * @returns {Object} Mongo filter
+ */
+export const getSellableCredentialFilter = (productId) => ({
+  productId,
+  isValid: true,
+  $or: [{ adminRequestId: null }, { approvedAt: { $ne: null } }]
+});
+
+/**
+ * Atomically reserve one unit of a product for a customer
+ *
+ * Oldest batches are used first.
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product (needs _id, serviceType)
+ * @param {string|ObjectId} params.customerId - Customer receiving the unit
+ * @returns {Promise<Object|null>} Allocation entry, or null when no unit is free
+ */
+const reserveUnit = async ({ product, customerId }) => {
+  const now = new Date();
+  const sort = { batchNumber: 1, createdAt: 1 };
+
+  if (product.serviceType === 'account_share') {
+    // The positional operator targets the first unassigned profile matched by
+    // $elemMatch; the pre-update document tells us which one that was.
+    const before = await ProductCredentialModel.findOneAndUpdate(
+      {
+        ...getSellableCredentialFilter(product._id),
+        credentialType: 'account_share',
+        profiles: { $elemMatch: { isAssigned: false } }
+      },
+      {
+        $set: {
+          'profiles.$.isAssigned': true,
+          'profiles.$.assignedTo': customerId,
+          'profiles.$.assignedAt': now,
+          updatedAt: now
+        },
+        $inc: { assignedCount: 1, availableCount: -1 }
+      },
+      { sort, new: false }
+    ).lean();
+
+    if (!before) return null;
+
+    const profile = before.profiles.find(p => !p.isAssigned);
+    return {
+      credential: before,
+      allocation: {
+        credentialId: before._id,
+        credentialType: 'account_share',
+        profileId: profile._id,
+        profileName: profile.profileName,
+        allocatedAt: now
+      }
+    };
+  }
+
+  const credential = await ProductCredentialModel.findOneAndUpdate(
+    {
+      ...getSellableCredentialFilter(product._id),
+      credentialType: product.serviceType,
+      availableCount: { $gt: 0 }
+    },
+    {
+      $set: { assignedTo: customerId, assignedAt: now, updatedAt: now },
+      $inc: { assignedCount: 1, availableCount: -1 }
+    },
+    { sort, new: true }
+  ).lean();
+
+  if (!credential) return null;
+
+  return {
+    credential,
+    allocation: {
+      credentialId: credential._id,
+      credentialType: credential.credentialType,
+      profileId: null,
+      profileName: null,
+      allocatedAt: now
+    }
+  };
+};
+
+/**
+ * Allocate the outstanding units of one order item
+ *
+ * The item is first claimed by moving it to 'allocating', which keeps
+ * concurrent runs for the same order from double-allocating.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} item - Order item subdocument
+ * @param {Object} product - Product (needs _id, serviceType)
+ * @returns {Promise<string|null>} Resulting allocation status, or null if the item was not claimable
+ */
+const allocateOrderItem = async (order, item, product) => {
+  const claim = await OrderModel.updateOne(
+    {
+      _id: order._id,
+      items: { $elemMatch: { _id: item._id, allocationStatus: { $in: OPEN_ALLOCATION_STATUSES } } }
+    },
+    { $set: { 'items.$.allocationStatus': 'allocating' } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const needed = item.quantity - (item.allocations?.length || 0);
+  const allocations = [];
+  let failure = null;
+
+  try {
+    for (let unit = 0; unit < needed; unit++) {
+      const reserved = await reserveUnit({ product, customerId: order.customerId });
+      if (!reserved) break;
+
+      allocations.push(reserved.allocation);
+
+      // Stock mirrors the credential pool; never let it go negative
+      await ProductModel.updateOne(
+        { _id: product._id, stock: { $gte: 1 } },
+        { $inc: { stock: -1 } }
+      );
+
+      await ProductCredentialAuditModel.create({
+        credentialId: reserved.credential._id,
+        productId: product._id,
+        vendorId: reserved.credential.vendorId,
+        action: 'assigned',
+        actorId: 'system',
+        actorType: 'system',
+        details: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          orderItemId: item._id.toString(),
+          customerId: order.customerId.toString(),
+          profileId: reserved.allocation.profileId ? reserved.allocation.profileId.toString() : null,
+          profileName: reserved.allocation.profileName
+        }
+      });
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  const allocatedTotal = (item.allocations?.length || 0) + allocations.length;
+  let status = 'awaiting_stock';
+  if (allocatedTotal >= item.quantity) {
+    status = 'allocated';
+  } else if (allocatedTotal > 0) {
+    status = 'partially_allocated';
+  }
+
+  const set = { 'items.$.allocationStatus': status };
+
+  // The subscription period starts with the first delivered unit
+  if (!item.activatedAt && allocations.length > 0) {
+    const activatedAt = allocations[0].allocatedAt;
+    set['items.$.activatedAt'] = activatedAt;
+    if (item.planDurationDays) {
+      set['items.$.expiresAt'] = new Date(activatedAt.getTime() + item.planDurationDays * DAY_MS);
+    }
+  }
+
+  // Always record what was reserved, even if a later unit failed
+  await OrderModel.updateOne(
+    { _id: order._id, 'items._id': item._id },
+    {
+      $push: { 'items.$.allocations': { $each: allocations } },
+      $set: set
+    }
+  );
+
+  if (failure) throw failure;
+  return status;
+};
+
+/**
+ * Split the amount paid for a bundle line between its components
+ *
+ * Shares follow the components' own prices (equal per unit when none is
+ * priced); the last component takes the rounding remainder so the shares
+ * add up to exactly what the customer paid.
+ *
+ * @param {Object} item - Bundle order item
+ * @returns {Array<number>} Share per component, in bundleComponents order
+ */
+export const splitBundleAmount = (item) => {
+  const paid = getPaidItemTotal(item);
+  const components = item.bundleComponents || [];
+  const weights = components.map(component => (component.listPrice || 0) * component.quantity);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let remaining = paid;
+  return components.map((component, index) => {
+    if (index === components.length - 1) return Math.max(0, roundAmount(remaining));
+    const share = totalWeight > 0
+      ? roundAmount(paid * weights[index] / totalWeight)
+      : roundAmount(paid * component.quantity / components.reduce((sum, entry) => sum + entry.quantity, 0));
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Fan paid bundle lines out into one line per component
+ *
+ * Component lines carry the component's vendor, its share of the bundle
+ * price (so refunds work per vendor), the vendor's cost price (what the
+ * vendor earns) and the bundle's plan duration. Bundles that were already expanded are skipped.
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Order document, reloaded when lines were added
+ */
+const expandBundleItems = async (order) => {
+  const expanded = new Set(order.items.filter(item => item.bundleItemId).map(item => String(item.bundleItemId)));
+  const bundles = order.items.filter(item => item.isBundle && !expanded.has(String(item._id)));
+  if (bundles.length === 0) return order;
+
+  for (const bundle of bundles) {
+    const shares = splitBundleAmount(bundle);
+    const lines = bundle.bundleComponents.map((component, index) => {
+      const quantity = component.quantity * bundle.quantity;
+      // Unit price rounded up to the cent; the overshoot is booked as discount
+      const price = Math.ceil(shares[index] / quantity * 100) / 100;
+      return {
+        productId: component.productId,
+        vendorId: component.vendorId,
+        productTitle: component.productTitle,
+        serviceType: component.serviceType,
+        provider: component.provider,
+        planDurationDays: bundle.planDurationDays,
+        quantity,
+        price,
+        currency: bundle.currency,
+        discountAmount: roundAmount(price * quantity - shares[index]),
+        unitCost: component.unitCost ?? null,
+        bundleItemId: bundle._id
+      };
+    });
+
+    // Conditional on the bundle not having been expanded by a concurrent call
+    await OrderModel.updateOne(
+      { _id: order._id, 'items.bundleItemId': { $ne: bundle._id } },
+      { $push: { items: { $each: lines } } }
+    );
+  }
+
+  return OrderModel.findById(order._id);
+};
+
+/**
+ * Allocation state of a bundle line, derived from its component lines
+ *
+ * @param {Object} bundle - Bundle order item
+ * @param {Array<Object>} components - Its component lines
+ * @returns {string} Allocation status
+ */
+const getBundleAllocationStatus = (bundle, components) => {
+  if (components.length === 0) return bundle.allocationStatus;
+
+  const statuses = components.map(component => component.allocationStatus);
+  if (statuses.every(status => status === 'allocated' || status === 'extended')) return 'allocated';
+  if (statuses.every(status => status === 'manual')) return 'manual';
+  if (components.some(component => component.allocations?.length > 0)) return 'partially_allocated';
+  return statuses.includes('awaiting_stock') ? 'awaiting_stock' : 'pending';
+};
+
+/**
+ * Allocate credentials for every open item of a paid order
+ *
+ * Bundle lines are first expanded into component lines, which are then
+ * allocated like any other line. Safe to call repeatedly: already
+ * allocated items are skipped, items awaiting stock are retried.
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @returns {Promise<Object>} Updated order document
+ */
+export const allocateOrder = async (orderId) => {
+  let order = await OrderModel.findById(orderId);
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+  if (order.paymentStatus !== 'paid') {
+    throw createServiceError('Only paid orders can be allocated', 409);
+  }
+  // Gift orders are delivered on the recipient's redemption order (see gift.service.js)
+  if (order.gift) {
+    throw createServiceError('Gift orders are allocated when the recipient claims them', 409);
+  }
+
+  order = await expandBundleItems(order);
+
+  const products = await ProductModel.find({ _id: { $in: order.items.map(item => item.productId) } })
+    .select('serviceType autoActivate')
+    .lean();
+  const productMap = new Map(products.map(product => [String(product._id), product]));
+
+  for (const item of order.items) {
+    if (item.isBundle || !OPEN_ALLOCATION_STATUSES.includes(item.allocationStatus)) continue;
+
+    // Renewals keep the customer's existing unit when it can be extended
+    if (item.renewalOf?.itemId && item.allocationStatus === 'pending' && await applyRenewal(order, item)) continue;
+
+    const product = productMap.get(String(item.productId));
+    if (!product || !product.autoActivate || !ALLOCATABLE_SERVICE_TYPES.includes(product.serviceType)) {
+      if (item.allocationStatus === 'pending') {
+        await OrderModel.updateOne(
+          { _id: order._id, items: { $elemMatch: { _id: item._id, allocationStatus: 'pending' } } },
+          { $set: { 'items.$.allocationStatus': 'manual' } }
+        );
+      }
+      continue;
+    }
+
+    await allocateOrderItem(order, item, product);
+  }
+
+  return syncFulfillmentStatus(order._id);
+};
+
+/**
+ * Take a failed unit out of circulation after it has been replaced
+ *
+ * Shared units go through the vendor rotation flow before they can be sold
+ * again; license keys are never reused.
+ *
+ * @param {Object} allocation - Allocation as it was before the replacement
+ * @param {string|ObjectId} customerId - Customer holding the unit
+ * @returns {Promise<void>}
+ */
+const retireReplacedUnit = async (allocation, customerId) => {
+  const now = new Date();
+
+  if (allocation.credentialType === 'account_share') {
+    await ProductCredentialModel.updateOne(
+      {
+        _id: allocation.credentialId,
+        profiles: { $elemMatch: { _id: allocation.profileId, isAssigned: true, assignedTo: customerId } }
+      },
+      { $set: { 'profiles.$.rotationRequired': true, updatedAt: now } }
+    );
+  } else if (allocation.credentialType === 'email_invite') {
+    await ProductCredentialModel.updateOne(
+      { _id: allocation.credentialId, assignedTo: customerId },
+      { $set: { rotationRequired: true, updatedAt: now } }
+    );
+  } else {
+    await ProductCredentialModel.updateOne(
+      { _id: allocation.credentialId, consumedAt: null },
+      { $set: { consumedAt: now, updatedAt: now } }
+    );
+  }
+};
+
+/**
+ * Swap the unit behind an allocation for a fresh one from stock
+ *
+ * The allocation keeps its ID (and the item its expiry), so the customer's
+ * subscription entry simply points at the new unit. The previous unit is
+ * appended to the allocation's replacedUnits.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.orderId - Order ID
+ * @param {string|ObjectId} params.itemId - Order item ID
+ * @param {string|ObjectId} params.allocationId - Allocation to replace
+ * @param {string|ObjectId} [params.claimId] - Warranty claim that triggered the swap
+ * @param {Object} params.actor - { actorId, actorType } for the audit trail
+ * @returns {Promise<{from: Object, to: Object}>} Previous and new allocation data
+ */
+export const replaceAllocation = async ({ orderId, itemId, allocationId, claimId = null, actor }) => {
+  const order = await OrderModel.findOne({ _id: orderId, paymentStatus: 'paid' }).lean();
+  const item = order?.items.find(entry => String(entry._id) === String(itemId));
+  const allocation = item?.allocations?.find(entry => String(entry._id) === String(allocationId));
+  if (!allocation) {
+    throw createServiceError('Allocation not found', 404);
+  }
+
+  const product = await ProductModel.findById(item.productId).select('serviceType').lean();
+  if (!product || !ALLOCATABLE_SERVICE_TYPES.includes(product.serviceType)) {
+    throw createServiceError('This product cannot be replaced automatically', 409);
+  }
+
+  const reserved = await reserveUnit({ product, customerId: order.customerId });
+  if (!reserved) {
+    throw createServiceError('No replacement stock available for this product', 409);
+  }
+
+  await ProductModel.updateOne(
+    { _id: product._id, stock: { $gte: 1 } },
+    { $inc: { stock: -1 } }
+  );
+
+  const to = reserved.allocation;
+  await OrderModel.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'items.$[item].allocations.$[allocation].credentialId': to.credentialId,
+        'items.$[item].allocations.$[allocation].credentialType': to.credentialType,
+        'items.$[item].allocations.$[allocation].profileId': to.profileId,
+        'items.$[item].allocations.$[allocation].profileName': to.profileName,
+        'items.$[item].allocations.$[allocation].allocatedAt': to.allocatedAt
+      },
+      $push: {
+        'items.$[item].allocations.$[allocation].replacedUnits': {
+          credentialId: allocation.credentialId,
+          profileId: allocation.profileId,
+          profileName: allocation.profileName,
+          claimId,
+          replacedAt: to.allocatedAt
+        }
+      }
+    },
+    { arrayFilters: [{ 'item._id': item._id }, { 'allocation._id': allocation._id }] }
+  );
+
+  await retireReplacedUnit(allocation, order.customerId);
+
+  const details = {
+    reason: 'warranty_replacement',
+    claimId: claimId ? String(claimId) : null,
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    orderItemId: item._id.toString()
+  };
+
+  const previous = await ProductCredentialModel.findById(allocation.credentialId).select('productId vendorId').lean();
+  await ProductCredentialAuditModel.create([
+    {
+      credentialId: reserved.credential._id,
+      productId: product._id,
+      vendorId: reserved.credential.vendorId,
+      action: 'assigned',
+      ...actor,
+      details: {
+        ...details,
+        customerId: order.customerId.toString(),
+        profileId: to.profileId ? to.profileId.toString() : null,
+        profileName: to.profileName
+      }
+    },
+    {
+      credentialId: allocation.credentialId,
+      productId: previous?.productId || product._id,
+      vendorId: previous?.vendorId || reserved.credential.vendorId,
+      action: 'updated',
+      ...actor,
+      details: {
+        ...details,
+        outcome: allocation.credentialType === 'license_key' ? 'consumed' : 'rotation_required',
+        profileId: allocation.profileId ? allocation.profileId.toString() : null,
+        profileName: allocation.profileName || null
+      }
+    }
+  ]);
+
+  return {
+    from: {
+      credentialId: allocation.credentialId,
+      profileId: allocation.profileId,
+      profileName: allocation.profileName
+    },
+    to: {
+      credentialId: to.credentialId,
+      profileId: to.profileId,
+      profileName: to.profileName
+    }
+  };
+};
+
+/**
+ * Derive order fulfillment state from its items' allocation state
+ *
+ * Bundle lines take their state from their components first, so an order
+ * with a bundle stays in progress until every component is delivered.
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @returns {Promise<Object>} Updated order document
+ */
+export const syncFulfillmentStatus = async (orderId) => {
+  const order = await OrderModel.findById(orderId);
+  if (!order) return null;
+
+  for (const bundle of order.items.filter(item => item.isBundle)) {
+    const components = order.items.filter(item => String(item.bundleItemId) === String(bundle._id));
+    bundle.allocationStatus = getBundleAllocationStatus(bundle, components);
+  }
+
+  const statuses = order.items.map(item => item.allocationStatus);
+  const automatic = statuses.filter(status => status !== 'manual');
+
+  if (automatic.length === 0) {
+    if (order.isModified()) await order.save();
+    return order;
+  }
+
+  // Manual lines count once their vendor has marked them fulfilled
+  if (isOrderDelivered(order)) {
+    order.fulfillmentStatus = 'completed';
+    if (order.status === 'in_progress' || order.status === 'pending') {
+      order.status = 'fulfilled';
+    }
+    order.fulfilledAt = order.fulfilledAt || new Date();
+  } else {
+    order.fulfillmentStatus = 'processing';
+  }
+
+  await order.save();
+  return order;
+};
+
+export default {
+  allocateOrder,
+  replaceAllocation,
+  syncFulfillmentStatus,
+  getSellableCredentialFilter,
+  splitBundleAmount,
+  ALLOCATABLE_SERVICE_TYPES
+};
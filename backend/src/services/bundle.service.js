@@ -0,0 +1,334 @@
+/**
+ * Bundle Service
+ *
+ * Bundles are admin-curated products made of several catalog products,
+ * possibly from different vendors, sold at their own price and plan
+ * duration. A bundle holds no stock: it is available while every
+ * component is, and once paid each component is allocated and earned
+ * by its own vendor (see allocation.service.js).
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import ProductModel from '../models/product.model.js';
+import { getCatalogVisibilityFilter } from './catalog.service.js';
+import { getAvailableStock } from './stockReservation.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const MAX_BUNDLE_COMPONENTS = 10;
+
+const BUNDLE_STATUSES = ['active', 'inactive', 'archived'];
+
+/**
+ * Load the sellable component products of one or more bundles
+ *
+ * @param {Array<Object>} bundles - Bundle products (need bundleItems)
+ * @returns {Promise<Map<string, Object>>} Component products by ID
+ */
+export const getBundleComponentMap = async (bundles) => {
+  const productIds = [...new Set(bundles.flatMap(bundle => (bundle.bundleItems || []).map(entry => String(entry.productId))))];
+  if (productIds.length === 0) return new Map();
+
+  const components = await ProductModel.find({
+    _id: { $in: productIds },
+    productType: { $ne: 'bundle' },
+    ...getCatalogVisibilityFilter()
+  })
+    .select('vendorId title serviceType provider planDurationDays priceDecimal costPrice currency stock reservedStock')
+    .lean();
+  return new Map(components.map(component => [String(component._id), component]));
+};
+
+/**
+ * Bundles that can be sold right now, limited by the scarcest component
+ *
+ * @param {Object} bundle - Bundle product (needs bundleItems)
+ * @param {Map<string, Object>} componentMap - From getBundleComponentMap
+ * @returns {number} Available bundles (0 when a component is no longer sold)
+ */
+export const getBundleAvailableStock = (bundle, componentMap) => {
+  const entries = bundle.bundleItems || [];
+  if (entries.length === 0) return 0;
+
+  return Math.min(...entries.map(entry => {
+    const component = componentMap.get(String(entry.productId));
+    return component ? Math.floor(getAvailableStock(component) / entry.quantity) : 0;
+  }));
+};
+
+/**
+ * Resolve bundles for the storefront
+ *
+ * Bundles get their derived availability as stock and a public list of
+ * what they contain (no vendor identity). Single products are returned
+ * untouched.
+ *
+ * @param {Array<Object>} products - Lean products
+ * @returns {Promise<Array<Object>>} Products ready for toPublicProduct
+ */
+export const withBundleDetails = async (products) => {
+  const bundles = products.filter(product => product.productType === 'bundle');
+  if (bundles.length === 0) return products;
+
+  const componentMap = await getBundleComponentMap(bundles);
+
+  return products.map(product => {
+    if (product.productType !== 'bundle') return product;
+    return {
+      ...product,
+      stock: getBundleAvailableStock(product, componentMap),
+      reservedStock: 0,
+      bundleItems: (product.bundleItems || []).map(entry => {
+        const component = componentMap.get(String(entry.productId));
+        return {
+          productId: entry.productId,
+          title: component?.title || 'Unavailable product',
+          provider: component?.provider || null,
+          serviceType: component?.serviceType || null,
+          quantity: entry.quantity
+        };
+      })
+    };
+  });
+};
+
+/**
+ * Validate the component list of a bundle
+ *
+ * @param {Array} items - [{ productId, quantity }]
+ * @param {string} currency - Bundle currency
+ * @returns {Promise<{bundleItems: Array, components: Array}>} Normalized entries and their products
+ */
+const sanitizeBundleItems = async (items, currency) => {
+  if (!Array.isArray(items) || items.length < 2) {
+    throw createServiceError('A bundle needs at least two products');
+  }
+  if (items.length > MAX_BUNDLE_COMPONENTS) {
+    throw createServiceError(`A bundle can contain at most ${MAX_BUNDLE_COMPONENTS} products`);
+  }
+
+  const bundleItems = [];
+  for (const entry of items) {
+    const productId = String(entry?.productId || '');
+    const quantity = parseInt(entry?.quantity ?? 1, 10);
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw createServiceError('Invalid product in bundle');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10) {
+      throw createServiceError('Component quantity must be between 1 and 10');
+    }
+    if (bundleItems.some(existing => existing.productId === productId)) {
+      throw createServiceError('A product can only appear once in a bundle');
+    }
+    bundleItems.push({ productId, quantity });
+  }
+
+  const componentMap = await getBundleComponentMap([{ bundleItems }]);
+  const components = bundleItems.map(entry => componentMap.get(entry.productId));
+  if (components.some(component => !component)) {
+    throw createServiceError('Bundles can only contain active, approved products that are not bundles themselves');
+  }
+  if (components.some(component => (component.currency || 'USD').toUpperCase() !== currency)) {
+    throw createServiceError(`Every product in the bundle must be priced in ${currency}`);
+  }
+
+  return { bundleItems, components };
+};
+
+/**
+ * Shape a bundle for admins: components with their vendor and availability
+ *
+ * @param {Object} bundle - Lean bundle product
+ * @param {Map<string, Object>} componentMap - Component products (vendorId populated)
+ * @returns {Object} Admin bundle
+ */
+const toAdminBundle = (bundle, componentMap) => {
+  const components = (bundle.bundleItems || []).map(entry => {
+    const component = componentMap.get(String(entry.productId));
+    return {
+      productId: entry.productId,
+      quantity: entry.quantity,
+      title: component?.title || 'Deleted product',
+      sku: component?.sku || null,
+      status: component ? component.status : null,
+      sellable: Boolean(component && component.status === 'active' && component.adminReviewStatus === 'approved'),
+      vendor: component?.vendorId ? (component.vendorId.displayName || component.vendorId.companyName) : null,
+      listPrice: component?.priceDecimal ?? null,
+      available: getAvailableStock(component)
+    };
+  });
+
+  return {
+    _id: bundle._id,
+    title: bundle.title,
+    sku: bundle.sku,
+    description: bundle.description,
+    priceDecimal: bundle.priceDecimal,
+    currency: bundle.currency,
+    planDurationDays: bundle.planDurationDays,
+    status: bundle.status,
+    thumbnail: bundle.thumbnail,
+    tags: bundle.tags || [],
+    components,
+    // What the components would cost bought one by one
+    componentsValue: components.reduce((sum, component) => sum + (component.listPrice || 0) * component.quantity, 0),
+    available: components.length && components.every(component => component.sellable)
+      ? Math.min(...components.map(component => Math.floor(component.available / component.quantity)))
+      : 0,
+    createdAt: bundle.createdAt,
+    updatedAt: bundle.updatedAt
+  };
+};
+
+/**
+ * List bundles for admins
+ *
+ * @param {Object} params - { status, limit, page }
+ * @returns {Promise<{bundles: Array, total: number, page: number, limit: number}>}
+ */
+export const getAdminBundles = async ({ status, limit = 20, page = 1 } = {}) => {
+  const query = { productType: 'bundle' };
+  if (BUNDLE_STATUSES.includes(status)) query.status = status;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [bundles, total] = await Promise.all([
+    ProductModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    ProductModel.countDocuments(query)
+  ]);
+
+  const componentIds = [...new Set(bundles.flatMap(bundle => (bundle.bundleItems || []).map(entry => String(entry.productId))))];
+  const components = await ProductModel.find({ _id: { $in: componentIds } })
+    .select('title sku vendorId priceDecimal stock reservedStock status adminReviewStatus')
+    .populate('vendorId', 'companyName displayName')
+    .lean();
+  const componentMap = new Map(components.map(component => [String(component._id), component]));
+
+  return {
+    bundles: bundles.map(bundle => toAdminBundle(bundle, componentMap)),
+    total,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  };
+};
+
+/**
+ * Create or update a bundle
+ *
+ * Service type and provider are taken from the components when they all
+ * agree, so storefront filters still find the bundle.
+ *
+ * @param {Object} params
+ * @param {string|null} [params.bundleId] - Bundle to update; creates when omitted
+ * @param {Object} params.data - { title, description, priceDecimal, currency, planDurationDays, items: [{ productId, quantity }], thumbnail, tags, status }
+ * @returns {Promise<Object>} Saved bundle
+ */
+export const saveBundle = async ({ bundleId = null, data = {} }) => {
+  const title = String(data.title || '').trim().slice(0, 150);
+  if (!title) {
+    throw createServiceError('Title is required');
+  }
+  const priceDecimal = Number(data.priceDecimal);
+  if (!Number.isFinite(priceDecimal) || priceDecimal <= 0) {
+    throw createServiceError('Price must be greater than 0');
+  }
+  const planDurationDays = parseInt(data.planDurationDays, 10);
+  if (!Number.isInteger(planDurationDays) || planDurationDays < 1) {
+    throw createServiceError('Plan duration must be at least 1 day');
+  }
+  const currency = String(data.currency || 'USD').trim().toUpperCase().slice(0, 3);
+  const status = data.status === undefined ? undefined : String(data.status);
+  if (status !== undefined && !BUNDLE_STATUSES.includes(status)) {
+    throw createServiceError('Status must be active, inactive or archived');
+  }
+
+  const { bundleItems, components } = await sanitizeBundleItems(data.items, currency);
+  const serviceTypes = [...new Set(components.map(component => component.serviceType))];
+  const providers = [...new Set(components.map(component => component.provider))];
+
+  const fields = {
+    title,
+    description: String(data.description || '').trim().slice(0, 5000),
+    priceDecimal: Math.round(priceDecimal * 100) / 100,
+    currency,
+    planDurationDays,
+    bundleItems,
+    serviceType: serviceTypes.length === 1 ? serviceTypes[0] : 'other',
+    provider: providers.length === 1 ? providers[0] : 'other',
+    thumbnail: String(data.thumbnail || '').trim() || null,
+    tags: Array.isArray(data.tags) ? data.tags.map(tag => String(tag).trim()).filter(Boolean).slice(0, 20) : []
+  };
+
+  if (!bundleId) {
+    return ProductModel.create({
+      ...fields,
+      productType: 'bundle',
+      vendorId: null,
+      stock: 0,
+      autoActivate: true,
+      status: status || 'inactive',
+      // Curated by an admin, so no separate review
+      adminReviewStatus: 'approved',
+      reviewedAt: new Date()
+    });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+    throw createServiceError('Bundle not found', 404);
+  }
+  const bundle = await ProductModel.findOneAndUpdate(
+    { _id: bundleId, productType: 'bundle' },
+    { $set: status ? { ...fields, status } : fields },
+    { new: true, runValidators: true }
+  );
+  if (!bundle) {
+    throw createServiceError('Bundle not found', 404);
+  }
+  return bundle;
+};
+
+/**
+ * Change a bundle's storefront status
+ *
+ * Activating re-checks that every component can still be sold.
+ *
+ * @param {Object} params
+ * @param {string} params.bundleId - Bundle ID
+ * @param {string} params.status - active, inactive or archived
+ * @returns {Promise<Object>} Updated bundle
+ */
+export const setBundleStatus = async ({ bundleId, status }) => {
+  if (!BUNDLE_STATUSES.includes(status)) {
+    throw createServiceError('Status must be active, inactive or archived');
+  }
+  if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+    throw createServiceError('Bundle not found', 404);
+  }
+  const bundle = await ProductModel.findOne({ _id: bundleId, productType: 'bundle' });
+  if (!bundle) {
+    throw createServiceError('Bundle not found', 404);
+  }
+
+  if (status === 'active') {
+    await sanitizeBundleItems(bundle.bundleItems.map(entry => entry.toObject()), (bundle.currency || 'USD').toUpperCase());
+  }
+
+  bundle.status = status;
+  await bundle.save();
+  return bundle;
+};
+
+export default {
+  MAX_BUNDLE_COMPONENTS,
+  getBundleComponentMap,
+  getBundleAvailableStock,
+  withBundleDetails,
+  getAdminBundles,
+  saveBundle,
+  setBundleStatus
+};
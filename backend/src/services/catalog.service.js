@@ -0,0 +1,134 @@
+/**
+ * Catalog Service
+ *
+ * Builds storefront queries and shapes products for public consumption.
+ * Only approved, active products are ever exposed, and vendor identity
+ * plus fulfillment secrets are stripped before leaving the backend.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+/**
+ * Fields exposed on the public storefront.
+ * vendorId, account credentials and profile assignments are never selected.
+ */
+export const PUBLIC_PRODUCT_FIELDS = [
+  'productType',
+  'bundleItems',
+  'title',
+  'serviceType',
+  'provider',
+  'planDurationDays',
+  'priceDecimal',
+  'currency',
+  'stock',
+  'reservedStock',
+  'warrantyDays',
+  'warrantyType',
+  'replacementPolicy',
+  'rules',
+  'images',
+  'thumbnail',
+  'description',
+  'tags',
+  'createdAt'
+].join(' ');
+
+export const CATALOG_SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  price_asc: { priceDecimal: 1 },
+  price_desc: { priceDecimal: -1 },
+  duration_asc: { planDurationDays: 1 },
+  duration_desc: { planDurationDays: -1 }
+};
+
+/**
+ * Base visibility filter for the storefront
+ *
+ * @returns {Object} Mongo filter matching sellable products
+ */
+export const getCatalogVisibilityFilter = () => ({
+  status: 'active',
+  adminReviewStatus: 'approved'
+});
+
+/**
+ * Build catalog query from request filters
+ *
+ * @param {Object} filters - Query string filters
+ * @param {string} [filters.provider] - Comma separated providers
+ * @param {string} [filters.serviceType] - Comma separated service types
+ * @param {string|number} [filters.minPrice] - Minimum price
+ * @param {string|number} [filters.maxPrice] - Maximum price
+ * @param {string|number} [filters.duration] - Exact plan duration in days
+ * @param {string|number} [filters.minDuration] - Minimum plan duration in days
+ * @param {string|number} [filters.maxDuration] - Maximum plan duration in days
+ * @param {string} [filters.q] - Full-text search over title, description and tags
+ * @param {string} [filters.productType] - single or bundle
+ * @returns {Object} Mongo filter
+ */
+export const buildCatalogQuery = (filters = {}) => {
+  const query = getCatalogVisibilityFilter();
+  const { provider, serviceType, minPrice, maxPrice, duration, minDuration, maxDuration, q, productType } = filters;
+
+  const toList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (provider) query.provider = { $in: toList(provider) };
+  if (serviceType) query.serviceType = { $in: toList(serviceType) };
+  // Products created before bundles existed have no productType
+  if (productType === 'bundle') query.productType = 'bundle';
+  if (productType === 'single') query.productType = { $ne: 'bundle' };
+
+  const priceRange = {};
+  if (minPrice !== undefined && minPrice !== '' && !isNaN(Number(minPrice))) priceRange.$gte = Number(minPrice);
+  if (maxPrice !== undefined && maxPrice !== '' && !isNaN(Number(maxPrice))) priceRange.$lte = Number(maxPrice);
+  if (Object.keys(priceRange).length) query.priceDecimal = priceRange;
+
+  if (duration !== undefined && duration !== '' && !isNaN(Number(duration))) {
+    query.planDurationDays = Number(duration);
+  } else {
+    const durationRange = {};
+    if (minDuration !== undefined && minDuration !== '' && !isNaN(Number(minDuration))) durationRange.$gte = Number(minDuration);
+    if (maxDuration !== undefined && maxDuration !== '' && !isNaN(Number(maxDuration))) durationRange.$lte = Number(maxDuration);
+    if (Object.keys(durationRange).length) query.planDurationDays = durationRange;
+  }
+
+  if (q && String(q).trim()) {
+    query.$text = { $search: String(q).trim() };
+  }
+
+  return query;
+};
+
+/**
+ * Shape a product document for the storefront
+ *
+ * Replaces the raw stock number with availability flags so the catalog
+ * never leaks inventory depth per vendor. Bundles must be resolved with
+ * withBundleDetails (bundle.service.js) first.
+ *
+ * @param {Object} product - Lean product document
+ * @returns {Object} Public product
+ */
+export const toPublicProduct = (product) => {
+  const { stock, reservedStock, score, ...rest } = product;
+  const primaryImage = product.images?.find(img => img.isPrimary) || product.images?.[0] || null;
+  // Units held by unpaid checkouts cannot be bought
+  const available = Math.max(0, (stock || 0) - (reservedStock || 0));
+
+  return {
+    ...rest,
+    thumbnail: product.thumbnail || primaryImage?.url || null,
+    inStock: available > 0,
+    lowStock: available > 0 && available <= 5
+  };
+};
+
+export default {
+  PUBLIC_PRODUCT_FIELDS,
+  CATALOG_SORT_OPTIONS,
+  getCatalogVisibilityFilter,
+  buildCatalogQuery,
+  toPublicProduct
+};
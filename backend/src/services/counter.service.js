@@ -0,0 +1,175 @@
+/**
+ * Counter Service
+ *
+ * Atomic sequences for human-readable document numbers. Each call returns
+ * the next value of a named sequence; concurrent callers never share one.
+ *
+ * Numbered documents use a configurable format with the tokens {YYYY},
+ * {YY}, {MM} and {SEQ} / {SEQ:width}, e.g. "NS-{YYYY}-{SEQ:6}" gives
+ * NS-2026-000123. A format with a year (or month) token restarts its
+ * sequence every year (or month).
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import CounterModel from '../models/counter.model.js';
+
+/**
+ * Number formats by document type: [model, field, env variable, default format]
+ */
+const NUMBERED_DOCUMENTS = {
+  order: ['Order', 'orderNumber', 'ORDER_NUMBER_FORMAT', 'NS-{YYYY}-{SEQ:6}'],
+  sku: ['Product', 'sku', 'SKU_FORMAT', 'PRD-{SEQ:6}'],
+  invoice: ['Invoice', 'invoiceNumber', 'INVOICE_NUMBER_FORMAT', 'INV-{YYYY}-{SEQ:6}'],
+  claim: ['WarrantyClaim', 'claimNumber', 'CLAIM_NUMBER_FORMAT', 'WC-{YYYY}-{SEQ:6}'],
+  refund: ['RefundRequest', 'refundNumber', 'REFUND_NUMBER_FORMAT', 'RF-{YYYY}-{SEQ:6}'],
+  ticket: ['SupportTicket', 'ticketNumber', 'TICKET_NUMBER_FORMAT', 'TK-{YYYY}-{SEQ:6}']
+};
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|SEQ)(?::(\d{1,2}))?\}/g;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Take the next value of a sequence
+ *
+ * @param {string} name - Sequence name (created on first use, starting at 1)
+ * @returns {Promise<number>} Next value
+ */
+export const nextSequence = async (name) => {
+  const counter = await CounterModel.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq;
+};
+
+/**
+ * Raise a sequence to at least a value (never lowers it)
+ *
+ * @param {string} name - Sequence name
+ * @param {number} value - Minimum current value
+ * @returns {Promise<void>}
+ */
+export const ensureSequenceAtLeast = async (name, value) => {
+  if (!Number.isFinite(value) || value <= 0) return;
+  await CounterModel.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+};
+
+/**
+ * Configured format for a document type
+ *
+ * @param {string} type - Document type (order, sku, invoice, claim, refund, ticket)
+ * @returns {string} Format
+ */
+export const getNumberFormat = (type) => {
+  const [, , envName, fallback] = NUMBERED_DOCUMENTS[type];
+  const format = String(process.env[envName] || '').trim();
+  return format.includes('{SEQ') ? format : fallback;
+};
+
+/**
+ * Period tokens of a date (UTC)
+ *
+ * @param {Date} date - Date
+ * @returns {{YYYY: string, YY: string, MM: string}}
+ */
+const getPeriod = (date) => {
+  const year = String(date.getUTCFullYear());
+  return { YYYY: year, YY: year.slice(2), MM: String(date.getUTCMonth() + 1).padStart(2, '0') };
+};
+
+/**
+ * Counter name for a document type in the period of a date
+ *
+ * @param {string} type - Document type
+ * @param {string} format - Number format
+ * @param {Object} period - { YYYY, YY, MM }
+ * @returns {string} Counter name, e.g. "order-2026" or "ticket-202603"
+ */
+const getSequenceName = (type, format, period) => {
+  const yearly = /\{YYYY\}|\{YY\}/.test(format);
+  const monthly = /\{MM\}/.test(format);
+  if (yearly && monthly) return `${type}-${period.YYYY}${period.MM}`;
+  if (yearly) return `${type}-${period.YYYY}`;
+  if (monthly) return `${type}-${period.MM}`;
+  return type;
+};
+
+/**
+ * Take the next formatted number for a document type
+ *
+ * @param {string} type - Document type (order, sku, invoice, claim, refund, ticket)
+ * @param {Date} [date=new Date()] - Date the number belongs to
+ * @returns {Promise<string>} Formatted number
+ */
+export const nextNumber = async (type, date = new Date()) => {
+  const format = getNumberFormat(type);
+  const period = getPeriod(date);
+  const seq = await nextSequence(getSequenceName(type, format, period));
+  return format.replace(TOKEN_PATTERN, (match, token, width) => (
+    token === 'SEQ' ? String(seq).padStart(Number(width) || 1, '0') : period[token]
+  ));
+};
+
+/**
+ * Seed counters from numbers already issued in the configured formats
+ *
+ * Existing identifiers are never changed. Numbers issued in an older format
+ * (e.g. ORD-<timestamp>-<n>) do not match the new one and are ignored; numbers
+ * that do match (for instance after a restore) raise the counter so new
+ * numbers cannot collide with them. Each format is seeded once.
+ *
+ * @returns {Promise<void>}
+ */
+export const migrateSequences = async () => {
+  for (const [type, [modelName, field]] of Object.entries(NUMBERED_DOCUMENTS)) {
+    const format = getNumberFormat(type);
+    const marker = `migration:${type}:${format}`;
+    if (await CounterModel.exists({ _id: marker })) continue;
+
+    // split() yields [literal, token, width, literal, token, width, ...]
+    const parts = format.split(TOKEN_PATTERN);
+    const tokens = parts.filter((part, index) => index % 3 === 1);
+    const source = parts.map((part, index) => {
+      if (index % 3 === 0) return escapeRegex(part);
+      if (index % 3 === 1) return part === 'YYYY' ? '(\\d{4})' : part === 'SEQ' ? '(\\d+)' : '(\\d{2})';
+      return '';
+    }).join('');
+    const pattern = new RegExp(`^${source}$`);
+    const prefix = parts[0];
+
+    const highest = new Map();
+    const cursor = mongoose.model(modelName)
+      .find({ [field]: prefix ? { $regex: `^${escapeRegex(prefix)}` } : { $type: 'string' } })
+      .select(field)
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      const match = pattern.exec(doc[field] || '');
+      if (!match) continue;
+      const values = Object.fromEntries(tokens.map((token, index) => [token, match[index + 1]]));
+      const year = values.YYYY || (values.YY ? `20${values.YY}` : '');
+      const period = { YYYY: year, YY: year.slice(2), MM: values.MM || '' };
+      const name = getSequenceName(type, format, period);
+      highest.set(name, Math.max(highest.get(name) || 0, Number(values.SEQ)));
+    }
+
+    for (const [name, value] of highest) {
+      await ensureSequenceAtLeast(name, value);
+    }
+    await CounterModel.updateOne({ _id: marker }, { $set: { seq: highest.size } }, { upsert: true });
+  }
+};
+
+export default {
+  nextSequence,
+  ensureSequenceAtLeast,
+  getNumberFormat,
+  nextNumber,
+  migrateSequences
+};
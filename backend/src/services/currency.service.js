@@ -0,0 +1,315 @@
+/**
+ * Currency Service
+ *
+ * Exchange rate table and conversions. Orders are charged in the product's
+ * currency and also record the amount in the settlement currency at the rate
+ * in force when the order was placed; reports use that snapshot so totals
+ * across currencies add up to one figure.
+ *
+ * Rates are "units of currency per 1 settlement currency unit"
+ * (e.g. EUR 0.92 with USD settlement).
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import ExchangeRateModel from '../models/exchangeRate.model.js';
+import ProductModel from '../models/product.model.js';
+import VendorModel from '../models/vendor.model.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+/**
+ * Currency orders settle in and reports are normalized to
+ */
+export const SETTLEMENT_CURRENCY = String(process.env.SETTLEMENT_CURRENCY || 'USD').trim().toUpperCase();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const round2 = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Normalize a currency code
+ *
+ * @param {string} code - Raw code
+ * @returns {string} Upper-cased code
+ */
+export const normalizeCurrencyCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Load the rate table
+ *
+ * @returns {Promise<{baseCurrency: string, rates: Object, updatedAt: Date|null}>} Rates keyed by currency (base included as 1)
+ */
+export const getRateTable = async () => {
+  const rows = await ExchangeRateModel.find({}).select('currency rate updatedAt').lean();
+  const rates = { [SETTLEMENT_CURRENCY]: 1 };
+  let updatedAt = null;
+
+  for (const row of rows) {
+    if (row.currency === SETTLEMENT_CURRENCY) continue;
+    rates[row.currency] = row.rate;
+    if (!updatedAt || row.updatedAt > updatedAt) updatedAt = row.updatedAt;
+  }
+
+  return { baseCurrency: SETTLEMENT_CURRENCY, rates, updatedAt };
+};
+
+/**
+ * Convert an amount between two currencies with a loaded table
+ *
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} rates - Rates from getRateTable
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ */
+export const convertAmount = (amount, from, to, rates) => {
+  const source = normalizeCurrencyCode(from);
+  const target = normalizeCurrencyCode(to);
+  if (source === target) return round2(amount);
+  if (!rates[source] || !rates[target]) return null;
+  return round2(Number(amount) / rates[source] * rates[target]);
+};
+
+/**
+ * Settlement fields for a new order
+ *
+ * @param {number} amount - Order total in its own currency
+ * @param {string} currency - Order currency
+ * @returns {Promise<{settlementCurrency: string, settlementAmount: number, exchangeRate: number}>}
+ */
+export const getSettlementSnapshot = async (amount, currency) => {
+  const code = normalizeCurrencyCode(currency);
+  if (code === SETTLEMENT_CURRENCY) {
+    return { settlementCurrency: SETTLEMENT_CURRENCY, settlementAmount: round2(amount), exchangeRate: 1 };
+  }
+
+  const row = await ExchangeRateModel.findOne({ currency: code }).select('rate').lean();
+  if (!row) {
+    throw createServiceError(`Orders in ${code} cannot be placed right now. Please try again later.`, 409);
+  }
+
+  return {
+    settlementCurrency: SETTLEMENT_CURRENCY,
+    settlementAmount: round2(amount / row.rate),
+    exchangeRate: row.rate
+  };
+};
+
+/**
+ * Convert an amount in an order's currency to the settlement currency
+ *
+ * Uses the rate stored on the order; orders placed before rates were
+ * recorded fall back to the current table.
+ *
+ * @param {number} amount - Amount in the order currency
+ * @param {Object} order - Order (currency, exchangeRate, settlementCurrency)
+ * @param {Object} rates - Rates from getRateTable
+ * @returns {number|null} Amount in the settlement currency, or null when no rate is known
+ */
+export const toSettlementAmount = (amount, order, rates) => {
+  if (order.exchangeRate && order.settlementCurrency === SETTLEMENT_CURRENCY) {
+    return round2(Number(amount) / order.exchangeRate);
+  }
+  return convertAmount(amount, order.currency || 'USD', SETTLEMENT_CURRENCY, rates);
+};
+
+/**
+ * Sum amounts from different orders in the settlement currency
+ *
+ * @param {Array<{amount: number, order: Object}>} entries - Amounts in each order's currency
+ * @param {Object} rates - Rates from getRateTable
+ * @returns {{total: number, unconverted: number}} Settlement total and the number of amounts without a known rate
+ */
+export const sumInSettlement = (entries, rates) => {
+  let total = 0;
+  let unconverted = 0;
+  for (const { amount, order } of entries) {
+    const converted = toSettlementAmount(amount, order, rates);
+    if (converted === null) {
+      unconverted += 1;
+    } else {
+      total += converted;
+    }
+  }
+  return { total: round2(total), unconverted };
+};
+
+/**
+ * Rate table for the admin console, with currencies in use that have no rate
+ *
+ * @returns {Promise<{baseCurrency: string, rates: Array, missingCurrencies: Array<string>}>}
+ */
+export const getAdminRates = async () => {
+  const [rates, productCurrencies, vendorCurrencies] = await Promise.all([
+    ExchangeRateModel.find({}).sort({ currency: 1 }).lean(),
+    ProductModel.distinct('currency'),
+    VendorModel.distinct('currency')
+  ]);
+
+  const known = new Set([SETTLEMENT_CURRENCY, ...rates.map(rate => rate.currency)]);
+  const missingCurrencies = [...new Set([...productCurrencies, ...vendorCurrencies].map(normalizeCurrencyCode))]
+    .filter(code => CURRENCY_PATTERN.test(code) && !known.has(code))
+    .sort();
+
+  return { baseCurrency: SETTLEMENT_CURRENCY, rates, missingCurrencies };
+};
+
+/**
+ * Validate one rate entry
+ *
+ * @param {string} currency - Currency code
+ * @param {*} rate - Rate value
+ * @returns {{currency: string, rate: number}} Valid entry
+ */
+const validateRate = (currency, rate) => {
+  const code = normalizeCurrencyCode(currency);
+  const value = Number(rate);
+  if (!CURRENCY_PATTERN.test(code)) {
+    throw createServiceError(`"${currency}" is not a 3-letter currency code`);
+  }
+  if (code === SETTLEMENT_CURRENCY) {
+    throw createServiceError(`${SETTLEMENT_CURRENCY} is the settlement currency and always has a rate of 1`);
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    throw createServiceError(`Rate for ${code} must be a positive number`);
+  }
+  return { currency: code, rate: value };
+};
+
+/**
+ * Set a single rate
+ *
+ * @param {Object} params - { currency, rate, adminEmail }
+ * @returns {Promise<Object>} Saved rate
+ */
+export const setRate = async ({ currency, rate, adminEmail }) => {
+  const entry = validateRate(currency, rate);
+  return ExchangeRateModel.findOneAndUpdate(
+    { currency: entry.currency },
+    { $set: { rate: entry.rate, source: 'manual', updatedBy: adminEmail } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Remove a rate
+ *
+ * @param {string} currency - Currency code
+ * @returns {Promise<void>}
+ */
+export const deleteRate = async (currency) => {
+  const deleted = await ExchangeRateModel.findOneAndDelete({ currency: normalizeCurrencyCode(currency) });
+  if (!deleted) {
+    throw createServiceError('Rate not found', 404);
+  }
+};
+
+/**
+ * Parse a rate file into raw entries
+ *
+ * JSON: { "base": "EUR", "rates": { "USD": 1.08 } }, { "USD": 1.08 } or [{ "currency": "USD", "rate": 1.08 }]
+ * CSV: one "currency,rate" row per line; a header row and # comments are ignored.
+ * Files with another base are rebased when they include the settlement currency.
+ *
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Array<{currency: string, rate: *}>} Entries relative to the settlement currency
+ */
+const parseRateFile = (file) => {
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  let base = SETTLEMENT_CURRENCY;
+  let entries = [];
+
+  if (file.originalname.toLowerCase().endsWith('.json')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw createServiceError('The JSON file could not be parsed');
+    }
+    if (Array.isArray(data)) {
+      entries = data.map(row => ({ currency: row?.currency, rate: row?.rate }));
+    } else if (data && typeof data === 'object') {
+      if (data.base) base = normalizeCurrencyCode(data.base);
+      const table = data.rates && typeof data.rates === 'object' ? data.rates : data;
+      entries = Object.entries(table)
+        .filter(([key]) => key !== 'base')
+        .map(([currency, rate]) => ({ currency, rate }));
+    }
+  } else {
+    entries = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => line.split(/[,;]/).map(cell => cell.trim().replace(/^"|"$/g, '')))
+      .filter(([currency]) => !/^currency$/i.test(currency))
+      .map(([currency, rate]) => ({ currency, rate }));
+  }
+
+  if (base !== SETTLEMENT_CURRENCY) {
+    const settlementRow = entries.find(entry => normalizeCurrencyCode(entry.currency) === SETTLEMENT_CURRENCY);
+    const settlementRate = Number(settlementRow?.rate);
+    if (!Number.isFinite(settlementRate) || settlementRate <= 0) {
+      throw createServiceError(`A file with base ${base} must include a rate for ${SETTLEMENT_CURRENCY}`);
+    }
+    entries = [
+      ...entries.map(entry => ({ currency: entry.currency, rate: Number(entry.rate) / settlementRate })),
+      { currency: base, rate: 1 / settlementRate }
+    ];
+  }
+
+  return entries.filter(entry => normalizeCurrencyCode(entry.currency) !== SETTLEMENT_CURRENCY);
+};
+
+/**
+ * Import rates from an uploaded JSON or CSV file
+ *
+ * Valid rows are upserted; invalid rows are reported and skipped.
+ *
+ * @param {Object} params - { file, adminEmail }
+ * @returns {Promise<{imported: number, skipped: Array<string>}>}
+ */
+export const importRates = async ({ file, adminEmail }) => {
+  if (!file) {
+    throw createServiceError('Choose a JSON or CSV file to import');
+  }
+
+  const valid = new Map();
+  const skipped = [];
+  for (const entry of parseRateFile(file)) {
+    try {
+      const { currency, rate } = validateRate(entry.currency, entry.rate);
+      valid.set(currency, rate);
+    } catch (error) {
+      skipped.push(error.message);
+    }
+  }
+  if (valid.size === 0) {
+    throw createServiceError(skipped.length ? `No valid rates found: ${skipped[0]}` : 'No rates found in the file');
+  }
+
+  await ExchangeRateModel.bulkWrite(Array.from(valid.entries()).map(([currency, rate]) => ({
+    updateOne: {
+      filter: { currency },
+      update: {
+        $set: { rate, source: 'import', updatedBy: adminEmail, updatedAt: new Date() },
+        $setOnInsert: { currency, createdAt: new Date() }
+      },
+      upsert: true
+    }
+  })));
+
+  return { imported: valid.size, skipped };
+};
+
+export default {
+  SETTLEMENT_CURRENCY,
+  getRateTable,
+  convertAmount,
+  getSettlementSnapshot,
+  toSettlementAmount,
+  sumInSettlement,
+  getAdminRates,
+  setRate,
+  deleteRate,
+  importRates
+};
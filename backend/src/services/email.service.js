@@ -67,10 +67,12 @@ const createTransporter = () => {
  * @param {string} email - Recipient's email address
  * @param {string} subject - Email subject line
  * @param {string} message - Email body content (HTML supported)
+ * @param {Object} [options] - Extra options
+ * @param {Array<Object>} [options.attachments] - Nodemailer attachments ({ filename, content, contentType })
  * @returns {Promise<boolean>} True if email sent successfully
  * @throws {Error} If email sending fails or parameters are invalid
  */
-export const sendEmail = async (email, subject, message) => {
+export const sendEmail = async (email, subject, message, { attachments = [] } = {}) => {
     try {
         // Validate input parameters
         if (!email || !subject || !message) {
@@ -89,6 +91,7 @@ export const sendEmail = async (email, subject, message) => {
             text: message, // Plain text version
             // Add HTML version for better email client compatibility
             html: message.replace(/\n/g, '<br>'), // Convert newlines to HTML breaks
+            attachments,
         });
 
         // Log success message
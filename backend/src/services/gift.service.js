@@ -0,0 +1,385 @@
+/**
+ * Gift Service
+ *
+ * Gift purchases. The purchaser pays for an order as usual, but nothing is
+ * allocated: once paid, the recipient is emailed a single-use link that is
+ * valid for GIFT_CLAIM_DAYS. Whoever claims it first (signed in, and not
+ * the purchaser) gets a free redemption order in their own name, and that
+ * order is allocated like any other. The purchased units stay held until
+ * the claim deadline; a gift that is never claimed is refunded to the
+ * purchaser as store credit.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import crypto from 'crypto';
+import OrderModel from '../models/order.model.js';
+import UserModel from '../models/user.model.js';
+import { allocateOrder } from './allocation.service.js';
+import { extendOrderReservations, convertOrderReservations, releaseOrderReservations } from './stockReservation.service.js';
+import { grantStoreCredit } from './storeCredit.service.js';
+import { recordOrderRefund } from './refund.service.js';
+import { getPendingRefundAmount } from './payment.service.js';
+import { getPaidItemTotal, roundAmount } from './order.service.js';
+import { getUserGiftEmailHTML, getUserGiftConvertedEmailHTML } from '../templates/userEmail.template.js';
+import sendEmail from './email.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const DEFAULT_CLAIM_DAYS = 30;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * How long a recipient has to claim a gift
+ *
+ * @returns {number} Claim window in milliseconds
+ */
+const getClaimWindowMs = () => {
+  const days = parseFloat(process.env.GIFT_CLAIM_DAYS);
+  return (days > 0 ? days : DEFAULT_CLAIM_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Validate the gift details entered at checkout
+ *
+ * @param {Object} params
+ * @param {Object} params.gift - { recipientEmail, recipientName, message }
+ * @param {Object} params.user - Purchaser
+ * @returns {Object} Gift subdocument for a new order
+ */
+export const buildGift = ({ gift, user }) => {
+  const recipientEmail = String(gift?.recipientEmail || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(recipientEmail) || recipientEmail.length > 254) {
+    throw createServiceError('A valid recipient email address is required');
+  }
+  if (recipientEmail === String(user.email || '').toLowerCase()) {
+    throw createServiceError('A gift has to be sent to someone else');
+  }
+
+  return {
+    recipientEmail,
+    recipientName: String(gift.recipientName || '').trim().slice(0, 120),
+    message: String(gift.message || '').trim().slice(0, 500),
+    senderName: `${user.firstname || ''} ${user.lastname || ''}`.trim() || user.email,
+    token: crypto.randomBytes(24).toString('hex'),
+    status: 'awaiting_payment'
+  };
+};
+
+/**
+ * Products held by an order, for releasing them to waitlists
+ *
+ * @param {Object} order - Order
+ * @returns {Array<string>} Product IDs (bundle components included)
+ */
+const getHeldProductIds = (order) => [...new Set(order.items.flatMap(item => (
+  item.isBundle ? item.bundleComponents.map(component => String(component.productId)) : [String(item.productId)]
+)))];
+
+/**
+ * Email the claim link to the recipient (non-fatal)
+ *
+ * @param {Object} order - Gift order
+ * @returns {Promise<void>}
+ */
+const sendGiftEmail = async (order) => {
+  try {
+    await sendEmail(
+      order.gift.recipientEmail,
+      `${order.gift.senderName} sent you a gift`,
+      getUserGiftEmailHTML({
+        recipientName: order.gift.recipientName,
+        senderName: order.gift.senderName,
+        message: order.gift.message,
+        productTitles: order.items.map(item => (item.quantity > 1 ? `${item.quantity} × ${item.productTitle}` : item.productTitle)),
+        expiresAt: order.gift.expiresAt,
+        token: order.gift.token
+      })
+    );
+  } catch (error) {
+    console.error(`Gift email failed for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Send a paid gift to its recipient
+ *
+ * Starts the claim window and keeps the order's stock holds until it ends.
+ * Safe to call more than once; only the first call sends.
+ *
+ * @param {string|ObjectId} orderId - Gift order ID
+ * @returns {Promise<Object|null>} Gift, or null when there was nothing to send
+ */
+export const sendGift = async (orderId) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + getClaimWindowMs());
+
+  const order = await OrderModel.findOneAndUpdate(
+    { _id: orderId, paymentStatus: 'paid', 'gift.status': 'awaiting_payment' },
+    { $set: { 'gift.status': 'sent', 'gift.sentAt': now, 'gift.expiresAt': expiresAt } },
+    { new: true }
+  ).lean();
+  if (!order) return null;
+
+  await extendOrderReservations(order._id, expiresAt);
+  await sendGiftEmail(order);
+  return order.gift;
+};
+
+/**
+ * Public view of a gift for its claim page
+ *
+ * @param {string} token - Gift claim token
+ * @returns {Promise<Object>} { status, senderName, recipientName, message, expiresAt, items }
+ */
+export const getGiftByToken = async (token) => {
+  const order = await OrderModel.findOne({ 'gift.token': String(token || '') })
+    .select('gift items.productTitle items.quantity items.planDurationDays items.isBundle')
+    .lean();
+  if (!order || order.gift.status === 'awaiting_payment') {
+    throw createServiceError('Gift not found', 404);
+  }
+
+  const { gift } = order;
+  return {
+    // A sent gift past its deadline is expired even before the job converts it
+    status: gift.status === 'sent' && gift.expiresAt <= new Date() ? 'expired' : gift.status,
+    senderName: gift.senderName,
+    recipientName: gift.recipientName,
+    message: gift.message,
+    expiresAt: gift.expiresAt,
+    items: order.items.map(item => ({
+      productTitle: item.productTitle,
+      quantity: item.quantity,
+      planDurationDays: item.planDurationDays,
+      isBundle: item.isBundle
+    }))
+  };
+};
+
+/**
+ * Redemption copy of a gift order line
+ *
+ * The purchaser paid for it, so the recipient's line is free.
+ *
+ * @param {Object} item - Gift order item
+ * @returns {Object} Redemption order item
+ */
+const toRedemptionItem = (item) => ({
+  productId: item.productId,
+  vendorId: item.vendorId,
+  productTitle: item.productTitle,
+  serviceType: item.serviceType,
+  provider: item.provider,
+  planDurationDays: item.planDurationDays,
+  quantity: item.quantity,
+  price: 0,
+  currency: item.currency,
+  isBundle: item.isBundle,
+  bundleComponents: item.bundleComponents
+});
+
+/**
+ * Claim a gift
+ *
+ * The first signed-in customer to use the link gets a redemption order in
+ * their name, which is allocated straight away. Claiming the same gift
+ * again returns that order.
+ *
+ * @param {Object} params
+ * @param {string} params.token - Gift claim token
+ * @param {Object} params.user - Authenticated customer
+ * @returns {Promise<{orderId: ObjectId, orderNumber: string}>} Redemption order
+ */
+export const claimGift = async ({ token, user }) => {
+  const order = await OrderModel.findOne({ 'gift.token': String(token || '') }).lean();
+  if (!order || order.gift.status === 'awaiting_payment') {
+    throw createServiceError('Gift not found', 404);
+  }
+
+  if (order.gift.status === 'claimed') {
+    if (String(order.gift.claimedBy) !== String(user._id) || !order.gift.redemptionOrderId) {
+      throw createServiceError('This gift has already been claimed', 409);
+    }
+    const redemption = await OrderModel.findById(order.gift.redemptionOrderId).select('orderNumber').lean();
+    return { orderId: order.gift.redemptionOrderId, orderNumber: redemption?.orderNumber || null };
+  }
+  if (order.gift.status === 'converted' || order.gift.expiresAt <= new Date()) {
+    throw createServiceError('This gift has expired', 410);
+  }
+  if (String(order.customerId) === String(user._id)) {
+    throw createServiceError('You cannot claim a gift you bought', 403);
+  }
+
+  // Only one claim can move the gift out of 'sent'
+  const now = new Date();
+  const claimed = await OrderModel.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'paid', 'gift.status': 'sent', 'gift.expiresAt': { $gt: now } },
+    { $set: { 'gift.status': 'claimed', 'gift.claimedAt': now, 'gift.claimedBy': user._id } },
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    throw createServiceError('This gift can no longer be claimed', 409);
+  }
+
+  let redemption;
+  try {
+    redemption = await OrderModel.create({
+      customerId: user._id,
+      vendorId: claimed.vendorId,
+      items: claimed.items.map(toRedemptionItem),
+      subtotalAmount: 0,
+      totalAmount: 0,
+      currency: claimed.currency,
+      status: 'in_progress',
+      paymentStatus: 'paid',
+      paymentMethod: 'gift',
+      paidAt: now,
+      customerEmail: user.email,
+      billingDetails: {
+        name: `${user.firstname || ''} ${user.lastname || ''}`.trim(),
+        email: user.email
+      },
+      giftOrderId: claimed._id
+    });
+  } catch (error) {
+    await OrderModel.updateOne(
+      { _id: claimed._id, 'gift.status': 'claimed', 'gift.claimedBy': user._id },
+      { $set: { 'gift.status': 'sent', 'gift.claimedAt': null, 'gift.claimedBy': null } }
+    );
+    throw error;
+  }
+
+  // The gift order is done; its units are delivered on the redemption order
+  await OrderModel.updateOne(
+    { _id: claimed._id },
+    {
+      $set: {
+        'gift.redemptionOrderId': redemption._id,
+        'items.$[].allocationStatus': 'gifted',
+        status: 'fulfilled',
+        fulfillmentStatus: 'completed',
+        fulfilledAt: now
+      }
+    }
+  );
+
+  // Allocation problems must not fail the claim; admins can retry allocation
+  try {
+    await allocateOrder(redemption._id);
+  } catch (error) {
+    console.error(`Allocation failed for gift redemption ${redemption.orderNumber}:`, error.message);
+  }
+  try {
+    await convertOrderReservations(claimed._id, { fulfillingOrderId: redemption._id });
+  } catch (error) {
+    console.error(`Reservation conversion failed for gift order ${claimed.orderNumber}:`, error.message);
+  }
+
+  return { orderId: redemption._id, orderNumber: redemption.orderNumber };
+};
+
+/**
+ * Tell the purchaser their gift became store credit (non-fatal)
+ *
+ * @param {Object} order - Gift order
+ * @param {number} amount - Credited amount
+ * @returns {Promise<void>}
+ */
+const sendGiftConvertedEmail = async (order, amount) => {
+  try {
+    const user = await UserModel.findById(order.customerId).select('firstname email').lean();
+    if (!user) return;
+    await sendEmail(
+      user.email,
+      `Your gift (order ${order.orderNumber}) was not claimed`,
+      getUserGiftConvertedEmailHTML({
+        firstname: user.firstname,
+        recipientEmail: order.gift.recipientEmail,
+        orderNumber: order.orderNumber,
+        amount: `${amount.toFixed(2)} ${order.currency}`
+      })
+    );
+  } catch (error) {
+    console.error(`Gift conversion email failed for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Turn gifts that were not claimed in time into store credit
+ *
+ * What is left of the order total after earlier refunds is credited to the
+ * purchaser and booked as a refund of every line, so vendors do not earn
+ * on it. The held units go back to the pool.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum gifts to convert in one pass
+ * @returns {Promise<{converted: number, productIds: Array<string>}>} Gifts converted and the products that got units back
+ */
+export const convertExpiredGifts = async ({ limit = 100 } = {}) => {
+  const expired = await OrderModel.find({ paymentStatus: 'paid', 'gift.status': 'sent', 'gift.expiresAt': { $lte: new Date() } })
+    .select('_id')
+    .sort({ 'gift.expiresAt': 1 })
+    .limit(limit)
+    .lean();
+
+  let converted = 0;
+  const productIds = new Set();
+  for (const { _id } of expired) {
+    const now = new Date();
+    const order = await OrderModel.findOneAndUpdate(
+      { _id, paymentStatus: 'paid', 'gift.status': 'sent', 'gift.expiresAt': { $lte: now } },
+      { $set: { 'gift.status': 'converted', 'gift.convertedAt': now } },
+      { new: true }
+    ).lean();
+    if (!order) continue;
+
+    const amount = roundAmount(order.totalAmount - (order.refundAmount || 0) - getPendingRefundAmount(order));
+    let transaction = null;
+    try {
+      if (amount > 0) {
+        transaction = await grantStoreCredit({
+          userId: order.customerId,
+          amount,
+          currency: order.currency,
+          reason: 'gift_unclaimed',
+          orderId: order._id,
+          note: `Unclaimed gift for ${order.gift.recipientEmail}`,
+          createdBy: 'system'
+        });
+      }
+    } catch (error) {
+      // Left for the next pass
+      await OrderModel.updateOne(
+        { _id: order._id, 'gift.status': 'converted' },
+        { $set: { 'gift.status': 'sent', 'gift.convertedAt': null } }
+      );
+      console.error(`Gift conversion failed for order ${order.orderNumber}:`, error.message);
+      continue;
+    }
+
+    const set = { 'gift.storeCreditTransactionId': transaction?._id || null };
+    order.items.forEach((item, index) => {
+      set[`items.${index}.refundedAmount`] = getPaidItemTotal(item);
+      set[`items.${index}.refundedAt`] = now;
+    });
+    await OrderModel.updateOne({ _id: order._id }, { $set: set });
+    if (amount > 0) {
+      await recordOrderRefund(order, amount);
+    }
+
+    await releaseOrderReservations(order._id, 'gift_unclaimed');
+    getHeldProductIds(order).forEach(productId => productIds.add(productId));
+    await sendGiftConvertedEmail(order, amount);
+    converted++;
+  }
+  return { converted, productIds: [...productIds] };
+};
+
+export default {
+  buildGift,
+  sendGift,
+  getGiftByToken,
+  claimGift,
+  convertExpiredGifts
+};
@@ -0,0 +1,200 @@
+/**
+ * Invoice Service
+ *
+ * Issues one invoice per paid order. Invoice numbers come from an atomic
+ * sequence (INVOICE_NUMBER_FORMAT, by default INV-2026-000001, ...). The invoice
+ * snapshot and its rendered HTML and PDF are stored and never regenerated,
+ * so a download always returns the document that was sent.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import InvoiceModel from '../models/invoice.model.js';
+import OrderModel from '../models/order.model.js';
+import { nextNumber } from './counter.service.js';
+import { SELLER_COUNTRY } from './tax.service.js';
+import { roundAmount } from './order.service.js';
+import { getInvoiceHTML, getInvoicePDF } from '../templates/invoice.template.js';
+import { getUserInvoiceEmailHTML } from '../templates/userEmail.template.js';
+import sendEmail from './email.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+/**
+ * Seller details printed on invoices
+ *
+ * @returns {Object} Seller party
+ */
+const getSellerDetails = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'Next Subscription',
+  address: String(process.env.INVOICE_SELLER_ADDRESS || '').split('|').map(line => line.trim()).join('\n'),
+  email: process.env.INVOICE_SELLER_EMAIL || 'support@nextsubscription.com',
+  country: SELLER_COUNTRY,
+  vatId: process.env.INVOICE_SELLER_VAT_ID || ''
+});
+
+/**
+ * Build the invoice snapshot for an order
+ *
+ * @param {Object} order - Paid order (lean)
+ * @returns {Object} Invoice fields without number and documents
+ */
+const buildInvoiceSnapshot = (order) => {
+  const billing = order.billingDetails || {};
+  // Bundle component lines are internal; the customer bought the bundle line
+  const lines = order.items.filter(item => !item.bundleItemId).map(item => {
+    const netAmount = roundAmount(item.price * item.quantity - (item.discountAmount || 0));
+    return {
+      description: item.planDurationDays ? `${item.productTitle} (${item.planDurationDays} days)` : item.productTitle,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discountAmount: item.discountAmount || 0,
+      netAmount,
+      taxRate: item.taxRate || 0,
+      taxAmount: item.taxAmount || 0,
+      totalAmount: roundAmount(netAmount + (item.taxAmount || 0))
+    };
+  });
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    customerId: order.customerId,
+    suppliedAt: order.paidAt || null,
+    seller: getSellerDetails(),
+    buyer: {
+      name: billing.name || '',
+      companyName: billing.companyName || '',
+      email: billing.email || order.customerEmail,
+      country: billing.country || '',
+      region: billing.region || '',
+      vatId: billing.vatId || ''
+    },
+    lines,
+    currency: order.currency,
+    subtotalAmount: order.subtotalAmount ?? roundAmount(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)),
+    discountAmount: order.discountAmount || 0,
+    taxAmount: order.taxAmount || 0,
+    totalAmount: order.totalAmount,
+    taxLines: order.taxLines || [],
+    taxNote: order.taxNote || ''
+  };
+};
+
+/**
+ * Email an invoice to the customer with the PDF attached (non-fatal)
+ *
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<void>}
+ */
+const emailInvoice = async (invoice) => {
+  try {
+    const order = await OrderModel.findById(invoice.orderId).populate('customerId', 'firstname email').lean();
+    await sendEmail(
+      invoice.buyer.email || order?.customerId?.email,
+      `Invoice ${invoice.invoiceNumber} for order ${invoice.orderNumber}`,
+      getUserInvoiceEmailHTML({
+        firstname: order?.customerId?.firstname,
+        invoiceNumber: invoice.invoiceNumber,
+        orderNumber: invoice.orderNumber,
+        total: `${invoice.totalAmount.toFixed(2)} ${invoice.currency}`
+      }),
+      {
+        attachments: [{
+          filename: `${invoice.invoiceNumber}.pdf`,
+          content: invoice.pdf,
+          contentType: 'application/pdf'
+        }]
+      }
+    );
+    await InvoiceModel.updateOne({ _id: invoice._id }, { $set: { emailedAt: new Date() } });
+  } catch (error) {
+    console.error(`Invoice email failed for ${invoice.invoiceNumber}:`, error.message);
+  }
+};
+
+/**
+ * Issue the invoice for a paid order
+ *
+ * Returns the existing invoice when the order already has one.
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] - Email the invoice to the customer
+ * @returns {Promise<Object>} Invoice document
+ */
+export const issueInvoice = async (orderId, { notify = true } = {}) => {
+  const existing = await InvoiceModel.findOne({ orderId });
+  if (existing) return existing;
+
+  const order = await OrderModel.findById(orderId).lean();
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+  if (!['paid', 'refunded'].includes(order.paymentStatus)) {
+    throw createServiceError('An invoice is issued once the order has been paid', 409);
+  }
+
+  const issuedAt = new Date();
+  const snapshot = {
+    ...buildInvoiceSnapshot(order),
+    invoiceNumber: await nextNumber('invoice', issuedAt),
+    issuedAt
+  };
+
+  let invoice;
+  try {
+    invoice = await InvoiceModel.create({
+      ...snapshot,
+      html: getInvoiceHTML(snapshot),
+      pdf: getInvoicePDF(snapshot)
+    });
+  } catch (error) {
+    // Another request issued the invoice for this order first
+    if (error.code === 11000) {
+      const issued = await InvoiceModel.findOne({ orderId });
+      if (issued) return issued;
+    }
+    throw error;
+  }
+
+  await OrderModel.updateOne(
+    { _id: order._id },
+    { $set: { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber } }
+  );
+
+  if (notify) {
+    await emailInvoice(invoice);
+  }
+  return invoice;
+};
+
+/**
+ * Get the invoice of one of the customer's orders
+ *
+ * Paid orders without an invoice (placed before invoicing, or whose issue
+ * failed) get one issued on first download.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId - Order ID
+ * @param {string|ObjectId} params.customerId - Owner of the order
+ * @returns {Promise<Object>} Invoice document
+ */
+export const getCustomerInvoice = async ({ orderId, customerId }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw createServiceError('Order not found', 404);
+  }
+
+  const order = await OrderModel.findOne({ _id: orderId, customerId }).select('paymentStatus').lean();
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+
+  return issueInvoice(order._id, { notify: false });
+};
+
+export default {
+  issueInvoice,
+  getCustomerInvoice
+};
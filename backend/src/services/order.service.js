@@ -0,0 +1,831 @@
+/**
+ * Order Service
+ *
+ * Checkout business logic: validates cart lines against the live catalog,
+ * prices them server-side, applies promotions, coupons and tax, and creates orders. Also provides helpers for
+ * scoping multi-vendor orders to a single vendor.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import { getCatalogVisibilityFilter } from './catalog.service.js';
+import { applyDiscounts, reserveCouponUse, releaseCouponUse } from './promotion.service.js';
+import { getSettlementSnapshot } from './currency.service.js';
+import { calculateTax } from './tax.service.js';
+import { getAvailableStock, getCustomerWaitlistHolds, reserveOrderStock, releaseOrderReservations } from './stockReservation.service.js';
+import { getBundleComponentMap, getBundleAvailableStock } from './bundle.service.js';
+import { buildGift } from './gift.service.js';
+import { getSpendableStoreCredit, payWithStoreCredit, reverseOrderStoreCredit } from './storeCredit.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const MAX_ORDER_LINES = 20;
+export const MAX_LINE_QUANTITY = 10;
+
+const DEFAULT_UNPAID_ORDER_HOLD_HOURS = 24;
+
+// Line states a vendor can set, and order states vendors can no longer change
+export const VENDOR_LINE_STATUSES = ['in_progress', 'fulfilled', 'cancelled'];
+const CLOSED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * Customer-facing projection - vendor identity is never exposed to customers
+ */
+export const CUSTOMER_ORDER_PROJECTION = '-vendorId -items.vendorId -items.bundleComponents.vendorId -items.unitCost -items.bundleComponents.unitCost';
+
+/**
+ * Platform fee taken from the line value of orders placed before vendor
+ * cost prices were recorded on order lines
+ */
+export const LEGACY_PLATFORM_FEE_RATE = 0.15;
+
+/**
+ * Order-level customer pricing hidden from vendors; vendors see their own
+ * cost prices, never what the customer paid
+ */
+const VENDOR_HIDDEN_ORDER_FIELDS = [
+  'subtotalAmount',
+  'discountAmount',
+  'discounts',
+  'taxAmount',
+  'taxLines',
+  'taxNote',
+  'settlementAmount',
+  'exchangeRate',
+  'storeCreditAmount',
+  'storeCreditTransactionId',
+  'gatewayRefundAmount',
+  'refundAmount'
+];
+
+/**
+ * Round an amount to 2 decimal places
+ *
+ * @param {number} amount - Raw amount
+ * @returns {number} Rounded amount
+ */
+export const roundAmount = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Normalize cart lines, merging duplicate products
+ *
+ * @param {Array<{productId: string, quantity: number}>} items - Raw cart lines
+ * @returns {Array<{productId: string, quantity: number}>} Normalized lines
+ */
+export const normalizeCartItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createServiceError('Your cart is empty');
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    const productId = String(item?.productId || '');
+    const quantity = parseInt(item?.quantity, 10);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw createServiceError('Invalid product in cart');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createServiceError('Quantity must be at least 1');
+    }
+
+    merged.set(productId, (merged.get(productId) || 0) + quantity);
+  }
+
+  if (merged.size > MAX_ORDER_LINES) {
+    throw createServiceError(`A single order can contain at most ${MAX_ORDER_LINES} products`);
+  }
+
+  return Array.from(merged.entries()).map(([productId, quantity]) => {
+    if (quantity > MAX_LINE_QUANTITY) {
+      throw createServiceError(`You can buy at most ${MAX_LINE_QUANTITY} units of a product per order`);
+    }
+    return { productId, quantity };
+  });
+};
+
+/**
+ * Price cart lines against the live catalog
+ *
+ * Prices always come from the product's priceDecimal; client supplied
+ * prices are ignored. Each line also records the vendor's cost price.
+ *
+ * @param {Array<{productId: string, quantity: number}>} cartItems - Normalized lines
+ * @param {Object} [options]
+ * @param {boolean} [options.requireStock=true] - Reject lines without enough stock
+ * @param {Map} [options.waitlistHolds] - Units held for the customer through the waitlist, by product ID
+ * @returns {Promise<{items: Array, totalAmount: number, currency: string}>} Priced lines
+ */
+export const priceCartItems = async (cartItems, { requireStock = true, waitlistHolds = new Map() } = {}) => {
+  const products = await ProductModel.find({
+    _id: { $in: cartItems.map(item => item.productId) },
+    ...getCatalogVisibilityFilter()
+  })
+    .select('productType bundleItems vendorId title serviceType provider planDurationDays priceDecimal costPrice currency stock reservedStock')
+    .lean();
+
+  const productMap = new Map(products.map(product => [String(product._id), product]));
+  const componentMap = await getBundleComponentMap(products.filter(product => product.productType === 'bundle'));
+  const items = [];
+  let currency = null;
+
+  for (const line of cartItems) {
+    const product = productMap.get(line.productId);
+
+    if (!product) {
+      throw createServiceError('One or more products in your cart are no longer available', 404);
+    }
+    const isBundle = product.productType === 'bundle';
+    // Units held by other unpaid checkouts are not available; units held
+    // for this customer through the waitlist are. Bundles are limited by
+    // their scarcest component.
+    const available = isBundle
+      ? getBundleAvailableStock(product, componentMap)
+      : getAvailableStock(product) + (waitlistHolds.get(line.productId)?.quantity || 0);
+    if (requireStock && available < line.quantity) {
+      throw createServiceError(
+        available > 0
+          ? `Only ${available} unit(s) of ${product.title} are available`
+          : `${product.title} is out of stock`,
+        409
+      );
+    }
+
+    const productCurrency = (product.currency || 'USD').toUpperCase();
+    if (currency && currency !== productCurrency) {
+      throw createServiceError('All products in an order must use the same currency');
+    }
+    currency = productCurrency;
+
+    items.push({
+      productId: product._id,
+      vendorId: product.vendorId,
+      productTitle: product.title,
+      serviceType: product.serviceType,
+      provider: product.provider,
+      planDurationDays: product.planDurationDays,
+      quantity: line.quantity,
+      price: roundAmount(product.priceDecimal),
+      currency: productCurrency,
+      unitCost: isBundle ? null : roundAmount(product.costPrice ?? product.priceDecimal),
+      ...(isBundle && {
+        isBundle: true,
+        bundleComponents: product.bundleItems
+          .filter(entry => componentMap.has(String(entry.productId)))
+          .map(entry => {
+            const component = componentMap.get(String(entry.productId));
+            return {
+              productId: component._id,
+              vendorId: component.vendorId,
+              productTitle: component.title,
+              serviceType: component.serviceType,
+              provider: component.provider,
+              quantity: entry.quantity,
+              listPrice: roundAmount(component.priceDecimal),
+              unitCost: roundAmount(component.costPrice ?? component.priceDecimal)
+            };
+          })
+      })
+    });
+  }
+
+  const totalAmount = roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  return { items, totalAmount, currency: currency || 'USD' };
+};
+
+/**
+ * Price a cart and apply running promotions, an optional coupon and tax
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Cart lines [{ productId, quantity }]
+ * @param {string} [params.couponCode] - Coupon entered at checkout
+ * @param {Object} [params.billingDetails] - { country, region, customerType, companyName, vatId } for tax
+ * @param {boolean} [params.requireStock=true] - Reject lines without enough stock
+ * @param {number} [params.storeCreditAmount] - Wallet amount the customer wants to use (capped at what is spendable)
+ * @returns {Promise<Object>} { items, subtotalAmount, discountAmount, taxAmount, taxLines, taxNote, taxDetails, totalAmount, discounts, coupon, currency, storeCreditAvailable, storeCreditAmount, amountDue }
+ */
+export const quoteOrder = async ({ user, items, couponCode = '', billingDetails = {}, requireStock = true, storeCreditAmount = 0 }) => {
+  const cartItems = normalizeCartItems(items);
+  const waitlistHolds = requireStock
+    ? await getCustomerWaitlistHolds({ customerId: user._id, email: user.email, productIds: cartItems.map(item => item.productId) })
+    : new Map();
+  const priced = await priceCartItems(cartItems, { requireStock, waitlistHolds });
+  const discounted = await applyDiscounts({
+    items: priced.items,
+    currency: priced.currency,
+    customerId: user._id,
+    couponCode
+  });
+  const taxed = calculateTax({ items: discounted.items, billingDetails });
+  const totalAmount = roundAmount(discounted.totalAmount + taxed.taxAmount);
+
+  const storeCreditAvailable = await getSpendableStoreCredit({ user, currency: priced.currency });
+  const requested = roundAmount(Math.max(Number(storeCreditAmount) || 0, 0));
+  const storeCredit = Math.min(requested, storeCreditAvailable, totalAmount);
+
+  return {
+    ...discounted,
+    ...taxed,
+    totalAmount,
+    currency: priced.currency,
+    storeCreditAvailable,
+    storeCreditAmount: storeCredit,
+    amountDue: roundAmount(totalAmount - storeCredit)
+  };
+};
+
+/**
+ * Create an order for a customer
+ *
+ * The ordered units are held for the unpaid order (see
+ * stockReservation.service.js) and a coupon use is reserved before the
+ * order is written; both are given back if the order cannot be created.
+ * The coupon use also goes back when the unpaid order is cancelled, its
+ * payment fails or it is abandoned (see releaseUnpaidOrderCoupon).
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user document
+ * @param {Array} params.items - Cart lines [{ productId, quantity }]
+ * @param {Object} [params.billingDetails] - { name, email, country, region, customerType, companyName, vatId }
+ * @param {string} [params.paymentMethod] - Selected payment method
+ * @param {string} [params.customerNotes] - Optional notes
+ * @param {string} [params.couponCode] - Coupon entered at checkout
+ * @param {Object} [params.renewalOf] - { orderId, itemId } when renewing a single subscription
+ * @param {Object} [params.gift] - { recipientEmail, recipientName, message } to send the order as a gift
+ * @param {number} [params.storeCreditAmount] - Wallet amount to pay with; taken from the wallet now and returned if the order is cancelled, its payment fails or it is abandoned (see returnUnpaidOrderCredit)
+ * @returns {Promise<Object>} Created order document
+ */
+export const createOrder = async ({ user, items, billingDetails = {}, paymentMethod = '', customerNotes = '', couponCode = '', renewalOf = null, gift = null, storeCreditAmount = 0 }) => {
+  if (gift && renewalOf) {
+    throw createServiceError('Renewals cannot be sent as gifts');
+  }
+  const giftDetails = gift ? buildGift({ gift, user }) : null;
+
+  // Renewals usually extend the existing assignment, so they do not need free stock
+  const quote = await quoteOrder({ user, items, couponCode, billingDetails, requireStock: !renewalOf, storeCreditAmount });
+  if (renewalOf) {
+    quote.items[0].renewalOf = renewalOf;
+  }
+
+  // Bundle lines are fulfilled by the vendors of their components
+  const vendorIds = [...new Set(quote.items.flatMap(item => (item.isBundle ? item.bundleComponents : [item]).map(line => String(line.vendorId))))];
+  const settlement = await getSettlementSnapshot(quote.totalAmount, quote.currency);
+
+  const orderId = new mongoose.Types.ObjectId();
+  const reservationExpiresAt = renewalOf
+    ? null
+    : await reserveOrderStock({ orderId, customerId: user._id, email: user.email, items: quote.items });
+
+  let couponRedemption = null;
+  if (quote.coupon) {
+    try {
+      couponRedemption = await reserveCouponUse({ couponId: quote.coupon._id, customerId: user._id, orderId });
+    } catch (error) {
+      await releaseOrderReservations(orderId, 'checkout_failed');
+      throw error;
+    }
+  }
+
+  // The wallet is charged now so the same credit cannot pay for two orders
+  let storeCreditPayment = null;
+  if (quote.storeCreditAmount > 0) {
+    try {
+      storeCreditPayment = await payWithStoreCredit({
+        userId: user._id,
+        orderId,
+        amount: quote.storeCreditAmount,
+        currency: quote.currency
+      });
+    } catch (error) {
+      if (couponRedemption) {
+        await releaseCouponUse(orderId);
+      }
+      await releaseOrderReservations(orderId, 'checkout_failed');
+      throw error;
+    }
+  }
+
+  try {
+    return await OrderModel.create({
+      _id: orderId,
+      customerId: user._id,
+      vendorId: vendorIds.length === 1 && vendorIds[0] !== 'null' ? vendorIds[0] : null,
+      items: quote.items,
+      subtotalAmount: quote.subtotalAmount,
+      discountAmount: quote.discountAmount,
+      discounts: quote.discounts,
+      taxAmount: quote.taxAmount,
+      taxLines: quote.taxLines,
+      taxNote: quote.taxNote,
+      totalAmount: quote.totalAmount,
+      currency: quote.currency,
+      ...settlement,
+      status: 'pending',
+      paymentStatus: 'pending',
+      paymentMethod: String(paymentMethod || '').slice(0, 50),
+      customerEmail: user.email,
+      customerNotes: String(customerNotes || '').slice(0, 1000),
+      billingDetails: {
+        name: String(billingDetails.name || `${user.firstname || ''} ${user.lastname || ''}`).trim().slice(0, 120),
+        email: String(billingDetails.email || user.email).trim().toLowerCase().slice(0, 254),
+        ...quote.taxDetails
+      },
+      reservationExpiresAt,
+      gift: giftDetails,
+      storeCreditAmount: storeCreditPayment ? quote.storeCreditAmount : 0,
+      storeCreditTransactionId: storeCreditPayment?._id || null,
+      couponRedemptionId: couponRedemption?._id || null
+    });
+  } catch (error) {
+    if (couponRedemption) {
+      await releaseCouponUse(orderId);
+    }
+    if (storeCreditPayment) {
+      await reverseOrderStoreCredit({ storeCreditTransactionId: storeCreditPayment._id });
+    }
+    await releaseOrderReservations(orderId, 'checkout_failed');
+    throw error;
+  }
+};
+
+/**
+ * How long an unpaid order keeps what it took at checkout (store credit,
+ * coupon use) before it counts as abandoned
+ *
+ * Longer than the stock hold, so a customer still on the gateway's page is
+ * not charged for an order that has already given its credit back.
+ *
+ * @returns {number} Milliseconds
+ */
+export const getUnpaidOrderHoldMs = () => {
+  const hours = parseInt(process.env.UNPAID_ORDER_HOLD_HOURS, 10);
+  return (hours > 0 ? hours : DEFAULT_UNPAID_ORDER_HOLD_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Give back the store credit taken for an unpaid order
+ *
+ * The order's credit is detached with a conditional update before the
+ * wallet entry is reversed, so it is returned once even when a failure
+ * webhook, a cancellation and the abandoned-order sweep race. A later
+ * payment attempt for the order is charged the full amount.
+ *
+ * @param {Object} order - Order (_id, storeCreditAmount, storeCreditTransactionId)
+ * @param {string} [createdBy='system'] - Who triggered the return
+ * @returns {Promise<Object|null>} Reversal wallet entry, or null when nothing was returned
+ */
+export const returnUnpaidOrderCredit = async (order, createdBy = 'system') => {
+  if (!order.storeCreditTransactionId) return null;
+
+  const detached = await OrderModel.updateOne(
+    {
+      _id: order._id,
+      paymentStatus: { $in: ['pending', 'failed'] },
+      storeCreditTransactionId: order.storeCreditTransactionId
+    },
+    { $set: { storeCreditAmount: 0, storeCreditTransactionId: null } }
+  );
+  if (detached.modifiedCount === 0) return null;
+
+  try {
+    return await reverseOrderStoreCredit(order, createdBy);
+  } catch (error) {
+    await OrderModel.updateOne(
+      { _id: order._id, storeCreditTransactionId: null },
+      { $set: { storeCreditAmount: order.storeCreditAmount, storeCreditTransactionId: order.storeCreditTransactionId } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Give back the coupon use held for an unpaid order
+ *
+ * Same pattern as returnUnpaidOrderCredit: the order lets go of the use
+ * first, so only one caller returns it. A later payment attempt reserves
+ * the use again (see payment.service.js).
+ *
+ * @param {Object} order - Order (_id, couponRedemptionId)
+ * @returns {Promise<boolean>} True when the use was given back
+ */
+export const releaseUnpaidOrderCoupon = async (order) => {
+  if (!order.couponRedemptionId) return false;
+
+  const detached = await OrderModel.updateOne(
+    {
+      _id: order._id,
+      paymentStatus: { $in: ['pending', 'failed'] },
+      couponRedemptionId: order.couponRedemptionId
+    },
+    { $set: { couponRedemptionId: null } }
+  );
+  if (detached.modifiedCount === 0) return false;
+
+  try {
+    return await releaseCouponUse(order._id);
+  } catch (error) {
+    await OrderModel.updateOne(
+      { _id: order._id, couponRedemptionId: null },
+      { $set: { couponRedemptionId: order.couponRedemptionId } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Give back what abandoned unpaid orders still hold
+ *
+ * An order is abandoned once its stock holds have run out and nobody has
+ * touched it for getUnpaidOrderHoldMs(); renewal orders have no holds and
+ * only need the idle time.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {number} [options.limit=200] - Maximum orders in one pass
+ * @returns {Promise<number>} Orders whose store credit or coupon use was returned
+ */
+export const releaseAbandonedOrders = async ({ now = new Date(), limit = 200 } = {}) => {
+  const orders = await OrderModel.find({
+    paymentStatus: { $in: ['pending', 'failed'] },
+    updatedAt: { $lte: new Date(now.getTime() - getUnpaidOrderHoldMs()) },
+    $and: [
+      { $or: [{ storeCreditTransactionId: { $ne: null } }, { couponRedemptionId: { $ne: null } }] },
+      { $or: [{ reservationExpiresAt: null }, { reservationExpiresAt: { $lte: now } }] }
+    ]
+  })
+    .select('storeCreditAmount storeCreditTransactionId couponRedemptionId orderNumber')
+    .sort({ updatedAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      const credit = await returnUnpaidOrderCredit(order);
+      const coupon = await releaseUnpaidOrderCoupon(order);
+      if (credit || coupon) released++;
+    } catch (error) {
+      console.error(`Releasing abandoned order ${order.orderNumber} failed:`, error.message);
+    }
+  }
+  return released;
+};
+
+/**
+ * Strip vendor identity and cost from an order line (including bundle components)
+ *
+ * @param {Object} item - Plain order item
+ * @returns {Object} Customer-safe item
+ */
+export const toCustomerItem = ({ vendorId, unitCost, ...item }) => (
+  item.bundleComponents
+    ? { ...item, bundleComponents: item.bundleComponents.map(({ vendorId: componentVendorId, unitCost: componentCost, ...component }) => component) }
+    : item
+);
+
+/**
+ * Strip vendor identity from an order for customer responses
+ *
+ * @param {Object} order - Order document or lean object
+ * @returns {Object} Customer-safe order
+ */
+export const toCustomerOrder = (order) => {
+  const plain = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+  delete plain.vendorId;
+  plain.items = (plain.items || []).map(toCustomerItem);
+  return plain;
+};
+
+/**
+ * Mongo filter matching orders that contain items for a vendor, including
+ * components of bundles that are not split into lines yet
+ *
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Object} Mongo filter
+ */
+export const buildVendorOrderFilter = (vendorId) => ({
+  $or: [{ vendorId }, { 'items.vendorId': vendorId }, { 'items.bundleComponents.vendorId': vendorId }]
+});
+
+/**
+ * Get the items of an order that belong to a vendor
+ *
+ * Legacy orders carry the vendor only at order level. Bundle lines belong
+ * to no vendor; each vendor gets the component lines they fulfil.
+ *
+ * @param {Object} order - Order document
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Array} Vendor items
+ */
+export const getVendorItems = (order, vendorId) => {
+  const target = String(vendorId);
+  return (order.items || []).filter(item => {
+    if (item.isBundle) return false;
+    const owner = item.vendorId || order.vendorId;
+    return owner && String(owner._id || owner) === target;
+  });
+};
+
+/**
+ * Get the vendor's components of bundle lines not yet split into lines
+ *
+ * Bundles are split into component lines once paid (see
+ * allocation.service.js); until then these stand in for them, so the
+ * vendor can see the stock an unpaid bundle order holds.
+ *
+ * @param {Object} order - Plain order
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Array} Vendor-safe component lines ({ bundleItemId, productId, productTitle, quantity, price, earnings, ... })
+ */
+const getVendorBundleItems = (order, vendorId) => {
+  const target = String(vendorId);
+  const split = new Set((order.items || []).filter(item => item.bundleItemId).map(item => String(item.bundleItemId)));
+  return (order.items || [])
+    .filter(item => item.isBundle && !split.has(String(item._id)))
+    .flatMap(bundle => (bundle.bundleComponents || [])
+      .filter(component => String(component.vendorId?._id || component.vendorId) === target)
+      .map(component => {
+        const quantity = component.quantity * bundle.quantity;
+        const price = component.unitCost ?? null;
+        return {
+          bundleItemId: bundle._id,
+          productId: component.productId,
+          productTitle: component.productTitle,
+          serviceType: component.serviceType,
+          provider: component.provider,
+          planDurationDays: bundle.planDurationDays,
+          quantity,
+          currency: bundle.currency,
+          status: 'pending',
+          price,
+          earnings: roundAmount((price || 0) * quantity)
+        };
+      }));
+};
+
+/**
+ * Whether an order line has reached the customer, through its vendor or
+ * through credential allocation
+ *
+ * @param {Object} item - Order item
+ * @returns {boolean} True when delivered
+ */
+const isLineDelivered = (item) => (
+  item.status === 'fulfilled' || ['allocated', 'extended', 'gifted'].includes(item.allocationStatus)
+);
+
+/**
+ * Whether every line of an order that was not cancelled has been delivered
+ *
+ * Bundle lines are left out; once paid, their component lines stand in
+ * for them.
+ *
+ * @param {Object} order - Order
+ * @returns {boolean} True when delivered
+ */
+export const isOrderDelivered = (order) => {
+  const open = (order.items || []).filter(item => !item.isBundle && item.status !== 'cancelled');
+  return open.length > 0 && open.every(isLineDelivered);
+};
+
+/**
+ * Order status derived from the state of its lines
+ *
+ * Disputed orders stay disputed until resolved by an admin.
+ *
+ * @param {Object} order - Order
+ * @returns {string} Order status
+ */
+export const getOrderStatusFromLines = (order) => {
+  const lines = (order.items || []).filter(item => !item.isBundle);
+
+  if (lines.length > 0 && lines.every(item => item.status === 'cancelled')) return 'cancelled';
+  if (order.status === 'disputed') return order.status;
+  if (isOrderDelivered(order)) return 'fulfilled';
+  // Lines of orders placed before line statuses have none
+  if (order.status === 'pending' && lines.some(item => item.status && item.status !== 'pending')) return 'in_progress';
+  return order.status;
+};
+
+/**
+ * Update the fulfillment of a vendor's own lines on an order
+ *
+ * Other vendors' lines are never touched; the order status follows from
+ * all lines. Cancelling lines of an unpaid order releases their stock
+ * holds and gives back the store credit, since the order can no longer be
+ * paid as placed.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.orderId - Order ID
+ * @param {string|ObjectId} params.vendorId - Vendor updating its lines
+ * @param {string} [params.status='in_progress'] - One of VENDOR_LINE_STATUSES
+ * @param {string} [params.fulfillmentNotes] - Notes for the customer
+ * @param {string} [params.trackingInfo] - Delivery reference
+ * @returns {Promise<{order: Object, releasedProductIds: Array<string>}>} Updated order and products whose holds were released
+ */
+export const updateVendorLines = async ({ orderId, vendorId, status = 'in_progress', fulfillmentNotes = '', trackingInfo = '' }) => {
+  if (!VENDOR_LINE_STATUSES.includes(status)) {
+    throw createServiceError('Invalid status');
+  }
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw createServiceError('Order not found', 404);
+  }
+
+  const order = await OrderModel.findOne({ _id: orderId, ...buildVendorOrderFilter(vendorId) }).lean();
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw createServiceError(`This order is ${order.status}`, 409);
+  }
+
+  const lines = getVendorItems(order, vendorId).filter(item => item.status !== 'cancelled');
+  if (lines.length === 0) {
+    throw createServiceError('None of your items on this order can be updated', 409);
+  }
+
+  const now = new Date();
+  await OrderModel.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'items.$[line].status': status,
+        'items.$[line].fulfillmentNotes': String(fulfillmentNotes || '').slice(0, 1000),
+        'items.$[line].trackingInfo': String(trackingInfo || '').slice(0, 500),
+        'items.$[line].fulfilledAt': status === 'fulfilled' ? now : null
+      }
+    },
+    { arrayFilters: [{ 'line._id': { $in: lines.map(item => item._id) }, 'line.status': { $ne: 'cancelled' } }] }
+  );
+
+  // Re-read so lines other vendors changed meanwhile count too
+  const updated = await OrderModel.findById(order._id).lean();
+  const orderStatus = getOrderStatusFromLines(updated);
+  if (orderStatus !== updated.status) {
+    const set = { status: orderStatus };
+    if (orderStatus === 'fulfilled') {
+      Object.assign(set, { fulfillmentStatus: 'completed', fulfilledAt: updated.fulfilledAt || now });
+    }
+    await OrderModel.updateOne({ _id: order._id, status: { $nin: CLOSED_ORDER_STATUSES } }, { $set: set });
+  }
+
+  let releasedProductIds = [];
+  if (status === 'cancelled' && updated.paymentStatus !== 'paid') {
+    const productIds = orderStatus === 'cancelled'
+      ? updated.items.flatMap(line => (line.isBundle ? line.bundleComponents : [line])).map(item => item.productId)
+      : lines.map(item => item.productId);
+    if (await releaseOrderReservations(order._id, 'cancelled', productIds)) {
+      releasedProductIds = [...new Set(productIds.map(String))];
+    }
+    try {
+      await returnUnpaidOrderCredit(updated);
+    } catch (error) {
+      console.error(`Returning store credit failed for order ${order.orderNumber}:`, error.message);
+    }
+    try {
+      await releaseUnpaidOrderCoupon(updated);
+    } catch (error) {
+      console.error(`Releasing coupon use failed for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return { order: await OrderModel.findById(order._id), releasedProductIds };
+};
+
+/**
+ * Amount the customer paid for an order line (after discounts, excluding tax)
+ *
+ * @param {Object} item - Order item
+ * @returns {number} Paid line value
+ */
+export const getPaidItemTotal = (item) => roundAmount(item.price * item.quantity - (item.discountAmount || 0));
+
+/**
+ * Value of an order line after discounts and refunds
+ *
+ * @param {Object} item - Order item
+ * @returns {number} Net line value
+ */
+export const getNetItemTotal = (item) => roundAmount(getPaidItemTotal(item) - (item.refundedAmount || 0));
+
+/**
+ * Part of an order total charged through the payment gateway
+ *
+ * @param {Object} order - Order
+ * @returns {number} Order total less the store credit used at checkout
+ */
+export const getAmountDue = (order) => roundAmount(order.totalAmount - (order.storeCreditAmount || 0));
+
+/**
+ * What the vendor earns for an order line, before refunds
+ *
+ * Lines carry the vendor's cost price from the time of purchase; older
+ * lines without one earn their value less the former flat platform fee.
+ *
+ * @param {Object} item - Order item
+ * @returns {number} Vendor cost of the line
+ */
+export const getItemCost = (item) => roundAmount(
+  item.unitCost !== null && item.unitCost !== undefined
+    ? item.unitCost * item.quantity
+    : getPaidItemTotal(item) * (1 - LEGACY_PLATFORM_FEE_RATE)
+);
+
+/**
+ * What the vendor earns for an order line, net of refunds
+ *
+ * A refund takes back the same share of the vendor's cost as it returned
+ * of the amount paid.
+ *
+ * @param {Object} item - Order item
+ * @returns {number} Vendor earnings for the line
+ */
+export const getItemEarnings = (item) => {
+  const paid = getPaidItemTotal(item);
+  const refundedShare = paid > 0 ? Math.min(1, (item.refundedAmount || 0) / paid) : 0;
+  return roundAmount(getItemCost(item) * (1 - refundedShare));
+};
+
+/**
+ * Sum what a vendor earns from an order, net of refunds
+ *
+ * @param {Object} order - Order document
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {number} Vendor share of the order at cost
+ */
+export const getVendorOrderTotal = (order, vendorId) => roundAmount(
+  getVendorItems(order, vendorId).reduce((sum, item) => sum + getItemEarnings(item), 0)
+);
+
+/**
+ * Scope an order line to its vendor: priced at the vendor's cost
+ *
+ * @param {Object} item - Plain order item
+ * @returns {Object} Vendor-safe item
+ */
+const toVendorItem = (item) => {
+  const { price, unitCost, discountAmount, taxRate, taxAmount, refundedAmount, ...rest } = item;
+  return {
+    ...rest,
+    price: rest.quantity > 0 ? roundAmount(getItemCost(item) / rest.quantity) : 0,
+    earnings: getItemEarnings(item),
+    refunded: (refundedAmount || 0) > 0
+  };
+};
+
+/**
+ * Scope an order to a vendor, hiding other vendors' lines and what the
+ * customer paid
+ *
+ * The vendor's components of unpaid bundles come back in bundleItems; they
+ * become fulfillable lines once the order is paid.
+ *
+ * @param {Object} order - Order document
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Object} Vendor-scoped order
+ */
+export const toVendorOrder = (order, vendorId) => {
+  const plain = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+  const items = getVendorItems(plain, vendorId);
+  const bundleItems = getVendorBundleItems(plain, vendorId);
+  VENDOR_HIDDEN_ORDER_FIELDS.forEach(field => delete plain[field]);
+  return {
+    ...plain,
+    items: items.map(toVendorItem),
+    bundleItems,
+    totalAmount: roundAmount(
+      items.reduce((sum, item) => sum + getItemEarnings(item), 0)
+      + bundleItems.reduce((sum, item) => sum + item.earnings, 0)
+    )
+  };
+};
+
+export default {
+  createOrder,
+  returnUnpaidOrderCredit,
+  releaseUnpaidOrderCoupon,
+  releaseAbandonedOrders,
+  quoteOrder,
+  normalizeCartItems,
+  priceCartItems,
+  toCustomerItem,
+  toCustomerOrder,
+  buildVendorOrderFilter,
+  getVendorItems,
+  isOrderDelivered,
+  getOrderStatusFromLines,
+  updateVendorLines,
+  getVendorOrderTotal,
+  getPaidItemTotal,
+  getAmountDue,
+  getNetItemTotal,
+  getItemCost,
+  getItemEarnings,
+  toVendorOrder,
+  roundAmount
+};
@@ -0,0 +1,779 @@
+/**
+ * Payment Service
+ *
+ * Provider-agnostic payment orchestration: creates payment intents for
+ * orders, processes signed gateway webhooks idempotently and issues refunds.
+ * Every gateway interaction is stored as a PaymentEvent.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import PaymentEventModel from '../models/paymentEvent.model.js';
+import { getPaymentProvider, getActivePaymentProvider } from './paymentProviders/index.js';
+import { allocateOrder } from './allocation.service.js';
+import { issueInvoice } from './invoice.service.js';
+import { sendGift } from './gift.service.js';
+import { rewardReferral } from './referral.service.js';
+import { reserveOrderStock, convertOrderReservations } from './stockReservation.service.js';
+import { roundAmount, getAmountDue, returnUnpaidOrderCredit, releaseUnpaidOrderCoupon } from './order.service.js';
+import { reserveCouponUse } from './promotion.service.js';
+import { grantStoreCredit } from './storeCredit.service.js';
+import { completeRefundRequest } from './refund.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+/**
+ * Allowed paymentStatus transitions, keyed by target status
+ */
+export const PAYMENT_TRANSITIONS = {
+  paid: ['pending', 'failed'],
+  failed: ['pending'],
+  refunded: ['paid']
+};
+
+/**
+ * Record an outbound gateway call
+ *
+ * @param {Object} params - Event fields
+ * @returns {Promise<Object>} Created event
+ */
+const recordApiEvent = (params) => PaymentEventModel.create({
+  eventId: `api_${crypto.randomBytes(12).toString('hex')}`,
+  source: 'api',
+  status: 'processed',
+  signatureVerified: false,
+  processedAt: new Date(),
+  ...params
+});
+
+/**
+ * Atomically move an order between payment states
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @param {string} toStatus - Target payment status
+ * @param {Object} [extraSet] - Additional fields to set
+ * @returns {Promise<{order: Object|null, fromStatus: string|null}>} Updated order, or null when the transition is not allowed
+ */
+const transitionPaymentStatus = async (orderId, toStatus, extraSet = {}) => {
+  const allowedFrom = PAYMENT_TRANSITIONS[toStatus] || [];
+  const previous = await OrderModel.findOneAndUpdate(
+    { _id: orderId, paymentStatus: { $in: allowedFrom } },
+    { $set: { paymentStatus: toStatus, updatedAt: new Date(), ...extraSet } },
+    { new: false }
+  );
+
+  if (!previous) {
+    return { order: null, fromStatus: null };
+  }
+
+  const order = await OrderModel.findById(orderId);
+  return { order, fromStatus: previous.paymentStatus };
+};
+
+/**
+ * Add a completed refund to an order's refunded totals
+ *
+ * One pipeline update, so concurrent refunds cannot overwrite each other:
+ * the amount is only added while the total stays within what was paid, a
+ * gateway refund is only counted once, and the order moves to refunded
+ * once nothing is left. A held refund (pendingRefunds) is removed in the
+ * same update.
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @param {Object} params
+ * @param {number} params.amount - Amount refunded (gateway and wallet)
+ * @param {number} [params.gatewayAmount=0] - Part of it returned through the gateway
+ * @param {string} [params.refundId] - Gateway refund ID
+ * @param {ObjectId} [params.pendingRefundId] - Held refund this completes
+ * @returns {Promise<Object|null>} Updated order, or null when the refund was not counted
+ */
+export const recordRefund = async (orderId, { amount, gatewayAmount = 0, refundId = null, pendingRefundId = null }) => {
+  const now = new Date();
+  const refundAmount = { $round: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, roundAmount(amount)] }, 2] };
+  const fullyRefunded = { $gte: [refundAmount, '$totalAmount'] };
+
+  return OrderModel.findOneAndUpdate(
+    {
+      _id: orderId,
+      paymentStatus: 'paid',
+      ...(refundId ? { gatewayRefundIds: { $ne: refundId } } : {}),
+      ...(pendingRefundId ? { 'pendingRefunds._id': pendingRefundId } : {}),
+      $expr: { $lte: [refundAmount, { $add: ['$totalAmount', 0.001] }] }
+    },
+    [{
+      $set: {
+        refundAmount,
+        gatewayRefundAmount: { $round: [{ $add: [{ $ifNull: ['$gatewayRefundAmount', 0] }, roundAmount(gatewayAmount)] }, 2] },
+        gatewayRefundIds: refundId
+          ? { $concatArrays: [{ $ifNull: ['$gatewayRefundIds', []] }, [{ $literal: refundId }]] }
+          : { $ifNull: ['$gatewayRefundIds', []] },
+        pendingRefunds: {
+          $filter: { input: { $ifNull: ['$pendingRefunds', []] }, cond: { $ne: ['$$this._id', pendingRefundId] } }
+        },
+        paymentStatus: { $cond: [fullyRefunded, 'refunded', '$paymentStatus'] },
+        status: { $cond: [fullyRefunded, 'refunded', '$status'] },
+        refundedAt: now,
+        updatedAt: now
+      }
+    }],
+    { new: true }
+  );
+};
+
+/**
+ * Amount of an order tied up in refunds that are not complete yet
+ *
+ * @param {Object} order - Order
+ * @param {string} [field='amount'] - amount, gatewayAmount or walletAmount
+ * @returns {number} Held amount
+ */
+export const getPendingRefundAmount = (order, field = 'amount') => roundAmount(
+  (order.pendingRefunds || []).reduce((sum, entry) => sum + (entry[field] || 0), 0)
+);
+
+/**
+ * Complete a held refund once its gateway part has succeeded
+ *
+ * The entry is claimed before the wallet part is credited, so the sync
+ * path and the refund webhook cannot both credit it.
+ *
+ * @param {Object} order - Order (_id, customerId, currency, orderNumber)
+ * @param {Object} entry - Held refund from order.pendingRefunds
+ * @returns {Promise<{order: Object, walletTransaction: Object|null}|null>} Result, or null when already completed
+ */
+const settleRefund = async (order, entry) => {
+  const claimed = await OrderModel.updateOne(
+    { _id: order._id, pendingRefunds: { $elemMatch: { _id: entry._id, settling: false } } },
+    { $set: { 'pendingRefunds.$.settling': true } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  // A webhook that beat the sync path has already counted the gateway part
+  const fresh = await OrderModel.findById(order._id).select('gatewayRefundIds').lean();
+  const gatewayCounted = Boolean(entry.refundId) && (fresh?.gatewayRefundIds || []).includes(entry.refundId);
+
+  let walletTransaction = null;
+  try {
+    if (entry.walletAmount > 0) {
+      walletTransaction = await grantStoreCredit({
+        userId: order.customerId,
+        amount: entry.walletAmount,
+        currency: order.currency,
+        reason: 'refund',
+        orderId: order._id,
+        ...(entry.refundRequestId ? { refundRequestId: entry.refundRequestId } : {}),
+        note: entry.reason || `Refund of order ${order.orderNumber}`,
+        createdBy: entry.requestedBy || 'system'
+      });
+    }
+  } catch (error) {
+    await OrderModel.updateOne(
+      { _id: order._id, 'pendingRefunds._id': entry._id },
+      { $set: { 'pendingRefunds.$.settling': false } }
+    );
+    throw error;
+  }
+
+  const updated = await recordRefund(order._id, {
+    amount: gatewayCounted ? entry.walletAmount : entry.amount,
+    gatewayAmount: gatewayCounted ? 0 : entry.gatewayAmount,
+    refundId: gatewayCounted ? null : entry.refundId,
+    pendingRefundId: entry._id
+  });
+  return { order: updated, walletTransaction };
+};
+
+/**
+ * Hook run once when an order becomes paid: starts fulfillment,
+ * allocates credentials for auto-activate products, converts the order's
+ * stock holds and issues the invoice. Gift orders are sent to their
+ * recipient instead of being allocated.
+ *
+ * @param {Object} order - Paid order document
+ * @returns {Promise<void>}
+ */
+const onOrderPaid = async (order) => {
+  if (order.status === 'pending') {
+    await OrderModel.updateOne(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'in_progress' } }
+    );
+  }
+
+  if (order.gift) {
+    // Gifts are allocated when claimed; the holds are kept until then
+    try {
+      await sendGift(order._id);
+    } catch (error) {
+      console.error(`Gift delivery failed for order ${order.orderNumber}:`, error.message);
+    }
+  } else {
+    // Allocation problems must not fail the payment; admins can retry allocation
+    try {
+      await allocateOrder(order._id);
+    } catch (error) {
+      console.error(`Allocation failed for order ${order.orderNumber}:`, error.message);
+    }
+
+    // Allocated units have left stock; manual lines' units leave it with their holds
+    try {
+      await convertOrderReservations(order._id);
+    } catch (error) {
+      console.error(`Reservation conversion failed for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  // A missing invoice is issued when the customer first downloads it
+  try {
+    await issueInvoice(order._id);
+  } catch (error) {
+    console.error(`Invoice failed for order ${order.orderNumber}:`, error.message);
+  }
+
+  // A referred customer's first paid order rewards both sides
+  try {
+    await rewardReferral(order);
+  } catch (error) {
+    console.error(`Referral reward failed for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Create (or recreate after a failure) a payment intent for an order
+ *
+ * The order's stock holds are renewed first; holds that already expired
+ * are taken again, and the payment is refused if the units are gone.
+ * Orders fully covered by store credit are marked paid straight away.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId - Order ID
+ * @param {string|ObjectId} params.customerId - Owner of the order
+ * @returns {Promise<{provider: string, intentId: string, status: string, redirectUrl: string}>}
+ */
+export const createPaymentForOrder = async ({ orderId, customerId }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw createServiceError('Order not found', 404);
+  }
+
+  const order = await OrderModel.findOne({ _id: orderId, customerId });
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+  if (order.status === 'cancelled') {
+    throw createServiceError('This order has been cancelled');
+  }
+  if (order.items.some(item => !item.isBundle && item.status === 'cancelled')) {
+    throw createServiceError('Part of this order was cancelled by the seller; please place a new order', 409);
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw createServiceError('This order has already been paid', 409);
+  }
+
+  // The coupon use went back when an earlier attempt failed; take it again
+  const coupon = order.discounts.find(discount => discount.source === 'coupon');
+  if (coupon && !order.couponRedemptionId) {
+    let redemption;
+    try {
+      redemption = await reserveCouponUse({ couponId: coupon.couponId, customerId: order.customerId, orderId: order._id });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      throw createServiceError('The coupon on this order can no longer be used; please place a new order', 409);
+    }
+    await OrderModel.updateOne({ _id: order._id, couponRedemptionId: null }, { $set: { couponRedemptionId: redemption._id } });
+    order.couponRedemptionId = redemption._id;
+  }
+
+  const reservationExpiresAt = await reserveOrderStock({
+    orderId: order._id,
+    customerId: order.customerId,
+    items: order.items.filter(item => !item.renewalOf?.orderId)
+  });
+
+  const amountDue = getAmountDue(order);
+  if (!(amountDue > 0)) {
+    const result = await transitionPaymentStatus(order._id, 'paid', {
+      paidAt: new Date(),
+      paymentProvider: 'store_credit',
+      paymentIntentId: null,
+      paymentFailureReason: null,
+      reservationExpiresAt
+    });
+    if (!result.order) {
+      throw createServiceError('This order has already been paid', 409);
+    }
+
+    await recordApiEvent({
+      provider: 'store_credit',
+      type: 'payment.succeeded',
+      orderId: order._id,
+      amount: order.storeCreditAmount,
+      currency: order.currency,
+      fromStatus: result.fromStatus,
+      toStatus: 'paid',
+      payload: { storeCreditTransactionId: order.storeCreditTransactionId }
+    });
+    await onOrderPaid(result.order);
+
+    return {
+      provider: 'store_credit',
+      intentId: null,
+      status: 'succeeded',
+      redirectUrl: `${process.env.FRONTEND_BASE_URL || 'http://localhost:5173'}/user/orders/${order._id}`
+    };
+  }
+
+  const provider = getActivePaymentProvider();
+  const intent = await provider.createIntent({ order, amount: amountDue });
+
+  const updated = await OrderModel.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        paymentStatus: 'pending',
+        paymentProvider: provider.name,
+        paymentIntentId: intent.intentId,
+        paymentFailureReason: null,
+        reservationExpiresAt,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('This order has already been paid', 409);
+  }
+
+  await recordApiEvent({
+    provider: provider.name,
+    type: 'intent.created',
+    orderId: order._id,
+    intentId: intent.intentId,
+    amount: amountDue,
+    currency: order.currency,
+    fromStatus: order.paymentStatus,
+    toStatus: 'pending',
+    payload: { status: intent.status }
+  });
+
+  return {
+    provider: provider.name,
+    intentId: intent.intentId,
+    status: intent.status,
+    redirectUrl: intent.redirectUrl
+  };
+};
+
+/**
+ * Find the order a normalized gateway event refers to
+ *
+ * @param {string} providerName - Provider name
+ * @param {Object} event - Normalized event
+ * @returns {Promise<Object|null>} Order document
+ */
+const findOrderForEvent = async (providerName, event) => {
+  if (event.orderId && mongoose.Types.ObjectId.isValid(event.orderId)) {
+    const order = await OrderModel.findById(event.orderId);
+    if (order) return order;
+  }
+  if (event.intentId) {
+    return OrderModel.findOne({ paymentProvider: providerName, paymentIntentId: event.intentId });
+  }
+  return null;
+};
+
+/**
+ * Apply a verified gateway event to its order
+ *
+ * @param {Object} order - Order document
+ * @param {Object} event - Normalized event
+ * @returns {Promise<{status: string, fromStatus?: string, toStatus?: string, error?: string}>} Outcome
+ */
+const applyEventToOrder = async (order, event) => {
+  switch (event.type) {
+    case 'payment.succeeded': {
+      // Only the order's current intent can pay it
+      if (event.intentId && order.paymentIntentId && event.intentId !== order.paymentIntentId) {
+        return { status: 'ignored', error: 'Payment intent is no longer current for this order' };
+      }
+      const amountMismatch = event.amount !== null && Math.abs(Number(event.amount) - getAmountDue(order)) > 0.009;
+      const currencyMismatch = event.currency && event.currency.toUpperCase() !== order.currency;
+      if (amountMismatch || currencyMismatch) {
+        return { status: 'failed', error: 'Captured amount does not match the amount due' };
+      }
+
+      const result = await transitionPaymentStatus(order._id, 'paid', {
+        paidAt: new Date(),
+        paymentIntentId: event.intentId || order.paymentIntentId,
+        paymentFailureReason: null
+      });
+      if (!result.order) return { status: 'ignored' };
+
+      await onOrderPaid(result.order);
+      return { status: 'processed', fromStatus: result.fromStatus, toStatus: 'paid' };
+    }
+
+    case 'payment.failed': {
+      // A failure for an intent that is no longer current must not touch the order
+      if (event.intentId && order.paymentIntentId && event.intentId !== order.paymentIntentId) {
+        return { status: 'ignored' };
+      }
+      const result = await transitionPaymentStatus(order._id, 'failed', {
+        paymentFailureReason: String(event.failureReason || 'Payment failed').slice(0, 500)
+      });
+      if (!result.order) return { status: 'ignored' };
+
+      // The wallet part and the coupon use go back; a retry is charged in full
+      // and takes the coupon use again
+      try {
+        await returnUnpaidOrderCredit(result.order);
+      } catch (error) {
+        console.error(`Returning store credit failed for order ${order.orderNumber}:`, error.message);
+      }
+      try {
+        await releaseUnpaidOrderCoupon(result.order);
+      } catch (error) {
+        console.error(`Releasing coupon use failed for order ${order.orderNumber}:`, error.message);
+      }
+      return { status: 'processed', fromStatus: result.fromStatus, toStatus: 'failed' };
+    }
+
+    case 'refund.succeeded': {
+      if (event.currency && event.currency.toUpperCase() !== order.currency) {
+        return { status: 'failed', error: 'Refund currency does not match the order' };
+      }
+
+      // Partial refunds add up; without an amount the rest of the gateway payment was refunded
+      const amount = event.amount !== null && event.amount !== undefined
+        ? roundAmount(event.amount)
+        : roundAmount(getAmountDue(order) - (order.gatewayRefundAmount || 0));
+      if (!(amount > 0)) return { status: 'ignored' };
+
+      // A refund started here completes its hold, wallet part and refund request
+      const entry = event.refundId && (order.pendingRefunds || []).find(pending => pending.refundId === event.refundId);
+      if (entry) {
+        const settled = await settleRefund(order, entry);
+        if (!settled?.order) return { status: 'ignored' };
+        if (entry.refundRequestId) {
+          try {
+            await completeRefundRequest(entry.refundRequestId, settled.walletTransaction);
+          } catch (error) {
+            console.error(`Refund request completion failed for order ${order.orderNumber}:`, error.message);
+          }
+        }
+        return { status: 'processed', fromStatus: 'paid', toStatus: settled.order.paymentStatus };
+      }
+
+      const updated = await recordRefund(order._id, { amount, gatewayAmount: amount, refundId: event.refundId });
+      if (!updated) return { status: 'ignored' };
+      return { status: 'processed', fromStatus: 'paid', toStatus: updated.paymentStatus };
+    }
+
+    default:
+      return { status: 'ignored' };
+  }
+};
+
+/**
+ * Process a gateway webhook delivery
+ *
+ * Deliveries are deduplicated on (provider, eventId): the event row is
+ * inserted before any side effect, so a replayed delivery is acknowledged
+ * without being applied twice.
+ * Nothing is written for a delivery whose signature does not verify.
+ *
+ * @param {string} providerName - Provider name from the webhook URL
+ * @param {Buffer|string} rawBody - Raw request body (needed for signature checks)
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{duplicate: boolean, status: string}>} Processing outcome
+ */
+export const handleWebhook = async (providerName, rawBody, headers) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch (error) {
+    throw createServiceError('Unknown payment provider', 404);
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    // The route is public: unsigned deliveries are logged, never stored
+    console.warn(`Rejected ${provider.name} webhook: ${error.message}`);
+    throw createServiceError('Invalid webhook signature', 400);
+  }
+
+  let record;
+  try {
+    record = await PaymentEventModel.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      source: 'webhook',
+      intentId: event.intentId,
+      refundId: event.refundId,
+      amount: event.amount,
+      currency: event.currency,
+      status: 'received',
+      signatureVerified: true,
+      payload: event.raw
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { duplicate: true, status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  try {
+    const order = await findOrderForEvent(provider.name, event);
+    const outcome = order
+      ? await applyEventToOrder(order, event)
+      : { status: 'ignored', error: 'No matching order' };
+
+    record.orderId = order?._id || null;
+    record.status = outcome.status;
+    record.fromStatus = outcome.fromStatus || null;
+    record.toStatus = outcome.toStatus || null;
+    record.error = outcome.error || null;
+    record.processedAt = new Date();
+    await record.save();
+
+    return { duplicate: false, status: outcome.status };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    record.processedAt = new Date();
+    await record.save();
+    throw error;
+  }
+};
+
+/**
+ * Refund a paid order through its payment provider
+ *
+ * Omitting the amount refunds whatever is still refundable. Partial refunds
+ * keep the order paid and accumulate refundAmount; the order only moves to
+ * refunded once the full total has been returned. The gateway returns at
+ * most what it captured; the rest (store credit used at checkout) goes back
+ * to the customer's wallet.
+ *
+ * The amount is held on the order (pendingRefunds) before the gateway is
+ * called, so concurrent refunds cannot return more than was paid. A
+ * gateway refund that is still pending keeps its hold, wallet part
+ * included, until its webhook arrives.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId - Order ID
+ * @param {number} [params.amount] - Amount to refund (defaults to the remaining total)
+ * @param {string} [params.reason] - Refund reason
+ * @param {string} [params.requestedBy] - Actor identifier (e.g. admin email)
+ * @param {boolean} [params.toStoreCredit=false] - Return everything to the wallet instead of the gateway
+ * @param {ObjectId} [params.refundRequestId] - Refund request completed by this refund
+ * @returns {Promise<{order: Object, refundId: string|null, status: string, walletTransaction: Object|null}>} Updated order, provider refund ID, 'succeeded' or 'pending' and the wallet entry
+ */
+export const refundOrderPayment = async ({ orderId, amount = null, reason = '', requestedBy = null, toStoreCredit = false, refundRequestId = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw createServiceError('Order not found', 404);
+  }
+
+  const order = await OrderModel.findById(orderId).lean();
+  if (!order) {
+    throw createServiceError('Order not found', 404);
+  }
+  if (order.paymentStatus !== 'paid') {
+    throw createServiceError('Only paid orders can be refunded', 409);
+  }
+
+  const remaining = roundAmount(order.totalAmount - (order.refundAmount || 0) - getPendingRefundAmount(order));
+  const refundAmount = amount === null ? remaining : roundAmount(amount);
+  if (!(refundAmount > 0) || refundAmount > remaining) {
+    throw createServiceError(`Refund amount must be between 0 and ${remaining} ${order.currency}`, 400);
+  }
+
+  const gatewayRemaining = getAmountDue(order) - (order.gatewayRefundAmount || 0) - getPendingRefundAmount(order, 'gatewayAmount');
+  const gatewayAmount = toStoreCredit ? 0 : roundAmount(Math.max(0, Math.min(refundAmount, gatewayRemaining)));
+  const walletAmount = roundAmount(refundAmount - gatewayAmount);
+  if (gatewayAmount > 0 && (!order.paymentProvider || !order.paymentIntentId || order.paymentProvider === 'store_credit')) {
+    throw createServiceError('This order has no captured gateway payment to refund', 409);
+  }
+
+  // Hold the amount first; a refund that started meanwhile makes this one fail
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: refundAmount,
+    gatewayAmount,
+    walletAmount,
+    refundId: null,
+    settling: false,
+    refundRequestId,
+    reason,
+    requestedBy
+  };
+  const held = await OrderModel.updateOne(
+    {
+      _id: order._id,
+      paymentStatus: 'paid',
+      $expr: {
+        $and: [
+          {
+            $lte: [
+              { $add: [{ $ifNull: ['$refundAmount', 0] }, { $sum: '$pendingRefunds.amount' }, refundAmount] },
+              { $add: ['$totalAmount', 0.001] }
+            ]
+          },
+          {
+            $lte: [
+              { $add: [{ $ifNull: ['$gatewayRefundAmount', 0] }, { $sum: '$pendingRefunds.gatewayAmount' }, gatewayAmount] },
+              { $add: [{ $subtract: ['$totalAmount', { $ifNull: ['$storeCreditAmount', 0] }] }, 0.001] }
+            ]
+          }
+        ]
+      }
+    },
+    { $push: { pendingRefunds: entry } }
+  );
+  if (held.modifiedCount === 0) {
+    throw createServiceError('Another refund of this order is in progress; reload the order and try again', 409);
+  }
+
+  let provider = null;
+  let refund = { refundId: null, status: 'succeeded' };
+  if (gatewayAmount > 0) {
+    provider = getPaymentProvider(order.paymentProvider);
+    try {
+      refund = await provider.refund({
+        intentId: order.paymentIntentId,
+        amount: gatewayAmount,
+        currency: order.currency
+      });
+    } catch (error) {
+      await OrderModel.updateOne({ _id: order._id }, { $pull: { pendingRefunds: { _id: entry._id } } });
+      await recordApiEvent({
+        provider: provider.name,
+        type: 'refund.requested',
+        orderId: order._id,
+        intentId: order.paymentIntentId,
+        amount: gatewayAmount,
+        currency: order.currency,
+        status: 'failed',
+        error: error.message,
+        payload: { reason, requestedBy }
+      });
+      throw createServiceError(`Refund failed: ${error.message}`, 502);
+    }
+  }
+
+  entry.refundId = refund.refundId || null;
+  let settled = null;
+  if (refund.status === 'succeeded') {
+    settled = await settleRefund(order, entry);
+  } else {
+    // Completed by the refund.succeeded webhook (see applyEventToOrder)
+    await OrderModel.updateOne(
+      { _id: order._id, 'pendingRefunds._id': entry._id },
+      { $set: { 'pendingRefunds.$.refundId': entry.refundId } }
+    );
+  }
+
+  const updated = settled?.order || await OrderModel.findById(order._id);
+  await recordApiEvent({
+    provider: provider ? provider.name : 'store_credit',
+    type: 'refund.requested',
+    orderId: order._id,
+    intentId: order.paymentIntentId,
+    refundId: refund.refundId,
+    amount: refundAmount,
+    currency: order.currency,
+    fromStatus: 'paid',
+    toStatus: updated ? updated.paymentStatus : null,
+    payload: {
+      reason,
+      requestedBy,
+      providerStatus: refund.status,
+      gatewayAmount,
+      storeCreditAmount: walletAmount,
+      storeCreditTransactionId: settled?.walletTransaction?._id || null
+    }
+  });
+
+  return {
+    order: updated,
+    refundId: refund.refundId,
+    status: settled ? 'succeeded' : 'pending',
+    walletTransaction: settled?.walletTransaction || null
+  };
+};
+
+/**
+ * Find the pending order behind a mock checkout intent
+ *
+ * @param {Object} params
+ * @param {string} params.intentId - Mock intent ID
+ * @param {string|ObjectId} params.customerId - Owner of the order
+ * @returns {Promise<Object>} Order document
+ */
+export const getMockCheckoutOrder = async ({ intentId, customerId }) => {
+  const order = await OrderModel.findOne({
+    paymentProvider: 'mock',
+    paymentIntentId: String(intentId || ''),
+    customerId
+  });
+  if (!order) {
+    throw createServiceError('Payment session not found', 404);
+  }
+  return order;
+};
+
+/**
+ * Complete a mock checkout
+ *
+ * Produces the signed webhook the mock gateway would send and delivers it
+ * through the regular webhook pipeline.
+ *
+ * @param {Object} params
+ * @param {string} params.intentId - Mock intent ID
+ * @param {string|ObjectId} params.customerId - Owner of the order
+ * @param {'succeeded'|'failed'} params.outcome - Simulated outcome
+ * @returns {Promise<Object>} Updated order document
+ */
+export const completeMockCheckout = async ({ intentId, customerId, outcome }) => {
+  if (!['succeeded', 'failed'].includes(outcome)) {
+    throw createServiceError('Outcome must be succeeded or failed');
+  }
+
+  const order = await getMockCheckoutOrder({ intentId, customerId });
+  if (order.paymentStatus !== 'pending') {
+    throw createServiceError('This payment session is no longer open', 409);
+  }
+
+  const delivery = getPaymentProvider('mock').confirmIntent({ intentId: order.paymentIntentId, order, amount: getAmountDue(order), outcome });
+  await handleWebhook('mock', delivery.rawBody, delivery.headers);
+
+  return OrderModel.findById(order._id);
+};
+
+/**
+ * List the payment events recorded for an order
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @returns {Promise<Array>} Events, newest first
+ */
+export const getOrderPaymentEvents = (orderId) => PaymentEventModel.find({ orderId })
+  .sort({ createdAt: -1 })
+  .lean();
+
+export default {
+  createPaymentForOrder,
+  handleWebhook,
+  recordRefund,
+  getPendingRefundAmount,
+  refundOrderPayment,
+  getOrderPaymentEvents,
+  getMockCheckoutOrder,
+  completeMockCheckout,
+  PAYMENT_TRANSITIONS
+};
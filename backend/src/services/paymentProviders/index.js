@@ -0,0 +1,58 @@
+/**
+ * Payment Provider Registry
+ *
+ * Central lookup for payment gateway adapters. Every provider implements:
+ * - createIntent({ order, amount }) -> { intentId, status, redirectUrl }
+ *   (amount is what the gateway charges: the order total less store credit)
+ * - verifyWebhook(rawBody, headers) -> normalized event
+ *   ({ id, type, intentId, orderId, refundId, amount, currency, failureReason, raw })
+ * - refund({ intentId, amount, currency }) -> { refundId, status }
+ *
+ * Normalized event types: payment.succeeded, payment.failed, refund.succeeded.
+ * Register new gateways here; the active one is selected with PAYMENT_PROVIDER.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mockProvider from './mock.provider.js';
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get a provider adapter by name
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} Provider adapter
+ * @throws {Error} If the provider is not registered
+ */
+export const getPaymentProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not configured`);
+  }
+  return provider;
+};
+
+/**
+ * Get the provider used for new payments
+ *
+ * @returns {Object} Provider adapter
+ */
+export const getActivePaymentProvider = () => getPaymentProvider(process.env.PAYMENT_PROVIDER || 'mock');
+
+/**
+ * Whether the mock gateway may be used in this environment
+ *
+ * @returns {boolean}
+ */
+export const isMockGatewayEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.PAYMENT_MOCK_ENABLED === 'true';
+
+export default {
+  getPaymentProvider,
+  getActivePaymentProvider,
+  isMockGatewayEnabled
+};
@@ -0,0 +1,178 @@
+/**
+ * Mock Payment Provider
+ *
+ * Local payment gateway used for development and automated flows.
+ * Mirrors a hosted-checkout gateway: intents redirect to a mock checkout
+ * page, outcomes are delivered as HMAC-signed webhooks and refunds settle
+ * immediately. No network access required.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import crypto from 'crypto';
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Resolve the webhook signing secret
+ *
+ * @returns {string} Secret
+ */
+const getWebhookSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock gateway in production');
+  }
+  return 'mock_webhook_dev_secret';
+};
+
+/**
+ * Sign a payload the way the mock gateway does
+ *
+ * @param {string} rawBody - Serialized event
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} Signature header value
+ */
+const signPayload = (rawBody, timestamp) => {
+  const digest = crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Build a signed webhook delivery
+ *
+ * @param {string} type - Normalized event type
+ * @param {Object} data - Event data
+ * @returns {{ rawBody: string, headers: Object }} Signed delivery
+ */
+const buildSignedEvent = (type, data) => {
+  const event = {
+    id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data
+  };
+  const rawBody = JSON.stringify(event);
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: signPayload(rawBody, event.created) }
+  };
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  /**
+   * Create a payment intent
+   *
+   * @param {Object} params
+   * @param {Object} params.order - Order document
+   * @param {number} params.amount - Amount to charge
+   * @returns {Promise<{ intentId: string, status: string, redirectUrl: string }>}
+   */
+  async createIntent({ order }) {
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      intentId,
+      status: 'requires_action',
+      redirectUrl: `${frontendUrl}/user/payment/mock/${intentId}?order=${order._id}`
+    };
+  },
+
+  /**
+   * Complete a mock checkout and produce the gateway webhook
+   *
+   * @param {Object} params
+   * @param {string} params.intentId - Intent ID
+   * @param {Object} params.order - Order document
+   * @param {number} params.amount - Amount charged
+   * @param {'succeeded'|'failed'} params.outcome - Simulated outcome
+   * @returns {{ rawBody: string, headers: Object }} Signed webhook delivery
+   */
+  confirmIntent({ intentId, order, amount, outcome }) {
+    const type = outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed';
+    return buildSignedEvent(type, {
+      intentId,
+      orderId: String(order._id),
+      amount,
+      currency: order.currency,
+      failureReason: outcome === 'succeeded' ? null : 'Card declined (mock)'
+    });
+  },
+
+  /**
+   * Verify and normalize a webhook delivery
+   *
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} Normalized event
+   * @throws {Error} If the signature is missing, invalid or stale
+   */
+  verifyWebhook(rawBody, headers) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature timestamp outside tolerance');
+    }
+
+    const expected = signPayload(body, timestamp).split('v1=')[1];
+    const received = String(parts.v1 || '');
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+    ) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(body);
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data?.intentId || null,
+      orderId: event.data?.orderId || null,
+      refundId: event.data?.refundId || null,
+      amount: event.data?.amount ?? null,
+      currency: event.data?.currency || null,
+      failureReason: event.data?.failureReason || null,
+      raw: event
+    };
+  },
+
+  /**
+   * Refund a captured payment
+   *
+   * @param {Object} params
+   * @param {string} params.intentId - Captured intent ID
+   * @param {number} params.amount - Amount to refund
+   * @param {string} params.currency - Currency
+   * @returns {Promise<{ refundId: string, status: string }>}
+   */
+  async refund({ intentId, amount }) {
+    if (!intentId) {
+      throw new Error('No captured payment to refund');
+    }
+    if (!(amount > 0)) {
+      throw new Error('Refund amount must be greater than zero');
+    }
+    return {
+      refundId: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded'
+    };
+  }
+};
+
+export default mockProvider;
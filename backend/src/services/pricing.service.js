@@ -0,0 +1,421 @@
+/**
+ * Pricing Service
+ *
+ * Turns vendor cost prices into customer sale prices. Admins define markup
+ * rules (global, per provider, per vendor or per product; percentage or
+ * fixed) with rounding to psychological price points. Sale prices are
+ * stored on the product (priceDecimal) so the storefront can filter and sort
+ * by them, and are recalculated whenever a cost or a rule changes.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import PricingRuleModel, { PRICING_SCOPES, MARKUP_TYPES, ROUNDING_MODES } from '../models/pricingRule.model.js';
+import ProductModel from '../models/product.model.js';
+import VendorModel from '../models/vendor.model.js';
+import OrderModel from '../models/order.model.js';
+import { roundAmount, getNetItemTotal, getItemEarnings } from './order.service.js';
+import { getRateTable, toSettlementAmount, SETTLEMENT_CURRENCY } from './currency.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+// Percentage markups above this are almost certainly typos
+const MAX_MARKUP_PERCENT = 1000;
+
+const REPRICE_BATCH_SIZE = 500;
+
+const REPORT_RANGES = { '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+
+/**
+ * Raise an amount to the next psychological price point
+ *
+ * Prices are only ever rounded up so the markup is never eaten into.
+ *
+ * @param {number} amount - Marked-up price
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Rounded price
+ */
+export const roundToPricePoint = (amount, mode = 'none') => {
+  const cents = Math.round(Number(amount) * 100);
+  if (!(cents > 0)) return 0;
+
+  if (mode === 'whole') return Math.ceil(cents / 100);
+
+  const base = Math.floor(cents / 100) * 100;
+  const endings = {
+    end_99: [99, 199],
+    end_95: [95, 195],
+    half_99: [49, 99, 149]
+  }[mode];
+  if (!endings) return cents / 100;
+  return (base + endings.find(ending => base + ending >= cents)) / 100;
+};
+
+/**
+ * Cost price of a product
+ *
+ * Products priced before cost and sale prices were split only have
+ * priceDecimal, which was what the vendor charged.
+ *
+ * @param {Object} product - Product (costPrice, priceDecimal)
+ * @returns {number} Vendor cost per unit
+ */
+export const getCostPrice = (product) => roundAmount(product.costPrice ?? product.priceDecimal ?? 0);
+
+/**
+ * Active markup rules keyed by target
+ *
+ * @returns {Promise<Map<string, Object>>} Rules by targetKey
+ */
+export const loadActiveRules = async () => {
+  const rules = await PricingRuleModel.find({ isActive: true }).lean();
+  return new Map(rules.map(rule => [rule.targetKey, rule]));
+};
+
+/**
+ * Most specific rule that applies to a product
+ *
+ * Fixed rules only apply to products in their currency; otherwise the next
+ * broader rule is used.
+ *
+ * @param {Object} product - Product (_id, vendorId, provider, currency)
+ * @param {Map<string, Object>} rules - From loadActiveRules
+ * @returns {Object|null} Matching rule
+ */
+export const findRule = (product, rules) => {
+  const currency = String(product.currency || 'USD').toUpperCase();
+  const keys = [
+    product._id && `product:${product._id}`,
+    product.vendorId && `vendor:${product.vendorId._id || product.vendorId}`,
+    product.provider && `provider:${product.provider}`,
+    'global'
+  ].filter(Boolean);
+
+  for (const key of keys) {
+    const rule = rules.get(key);
+    if (rule && (rule.type !== 'fixed' || rule.currency === currency)) return rule;
+  }
+  return null;
+};
+
+/**
+ * Sale price for a cost under a rule (no rule: sold at cost)
+ *
+ * @param {number} cost - Vendor cost per unit
+ * @param {Object|null} rule - Markup rule
+ * @returns {number} Customer sale price
+ */
+export const applyMarkup = (cost, rule) => {
+  if (!rule) return roundAmount(cost);
+  const marked = rule.type === 'percentage'
+    ? cost * (1 + rule.value / 100)
+    : cost + rule.value;
+  return roundToPricePoint(roundAmount(marked), rule.rounding);
+};
+
+/**
+ * Set a vendor product's sale price from its cost price
+ *
+ * Bundles are priced by admins and are left alone.
+ *
+ * @param {Object} product - Product document or plain object (mutated)
+ * @param {Map<string, Object>} [rules] - Preloaded rules
+ * @returns {Promise<Object>} The product
+ */
+export const applySalePrice = async (product, rules = null) => {
+  if (product.productType === 'bundle') return product;
+  const activeRules = rules || await loadActiveRules();
+  product.costPrice = getCostPrice(product);
+  product.priceDecimal = applyMarkup(product.costPrice, findRule(product, activeRules));
+  return product;
+};
+
+/**
+ * Products a rule applies to
+ *
+ * @param {Object} rule - { scope, provider, vendorId, productId }
+ * @returns {Object} Mongo filter
+ */
+const getRuleProductFilter = (rule) => ({
+  global: {},
+  provider: { provider: rule.provider },
+  vendor: { vendorId: rule.vendorId },
+  product: { _id: rule.productId }
+}[rule.scope]);
+
+/**
+ * Recalculate the sale price of vendor products
+ *
+ * Legacy products without a cost price get their current price as cost.
+ *
+ * @param {Object} [filter] - Products to reprice
+ * @returns {Promise<number>} Products whose price changed
+ */
+export const repriceProducts = async (filter = {}) => {
+  const rules = await loadActiveRules();
+  const cursor = ProductModel.find({ ...filter, productType: { $ne: 'bundle' } })
+    .select('vendorId provider currency priceDecimal costPrice')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await ProductModel.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const product of cursor) {
+    const costPrice = getCostPrice(product);
+    const priceDecimal = applyMarkup(costPrice, findRule(product, rules));
+    if (product.costPrice === costPrice && product.priceDecimal === priceDecimal) continue;
+
+    batch.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { costPrice, priceDecimal } }
+      }
+    });
+    if (batch.length >= REPRICE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * List markup rules for admins, most specific last
+ *
+ * @returns {Promise<Array>} Rules with their vendor or product
+ */
+export const getPricingRules = async () => {
+  const rules = await PricingRuleModel.find()
+    .populate('vendorId', 'companyName displayName')
+    .populate('productId', 'title sku')
+    .lean();
+
+  return rules.sort((a, b) => (
+    PRICING_SCOPES.indexOf(a.scope) - PRICING_SCOPES.indexOf(b.scope) || a.targetKey.localeCompare(b.targetKey)
+  ));
+};
+
+/**
+ * Validate a rule's target and build its key
+ *
+ * @param {Object} data - Raw admin input
+ * @returns {Promise<Object>} { scope, provider, vendorId, productId, targetKey }
+ */
+const resolveTarget = async (data) => {
+  const scope = String(data.scope || '');
+  const target = { scope, provider: null, vendorId: null, productId: null };
+
+  if (scope === 'global') {
+    return { ...target, targetKey: 'global' };
+  }
+  if (scope === 'provider') {
+    const provider = String(data.provider || '');
+    if (!ProductModel.schema.path('provider').enumValues.includes(provider)) {
+      throw createServiceError('Unknown provider');
+    }
+    return { ...target, provider, targetKey: `provider:${provider}` };
+  }
+  if (scope === 'vendor') {
+    const vendorId = String(data.vendorId || '');
+    if (!mongoose.Types.ObjectId.isValid(vendorId) || !(await VendorModel.exists({ _id: vendorId }))) {
+      throw createServiceError('Vendor not found', 404);
+    }
+    return { ...target, vendorId, targetKey: `vendor:${vendorId}` };
+  }
+  if (scope === 'product') {
+    const productId = String(data.productId || '');
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await ProductModel.findById(productId).select('productType').lean()
+      : null;
+    if (!product) {
+      throw createServiceError('Product not found', 404);
+    }
+    if (product.productType === 'bundle') {
+      throw createServiceError('Bundles are priced directly, not through markup rules');
+    }
+    return { ...target, productId, targetKey: `product:${productId}` };
+  }
+  throw createServiceError('Scope must be global, provider, vendor or product');
+};
+
+/**
+ * Create or update a markup rule and reprice the products it covers
+ *
+ * @param {Object} params
+ * @param {string|null} [params.ruleId] - Rule to update; creates when omitted
+ * @param {Object} params.data - { scope, provider, vendorId, productId, type, value, currency, rounding, isActive }
+ * @param {string} params.adminEmail - Acting admin
+ * @returns {Promise<{rule: Object, repriced: number}>} Saved rule and products repriced
+ */
+export const savePricingRule = async ({ ruleId = null, data = {}, adminEmail }) => {
+  const type = String(data.type || '');
+  const value = Number(data.value);
+  const rounding = String(data.rounding || 'none');
+  if (!MARKUP_TYPES.includes(type)) {
+    throw createServiceError('Type must be percentage or fixed');
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    throw createServiceError('Markup cannot be negative');
+  }
+  if (type === 'percentage' && value > MAX_MARKUP_PERCENT) {
+    throw createServiceError(`A percentage markup cannot exceed ${MAX_MARKUP_PERCENT}`);
+  }
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw createServiceError('Unknown rounding');
+  }
+
+  const fields = {
+    ...(await resolveTarget(data)),
+    type,
+    value: roundAmount(value),
+    currency: String(data.currency || 'USD').trim().toUpperCase().slice(0, 3),
+    rounding,
+    isActive: data.isActive !== undefined ? Boolean(data.isActive) : true
+  };
+
+  let previous = null;
+  let rule;
+  try {
+    if (!ruleId) {
+      rule = await PricingRuleModel.create({ ...fields, createdBy: adminEmail });
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+        throw createServiceError('Pricing rule not found', 404);
+      }
+      previous = await PricingRuleModel.findById(ruleId).lean();
+      if (!previous) {
+        throw createServiceError('Pricing rule not found', 404);
+      }
+      rule = await PricingRuleModel.findByIdAndUpdate(
+        ruleId,
+        { $set: { ...fields, updatedBy: adminEmail } },
+        { new: true, runValidators: true }
+      );
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createServiceError('A rule for this target already exists; edit it instead', 409);
+    }
+    throw error;
+  }
+
+  let repriced = await repriceProducts(getRuleProductFilter(rule));
+  // Products the rule no longer covers fall back to a broader rule
+  if (previous && previous.targetKey !== rule.targetKey) {
+    repriced += await repriceProducts(getRuleProductFilter(previous));
+  }
+
+  return { rule, repriced };
+};
+
+/**
+ * Delete a markup rule and reprice the products it covered
+ *
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<{repriced: number}>} Products repriced
+ */
+export const deletePricingRule = async (ruleId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+    throw createServiceError('Pricing rule not found', 404);
+  }
+  const rule = await PricingRuleModel.findByIdAndDelete(ruleId).lean();
+  if (!rule) {
+    throw createServiceError('Pricing rule not found', 404);
+  }
+
+  return { repriced: await repriceProducts(getRuleProductFilter(rule)) };
+};
+
+/**
+ * Margin report over paid orders: what customers paid against vendor costs
+ *
+ * Admin only. Amounts are net of refunds and converted to the settlement
+ * currency at each order's recorded rate. Bundle lines are counted through
+ * their component lines.
+ *
+ * @param {Object} [params] - { range: '7d'|'30d'|'90d'|'365d' }
+ * @returns {Promise<Object>} Totals plus breakdowns by vendor and provider
+ */
+export const getMarginReport = async ({ range = '30d' } = {}) => {
+  const days = REPORT_RANGES[range] || REPORT_RANGES['30d'];
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const { rates } = await getRateTable();
+
+  const totals = { revenue: 0, cost: 0 };
+  const byVendor = new Map();
+  const byProvider = new Map();
+  let unconvertedOrders = 0;
+
+  const add = (map, key, revenue, cost) => {
+    const row = map.get(key) || { revenue: 0, cost: 0 };
+    row.revenue += revenue;
+    row.cost += cost;
+    map.set(key, row);
+  };
+
+  const cursor = OrderModel.find({ paymentStatus: 'paid', createdAt: { $gte: since } })
+    .select('vendorId items currency exchangeRate settlementCurrency')
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    if (toSettlementAmount(0, order, rates) === null) {
+      unconvertedOrders += 1;
+      continue;
+    }
+    for (const item of order.items) {
+      if (item.isBundle) continue;
+      const revenue = toSettlementAmount(getNetItemTotal(item), order, rates);
+      const cost = toSettlementAmount(getItemEarnings(item), order, rates);
+      totals.revenue += revenue;
+      totals.cost += cost;
+      add(byVendor, String(item.vendorId || order.vendorId || 'none'), revenue, cost);
+      add(byProvider, item.provider || 'other', revenue, cost);
+    }
+  }
+
+  const toRow = ({ revenue, cost }) => ({
+    revenue: roundAmount(revenue),
+    cost: roundAmount(cost),
+    margin: roundAmount(revenue - cost),
+    marginPercent: revenue > 0 ? roundAmount((revenue - cost) / revenue * 100) : 0
+  });
+
+  const vendorIds = [...byVendor.keys()].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const vendors = await VendorModel.find({ _id: { $in: vendorIds } }).select('companyName displayName').lean();
+  const vendorNames = new Map(vendors.map(vendor => [String(vendor._id), vendor.displayName || vendor.companyName]));
+
+  return {
+    range,
+    currency: SETTLEMENT_CURRENCY,
+    unconvertedOrders,
+    ...toRow(totals),
+    byVendor: [...byVendor.entries()]
+      .map(([vendorId, row]) => ({ vendorId, vendor: vendorNames.get(vendorId) || 'Unknown vendor', ...toRow(row) }))
+      .sort((a, b) => b.margin - a.margin),
+    byProvider: [...byProvider.entries()]
+      .map(([provider, row]) => ({ provider, ...toRow(row) }))
+      .sort((a, b) => b.margin - a.margin)
+  };
+};
+
+export default {
+  roundToPricePoint,
+  getCostPrice,
+  loadActiveRules,
+  findRule,
+  applyMarkup,
+  applySalePrice,
+  repriceProducts,
+  getPricingRules,
+  savePricingRule,
+  deletePricingRule,
+  getMarginReport
+};
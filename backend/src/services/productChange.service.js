@@ -0,0 +1,211 @@
+/**
+ * Product Change Service
+ *
+ * Re-review gate for vendor edits to approved products. Changes to price,
+ * provider, service type, plan duration, rules or warranty do not touch the
+ * live product; they are held as a pending change request until an admin
+ * approves it (see adminProduct.service.js), so customers keep buying the
+ * approved version.
+ * Other edits apply immediately.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import ProductChangeRequestModel from '../models/productChangeRequest.model.js';
+import ProductModel from '../models/product.model.js';
+import { getCostPrice } from './pricing.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+// Fields a vendor cannot change on an approved product without admin approval
+export const SENSITIVE_PRODUCT_FIELDS = [
+  'costPrice',
+  'currency',
+  // Provider also selects the markup rule (see pricing.service.js findRule)
+  'provider',
+  'serviceType',
+  'planDurationDays',
+  'rules',
+  'warrantyDays',
+  'warrantyType',
+  'replacementPolicy'
+];
+
+/**
+ * Whether vendor edits to a product go through the gate
+ *
+ * @param {Object} product - Product
+ * @returns {boolean} True for approved vendor products
+ */
+export const isChangeGated = (product) => (
+  product.productType !== 'bundle' && product.adminReviewStatus === 'approved'
+);
+
+/**
+ * Sensitive fields of a product as customers see them
+ *
+ * @param {Object} product - Product
+ * @returns {Object} Live version
+ */
+export const getLiveVersion = (product) => ({
+  costPrice: getCostPrice(product),
+  currency: product.currency,
+  provider: product.provider,
+  serviceType: product.serviceType,
+  planDurationDays: product.planDurationDays,
+  rules: product.rules || '',
+  warrantyDays: product.warrantyDays || 0,
+  warrantyType: product.warrantyType || 'none',
+  replacementPolicy: product.replacementPolicy || ''
+});
+
+/**
+ * Validate a proposed value for a sensitive field
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Raw value
+ * @returns {*} Normalized value
+ */
+const normalizeValue = (field, value) => {
+  if (field === 'costPrice') {
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw createServiceError('Price must be greater than 0');
+    }
+    return Math.round(price * 100) / 100;
+  }
+  if (field === 'planDurationDays') {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1) {
+      throw createServiceError('Plan duration must be a whole number of days, at least 1');
+    }
+    return days;
+  }
+  if (field === 'warrantyDays') {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+      throw createServiceError('Warranty days must be a whole number of at least 0');
+    }
+    return days;
+  }
+  if (field === 'provider' || field === 'serviceType') {
+    if (!ProductModel.schema.path(field).enumValues.includes(value)) {
+      throw createServiceError(field === 'provider' ? 'Unknown provider' : 'Unknown service type');
+    }
+    return value;
+  }
+  if (field === 'warrantyType') {
+    if (!ProductModel.schema.path('warrantyType').enumValues.includes(value)) {
+      throw createServiceError('Unknown warranty type');
+    }
+    return value;
+  }
+  if (field === 'currency') {
+    const currency = String(value || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw createServiceError('Currency must be a 3-letter code');
+    }
+    return currency;
+  }
+  return String(value ?? '');
+};
+
+/**
+ * Fields that differ between two versions
+ *
+ * @param {Object} before - Version
+ * @param {Object} after - Version
+ * @returns {Array} [{ field, before, after }]
+ */
+const diffVersions = (before, after) => SENSITIVE_PRODUCT_FIELDS
+  .filter(field => before[field] !== after[field])
+  .map(field => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Take sensitive edits to an approved product out of a vendor update
+ *
+ * The edits are merged into the product's pending change request; a newer
+ * edit supersedes the previous request, and editing back to the live
+ * values leaves nothing pending.
+ *
+ * @param {Object} params
+ * @param {Object} params.product - Product document (unchanged)
+ * @param {Object} params.updates - Vendor-editable fields from the request
+ * @param {string} params.vendorEmail - Submitting vendor
+ * @returns {Promise<{updates: Object, change: Object|null}>} Updates to apply now and the pending change
+ */
+export const holdSensitiveChanges = async ({ product, updates, vendorEmail }) => {
+  if (!isChangeGated(product)) {
+    return { updates, change: await getPendingChange(product._id) };
+  }
+
+  const liveUpdates = { ...updates };
+  const submitted = SENSITIVE_PRODUCT_FIELDS.filter(field => updates[field] !== undefined);
+  const pending = await getPendingChange(product._id);
+  if (submitted.length === 0) {
+    return { updates: liveUpdates, change: pending };
+  }
+
+  const live = getLiveVersion(product);
+  // Requests from before a field was gated do not carry it; it stays live
+  const pendingVersion = pending ? { ...live, ...pending.proposedVersion } : null;
+  const proposed = { ...(pendingVersion || live) };
+  submitted.forEach(field => {
+    proposed[field] = normalizeValue(field, updates[field]);
+    delete liveUpdates[field];
+  });
+
+  // Same proposal as the one already waiting
+  if (pending && diffVersions(pendingVersion, proposed).length === 0) {
+    return { updates: liveUpdates, change: pending };
+  }
+
+  if (pending) {
+    await ProductChangeRequestModel.updateOne(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status: 'superseded' } }
+    );
+  }
+
+  const changes = diffVersions(live, proposed);
+  if (changes.length === 0) {
+    return { updates: liveUpdates, change: null };
+  }
+
+  try {
+    const change = await ProductChangeRequestModel.create({
+      productId: product._id,
+      vendorId: product.vendorId,
+      liveVersion: live,
+      proposedVersion: proposed,
+      changes,
+      submittedBy: vendorEmail,
+      supersedes: pending?._id || null
+    });
+    return { updates: liveUpdates, change: change.toObject() };
+  } catch (error) {
+    if (pending) {
+      await ProductChangeRequestModel.updateOne({ _id: pending._id, status: 'superseded' }, { $set: { status: 'pending' } });
+    }
+    if (error.code === 11000) {
+      throw createServiceError('Another change to this product is being submitted; try again', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Pending change request of a product
+ *
+ * @param {string|ObjectId} productId - Product ID
+ * @returns {Promise<Object|null>} Pending change request
+ */
+export const getPendingChange = (productId) =>
+  ProductChangeRequestModel.findOne({ productId, status: 'pending' }).lean();
+
+export default {
+  isChangeGated,
+  getLiveVersion,
+  holdSensitiveChanges,
+  getPendingChange
+};
@@ -0,0 +1,724 @@
+/**
+ * Product Request Service
+ *
+ * Vendor product proposals and their admin review. Every submission is kept
+ * as an immutable revision; a proposal is approved, rejected or sent back
+ * for changes, after which the vendor resubmits a new revision. Approval
+ * turns every plan into its own catalog product. Admins and the vendor
+ * discuss a proposal in a comment thread. Every action is written to
+ * ProductRequestAudit with the revision it applied to, and the vendor is
+ * emailed about admin actions.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import ProductRequestModel from '../models/productRequest.model.js';
+import ProductRequestAuditModel from '../models/productRequestAudit.model.js';
+import ProductRequestRevisionModel from '../models/productRequestRevision.model.js';
+import ProductModel from '../models/product.model.js';
+import VendorModel from '../models/vendor.model.js';
+import { sendEmail } from './email.service.js';
+import { applySalePrice, loadActiveRules } from './pricing.service.js';
+import { generateVendorProductRequestEmail } from '../templates/vendorProductRequestEmail.template.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Statuses each admin decision can be taken from
+const DECISION_FROM = {
+  approved: ['pending_review'],
+  rejected: ['pending_review', 'changes_requested'],
+  changes_requested: ['pending_review']
+};
+
+// Proposal fields compared between revisions, with their display labels
+const REVISION_FIELDS = {
+  title: 'Title',
+  provider: 'Provider',
+  serviceType: 'Service type',
+  stock: 'Stock',
+  warrantyDays: 'Warranty days',
+  replacementPolicy: 'Replacement policy',
+  rules: 'Rules',
+  description: 'Description'
+};
+
+const EMAIL_SUBJECTS = {
+  approved: 'Product request approved',
+  rejected: 'Product request rejected',
+  changes_requested: 'Changes requested on your product request',
+  comment_added: 'New comment on your product request'
+};
+
+/**
+ * Find a product request, optionally scoped to a vendor
+ *
+ * @param {string} requestId - Product request ID
+ * @param {string|ObjectId|null} vendorId - Vendor scope (null for admins)
+ * @returns {Promise<Object>} Product request document
+ */
+const findRequest = async (requestId, vendorId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw createServiceError('Product request not found', 404);
+  }
+  const request = await ProductRequestModel.findOne(vendorId ? { _id: requestId, vendorId } : { _id: requestId });
+  if (!request) {
+    throw createServiceError('Product request not found', 404);
+  }
+  return request;
+};
+
+/**
+ * Trim and validate a comment body
+ *
+ * @param {string} comment - Raw comment
+ * @param {boolean} required - Whether an empty comment is an error
+ * @returns {string} Trimmed comment ('' when optional and empty)
+ */
+const normalizeComment = (comment, required) => {
+  const body = typeof comment === 'string' ? comment.trim() : '';
+  if (required && !body) {
+    throw createServiceError('Comment is required for this action');
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw createServiceError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return body;
+};
+
+/**
+ * Record an action on a product request
+ *
+ * @param {Object} params
+ * @param {Object} params.request - Product request
+ * @param {string} params.action - Audit action
+ * @param {Object} params.actor - { type: 'admin'|'vendor', id }
+ * @param {string} [params.comment] - Comment or reason
+ * @param {string} [params.previousStatus] - Status before the action
+ * @param {string} [params.newStatus] - Status after the action
+ * @param {Array} [params.productIds] - Products created by the action
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Audit entry for the request's current revision
+ */
+const writeAudit = ({ request, action, actor, comment = null, previousStatus = null, newStatus = null, productIds = [], context = {} }) =>
+  ProductRequestAuditModel.create({
+    requestId: request._id,
+    vendorId: request.vendorId,
+    action,
+    adminId: actor.id,
+    actorType: actor.type,
+    comment: comment || null,
+    previousStatus,
+    newStatus,
+    revision: request.revision,
+    productIds,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null
+  });
+
+/**
+ * Email the vendor about a review action (non-fatal)
+ *
+ * @param {Object} request - Product request
+ * @param {string} action - approved | rejected | changes_requested | comment_added
+ * @param {Object} [details] - { comment, products }
+ * @returns {Promise<void>}
+ */
+const notifyVendor = async (request, action, { comment = '', products = [] } = {}) => {
+  try {
+    const vendor = await VendorModel.findById(request.vendorId).select('companyName displayName primaryEmail').lean();
+    if (!vendor?.primaryEmail) return;
+    await sendEmail(
+      vendor.primaryEmail,
+      `${EMAIL_SUBJECTS[action]}: ${request.title}`,
+      generateVendorProductRequestEmail({
+        companyName: vendor.displayName || vendor.companyName,
+        title: request.title,
+        action,
+        comment,
+        products
+      })
+    );
+  } catch (error) {
+    console.error(`Product request notification failed for ${request._id}:`, error.message);
+  }
+};
+
+/**
+ * Validate and normalise the proposal fields a vendor submits
+ *
+ * Accepts multipart form bodies, where plans arrive as a JSON string.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Proposal fields
+ */
+const parseProposal = (body = {}) => {
+  const { title, provider, serviceType, plans, stock, warrantyDays, replacementPolicy, rules, description } = body;
+
+  if (!title?.trim() || !provider || !serviceType) {
+    throw createServiceError('Title, provider, and service type are required');
+  }
+
+  let parsedPlans = plans;
+  if (typeof plans === 'string') {
+    try {
+      parsedPlans = JSON.parse(plans);
+    } catch {
+      throw createServiceError('Invalid plans format');
+    }
+  }
+
+  if (!parsedPlans || !Array.isArray(parsedPlans) || parsedPlans.length === 0) {
+    throw createServiceError('At least one plan is required');
+  }
+
+  for (const plan of parsedPlans) {
+    if (!plan.durationDays || !plan.price || !plan.currency) {
+      throw createServiceError('Each plan must have durationDays, price, and currency');
+    }
+    if (plan.durationDays < 1 || plan.price < 0) {
+      throw createServiceError('Invalid plan values');
+    }
+  }
+
+  // Each plan becomes its own product, so durations must not repeat
+  const durations = parsedPlans.map((plan) => Number(plan.durationDays));
+  if (new Set(durations).size !== durations.length) {
+    throw createServiceError('Each plan must have a different duration');
+  }
+
+  return {
+    title: title.trim(),
+    provider,
+    serviceType,
+    plans: parsedPlans.map((plan) => ({
+      durationDays: Number(plan.durationDays),
+      price: Number(plan.price),
+      currency: plan.currency
+    })),
+    stock: parseInt(stock) || 0,
+    warrantyDays: parseInt(warrantyDays) || 0,
+    replacementPolicy: replacementPolicy?.trim() || '',
+    rules: rules?.trim() || '',
+    description: description?.trim() || ''
+  };
+};
+
+/**
+ * Describe uploaded files as proposal attachments
+ *
+ * @param {Array} [files] - Multer files
+ * @returns {Array} Attachments
+ */
+const toAttachments = (files = []) => files.map((file) => ({
+  url: `/uploads/product-requests/${file.filename}`,
+  filename: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size
+}));
+
+/**
+ * Store the request's current state as its current revision
+ *
+ * Recording the same revision twice keeps the first snapshot.
+ *
+ * @param {Object} request - Product request
+ * @param {string} submittedBy - Vendor email or 'system'
+ * @returns {Promise<void>}
+ */
+const recordRevision = async (request, submittedBy) => {
+  try {
+    await ProductRequestRevisionModel.create({
+      requestId: request._id,
+      vendorId: request.vendorId,
+      revision: request.revision,
+      title: request.title,
+      provider: request.provider,
+      serviceType: request.serviceType,
+      plans: request.plans.map(({ durationDays, price, currency }) => ({ durationDays, price, currency })),
+      stock: request.stock,
+      warrantyDays: request.warrantyDays,
+      replacementPolicy: request.replacementPolicy,
+      rules: request.rules,
+      description: request.description,
+      attachments: request.attachments.map(({ url, filename, mimetype, size }) => ({ url, filename, mimetype, size })),
+      submittedBy
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Field-level differences between two revisions
+ *
+ * Plans are matched by duration; attachments are compared by file name.
+ *
+ * @param {Object} before - Earlier revision
+ * @param {Object} after - Later revision
+ * @returns {Array<{field: string, label: string, before: *, after: *}>} Changed fields
+ */
+export const diffRevisions = (before, after) => {
+  const changes = [];
+
+  for (const [field, label] of Object.entries(REVISION_FIELDS)) {
+    if (String(before[field] ?? '') !== String(after[field] ?? '')) {
+      changes.push({ field, label, before: before[field], after: after[field] });
+    }
+  }
+
+  const plansByDuration = (plans) => new Map(plans.map((plan) => [plan.durationDays, `${plan.currency} ${plan.price}`]));
+  const beforePlans = plansByDuration(before.plans);
+  const afterPlans = plansByDuration(after.plans);
+  const durations = [...new Set([...beforePlans.keys(), ...afterPlans.keys()])].sort((a, b) => a - b);
+  for (const days of durations) {
+    if (beforePlans.get(days) !== afterPlans.get(days)) {
+      changes.push({
+        field: 'plans',
+        label: `${days}-day plan`,
+        before: beforePlans.get(days) ?? null,
+        after: afterPlans.get(days) ?? null
+      });
+    }
+  }
+
+  const fileNames = (attachments = []) => attachments.map((file) => file.filename).join(', ');
+  if (fileNames(before.attachments) !== fileNames(after.attachments)) {
+    changes.push({
+      field: 'attachments',
+      label: 'Attachments',
+      before: fileNames(before.attachments) || null,
+      after: fileNames(after.attachments) || null
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Submit a new product proposal (revision 1)
+ *
+ * @param {Object} params
+ * @param {Object} params.vendor - Vendor document
+ * @param {Object} params.body - Proposal fields
+ * @param {Array} [params.files] - Uploaded attachments
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created product request
+ */
+export const submitProposal = async ({ vendor, body, files, context }) => {
+  const fields = parseProposal(body);
+
+  const request = await ProductRequestModel.create({
+    vendorId: vendor._id,
+    ...fields,
+    attachments: toAttachments(files),
+    status: 'pending_review',
+    revision: 1
+  });
+  await recordRevision(request, vendor.primaryEmail);
+
+  await writeAudit({
+    request,
+    action: 'submitted',
+    actor: { type: 'system', id: 'system' },
+    comment: 'Product request submitted by vendor',
+    newStatus: 'pending_review',
+    context
+  });
+
+  return request;
+};
+
+/**
+ * Resubmit a proposal the admin sent back for changes
+ *
+ * The edited proposal becomes the next revision and goes back to pending
+ * review. New uploads replace the attachments; without uploads the
+ * previous ones are kept.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Product request ID
+ * @param {Object} params.vendor - Vendor document
+ * @param {Object} params.body - Proposal fields, plus an optional note for the reviewers
+ * @param {Array} [params.files] - Uploaded attachments
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated product request
+ */
+export const resubmitProposal = async ({ requestId, vendor, body, files, context }) => {
+  const request = await findRequest(requestId, vendor._id);
+  if (request.status !== 'changes_requested') {
+    throw createServiceError('Only requests with changes requested can be resubmitted', 409);
+  }
+  const fields = parseProposal(body);
+  const note = normalizeComment(body?.note, false);
+
+  // Proposals submitted before revisions existed get their first snapshot now
+  await recordRevision(request, 'system');
+
+  const set = { ...fields, status: 'pending_review', revision: request.revision + 1 };
+  if (files?.length) set.attachments = toAttachments(files);
+  const update = { $set: set };
+  if (note) {
+    update.$push = {
+      comments: { authorType: 'vendor', authorId: vendor.primaryEmail, body: note, revision: set.revision, createdAt: new Date() }
+    };
+  }
+
+  const updated = await ProductRequestModel.findOneAndUpdate(
+    { _id: request._id, status: 'changes_requested', revision: request.revision },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw createServiceError('Request was changed in the meantime, reload and try again', 409);
+  }
+  await recordRevision(updated, vendor.primaryEmail);
+
+  await writeAudit({
+    request: updated,
+    action: 'resubmitted',
+    actor: { type: 'vendor', id: vendor.primaryEmail },
+    comment: note,
+    previousStatus: 'changes_requested',
+    newStatus: 'pending_review',
+    context
+  });
+
+  return updated;
+};
+
+/**
+ * List product requests for the admin review queue
+ *
+ * Status counts cover every request (optionally of one vendor), not just
+ * the filtered page.
+ *
+ * @param {Object} [options] - { status, vendorId, limit, page }
+ * @returns {Promise<Object>} Paginated requests with status counts
+ */
+export const getProposalQueue = async ({ status, vendorId, limit = 50, page = 1 } = {}) => {
+  const filter = {};
+  if (vendorId && mongoose.Types.ObjectId.isValid(vendorId)) filter.vendorId = new mongoose.Types.ObjectId(vendorId);
+  const query = { ...filter };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [requests, counts] = await Promise.all([
+    ProductRequestModel.find(query)
+      .select('-comments')
+      .populate('vendorId', 'companyName displayName primaryEmail')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    ProductRequestModel.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  return {
+    requests,
+    total: counts.reduce((sum, { count }) => sum + count, 0),
+    pending: byStatus.pending_review || 0,
+    approved: byStatus.approved || 0,
+    rejected: byStatus.rejected || 0,
+    changesRequested: byStatus.changes_requested || 0,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  };
+};
+
+/**
+ * Get a product request with its revisions and audit trail for review
+ *
+ * Each revision carries its changes against the one before it.
+ *
+ * @param {string} requestId - Product request ID
+ * @returns {Promise<{request: Object, revisions: Array, auditLog: Array}>} Request, revisions and history, oldest first
+ */
+export const getProposalForReview = async (requestId) => {
+  const request = await findRequest(requestId);
+  await request.populate([
+    { path: 'vendorId', select: 'companyName displayName primaryEmail' },
+    { path: 'productIds', select: 'title sku planDurationDays costPrice priceDecimal currency stock status' }
+  ]);
+
+  const [revisions, auditLog] = await Promise.all([
+    ProductRequestRevisionModel.find({ requestId: request._id }).sort({ revision: 1 }).lean(),
+    ProductRequestAuditModel.find({ requestId: request._id }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    request: request.toObject(),
+    revisions: revisions.map((revision, index) => ({
+      ...revision,
+      changes: index > 0 ? diffRevisions(revisions[index - 1], revision) : []
+    })),
+    auditLog
+  };
+};
+
+/**
+ * Get one of a vendor's product requests with the products it created
+ *
+ * @param {string} requestId - Product request ID
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Promise<Object>} Product request
+ */
+export const getVendorProposal = async (requestId, vendorId) => {
+  const request = await findRequest(requestId, vendorId);
+  await request.populate('productIds', 'title sku planDurationDays costPrice currency stock status');
+  return request.toObject();
+};
+
+/**
+ * Move a request to a decided status, only from the statuses it allows
+ *
+ * The comment becomes the request's adminComment and opens (or continues)
+ * the review thread. When the admin says which revision they reviewed, the
+ * decision fails if the vendor has resubmitted since.
+ *
+ * @param {Object} request - Product request document
+ * @param {string} status - approved | rejected | changes_requested
+ * @param {string} adminEmail - Deciding admin
+ * @param {string} comment - Decision comment
+ * @param {number} [revision] - Revision the admin reviewed
+ * @returns {Promise<Object>} Updated request
+ */
+const claimDecision = async (request, status, adminEmail, comment, revision) => {
+  const reviewed = revision === undefined || revision === null ? request.revision : parseInt(revision);
+  if (reviewed !== request.revision) {
+    throw createServiceError(`Request has been resubmitted as revision ${request.revision}, review it before deciding`, 409);
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { status, adminComment: comment || null, reviewedBy: adminEmail, reviewedAt: now }
+  };
+  if (comment) {
+    update.$push = { comments: { authorType: 'admin', authorId: adminEmail, body: comment, revision: reviewed, createdAt: now } };
+  }
+
+  const updated = await ProductRequestModel.findOneAndUpdate(
+    { _id: request._id, status: { $in: DECISION_FROM[status] }, revision: reviewed },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError(`Request is ${request.status.replace('_', ' ')} and cannot be ${status.replace('_', ' ')}`, 409);
+  }
+  return updated;
+};
+
+/**
+ * Create one active catalog product per plan of an approved request
+ *
+ * Products start with no stock; it grows as the vendor uploads credentials.
+ * Plan prices are the vendor's cost; the sale price follows from the markup
+ * rules. Image attachments become the product images.
+ *
+ * @param {Object} request - Approved product request
+ * @param {string} comment - Approval comment
+ * @returns {Promise<Array>} Created products
+ */
+const createPlanProducts = async (request, comment) => {
+  const images = request.attachments
+    .filter((file) => file.mimetype?.startsWith('image/'))
+    .map((file, index) => ({ url: file.url, alt: request.title, isPrimary: index === 0 }));
+  const multiplePlans = request.plans.length > 1;
+  const rules = await loadActiveRules();
+
+  const products = [];
+  for (const plan of request.plans) {
+    products.push(await ProductModel.create(await applySalePrice({
+      productType: 'single',
+      vendorId: request.vendorId,
+      title: multiplePlans ? `${request.title} (${plan.durationDays} days)` : request.title,
+      serviceType: request.serviceType,
+      provider: request.provider,
+      planDurationDays: plan.durationDays,
+      costPrice: plan.price,
+      currency: plan.currency,
+      stock: 0,
+      warrantyDays: request.warrantyDays,
+      warrantyType: request.warrantyDays > 0 ? 'full' : 'none',
+      replacementPolicy: request.replacementPolicy,
+      rules: request.rules,
+      description: request.description,
+      images,
+      thumbnail: images[0]?.url || null,
+      status: 'active',
+      adminReviewStatus: 'approved',
+      adminReviewNotes: comment || null,
+      reviewedAt: request.reviewedAt,
+      productRequestId: request._id,
+      productRequestPlanId: plan._id
+    }, rules)));
+  }
+  return products;
+};
+
+/**
+ * Approve a pending product request
+ *
+ * Every plan becomes its own product. If creating them fails, the request
+ * goes back to pending review and any products already made are removed.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Product request ID
+ * @param {string} params.adminEmail - Approving admin
+ * @param {string} [params.comment] - Optional comment for the vendor
+ * @param {number} [params.revision] - Revision the admin reviewed
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<{request: Object, products: Array}>} Approved request and created products
+ */
+export const approveProposal = async ({ requestId, adminEmail, comment, revision, context }) => {
+  const request = await findRequest(requestId);
+  const body = normalizeComment(comment, false);
+  const approved = await claimDecision(request, 'approved', adminEmail, body, revision);
+
+  let products;
+  try {
+    products = await createPlanProducts(approved, body);
+  } catch (error) {
+    await ProductModel.deleteMany({ productRequestId: approved._id });
+    const revert = {
+      $set: { status: request.status, adminComment: request.adminComment, reviewedBy: request.reviewedBy, reviewedAt: request.reviewedAt }
+    };
+    if (body) {
+      revert.$pull = { comments: { _id: approved.comments[approved.comments.length - 1]._id } };
+    }
+    await ProductRequestModel.updateOne({ _id: approved._id, status: 'approved' }, revert);
+    throw error;
+  }
+
+  const productIds = products.map((product) => product._id);
+  approved.productIds = productIds;
+  await approved.save();
+
+  await writeAudit({
+    request: approved,
+    action: 'approved',
+    actor: { type: 'admin', id: adminEmail },
+    comment: body,
+    previousStatus: request.status,
+    newStatus: 'approved',
+    productIds,
+    context
+  });
+  await notifyVendor(approved, 'approved', { comment: body, products });
+
+  return { request: approved.toObject(), products: products.map((product) => product.toObject()) };
+};
+
+/**
+ * Reject or request changes on a product request
+ *
+ * @param {string} status - rejected | changes_requested
+ * @param {Object} params
+ * @param {string} params.requestId - Product request ID
+ * @param {string} params.adminEmail - Deciding admin
+ * @param {string} params.comment - Required reason
+ * @param {number} [params.revision] - Revision the admin reviewed
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated request
+ */
+const decideWithComment = async (status, { requestId, adminEmail, comment, revision, context }) => {
+  const request = await findRequest(requestId);
+  const body = normalizeComment(comment, true);
+  const updated = await claimDecision(request, status, adminEmail, body, revision);
+
+  await writeAudit({
+    request: updated,
+    action: status,
+    actor: { type: 'admin', id: adminEmail },
+    comment: body,
+    previousStatus: request.status,
+    newStatus: status,
+    context
+  });
+  await notifyVendor(updated, status, { comment: body });
+
+  return updated.toObject();
+};
+
+/**
+ * Reject a product request (reason required)
+ *
+ * @param {Object} params - { requestId, adminEmail, comment, revision, context }
+ * @returns {Promise<Object>} Rejected request
+ */
+export const rejectProposal = (params) => decideWithComment('rejected', params);
+
+/**
+ * Send a product request back to the vendor for changes (comment required)
+ *
+ * @param {Object} params - { requestId, adminEmail, comment, revision, context }
+ * @returns {Promise<Object>} Updated request
+ */
+export const requestProposalChanges = (params) => decideWithComment('changes_requested', params);
+
+/**
+ * Add a comment to a product request's review thread
+ *
+ * Admins can comment on any request; vendors only on their own. A reply
+ * names the comment it answers with parentId. Admin comments are emailed
+ * to the vendor.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Product request ID
+ * @param {Object} params.actor - { type: 'admin'|'vendor', id, vendorId? }
+ * @param {string} params.comment - Comment body
+ * @param {string} [params.parentId] - Comment being replied to
+ * @param {Object} [params.context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created comment
+ */
+export const addProposalComment = async ({ requestId, actor, comment, parentId = null, context }) => {
+  const request = await findRequest(requestId, actor.type === 'vendor' ? actor.vendorId : null);
+  const body = normalizeComment(comment, true);
+
+  if (parentId && (!mongoose.Types.ObjectId.isValid(parentId) || !request.comments.id(parentId))) {
+    throw createServiceError('Comment being replied to was not found', 404);
+  }
+
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    authorType: actor.type,
+    authorId: actor.id,
+    body,
+    parentId: parentId || null,
+    revision: request.revision,
+    createdAt: new Date()
+  };
+  await ProductRequestModel.updateOne({ _id: request._id }, { $push: { comments: entry } });
+
+  await writeAudit({
+    request,
+    action: 'comment_added',
+    actor,
+    comment: body,
+    context
+  });
+  if (actor.type === 'admin') {
+    await notifyVendor(request, 'comment_added', { comment: body });
+  }
+
+  return entry;
+};
+
+export default {
+  submitProposal,
+  resubmitProposal,
+  diffRevisions,
+  getProposalQueue,
+  getProposalForReview,
+  getVendorProposal,
+  approveProposal,
+  rejectProposal,
+  requestProposalChanges,
+  addProposalComment
+};
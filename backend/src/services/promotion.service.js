@@ -0,0 +1,658 @@
+/**
+ * Promotion Service
+ *
+ * Coupon codes and automatic promotions. Discounts are evaluated server-side
+ * whenever an order total is computed:
+ *
+ * 1. Each line gets the best running promotion that matches it (promotions
+ *    do not stack with each other).
+ * 2. A coupon, if entered, is applied on top to the eligible lines and spread
+ *    across them in proportion to their value.
+ *
+ * Every line records its share of the discount, so vendor earnings and
+ * refunds are based on what the customer actually paid for that line.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import CouponModel, { DISCOUNT_TYPES } from '../models/coupon.model.js';
+import CouponRedemptionModel from '../models/couponRedemption.model.js';
+import PromotionModel from '../models/promotion.model.js';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import { getRateTable, convertAmount, SETTLEMENT_CURRENCY } from './currency.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+// Amounts are computed in cents so line shares always add up to the discount
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Normalize a coupon code as entered by a customer
+ *
+ * @param {string} code - Raw code
+ * @returns {string} Upper-cased code
+ */
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Whether an order line falls inside a discount scope
+ *
+ * @param {Object} scope - { providers, productIds }
+ * @param {Object} item - Priced order line
+ * @returns {boolean} True when the line is eligible
+ */
+const matchesScope = (scope = {}, item) => {
+  const providers = scope.providers || [];
+  const productIds = (scope.productIds || []).map(String);
+  if (providers.length === 0 && productIds.length === 0) return true;
+  return providers.includes(item.provider) || productIds.includes(String(item.productId));
+};
+
+/**
+ * Discount a promotion gives on one line, in cents
+ *
+ * @param {Object} promotion - Promotion
+ * @param {Object} item - Priced order line
+ * @returns {number} Discount in cents
+ */
+const getPromotionLineDiscount = (promotion, item) => {
+  const lineCents = toCents(item.price) * item.quantity;
+  if (promotion.type === 'percentage') {
+    return Math.min(lineCents, Math.round(lineCents * promotion.value / 100));
+  }
+  if ((promotion.currency || 'USD') !== item.currency) return 0;
+  return Math.min(lineCents, toCents(promotion.value) * item.quantity);
+};
+
+/**
+ * Load a coupon and check that it can be redeemed by this customer
+ *
+ * @param {string} code - Coupon code
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<Object>} Lean coupon
+ */
+const loadRedeemableCoupon = async (code, customerId) => {
+  const coupon = await CouponModel.findOne({ code: normalizeCouponCode(code) }).lean();
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw createServiceError('This coupon code is not valid');
+  }
+  if (coupon.customerId && String(coupon.customerId) !== String(customerId)) {
+    throw createServiceError('This coupon code is not valid');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw createServiceError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw createServiceError('This coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw createServiceError('This coupon has reached its usage limit');
+  }
+
+  // Early answer for the customer; reserveCouponUse enforces the limit
+  const customerUses = await CouponRedemptionModel.countDocuments({ couponId: coupon._id, customerId });
+  if (customerUses >= coupon.perUserLimit) {
+    throw createServiceError('You have already used this coupon');
+  }
+
+  return coupon;
+};
+
+/**
+ * Apply running promotions and an optional coupon to priced order lines
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Lines from priceCartItems
+ * @param {string} params.currency - Order currency
+ * @param {string|ObjectId} params.customerId - Customer placing the order
+ * @param {string} [params.couponCode] - Coupon entered at checkout
+ * @returns {Promise<{items: Array, subtotalAmount: number, discountAmount: number, totalAmount: number, discounts: Array, coupon: Object|null}>}
+ */
+export const applyDiscounts = async ({ items, currency, customerId, couponCode = '' }) => {
+  const now = new Date();
+  const promotions = await PromotionModel.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  }).lean();
+
+  const lines = items.map(item => ({ item, cents: toCents(item.price) * item.quantity, discountCents: 0 }));
+  const subtotalCents = lines.reduce((sum, line) => sum + line.cents, 0);
+  const promotionTotals = new Map();
+
+  // Best matching promotion per line
+  for (const line of lines) {
+    let best = null;
+    let bestCents = 0;
+    for (const promotion of promotions) {
+      if (!matchesScope(promotion.scope, line.item)) continue;
+      const cents = getPromotionLineDiscount(promotion, line.item);
+      if (cents > bestCents) {
+        best = promotion;
+        bestCents = cents;
+      }
+    }
+    if (best) {
+      line.discountCents = bestCents;
+      const key = String(best._id);
+      const entry = promotionTotals.get(key) || { promotion: best, cents: 0 };
+      entry.cents += bestCents;
+      promotionTotals.set(key, entry);
+    }
+  }
+
+  const discounts = Array.from(promotionTotals.values()).map(({ promotion, cents }) => ({
+    source: 'promotion',
+    promotionId: promotion._id,
+    name: promotion.name,
+    amount: fromCents(cents)
+  }));
+
+  let coupon = null;
+  if (normalizeCouponCode(couponCode)) {
+    coupon = await loadRedeemableCoupon(couponCode, customerId);
+
+    const eligible = lines.filter(line => matchesScope(coupon.scope, line.item) && line.cents > line.discountCents);
+    if (eligible.length === 0) {
+      throw createServiceError('This coupon does not apply to the items in your cart');
+    }
+    if (coupon.type === 'fixed' && (coupon.currency || 'USD') !== currency) {
+      throw createServiceError(`This coupon cannot be used for ${currency} orders`);
+    }
+
+    const eligibleCents = eligible.reduce((sum, line) => sum + line.cents - line.discountCents, 0);
+    if (eligibleCents < toCents(coupon.minOrderAmount)) {
+      throw createServiceError(`Spend at least ${coupon.minOrderAmount} ${currency} on eligible items to use this coupon`);
+    }
+
+    let couponCents = coupon.type === 'percentage'
+      ? Math.round(eligibleCents * coupon.value / 100)
+      : toCents(coupon.value);
+    if (coupon.type === 'percentage' && coupon.maxDiscountAmount !== null) {
+      couponCents = Math.min(couponCents, toCents(coupon.maxDiscountAmount));
+    }
+    couponCents = Math.min(couponCents, eligibleCents);
+
+    // Spread over eligible lines by value, then hand out the rounding remainder
+    let remaining = couponCents;
+    const shares = eligible.map(line => {
+      const share = Math.floor(couponCents * (line.cents - line.discountCents) / eligibleCents);
+      remaining -= share;
+      return share;
+    });
+    eligible.forEach((line, index) => {
+      const extra = Math.min(remaining, line.cents - line.discountCents - shares[index]);
+      line.discountCents += shares[index] + extra;
+      remaining -= extra;
+    });
+
+    if (couponCents > 0) {
+      discounts.push({
+        source: 'coupon',
+        couponId: coupon._id,
+        code: coupon.code,
+        name: coupon.description || coupon.code,
+        amount: fromCents(couponCents)
+      });
+    }
+  }
+
+  const discountCents = lines.reduce((sum, line) => sum + line.discountCents, 0);
+
+  return {
+    items: lines.map(line => ({ ...line.item, discountAmount: fromCents(line.discountCents) })),
+    subtotalAmount: fromCents(subtotalCents),
+    discountAmount: fromCents(discountCents),
+    totalAmount: fromCents(subtotalCents - discountCents),
+    discounts,
+    coupon
+  };
+};
+
+const decrementUsedCount = (couponId) =>
+  CouponModel.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+/**
+ * Reserve one use of a coupon for an order
+ *
+ * Both limits are enforced atomically: the usage limit by a conditional
+ * increment, the per-customer limit by claiming a free redemption slot
+ * (see couponRedemption.model.js). Reserving again for an order that
+ * already holds its use is a no-op.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.couponId - Coupon ID
+ * @param {string|ObjectId} params.customerId - Customer placing the order
+ * @param {string|ObjectId} params.orderId - Order the use is held for
+ * @returns {Promise<Object>} Redemption record
+ */
+export const reserveCouponUse = async ({ couponId, customerId, orderId }) => {
+  const existing = await CouponRedemptionModel.findOne({ couponId, orderId }).lean();
+  if (existing) return existing;
+
+  const reserved = await CouponModel.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw createServiceError('This coupon has reached its usage limit', 409);
+  }
+
+  for (let slot = 1; slot <= reserved.perUserLimit; slot++) {
+    try {
+      const redemption = await CouponRedemptionModel.create({ couponId, customerId, orderId, slot });
+      return redemption.toObject();
+    } catch (error) {
+      if (error.code !== 11000) {
+        await decrementUsedCount(couponId);
+        throw error;
+      }
+      // Same order reserved concurrently: that reservation counts
+      if (error.keyPattern?.orderId) {
+        await decrementUsedCount(couponId);
+        return CouponRedemptionModel.findOne({ orderId }).lean();
+      }
+    }
+  }
+
+  await decrementUsedCount(couponId);
+  throw createServiceError('You have already used this coupon', 409);
+};
+
+/**
+ * Give back the coupon use held for an order
+ *
+ * Deleting the redemption record decides who gives the use back, so it is
+ * returned once even when several releases race.
+ *
+ * @param {string|ObjectId} orderId - Order the use was held for
+ * @returns {Promise<boolean>} True when a use was given back
+ */
+export const releaseCouponUse = async (orderId) => {
+  const redemption = await CouponRedemptionModel.findOneAndDelete({ orderId });
+  if (!redemption) return false;
+  await decrementUsedCount(redemption.couponId);
+  return true;
+};
+
+/**
+ * Validate the shared discount fields of a coupon or promotion
+ *
+ * @param {Object} data - Raw admin input
+ * @returns {Object} Sanitized fields
+ */
+const sanitizeDiscountRule = (data) => {
+  const type = String(data.type || '');
+  const value = Number(data.value);
+  if (!DISCOUNT_TYPES.includes(type)) {
+    throw createServiceError('Type must be percentage or fixed');
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    throw createServiceError('Value must be greater than 0');
+  }
+  if (type === 'percentage' && value > 100) {
+    throw createServiceError('A percentage discount cannot exceed 100');
+  }
+
+  const validProviders = ProductModel.schema.path('provider').enumValues;
+  const providers = [...new Set((data.scope?.providers || []).map(String))];
+  if (providers.some(provider => !validProviders.includes(provider))) {
+    throw createServiceError('Unknown provider in scope');
+  }
+  const productIds = [...new Set((data.scope?.productIds || []).map(String))];
+  if (productIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createServiceError('Invalid product in scope');
+  }
+
+  return {
+    type,
+    value,
+    currency: String(data.currency || 'USD').trim().toUpperCase().slice(0, 3),
+    description: String(data.description || '').trim().slice(0, 300),
+    scope: { providers, productIds },
+    isActive: data.isActive !== undefined ? Boolean(data.isActive) : true
+  };
+};
+
+/**
+ * Parse an optional date input
+ *
+ * @param {string|Date|null} value - Raw value
+ * @param {string} label - Field name for errors
+ * @returns {Date|null} Parsed date
+ */
+const parseOptionalDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createServiceError(`${label} is not a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Parse an optional positive limit (empty = unlimited)
+ *
+ * @param {*} value - Raw value
+ * @param {string} label - Field name for errors
+ * @returns {number|null} Limit
+ */
+const parseOptionalLimit = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw createServiceError(`${label} must be at least 1`);
+  }
+  return limit;
+};
+
+/**
+ * List coupons for admins
+ *
+ * @param {Object} params - { search, active, limit, page }
+ * @returns {Promise<{coupons: Array, total: number, page: number, limit: number}>}
+ */
+export const getAdminCoupons = async ({ search, active, limit = 20, page = 1 } = {}) => {
+  const query = {};
+  if (search) query.code = { $regex: normalizeCouponCode(search).replace(/[^A-Z0-9_-]/g, ''), $options: 'i' };
+  if (active === 'true' || active === 'false') query.isActive = active === 'true';
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [coupons, total] = await Promise.all([
+    CouponModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    CouponModel.countDocuments(query)
+  ]);
+
+  return { coupons, total, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * Create or update a coupon
+ *
+ * @param {Object} params
+ * @param {string|null} [params.couponId] - Coupon to update; creates when omitted
+ * @param {Object} params.data - Coupon fields
+ * @param {string} params.adminEmail - Acting admin
+ * @returns {Promise<Object>} Saved coupon
+ */
+export const saveCoupon = async ({ couponId = null, data = {}, adminEmail }) => {
+  const code = normalizeCouponCode(data.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw createServiceError('Code must be 3-32 letters, digits, dashes or underscores');
+  }
+
+  const fields = {
+    ...sanitizeDiscountRule(data),
+    code,
+    maxDiscountAmount: data.maxDiscountAmount === '' || data.maxDiscountAmount == null ? null : Math.max(0, Number(data.maxDiscountAmount) || 0),
+    minOrderAmount: Math.max(0, Number(data.minOrderAmount) || 0),
+    usageLimit: parseOptionalLimit(data.usageLimit, 'Usage limit'),
+    perUserLimit: parseOptionalLimit(data.perUserLimit, 'Per-customer limit') || 1,
+    startsAt: parseOptionalDate(data.startsAt, 'Start date'),
+    expiresAt: parseOptionalDate(data.expiresAt, 'Expiry date')
+  };
+  if (fields.startsAt && fields.expiresAt && fields.expiresAt <= fields.startsAt) {
+    throw createServiceError('Expiry date must be after the start date');
+  }
+
+  try {
+    if (!couponId) {
+      return await CouponModel.create({ ...fields, createdBy: adminEmail });
+    }
+    if (!mongoose.Types.ObjectId.isValid(couponId)) {
+      throw createServiceError('Coupon not found', 404);
+    }
+    const coupon = await CouponModel.findByIdAndUpdate(
+      couponId,
+      { $set: { ...fields, updatedBy: adminEmail } },
+      { new: true, runValidators: true }
+    );
+    if (!coupon) {
+      throw createServiceError('Coupon not found', 404);
+    }
+    return coupon;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createServiceError('A coupon with this code already exists', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete a coupon that was never redeemed
+ *
+ * Redeemed coupons stay for reporting and can only be deactivated.
+ *
+ * @param {string} couponId - Coupon ID
+ * @returns {Promise<void>}
+ */
+export const deleteCoupon = async (couponId) => {
+  if (!mongoose.Types.ObjectId.isValid(couponId)) {
+    throw createServiceError('Coupon not found', 404);
+  }
+  const coupon = await CouponModel.findById(couponId);
+  if (!coupon) {
+    throw createServiceError('Coupon not found', 404);
+  }
+  if (await OrderModel.exists({ 'discounts.couponId': coupon._id })) {
+    throw createServiceError('This coupon has been redeemed; deactivate it instead', 409);
+  }
+  await coupon.deleteOne();
+};
+
+/**
+ * List promotions for admins
+ *
+ * @param {Object} params - { limit, page }
+ * @returns {Promise<{promotions: Array, total: number, page: number, limit: number}>}
+ */
+export const getAdminPromotions = async ({ limit = 20, page = 1 } = {}) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [promotions, total] = await Promise.all([
+    PromotionModel.find({})
+      .sort({ startsAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    PromotionModel.countDocuments({})
+  ]);
+
+  return { promotions, total, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * Create or update an automatic promotion
+ *
+ * @param {Object} params
+ * @param {string|null} [params.promotionId] - Promotion to update; creates when omitted
+ * @param {Object} params.data - Promotion fields
+ * @param {string} params.adminEmail - Acting admin
+ * @returns {Promise<Object>} Saved promotion
+ */
+export const savePromotion = async ({ promotionId = null, data = {}, adminEmail }) => {
+  const name = String(data.name || '').trim().slice(0, 100);
+  if (!name) {
+    throw createServiceError('Name is required');
+  }
+
+  const fields = {
+    ...sanitizeDiscountRule(data),
+    name,
+    startsAt: parseOptionalDate(data.startsAt, 'Start date'),
+    endsAt: parseOptionalDate(data.endsAt, 'End date')
+  };
+  if (fields.scope.providers.length === 0 && fields.scope.productIds.length === 0) {
+    throw createServiceError('Choose at least one provider or product for the promotion');
+  }
+  if (!fields.startsAt || !fields.endsAt || fields.endsAt <= fields.startsAt) {
+    throw createServiceError('A promotion needs a start date and a later end date');
+  }
+
+  if (!promotionId) {
+    return PromotionModel.create({ ...fields, createdBy: adminEmail });
+  }
+  if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+    throw createServiceError('Promotion not found', 404);
+  }
+  const promotion = await PromotionModel.findByIdAndUpdate(
+    promotionId,
+    { $set: { ...fields, updatedBy: adminEmail } },
+    { new: true, runValidators: true }
+  );
+  if (!promotion) {
+    throw createServiceError('Promotion not found', 404);
+  }
+  return promotion;
+};
+
+/**
+ * Delete a promotion that was never applied to an order
+ *
+ * @param {string} promotionId - Promotion ID
+ * @returns {Promise<void>}
+ */
+export const deletePromotion = async (promotionId) => {
+  if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+    throw createServiceError('Promotion not found', 404);
+  }
+  const promotion = await PromotionModel.findById(promotionId);
+  if (!promotion) {
+    throw createServiceError('Promotion not found', 404);
+  }
+  if (await OrderModel.exists({ 'discounts.promotionId': promotion._id })) {
+    throw createServiceError('This promotion has been applied to orders; deactivate it instead', 409);
+  }
+  await promotion.deleteOne();
+};
+
+/**
+ * Settlement-currency sums for an aggregation group
+ *
+ * Orders carry the exchange rate they were placed at; older orders without
+ * one are converted at the current rate afterwards.
+ *
+ * @param {string} prefix - Accumulator name prefix
+ * @param {string} field - Amount expression
+ * @returns {Object} $group accumulators
+ */
+const settlementAccumulators = (prefix, field) => ({
+  [`${prefix}Settled`]: { $sum: { $cond: [{ $gt: ['$exchangeRate', 0] }, { $divide: [field, '$exchangeRate'] }, 0] } },
+  [`${prefix}Unsettled`]: { $sum: { $cond: [{ $gt: ['$exchangeRate', 0] }, 0, field] } }
+});
+
+/**
+ * Redemption report over paid orders
+ *
+ * Amounts are reported in each order's currency and normalized to the
+ * settlement currency.
+ *
+ * @param {Object} params - { startDate, endDate }
+ * @returns {Promise<{currency: string, rows: Array, totals: Array, summary: Object}>} Per coupon/promotion rows, per-currency totals and the normalized summary
+ */
+export const getRedemptionReport = async ({ startDate, endDate } = {}) => {
+  const match = {
+    paymentStatus: { $in: ['paid', 'refunded'] },
+    'discounts.0': { $exists: true }
+  };
+  const from = parseOptionalDate(startDate, 'Start date');
+  const to = parseOptionalDate(endDate, 'End date');
+  if (from || to) {
+    match.paidAt = {};
+    if (from) match.paidAt.$gte = from;
+    if (to) match.paidAt.$lte = to;
+  }
+
+  const [rows, totals, { rates }] = await Promise.all([
+    OrderModel.aggregate([
+      { $match: match },
+      { $unwind: '$discounts' },
+      {
+        $group: {
+          _id: {
+            source: '$discounts.source',
+            couponId: '$discounts.couponId',
+            promotionId: '$discounts.promotionId',
+            currency: '$currency'
+          },
+          code: { $first: '$discounts.code' },
+          name: { $first: '$discounts.name' },
+          redemptions: { $sum: 1 },
+          discountTotal: { $sum: '$discounts.amount' },
+          orderRevenue: { $sum: '$totalAmount' },
+          ...settlementAccumulators('discount', '$discounts.amount'),
+          ...settlementAccumulators('revenue', '$totalAmount'),
+          lastRedeemedAt: { $max: '$paidAt' }
+        }
+      }
+    ]),
+    OrderModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$currency',
+          orders: { $sum: 1 },
+          discountTotal: { $sum: '$discountAmount' },
+          orderRevenue: { $sum: '$totalAmount' },
+          ...settlementAccumulators('discount', '$discountAmount'),
+          ...settlementAccumulators('revenue', '$totalAmount')
+        }
+      }
+    ]),
+    getRateTable()
+  ]);
+
+  const settle = (group, prefix, currency) => {
+    const legacy = convertAmount(group[`${prefix}Unsettled`], currency, SETTLEMENT_CURRENCY, rates);
+    return fromCents(toCents(group[`${prefix}Settled`] + (legacy || 0)));
+  };
+  const normalize = ({ _id, discountSettled, discountUnsettled, revenueSettled, revenueUnsettled, ...group }, currency) => ({
+    ...group,
+    settlementDiscount: settle({ discountSettled, discountUnsettled }, 'discount', currency),
+    settlementRevenue: settle({ revenueSettled, revenueUnsettled }, 'revenue', currency)
+  });
+
+  const currencyTotals = totals.map(total => ({ currency: total._id, ...normalize(total, total._id) }));
+
+  return {
+    currency: SETTLEMENT_CURRENCY,
+    rows: rows
+      .map(row => ({ ...row._id, ...normalize(row, row._id.currency) }))
+      .sort((a, b) => b.settlementDiscount - a.settlementDiscount),
+    totals: currencyTotals,
+    summary: {
+      orders: currencyTotals.reduce((sum, total) => sum + total.orders, 0),
+      discountTotal: fromCents(currencyTotals.reduce((sum, total) => sum + toCents(total.settlementDiscount), 0)),
+      orderRevenue: fromCents(currencyTotals.reduce((sum, total) => sum + toCents(total.settlementRevenue), 0))
+    }
+  };
+};
+
+export default {
+  normalizeCouponCode,
+  applyDiscounts,
+  reserveCouponUse,
+  releaseCouponUse,
+  getAdminCoupons,
+  saveCoupon,
+  deleteCoupon,
+  getAdminPromotions,
+  savePromotion,
+  deletePromotion,
+  getRedemptionReport
+};
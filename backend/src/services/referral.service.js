@@ -0,0 +1,528 @@
+/**
+ * Referral Service
+ *
+ * Verified customers share a referral link. A sign-up through the link is
+ * recorded as a referral, and once the new customer pays for an order with
+ * real money both sides get a reward: store credit or a single-use
+ * percentage coupon, depending on REFERRAL_REWARD_TYPE.
+ *
+ * Fraud checks run at sign-up. A referral is rejected (kept for the report,
+ * never rewarded) when the new account looks like the referrer's own: the
+ * same mailbox behind a different address, or the same IP address or
+ * device as the referrer or as one of the referrer's earlier referrals.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import crypto from 'crypto';
+import UserModel from '../models/user.model.js';
+import ReferralModel from '../models/referral.model.js';
+import CouponModel from '../models/coupon.model.js';
+import { grantStoreCredit } from './storeCredit.service.js';
+import { SETTLEMENT_CURRENCY } from './currency.service.js';
+import { getAmountDue, roundAmount } from './order.service.js';
+import { getUserReferralRewardEmailHTML } from '../templates/userEmail.template.js';
+import sendEmail from './email.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Reward settings from the environment
+ *
+ * @returns {{type: string, referrerCredit: number, refereeCredit: number, couponPercent: number, couponDays: number, minOrderAmount: number}}
+ */
+const getRewardConfig = () => {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    type: process.env.REFERRAL_REWARD_TYPE === 'coupon' ? 'coupon' : 'credit',
+    referrerCredit: number(process.env.REFERRAL_REFERRER_CREDIT, 5),
+    refereeCredit: number(process.env.REFERRAL_REFEREE_CREDIT, 5),
+    couponPercent: Math.min(number(process.env.REFERRAL_COUPON_PERCENT, 10), 100),
+    couponDays: number(process.env.REFERRAL_COUPON_DAYS, 90),
+    minOrderAmount: number(process.env.REFERRAL_MIN_ORDER_AMOUNT, 0)
+  };
+};
+
+/**
+ * Random code from the referral alphabet
+ *
+ * @param {number} [length=CODE_LENGTH] - Code length
+ * @returns {string} Code
+ */
+const generateCode = (length = CODE_LENGTH) => Array.from(
+  crypto.randomBytes(length),
+  byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+/**
+ * Normalize a code typed or pasted by a customer
+ *
+ * @param {string} code - Raw code
+ * @returns {string} Upper-case code without spaces
+ */
+export const normalizeReferralCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase().slice(0, 32);
+
+/**
+ * Mailbox an email address delivers to
+ *
+ * Drops "+tag" suffixes, and the dots Gmail ignores, so the same person
+ * cannot refer themselves with variations of one address.
+ *
+ * @param {string} email - Email address
+ * @returns {string} Normalized address
+ */
+const getMailbox = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  let name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    name = name.replace(/\./g, '');
+    return `${name}@gmail.com`;
+  }
+  return `${name}@${domain}`;
+};
+
+/**
+ * Referral link for a code
+ *
+ * @param {string} code - Referral code
+ * @returns {string} Sign-up URL
+ */
+const getReferralLink = (code) => `${process.env.FRONTEND_BASE_URL || 'http://localhost:5173'}/user/register?ref=${code}`;
+
+/**
+ * Describe a reward the way emails and pages show it
+ *
+ * @param {Object} reward - Reward subdocument
+ * @returns {string} e.g. "5.00 USD in store credit"
+ */
+const describeReward = (reward) => (reward.type === 'coupon'
+  ? `${reward.amount}% off your next order`
+  : `${reward.amount.toFixed(2)} ${reward.currency} in store credit`);
+
+/**
+ * Referral code of a customer, issued on first use
+ *
+ * @param {Object} user - Customer (needs _id, isAccountVerified, referralCode)
+ * @returns {Promise<string>} Referral code
+ */
+const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+  if (!user.isAccountVerified) {
+    throw createServiceError('Verify your email address to get a referral link', 403);
+  }
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    try {
+      const updated = await UserModel.findOneAndUpdate(
+        { _id: user._id, referralCode: { $exists: false } },
+        { $set: { referralCode: generateCode() } },
+        { new: true }
+      ).select('referralCode');
+      if (updated) return updated.referralCode;
+      // Issued by a concurrent request
+      const current = await UserModel.findById(user._id).select('referralCode').lean();
+      if (current?.referralCode) return current.referralCode;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw createServiceError('Could not create a referral code, please try again', 503);
+};
+
+/**
+ * Referral link, counters and recent referrals of a customer
+ *
+ * Referred customers are shown by first name only.
+ *
+ * @param {Object} user - Signed-in customer
+ * @returns {Promise<Object>} { code, link, reward, stats, referrals }
+ */
+export const getMyReferrals = async (user) => {
+  const code = await ensureReferralCode(user);
+  const config = getRewardConfig();
+
+  const [counts, referrals, earned] = await Promise.all([
+    ReferralModel.aggregate([
+      { $match: { referrerId: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    ReferralModel.find({ referrerId: user._id })
+      .select('refereeId status createdAt rewardedAt referrerReward')
+      .populate('refereeId', 'firstname')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean(),
+    ReferralModel.aggregate([
+      { $match: { referrerId: user._id, status: 'rewarded', 'referrerReward.type': 'credit' } },
+      { $group: { _id: null, amount: { $sum: '$referrerReward.amount' } } }
+    ])
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map(row => [row._id, row.count]));
+  return {
+    code,
+    link: getReferralLink(code),
+    reward: config.type === 'coupon'
+      ? { type: 'coupon', percent: config.couponPercent }
+      : { type: 'credit', referrer: config.referrerCredit, referee: config.refereeCredit, currency: SETTLEMENT_CURRENCY },
+    stats: {
+      signups: (byStatus.pending || 0) + (byStatus.rewarded || 0),
+      rewarded: byStatus.rewarded || 0,
+      creditEarned: roundAmount(earned[0]?.amount || 0),
+      currency: SETTLEMENT_CURRENCY
+    },
+    // Rejected sign-ups are not shown to the referrer
+    referrals: referrals
+      .filter(referral => referral.status !== 'rejected')
+      .map(referral => ({
+        _id: referral._id,
+        name: referral.refereeId?.firstname || 'A friend',
+        status: referral.status,
+        createdAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt,
+        reward: referral.referrerReward ? describeReward(referral.referrerReward) : null
+      }))
+  };
+};
+
+/**
+ * Record a sign-up made with a referral code
+ *
+ * Unknown codes are ignored so a stale link never blocks registration.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Newly registered customer
+ * @param {string} params.code - Referral code from the link
+ * @param {string|null} [params.ipAddress] - Sign-up IP address
+ * @param {string|null} [params.deviceId] - Browser device ID
+ * @returns {Promise<Object|null>} Referral, or null when the code is unknown
+ */
+export const attributeReferral = async ({ user, code, ipAddress = null, deviceId = null }) => {
+  const referralCode = normalizeReferralCode(code);
+  if (!referralCode) return null;
+
+  const referrer = await UserModel.findOne({ referralCode })
+    .select('email isAccountVerified signupIp lastLoginIp deviceId')
+    .lean();
+  if (!referrer || !referrer.isAccountVerified || String(referrer._id) === String(user._id)) {
+    return null;
+  }
+
+  const ip = ipAddress && ipAddress !== 'unknown' ? ipAddress : null;
+  let rejectReason = null;
+  if (getMailbox(referrer.email) === getMailbox(user.email)) {
+    rejectReason = 'self_referral';
+  } else if (ip && (ip === referrer.signupIp || ip === referrer.lastLoginIp
+    || await ReferralModel.exists({ referrerId: referrer._id, signupIp: ip }))) {
+    rejectReason = 'same_ip';
+  } else if (deviceId && (deviceId === referrer.deviceId
+    || await ReferralModel.exists({ referrerId: referrer._id, deviceId }))) {
+    rejectReason = 'same_device';
+  }
+
+  try {
+    const referral = await ReferralModel.create({
+      referrerId: referrer._id,
+      refereeId: user._id,
+      code: referralCode,
+      status: rejectReason ? 'rejected' : 'pending',
+      rejectReason,
+      signupIp: ip,
+      deviceId
+    });
+    await UserModel.updateOne({ _id: user._id }, { $set: { referredBy: referrer._id } });
+    return referral;
+  } catch (error) {
+    // Already referred
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Give one side of a referral its reward
+ *
+ * @param {Object} params
+ * @param {Object} params.referral - Referral being rewarded
+ * @param {string|ObjectId} params.userId - Customer receiving the reward
+ * @param {number} params.credit - Credit amount when rewarding with credit
+ * @param {Object} params.config - Reward settings
+ * @returns {Promise<Object|null>} Reward subdocument, or null when the reward is zero
+ */
+const grantReward = async ({ referral, userId, credit, config }) => {
+  if (config.type === 'credit') {
+    if (!(credit > 0)) return null;
+    const transaction = await grantStoreCredit({
+      userId,
+      amount: credit,
+      currency: SETTLEMENT_CURRENCY,
+      reason: 'referral_reward',
+      createdBy: 'system',
+      orderId: referral.qualifyingOrderId,
+      note: `Referral ${referral.code}`
+    });
+    return {
+      type: 'credit',
+      amount: transaction.amount,
+      currency: transaction.currency,
+      storeCreditTransactionId: transaction._id
+    };
+  }
+
+  if (!(config.couponPercent > 0)) return null;
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    try {
+      const coupon = await CouponModel.create({
+        code: `REF-${generateCode()}`,
+        description: 'Referral reward',
+        type: 'percentage',
+        value: config.couponPercent,
+        usageLimit: 1,
+        perUserLimit: 1,
+        customerId: userId,
+        expiresAt: config.couponDays > 0 ? new Date(Date.now() + config.couponDays * 24 * 60 * 60 * 1000) : null,
+        createdBy: 'system'
+      });
+      return {
+        type: 'coupon',
+        amount: coupon.value,
+        couponId: coupon._id,
+        couponCode: coupon.code
+      };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw createServiceError('Could not create a referral coupon', 503);
+};
+
+/**
+ * Email a granted reward (non-fatal)
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Rewarded customer
+ * @param {Object} params.friend - Other side of the referral
+ * @param {Object} params.reward - Reward subdocument
+ * @param {boolean} params.isReferrer - Whether the rewarded customer made the referral
+ * @returns {Promise<void>}
+ */
+const sendRewardEmail = async ({ user, friend, reward, isReferrer }) => {
+  try {
+    await sendEmail(
+      user.email,
+      'You earned a referral reward 🤝',
+      getUserReferralRewardEmailHTML({
+        firstname: user.firstname,
+        isReferrer,
+        friendName: friend?.firstname,
+        reward: describeReward(reward),
+        couponCode: reward.couponCode || null
+      })
+    );
+  } catch (error) {
+    console.error('Referral reward email error:', error.message);
+  }
+};
+
+/**
+ * Reward a referral when the referred customer pays for an order
+ *
+ * Only orders that were at least partly paid with money count (not wholly
+ * with store credit), and they have to reach REFERRAL_MIN_ORDER_AMOUNT in
+ * the settlement currency. The referral is closed atomically, so a second
+ * paid order never rewards it again.
+ *
+ * @param {Object} order - Paid order
+ * @returns {Promise<Object|null>} Rewarded referral, or null when nothing was due
+ */
+export const rewardReferral = async (order) => {
+  if (order.gift || order.giftOrderId || !(getAmountDue(order) > 0)) return null;
+
+  const config = getRewardConfig();
+  const settlementAmount = order.settlementAmount ?? order.totalAmount;
+  if (settlementAmount < config.minOrderAmount) return null;
+
+  const referral = await ReferralModel.findOneAndUpdate(
+    { refereeId: order.customerId, status: 'pending' },
+    {
+      $set: {
+        status: 'rewarded',
+        qualifyingOrderId: order._id,
+        qualifyingAmount: roundAmount(settlementAmount),
+        rewardedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!referral) return null;
+
+  const [referrer, referee] = await Promise.all([
+    UserModel.findById(referral.referrerId).select('firstname email').lean(),
+    UserModel.findById(referral.refereeId).select('firstname email').lean()
+  ]);
+
+  const rewards = {};
+  for (const [field, user, credit] of [
+    ['referrerReward', referrer, config.referrerCredit],
+    ['refereeReward', referee, config.refereeCredit]
+  ]) {
+    if (!user) continue;
+    try {
+      const reward = await grantReward({ referral, userId: user._id, credit, config });
+      if (!reward) continue;
+      rewards[field] = reward;
+      await sendRewardEmail({
+        user,
+        friend: field === 'referrerReward' ? referee : referrer,
+        reward,
+        isReferrer: field === 'referrerReward'
+      });
+    } catch (error) {
+      console.error(`Referral ${referral._id} ${field} failed:`, error.message);
+    }
+  }
+
+  if (Object.keys(rewards).length > 0) {
+    await ReferralModel.updateOne({ _id: referral._id }, { $set: rewards });
+  }
+  return { ...referral.toObject(), ...rewards };
+};
+
+/**
+ * Referral performance for admins
+ *
+ * @param {Object} [params]
+ * @param {string} [params.startDate] - Sign-ups from (inclusive)
+ * @param {string} [params.endDate] - Sign-ups until (inclusive)
+ * @param {string} [params.status] - List only referrals in this status
+ * @param {number} [params.limit=50] - Recent referrals to list
+ * @returns {Promise<Object>} { totals, rejectReasons, topReferrers, referrals, currency }
+ */
+export const getReferralReport = async ({ startDate, endDate, status, limit = 50 } = {}) => {
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) {
+      const from = new Date(startDate);
+      if (Number.isNaN(from.getTime())) throw createServiceError('Invalid start date');
+      match.createdAt.$gte = from;
+    }
+    if (endDate) {
+      const until = new Date(endDate);
+      if (Number.isNaN(until.getTime())) throw createServiceError('Invalid end date');
+      until.setHours(23, 59, 59, 999);
+      match.createdAt.$lte = until;
+    }
+  }
+  const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const listMatch = status ? { ...match, status: String(status) } : match;
+
+  const rewardCredit = (field) => ({
+    $sum: { $cond: [{ $eq: [`$${field}.type`, 'credit'] }, `$${field}.amount`, 0] }
+  });
+
+  const [[totals], rejectReasons, topReferrers, referrals] = await Promise.all([
+    ReferralModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          signups: { $sum: 1 },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+          rewarded: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          qualifyingRevenue: { $sum: { $ifNull: ['$qualifyingAmount', 0] } },
+          referrerCredit: rewardCredit('referrerReward'),
+          refereeCredit: rewardCredit('refereeReward'),
+          couponsIssued: {
+            $sum: {
+              $add: [
+                { $cond: [{ $eq: ['$referrerReward.type', 'coupon'] }, 1, 0] },
+                { $cond: [{ $eq: ['$refereeReward.type', 'coupon'] }, 1, 0] }
+              ]
+            }
+          }
+        }
+      }
+    ]),
+    ReferralModel.aggregate([
+      { $match: { ...match, status: 'rejected' } },
+      { $group: { _id: '$rejectReason', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    ReferralModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$referrerId',
+          signups: { $sum: 1 },
+          rewarded: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          qualifyingRevenue: { $sum: { $ifNull: ['$qualifyingAmount', 0] } },
+          creditEarned: rewardCredit('referrerReward')
+        }
+      },
+      { $sort: { rewarded: -1, signups: -1 } },
+      { $limit: 20 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'referrer' } },
+      { $unwind: { path: '$referrer', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          signups: 1,
+          rewarded: 1,
+          rejected: 1,
+          qualifyingRevenue: 1,
+          creditEarned: 1,
+          email: '$referrer.email',
+          referralCode: '$referrer.referralCode'
+        }
+      }
+    ]),
+    ReferralModel.find(listMatch)
+      .populate('referrerId', 'email')
+      .populate('refereeId', 'email')
+      .populate('qualifyingOrderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(size)
+      .lean()
+  ]);
+
+  const summary = totals || { signups: 0, pending: 0, rewarded: 0, rejected: 0, qualifyingRevenue: 0, referrerCredit: 0, refereeCredit: 0, couponsIssued: 0 };
+  delete summary._id;
+
+  return {
+    totals: {
+      ...summary,
+      qualifyingRevenue: roundAmount(summary.qualifyingRevenue),
+      referrerCredit: roundAmount(summary.referrerCredit),
+      refereeCredit: roundAmount(summary.refereeCredit),
+      // Share of accepted sign-ups that went on to pay
+      conversionRate: summary.signups - summary.rejected > 0
+        ? Math.round(summary.rewarded / (summary.signups - summary.rejected) * 1000) / 10
+        : 0
+    },
+    rejectReasons: rejectReasons.map(row => ({ reason: row._id, count: row.count })),
+    topReferrers: topReferrers.map(row => ({
+      ...row,
+      qualifyingRevenue: roundAmount(row.qualifyingRevenue),
+      creditEarned: roundAmount(row.creditEarned)
+    })),
+    referrals,
+    currency: SETTLEMENT_CURRENCY
+  };
+};
+
+export default {
+  normalizeReferralCode,
+  getMyReferrals,
+  attributeReferral,
+  rewardReferral,
+  getReferralReport
+};
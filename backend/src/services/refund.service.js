@@ -0,0 +1,507 @@
+/**
+ * Refund Service
+ *
+ * Implements the failure guarantee: once a warranty claim has gone
+ * unresolved for REFUND_GUARANTEE_HOURS the customer may request a refund.
+ * An admin approves a full or partial amount, paid back through the payment
+ * provider or as store credit; the line's access is revoked, the amount is
+ * deducted from the vendor's earnings and every step is written to the
+ * request history.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import WarrantyClaimModel, { OPEN_CLAIM_STATUSES } from '../models/warrantyClaim.model.js';
+import RefundRequestModel, { REFUND_METHODS, ACTIVE_REFUND_STATUSES } from '../models/refundRequest.model.js';
+import { refundOrderPayment, recordRefund, getPendingRefundAmount } from './payment.service.js';
+import { endAllocationAccess } from './subscriptionLifecycle.service.js';
+import { roundAmount, getNetItemTotal } from './order.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const REFUND_GUARANTEE_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Amount still refundable on an order line
+ *
+ * @param {Object} order - Order
+ * @param {Object} item - Order item
+ * @returns {number} Refundable amount
+ */
+export const getRefundableAmount = (order, item) => {
+  const lineRemaining = getNetItemTotal(item);
+  const orderRemaining = order.totalAmount - (order.refundAmount || 0) - getPendingRefundAmount(order);
+  return Math.max(0, roundAmount(Math.min(lineRemaining, orderRemaining)));
+};
+
+/**
+ * Customer-facing view of a refund request
+ *
+ * @param {Object} refund - Lean refund request
+ * @returns {Object} Refund without internal references
+ */
+const toCustomerRefund = (refund) => ({
+  _id: refund._id,
+  refundNumber: refund.refundNumber,
+  claimId: refund.claimId,
+  orderItemId: refund.orderItemId,
+  productTitle: refund.productTitle,
+  status: refund.status,
+  currency: refund.currency,
+  requestedAmount: refund.requestedAmount,
+  approvedAmount: refund.approvedAmount,
+  method: refund.method,
+  createdAt: refund.createdAt,
+  completedAt: refund.completedAt
+});
+
+/**
+ * Load the order and line a refund request refers to
+ *
+ * @param {Object} refund - Refund request
+ * @returns {Promise<{order: Object, item: Object}>} Order and item
+ */
+const loadRefundLine = async (refund) => {
+  const order = await OrderModel.findById(refund.orderId).lean();
+  const item = order?.items.find(entry => String(entry._id) === String(refund.orderItemId));
+  if (!item) {
+    throw createServiceError('The order line for this refund no longer exists', 404);
+  }
+  return { order, item };
+};
+
+/**
+ * Open a refund request from an unresolved warranty claim
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.claimId - Warranty claim ID
+ * @param {string} [params.reason] - Customer's explanation
+ * @returns {Promise<Object>} Created refund request (customer view)
+ */
+export const createRefundRequest = async ({ user, claimId, reason = '' }) => {
+  if (!mongoose.Types.ObjectId.isValid(claimId)) {
+    throw createServiceError('Claim not found', 404);
+  }
+
+  const claim = await WarrantyClaimModel.findOne({ _id: claimId, customerId: user._id }).lean();
+  if (!claim) {
+    throw createServiceError('Claim not found', 404);
+  }
+  if (!OPEN_CLAIM_STATUSES.includes(claim.status)) {
+    throw createServiceError('Refunds can only be requested for unresolved claims', 409);
+  }
+  if (Date.now() - new Date(claim.createdAt).getTime() < REFUND_GUARANTEE_HOURS * HOUR_MS) {
+    throw createServiceError(`A refund can be requested once the claim has been open for ${REFUND_GUARANTEE_HOURS} hours`, 409);
+  }
+
+  const active = await RefundRequestModel.findOne({ claimId: claim._id, status: { $in: ACTIVE_REFUND_STATUSES } })
+    .select('refundNumber')
+    .lean();
+  if (active) {
+    throw createServiceError(`Refund ${active.refundNumber} is already in progress for this claim`, 409);
+  }
+
+  const order = await OrderModel.findOne({ _id: claim.orderId, paymentStatus: 'paid' }).lean();
+  const item = order?.items.find(entry => String(entry._id) === String(claim.orderItemId));
+  if (!item) {
+    throw createServiceError('This order can no longer be refunded', 409);
+  }
+
+  const requestedAmount = getRefundableAmount(order, item);
+  if (requestedAmount <= 0) {
+    throw createServiceError('This subscription has already been refunded', 409);
+  }
+
+  const note = String(reason || '').trim().slice(0, 2000);
+  try {
+    const refund = await RefundRequestModel.create({
+      customerId: user._id,
+      vendorId: claim.vendorId,
+      claimId: claim._id,
+      orderId: order._id,
+      orderItemId: item._id,
+      productTitle: item.productTitle,
+      reason: note,
+      currency: order.currency,
+      requestedAmount,
+      history: [{ step: 'requested', actorType: 'customer', actorId: user.email, note }]
+    });
+    return toCustomerRefund(refund.toObject());
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createServiceError('A refund is already in progress for this claim', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List a customer's refund requests
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<Array>} Refund requests, newest first
+ */
+export const getCustomerRefunds = async (customerId) => {
+  const refunds = await RefundRequestModel.find({ customerId }).sort({ createdAt: -1 }).lean();
+  return refunds.map(toCustomerRefund);
+};
+
+/**
+ * List refund requests for admins
+ *
+ * @param {Object} [options] - { status, limit, page }
+ * @returns {Promise<{refunds: Array, total: number, page: number, limit: number}>}
+ */
+export const getAdminRefunds = async ({ status, limit = 20, page = 1 } = {}) => {
+  const query = status ? { status } : {};
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [refunds, total] = await Promise.all([
+    RefundRequestModel.find(query)
+      .populate('customerId', 'firstname lastname email')
+      .populate('vendorId', 'companyName displayName')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    RefundRequestModel.countDocuments(query)
+  ]);
+
+  return { refunds, total, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * Get one refund request with its claim and refundable balance
+ *
+ * @param {string} refundId - Refund request ID
+ * @returns {Promise<Object>} { refund, claim, order, refundableAmount }
+ */
+export const getAdminRefund = async (refundId) => {
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw createServiceError('Refund request not found', 404);
+  }
+
+  const refund = await RefundRequestModel.findById(refundId)
+    .populate('customerId', 'firstname lastname email')
+    .populate('vendorId', 'companyName displayName primaryEmail')
+    .lean();
+  if (!refund) {
+    throw createServiceError('Refund request not found', 404);
+  }
+
+  const [claim, { order, item }] = await Promise.all([
+    WarrantyClaimModel.findById(refund.claimId).lean(),
+    loadRefundLine(refund)
+  ]);
+
+  return {
+    refund,
+    claim,
+    order: {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      totalAmount: order.totalAmount,
+      refundAmount: order.refundAmount,
+      paymentStatus: order.paymentStatus,
+      paymentProvider: order.paymentProvider
+    },
+    refundableAmount: order.paymentStatus === 'paid' ? getRefundableAmount(order, item) : 0
+  };
+};
+
+/**
+ * Append a step to a refund request's history
+ *
+ * @param {string|ObjectId} refundId - Refund request ID
+ * @param {Object} event - History entry
+ * @param {Object} [set] - Fields to set alongside
+ * @returns {Promise<void>}
+ */
+const recordStep = (refundId, event, set = {}) => RefundRequestModel.updateOne(
+  { _id: refundId },
+  { $set: { ...set, updatedAt: new Date() }, $push: { history: event } }
+);
+
+/**
+ * Count a store-credit refund against the order total
+ *
+ * Gateway refunds do this inside the payment service; unclaimed gifts
+ * use it too (see gift.service.js). The amount is added atomically and
+ * never beyond the order total.
+ *
+ * @param {Object} order - Order
+ * @param {number} amount - Refunded amount
+ * @returns {Promise<Object|null>} Updated order, or null when it could not be counted
+ */
+export const recordOrderRefund = (order, amount) => recordRefund(order._id, { amount });
+
+/**
+ * End access for a refunded line
+ *
+ * @param {Object} order - Order
+ * @param {Object} item - Order item
+ * @returns {Promise<Array>} Outcome per allocation
+ */
+const revokeLineAccess = async (order, item) => {
+  const claim = await OrderModel.updateOne(
+    { _id: order._id, items: { $elemMatch: { _id: item._id, expiredAt: null } } },
+    { $set: { 'items.$.expiredAt': new Date() } }
+  );
+  if (claim.modifiedCount === 0) return [];
+
+  const outcomes = [];
+  for (const allocation of item.allocations || []) {
+    try {
+      const outcome = await endAllocationAccess(allocation, { order, item, reason: 'refunded' });
+      outcomes.push({ credentialId: allocation.credentialId, profileName: allocation.profileName, outcome });
+    } catch (error) {
+      console.error(`Failed to revoke access for refund on order ${order.orderNumber}:`, error.message);
+      outcomes.push({ credentialId: allocation.credentialId, profileName: allocation.profileName, outcome: 'failed' });
+    }
+  }
+  return outcomes;
+};
+
+/**
+ * Approve and execute a refund
+ *
+ * A gateway refund the provider has not settled yet leaves the request
+ * processing; it is completed by the refund webhook (completeRefundRequest).
+ *
+ * @param {Object} params
+ * @param {string} params.refundId - Refund request ID
+ * @param {number} [params.amount] - Amount to refund (defaults to the full refundable amount)
+ * @param {string} params.method - 'original_payment' or 'store_credit'
+ * @param {string} [params.note] - Admin note
+ * @param {string} params.adminEmail - Approving admin
+ * @returns {Promise<Object>} Refund request, completed or still processing
+ */
+export const approveRefund = async ({ refundId, amount = null, method, note = '', adminEmail }) => {
+  if (!REFUND_METHODS.includes(method)) {
+    throw createServiceError('Refund method must be original_payment or store_credit', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw createServiceError('Refund request not found', 404);
+  }
+
+  const refund = await RefundRequestModel.findById(refundId).lean();
+  if (!refund) {
+    throw createServiceError('Refund request not found', 404);
+  }
+
+  const { order, item } = await loadRefundLine(refund);
+  if (order.paymentStatus !== 'paid') {
+    throw createServiceError('Only paid orders can be refunded', 409);
+  }
+
+  const refundable = getRefundableAmount(order, item);
+  const approvedAmount = amount === null || amount === undefined || amount === '' ? refundable : roundAmount(amount);
+  if (!(approvedAmount > 0) || approvedAmount > refundable) {
+    throw createServiceError(`Refund amount must be between 0 and ${refundable} ${order.currency}`, 400);
+  }
+
+  const adminNote = String(note || '').trim();
+  const locked = await RefundRequestModel.findOneAndUpdate(
+    { _id: refund._id, status: 'requested' },
+    {
+      $set: { status: 'processing', approvedAmount, method, decidedBy: adminEmail, decidedAt: new Date() },
+      $push: {
+        history: {
+          step: 'approved',
+          actorType: 'admin',
+          actorId: adminEmail,
+          note: adminNote,
+          details: { amount: approvedAmount, method, full: approvedAmount === refundable }
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!locked) {
+    throw createServiceError('This refund request has already been decided', 409);
+  }
+
+  // 1. Return the money; the amount is held on the order while this runs
+  let payment;
+  try {
+    payment = await refundOrderPayment({
+      orderId: order._id,
+      amount: approvedAmount,
+      reason: `Refund ${refund.refundNumber}`,
+      requestedBy: adminEmail,
+      toStoreCredit: method === 'store_credit',
+      refundRequestId: refund._id
+    });
+  } catch (error) {
+    await recordStep(refund._id, {
+      step: 'failed',
+      actorType: 'system',
+      actorId: 'system',
+      note: error.message
+    }, { status: 'failed', failureReason: error.message });
+    throw error;
+  }
+
+  // A gateway refund that has not settled yet completes from its webhook
+  if (payment.status !== 'succeeded') {
+    await recordStep(refund._id, {
+      step: 'payment_pending',
+      actorType: 'system',
+      actorId: 'system',
+      details: { provider: order.paymentProvider, providerRefundId: payment.refundId, amount: approvedAmount }
+    }, { providerRefundId: payment.refundId });
+    return RefundRequestModel.findById(refund._id).lean();
+  }
+
+  return finishRefund(refund._id, payment.walletTransaction, payment.refundId);
+};
+
+/**
+ * Finish a refund request once its money has been returned
+ *
+ * Deducts the amount from the vendor's earnings, revokes the line's
+ * access and closes the claim the refund came from.
+ *
+ * @param {string|ObjectId} refundId - Refund request ID (processing)
+ * @param {Object|null} walletTransaction - Wallet entry of the refund, if any
+ * @param {string|null} [providerRefundId] - Gateway refund ID, if any
+ * @returns {Promise<Object>} Completed refund request
+ */
+const finishRefund = async (refundId, walletTransaction, providerRefundId = null) => {
+  const refund = await RefundRequestModel.findById(refundId).lean();
+  const { order, item } = await loadRefundLine(refund);
+  const approvedAmount = refund.approvedAmount;
+  const adminEmail = refund.decidedBy;
+  const adminNote = (refund.history || []).find(event => event.step === 'approved')?.note || '';
+
+  if (providerRefundId) {
+    await recordStep(refund._id, {
+      step: 'payment_refunded',
+      actorType: 'system',
+      actorId: 'system',
+      details: { provider: order.paymentProvider, providerRefundId, amount: approvedAmount }
+    }, { providerRefundId });
+  }
+  if (walletTransaction) {
+    await recordStep(refund._id, {
+      step: 'store_credit_granted',
+      actorType: 'system',
+      actorId: 'system',
+      details: { transactionId: walletTransaction._id, amount: walletTransaction.sourceAmount ?? walletTransaction.amount, balanceAfter: walletTransaction.balanceAfter }
+    }, { storeCreditTransactionId: walletTransaction._id });
+  }
+
+  // 2. Deduct from the vendor's earnings for this line
+  await OrderModel.updateOne(
+    { _id: order._id, 'items._id': item._id },
+    { $inc: { 'items.$.refundedAmount': approvedAmount }, $set: { 'items.$.refundedAt': new Date() } }
+  );
+  await recordStep(refund._id, {
+    step: 'vendor_earnings_adjusted',
+    actorType: 'system',
+    actorId: 'system',
+    details: { vendorId: refund.vendorId, amount: -approvedAmount }
+  });
+
+  // 3. Revoke the access that failed
+  const outcomes = await revokeLineAccess(order, item);
+  await recordStep(refund._id, {
+    step: 'credentials_revoked',
+    actorType: 'system',
+    actorId: 'system',
+    details: { outcomes }
+  });
+
+  // 4. Close the claim the refund came from
+  await WarrantyClaimModel.updateOne(
+    { _id: refund.claimId, status: { $in: OPEN_CLAIM_STATUSES } },
+    {
+      $set: {
+        status: 'refunded',
+        resolutionNote: adminNote || `Refunded ${approvedAmount} ${refund.currency}`,
+        resolvedAt: new Date(),
+        resolvedBy: adminEmail,
+        resolvedByType: 'admin',
+        updatedAt: new Date()
+      },
+      $push: { history: { status: 'refunded', actorType: 'admin', actorId: adminEmail, note: `Refund ${refund.refundNumber}` } }
+    }
+  );
+
+  await recordStep(refund._id, {
+    step: 'completed',
+    actorType: 'system',
+    actorId: 'system'
+  }, { status: 'completed', completedAt: new Date() });
+
+  return RefundRequestModel.findById(refund._id).lean();
+};
+
+/**
+ * Complete a refund request whose gateway refund was pending
+ *
+ * Called by the payment service when the refund webhook arrives. Only a
+ * request still processing is completed, so a replayed webhook is a no-op.
+ *
+ * @param {string|ObjectId} refundId - Refund request ID
+ * @param {Object|null} walletTransaction - Wallet entry credited with the refund, if any
+ * @returns {Promise<Object|null>} Completed refund request, or null when there was nothing to complete
+ */
+export const completeRefundRequest = async (refundId, walletTransaction = null) => {
+  const refund = await RefundRequestModel.findOneAndUpdate(
+    { _id: refundId, status: 'processing', completedAt: null },
+    { $set: { completedAt: new Date() } }
+  ).lean();
+  if (!refund) return null;
+  return finishRefund(refund._id, walletTransaction, refund.providerRefundId);
+};
+
+/**
+ * Reject a refund request
+ *
+ * @param {Object} params
+ * @param {string} params.refundId - Refund request ID
+ * @param {string} params.note - Reason (required)
+ * @param {string} params.adminEmail - Rejecting admin
+ * @returns {Promise<Object>} Updated refund request
+ */
+export const rejectRefund = async ({ refundId, note, adminEmail }) => {
+  const reason = String(note || '').trim();
+  if (!reason) {
+    throw createServiceError('A reason is required to reject a refund', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw createServiceError('Refund request not found', 404);
+  }
+
+  const refund = await RefundRequestModel.findOneAndUpdate(
+    { _id: refundId, status: 'requested' },
+    {
+      $set: { status: 'rejected', decidedBy: adminEmail, decidedAt: new Date(), updatedAt: new Date() },
+      $push: { history: { step: 'rejected', actorType: 'admin', actorId: adminEmail, note: reason } }
+    },
+    { new: true }
+  ).lean();
+  if (!refund) {
+    throw createServiceError('Refund request not found or already decided', 409);
+  }
+  return refund;
+};
+
+export default {
+  createRefundRequest,
+  getCustomerRefunds,
+  getAdminRefunds,
+  getAdminRefund,
+  approveRefund,
+  completeRefundRequest,
+  rejectRefund,
+  recordOrderRefund,
+  getRefundableAmount,
+  REFUND_GUARANTEE_HOURS
+};
@@ -0,0 +1,232 @@
+/**
+ * Renewal Service
+ *
+ * Creates renewal orders for existing subscriptions and, once paid, extends
+ * the customer's current assignment (same profile or invite) instead of
+ * allocating a new unit. When the old access can no longer be extended the
+ * renewal falls back to a regular allocation.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import ProductCredentialModel from '../models/productCredential.model.js';
+import ProductCredentialAuditModel from '../models/productCredentialAudit.model.js';
+import { createOrder } from './order.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Credential types whose assignment can be extended in place
+ */
+const EXTENDABLE_CREDENTIAL_TYPES = ['account_share', 'email_invite'];
+
+/**
+ * Create (or reuse an unpaid) renewal order for a subscription
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.itemId - Order item ID of the subscription
+ * @returns {Promise<Object>} Renewal order document
+ */
+export const createRenewalOrder = async ({ user, itemId }) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    throw createServiceError('Subscription not found', 404);
+  }
+
+  let order = await OrderModel.findOne({ customerId: user._id, paymentStatus: 'paid', 'items._id': itemId });
+  let item = order?.items.id(itemId);
+  if (!item) {
+    throw createServiceError('Subscription not found', 404);
+  }
+
+  // Renewal lines that were applied as extensions are represented by the original item
+  if (item.allocationStatus === 'extended' && item.renewalOf?.itemId) {
+    order = await OrderModel.findOne({ _id: item.renewalOf.orderId, customerId: user._id });
+    item = order?.items.id(item.renewalOf.itemId);
+    if (!item) {
+      throw createServiceError('Subscription not found', 404);
+    }
+  }
+
+  if (!item.allocations?.length) {
+    throw createServiceError('This subscription is not active yet', 409);
+  }
+  if (item.bundleItemId) {
+    throw createServiceError('Tools from a bundle are renewed by buying the bundle again', 409);
+  }
+
+  const pendingRenewal = await OrderModel.findOne({
+    customerId: user._id,
+    paymentStatus: { $in: ['pending', 'failed'] },
+    status: { $ne: 'cancelled' },
+    'items.renewalOf.itemId': item._id
+  });
+  if (pendingRenewal) {
+    return pendingRenewal;
+  }
+
+  return createOrder({
+    user,
+    items: [{ productId: String(item.productId), quantity: item.quantity }],
+    billingDetails: order.billingDetails ? order.billingDetails.toObject() : {},
+    paymentMethod: order.paymentMethod,
+    renewalOf: { orderId: order._id, itemId: item._id }
+  });
+};
+
+/**
+ * Check that an allocation is still held by the customer and usable
+ *
+ * @param {Object} allocation - Order item allocation
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<Object|null>} Credential when extendable, otherwise null
+ */
+const getExtendableCredential = async (allocation, customerId) => {
+  if (!EXTENDABLE_CREDENTIAL_TYPES.includes(allocation.credentialType)) return null;
+
+  const credential = await ProductCredentialModel.findById(allocation.credentialId).lean();
+  if (!credential || !credential.isValid) return null;
+
+  const holder = allocation.credentialType === 'account_share'
+    ? (credential.profiles || []).find(profile => String(profile._id) === String(allocation.profileId) && profile.isAssigned)
+    : credential;
+
+  if (!holder || holder.rotationRequired || String(holder.assignedTo) !== String(customerId)) return null;
+  return credential;
+};
+
+/**
+ * Apply a paid renewal line by extending the original assignment
+ *
+ * @param {Object} order - Paid renewal order
+ * @param {Object} item - Renewal order item (has renewalOf)
+ * @returns {Promise<boolean>} True when extended; false when a new allocation is needed
+ */
+export const applyRenewal = async (order, item) => {
+  if (!item.renewalOf?.itemId) return false;
+
+  const rootOrder = await OrderModel.findOne({
+    _id: item.renewalOf.orderId,
+    customerId: order.customerId,
+    paymentStatus: 'paid'
+  }).lean();
+  const rootItem = rootOrder?.items.find(entry => String(entry._id) === String(item.renewalOf.itemId));
+  if (!rootItem) return false;
+
+  const recordFallback = () => OrderModel.updateOne(
+    { _id: rootOrder._id, 'items._id': rootItem._id },
+    {
+      $push: {
+        'items.$.renewals': {
+          orderId: order._id,
+          orderItemId: item._id,
+          orderNumber: order.orderNumber,
+          mode: 'new_allocation',
+          days: item.planDurationDays,
+          previousExpiresAt: rootItem.expiresAt,
+          newExpiresAt: null
+        }
+      }
+    }
+  );
+
+  const canExtend = !rootItem.expiredAt &&
+    rootItem.allocations?.length === item.quantity &&
+    String(rootItem.productId) === String(item.productId);
+
+  const credentials = [];
+  if (canExtend) {
+    for (const allocation of rootItem.allocations) {
+      const credential = await getExtendableCredential(allocation, order.customerId);
+      if (!credential) break;
+      credentials.push(credential);
+    }
+  }
+
+  if (!canExtend || credentials.length !== rootItem.allocations.length) {
+    await recordFallback();
+    return false;
+  }
+
+  const now = new Date();
+  const base = rootItem.expiresAt && new Date(rootItem.expiresAt) > now ? new Date(rootItem.expiresAt) : now;
+  const newExpiresAt = new Date(base.getTime() + (item.planDurationDays || 0) * DAY_MS);
+
+  // Claim the renewal line first so concurrent runs cannot extend twice.
+  // The line keeps no allocations or expiry of its own: access and expiry
+  // live on the original item (renewalOf), which the lifecycle jobs track.
+  const claim = await OrderModel.updateOne(
+    { _id: order._id, items: { $elemMatch: { _id: item._id, allocationStatus: 'pending' } } },
+    {
+      $set: {
+        'items.$.allocationStatus': 'extended',
+        'items.$.activatedAt': now
+      }
+    }
+  );
+  if (claim.modifiedCount === 0) return true;
+
+  // Only extend while the original access has not been ended by the expiry job
+  const extended = await OrderModel.updateOne(
+    { _id: rootOrder._id, items: { $elemMatch: { _id: rootItem._id, expiredAt: null } } },
+    {
+      $set: { 'items.$.expiresAt': newExpiresAt, 'items.$.remindersSent': [] },
+      $push: {
+        'items.$.renewals': {
+          orderId: order._id,
+          orderItemId: item._id,
+          orderNumber: order.orderNumber,
+          mode: 'extended',
+          days: item.planDurationDays,
+          previousExpiresAt: rootItem.expiresAt,
+          newExpiresAt,
+          renewedAt: now
+        }
+      }
+    }
+  );
+
+  if (extended.modifiedCount === 0) {
+    await OrderModel.updateOne(
+      { _id: order._id, 'items._id': item._id },
+      {
+        $set: {
+          'items.$.allocationStatus': 'pending',
+          'items.$.activatedAt': null
+        }
+      }
+    );
+    await recordFallback();
+    return false;
+  }
+
+  for (const credential of credentials) {
+    await ProductCredentialAuditModel.create({
+      credentialId: credential._id,
+      productId: credential.productId,
+      vendorId: credential.vendorId,
+      action: 'updated',
+      actorId: 'system',
+      actorType: 'system',
+      details: {
+        reason: 'renewal_extended',
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        renewedOrderId: rootOrder._id.toString(),
+        renewedItemId: rootItem._id.toString(),
+        newExpiresAt
+      }
+    });
+  }
+
+  return true;
+};
+
+export default {
+  createRenewalOrder,
+  applyRenewal
+};
@@ -0,0 +1,491 @@
+/**
+ * Stock Reservation Service
+ *
+ * Holds product units for unpaid orders. A hold is taken with a single
+ * conditional update on Product.reservedStock, so two checkouts competing
+ * for the last unit can never both hold it. Holds expire after a TTL
+ * (STOCK_RESERVATION_TTL_MINUTES) and are released by a background sweep;
+ * when the order is paid they are converted and allocation takes over.
+ *
+ * Waitlist subscribers who are told a product is back get a hold of their
+ * own (source 'waitlist'); it moves to their order when they check out.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import ProductModel from '../models/product.model.js';
+import OrderModel from '../models/order.model.js';
+import StockReservationModel from '../models/stockReservation.model.js';
+import WaitlistEntryModel from '../models/waitlistEntry.model.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const DEFAULT_TTL_MINUTES = 15;
+
+/**
+ * How long a checkout holds its units
+ *
+ * @returns {number} TTL in milliseconds
+ */
+export const getReservationTtlMs = () => {
+  const minutes = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10);
+  return (minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Units of a product that can still be sold
+ *
+ * @param {Object} product - Product (needs stock, reservedStock)
+ * @returns {number} Available units
+ */
+export const getAvailableStock = (product) => Math.max(0, (product?.stock || 0) - (product?.reservedStock || 0));
+
+/**
+ * Atomically add units to a product's reserved count if enough are available
+ *
+ * @param {string|ObjectId} productId - Product ID
+ * @param {number} quantity - Units to hold
+ * @returns {Promise<boolean>} Whether the units were held
+ */
+const holdUnits = async (productId, quantity) => {
+  const result = await ProductModel.updateOne(
+    {
+      _id: productId,
+      $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, quantity] }
+    },
+    { $inc: { reservedStock: quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Remove units from a product's reserved count (never below zero)
+ *
+ * Sold units also leave stock, in the same update, so they are never
+ * counted as available in between.
+ *
+ * @param {string|ObjectId} productId - Product ID
+ * @param {number} quantity - Units to return
+ * @param {number} [sold=0] - Units of those that were sold and leave stock
+ * @returns {Promise<void>}
+ */
+const returnUnits = async (productId, quantity, sold = 0) => {
+  const set = { reservedStock: { $max: [0, { $subtract: [{ $ifNull: ['$reservedStock', 0] }, quantity] }] } };
+  if (sold > 0) {
+    set.stock = { $max: [0, { $subtract: ['$stock', sold] }] };
+  }
+  await ProductModel.updateOne({ _id: productId }, [{ $set: set }]);
+};
+
+/**
+ * End an active hold and return its units
+ *
+ * The status change is conditional, so a hold is only ever returned once
+ * even when the sweep, a cancellation and a payment race.
+ *
+ * @param {Object} reservation - Reservation document
+ * @param {string} status - converted, released or expired
+ * @param {string} [reason] - Why the hold ended
+ * @param {number} [sold=0] - Units of a converted hold that leave stock here
+ * @returns {Promise<boolean>} Whether this call ended the hold
+ */
+const endReservation = async (reservation, status, reason = '', sold = 0) => {
+  const now = new Date();
+  const set = status === 'converted'
+    ? { status, convertedAt: now }
+    : { status, releasedAt: now, releaseReason: reason };
+
+  const ended = await StockReservationModel.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { $set: set },
+    { new: true }
+  ).lean();
+  if (!ended) return false;
+
+  await returnUnits(ended.productId, ended.quantity, sold);
+
+  // A waitlist hold that ran out (or was given up) closes its entry
+  if (ended.source === 'waitlist' && ended.waitlistEntryId && status !== 'converted') {
+    await WaitlistEntryModel.updateOne(
+      { _id: ended.waitlistEntryId, status: 'notified' },
+      { $set: { status: status === 'expired' ? 'expired' : 'cancelled' } }
+    );
+  }
+  return true;
+};
+
+/**
+ * Mongo filter for the active waitlist holds of a customer
+ *
+ * Guests are matched by the email they joined the waitlist with.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} [params.customerId] - Customer ID
+ * @param {string} [params.email] - Customer email
+ * @returns {Object} Mongo filter
+ */
+const getCustomerWaitlistHoldFilter = ({ customerId, email }) => ({
+  source: 'waitlist',
+  status: 'active',
+  $or: [
+    ...(customerId ? [{ customerId }] : []),
+    ...(email ? [{ email: String(email).toLowerCase() }] : [])
+  ]
+});
+
+/**
+ * Units held for a customer through the waitlist, by product
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} [params.customerId] - Customer ID
+ * @param {string} [params.email] - Customer email
+ * @param {Array} [params.productIds] - Limit to these products
+ * @returns {Promise<Map<string, {quantity: number, expiresAt: Date}>>} Holds keyed by product ID
+ */
+export const getCustomerWaitlistHolds = async ({ customerId, email, productIds = null }) => {
+  const holds = new Map();
+  if (!customerId && !email) return holds;
+
+  const reservations = await StockReservationModel.find({
+    ...getCustomerWaitlistHoldFilter({ customerId, email }),
+    ...(productIds ? { productId: { $in: productIds } } : {})
+  }).lean();
+
+  for (const reservation of reservations) {
+    const key = String(reservation.productId);
+    const current = holds.get(key);
+    holds.set(key, {
+      quantity: (current?.quantity || 0) + reservation.quantity,
+      expiresAt: current && current.expiresAt < reservation.expiresAt ? current.expiresAt : reservation.expiresAt
+    });
+  }
+  return holds;
+};
+
+/**
+ * Hold one unit of a product for a notified waitlist entry
+ *
+ * @param {Object} params
+ * @param {Object} params.entry - Waitlist entry
+ * @param {Date} params.expiresAt - When the hold runs out
+ * @returns {Promise<Object|null>} Reservation, or null when no unit is available
+ */
+export const holdWaitlistUnit = async ({ entry, expiresAt }) => {
+  if (!await holdUnits(entry.productId, 1)) return null;
+
+  try {
+    return await StockReservationModel.create({
+      source: 'waitlist',
+      productId: entry.productId,
+      vendorId: entry.vendorId || null,
+      customerId: entry.userId || null,
+      email: entry.email,
+      waitlistEntryId: entry._id,
+      quantity: 1,
+      expiresAt
+    });
+  } catch (error) {
+    await returnUnits(entry.productId, 1);
+    throw error;
+  }
+};
+
+/**
+ * Give up the waitlist hold of an entry
+ *
+ * @param {string|ObjectId} waitlistEntryId - Waitlist entry ID
+ * @returns {Promise<boolean>} Whether a hold was released
+ */
+export const releaseWaitlistHold = async (waitlistEntryId) => {
+  const reservation = await StockReservationModel.findOne({ waitlistEntryId, source: 'waitlist', status: 'active' }).lean();
+  return reservation ? endReservation(reservation, 'released', 'waitlist_left') : false;
+};
+
+/**
+ * Move a customer's waitlist hold on a product to their order
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.orderId - Order ID
+ * @param {string|ObjectId} params.customerId - Customer ID
+ * @param {string} [params.email] - Customer email
+ * @param {string|ObjectId} params.productId - Product ID
+ * @param {Date} params.expiresAt - Checkout hold expiry
+ * @returns {Promise<Object|null>} Hold as it was before the move, or null when the customer has none
+ */
+const claimWaitlistHold = ({ orderId, customerId, email, productId, expiresAt }) => StockReservationModel.findOneAndUpdate(
+  { ...getCustomerWaitlistHoldFilter({ customerId, email }), productId },
+  { $set: { source: 'checkout', orderId, customerId, expiresAt } },
+  { sort: { expiresAt: 1 }, new: false }
+).lean();
+
+/**
+ * Put claimed waitlist holds back after a failed checkout
+ *
+ * @param {Array<Object>} claimed - Holds as they were before the move
+ * @returns {Promise<void>}
+ */
+const restoreWaitlistHolds = async (claimed) => {
+  for (const hold of claimed) {
+    await StockReservationModel.updateOne(
+      { _id: hold._id, status: 'active' },
+      {
+        $set: {
+          source: 'waitlist',
+          orderId: null,
+          customerId: hold.customerId,
+          quantity: hold.quantity,
+          expiresAt: hold.expiresAt
+        }
+      }
+    );
+  }
+};
+
+/**
+ * Lines whose stock must be held, with bundle lines replaced by their components
+ *
+ * A product can appear both on its own and inside a bundle, so lines for
+ * the same product are merged (one hold per order line).
+ *
+ * @param {Array<Object>} items - Order lines
+ * @returns {Array<{productId: *, vendorId: *, productTitle: string, quantity: number}>} Stock lines
+ */
+const toStockLines = (items) => {
+  const lines = new Map();
+  const add = (line, quantity) => {
+    const key = String(line.productId);
+    const existing = lines.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.set(key, { productId: line.productId, vendorId: line.vendorId || null, productTitle: line.productTitle, quantity });
+    }
+  };
+
+  for (const item of items) {
+    if (item.bundleItemId) continue;
+    if (item.isBundle) {
+      for (const component of item.bundleComponents || []) {
+        add(component, component.quantity * item.quantity);
+      }
+    } else {
+      add(item, item.quantity);
+    }
+  }
+  return Array.from(lines.values());
+};
+
+/**
+ * Hold stock for the lines of an unpaid order
+ *
+ * Bundle lines hold units of each of their components.
+ * Lines that already have an active hold get a fresh TTL. For the rest,
+ * units the customer holds through the waitlist are moved to the order
+ * first and any remainder is held now. If any line cannot be held, the
+ * holds taken by this call are returned (waitlist holds go back to the
+ * waitlist) and a 409 is thrown.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.orderId - Order ID (may not be saved yet)
+ * @param {string|ObjectId} params.customerId - Customer placing the order
+ * @param {string} [params.email] - Customer email, to find waitlist holds of guests who signed up
+ * @param {Array<{productId: *, vendorId: *, quantity: number}>} params.items - Lines to hold
+ * @returns {Promise<Date|null>} When the holds expire, or null when there was nothing to hold
+ */
+export const reserveOrderStock = async ({ orderId, customerId, email = '', items }) => {
+  const lines = toStockLines(items);
+  if (!lines.length) return null;
+
+  const expiresAt = new Date(Date.now() + getReservationTtlMs());
+  const existing = await StockReservationModel.find({ orderId, status: 'active' }).lean();
+  const held = new Set(existing.map(reservation => String(reservation.productId)));
+  const created = [];
+  const claimed = [];
+  const grown = [];
+
+  try {
+    for (const item of lines) {
+      if (held.has(String(item.productId))) continue;
+
+      const waitlistHold = await claimWaitlistHold({ orderId, customerId, email, productId: item.productId, expiresAt });
+      if (waitlistHold) claimed.push(waitlistHold);
+      const quantity = item.quantity - (waitlistHold?.quantity || 0);
+      if (quantity <= 0) continue;
+
+      if (!await holdUnits(item.productId, quantity)) {
+        const product = await ProductModel.findById(item.productId).select('title stock reservedStock').lean();
+        const available = getAvailableStock(product);
+        const title = product?.title || item.productTitle || 'This product';
+        throw createServiceError(
+          available > 0
+            ? `Only ${available} unit(s) of ${title} are available`
+            : `${title} is out of stock`,
+          409
+        );
+      }
+
+      // The order line already has the waitlist hold; it simply grows
+      if (waitlistHold) {
+        await StockReservationModel.updateOne({ _id: waitlistHold._id }, { $inc: { quantity } });
+        grown.push({ productId: item.productId, quantity });
+        continue;
+      }
+
+      try {
+        created.push(await StockReservationModel.create({
+          productId: item.productId,
+          vendorId: item.vendorId || null,
+          orderId,
+          customerId,
+          quantity,
+          expiresAt
+        }));
+      } catch (error) {
+        await returnUnits(item.productId, quantity);
+        // A concurrent request already holds this line
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } catch (error) {
+    for (const reservation of created) {
+      await endReservation(reservation, 'released', 'checkout_failed');
+    }
+    for (const extra of grown) {
+      await returnUnits(extra.productId, extra.quantity);
+    }
+    await restoreWaitlistHolds(claimed);
+    throw error;
+  }
+
+  if (claimed.length) {
+    await WaitlistEntryModel.updateMany(
+      { _id: { $in: claimed.map(hold => hold.waitlistEntryId).filter(Boolean) }, status: 'notified' },
+      { $set: { status: 'claimed', claimedAt: new Date(), orderId } }
+    );
+  }
+
+  if (existing.length) {
+    await StockReservationModel.updateMany({ orderId, status: 'active' }, { $set: { expiresAt } });
+  }
+  return expiresAt;
+};
+
+/**
+ * Return the active holds of an order to the available pool
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @param {string} [reason='cancelled'] - Why the holds were released
+ * @param {Array<string|ObjectId>} [productIds] - Only release the holds of these products
+ * @returns {Promise<number>} Number of holds released
+ */
+export const releaseOrderReservations = async (orderId, reason = 'cancelled', productIds = null) => {
+  const filter = { orderId, status: 'active' };
+  if (productIds) {
+    filter.productId = { $in: productIds };
+  }
+
+  const reservations = await StockReservationModel.find(filter).lean();
+  let released = 0;
+  for (const reservation of reservations) {
+    if (await endReservation(reservation, 'released', reason)) released++;
+  }
+  if (released && !await StockReservationModel.exists({ orderId, status: 'active' })) {
+    await OrderModel.updateOne({ _id: orderId }, { $set: { reservationExpiresAt: null } });
+  }
+  return released;
+};
+
+/**
+ * Convert the holds of a paid order
+ *
+ * Called after allocation. Auto-activated lines took their units out of
+ * stock as they were allocated, so their held count is simply dropped;
+ * lines fulfilled by the vendor (allocationStatus 'manual') take their
+ * units out of stock here. Orders paid after their holds expired have
+ * nothing to convert and are allocated from whatever stock is free.
+ *
+ * @param {string|ObjectId} orderId - Order holding the units
+ * @param {Object} [options]
+ * @param {string|ObjectId} [options.fulfillingOrderId] - Order whose lines deliver the units (a gift's redemption order); defaults to orderId
+ * @returns {Promise<number>} Number of holds converted
+ */
+export const convertOrderReservations = async (orderId, { fulfillingOrderId = orderId } = {}) => {
+  const [reservations, fulfilling] = await Promise.all([
+    StockReservationModel.find({ orderId, status: 'active' }).lean(),
+    OrderModel.findById(fulfillingOrderId).select('items').lean()
+  ]);
+
+  const manualUnits = new Map();
+  (fulfilling?.items || [])
+    .filter(item => !item.isBundle && item.allocationStatus === 'manual')
+    .forEach(item => {
+      const key = String(item.productId);
+      manualUnits.set(key, (manualUnits.get(key) || 0) + item.quantity);
+    });
+
+  let converted = 0;
+  for (const reservation of reservations) {
+    const key = String(reservation.productId);
+    const sold = Math.min(reservation.quantity, manualUnits.get(key) || 0);
+    if (await endReservation(reservation, 'converted', '', sold)) {
+      converted++;
+      manualUnits.set(key, (manualUnits.get(key) || 0) - sold);
+    }
+  }
+  await OrderModel.updateOne({ _id: orderId }, { $set: { reservationExpiresAt: null } });
+  return converted;
+};
+
+/**
+ * Keep the holds of a paid gift order until the gift's claim deadline
+ *
+ * Gift orders are allocated only when the recipient claims them, so the
+ * held units stay out of the pool until then; unclaimed holds run out
+ * with the gift.
+ *
+ * @param {string|ObjectId} orderId - Order ID
+ * @param {Date} expiresAt - Claim deadline
+ * @returns {Promise<number>} Number of holds extended
+ */
+export const extendOrderReservations = async (orderId, expiresAt) => {
+  const result = await StockReservationModel.updateMany({ orderId, status: 'active' }, { $set: { expiresAt } });
+  await OrderModel.updateOne({ _id: orderId }, { $set: { reservationExpiresAt: result.modifiedCount ? expiresAt : null } });
+  return result.modifiedCount;
+};
+
+/**
+ * Release holds whose TTL has passed
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Maximum holds to release in one pass
+ * @returns {Promise<{released: number, productIds: Array<string>}>} Holds released and the products that got units back
+ */
+export const releaseExpiredReservations = async ({ limit = 500 } = {}) => {
+  const expired = await StockReservationModel.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let released = 0;
+  const productIds = new Set();
+  for (const reservation of expired) {
+    if (await endReservation(reservation, 'expired', 'ttl')) {
+      released++;
+      productIds.add(String(reservation.productId));
+    }
+  }
+  return { released, productIds: [...productIds] };
+};
+
+export default {
+  getReservationTtlMs,
+  getAvailableStock,
+  reserveOrderStock,
+  getCustomerWaitlistHolds,
+  holdWaitlistUnit,
+  releaseWaitlistHold,
+  releaseOrderReservations,
+  convertOrderReservations,
+  extendOrderReservations,
+  releaseExpiredReservations
+};
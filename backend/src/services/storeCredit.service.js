@@ -0,0 +1,411 @@
+/**
+ * Store Credit Service
+ *
+ * Customer wallet. Every change is written as a StoreCreditTransaction
+ * (see the model for the double-entry accounts) and mirrored in
+ * User.storeCreditBalance. Wallets are kept in the settlement currency;
+ * credits and payments in other currencies are converted at the current
+ * exchange rate and keep their original amount on the entry.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import UserModel from '../models/user.model.js';
+import StoreCreditTransactionModel, { STORE_CREDIT_ACCOUNTS } from '../models/storeCreditTransaction.model.js';
+import { roundAmount } from './order.service.js';
+import { SETTLEMENT_CURRENCY, getRateTable, convertAmount, normalizeCurrencyCode } from './currency.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const WALLET_CURRENCY = SETTLEMENT_CURRENCY;
+
+const ADJUSTMENT_REASONS = ['adjustment', 'goodwill'];
+
+/**
+ * Convert an amount between the wallet currency and another currency
+ *
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {Promise<number>} Converted amount
+ */
+const convertWalletAmount = async (amount, from, to) => {
+  if (normalizeCurrencyCode(from) === normalizeCurrencyCode(to)) return roundAmount(amount);
+  const { rates } = await getRateTable();
+  const converted = convertAmount(amount, from, to, rates);
+  if (converted === null) {
+    throw createServiceError(`Store credit cannot be used with ${normalizeCurrencyCode(from === WALLET_CURRENCY ? to : from)} right now`, 409);
+  }
+  return converted;
+};
+
+/**
+ * Balance update that adds an amount and keeps the result in whole cents
+ *
+ * Repeated float additions drift (0.1 + 0.2), so the stored balance is
+ * rounded in the same update instead of incremented.
+ *
+ * @param {number} amount - Signed amount, already rounded to cents
+ * @returns {Array} Update pipeline
+ */
+const moveBalance = (amount) => [
+  { $set: { storeCreditBalance: { $round: [{ $add: [{ $ifNull: ['$storeCreditBalance', 0] }, amount] }, 2] } } }
+];
+
+/**
+ * Write one ledger entry and move the cached balance with it
+ *
+ * Debits only go through while the balance covers them, comparing whole
+ * cents so a debit of exactly the balance is never refused.
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.userId - Customer ID
+ * @param {number} params.amount - Signed amount in the wallet currency
+ * @param {string} params.reason - Ledger reason
+ * @param {string} params.createdBy - Actor identifier
+ * @param {Object} [params.fields] - Extra entry fields (references, note, source amount)
+ * @returns {Promise<Object>} Created transaction
+ */
+const postEntry = async ({ userId, amount: rawAmount, reason, createdBy, fields = {} }) => {
+  const amount = roundAmount(rawAmount);
+  const filter = amount < 0
+    ? { _id: userId, $expr: { $gte: [{ $round: [{ $ifNull: ['$storeCreditBalance', 0] }, 2] }, -amount] } }
+    : { _id: userId };
+  const user = await UserModel.findOneAndUpdate(filter, moveBalance(amount), { new: true })
+    .select('storeCreditBalance');
+  if (!user) {
+    if (amount < 0 && await UserModel.exists({ _id: userId })) {
+      throw createServiceError('Not enough store credit', 409);
+    }
+    throw createServiceError('Customer not found', 404);
+  }
+
+  try {
+    return await StoreCreditTransactionModel.create({
+      userId,
+      type: amount < 0 ? 'debit' : 'credit',
+      amount,
+      currency: WALLET_CURRENCY,
+      balanceAfter: roundAmount(user.storeCreditBalance),
+      reason,
+      account: STORE_CREDIT_ACCOUNTS[reason],
+      createdBy,
+      ...fields
+    });
+  } catch (error) {
+    // Undo the balance change if the entry could not be written (e.g. duplicate refund credit)
+    await UserModel.updateOne({ _id: userId }, moveBalance(-amount));
+    if (error.code === 11000) {
+      throw createServiceError(fields.reversalOf ? 'This payment has already been returned' : 'This refund has already been credited', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Credit a customer's store credit balance
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.userId - Customer ID
+ * @param {number} params.amount - Positive amount to credit
+ * @param {string} params.currency - Currency of the amount (converted to the wallet currency)
+ * @param {'refund'|'adjustment'|'gift_unclaimed'|'goodwill'|'referral_reward'} params.reason - Why the credit was granted
+ * @param {string} params.createdBy - Actor identifier
+ * @param {string|ObjectId} [params.refundRequestId] - Refund being paid out
+ * @param {string|ObjectId} [params.orderId] - Related order
+ * @param {string} [params.note] - Free-text note
+ * @returns {Promise<Object>} Created transaction
+ */
+export const grantStoreCredit = async ({
+  userId,
+  amount,
+  currency,
+  reason,
+  createdBy,
+  refundRequestId = null,
+  orderId = null,
+  note = ''
+}) => {
+  const original = roundAmount(amount);
+  if (!(original > 0)) {
+    throw createServiceError('Store credit amount must be positive', 400);
+  }
+
+  const sourceCurrency = normalizeCurrencyCode(currency || WALLET_CURRENCY);
+  const credit = await convertWalletAmount(original, sourceCurrency, WALLET_CURRENCY);
+
+  return postEntry({
+    userId,
+    amount: credit,
+    reason,
+    createdBy,
+    fields: {
+      refundRequestId,
+      orderId,
+      note,
+      ...(sourceCurrency !== WALLET_CURRENCY ? { sourceAmount: original, sourceCurrency } : {})
+    }
+  });
+};
+
+/**
+ * Store credit a customer can spend on an order, in the order's currency
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Customer (needs storeCreditBalance)
+ * @param {string} params.currency - Order currency
+ * @returns {Promise<number>} Spendable amount
+ */
+export const getSpendableStoreCredit = async ({ user, currency }) => {
+  const balance = roundAmount(user.storeCreditBalance || 0);
+  if (!(balance > 0)) return 0;
+  try {
+    return await convertWalletAmount(balance, WALLET_CURRENCY, currency);
+  } catch (error) {
+    // No rate for the order currency: the wallet just cannot be used
+    if (error.statusCode === 409) return 0;
+    throw error;
+  }
+};
+
+/**
+ * Pay part or all of a new order from the customer's wallet
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.userId - Customer ID
+ * @param {string|ObjectId} params.orderId - Order being paid
+ * @param {number} params.amount - Amount in the order's currency
+ * @param {string} params.currency - Order currency
+ * @returns {Promise<Object>} Debit transaction
+ */
+export const payWithStoreCredit = async ({ userId, orderId, amount, currency }) => {
+  const original = roundAmount(amount);
+  if (!(original > 0)) {
+    throw createServiceError('Store credit amount must be positive', 400);
+  }
+
+  const sourceCurrency = normalizeCurrencyCode(currency);
+  const user = await UserModel.findById(userId).select('storeCreditBalance').lean();
+  const converted = await convertWalletAmount(original, sourceCurrency, WALLET_CURRENCY);
+  const balance = roundAmount(user?.storeCreditBalance || 0);
+  // Conversion rounding must not ask for a cent more than the wallet holds
+  const debit = roundAmount(Math.min(converted, balance));
+  if (!(debit > 0) || Math.round((converted - balance) * 100) > 1) {
+    throw createServiceError('Not enough store credit', 409);
+  }
+
+  return postEntry({
+    userId,
+    amount: -debit,
+    reason: 'checkout_payment',
+    createdBy: 'customer',
+    fields: {
+      orderId,
+      ...(sourceCurrency !== WALLET_CURRENCY ? { sourceAmount: original, sourceCurrency } : {})
+    }
+  });
+};
+
+/**
+ * Give back the store credit an unpaid order was going to use
+ *
+ * Safe to call more than once; the payment is only returned the first time.
+ *
+ * @param {Object} order - Order (needs _id, storeCreditTransactionId)
+ * @param {string} [createdBy='system'] - Actor identifier
+ * @returns {Promise<Object|null>} Reversal transaction, or null when there was nothing to return
+ */
+export const reverseOrderStoreCredit = async (order, createdBy = 'system') => {
+  if (!order.storeCreditTransactionId) return null;
+
+  const payment = await StoreCreditTransactionModel.findById(order.storeCreditTransactionId).lean();
+  if (!payment || payment.reason !== 'checkout_payment') return null;
+  if (await StoreCreditTransactionModel.exists({ reversalOf: payment._id })) return null;
+
+  try {
+    return await postEntry({
+      userId: payment.userId,
+      amount: -payment.amount,
+      reason: 'checkout_reversal',
+      createdBy,
+      fields: {
+        orderId: payment.orderId,
+        reversalOf: payment._id,
+        sourceAmount: payment.sourceAmount,
+        sourceCurrency: payment.sourceCurrency
+      }
+    });
+  } catch (error) {
+    // Returned concurrently
+    if (error.statusCode === 409) return null;
+    throw error;
+  }
+};
+
+/**
+ * Change a customer's balance by hand (admins)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Customer ID
+ * @param {number} params.amount - Signed amount in the wallet currency
+ * @param {'adjustment'|'goodwill'} [params.reason='adjustment'] - Goodwill can only add credit
+ * @param {string} params.note - Why (required; kept on the ledger)
+ * @param {string} params.adminEmail - Acting admin
+ * @param {string} [params.ipAddress] - Request IP
+ * @returns {Promise<Object>} Created transaction
+ */
+export const adjustStoreCredit = async ({ userId, amount, reason = 'adjustment', note, adminEmail, ipAddress = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw createServiceError('Customer not found', 404);
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    throw createServiceError('Reason must be adjustment or goodwill');
+  }
+  const value = roundAmount(Number(amount));
+  if (!Number.isFinite(value) || value === 0) {
+    throw createServiceError('Enter a non-zero amount');
+  }
+  if (reason === 'goodwill' && value < 0) {
+    throw createServiceError('Goodwill credit must be positive');
+  }
+  const text = String(note || '').trim().slice(0, 1000);
+  if (text.length < 5) {
+    throw createServiceError('A note explaining the adjustment is required');
+  }
+
+  return postEntry({
+    userId,
+    amount: value,
+    reason,
+    createdBy: adminEmail,
+    fields: { note: text, ipAddress }
+  });
+};
+
+/**
+ * Customer's wallet with its most recent entries
+ *
+ * @param {string|ObjectId} userId - Customer ID
+ * @param {Object} [options] - { limit, page }
+ * @returns {Promise<{balance: number, currency: string, transactions: Array, total: number, page: number, limit: number}>}
+ */
+export const getWallet = async (userId, { limit = 20, page = 1 } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [user, transactions, total] = await Promise.all([
+    UserModel.findById(userId).select('storeCreditBalance').lean(),
+    StoreCreditTransactionModel.find({ userId })
+      .select('-ipAddress -createdBy -refundRequestId')
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .lean(),
+    StoreCreditTransactionModel.countDocuments({ userId })
+  ]);
+  if (!user) {
+    throw createServiceError('Customer not found', 404);
+  }
+
+  return {
+    balance: roundAmount(user.storeCreditBalance || 0),
+    currency: WALLET_CURRENCY,
+    transactions,
+    total,
+    page: current,
+    limit: size
+  };
+};
+
+/**
+ * Customers with a wallet, for admins
+ *
+ * @param {Object} [params] - { search (email or name), limit, page }
+ * @returns {Promise<{customers: Array, total: number, page: number, limit: number, currency: string}>}
+ */
+export const getAdminWallets = async ({ search = '', limit = 20, page = 1 } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+
+  const term = String(search || '').trim().slice(0, 100);
+  const query = term
+    ? { $or: ['email', 'firstname', 'lastname'].map(field => ({ [field]: { $regex: term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } })) }
+    // Without a search, only customers with a balance
+    : { storeCreditBalance: { $gt: 0 } };
+
+  const [customers, total] = await Promise.all([
+    UserModel.find(query)
+      .select('firstname lastname email storeCreditBalance')
+      .sort({ storeCreditBalance: -1, createdAt: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .lean(),
+    UserModel.countDocuments(query)
+  ]);
+
+  return { customers, total, page: current, limit: size, currency: WALLET_CURRENCY };
+};
+
+/**
+ * Full ledger of one customer for admins, checked against the cached balance
+ *
+ * @param {string} userId - Customer ID
+ * @param {Object} [options] - { limit, page }
+ * @returns {Promise<Object>} { customer, balance, ledgerBalance, reconciled, currency, transactions, total, page, limit }
+ */
+export const getAdminWallet = async (userId, { limit = 50, page = 1 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw createServiceError('Customer not found', 404);
+  }
+
+  const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  const customerId = new mongoose.Types.ObjectId(userId);
+
+  const [customer, transactions, total, [sum]] = await Promise.all([
+    UserModel.findById(customerId).select('firstname lastname email storeCreditBalance').lean(),
+    StoreCreditTransactionModel.find({ userId: customerId })
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .lean(),
+    StoreCreditTransactionModel.countDocuments({ userId: customerId }),
+    StoreCreditTransactionModel.aggregate([
+      { $match: { userId: customerId } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+  if (!customer) {
+    throw createServiceError('Customer not found', 404);
+  }
+
+  const balance = roundAmount(customer.storeCreditBalance || 0);
+  const ledgerBalance = roundAmount(sum?.amount || 0);
+  return {
+    customer,
+    balance,
+    ledgerBalance,
+    // The cached balance must always equal the sum of the entries
+    reconciled: Math.abs(balance - ledgerBalance) < 0.005,
+    currency: WALLET_CURRENCY,
+    transactions,
+    total,
+    page: current,
+    limit: size
+  };
+};
+
+export default {
+  WALLET_CURRENCY,
+  grantStoreCredit,
+  getSpendableStoreCredit,
+  payWithStoreCredit,
+  reverseOrderStoreCredit,
+  adjustStoreCredit,
+  getWallet,
+  getAdminWallets,
+  getAdminWallet
+};
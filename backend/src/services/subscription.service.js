@@ -0,0 +1,282 @@
+/**
+ * Subscription Service
+ *
+ * Builds the customer's view of what they own: every paid order item with
+ * its allocated access, plus on-demand (audited) credential reveal and
+ * the dashboard counters.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import ProductCredentialModel from '../models/productCredential.model.js';
+import ProductCredentialAuditModel from '../models/productCredentialAudit.model.js';
+import { decryptCredentials } from '../controllers/vendor.productCredential.controller.js';
+import { countOpenTickets } from './supportTicket.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+export const EXPIRING_SOON_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the expiry of an order item
+ *
+ * Items allocated before lifecycle tracking existed fall back to their
+ * first allocation plus the plan length.
+ *
+ * @param {Object} item - Order item
+ * @returns {Date|null} Expiry date, or null if not activated yet
+ */
+export const getItemExpiry = (item) => {
+  if (item.expiresAt) return new Date(item.expiresAt);
+  const activatedAt = item.activatedAt || item.allocations?.[0]?.allocatedAt;
+  if (!activatedAt || !item.planDurationDays) return null;
+  return new Date(new Date(activatedAt).getTime() + item.planDurationDays * DAY_MS);
+};
+
+/**
+ * Compute when the warranty for an order item ends
+ *
+ * Coverage starts when the item was activated and never outlasts the
+ * subscription itself.
+ *
+ * @param {Object} product - Product (warrantyType, warrantyDays)
+ * @param {Object} item - Order item
+ * @returns {Date|null} End of coverage, or null if the product has no warranty
+ */
+export const getWarrantyEndsAt = (product, item) => {
+  if (!product || product.warrantyType === 'none' || !product.warrantyDays) return null;
+
+  const activatedAt = item.activatedAt || item.allocations?.[0]?.allocatedAt;
+  if (!activatedAt) return null;
+
+  const warrantyEnd = new Date(new Date(activatedAt).getTime() + product.warrantyDays * DAY_MS);
+  const expiresAt = getItemExpiry(item);
+  return expiresAt && expiresAt < warrantyEnd ? expiresAt : warrantyEnd;
+};
+
+/**
+ * Derive the customer-facing status of an order item
+ *
+ * @param {Object} item - Order item
+ * @param {Date} [now] - Reference time
+ * @returns {'active'|'expiring'|'expired'|'refunded'|'pending'} Status
+ */
+export const getSubscriptionStatus = (item, now = new Date()) => {
+  if (item.refundedAt && item.expiredAt) return 'refunded';
+  if (item.expiredAt) return 'expired';
+  if (!item.allocations?.length) return 'pending';
+
+  const expiresAt = getItemExpiry(item);
+  if (!expiresAt) return 'active';
+  if (expiresAt <= now) return 'expired';
+  if (expiresAt.getTime() - now.getTime() <= EXPIRING_SOON_DAYS * DAY_MS) return 'expiring';
+  return 'active';
+};
+
+/**
+ * Map a paid order item to a subscription entry (no secrets)
+ *
+ * @param {Object} order - Lean order
+ * @param {Object} item - Order item
+ * @param {Object} [product] - Product warranty terms (warrantyType, warrantyDays)
+ * @returns {Object} Subscription
+ */
+const toSubscription = (order, item, product = null) => ({
+  _id: item._id,
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  productId: item.productId,
+  productTitle: item.productTitle,
+  provider: item.provider,
+  serviceType: item.serviceType,
+  planDurationDays: item.planDurationDays,
+  quantity: item.quantity,
+  price: item.price,
+  currency: item.currency,
+  purchasedAt: order.paidAt || order.createdAt,
+  activatedAt: item.activatedAt || item.allocations?.[0]?.allocatedAt || null,
+  allocationStatus: item.allocationStatus,
+  status: getSubscriptionStatus(item),
+  expiresAt: getItemExpiry(item),
+  warrantyEndsAt: getWarrantyEndsAt(product, item),
+  access: (item.allocations || []).map(allocation => ({
+    _id: allocation._id,
+    credentialType: allocation.credentialType,
+    profileName: allocation.profileName,
+    allocatedAt: allocation.allocatedAt
+  })),
+  renewals: (item.renewals || []).map(renewal => ({
+    orderNumber: renewal.orderNumber,
+    mode: renewal.mode,
+    days: renewal.days,
+    previousExpiresAt: renewal.previousExpiresAt,
+    newExpiresAt: renewal.newExpiresAt,
+    renewedAt: renewal.renewedAt
+  })),
+  // Title of the bundle this subscription came with
+  bundleTitle: item.bundleItemId
+    ? order.items.find(entry => String(entry._id) === String(item.bundleItemId))?.productTitle || null
+    : null,
+  // Received through a gift claim
+  isGift: Boolean(order.giftOrderId),
+  // Bundle tools are renewed by buying the bundle again
+  canRenew: (item.allocations || []).length > 0 && !item.refundedAt && !item.bundleItemId
+});
+
+/**
+ * List a customer's subscriptions
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @param {Object} [filters] - { status }
+ * @returns {Promise<Array>} Subscriptions, newest first
+ */
+export const getCustomerSubscriptions = async (customerId, { status } = {}) => {
+  // Gifts bought by the customer belong to their recipients
+  const orders = await OrderModel.find({ customerId, paymentStatus: 'paid', gift: null })
+    .select('orderNumber items paidAt createdAt giftOrderId')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const productIds = [...new Set(orders.flatMap(order => order.items.map(item => String(item.productId))))];
+  const products = await ProductModel.find({ _id: { $in: productIds } })
+    .select('warrantyType warrantyDays')
+    .lean();
+  const productMap = new Map(products.map(product => [String(product._id), product]));
+
+  // Renewals applied as extensions live on the original item's history;
+  // bundles are listed as the tools they contain
+  const subscriptions = orders.flatMap(order => order.items
+    .filter(item => item.allocationStatus !== 'extended' && !item.isBundle)
+    .map(item => toSubscription(order, item, productMap.get(String(item.productId)))));
+  return status ? subscriptions.filter(subscription => subscription.status === status) : subscriptions;
+};
+
+/**
+ * Dashboard counters for a customer
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<{active: number, expiring: number, pending: number, awaitingPayment: number, tickets: number}>}
+ */
+export const getSubscriptionSummary = async (customerId) => {
+  const [subscriptions, awaitingPayment, tickets] = await Promise.all([
+    getCustomerSubscriptions(customerId),
+    OrderModel.countDocuments({ customerId, paymentStatus: { $in: ['pending', 'failed'] }, status: { $ne: 'cancelled' } }),
+    countOpenTickets(customerId)
+  ]);
+
+  const count = (status) => subscriptions.filter(subscription => subscription.status === status).length;
+
+  return {
+    // Expiring subscriptions are still active
+    active: count('active') + count('expiring'),
+    expiring: count('expiring'),
+    pending: count('pending'),
+    awaitingPayment,
+    tickets
+  };
+};
+
+/**
+ * Decrypt the access details behind one allocation
+ *
+ * Only the owner of a paid order may reveal; every reveal is written to
+ * ProductCredentialAudit.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.itemId - Order item ID
+ * @param {string} params.allocationId - Allocation ID
+ * @param {string} [params.ipAddress] - Request IP
+ * @param {string} [params.userAgent] - Request user agent
+ * @returns {Promise<Object>} Access details for the allocation
+ */
+export const revealAllocation = async ({ user, itemId, allocationId, ipAddress = null, userAgent = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId) || !mongoose.Types.ObjectId.isValid(allocationId)) {
+    throw createServiceError('Subscription not found', 404);
+  }
+
+  const order = await OrderModel.findOne({ customerId: user._id, 'items._id': itemId })
+    .select('orderNumber paymentStatus items')
+    .lean();
+  if (!order) {
+    throw createServiceError('Subscription not found', 404);
+  }
+  if (order.paymentStatus !== 'paid') {
+    throw createServiceError('Access is only available for paid orders', 403);
+  }
+
+  const item = order.items.find(entry => String(entry._id) === String(itemId));
+  const allocation = item?.allocations?.find(entry => String(entry._id) === String(allocationId));
+  if (!allocation) {
+    throw createServiceError('Access not found', 404);
+  }
+  const status = getSubscriptionStatus(item);
+  if (status === 'expired' || status === 'refunded') {
+    throw createServiceError(status === 'refunded' ? 'This subscription was refunded' : 'This subscription has expired', 403);
+  }
+
+  const credential = await ProductCredentialModel.findById(allocation.credentialId);
+  if (!credential || !credential.isValid) {
+    throw createServiceError('These credentials are no longer valid. Please contact support.', 410);
+  }
+
+  const payload = decryptCredentials(credential.payloadEncrypted);
+  let access;
+
+  if (allocation.credentialType === 'account_share') {
+    const profile = (payload.profiles || []).find(entry => entry.profileName === allocation.profileName);
+    access = {
+      accountEmail: payload.accountEmail,
+      accountPassword: payload.accountPassword,
+      profileName: allocation.profileName,
+      pin: profile?.pin || null
+    };
+  } else if (allocation.credentialType === 'email_invite') {
+    access = {
+      inviteEmail: payload.email,
+      inviteStatus: payload.available === false ? 'unavailable' : 'issued'
+    };
+  } else {
+    access = { licenseKey: payload.key };
+  }
+
+  await ProductCredentialAuditModel.create({
+    credentialId: credential._id,
+    productId: credential.productId,
+    vendorId: credential.vendorId,
+    action: 'revealed',
+    actorId: user.email,
+    actorType: 'customer',
+    details: {
+      customerId: user._id.toString(),
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      orderItemId: String(itemId),
+      allocationId: String(allocationId),
+      profileName: allocation.profileName
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return {
+    allocationId: allocation._id,
+    credentialType: allocation.credentialType,
+    ...access
+  };
+};
+
+export default {
+  getCustomerSubscriptions,
+  getSubscriptionSummary,
+  revealAllocation,
+  getSubscriptionStatus,
+  getItemExpiry,
+  getWarrantyEndsAt,
+  EXPIRING_SOON_DAYS
+};
@@ -0,0 +1,265 @@
+/**
+ * Subscription Lifecycle Service
+ *
+ * Sends expiry reminders and ends access for expired subscriptions.
+ * When access ends each allocated unit is either released back to the
+ * pool or flagged for vendor rotation:
+ * - account_share profile without PIN: released immediately
+ * - account_share profile with PIN: flagged; vendor changes the PIN, then releases
+ * - email_invite: flagged; vendor removes the member, then releases
+ * - license_key: marked consumed, never reused
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import ProductCredentialModel from '../models/productCredential.model.js';
+import ProductCredentialAuditModel from '../models/productCredentialAudit.model.js';
+import { sendEmail } from './email.service.js';
+import { notifyWaitlist } from './waitlist.service.js';
+import {
+  getUserSubscriptionExpiringEmailHTML,
+  getUserSubscriptionExpiredEmailHTML
+} from '../templates/userEmail.template.js';
+
+export const REMINDER_THRESHOLDS_DAYS = [7, 3, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick the reminder threshold that applies to a number of days left
+ *
+ * @param {number} daysLeft - Whole days until expiry (rounded up)
+ * @returns {number|null} Threshold, or null if none applies
+ */
+const getReminderThreshold = (daysLeft) => {
+  const applicable = REMINDER_THRESHOLDS_DAYS.filter(threshold => daysLeft <= threshold);
+  return applicable.length ? Math.min(...applicable) : null;
+};
+
+/**
+ * Send due expiry reminders
+ *
+ * Each threshold is claimed with a conditional update before the email is
+ * sent, so overlapping runs never send the same reminder twice. Missed
+ * larger thresholds are marked as sent together with the current one.
+ *
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + Math.max(...REMINDER_THRESHOLDS_DAYS) * DAY_MS);
+  const orders = await OrderModel.find({
+    paymentStatus: 'paid',
+    items: { $elemMatch: { expiresAt: { $gt: now, $lte: horizon }, expiredAt: null } }
+  })
+    .populate('customerId', 'firstname email')
+    .lean();
+
+  let sent = 0;
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (!item.expiresAt || item.expiredAt) continue;
+      const expiresAt = new Date(item.expiresAt);
+      if (expiresAt <= now || expiresAt > horizon) continue;
+
+      const daysLeft = Math.ceil((expiresAt.getTime() - now.getTime()) / DAY_MS);
+      const threshold = getReminderThreshold(daysLeft);
+      if (!threshold || (item.remindersSent || []).includes(threshold)) continue;
+
+      const claim = await OrderModel.updateOne(
+        { _id: order._id, items: { $elemMatch: { _id: item._id, remindersSent: { $ne: threshold } } } },
+        { $addToSet: { 'items.$.remindersSent': { $each: REMINDER_THRESHOLDS_DAYS.filter(t => t >= threshold) } } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      try {
+        await sendEmail(
+          order.customerId?.email || order.customerEmail,
+          `Your ${item.productTitle} subscription expires in ${daysLeft === 1 ? '1 day' : `${daysLeft} days`}`,
+          getUserSubscriptionExpiringEmailHTML({
+            firstname: order.customerId?.firstname,
+            productTitle: item.productTitle,
+            daysLeft,
+            expiresAt
+          })
+        );
+        sent += 1;
+      } catch (error) {
+        console.error(`Expiry reminder failed for order ${order.orderNumber}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * End access for one allocation: release it or flag it for rotation
+ *
+ * @param {Object} allocation - Order item allocation
+ * @param {Object} context - { order, item, reason } (reason defaults to 'subscription_expired')
+ * @returns {Promise<'released'|'rotation_required'|'consumed'|'skipped'>} Outcome
+ */
+export const endAllocationAccess = async (allocation, { order, item, reason = 'subscription_expired' }) => {
+  const now = new Date();
+  const credential = await ProductCredentialModel.findById(allocation.credentialId).lean();
+  if (!credential) return 'skipped';
+
+  let outcome = 'skipped';
+
+  if (allocation.credentialType === 'account_share') {
+    const profile = (credential.profiles || []).find(entry => String(entry._id) === String(allocation.profileId));
+    // Only touch the profile while it is still held by this customer
+    const profileFilter = {
+      _id: credential._id,
+      profiles: { $elemMatch: { _id: allocation.profileId, isAssigned: true, assignedTo: order.customerId } }
+    };
+
+    if (profile?.pin) {
+      const result = await ProductCredentialModel.updateOne(profileFilter, {
+        $set: { 'profiles.$.rotationRequired': true, updatedAt: now }
+      });
+      if (result.modifiedCount) outcome = 'rotation_required';
+    } else {
+      const result = await ProductCredentialModel.updateOne(profileFilter, {
+        $set: {
+          'profiles.$.isAssigned': false,
+          'profiles.$.assignedTo': null,
+          'profiles.$.assignedAt': null,
+          'profiles.$.releasedAt': now,
+          updatedAt: now
+        },
+        $inc: { assignedCount: -1, availableCount: 1 }
+      });
+      if (result.modifiedCount) outcome = 'released';
+    }
+  } else if (allocation.credentialType === 'email_invite') {
+    const result = await ProductCredentialModel.updateOne(
+      { _id: credential._id, assignedTo: order.customerId, rotationRequired: { $ne: true } },
+      { $set: { rotationRequired: true, updatedAt: now } }
+    );
+    if (result.modifiedCount) outcome = 'rotation_required';
+  } else if (allocation.credentialType === 'license_key') {
+    const result = await ProductCredentialModel.updateOne(
+      { _id: credential._id, consumedAt: null },
+      { $set: { consumedAt: now, updatedAt: now } }
+    );
+    if (result.modifiedCount) outcome = 'consumed';
+  }
+
+  if (outcome === 'released' && credential.isValid) {
+    await ProductModel.updateOne({ _id: credential.productId }, { $inc: { stock: 1 } });
+
+    // The freed seat goes to the waitlist first
+    try {
+      await notifyWaitlist(credential.productId);
+    } catch (error) {
+      console.error('Waitlist notification error:', error.message);
+    }
+  }
+
+  if (outcome !== 'skipped') {
+    await ProductCredentialAuditModel.create({
+      credentialId: credential._id,
+      productId: credential.productId,
+      vendorId: credential.vendorId,
+      action: 'updated',
+      actorId: 'system',
+      actorType: 'system',
+      details: {
+        reason,
+        outcome,
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        orderItemId: item._id.toString(),
+        profileId: allocation.profileId ? allocation.profileId.toString() : null,
+        profileName: allocation.profileName || null
+      }
+    });
+  }
+
+  return outcome;
+};
+
+/**
+ * End access for subscriptions past their expiry date
+ *
+ * Items are claimed by setting expiredAt before any credential is touched,
+ * so each expiry is processed exactly once.
+ *
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of expired items processed
+ */
+export const expireSubscriptions = async (now = new Date()) => {
+  const orders = await OrderModel.find({
+    paymentStatus: 'paid',
+    items: { $elemMatch: { expiresAt: { $lte: now }, expiredAt: null } }
+  })
+    .populate('customerId', 'firstname email')
+    .lean();
+
+  let processed = 0;
+
+  for (const order of orders) {
+    const customerId = order.customerId?._id || order.customerId;
+
+    for (const item of order.items) {
+      if (!item.expiresAt || item.expiredAt || new Date(item.expiresAt) > now) continue;
+
+      const claim = await OrderModel.updateOne(
+        { _id: order._id, items: { $elemMatch: { _id: item._id, expiredAt: null, expiresAt: { $lte: now } } } },
+        { $set: { 'items.$.expiredAt': now } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      for (const allocation of item.allocations || []) {
+        try {
+          await endAllocationAccess(allocation, { order: { ...order, customerId }, item });
+        } catch (error) {
+          console.error(`Failed to end access for order ${order.orderNumber}:`, error.message);
+        }
+      }
+
+      processed += 1;
+
+      try {
+        await sendEmail(
+          order.customerId?.email || order.customerEmail,
+          `Your ${item.productTitle} subscription has expired`,
+          getUserSubscriptionExpiredEmailHTML({
+            firstname: order.customerId?.firstname,
+            productTitle: item.productTitle
+          })
+        );
+      } catch (error) {
+        console.error(`Expiry email failed for order ${order.orderNumber}:`, error.message);
+      }
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Run one full lifecycle pass
+ *
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{remindersSent: number, expired: number}>} Pass summary
+ */
+export const runSubscriptionLifecycle = async (now = new Date()) => {
+  const remindersSent = await sendExpiryReminders(now);
+  const expired = await expireSubscriptions(now);
+  return { remindersSent, expired };
+};
+
+export default {
+  sendExpiryReminders,
+  expireSubscriptions,
+  endAllocationAccess,
+  runSubscriptionLifecycle,
+  REMINDER_THRESHOLDS_DAYS
+};
@@ -0,0 +1,717 @@
+/**
+ * Support Ticket Service
+ *
+ * Customers open threaded tickets, optionally linked to one of their orders,
+ * and the admin inbox answers them with status, priority, assignee and
+ * canned replies. An admin can share an order-linked ticket with the
+ * supplying vendor, who then sees the thread without the customer's identity,
+ * attachments or internal notes, and with contact details redacted.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import path from 'path';
+import OrderModel from '../models/order.model.js';
+import SupportTicketModel, {
+  TICKET_CATEGORIES,
+  TICKET_STATUSES,
+  TICKET_PRIORITIES,
+  OPEN_TICKET_STATUSES
+} from '../models/supportTicket.model.js';
+import CannedReplyModel from '../models/cannedReply.model.js';
+import { ticketAttachmentsDir } from '../middleware/uploadTicket.middleware.js';
+import { sendEmail } from './email.service.js';
+import { getUserSupportTicketUpdateEmailHTML } from '../templates/userEmail.template.js';
+import { generateAdminSupportTicketEmail } from '../templates/adminSupportTicketEmail.template.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+/**
+ * Strip email addresses and phone numbers from free text shown to vendors
+ *
+ * @param {string} text - Message body
+ * @returns {string} Redacted text
+ */
+export const redactContactDetails = (text) => String(text || '')
+  .replace(EMAIL_PATTERN, '[email hidden]')
+  .replace(PHONE_PATTERN, '[phone hidden]');
+
+/**
+ * Map Multer files to attachment subdocuments
+ *
+ * @param {Array} files - Multer file objects
+ * @returns {Array} Attachment metadata
+ */
+const toAttachments = (files = []) => files.map(file => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+/**
+ * Normalise a message body and require text or an attachment
+ *
+ * @param {string} body - Raw body
+ * @param {Array} files - Multer file objects
+ * @returns {string} Trimmed body
+ */
+const normaliseBody = (body, files = []) => {
+  const text = String(body || '').trim();
+  if (!text && files.length === 0) {
+    throw createServiceError('Message cannot be empty', 400);
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw createServiceError(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`, 400);
+  }
+  return text;
+};
+
+const toAttachmentView = (attachment) => ({
+  _id: attachment._id,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size
+});
+
+/**
+ * Customer-facing view of a ticket
+ *
+ * Internal notes are dropped and staff identities are reduced to their role.
+ *
+ * @param {Object} ticket - Lean ticket
+ * @returns {Object} Ticket for the customer
+ */
+const toCustomerTicket = (ticket) => ({
+  _id: ticket._id,
+  ticketNumber: ticket.ticketNumber,
+  orderId: ticket.orderId,
+  subject: ticket.subject,
+  category: ticket.category,
+  status: ticket.status,
+  lastMessageAt: ticket.lastMessageAt,
+  lastMessageBy: ticket.lastMessageBy,
+  messages: (ticket.messages || [])
+    .filter(message => !message.internal)
+    .map(message => ({
+      _id: message._id,
+      authorType: message.authorType,
+      body: message.body,
+      attachments: (message.attachments || []).map(toAttachmentView),
+      createdAt: message.createdAt
+    })),
+  createdAt: ticket.createdAt
+});
+
+/**
+ * Vendor-facing view of a ticket
+ *
+ * The customer, their order and contact details are never included;
+ * attachments are only counted since they may show personal data.
+ *
+ * @param {Object} ticket - Lean ticket
+ * @returns {Object} Anonymised ticket
+ */
+export const toVendorTicket = (ticket) => ({
+  _id: ticket._id,
+  ticketNumber: ticket.ticketNumber,
+  subject: redactContactDetails(ticket.subject),
+  category: ticket.category,
+  status: ticket.status,
+  priority: ticket.priority,
+  lastMessageAt: ticket.lastMessageAt,
+  lastMessageBy: ticket.lastMessageBy,
+  messages: (ticket.messages || [])
+    .filter(message => !message.internal)
+    .map(message => ({
+      _id: message._id,
+      authorType: message.authorType,
+      authorId: message.authorType === 'vendor' ? message.authorId : null,
+      body: redactContactDetails(message.body),
+      attachmentCount: (message.attachments || []).length,
+      createdAt: message.createdAt
+    })),
+  createdAt: ticket.createdAt
+});
+
+/**
+ * Count a customer's unresolved tickets (dashboard counter)
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<number>} Open and pending tickets
+ */
+export const countOpenTickets = (customerId) =>
+  SupportTicketModel.countDocuments({ customerId, status: { $in: OPEN_TICKET_STATUSES } });
+
+/**
+ * Notify the support inbox about customer or vendor activity (non-fatal)
+ *
+ * @param {Object} ticket - Ticket document
+ * @param {Object} params - { authorLabel, message, isNew }
+ * @returns {Promise<void>}
+ */
+const notifySupport = async (ticket, { authorLabel, message, isNew = false }) => {
+  try {
+    const recipient = ticket.assignee || process.env.ADMIN_EMAIL;
+    if (!recipient) return;
+    await sendEmail(
+      recipient,
+      `${isNew ? 'New ticket' : 'Ticket reply'} ${ticket.ticketNumber}: ${ticket.subject}`,
+      generateAdminSupportTicketEmail({
+        ticketNumber: ticket.ticketNumber,
+        subject: ticket.subject,
+        priority: ticket.priority,
+        authorLabel,
+        message,
+        isNew
+      })
+    );
+  } catch (error) {
+    console.error(`Support notification failed for ${ticket.ticketNumber}:`, error.message);
+  }
+};
+
+/**
+ * Notify the customer about a reply or resolution (non-fatal)
+ *
+ * @param {Object} ticket - Ticket document
+ * @param {Object} params - { message, resolved }
+ * @returns {Promise<void>}
+ */
+const notifyCustomer = async (ticket, { message = '', resolved = false }) => {
+  try {
+    const populated = await SupportTicketModel.findById(ticket._id)
+      .select('customerId')
+      .populate('customerId', 'firstname email')
+      .lean();
+    const customer = populated?.customerId;
+    if (!customer?.email) return;
+    await sendEmail(
+      customer.email,
+      `${resolved ? 'Resolved' : 'New reply'}: ${ticket.subject} [${ticket.ticketNumber}]`,
+      getUserSupportTicketUpdateEmailHTML({
+        firstname: customer.firstname,
+        ticketNumber: ticket.ticketNumber,
+        subject: ticket.subject,
+        message,
+        resolved
+      })
+    );
+  } catch (error) {
+    console.error(`Ticket notification failed for ${ticket.ticketNumber}:`, error.message);
+  }
+};
+
+/**
+ * Open a ticket
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.subject - Ticket subject
+ * @param {string} [params.category] - One of TICKET_CATEGORIES
+ * @param {string} [params.orderId] - Related order (must belong to the customer)
+ * @param {string} params.body - First message
+ * @param {Array} [params.files] - Multer files
+ * @returns {Promise<Object>} Created ticket (customer view)
+ */
+export const createTicket = async ({ user, subject, category = 'other', orderId = null, body, files = [] }) => {
+  const trimmedSubject = String(subject || '').trim();
+  if (!trimmedSubject) {
+    throw createServiceError('Subject is required', 400);
+  }
+  if (!TICKET_CATEGORIES.includes(category)) {
+    throw createServiceError('Invalid category', 400);
+  }
+  const text = normaliseBody(body, files);
+
+  let order = null;
+  if (orderId) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw createServiceError('Order not found', 404);
+    }
+    order = await OrderModel.findOne({ _id: orderId, customerId: user._id }).select('vendorId items.vendorId').lean();
+    if (!order) {
+      throw createServiceError('Order not found', 404);
+    }
+  }
+
+  const now = new Date();
+  const ticket = await SupportTicketModel.create({
+    customerId: user._id,
+    orderId: order?._id || null,
+    vendorId: order ? (order.vendorId || order.items?.[0]?.vendorId || null) : null,
+    subject: trimmedSubject.slice(0, 200),
+    category,
+    messages: [{
+      authorType: 'customer',
+      authorId: String(user._id),
+      body: text,
+      attachments: toAttachments(files),
+      createdAt: now
+    }],
+    lastMessageAt: now,
+    lastMessageBy: 'customer'
+  });
+
+  await notifySupport(ticket, { authorLabel: 'customer', message: text, isNew: true });
+  return toCustomerTicket(ticket.toObject());
+};
+
+/**
+ * List a customer's tickets
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @param {Object} [options] - { status }
+ * @returns {Promise<Array>} Tickets, most recent activity first
+ */
+export const getCustomerTickets = async (customerId, { status } = {}) => {
+  const query = { customerId };
+  if (status) query.status = status;
+  const tickets = await SupportTicketModel.find(query).sort({ lastMessageAt: -1 }).lean();
+  return tickets.map(toCustomerTicket);
+};
+
+/**
+ * Find a ticket, optionally scoped to a customer or vendor
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} [scope] - Extra filter (customerId or vendorId + sharedWithVendor)
+ * @returns {Promise<Object>} Ticket document
+ */
+const findTicket = async (ticketId, scope = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+    throw createServiceError('Ticket not found', 404);
+  }
+  const ticket = await SupportTicketModel.findOne({ _id: ticketId, ...scope });
+  if (!ticket) {
+    throw createServiceError('Ticket not found', 404);
+  }
+  return ticket;
+};
+
+/**
+ * Get one of the customer's tickets
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<Object>} Ticket (customer view)
+ */
+export const getCustomerTicket = async (ticketId, customerId) => {
+  const ticket = await findTicket(ticketId, { customerId });
+  return toCustomerTicket(ticket.toObject());
+};
+
+/**
+ * Customer reply; reopens resolved tickets
+ *
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.body - Message text
+ * @param {Array} [params.files] - Multer files
+ * @returns {Promise<Object>} Updated ticket (customer view)
+ */
+export const addCustomerMessage = async ({ ticketId, user, body, files = [] }) => {
+  const text = normaliseBody(body, files);
+  const ticket = await findTicket(ticketId, { customerId: user._id });
+  if (ticket.status === 'closed') {
+    throw createServiceError('This ticket is closed. Please open a new one', 409);
+  }
+
+  const now = new Date();
+  ticket.messages.push({
+    authorType: 'customer',
+    authorId: String(user._id),
+    body: text,
+    attachments: toAttachments(files),
+    createdAt: now
+  });
+  ticket.status = 'open';
+  ticket.resolvedAt = null;
+  ticket.lastMessageAt = now;
+  ticket.lastMessageBy = 'customer';
+  await ticket.save();
+
+  await notifySupport(ticket, { authorLabel: 'customer', message: text });
+  return toCustomerTicket(ticket.toObject());
+};
+
+/**
+ * Customer closes their own ticket
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} user - Authenticated customer
+ * @returns {Promise<Object>} Updated ticket (customer view)
+ */
+export const closeCustomerTicket = async (ticketId, user) => {
+  const ticket = await findTicket(ticketId, { customerId: user._id });
+  if (ticket.status === 'closed') {
+    return toCustomerTicket(ticket.toObject());
+  }
+  ticket.status = 'closed';
+  ticket.closedAt = new Date();
+  ticket.messages.push({
+    authorType: 'system',
+    authorId: 'system',
+    body: 'Closed by customer',
+    internal: true
+  });
+  await ticket.save();
+  return toCustomerTicket(ticket.toObject());
+};
+
+/**
+ * List tickets for the admin inbox
+ *
+ * @param {Object} [options] - { status, priority, assignee, search, limit, page }
+ * @returns {Promise<Object>} Paginated tickets plus per-status counts
+ */
+export const getAdminTickets = async ({ status, priority, assignee, search, limit = 20, page = 1 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (assignee === 'unassigned') query.assignee = null;
+  else if (assignee) query.assignee = assignee;
+  if (search) {
+    const pattern = new RegExp(String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ ticketNumber: pattern }, { subject: pattern }];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [tickets, total, statusCounts] = await Promise.all([
+    SupportTicketModel.find(query)
+      .select('-messages')
+      .populate('customerId', 'firstname lastname email')
+      .sort({ lastMessageAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean(),
+    SupportTicketModel.countDocuments(query),
+    SupportTicketModel.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const counts = Object.fromEntries(TICKET_STATUSES.map(entry => [entry, 0]));
+  statusCounts.forEach(entry => { counts[entry._id] = entry.count; });
+
+  return { tickets, total, counts, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * Get one ticket with customer, vendor and order summary
+ *
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object>} Full ticket including internal notes
+ */
+export const getAdminTicket = async (ticketId) => {
+  const ticket = await findTicket(ticketId);
+  await ticket.populate([
+    { path: 'customerId', select: 'firstname lastname email' },
+    { path: 'vendorId', select: 'companyName displayName' },
+    { path: 'orderId', select: 'orderNumber totalAmount currency status paymentStatus createdAt' }
+  ]);
+  return ticket.toObject();
+};
+
+/**
+ * Set status and its timestamps on a ticket document
+ *
+ * @param {Object} ticket - Ticket document
+ * @param {string} status - New status
+ */
+const applyStatus = (ticket, status) => {
+  ticket.status = status;
+  ticket.resolvedAt = status === 'resolved' ? (ticket.resolvedAt || new Date()) : null;
+  ticket.closedAt = status === 'closed' ? (ticket.closedAt || new Date()) : null;
+};
+
+/**
+ * Admin reply or internal note
+ *
+ * A public reply moves the ticket to "pending" (waiting on the customer)
+ * unless another status is given, and emails the customer.
+ *
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string} params.adminEmail - Replying admin
+ * @param {string} params.body - Message text
+ * @param {boolean} [params.internal] - Internal note (not sent to the customer)
+ * @param {string} [params.status] - Status to set along with the reply
+ * @param {Array} [params.files] - Multer files
+ * @returns {Promise<Object>} Updated ticket
+ */
+export const addAdminReply = async ({ ticketId, adminEmail, body, internal = false, status, files = [] }) => {
+  const text = normaliseBody(body, files);
+  if (status && !TICKET_STATUSES.includes(status)) {
+    throw createServiceError('Invalid status', 400);
+  }
+
+  const ticket = await findTicket(ticketId);
+  const now = new Date();
+  ticket.messages.push({
+    authorType: 'admin',
+    authorId: adminEmail,
+    body: text,
+    internal: Boolean(internal),
+    attachments: toAttachments(files),
+    createdAt: now
+  });
+  if (!ticket.assignee) ticket.assignee = adminEmail;
+
+  if (!internal) {
+    ticket.lastMessageAt = now;
+    ticket.lastMessageBy = 'admin';
+    applyStatus(ticket, status || 'pending');
+  } else if (status) {
+    applyStatus(ticket, status);
+  }
+  await ticket.save();
+
+  if (!internal) {
+    await notifyCustomer(ticket, { message: text, resolved: ticket.status === 'resolved' });
+  }
+  return getAdminTicket(ticket._id);
+};
+
+/**
+ * Update ticket status, priority, assignee or vendor sharing
+ *
+ * Every change is recorded as an internal system note on the thread.
+ *
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string} params.adminEmail - Acting admin
+ * @param {Object} params.updates - { status, priority, assignee, sharedWithVendor }
+ * @returns {Promise<Object>} Updated ticket
+ */
+export const updateTicket = async ({ ticketId, adminEmail, updates = {} }) => {
+  const ticket = await findTicket(ticketId);
+  const changes = [];
+  const previousStatus = ticket.status;
+
+  if (updates.status !== undefined && updates.status !== ticket.status) {
+    if (!TICKET_STATUSES.includes(updates.status)) {
+      throw createServiceError('Invalid status', 400);
+    }
+    applyStatus(ticket, updates.status);
+    changes.push(`status → ${updates.status}`);
+  }
+  if (updates.priority !== undefined && updates.priority !== ticket.priority) {
+    if (!TICKET_PRIORITIES.includes(updates.priority)) {
+      throw createServiceError('Invalid priority', 400);
+    }
+    ticket.priority = updates.priority;
+    changes.push(`priority → ${updates.priority}`);
+  }
+  if (updates.assignee !== undefined) {
+    const assignee = String(updates.assignee || '').trim().toLowerCase() || null;
+    if (assignee !== ticket.assignee) {
+      ticket.assignee = assignee;
+      changes.push(assignee ? `assigned to ${assignee}` : 'unassigned');
+    }
+  }
+  if (updates.sharedWithVendor !== undefined && Boolean(updates.sharedWithVendor) !== ticket.sharedWithVendor) {
+    if (updates.sharedWithVendor && !ticket.vendorId) {
+      throw createServiceError('Only tickets linked to an order can be shared with a vendor', 409);
+    }
+    ticket.sharedWithVendor = Boolean(updates.sharedWithVendor);
+    changes.push(ticket.sharedWithVendor ? 'shared with vendor' : 'no longer shared with vendor');
+  }
+
+  if (changes.length === 0) {
+    return getAdminTicket(ticket._id);
+  }
+
+  ticket.messages.push({
+    authorType: 'system',
+    authorId: adminEmail,
+    body: changes.join(', '),
+    internal: true
+  });
+  await ticket.save();
+
+  if (ticket.status === 'resolved' && previousStatus !== 'resolved') {
+    await notifyCustomer(ticket, { resolved: true });
+  }
+  return getAdminTicket(ticket._id);
+};
+
+/**
+ * List tickets an admin shared with a vendor (anonymised)
+ *
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @param {Object} [options] - { status, limit, page }
+ * @returns {Promise<Object>} Paginated tickets plus open count
+ */
+export const getVendorTickets = async (vendorId, { status, limit = 20, page = 1 } = {}) => {
+  const query = { vendorId, sharedWithVendor: true };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [tickets, total, open] = await Promise.all([
+    SupportTicketModel.find(query).sort({ lastMessageAt: -1 }).limit(parseInt(limit)).skip(skip).lean(),
+    SupportTicketModel.countDocuments(query),
+    SupportTicketModel.countDocuments({ vendorId, sharedWithVendor: true, status: { $in: OPEN_TICKET_STATUSES } })
+  ]);
+
+  return { tickets: tickets.map(toVendorTicket), total, open, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * Get one shared ticket (anonymised)
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Promise<Object>} Ticket (vendor view)
+ */
+export const getVendorTicket = async (ticketId, vendorId) => {
+  const ticket = await findTicket(ticketId, { vendorId, sharedWithVendor: true });
+  return toVendorTicket(ticket.toObject());
+};
+
+/**
+ * Vendor reply on a shared ticket
+ *
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {Object} params.vendor - Authenticated vendor
+ * @param {string} params.body - Message text
+ * @returns {Promise<Object>} Updated ticket (vendor view)
+ */
+export const addVendorReply = async ({ ticketId, vendor, body }) => {
+  const text = normaliseBody(body);
+  const ticket = await findTicket(ticketId, { vendorId: vendor._id, sharedWithVendor: true });
+  if (ticket.status === 'closed') {
+    throw createServiceError('This ticket is closed', 409);
+  }
+
+  const now = new Date();
+  ticket.messages.push({
+    authorType: 'vendor',
+    authorId: vendor.primaryEmail,
+    body: text,
+    createdAt: now
+  });
+  ticket.lastMessageAt = now;
+  ticket.lastMessageBy = 'vendor';
+  await ticket.save();
+
+  await Promise.all([
+    notifyCustomer(ticket, { message: text }),
+    notifySupport(ticket, { authorLabel: 'vendor', message: text })
+  ]);
+  return toVendorTicket(ticket.toObject());
+};
+
+/**
+ * Resolve an attachment to a file on disk
+ *
+ * Customers may only download from their own tickets and never see
+ * attachments on internal notes; admins can download everything.
+ *
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string} params.attachmentId - Attachment ID
+ * @param {string|ObjectId} [params.customerId] - Customer scope
+ * @returns {Promise<{path: string, originalName: string, mimeType: string}>}
+ */
+export const getTicketAttachment = async ({ ticketId, attachmentId, customerId = null }) => {
+  const ticket = await findTicket(ticketId, customerId ? { customerId } : {});
+
+  for (const message of ticket.messages) {
+    if (customerId && message.internal) continue;
+    const attachment = message.attachments.id(attachmentId);
+    if (attachment) {
+      return {
+        path: path.resolve(ticketAttachmentsDir, attachment.filename),
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType
+      };
+    }
+  }
+  throw createServiceError('Attachment not found', 404);
+};
+
+/**
+ * List canned replies
+ *
+ * @returns {Promise<Array>} Canned replies sorted by title
+ */
+export const getCannedReplies = () => CannedReplyModel.find().sort({ title: 1 }).lean();
+
+/**
+ * Create or update a canned reply
+ *
+ * @param {Object} params
+ * @param {string} [params.replyId] - Existing reply to update
+ * @param {string} params.title - Short label
+ * @param {string} params.body - Reply text; {{firstname}} and {{ticketNumber}} are filled in by the inbox
+ * @param {string} params.adminEmail - Acting admin
+ * @returns {Promise<Object>} Saved reply
+ */
+export const saveCannedReply = async ({ replyId = null, title, body, adminEmail }) => {
+  const trimmedTitle = String(title || '').trim();
+  const text = String(body || '').trim();
+  if (!trimmedTitle || !text) {
+    throw createServiceError('Title and text are required', 400);
+  }
+
+  if (!replyId) {
+    return CannedReplyModel.create({ title: trimmedTitle, body: text, createdBy: adminEmail });
+  }
+  if (!mongoose.Types.ObjectId.isValid(replyId)) {
+    throw createServiceError('Canned reply not found', 404);
+  }
+  const reply = await CannedReplyModel.findByIdAndUpdate(
+    replyId,
+    { $set: { title: trimmedTitle, body: text, updatedBy: adminEmail } },
+    { new: true, runValidators: true }
+  );
+  if (!reply) {
+    throw createServiceError('Canned reply not found', 404);
+  }
+  return reply;
+};
+
+/**
+ * Delete a canned reply
+ *
+ * @param {string} replyId - Canned reply ID
+ * @returns {Promise<void>}
+ */
+export const deleteCannedReply = async (replyId) => {
+  if (!mongoose.Types.ObjectId.isValid(replyId)) {
+    throw createServiceError('Canned reply not found', 404);
+  }
+  const deleted = await CannedReplyModel.findByIdAndDelete(replyId);
+  if (!deleted) {
+    throw createServiceError('Canned reply not found', 404);
+  }
+};
+
+export default {
+  createTicket,
+  getCustomerTickets,
+  getCustomerTicket,
+  addCustomerMessage,
+  closeCustomerTicket,
+  countOpenTickets,
+  getAdminTickets,
+  getAdminTicket,
+  addAdminReply,
+  updateTicket,
+  getVendorTickets,
+  getVendorTicket,
+  addVendorReply,
+  getTicketAttachment,
+  getCannedReplies,
+  saveCannedReply,
+  deleteCannedReply,
+  toVendorTicket,
+  redactContactDetails
+};
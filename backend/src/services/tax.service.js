@@ -0,0 +1,211 @@
+/**
+ * Tax Service
+ *
+ * Tax rules for digital subscriptions, keyed on the billing country and the
+ * customer type:
+ * - EU consumers pay VAT at their country's rate (OSS)
+ * - EU businesses with a VAT ID outside the seller's country are reverse charged
+ * - UK customers pay UK VAT unless they are VAT-registered businesses
+ * - US customers pay state sales tax where the state taxes digital goods
+ * - Other countries are outside the scope of VAT
+ *
+ * Tax is added on top of the discounted line totals. Vendor earnings are
+ * based on the net (pre-tax) amounts.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { createServiceError } from '../utils/serviceError.js';
+
+/**
+ * Country the store is established in (VAT is charged to domestic businesses too)
+ */
+export const SELLER_COUNTRY = String(process.env.TAX_SELLER_COUNTRY || 'DE').trim().toUpperCase();
+
+export const CUSTOMER_TYPES = ['individual', 'business'];
+
+/**
+ * Standard VAT rates (%) of the EU member states
+ */
+export const EU_VAT_RATES = {
+  AT: 20, BE: 21, BG: 20, HR: 25, CY: 19, CZ: 21, DK: 25, EE: 24, FI: 25.5,
+  FR: 20, DE: 19, GR: 24, HU: 27, IE: 23, IT: 22, LV: 21, LT: 21, LU: 17,
+  MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SK: 23, SI: 22, ES: 21, SE: 25
+};
+
+export const UK_VAT_RATE = 20;
+
+/**
+ * Statewide sales tax rates (%) for states that tax digital subscriptions;
+ * states not listed are not collected for
+ */
+export const US_SALES_TAX_RATES = {
+  CT: 6.35, DC: 6, HI: 4, IA: 6, NJ: 6.625, NM: 4.875, NY: 4, OH: 5.75,
+  PA: 6, SD: 4.2, TN: 7, TX: 6.25, UT: 6.1, WA: 6.5, WV: 6
+};
+
+// VAT numbers: country prefix (Greece uses EL) followed by the national format
+const VAT_ID_PATTERNS = {
+  AT: /^ATU\d{8}$/, BE: /^BE[01]\d{9}$/, BG: /^BG\d{9,10}$/, HR: /^HR\d{11}$/,
+  CY: /^CY\d{8}[A-Z]$/, CZ: /^CZ\d{8,10}$/, DK: /^DK\d{8}$/, EE: /^EE\d{9}$/,
+  FI: /^FI\d{8}$/, FR: /^FR[0-9A-Z]{2}\d{9}$/, DE: /^DE\d{9}$/, GR: /^EL\d{9}$/,
+  HU: /^HU\d{8}$/, IE: /^IE\d[0-9A-Z+*]\d{5}[A-Z]{1,2}$/, IT: /^IT\d{11}$/,
+  LV: /^LV\d{11}$/, LT: /^LT(\d{9}|\d{12})$/, LU: /^LU\d{8}$/, MT: /^MT\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/, PL: /^PL\d{10}$/, PT: /^PT\d{9}$/, RO: /^RO\d{2,10}$/,
+  SK: /^SK\d{10}$/, SI: /^SI\d{8}$/, ES: /^ES[0-9A-Z]\d{7}[0-9A-Z]$/, SE: /^SE\d{12}$/,
+  GB: /^GB(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+};
+
+const toCents = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Normalize a VAT ID (upper case, no spaces, dots or dashes)
+ *
+ * @param {string} vatId - Raw VAT ID
+ * @returns {string} Normalized VAT ID
+ */
+export const normalizeVatId = (vatId) => String(vatId || '').toUpperCase().replace(/[\s.-]/g, '');
+
+/**
+ * Normalize the tax-relevant billing fields
+ *
+ * Business customers in the EU and the UK must give a VAT ID for their
+ * billing country; the format is checked here, registration is not.
+ *
+ * @param {Object} billingDetails - Raw billing details
+ * @returns {{country: string, region: string, customerType: string, companyName: string, vatId: string}}
+ */
+export const normalizeTaxDetails = (billingDetails = {}) => {
+  const country = String(billingDetails.country || '').trim().toUpperCase().slice(0, 2);
+  const region = String(billingDetails.region || '').trim().toUpperCase().slice(0, 3);
+  const customerType = CUSTOMER_TYPES.includes(billingDetails.customerType) ? billingDetails.customerType : 'individual';
+  const companyName = customerType === 'business' ? String(billingDetails.companyName || '').trim().slice(0, 160) : '';
+  let vatId = customerType === 'business' ? normalizeVatId(billingDetails.vatId) : '';
+
+  if (customerType === 'business' && VAT_ID_PATTERNS[country]) {
+    if (!companyName) {
+      throw createServiceError('Enter your company name for a business purchase');
+    }
+    if (!vatId) {
+      throw createServiceError('Enter your VAT ID for a business purchase');
+    }
+    if (/^\d/.test(vatId)) {
+      vatId = `${country === 'GR' ? 'EL' : country}${vatId}`;
+    }
+    if (!VAT_ID_PATTERNS[country].test(vatId)) {
+      throw createServiceError(`${vatId} is not a valid VAT ID for the billing country`);
+    }
+  }
+
+  return { country, region, customerType, companyName, vatId };
+};
+
+/**
+ * Find the tax rule for a customer
+ *
+ * @param {Object} details - Normalized tax details
+ * @returns {{name: string, jurisdiction: string, rate: number, reverseCharge: boolean, note: string}} Rule (rate in %)
+ */
+export const getTaxRule = ({ country, region, customerType, vatId }) => {
+  const isBusiness = customerType === 'business' && Boolean(vatId);
+
+  if (EU_VAT_RATES[country] !== undefined) {
+    if (isBusiness && country !== SELLER_COUNTRY) {
+      return {
+        name: 'VAT',
+        jurisdiction: country,
+        rate: 0,
+        reverseCharge: true,
+        note: 'Reverse charge: VAT to be accounted for by the recipient (Art. 196 Council Directive 2006/112/EC).'
+      };
+    }
+    return { name: 'VAT', jurisdiction: country, rate: EU_VAT_RATES[country], reverseCharge: false, note: '' };
+  }
+
+  if (country === 'GB') {
+    if (isBusiness) {
+      return {
+        name: 'VAT',
+        jurisdiction: 'GB',
+        rate: 0,
+        reverseCharge: true,
+        note: 'Reverse charge: customer to account for UK VAT.'
+      };
+    }
+    return { name: 'VAT', jurisdiction: 'GB', rate: UK_VAT_RATE, reverseCharge: false, note: '' };
+  }
+
+  if (country === 'US') {
+    const rate = US_SALES_TAX_RATES[region] || 0;
+    return {
+      name: 'Sales tax',
+      jurisdiction: region ? `US-${region}` : 'US',
+      rate,
+      reverseCharge: false,
+      note: rate ? '' : 'No sales tax collected for this state.'
+    };
+  }
+
+  return {
+    name: 'VAT',
+    jurisdiction: country || 'XX',
+    rate: 0,
+    reverseCharge: false,
+    note: 'Outside the scope of EU VAT.'
+  };
+};
+
+/**
+ * Calculate tax for discounted order lines
+ *
+ * Tax is computed per line and summed so that line taxes always add up to
+ * the order tax.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Lines with price, quantity and discountAmount
+ * @param {Object} params.billingDetails - Raw billing details
+ * @returns {{items: Array, taxAmount: number, taxLines: Array, taxNote: string, taxDetails: Object}}
+ */
+export const calculateTax = ({ items, billingDetails }) => {
+  const taxDetails = normalizeTaxDetails(billingDetails);
+  const rule = getTaxRule(taxDetails);
+
+  let taxableCents = 0;
+  let taxCents = 0;
+  const taxedItems = items.map(item => {
+    const netCents = toCents(item.price * item.quantity) - toCents(item.discountAmount || 0);
+    const lineTaxCents = Math.round(netCents * rule.rate / 100);
+    taxableCents += netCents;
+    taxCents += lineTaxCents;
+    return { ...item, taxRate: rule.rate, taxAmount: fromCents(lineTaxCents) };
+  });
+
+  const showLine = rule.rate > 0 || rule.reverseCharge || taxDetails.country in EU_VAT_RATES;
+  return {
+    items: taxedItems,
+    taxAmount: fromCents(taxCents),
+    taxLines: showLine ? [{
+      name: rule.name,
+      jurisdiction: rule.jurisdiction,
+      rate: rule.rate,
+      taxableAmount: fromCents(taxableCents),
+      amount: fromCents(taxCents)
+    }] : [],
+    taxNote: rule.note,
+    taxDetails
+  };
+};
+
+export default {
+  SELLER_COUNTRY,
+  CUSTOMER_TYPES,
+  EU_VAT_RATES,
+  UK_VAT_RATE,
+  US_SALES_TAX_RATES,
+  normalizeVatId,
+  normalizeTaxDetails,
+  getTaxRule,
+  calculateTax
+};
@@ -0,0 +1,303 @@
+/**
+ * Waitlist Service
+ *
+ * Back-in-stock waitlist. Customers (or email-only guests) join the queue
+ * of an out-of-stock product; whenever units become available the oldest
+ * waiting entries are each given a hold on one unit for
+ * WAITLIST_HOLD_HOURS and emailed. A hold that runs out goes back to the
+ * pool and the next entry in line is served.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WaitlistEntryModel from '../models/waitlistEntry.model.js';
+import ProductModel from '../models/product.model.js';
+import UserModel from '../models/user.model.js';
+import { getCatalogVisibilityFilter } from './catalog.service.js';
+import { getAvailableStock, holdWaitlistUnit, releaseWaitlistHold } from './stockReservation.service.js';
+import { getUserBackInStockEmailHTML } from '../templates/userEmail.template.js';
+import sendEmail from './email.service.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+const DEFAULT_HOLD_HOURS = 24;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * How long a notified customer keeps their unit
+ *
+ * @returns {number} Hold duration in milliseconds
+ */
+const getHoldDurationMs = () => {
+  const hours = parseFloat(process.env.WAITLIST_HOLD_HOURS);
+  return (hours > 0 ? hours : DEFAULT_HOLD_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Position of a waiting entry in its product's queue (1-based)
+ *
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<number|null>} Position, or null when the entry is not waiting
+ */
+const getQueuePosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WaitlistEntryModel.countDocuments({
+    productId: entry.productId,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Customer view of a waitlist entry
+ *
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<Object>} { status, position, holdExpiresAt, token }
+ */
+const toCustomerEntry = async (entry) => ({
+  status: entry.status,
+  position: await getQueuePosition(entry),
+  holdExpiresAt: entry.holdExpiresAt,
+  token: entry.token
+});
+
+/**
+ * Join the waitlist of an out-of-stock product
+ *
+ * Joining twice returns the existing place in the queue.
+ *
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {Object} [params.user] - Authenticated user, if any
+ * @param {string} [params.email] - Email for guests
+ * @returns {Promise<Object>} { status, position, holdExpiresAt, token }
+ */
+export const joinWaitlist = async ({ productId, user = null, email = '' }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw createServiceError('Product not found', 404);
+  }
+
+  const address = String(user?.email || email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address) || address.length > 254) {
+    throw createServiceError('A valid email address is required');
+  }
+
+  const product = await ProductModel.findOne({ _id: productId, ...getCatalogVisibilityFilter() })
+    .select('productType vendorId stock reservedStock')
+    .lean();
+  if (!product) {
+    throw createServiceError('Product not found', 404);
+  }
+  // Bundles hold no stock of their own, so there is nothing to hold for them
+  if (product.productType === 'bundle') {
+    throw createServiceError('Bundles do not have a waitlist');
+  }
+
+  const existing = await WaitlistEntryModel.findOne({
+    productId: product._id,
+    email: address,
+    status: { $in: ['waiting', 'notified'] }
+  }).lean();
+  if (existing) {
+    return toCustomerEntry(existing);
+  }
+
+  if (getAvailableStock(product) > 0) {
+    throw createServiceError('This product is in stock', 409);
+  }
+
+  let entry;
+  try {
+    entry = await WaitlistEntryModel.create({
+      productId: product._id,
+      vendorId: product.vendorId || null,
+      userId: user?._id || null,
+      email: address,
+      token: crypto.randomBytes(24).toString('hex')
+    });
+  } catch (error) {
+    // Joined twice at the same moment
+    if (error.code === 11000) {
+      const joined = await WaitlistEntryModel.findOne({ productId: product._id, email: address, status: 'waiting' }).lean();
+      if (joined) return toCustomerEntry(joined);
+    }
+    throw error;
+  }
+
+  return toCustomerEntry(entry);
+};
+
+/**
+ * Leave a waitlist using the entry token
+ *
+ * A unit held for the entry is released to the next customer in line.
+ *
+ * @param {string} token - Waitlist entry token
+ * @returns {Promise<Object>} { productId, productTitle }
+ */
+export const leaveWaitlist = async (token) => {
+  const entry = await WaitlistEntryModel.findOne({ token: String(token || '') }).lean();
+  if (!entry) {
+    throw createServiceError('Waitlist entry not found', 404);
+  }
+
+  const product = await ProductModel.findById(entry.productId).select('title').lean();
+  const result = { productId: entry.productId, productTitle: product?.title || '' };
+
+  if (entry.status === 'waiting') {
+    await WaitlistEntryModel.updateOne({ _id: entry._id, status: 'waiting' }, { $set: { status: 'cancelled' } });
+  } else if (entry.status === 'notified') {
+    await releaseWaitlistHold(entry._id);
+    await WaitlistEntryModel.updateOne({ _id: entry._id, status: 'notified' }, { $set: { status: 'cancelled' } });
+    await notifyWaitlist(entry.productId);
+  }
+  return result;
+};
+
+/**
+ * Customer's waitlist entry for a product
+ *
+ * @param {Object} params
+ * @param {string|ObjectId} params.productId - Product ID
+ * @param {Object} params.user - Authenticated user
+ * @returns {Promise<Object|null>} { status, position, holdExpiresAt, token }, or null when not on the waitlist
+ */
+export const getCustomerWaitlistEntry = async ({ productId, user }) => {
+  const entry = await WaitlistEntryModel.findOne({
+    productId,
+    $or: [{ userId: user._id }, { email: String(user.email || '').toLowerCase() }],
+    status: { $in: ['waiting', 'notified'] }
+  }).sort({ createdAt: 1 }).lean();
+  return entry ? toCustomerEntry(entry) : null;
+};
+
+/**
+ * Email a notified customer that their unit is held (non-fatal)
+ *
+ * @param {Object} entry - Waitlist entry
+ * @param {Object} product - Product (needs _id, title)
+ * @returns {Promise<void>}
+ */
+const sendBackInStockEmail = async (entry, product) => {
+  try {
+    const user = entry.userId ? await UserModel.findById(entry.userId).select('firstname').lean() : null;
+    await sendEmail(
+      entry.email,
+      `${product.title} is back in stock`,
+      getUserBackInStockEmailHTML({
+        firstname: user?.firstname,
+        productId: String(product._id),
+        productTitle: product.title,
+        holdExpiresAt: entry.holdExpiresAt,
+        token: entry.token
+      })
+    );
+  } catch (error) {
+    console.error(`Back-in-stock email failed for waitlist entry ${entry._id}:`, error.message);
+  }
+};
+
+/**
+ * Serve a product's waitlist from available stock
+ *
+ * Waiting entries are taken oldest first; each gets a hold on one unit and
+ * an email, until the queue or the available units run out. Safe to call
+ * whenever stock may have gone up.
+ *
+ * @param {string|ObjectId} productId - Product ID
+ * @returns {Promise<number>} Number of customers notified
+ */
+export const notifyWaitlist = async (productId) => {
+  const product = await ProductModel.findOne({ _id: productId, ...getCatalogVisibilityFilter() })
+    .select('title stock reservedStock')
+    .lean();
+  if (!product || getAvailableStock(product) === 0) return 0;
+
+  let notified = 0;
+  for (;;) {
+    const holdExpiresAt = new Date(Date.now() + getHoldDurationMs());
+
+    // Take the oldest waiting entry; the conditional update keeps
+    // concurrent runs from serving the same entry twice
+    const entry = await WaitlistEntryModel.findOneAndUpdate(
+      { productId: product._id, status: 'waiting' },
+      { $set: { status: 'notified', notifiedAt: new Date(), holdExpiresAt } },
+      { sort: { createdAt: 1 }, new: true }
+    ).lean();
+    if (!entry) break;
+
+    const hold = await holdWaitlistUnit({ entry, expiresAt: holdExpiresAt });
+    if (!hold) {
+      // Stock ran out meanwhile; the entry keeps its place in the queue
+      await WaitlistEntryModel.updateOne(
+        { _id: entry._id, status: 'notified' },
+        { $set: { status: 'waiting', notifiedAt: null, holdExpiresAt: null } }
+      );
+      break;
+    }
+
+    await sendBackInStockEmail(entry, product);
+    notified++;
+  }
+  return notified;
+};
+
+/**
+ * Waitlist depth per product, deepest first, as a demand signal for admins
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum products
+ * @returns {Promise<Array<Object>>} [{ productId, title, sku, vendor, available, reserved, waiting, holding, claimed, expired, oldestWaitingAt }]
+ */
+export const getWaitlistDemand = async ({ limit = 100 } = {}) => {
+  const rows = await WaitlistEntryModel.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: '$productId',
+        waiting: { $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] } },
+        holding: { $sum: { $cond: [{ $eq: ['$status', 'notified'] }, 1, 0] } },
+        claimed: { $sum: { $cond: [{ $eq: ['$status', 'claimed'] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+        oldestWaitingAt: { $min: { $cond: [{ $eq: ['$status', 'waiting'] }, '$createdAt', null] } }
+      }
+    },
+    { $sort: { waiting: -1, holding: -1, oldestWaitingAt: 1 } },
+    { $limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500) }
+  ]);
+
+  const products = await ProductModel.find({ _id: { $in: rows.map(row => row._id) } })
+    .select('title sku vendorId stock reservedStock status')
+    .populate('vendorId', 'companyName displayName')
+    .lean();
+  const productMap = new Map(products.map(product => [String(product._id), product]));
+
+  return rows.map(row => {
+    const product = productMap.get(String(row._id));
+    return {
+      productId: row._id,
+      title: product?.title || 'Deleted product',
+      sku: product?.sku || null,
+      status: product?.status || null,
+      vendor: product?.vendorId ? (product.vendorId.displayName || product.vendorId.companyName) : null,
+      available: getAvailableStock(product),
+      reserved: product?.reservedStock || 0,
+      waiting: row.waiting,
+      holding: row.holding,
+      claimed: row.claimed,
+      expired: row.expired,
+      oldestWaitingAt: row.oldestWaitingAt
+    };
+  });
+};
+
+export default {
+  joinWaitlist,
+  leaveWaitlist,
+  getCustomerWaitlistEntry,
+  notifyWaitlist,
+  getWaitlistDemand
+};
@@ -0,0 +1,436 @@
+/**
+ * Warranty Claim Service
+ *
+ * Customers report broken access within the product's warranty window; the
+ * claim is routed to the supplying vendor (anonymised) and resolved by the
+ * vendor or an admin, either by issuing a replacement unit from stock or by
+ * rejecting it with a note.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import mongoose from 'mongoose';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import WarrantyClaimModel, { CLAIM_ISSUE_TYPES, OPEN_CLAIM_STATUSES } from '../models/warrantyClaim.model.js';
+import { replaceAllocation } from './allocation.service.js';
+import { getSubscriptionStatus, getWarrantyEndsAt } from './subscription.service.js';
+import { sendEmail } from './email.service.js';
+import { getUserWarrantyClaimUpdateEmailHTML } from '../templates/userEmail.template.js';
+import { createServiceError } from '../utils/serviceError.js';
+
+/**
+ * Customer-facing view of a claim
+ *
+ * @param {Object} claim - Lean claim
+ * @returns {Object} Claim without vendor or stock details
+ */
+const toCustomerClaim = (claim) => ({
+  _id: claim._id,
+  claimNumber: claim.claimNumber,
+  orderItemId: claim.orderItemId,
+  allocationId: claim.allocationId,
+  productTitle: claim.productTitle,
+  profileName: claim.profileName,
+  issueType: claim.issueType,
+  description: claim.description,
+  status: claim.status,
+  warrantyEndsAt: claim.warrantyEndsAt,
+  resolutionNote: claim.resolutionNote,
+  resolvedAt: claim.resolvedAt,
+  createdAt: claim.createdAt
+});
+
+/**
+ * Vendor-facing view of a claim
+ *
+ * The customer, their order and contact details are never included; history
+ * entries made by the customer are shown without the actor.
+ *
+ * @param {Object} claim - Lean claim
+ * @returns {Object} Anonymised claim
+ */
+export const toVendorClaim = (claim) => ({
+  _id: claim._id,
+  claimNumber: claim.claimNumber,
+  productId: claim.productId,
+  productTitle: claim.productTitle,
+  credentialId: claim.credentialId,
+  credentialType: claim.credentialType,
+  profileId: claim.profileId,
+  profileName: claim.profileName,
+  issueType: claim.issueType,
+  description: claim.description,
+  status: claim.status,
+  warrantyType: claim.warrantyType,
+  warrantyEndsAt: claim.warrantyEndsAt,
+  resolutionNote: claim.resolutionNote,
+  resolvedAt: claim.resolvedAt,
+  resolvedByType: claim.resolvedByType,
+  replacement: claim.replacement
+    ? {
+      toCredentialId: claim.replacement.toCredentialId,
+      toProfileName: claim.replacement.toProfileName,
+      replacedByType: claim.replacement.replacedByType,
+      replacedAt: claim.replacement.replacedAt
+    }
+    : null,
+  history: (claim.history || []).map(event => ({
+    status: event.status,
+    actorType: event.actorType,
+    actorId: event.actorType === 'customer' ? null : event.actorId,
+    note: event.note,
+    at: event.at
+  })),
+  createdAt: claim.createdAt
+});
+
+/**
+ * Open a warranty claim for one delivered unit
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated customer
+ * @param {string} params.itemId - Order item ID
+ * @param {string} params.allocationId - Allocation the customer is reporting
+ * @param {string} [params.issueType] - One of CLAIM_ISSUE_TYPES
+ * @param {string} [params.description] - Free-text description
+ * @returns {Promise<Object>} Created claim (customer view)
+ */
+export const createClaim = async ({ user, itemId, allocationId, issueType = 'not_working', description = '' }) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId) || !mongoose.Types.ObjectId.isValid(allocationId)) {
+    throw createServiceError('Subscription not found', 404);
+  }
+  if (!CLAIM_ISSUE_TYPES.includes(issueType)) {
+    throw createServiceError('Invalid issue type', 400);
+  }
+
+  const order = await OrderModel.findOne({ customerId: user._id, paymentStatus: 'paid', 'items._id': itemId }).lean();
+  const item = order?.items.find(entry => String(entry._id) === String(itemId));
+  const allocation = item?.allocations?.find(entry => String(entry._id) === String(allocationId));
+  if (!allocation) {
+    throw createServiceError('Access not found', 404);
+  }
+  if (['expired', 'refunded'].includes(getSubscriptionStatus(item))) {
+    throw createServiceError('This subscription is no longer active', 409);
+  }
+
+  const product = await ProductModel.findById(item.productId).select('warrantyType warrantyDays').lean();
+  const warrantyEndsAt = getWarrantyEndsAt(product, item);
+  if (!warrantyEndsAt) {
+    throw createServiceError('This product does not include a warranty', 409);
+  }
+  if (warrantyEndsAt <= new Date()) {
+    throw createServiceError('The warranty period for this subscription has ended', 409);
+  }
+
+  const existing = await WarrantyClaimModel.findOne({ allocationId, status: { $in: OPEN_CLAIM_STATUSES } })
+    .select('claimNumber')
+    .lean();
+  if (existing) {
+    throw createServiceError(`Claim ${existing.claimNumber} is already open for this access`, 409);
+  }
+
+  try {
+    const claim = await WarrantyClaimModel.create({
+      customerId: user._id,
+      vendorId: item.vendorId || order.vendorId,
+      orderId: order._id,
+      orderItemId: item._id,
+      allocationId: allocation._id,
+      productId: item.productId,
+      productTitle: item.productTitle,
+      credentialId: allocation.credentialId,
+      credentialType: allocation.credentialType,
+      profileId: allocation.profileId,
+      profileName: allocation.profileName,
+      issueType,
+      description: String(description || '').trim().slice(0, 2000),
+      warrantyType: product.warrantyType,
+      warrantyDays: product.warrantyDays,
+      warrantyEndsAt,
+      history: [{ status: 'open', actorType: 'customer', actorId: user.email }]
+    });
+    return toCustomerClaim(claim.toObject());
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createServiceError('A claim is already open for this access', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List a customer's claims
+ *
+ * @param {string|ObjectId} customerId - Customer ID
+ * @returns {Promise<Array>} Claims, newest first
+ */
+export const getCustomerClaims = async (customerId) => {
+  const claims = await WarrantyClaimModel.find({ customerId }).sort({ createdAt: -1 }).lean();
+  return claims.map(toCustomerClaim);
+};
+
+/**
+ * List claims with pagination
+ *
+ * @param {Object} filter - Base Mongo filter
+ * @param {Object} options - { status, limit, page }
+ * @param {boolean} [populate] - Include customer and vendor (admin only)
+ * @returns {Promise<{claims: Array, total: number, page: number, limit: number}>}
+ */
+const listClaims = async (filter, { status, limit = 20, page = 1 } = {}, populate = false) => {
+  const query = { ...filter };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  let cursor = WarrantyClaimModel.find(query).sort({ createdAt: -1 }).limit(parseInt(limit)).skip(skip);
+  if (populate) {
+    cursor = cursor
+      .populate('customerId', 'firstname lastname email')
+      .populate('vendorId', 'companyName displayName primaryEmail');
+  }
+
+  const [claims, total] = await Promise.all([cursor.lean(), WarrantyClaimModel.countDocuments(query)]);
+  return { claims, total, page: parseInt(page), limit: parseInt(limit) };
+};
+
+/**
+ * List claims routed to a vendor (anonymised)
+ *
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @param {Object} [options] - { status, limit, page }
+ * @returns {Promise<Object>} Paginated claims
+ */
+export const getVendorClaims = async (vendorId, options) => {
+  const result = await listClaims({ vendorId }, options);
+  const open = await WarrantyClaimModel.countDocuments({ vendorId, status: { $in: OPEN_CLAIM_STATUSES } });
+  return { ...result, claims: result.claims.map(toVendorClaim), open };
+};
+
+/**
+ * List all claims for admins
+ *
+ * @param {Object} [options] - { status, vendorId, limit, page }
+ * @returns {Promise<Object>} Paginated claims with customer and vendor
+ */
+export const getAdminClaims = async ({ vendorId, ...options } = {}) => {
+  const filter = {};
+  if (vendorId && mongoose.Types.ObjectId.isValid(vendorId)) filter.vendorId = vendorId;
+  return listClaims(filter, options, true);
+};
+
+/**
+ * Find a claim, optionally scoped to a vendor
+ *
+ * @param {string} claimId - Claim ID
+ * @param {string|ObjectId|null} vendorId - Vendor scope (null for admins)
+ * @returns {Promise<Object>} Claim document
+ */
+const findClaim = async (claimId, vendorId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(claimId)) {
+    throw createServiceError('Claim not found', 404);
+  }
+  const claim = await WarrantyClaimModel.findOne(vendorId ? { _id: claimId, vendorId } : { _id: claimId });
+  if (!claim) {
+    throw createServiceError('Claim not found', 404);
+  }
+  return claim;
+};
+
+/**
+ * Get one claim routed to a vendor (anonymised)
+ *
+ * @param {string} claimId - Claim ID
+ * @param {string|ObjectId} vendorId - Vendor ID
+ * @returns {Promise<Object>} Claim
+ */
+export const getVendorClaim = async (claimId, vendorId) => {
+  const claim = await findClaim(claimId, vendorId);
+  return toVendorClaim(claim.toObject());
+};
+
+/**
+ * Get one claim with the full replacement chain of its allocation
+ *
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<{claim: Object, chain: Array}>} Claim plus every claim on the same access
+ */
+export const getAdminClaim = async (claimId) => {
+  const claim = await findClaim(claimId);
+  await claim.populate([
+    { path: 'customerId', select: 'firstname lastname email' },
+    { path: 'vendorId', select: 'companyName displayName primaryEmail' }
+  ]);
+
+  const chain = await WarrantyClaimModel.find({ allocationId: claim.allocationId })
+    .select('claimNumber status issueType credentialId profileName replacement createdAt resolvedAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return { claim: claim.toObject(), chain };
+};
+
+/**
+ * Notify the customer about a resolved claim (non-fatal)
+ *
+ * @param {Object} claim - Claim document
+ * @returns {Promise<void>}
+ */
+const notifyCustomer = async (claim) => {
+  try {
+    const order = await OrderModel.findById(claim.orderId).populate('customerId', 'firstname email').lean();
+    await sendEmail(
+      order?.customerId?.email || order?.customerEmail,
+      `Warranty claim ${claim.claimNumber}: ${claim.status === 'replaced' ? 'access replaced' : 'update'}`,
+      getUserWarrantyClaimUpdateEmailHTML({
+        firstname: order?.customerId?.firstname,
+        productTitle: claim.productTitle,
+        claimNumber: claim.claimNumber,
+        status: claim.status,
+        note: claim.resolutionNote
+      })
+    );
+  } catch (error) {
+    console.error(`Claim notification failed for ${claim.claimNumber}:`, error.message);
+  }
+};
+
+/**
+ * Mark a claim as being looked at
+ *
+ * @param {Object} params
+ * @param {string} params.claimId - Claim ID
+ * @param {Object} params.actor - { type: 'vendor'|'admin', id, vendorId? }
+ * @returns {Promise<Object>} Updated claim
+ */
+export const startClaimReview = async ({ claimId, actor }) => {
+  const claim = await findClaim(claimId, actor.vendorId);
+  const updated = await WarrantyClaimModel.findOneAndUpdate(
+    { _id: claim._id, status: 'open' },
+    {
+      $set: { status: 'in_review', updatedAt: new Date() },
+      $push: { history: { status: 'in_review', actorType: actor.type, actorId: actor.id } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('Only open claims can be moved to review', 409);
+  }
+  return updated;
+};
+
+/**
+ * Resolve a claim by issuing a replacement unit from stock
+ *
+ * The claim is moved out of the open states first so two resolvers can
+ * never issue two replacements; if no stock is available it is reopened.
+ *
+ * @param {Object} params
+ * @param {string} params.claimId - Claim ID
+ * @param {Object} params.actor - { type: 'vendor'|'admin', id, vendorId? }
+ * @param {string} [params.note] - Note shown to the customer
+ * @returns {Promise<Object>} Updated claim
+ */
+export const replaceClaim = async ({ claimId, actor, note = '' }) => {
+  const claim = await findClaim(claimId, actor.vendorId);
+  const now = new Date();
+  const resolutionNote = String(note || '').trim();
+
+  const locked = await WarrantyClaimModel.findOneAndUpdate(
+    { _id: claim._id, status: { $in: OPEN_CLAIM_STATUSES } },
+    { $set: { status: 'replaced', updatedAt: now } },
+    { new: true }
+  );
+  if (!locked) {
+    throw createServiceError('This claim has already been resolved', 409);
+  }
+
+  let swap;
+  try {
+    swap = await replaceAllocation({
+      orderId: claim.orderId,
+      itemId: claim.orderItemId,
+      allocationId: claim.allocationId,
+      claimId: claim._id,
+      actor: { actorId: actor.id, actorType: actor.type }
+    });
+  } catch (error) {
+    await WarrantyClaimModel.updateOne({ _id: claim._id }, { $set: { status: claim.status } });
+    throw error;
+  }
+
+  locked.resolutionNote = resolutionNote;
+  locked.resolvedAt = now;
+  locked.resolvedBy = actor.id;
+  locked.resolvedByType = actor.type;
+  locked.replacement = {
+    fromCredentialId: swap.from.credentialId,
+    fromProfileId: swap.from.profileId,
+    fromProfileName: swap.from.profileName,
+    toCredentialId: swap.to.credentialId,
+    toProfileId: swap.to.profileId,
+    toProfileName: swap.to.profileName,
+    replacedBy: actor.id,
+    replacedByType: actor.type,
+    replacedAt: now
+  };
+  locked.history.push({ status: 'replaced', actorType: actor.type, actorId: actor.id, note: resolutionNote });
+  await locked.save();
+
+  await notifyCustomer(locked);
+  return locked;
+};
+
+/**
+ * Reject a claim
+ *
+ * @param {Object} params
+ * @param {string} params.claimId - Claim ID
+ * @param {Object} params.actor - { type: 'vendor'|'admin', id, vendorId? }
+ * @param {string} params.note - Reason shown to the customer (required)
+ * @returns {Promise<Object>} Updated claim
+ */
+export const rejectClaim = async ({ claimId, actor, note }) => {
+  const resolutionNote = String(note || '').trim();
+  if (!resolutionNote) {
+    throw createServiceError('A reason is required to reject a claim', 400);
+  }
+
+  const claim = await findClaim(claimId, actor.vendorId);
+  const now = new Date();
+  const updated = await WarrantyClaimModel.findOneAndUpdate(
+    { _id: claim._id, status: { $in: OPEN_CLAIM_STATUSES } },
+    {
+      $set: {
+        status: 'rejected',
+        resolutionNote,
+        resolvedAt: now,
+        resolvedBy: actor.id,
+        resolvedByType: actor.type,
+        updatedAt: now
+      },
+      $push: { history: { status: 'rejected', actorType: actor.type, actorId: actor.id, note: resolutionNote } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createServiceError('This claim has already been resolved', 409);
+  }
+
+  await notifyCustomer(updated);
+  return updated;
+};
+
+export default {
+  createClaim,
+  getCustomerClaims,
+  getVendorClaims,
+  getVendorClaim,
+  getAdminClaims,
+  getAdminClaim,
+  startClaimReview,
+  replaceClaim,
+  rejectClaim,
+  toVendorClaim
+};
@@ -0,0 +1,258 @@
+/**
+ * Invoice Templates
+ *
+ * Renders an issued invoice snapshot as a standalone HTML document and as a
+ * PDF. Both show the same content: seller and buyer (with VAT IDs), lines
+ * with net amounts, tax per rate, totals and any tax note (reverse charge).
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import { renderPdf, wrapText, PAGE_WIDTH } from '../utils/pdf.js';
+
+const escape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatMoney = (amount, currency) => `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatRate = (rate) => `${Number(rate) || 0}%`;
+
+/**
+ * Address block lines for a party
+ *
+ * @param {Object} party - Seller or buyer snapshot
+ * @returns {Array<string>} Lines
+ */
+const getPartyLines = (party) => [
+    party.companyName,
+    party.name,
+    ...String(party.address || '').split('\n'),
+    [party.region, party.country].filter(Boolean).join(', '),
+    party.email,
+    party.vatId ? `VAT ID: ${party.vatId}` : ''
+].map(line => String(line || '').trim()).filter(Boolean);
+
+/**
+ * Invoice HTML Template
+ *
+ * @param {Object} invoice - Invoice snapshot (see invoice.model.js)
+ * @returns {string} HTML document
+ */
+export const getInvoiceHTML = (invoice) => {
+    const money = (amount) => formatMoney(amount, invoice.currency);
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Invoice ${escape(invoice.invoiceNumber)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; color: #222222; margin: 0; padding: 40px; background: #ffffff; }
+      .invoice { max-width: 800px; margin: 0 auto; }
+      h1 { font-size: 28px; margin: 0 0 4px; color: #E43636; }
+      .meta td { padding: 2px 16px 2px 0; font-size: 14px; }
+      .parties { display: flex; justify-content: space-between; gap: 32px; margin: 32px 0; font-size: 14px; line-height: 1.5; }
+      .label { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #777777; margin-bottom: 4px; }
+      table.lines { width: 100%; border-collapse: collapse; font-size: 14px; }
+      table.lines th { text-align: left; border-bottom: 2px solid #222222; padding: 8px 6px; }
+      table.lines td { border-bottom: 1px solid #dddddd; padding: 8px 6px; vertical-align: top; }
+      .num { text-align: right; white-space: nowrap; }
+      .totals { margin-left: auto; margin-top: 24px; font-size: 14px; border-collapse: collapse; }
+      .totals td { padding: 4px 0 4px 32px; }
+      .totals .grand td { border-top: 2px solid #222222; font-weight: bold; font-size: 16px; padding-top: 8px; }
+      .note { margin-top: 32px; padding: 12px 16px; background: #f6f6f6; border-left: 4px solid #E43636; font-size: 13px; }
+    </style>
+  </head>
+  <body>
+    <div class="invoice">
+      <h1>Invoice</h1>
+      <table class="meta">
+        <tr><td>Invoice number</td><td><strong>${escape(invoice.invoiceNumber)}</strong></td></tr>
+        <tr><td>Invoice date</td><td>${formatDate(invoice.issuedAt)}</td></tr>
+        ${invoice.suppliedAt ? `<tr><td>Date of supply</td><td>${formatDate(invoice.suppliedAt)}</td></tr>` : ''}
+        <tr><td>Order</td><td>${escape(invoice.orderNumber)}</td></tr>
+      </table>
+
+      <div class="parties">
+        <div>
+          <div class="label">From</div>
+          ${getPartyLines(invoice.seller).map(escape).join('<br />')}
+        </div>
+        <div>
+          <div class="label">Bill to</div>
+          ${getPartyLines(invoice.buyer).map(escape).join('<br />')}
+        </div>
+      </div>
+
+      <table class="lines">
+        <thead>
+          <tr>
+            <th>Description</th>
+            <th class="num">Qty</th>
+            <th class="num">Unit price</th>
+            <th class="num">Discount</th>
+            <th class="num">Net</th>
+            <th class="num">Tax</th>
+            <th class="num">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${invoice.lines.map(line => `
+          <tr>
+            <td>${escape(line.description)}</td>
+            <td class="num">${line.quantity}</td>
+            <td class="num">${money(line.unitPrice)}</td>
+            <td class="num">${line.discountAmount ? `-${money(line.discountAmount)}` : ''}</td>
+            <td class="num">${money(line.netAmount)}</td>
+            <td class="num">${formatRate(line.taxRate)}</td>
+            <td class="num">${money(line.totalAmount)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+
+      <table class="totals">
+        <tr><td>Subtotal</td><td class="num">${money(invoice.subtotalAmount)}</td></tr>
+        ${invoice.discountAmount ? `<tr><td>Discounts</td><td class="num">-${money(invoice.discountAmount)}</td></tr>` : ''}
+        ${invoice.taxLines.map(tax => `
+        <tr><td>${escape(tax.name)} ${formatRate(tax.rate)} (${escape(tax.jurisdiction)}) on ${money(tax.taxableAmount)}</td><td class="num">${money(tax.amount)}</td></tr>`).join('')}
+        <tr class="grand"><td>Total</td><td class="num">${money(invoice.totalAmount)}</td></tr>
+      </table>
+
+      ${invoice.taxNote ? `<div class="note">${escape(invoice.taxNote)}</div>` : ''}
+    </div>
+  </body>
+</html>
+    `;
+};
+
+/**
+ * Invoice PDF Template
+ *
+ * @param {Object} invoice - Invoice snapshot (see invoice.model.js)
+ * @returns {Buffer} PDF file
+ */
+export const getInvoicePDF = (invoice) => {
+    const money = (amount) => formatMoney(amount, invoice.currency);
+    const margin = 48;
+    const right = PAGE_WIDTH - margin;
+    const accent = [0.894, 0.212, 0.212];
+    const muted = [0.45, 0.45, 0.45];
+    const columns = [
+        { key: 'quantity', x: 300 },
+        { key: 'unitPrice', x: 360 },
+        { key: 'netAmount', x: 430 },
+        { key: 'taxRate', x: 470 },
+        { key: 'totalAmount', x: right }
+    ];
+
+    const pages = [];
+    let page = [];
+    let y = 0;
+
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = margin;
+    };
+    const ensureSpace = (height) => {
+        if (y + height > 842 - margin) newPage();
+    };
+    const text = (x, textY, value, options = {}) => page.push({ type: 'text', x, y: textY, text: value, ...options });
+
+    const drawLineHeader = () => {
+        text(margin, y, 'Description', { bold: true, size: 9 });
+        text(columns[0].x, y, 'Qty', { bold: true, size: 9, align: 'right' });
+        text(columns[1].x, y, 'Unit price', { bold: true, size: 9, align: 'right' });
+        text(columns[2].x, y, 'Net', { bold: true, size: 9, align: 'right' });
+        text(columns[3].x, y, 'Tax', { bold: true, size: 9, align: 'right' });
+        text(columns[4].x, y, 'Total', { bold: true, size: 9, align: 'right' });
+        page.push({ type: 'line', x1: margin, y1: y + 5, x2: right, y2: y + 5, width: 1 });
+        y += 18;
+    };
+
+    newPage();
+    page.push({ type: 'rect', x: 0, y: 0, width: PAGE_WIDTH, height: 6, color: accent });
+    text(margin, y + 14, 'Invoice', { bold: true, size: 24, color: accent });
+    text(right, y + 4, `No. ${invoice.invoiceNumber}`, { bold: true, size: 11, align: 'right' });
+    text(right, y + 18, `Date: ${formatDate(invoice.issuedAt)}`, { size: 9, align: 'right' });
+    if (invoice.suppliedAt) text(right, y + 30, `Date of supply: ${formatDate(invoice.suppliedAt)}`, { size: 9, align: 'right' });
+    text(right, y + 42, `Order: ${invoice.orderNumber}`, { size: 9, align: 'right' });
+    y += 72;
+
+    const sellerLines = getPartyLines(invoice.seller);
+    const buyerLines = getPartyLines(invoice.buyer);
+    text(margin, y, 'FROM', { bold: true, size: 8, color: muted });
+    text(320, y, 'BILL TO', { bold: true, size: 8, color: muted });
+    y += 14;
+    for (let i = 0; i < Math.max(sellerLines.length, buyerLines.length); i += 1) {
+        if (sellerLines[i]) text(margin, y, sellerLines[i], { size: 9 });
+        if (buyerLines[i]) text(320, y, buyerLines[i], { size: 9 });
+        y += 12;
+    }
+    y += 20;
+
+    drawLineHeader();
+    for (const line of invoice.lines) {
+        const description = wrapText(line.description, 210, 9);
+        const height = description.length * 12 + (line.discountAmount ? 12 : 0) + 6;
+        if (y + height > 842 - margin) {
+            newPage();
+            drawLineHeader();
+        }
+        description.forEach((part, index) => text(margin, y + index * 12, part, { size: 9 }));
+        text(columns[0].x, y, String(line.quantity), { size: 9, align: 'right' });
+        text(columns[1].x, y, money(line.unitPrice), { size: 9, align: 'right' });
+        text(columns[2].x, y, money(line.netAmount), { size: 9, align: 'right' });
+        text(columns[3].x, y, formatRate(line.taxRate), { size: 9, align: 'right' });
+        text(columns[4].x, y, money(line.totalAmount), { size: 9, align: 'right' });
+        if (line.discountAmount) {
+            text(margin, y + description.length * 12, `Discount -${money(line.discountAmount)}`, { size: 8, color: muted });
+        }
+        y += height;
+        page.push({ type: 'line', x1: margin, y1: y - 8, x2: right, y2: y - 8, color: [0.85, 0.85, 0.85] });
+    }
+
+    const totals = [
+        ['Subtotal', money(invoice.subtotalAmount)],
+        ...(invoice.discountAmount ? [['Discounts', `-${money(invoice.discountAmount)}`]] : []),
+        ...invoice.taxLines.map(tax => [
+            `${tax.name} ${formatRate(tax.rate)} (${tax.jurisdiction}) on ${money(tax.taxableAmount)}`,
+            money(tax.amount)
+        ])
+    ];
+    ensureSpace(totals.length * 14 + 40);
+    y += 10;
+    for (const [label, value] of totals) {
+        text(430, y, label, { size: 9, align: 'right' });
+        text(right, y, value, { size: 9, align: 'right' });
+        y += 14;
+    }
+    page.push({ type: 'line', x1: 300, y1: y - 6, x2: right, y2: y - 6, width: 1 });
+    y += 8;
+    text(430, y, 'Total', { bold: true, size: 12, align: 'right' });
+    text(right, y, money(invoice.totalAmount), { bold: true, size: 12, align: 'right' });
+    y += 30;
+
+    if (invoice.taxNote) {
+        const note = wrapText(invoice.taxNote, right - margin, 9);
+        ensureSpace(note.length * 12);
+        note.forEach(part => {
+            text(margin, y, part, { size: 9, color: muted });
+            y += 12;
+        });
+    }
+
+    return renderPdf(pages, { title: `Invoice ${invoice.invoiceNumber}`, author: invoice.seller.name });
+};
+
+export default {
+    getInvoiceHTML,
+    getInvoicePDF
+};
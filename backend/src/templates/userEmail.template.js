@@ -5,6 +5,7 @@
  * - Welcome email (sent after registration)
  * - Verification OTP email (for account verification)
  * - Password reset OTP email (for password reset)
+ * - Subscription expiring / expired emails (lifecycle reminders)
  * 
  * All templates use modern, responsive HTML design with inline CSS
  * for maximum email client compatibility. Styled with Next Subscription
@@ -479,8 +480,422 @@ export const getUserResetPasswordEmailHTML = (otp, expiryMinutes) => {
     `;
 };
 
+/**
+ * Shared layout for subscription lifecycle emails
+ * 
+ * @param {Object} params
+ * @param {string} params.title - Document title and hero heading
+ * @param {string} params.subtitle - Hero subtitle
+ * @param {string} params.icon - Hero emoji
+ * @param {string} params.body - Main content HTML
+ * @param {string} params.ctaLabel - Button label
+ * @param {string} params.ctaUrl - Button URL
+ * @returns {string} HTML email template string
+ */
+const getSubscriptionLifecycleLayoutHTML = ({ title, subtitle, icon, body, ctaLabel, ctaUrl }) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <style>
+      @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Poppins:wght@400;500;600;700&display=swap');
+    </style>
+  </head>
+  <body style="margin:0; padding:0; background-color:#F6EFD2; font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6;">
+    <table width="100%" cellpadding="0" cellspacing="0" bgcolor="#F6EFD2">
+      <tr>
+        <td align="center" style="padding: 40px 20px;">
+          <table width="100%" style="max-width:640px; background: rgba(255, 255, 255, 0.85); border-radius:24px; overflow:hidden; box-shadow: 0 25px 80px rgba(0,0,0,0.15), 0 0 1px rgba(228, 54, 54, 0.1); border: 1px solid rgba(228, 54, 54, 0.08);">
+
+            <!-- HERO SECTION -->
+            <tr>
+              <td style="background: linear-gradient(135deg, #E43636 0%, rgba(228, 54, 54, 0.9) 50%, #E43636 100%); text-align:center; padding:50px 40px;">
+                <div style="background: rgba(255,255,255,0.95); border-radius: 20px; width: 80px; height: 80px; margin: 0 auto 24px; line-height: 80px; font-size: 40px;">${icon}</div>
+                <h1 style="color:#F6EFD2; font-family: 'Poppins', -apple-system, BlinkMacSystemFont, sans-serif; font-size:30px; font-weight:700; margin:0 0 12px; text-shadow: 0 4px 20px rgba(0,0,0,0.2);">
+                  ${title}
+                </h1>
+                <p style="color:#F6EFD2; font-size:17px; margin:0; opacity:0.95;">${subtitle}</p>
+              </td>
+            </tr>
+
+            <!-- MAIN CONTENT -->
+            <tr>
+              <td style="padding:50px 50px 40px;">
+                ${body}
+
+                <div style="text-align:center; margin:40px 0 10px;">
+                  <a href="${ctaUrl}" style="display:inline-block; background: linear-gradient(135deg, #E43636 0%, rgba(228, 54, 54, 0.9) 100%); color:#F6EFD2; text-decoration:none; padding:16px 34px; border-radius:50px; font-size:16px; font-weight:600; box-shadow: 0 12px 40px rgba(228, 54, 54, 0.3); font-family: 'Poppins', sans-serif;">
+                    ${ctaLabel}
+                  </a>
+                </div>
+              </td>
+            </tr>
+
+            <!-- FOOTER -->
+            <tr>
+              <td style="background: linear-gradient(135deg, #000000 0%, rgba(0, 0, 0, 0.95) 100%); padding:32px 50px; text-align:center;">
+                <h3 style="color:#F6EFD2; font-size:20px; font-weight:700; margin:0 0 6px; font-family: 'Poppins', sans-serif;">Next Subscription</h3>
+                <p style="color:#E2DDB4; font-size:14px; margin:0;">
+                  Questions? <a href="mailto:support@nextsubscription.com" style="color:#F6EFD2; text-decoration:none; font-weight:600;">support@nextsubscription.com</a>
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+    `;
+};
+
+/**
+ * Subscription Expiring Email Template
+ * 
+ * Reminder sent 7, 3 and 1 day(s) before a subscription ends.
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - User's first name
+ * @param {string} params.productTitle - Subscription product title
+ * @param {number} params.daysLeft - Days until expiry
+ * @param {Date} params.expiresAt - Expiry date
+ * @returns {string} HTML email template string
+ */
+export const getUserSubscriptionExpiringEmailHTML = ({ firstname, productTitle, daysLeft, expiresAt }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const dayLabel = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'Your subscription is ending soon',
+        subtitle: `${productTitle} expires in ${dayLabel}.`,
+        icon: '⏰',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  Your <strong style="color:#000000;">${productTitle}</strong> access ends on
+                  <strong style="color:#E43636;">${new Date(expiresAt).toUTCString().slice(0, 16)}</strong>.
+                  Renew now to keep using it without interruption.
+                </p>
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">
+                    After expiry your access details are removed from your account and the account may be reassigned.
+                  </p>
+                </div>`,
+        ctaLabel: '🔄 View my subscriptions',
+        ctaUrl: `${frontendUrl}/user/subscriptions`
+    });
+};
+
+/**
+ * Subscription Expired Email Template
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - User's first name
+ * @param {string} params.productTitle - Subscription product title
+ * @returns {string} HTML email template string
+ */
+export const getUserSubscriptionExpiredEmailHTML = ({ firstname, productTitle }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'Your subscription has expired',
+        subtitle: `${productTitle} is no longer active.`,
+        icon: '📭',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  Your <strong style="color:#000000;">${productTitle}</strong> subscription has ended and its access details have been removed.
+                  You can pick up a new plan any time from our catalog.
+                </p>`,
+        ctaLabel: '🛍️ Browse plans',
+        ctaUrl: `${frontendUrl}/catalog`
+    });
+};
+
+/**
+ * Warranty Claim Update Email Template
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - User's first name
+ * @param {string} params.productTitle - Subscription product title
+ * @param {string} params.claimNumber - Claim reference
+ * @param {'replaced'|'rejected'} params.status - Claim outcome
+ * @param {string} [params.note] - Resolution note
+ * @returns {string} HTML email template string
+ */
+export const getUserWarrantyClaimUpdateEmailHTML = ({ firstname, productTitle, claimNumber, status, note }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const replaced = status === 'replaced';
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: replaced ? 'Your access has been replaced' : 'Update on your warranty claim',
+        subtitle: `Claim ${claimNumber} for ${productTitle}.`,
+        icon: replaced ? '🛠️' : '📋',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  ${replaced
+                    ? `We have issued new access for your <strong style="color:#000000;">${productTitle}</strong> subscription. Reveal it from My Subscriptions; your expiry date is unchanged.`
+                    : `We could not approve your claim for <strong style="color:#000000;">${productTitle}</strong>.`}
+                </p>
+                ${note ? `
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">${note}</p>
+                </div>` : ''}`,
+        ctaLabel: '🔑 View my subscriptions',
+        ctaUrl: `${frontendUrl}/user/subscriptions`
+    });
+};
+
+/**
+ * Support Ticket Update Email Template
+ * 
+ * Sent when support replies to a ticket or marks it resolved. The message
+ * body is escaped since it is free text typed by an agent.
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - User's first name
+ * @param {string} params.ticketNumber - Ticket reference
+ * @param {string} params.subject - Ticket subject
+ * @param {string} [params.message] - Reply text
+ * @param {boolean} [params.resolved] - Ticket was marked resolved
+ * @returns {string} HTML email template string
+ */
+export const getUserSupportTicketUpdateEmailHTML = ({ firstname, ticketNumber, subject, message, resolved = false }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const escape = (value) => String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br />');
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: resolved ? 'Your ticket has been resolved' : 'New reply from support',
+        subtitle: `Ticket ${ticketNumber}: ${escape(subject)}`,
+        icon: resolved ? '✅' : '💬',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  ${resolved
+                    ? 'We have marked your ticket as resolved. If anything is still not right, just reply from the Support page and it will reopen.'
+                    : 'Our team has replied to your support ticket.'}
+                </p>
+                ${message ? `
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">${escape(message)}</p>
+                </div>` : ''}`,
+        ctaLabel: '💬 View ticket',
+        ctaUrl: `${frontendUrl}/user/support`
+    });
+};
+
+/**
+ * Invoice Email Template
+ * 
+ * Sent when an order is paid; the invoice PDF is attached.
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - User's first name
+ * @param {string} params.invoiceNumber - Invoice number
+ * @param {string} params.orderNumber - Order number
+ * @param {string} params.total - Formatted invoice total
+ * @returns {string} HTML email template string
+ */
+export const getUserInvoiceEmailHTML = ({ firstname, invoiceNumber, orderNumber, total }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'Your invoice',
+        subtitle: `Invoice ${invoiceNumber} for order ${orderNumber}.`,
+        icon: '🧾',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  Thank you for your payment of <strong style="color:#000000;">${total}</strong>.
+                  Your invoice <strong style="color:#000000;">${invoiceNumber}</strong> is attached as a PDF.
+                  You can download it again any time from My Subscriptions.
+                </p>`,
+        ctaLabel: '🔑 View my subscriptions',
+        ctaUrl: `${frontendUrl}/user/subscriptions`
+    });
+};
+
+/**
+ * Back In Stock Email Template
+ * 
+ * Sent to the next customer on a product's waitlist with a unit held for them.
+ * 
+ * @param {Object} params
+ * @param {string} [params.firstname] - User's first name (guests have none)
+ * @param {string} params.productId - Product ID
+ * @param {string} params.productTitle - Product title
+ * @param {Date} params.holdExpiresAt - When the held unit is released
+ * @param {string} params.token - Waitlist entry token for the leave link
+ * @returns {string} HTML email template string
+ */
+export const getUserBackInStockEmailHTML = ({ firstname, productId, productTitle, holdExpiresAt, token }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'Back in stock',
+        subtitle: `${productTitle} is available again.`,
+        icon: '📦',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  Good news: <strong style="color:#000000;">${productTitle}</strong> is back in stock and we are holding one for you until
+                  <strong style="color:#E43636;">${new Date(holdExpiresAt).toUTCString().slice(0, 22)} UTC</strong>.
+                  Sign in with this email address and check out before then to get it.
+                </p>
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">
+                    After that the unit goes to the next person in line.
+                    Not interested any more? <a href="${frontendUrl}/waitlist/leave/${token}" style="color:#E43636;">Leave the waitlist</a>.
+                  </p>
+                </div>`,
+        ctaLabel: '🛒 Buy now',
+        ctaUrl: `${frontendUrl}/catalog/${productId}`
+    });
+};
+
+/**
+ * Gift Email Template
+ * 
+ * Sent to a gift recipient with the single-use claim link. The sender's
+ * name and message are escaped since they are typed at checkout.
+ * 
+ * @param {Object} params
+ * @param {string} [params.recipientName] - Name the sender gave for the recipient
+ * @param {string} params.senderName - Purchaser's name
+ * @param {string} [params.message] - Personal message
+ * @param {Array<string>} params.productTitles - What was gifted
+ * @param {Date} params.expiresAt - Claim deadline
+ * @param {string} params.token - Gift claim token
+ * @returns {string} HTML email template string
+ */
+export const getUserGiftEmailHTML = ({ recipientName, senderName, message, productTitles, expiresAt, token }) => {
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const escape = (value) => String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br />');
+    const safeName = escape(recipientName) || "there";
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'You have received a gift',
+        subtitle: `${escape(senderName)} sent you ${escape(productTitles.join(', '))}.`,
+        icon: '🎁',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  <strong style="color:#000000;">${escape(senderName)}</strong> bought you
+                  <strong style="color:#000000;">${escape(productTitles.join(', '))}</strong>.
+                  Sign up or sign in and claim it before
+                  <strong style="color:#E43636;">${new Date(expiresAt).toUTCString().slice(0, 16)}</strong>;
+                  your access starts when you claim.
+                </p>
+                ${message ? `
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">${escape(message)}</p>
+                </div>` : ''}`,
+        ctaLabel: '🎁 Claim your gift',
+        ctaUrl: `${frontendUrl}/gift/${token}`
+    });
+};
+
+/**
+ * Gift Converted Email Template
+ * 
+ * Sent to the purchaser when a gift was not claimed in time and its value
+ * was added to their store credit.
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - Purchaser's first name
+ * @param {string} params.recipientEmail - Who the gift was for
+ * @param {string} params.orderNumber - Gift order number
+ * @param {string} params.amount - Formatted credit amount
+ * @returns {string} HTML email template string
+ */
+export const getUserGiftConvertedEmailHTML = ({ firstname, recipientEmail, orderNumber, amount }) => {
+    const safeName = firstname || "there";
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'Your gift was not claimed',
+        subtitle: `Order ${orderNumber} has been turned into store credit.`,
+        icon: '💳',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  The gift you sent to <strong style="color:#000000;">${recipientEmail}</strong> was not claimed in time,
+                  so we have added <strong style="color:#000000;">${amount}</strong> to your store credit.
+                </p>`,
+        ctaLabel: '🛒 Browse the store',
+        ctaUrl: `${frontendUrl}/catalog`
+    });
+};
+
+/**
+ * Referral Reward Email Template
+ * 
+ * Sent to both sides of a referral when the referred customer's first
+ * order is paid.
+ * 
+ * @param {Object} params
+ * @param {string} params.firstname - Customer's first name
+ * @param {boolean} params.isReferrer - Whether the customer made the referral
+ * @param {string} params.friendName - First name of the other customer
+ * @param {string} params.reward - Reward as it should read, e.g. "5.00 USD in store credit"
+ * @param {string|null} [params.couponCode] - Coupon code when the reward is a coupon
+ * @returns {string} HTML email template string
+ */
+export const getUserReferralRewardEmailHTML = ({ firstname, isReferrer, friendName, reward, couponCode = null }) => {
+    const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+    const safeName = firstname || "there";
+    const safeFriend = String(friendName || 'your friend').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return getSubscriptionLifecycleLayoutHTML({
+        title: 'You earned a referral reward',
+        subtitle: isReferrer ? `${safeFriend} placed their first order.` : 'Thanks for joining through a referral.',
+        icon: '🤝',
+        body: `
+                <p style="font-size:17px; color:#333333; margin:0 0 20px;">Hi ${safeName},</p>
+                <p style="font-size:17px; color:#333333; margin:0 0 24px;">
+                  ${isReferrer
+                    ? `<strong style="color:#000000;">${safeFriend}</strong> signed up with your referral link and just paid for their first order.`
+                    : `You signed up through <strong style="color:#000000;">${safeFriend}</strong>'s referral link and your first order is paid.`}
+                  Your reward: <strong style="color:#000000;">${reward}</strong>.
+                </p>
+                ${couponCode ? `
+                <div style="background: linear-gradient(135deg, rgba(228, 54, 54, 0.08) 0%, rgba(246, 239, 210, 0.06) 100%); border-left: 4px solid #E43636; border-radius:20px; padding:20px 24px;">
+                  <p style="color:#000000; font-size:15px; margin:0;">Use code <strong>${couponCode}</strong> at checkout.</p>
+                </div>` : ''}`,
+        ctaLabel: '🛒 Browse the store',
+        ctaUrl: `${frontendUrl}/catalog`
+    });
+};
+
 export default {
     getUserWelcomeEmailHTML,
     getUserVerifyOtpEmailHTML,
     getUserResetPasswordEmailHTML,
+    getUserSubscriptionExpiringEmailHTML,
+    getUserSubscriptionExpiredEmailHTML,
+    getUserWarrantyClaimUpdateEmailHTML,
+    getUserSupportTicketUpdateEmailHTML,
+    getUserInvoiceEmailHTML,
+    getUserBackInStockEmailHTML,
+    getUserGiftEmailHTML,
+    getUserGiftConvertedEmailHTML,
+    getUserReferralRewardEmailHTML,
 };
@@ -0,0 +1,140 @@
+/**
+ * Vendor Product Request Email Template
+ *
+ * Email template for notifying vendors about the review of a product proposal:
+ * approval, rejection, requested changes and new admin comments.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n/g, '<br />');
+
+export const generateVendorProductRequestEmail = ({ companyName, title, action, comment, products = [] }) => {
+  const actionMessages = {
+    approved: {
+      heading: 'Product Request Approved',
+      message: `Your product request "${escapeHtml(title)}" has been APPROVED and added to the catalog.`,
+      action: 'Upload credentials for each product to make it available to customers.'
+    },
+    rejected: {
+      heading: 'Product Request Rejected',
+      message: `Your product request "${escapeHtml(title)}" has been REJECTED.`,
+      action: 'Review the reason below. You can submit a new request at any time.'
+    },
+    changes_requested: {
+      heading: 'Changes Requested',
+      message: `Our team reviewed your product request "${escapeHtml(title)}" and needs some changes before it can be approved.`,
+      action: 'Review the comments below and reply from your vendor portal.'
+    },
+    comment_added: {
+      heading: 'New Comment on Your Request',
+      message: `An admin commented on your product request "${escapeHtml(title)}".`,
+      action: 'Reply from your vendor portal if anything needs clarifying.'
+    }
+  };
+
+  const actionInfo = actionMessages[action] || actionMessages.comment_added;
+  const frontendUrl = process.env.FRONTEND_BASE_URL || 'http://localhost:5173';
+  const requestsUrl = `${frontendUrl}/vendor/products/requests`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Product Request Update</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #F6EFD2 0%, #E2DDB4 100%);">
+  <table role="presentation" style="width: 100%; border-collapse: collapse; background: linear-gradient(135deg, #F6EFD2 0%, #E2DDB4 100%); padding: 40px 20px;">
+    <tr>
+      <td align="center">
+        <table role="presentation" style="max-width: 600px; width: 100%; background: rgba(255, 255, 255, 0.85); backdrop-filter: blur(16px); border-radius: 24px; border: 1px solid rgba(228, 54, 54, 0.15); box-shadow: 0 8px 32px rgba(0, 0, 0, 0.12); overflow: hidden;">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 30px; text-align: center; background: linear-gradient(135deg, rgba(228, 54, 54, 0.1) 0%, rgba(246, 239, 210, 0.05) 100%);">
+              <h1 style="margin: 0; font-size: 28px; font-weight: 700; color: #E43636; font-family: 'Poppins', sans-serif;">
+                Next Subscription
+              </h1>
+              <p style="margin: 8px 0 0; font-size: 14px; color: #4A4A4A;">
+                Vendor Portal
+              </p>
+            </td>
+          </tr>
+
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <h2 style="margin: 0 0 20px; font-size: 22px; font-weight: 600; color: #1A1A1A; font-family: 'Poppins', sans-serif;">
+                ${actionInfo.heading}
+              </h2>
+
+              <p style="margin: 0 0 20px; font-size: 16px; line-height: 1.6; color: #4A4A4A;">
+                Hello ${escapeHtml(companyName) || 'Vendor'},
+              </p>
+
+              <p style="margin: 0 0 30px; font-size: 16px; line-height: 1.6; color: #4A4A4A;">
+                ${actionInfo.message}
+              </p>
+
+              ${comment ? `
+              <!-- Admin Comment -->
+              <div style="background: rgba(0, 0, 0, 0.03); border-radius: 8px; padding: 16px; margin: 0 0 30px;">
+                <p style="margin: 0 0 8px; font-size: 13px; font-weight: 600; color: #1A1A1A;">Comment from our team</p>
+                <p style="margin: 0; font-size: 14px; line-height: 1.6; color: #4A4A4A;">${escapeHtml(comment)}</p>
+              </div>
+              ` : ''}
+
+              ${products.length > 0 ? `
+              <!-- Created Products -->
+              <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 0 0 30px;">
+                ${products.map((product) => `
+                <tr>
+                  <td style="padding: 8px 0; border-bottom: 1px solid rgba(0, 0, 0, 0.06); font-size: 14px; color: #1A1A1A;">${escapeHtml(product.title)}</td>
+                  <td style="padding: 8px 0; border-bottom: 1px solid rgba(0, 0, 0, 0.06); font-size: 14px; color: #6B6B6B; text-align: right;">${escapeHtml(product.sku)}</td>
+                </tr>`).join('')}
+              </table>
+              ` : ''}
+
+              <!-- CTA Button -->
+              <table role="presentation" style="width: 100%; margin: 30px 0;">
+                <tr>
+                  <td align="center">
+                    <a href="${requestsUrl}" style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #E43636 0%, #C92A2A 100%); color: #FFFFFF; text-decoration: none; border-radius: 50px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 12px rgba(228, 54, 54, 0.3);">
+                      View Product Requests →
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+              <!-- Action Notice -->
+              <div style="background: rgba(245, 158, 11, 0.1); border-left: 4px solid #F59E0B; border-radius: 8px; padding: 16px; margin: 30px 0;">
+                <p style="margin: 0; font-size: 14px; line-height: 1.6; color: #92400E;">
+                  <strong>📋 Next Steps:</strong> ${actionInfo.action}
+                </p>
+              </div>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 30px 40px; text-align: center; background: rgba(0, 0, 0, 0.02); border-top: 1px solid rgba(228, 54, 54, 0.1);">
+              <p style="margin: 0; font-size: 12px; color: #6B6B6B;">
+                © ${new Date().getFullYear()} Next Subscription. All rights reserved.
+              </p>
+              <p style="margin: 8px 0 0; font-size: 12px; color: #9A9A9A;">
+                This is an automated message. Please do not reply.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+};
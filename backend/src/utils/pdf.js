@@ -0,0 +1,158 @@
+/**
+ * PDF Utility
+ *
+ * Minimal PDF writer for generated documents such as invoices. Supports
+ * text in the standard Helvetica fonts (WinAnsi encoding, no embedding),
+ * lines and filled rectangles on A4 pages. Coordinates are in points with
+ * the origin at the top-left corner.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside Latin-1 that WinAnsi places in 0x80..0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Encode text as WinAnsi bytes (unsupported characters become "?")
+ *
+ * @param {string} text - Text to encode
+ * @returns {string} Binary string
+ */
+const toWinAnsi = (text) => Array.from(String(text ?? '')).map(char => {
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  const code = char.charCodeAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+  return '?';
+}).join('');
+
+const escapeText = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Approximate width of a text run
+ *
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {boolean} [bold=false] - Bold font
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size, bold = false) => {
+  const units = Array.from(String(text ?? '')).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return units * size / 1000 * (bold ? 1.05 : 1);
+};
+
+/**
+ * Split text into lines that fit a width
+ *
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @param {boolean} [bold=false] - Bold font
+ * @returns {Array<string>} Lines
+ */
+export const wrapText = (text, width, size, bold = false) => {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let current = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && measureText(candidate, size, bold) > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+};
+
+/**
+ * Render pages to a PDF file
+ *
+ * Each page is a list of drawing commands:
+ * - { type: 'text', x, y, text, size = 10, bold = false, align = 'left' | 'right', color = [r, g, b] }
+ * - { type: 'line', x1, y1, x2, y2, width = 0.5, color }
+ * - { type: 'rect', x, y, width, height, color }  (filled)
+ *
+ * @param {Array<Array<Object>>} pages - Drawing commands per page
+ * @param {Object} [info] - Document info { title, author }
+ * @returns {Buffer} PDF file
+ */
+export const renderPdf = (pages, info = {}) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const colorOp = (color = [0, 0, 0], op) => `${color.map(value => formatNumber(value)).join(' ')} ${op}`;
+  const pageIds = (pages.length ? pages : [[]]).map(commands => {
+    const ops = commands.map(command => {
+      if (command.type === 'text') {
+        const size = command.size || 10;
+        let x = command.x;
+        if (command.align === 'right') x -= measureText(command.text, size, command.bold);
+        const y = PAGE_HEIGHT - command.y;
+        return `BT ${colorOp(command.color, 'rg')} /${command.bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(y)} Td (${escapeText(toWinAnsi(command.text))}) Tj ET`;
+      }
+      if (command.type === 'line') {
+        return `${colorOp(command.color, 'RG')} ${formatNumber(command.width || 0.5)} w ${formatNumber(command.x1)} ${formatNumber(PAGE_HEIGHT - command.y1)} m ${formatNumber(command.x2)} ${formatNumber(PAGE_HEIGHT - command.y2)} l S`;
+      }
+      if (command.type === 'rect') {
+        return `${colorOp(command.color, 'rg')} ${formatNumber(command.x)} ${formatNumber(PAGE_HEIGHT - command.y - command.height)} ${formatNumber(command.width)} ${formatNumber(command.height)} re f`;
+      }
+      return '';
+    }).filter(Boolean).join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(ops, 'latin1')} >>\nstream\n${ops}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = addObject(`<< /Title (${escapeText(toWinAnsi(info.title || ''))}) /Author (${escapeText(toWinAnsi(info.author || ''))}) /Producer (Next Subscription) >>`);
+
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+export default renderPdf;
@@ -0,0 +1,24 @@
+/**
+ * Service Error Utility
+ * 
+ * Creates errors that carry an HTTP status code so controllers can map
+ * service failures to responses without string matching on messages.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+/**
+ * Create a service error
+ * 
+ * @param {string} message - Human readable error message
+ * @param {number} [statusCode=400] - HTTP status code for the controller response
+ * @returns {Error} Error with statusCode attached
+ */
+export const createServiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export default createServiceError;
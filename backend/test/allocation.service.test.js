@@ -0,0 +1,96 @@
+/**
+ * Allocation Service Tests
+ *
+ * Splitting what was paid for a bundle line between its components.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitBundleAmount } from '../src/services/allocation.service.js';
+
+const bundle = (fields) => ({
+  isBundle: true,
+  quantity: 1,
+  price: 30,
+  discountAmount: 0,
+  bundleComponents: [],
+  ...fields
+});
+
+const sum = (shares) => Math.round(shares.reduce((total, share) => total + share, 0) * 100) / 100;
+
+describe('splitBundleAmount', () => {
+  it('splits by the components\' own prices', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 30,
+      bundleComponents: [
+        { listPrice: 10, quantity: 1 },
+        { listPrice: 20, quantity: 1 }
+      ]
+    }));
+    assert.deepEqual(shares, [10, 20]);
+  });
+
+  it('weighs components by quantity', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 40,
+      bundleComponents: [
+        { listPrice: 10, quantity: 2 },
+        { listPrice: 20, quantity: 1 }
+      ]
+    }));
+    assert.deepEqual(shares, [20, 20]);
+  });
+
+  it('splits what was paid after discounts, for every bundle bought', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 30,
+      quantity: 2,
+      discountAmount: 6,
+      bundleComponents: [
+        { listPrice: 10, quantity: 1 },
+        { listPrice: 20, quantity: 1 }
+      ]
+    }));
+    assert.deepEqual(shares, [18, 36]);
+  });
+
+  it('gives the rounding remainder to the last component', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 10,
+      bundleComponents: [
+        { listPrice: 5, quantity: 1 },
+        { listPrice: 5, quantity: 1 },
+        { listPrice: 5, quantity: 1 }
+      ]
+    }));
+    assert.deepEqual(shares, [3.33, 3.33, 3.34]);
+    assert.equal(sum(shares), 10);
+  });
+
+  it('splits per unit when no component is priced', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 9,
+      bundleComponents: [
+        { listPrice: 0, quantity: 2 },
+        { quantity: 1 }
+      ]
+    }));
+    assert.deepEqual(shares, [6, 3]);
+  });
+
+  it('always adds up to what the customer paid', () => {
+    const shares = splitBundleAmount(bundle({
+      price: 19.99,
+      quantity: 3,
+      discountAmount: 4.97,
+      bundleComponents: [
+        { listPrice: 7.49, quantity: 1 },
+        { listPrice: 3.33, quantity: 2 },
+        { listPrice: 12.01, quantity: 1 }
+      ]
+    }));
+    assert.equal(sum(shares), 55);
+    assert.ok(shares.every(share => share >= 0));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Pricing Service Tests
+ *
+ * Price points, rule precedence and markup. Rules are passed in as a
+ * preloaded map, so no database is needed.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundToPricePoint, findRule, applyMarkup, applySalePrice } from '../src/services/pricing.service.js';
+
+const rulesOf = (...rules) => new Map(rules.map(rule => [rule.targetKey, rule]));
+
+const product = {
+  _id: 'p1',
+  vendorId: 'v1',
+  provider: 'netflix',
+  currency: 'USD',
+  costPrice: 10
+};
+
+describe('roundToPricePoint', () => {
+  it('leaves the amount alone without a mode', () => {
+    assert.equal(roundToPricePoint(10.37), 10.37);
+    assert.equal(roundToPricePoint(10.37, 'none'), 10.37);
+  });
+
+  it('rounds up to the next whole amount', () => {
+    assert.equal(roundToPricePoint(10.01, 'whole'), 11);
+    assert.equal(roundToPricePoint(10, 'whole'), 10);
+  });
+
+  it('rounds up to the next .99 or .95 ending', () => {
+    assert.equal(roundToPricePoint(10.2, 'end_99'), 10.99);
+    assert.equal(roundToPricePoint(10.99, 'end_99'), 10.99);
+    assert.equal(roundToPricePoint(10.96, 'end_95'), 11.95);
+    assert.equal(roundToPricePoint(10.95, 'end_95'), 10.95);
+  });
+
+  it('rounds up to the next .49 or .99 ending', () => {
+    assert.equal(roundToPricePoint(10.2, 'half_99'), 10.49);
+    assert.equal(roundToPricePoint(10.5, 'half_99'), 10.99);
+  });
+
+  it('never rounds down', () => {
+    for (const mode of ['whole', 'end_99', 'end_95', 'half_99']) {
+      for (const amount of [0.01, 4.5, 9.99, 10, 10.96, 123.45]) {
+        assert.ok(roundToPricePoint(amount, mode) >= amount, `${mode} ${amount}`);
+      }
+    }
+  });
+
+  it('returns 0 for amounts that are not positive', () => {
+    assert.equal(roundToPricePoint(0, 'end_99'), 0);
+    assert.equal(roundToPricePoint(-5, 'whole'), 0);
+    assert.equal(roundToPricePoint('abc', 'end_99'), 0);
+  });
+});
+
+describe('findRule', () => {
+  const global = { targetKey: 'global', type: 'percentage', value: 10 };
+  const provider = { targetKey: 'provider:netflix', type: 'percentage', value: 20 };
+  const vendor = { targetKey: 'vendor:v1', type: 'percentage', value: 30 };
+  const own = { targetKey: 'product:p1', type: 'percentage', value: 40 };
+
+  it('prefers product over vendor over provider over global', () => {
+    assert.equal(findRule(product, rulesOf(global, provider, vendor, own)), own);
+    assert.equal(findRule(product, rulesOf(global, provider, vendor)), vendor);
+    assert.equal(findRule(product, rulesOf(global, provider)), provider);
+    assert.equal(findRule(product, rulesOf(global)), global);
+  });
+
+  it('returns null when no rule applies', () => {
+    assert.equal(findRule(product, rulesOf({ targetKey: 'vendor:v2', type: 'percentage', value: 5 })), null);
+  });
+
+  it('matches a populated vendor', () => {
+    assert.equal(findRule({ ...product, vendorId: { _id: 'v1' } }, rulesOf(global, vendor)), vendor);
+  });
+
+  it('skips fixed rules in another currency for the next broader rule', () => {
+    const fixedEur = { targetKey: 'product:p1', type: 'fixed', value: 2, currency: 'EUR' };
+    assert.equal(findRule(product, rulesOf(global, provider, fixedEur)), provider);
+    assert.equal(findRule({ ...product, currency: 'eur' }, rulesOf(global, provider, fixedEur)), fixedEur);
+  });
+
+  it('treats products without a currency as USD', () => {
+    const fixedUsd = { targetKey: 'global', type: 'fixed', value: 2, currency: 'USD' };
+    assert.equal(findRule({ ...product, currency: undefined }, rulesOf(fixedUsd)), fixedUsd);
+  });
+});
+
+describe('applyMarkup', () => {
+  it('sells at cost without a rule', () => {
+    assert.equal(applyMarkup(9.999, null), 10);
+  });
+
+  it('adds a percentage markup', () => {
+    assert.equal(applyMarkup(10, { type: 'percentage', value: 25 }), 12.5);
+  });
+
+  it('adds a fixed markup', () => {
+    assert.equal(applyMarkup(10, { type: 'fixed', value: 1.5, currency: 'USD' }), 11.5);
+  });
+
+  it('rounds the marked-up price to the rule price point', () => {
+    assert.equal(applyMarkup(10, { type: 'percentage', value: 25, rounding: 'end_99' }), 12.99);
+    assert.equal(applyMarkup(10, { type: 'fixed', value: 0.01, rounding: 'whole' }), 11);
+  });
+});
+
+describe('applySalePrice', () => {
+  it('prices a product from its cost and the matching rule', async () => {
+    const target = { ...product };
+    await applySalePrice(target, rulesOf({ targetKey: 'provider:netflix', type: 'percentage', value: 50, rounding: 'end_99' }));
+    assert.equal(target.costPrice, 10);
+    assert.equal(target.priceDecimal, 15.99);
+  });
+
+  it('sells at cost when no rule applies', async () => {
+    const target = { ...product, costPrice: 7.25 };
+    await applySalePrice(target, rulesOf());
+    assert.equal(target.priceDecimal, 7.25);
+  });
+
+  it('takes the cost from the sale price of products priced before the split', async () => {
+    const target = { ...product, costPrice: null, priceDecimal: 8 };
+    await applySalePrice(target, rulesOf({ targetKey: 'global', type: 'fixed', value: 2, currency: 'USD' }));
+    assert.equal(target.costPrice, 8);
+    assert.equal(target.priceDecimal, 10);
+  });
+
+  it('leaves bundles alone', async () => {
+    const bundle = { productType: 'bundle', priceDecimal: 30, costPrice: null };
+    await applySalePrice(bundle, rulesOf({ targetKey: 'global', type: 'percentage', value: 50 }));
+    assert.deepEqual(bundle, { productType: 'bundle', priceDecimal: 30, costPrice: null });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Promotion Service Tests
+ *
+ * How running promotions and a coupon stack on an order. The model reads
+ * are mocked, so no database is needed.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PromotionModel from '../src/models/promotion.model.js';
+import CouponModel from '../src/models/coupon.model.js';
+import CouponRedemptionModel from '../src/models/couponRedemption.model.js';
+import { applyDiscounts } from '../src/services/promotion.service.js';
+
+const line = (productId, price, quantity = 1, provider = 'netflix') => ({
+  productId,
+  provider,
+  price,
+  quantity,
+  currency: 'USD'
+});
+
+const promotion = (fields) => ({
+  _id: `promo-${fields.name}`,
+  type: 'percentage',
+  currency: 'USD',
+  scope: {},
+  ...fields
+});
+
+const coupon = (fields) => ({
+  _id: 'coupon-1',
+  code: 'SAVE',
+  description: '',
+  type: 'percentage',
+  currency: 'USD',
+  maxDiscountAmount: null,
+  scope: {},
+  minOrderAmount: 0,
+  usageLimit: null,
+  perUserLimit: 1,
+  usedCount: 0,
+  startsAt: null,
+  expiresAt: null,
+  isActive: true,
+  customerId: null,
+  ...fields
+});
+
+let promotions;
+let activeCoupon;
+
+beforeEach(() => {
+  promotions = [];
+  activeCoupon = null;
+  mock.method(PromotionModel, 'find', () => ({ lean: async () => promotions }));
+  mock.method(CouponModel, 'findOne', () => ({ lean: async () => activeCoupon }));
+  mock.method(CouponRedemptionModel, 'countDocuments', async () => 0);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const discount = (items, couponCode = '') => applyDiscounts({ items, currency: 'USD', customerId: 'c1', couponCode });
+
+describe('applyDiscounts', () => {
+  it('charges the subtotal when nothing applies', async () => {
+    const result = await discount([line('a', 10, 2)]);
+    assert.equal(result.subtotalAmount, 20);
+    assert.equal(result.discountAmount, 0);
+    assert.equal(result.totalAmount, 20);
+    assert.deepEqual(result.discounts, []);
+    assert.equal(result.coupon, null);
+  });
+
+  it('gives each line only its best promotion', async () => {
+    promotions = [
+      promotion({ name: 'ten', value: 10 }),
+      promotion({ name: 'quarter', value: 25, scope: { providers: ['spotify'], productIds: [] } }),
+      promotion({ name: 'flat', type: 'fixed', value: 1 })
+    ];
+    const result = await discount([line('a', 20), line('b', 20, 1, 'spotify')]);
+
+    assert.deepEqual(result.items.map(item => item.discountAmount), [2, 5]);
+    assert.equal(result.discountAmount, 7);
+    assert.equal(result.totalAmount, 33);
+    assert.deepEqual(
+      result.discounts.map(({ name, amount }) => ({ name, amount })),
+      [{ name: 'ten', amount: 2 }, { name: 'quarter', amount: 5 }]
+    );
+  });
+
+  it('ignores fixed promotions in another currency', async () => {
+    promotions = [promotion({ name: 'euro', type: 'fixed', value: 5, currency: 'EUR' })];
+    const result = await discount([line('a', 20)]);
+    assert.equal(result.discountAmount, 0);
+  });
+
+  it('applies a coupon on top of promotions, to what is left of each line', async () => {
+    promotions = [promotion({ name: 'half', value: 50, scope: { providers: [], productIds: ['a'] } })];
+    activeCoupon = coupon({ value: 10 });
+    const result = await discount([line('a', 20), line('b', 10)], 'save');
+
+    // Lines after the promotion: 10 and 10; the 10% coupon takes 1 from each
+    assert.deepEqual(result.items.map(item => item.discountAmount), [11, 1]);
+    assert.equal(result.discountAmount, 12);
+    assert.equal(result.totalAmount, 18);
+    assert.deepEqual(
+      result.discounts.map(({ source, amount }) => ({ source, amount })),
+      [{ source: 'promotion', amount: 10 }, { source: 'coupon', amount: 2 }]
+    );
+    assert.equal(result.coupon.code, 'SAVE');
+  });
+
+  it('spreads a coupon so the line shares add up to the cent', async () => {
+    activeCoupon = coupon({ type: 'fixed', value: 1 });
+    const result = await discount([line('a', 1), line('b', 1), line('c', 1)], 'SAVE');
+
+    const shares = result.items.map(item => item.discountAmount);
+    assert.equal(Math.round(shares.reduce((sum, share) => sum + share, 0) * 100), 100);
+    assert.equal(result.totalAmount, 2);
+  });
+
+  it('only discounts the lines in the coupon scope', async () => {
+    activeCoupon = coupon({ value: 50, scope: { providers: ['spotify'], productIds: [] } });
+    const result = await discount([line('a', 10), line('b', 10, 1, 'spotify')], 'SAVE');
+    assert.deepEqual(result.items.map(item => item.discountAmount), [0, 5]);
+  });
+
+  it('caps a percentage coupon at its maximum discount', async () => {
+    activeCoupon = coupon({ value: 50, maxDiscountAmount: 3 });
+    const result = await discount([line('a', 20)], 'SAVE');
+    assert.equal(result.discountAmount, 3);
+  });
+
+  it('never takes a fixed coupon below zero', async () => {
+    activeCoupon = coupon({ type: 'fixed', value: 50 });
+    const result = await discount([line('a', 20)], 'SAVE');
+    assert.equal(result.discountAmount, 20);
+    assert.equal(result.totalAmount, 0);
+  });
+
+  it('checks the coupon minimum against the amount left after promotions', async () => {
+    promotions = [promotion({ name: 'half', value: 50 })];
+    activeCoupon = coupon({ value: 10, minOrderAmount: 15 });
+    await assert.rejects(discount([line('a', 20)], 'SAVE'), { statusCode: 400, message: /Spend at least 15 USD/ });
+  });
+
+  it('rejects a fixed coupon in another currency', async () => {
+    activeCoupon = coupon({ type: 'fixed', value: 5, currency: 'EUR' });
+    await assert.rejects(discount([line('a', 20)], 'SAVE'), { message: 'This coupon cannot be used for USD orders' });
+  });
+
+  it('rejects a coupon when no line is left to discount', async () => {
+    promotions = [promotion({ name: 'free', value: 100 })];
+    activeCoupon = coupon({ value: 10 });
+    await assert.rejects(discount([line('a', 20)], 'SAVE'), { message: 'This coupon does not apply to the items in your cart' });
+  });
+
+  it('rejects a coupon the customer has used up', async () => {
+    activeCoupon = coupon({ value: 10 });
+    mock.method(CouponRedemptionModel, 'countDocuments', async () => 1);
+    await assert.rejects(discount([line('a', 20)], 'SAVE'), { message: 'You have already used this coupon' });
+  });
+});
@@ -26,6 +26,12 @@ import LandingPage from './pages/LandingPage'
 import Onboarding from './pages/Onboarding'
 import AboutPage from './pages/AboutPage'
 
+// Storefront Pages
+import CatalogPage from './pages/storePages/CatalogPage'
+import ProductDetailPage from './pages/storePages/ProductDetailPage'
+import WaitlistLeavePage from './pages/storePages/WaitlistLeavePage'
+import GiftClaimPage from './pages/storePages/GiftClaimPage'
+
 // User Pages - Authentication & Profile
 import UserLogin from './pages/UserPages/UserLogin'
 import UserRegister from './pages/UserPages/UserRegister'
@@ -38,6 +44,10 @@ import UserResetPassword from './pages/UserPages/UserResetPassword'
 import UserVerifyResetOtp from './pages/UserPages/UserVerifyResetOtp'
 import UserResetPasswordFinal from './pages/UserPages/UserResetPasswordFinal'
 import UserCheckout from './pages/UserPages/UserCheckout'
+import UserOrderConfirmation from './pages/UserPages/UserOrderConfirmation'
+import UserMockPayment from './pages/UserPages/UserMockPayment'
+import UserSubscriptions from './pages/UserPages/UserSubscriptions'
+import UserSupport from './pages/UserPages/UserSupport'
 
 // Legal & Support Pages  
 import TermsPage from './pages/legalPages/TermsPage'
@@ -64,6 +74,17 @@ import VendorDetail from './pages/admin/vendor/VendorDetail'
 import ProductRequestsQueue from './pages/admin/productRequests/ProductRequestsQueue'
 import AdminStockRequest from './pages/admin/vendor/AdminStockRequest'
 import AdminStockRequestsList from './pages/admin/productRequests/AdminStockRequestsList'
+import WarrantyClaimsList from './pages/admin/claims/WarrantyClaimsList'
+import RefundRequestsList from './pages/admin/refunds/RefundRequestsList'
+import SupportInbox from './pages/admin/support/SupportInbox'
+import PromotionsManager from './pages/admin/promotions/PromotionsManager'
+import ExchangeRates from './pages/admin/currencies/ExchangeRates'
+import WaitlistDemand from './pages/admin/waitlist/WaitlistDemand'
+import BundlesManager from './pages/admin/bundles/BundlesManager'
+import WalletsManager from './pages/admin/wallets/WalletsManager'
+import ReferralsReport from './pages/admin/referrals/ReferralsReport'
+import ProductsConsole from './pages/admin/products/ProductsConsole'
+import PricingManager from './pages/admin/pricing/PricingManager'
 
 // Vendor Pages
 import VendorLogin from './pages/vendor/Login'
@@ -75,6 +96,8 @@ import ProductRequestsList from './pages/vendor/ProductRequestsList'
 import ProductRequestCreate from './pages/vendor/ProductRequestCreate'
 import AdminRequests from './pages/vendor/AdminRequests'
 import OrdersList from './pages/vendor/OrdersList'
+import WarrantyClaims from './pages/vendor/WarrantyClaims'
+import CustomerTickets from './pages/vendor/CustomerTickets'
 import TeamManagement from './pages/vendor/TeamManagement'
 import Reports from './pages/vendor/Reports'
 
@@ -96,6 +119,12 @@ const App = () => {
           <Route path="/" element={<LandingPage />} />
           <Route path="/onboarding" element={<Onboarding />} />
           <Route path="/about" element={<AboutPage />} />
+
+          {/* Storefront Routes */}
+          <Route path="/catalog" element={<CatalogPage />} />
+          <Route path="/catalog/:id" element={<ProductDetailPage />} />
+          <Route path="/waitlist/leave/:token" element={<WaitlistLeavePage />} />
+          <Route path="/gift/:token" element={<GiftClaimPage />} />
           
           {/* User Authentication & Profile Routes */}
           <Route path="/user/login" element={<UserLogin />} />
@@ -109,6 +138,10 @@ const App = () => {
           <Route path="/user/reset-password-final" element={<UserResetPasswordFinal />} />
           <Route path="/user/reset-password" element={<UserResetPassword />} />
           <Route path="/user/checkout" element={<UserCheckout />} />
+          <Route path="/user/orders/:id" element={<UserOrderConfirmation />} />
+          <Route path="/user/payment/mock/:intentId" element={<UserMockPayment />} />
+          <Route path="/user/subscriptions" element={<UserSubscriptions />} />
+          <Route path="/user/support" element={<UserSupport />} />
 
           {/* Admin Routes */}
           <Route path="/admin" element={<AdminLogin />} />
@@ -127,6 +160,17 @@ const App = () => {
           <Route path="/admin/vendor/:vendorId/requests/new" element={<AdminStockRequest />} />
           <Route path="/admin/requests" element={<ProductRequestsQueue />} />
           <Route path="/admin/stock-requests" element={<AdminStockRequestsList />} />
+          <Route path="/admin/claims" element={<WarrantyClaimsList />} />
+          <Route path="/admin/refunds" element={<RefundRequestsList />} />
+          <Route path="/admin/support" element={<SupportInbox />} />
+          <Route path="/admin/promotions" element={<PromotionsManager />} />
+          <Route path="/admin/currencies" element={<ExchangeRates />} />
+          <Route path="/admin/waitlist" element={<WaitlistDemand />} />
+          <Route path="/admin/bundles" element={<BundlesManager />} />
+          <Route path="/admin/wallets" element={<WalletsManager />} />
+          <Route path="/admin/referrals" element={<ReferralsReport />} />
+          <Route path="/admin/products" element={<ProductsConsole />} />
+          <Route path="/admin/pricing" element={<PricingManager />} />
 
           {/* Vendor Routes */}
           <Route path="/vendor/login" element={<VendorLogin />} />
@@ -141,6 +185,8 @@ const App = () => {
           <Route path="/vendor/products/requests/:id" element={<ProductRequestCreate />} />
           <Route path="/vendor/requests" element={<AdminRequests />} />
           <Route path="/vendor/orders" element={<OrdersList />} />
+          <Route path="/vendor/claims" element={<WarrantyClaims />} />
+          <Route path="/vendor/tickets" element={<CustomerTickets />} />
           <Route path="/vendor/team" element={<TeamManagement />} />
           <Route path="/vendor/reports" element={<Reports />} />
 
@@ -69,7 +69,18 @@ const AdminLayout = ({ children, currentPage = 'dashboard' }) => {
     { id: 'dashboard', label: 'Dashboard', icon: '🏠', path: '/admin/dashboard' },
     { id: 'settings', label: 'Settings', icon: '⚙️', path: '/admin/settings', hasSubItems: true },
     { id: 'monitoring', label: 'System Monitoring', icon: '🛰️', path: '/admin/monitoring' },
-    { id: 'vendor', label: 'Vendor', icon: '🏢', path: '/admin/vendor' }
+    { id: 'vendor', label: 'Vendor', icon: '🏢', path: '/admin/vendor' },
+    { id: 'products', label: 'Products', icon: '🗂️', path: '/admin/products' },
+    { id: 'pricing', label: 'Pricing', icon: '🏷️', path: '/admin/pricing' },
+    { id: 'claims', label: 'Warranty Claims', icon: '🛠️', path: '/admin/claims' },
+    { id: 'refunds', label: 'Refunds', icon: '💸', path: '/admin/refunds' },
+    { id: 'support', label: 'Support Inbox', icon: '💬', path: '/admin/support' },
+    { id: 'promotions', label: 'Promotions', icon: '🏷️', path: '/admin/promotions' },
+    { id: 'currencies', label: 'Exchange Rates', icon: '💱', path: '/admin/currencies' },
+    { id: 'waitlist', label: 'Waitlist Demand', icon: '⏳', path: '/admin/waitlist' },
+    { id: 'bundles', label: 'Bundles', icon: '📦', path: '/admin/bundles' },
+    { id: 'wallets', label: 'Wallets', icon: '👛', path: '/admin/wallets' },
+    { id: 'referrals', label: 'Referrals', icon: '🤝', path: '/admin/referrals' }
   ];
 
   // NAV: Settings sub-tabs
@@ -86,6 +97,17 @@ const AdminLayout = ({ children, currentPage = 'dashboard' }) => {
     if (item.id === 'settings' && location.pathname.startsWith('/admin/settings')) return true;
     if (item.id === 'monitoring' && location.pathname.startsWith('/admin/monitoring')) return true;
     if (item.id === 'vendor' && location.pathname.startsWith('/admin/vendor')) return true;
+    if (item.id === 'products' && location.pathname.startsWith('/admin/products')) return true;
+    if (item.id === 'pricing' && location.pathname.startsWith('/admin/pricing')) return true;
+    if (item.id === 'claims' && location.pathname.startsWith('/admin/claims')) return true;
+    if (item.id === 'refunds' && location.pathname.startsWith('/admin/refunds')) return true;
+    if (item.id === 'support' && location.pathname.startsWith('/admin/support')) return true;
+    if (item.id === 'promotions' && location.pathname.startsWith('/admin/promotions')) return true;
+    if (item.id === 'currencies' && location.pathname.startsWith('/admin/currencies')) return true;
+    if (item.id === 'waitlist' && location.pathname.startsWith('/admin/waitlist')) return true;
+    if (item.id === 'bundles' && location.pathname.startsWith('/admin/bundles')) return true;
+    if (item.id === 'wallets' && location.pathname.startsWith('/admin/wallets')) return true;
+    if (item.id === 'referrals' && location.pathname.startsWith('/admin/referrals')) return true;
     return false;
   };
 
@@ -6,6 +6,8 @@ import axios from 'axios'
 import { toast } from 'react-toastify'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useUser } from '../context/UserContext'
+import { useCart } from '../context/CartContext'
+import { useCurrency } from '../context/CurrencyContext'
 
 const Navbar = () => {
   const navigate = useNavigate()
@@ -14,6 +16,8 @@ const Navbar = () => {
   const [scrolled, setScrolled] = useState(false)
   const [theme, setTheme] = useState('dark')
   const { user, isAuthenticated, logout: contextLogout } = useUser()
+  const { itemCount } = useCart()
+  const { displayCurrency, setDisplayCurrency, currencies } = useCurrency()
   const [isDropdownOpen, setIsDropdownOpen] = useState(false)
   const [isActionLoading, setIsActionLoading] = useState(false)
   const dropdownRef = useRef(null)
@@ -105,6 +109,7 @@ const Navbar = () => {
   const navItems = [
     { id: 'home', label: 'Home', path: '/' },
     { id: 'original', label: 'Original Home', path: '/home' },
+    { id: 'catalog', label: 'Catalog', path: '/catalog' },
     { id: 'about', label: 'About', path: '/about' },
     { id: 'subscribers', label: 'Subscribers' },
     { id: 'providers', label: 'Providers' },
@@ -170,6 +175,37 @@ const Navbar = () => {
               )}
             </button>
 
+            {/* Display Currency */}
+            {currencies.length > 1 && (
+              <select
+                value={displayCurrency}
+                onChange={(e) => setDisplayCurrency(e.target.value)}
+                className='rounded-full border border-theme-base bg-transparent px-2 py-1 text-xs text-theme-primary'
+                aria-label='Display currency'
+              >
+                <option value=''>Original</option>
+                {currencies.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            )}
+
+            {/* Cart Button */}
+            <button
+              onClick={() => navigate('/user/checkout')}
+              className='relative rounded-full p-2 text-theme-primary hover:bg-theme-surface transition-colors'
+              aria-label={`Cart with ${itemCount} item(s)`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
+              </svg>
+              {itemCount > 0 && (
+                <span className='absolute -top-1 -right-1 min-w-[18px] h-[18px] rounded-full bg-brand-primary px-1 text-[10px] font-bold leading-[18px] text-white text-center'>
+                  {itemCount}
+                </span>
+              )}
+            </button>
+
             {!isUserAuth || !currentUser ? (
               <button onClick={() => navigate('/user/login')} className='rounded-full bg-brand-primary hover:brightness-110 px-4 py-2 text-white text-sm font-semibold shadow-theme-sm transition'>
                 Login
@@ -284,6 +320,20 @@ const Navbar = () => {
               </button>
             ))}
 
+            {currencies.length > 1 && (
+              <select
+                value={displayCurrency}
+                onChange={(e) => setDisplayCurrency(e.target.value)}
+                className='w-full rounded-lg border border-theme-base bg-transparent px-3 py-2 text-sm text-theme-primary'
+                aria-label='Display currency'
+              >
+                <option value=''>Prices in original currency</option>
+                {currencies.map(code => (
+                  <option key={code} value={code}>Prices in {code}</option>
+                ))}
+              </select>
+            )}
+
             <div className='flex items-center gap-3 pt-2'>
               {!isUserAuth || !currentUser ? (
                 <button onClick={() => { setMenuOpen(false); navigate('/user/login') }} className='rounded-full bg-brand-primary px-4 py-2 text-white text-sm font-semibold transition'>Login</button>
@@ -52,6 +52,8 @@ const VendorLayout = ({ children, currentPage }) => {
     { id: 'products', label: 'Products', icon: '📦', path: '/vendor/products' },
     { id: 'requests', label: 'Admin Requests', icon: '📥', path: '/vendor/requests' },
     { id: 'orders', label: 'Orders', icon: '📋', path: '/vendor/orders' },
+    { id: 'claims', label: 'Warranty Claims', icon: '🛠️', path: '/vendor/claims' },
+    { id: 'tickets', label: 'Customer Tickets', icon: '🎫', path: '/vendor/tickets' },
     { id: 'team', label: 'Loaders & Team', icon: '👥', path: '/vendor/team' },
     { id: 'policies', label: 'Policies', icon: '📜', path: '/vendor/policies' },
     { id: 'reports', label: 'Reports', icon: '📊', path: '/vendor/reports' },
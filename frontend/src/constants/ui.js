@@ -38,6 +38,18 @@ export const API_CONFIG = {
     USER_FORGOT_PASSWORD: '/api/users/forgot-password',
     USER_RESET_PASSWORD: '/api/users/reset-password',
     USER_PROFILE: '/api/users/profile',
+    USER_ORDERS: '/api/users/orders',
+    USER_SUBSCRIPTIONS: '/api/users/subscriptions',
+    USER_CLAIMS: '/api/users/claims',
+    USER_REFUNDS: '/api/users/refunds',
+    USER_TICKETS: '/api/users/tickets',
+    USER_GIFTS: '/api/users/gifts',
+    USER_WALLET: '/api/users/wallet',
+    USER_REFERRALS: '/api/users/referrals',
+    
+    // Storefront
+    CATALOG: '/api/catalog',
+    PAYMENTS_MOCK: '/api/payments/mock',
     
     // Vendor
     VENDOR_LOGIN: '/api/vendor/login',
@@ -61,6 +73,8 @@ export const ROUTES = {
   HOME: '/',
   ABOUT: '/about',
   ONBOARDING: '/onboarding',
+  CATALOG: '/catalog',
+  CATALOG_PRODUCT: '/catalog/:id',
   
   // User routes
   USER_LOGIN: '/user/login',
@@ -74,6 +88,10 @@ export const ROUTES = {
   USER_RESET_PASSWORD: '/user/reset-password',
   USER_RESET_PASSWORD_FINAL: '/user/reset-password-final',
   USER_CHECKOUT: '/user/checkout',
+  USER_SUBSCRIPTIONS: '/user/subscriptions',
+  USER_SUPPORT: '/user/support',
+  USER_ORDER_CONFIRMATION: '/user/orders/:id',
+  USER_MOCK_PAYMENT: '/user/payment/mock/:intentId',
   
   // Vendor routes
   VENDOR_LOGIN: '/vendor/login',
@@ -0,0 +1,119 @@
+/**
+ * CartContext.jsx - Shopping Cart State
+ *
+ * Holds the customer's cart in memory and persists it to localStorage so it
+ * survives reloads and the login redirect. Prices stored here are only for
+ * display; the backend re-prices every line at checkout.
+ *
+ * Key Features:
+ * - Add, update and remove cart lines
+ * - Quantity caps matching the backend limits
+ * - Item count and display subtotal
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+
+const CART_STORAGE_KEY = 'nextsubscription_cart'
+export const MAX_LINE_QUANTITY = 10
+
+const CartContext = createContext(null)
+
+const readStoredCart = () => {
+  try {
+    const raw = localStorage.getItem(CART_STORAGE_KEY)
+    const parsed = raw ? JSON.parse(raw) : []
+    return Array.isArray(parsed) ? parsed.filter(item => item?.productId && item?.quantity > 0) : []
+  } catch (_) {
+    return []
+  }
+}
+
+/**
+ * CartProvider Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Cart context provider
+ */
+export const CartProvider = ({ children }) => {
+  const [items, setItems] = useState(readStoredCart)
+
+  // Persist cart on every change
+  useEffect(() => {
+    try {
+      localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(items))
+    } catch (_) {
+      // Storage may be unavailable; cart stays in memory
+    }
+  }, [items])
+
+  /**
+   * Add a catalog product to the cart
+   *
+   * @param {Object} product - Public catalog product
+   * @param {number} quantity - Quantity to add
+   */
+  const addItem = useCallback((product, quantity = 1) => {
+    setItems(prev => {
+      const existing = prev.find(item => item.productId === product._id)
+      if (existing) {
+        return prev.map(item => item.productId === product._id
+          ? { ...item, quantity: Math.min(item.quantity + quantity, MAX_LINE_QUANTITY) }
+          : item)
+      }
+      return [...prev, {
+        productId: product._id,
+        title: product.title,
+        provider: product.provider,
+        planDurationDays: product.planDurationDays,
+        warrantyDays: product.warrantyDays,
+        price: product.priceDecimal,
+        currency: product.currency,
+        thumbnail: product.thumbnail || null,
+        quantity: Math.min(quantity, MAX_LINE_QUANTITY)
+      }]
+    })
+  }, [])
+
+  const updateQuantity = useCallback((productId, quantity) => {
+    setItems(prev => prev
+      .map(item => item.productId === productId
+        ? { ...item, quantity: Math.max(0, Math.min(quantity, MAX_LINE_QUANTITY)) }
+        : item)
+      .filter(item => item.quantity > 0))
+  }, [])
+
+  const removeItem = useCallback((productId) => {
+    setItems(prev => prev.filter(item => item.productId !== productId))
+  }, [])
+
+  const clearCart = useCallback(() => setItems([]), [])
+
+  const value = useMemo(() => ({
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: items.reduce((sum, item) => sum + (Number(item.price) || 0) * item.quantity, 0),
+    currency: items[0]?.currency || 'USD',
+    addItem,
+    updateQuantity,
+    removeItem,
+    clearCart
+  }), [items, addItem, updateQuantity, removeItem, clearCart])
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>
+}
+
+/**
+ * useCart Hook
+ *
+ * @returns {Object} Cart state and actions
+ */
+export const useCart = () => {
+  const context = useContext(CartContext)
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider')
+  }
+  return context
+}
+
+export default CartContext
@@ -0,0 +1,112 @@
+/**
+ * CurrencyContext.jsx - Display Currency
+ *
+ * Lets customers browse prices in a currency of their choice. The choice is
+ * kept in localStorage and prices are converted with the admin-managed rate
+ * table. Conversion is for display only: orders are charged in the
+ * product's own currency.
+ *
+ * Key Features:
+ * - Display currency selection (persisted)
+ * - Price conversion with the public rate table
+ * - Falls back to the original currency when no rate is known
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { getCurrencyRates } from '../lib/api/catalog'
+import { formatPrice } from '../utils/constants'
+
+const CURRENCY_STORAGE_KEY = 'nextsubscription_currency'
+
+const CurrencyContext = createContext(null)
+
+const readStoredCurrency = () => {
+  try {
+    return localStorage.getItem(CURRENCY_STORAGE_KEY) || ''
+  } catch (_) {
+    return ''
+  }
+}
+
+/**
+ * CurrencyProvider Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Currency context provider
+ */
+export const CurrencyProvider = ({ children }) => {
+  // Empty means "show each price in its own currency"
+  const [displayCurrency, setDisplayCurrency] = useState(readStoredCurrency)
+  const [rates, setRates] = useState({})
+
+  useEffect(() => {
+    getCurrencyRates()
+      .then(table => setRates(table.rates))
+      .catch(() => setRates({}))
+  }, [])
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(CURRENCY_STORAGE_KEY, displayCurrency)
+    } catch (_) {
+      // Storage may be unavailable; choice stays in memory
+    }
+  }, [displayCurrency])
+
+  /**
+   * Convert an amount to the display currency
+   *
+   * @param {number} amount - Amount in `currency`
+   * @param {string} currency - Original currency
+   * @returns {{amount: number, currency: string, converted: boolean}} Display amount
+   */
+  const convert = useCallback((amount, currency = 'USD') => {
+    const source = String(currency || 'USD').toUpperCase()
+    if (!displayCurrency || displayCurrency === source || !rates[source] || !rates[displayCurrency]) {
+      return { amount: Number(amount) || 0, currency: source, converted: false }
+    }
+    return {
+      amount: Math.round((Number(amount) || 0) / rates[source] * rates[displayCurrency] * 100) / 100,
+      currency: displayCurrency,
+      converted: true
+    }
+  }, [displayCurrency, rates])
+
+  /**
+   * Format a price in the display currency
+   *
+   * @param {number} amount - Amount in `currency`
+   * @param {string} currency - Original currency
+   * @returns {string} Formatted price ("≈" marks a converted amount)
+   */
+  const formatDisplayPrice = useCallback((amount, currency = 'USD') => {
+    const display = convert(amount, currency)
+    return `${display.converted ? '≈ ' : ''}${formatPrice(display.amount, display.currency)}`
+  }, [convert])
+
+  const value = useMemo(() => ({
+    displayCurrency,
+    setDisplayCurrency,
+    currencies: Object.keys(rates).sort(),
+    convert,
+    formatDisplayPrice
+  }), [displayCurrency, rates, convert, formatDisplayPrice])
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>
+}
+
+/**
+ * useCurrency Hook
+ *
+ * @returns {Object} Display currency state and helpers
+ */
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext)
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider')
+  }
+  return context
+}
+
+export default CurrencyContext
@@ -23,6 +23,7 @@
 
 import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
 import axios from 'axios'
+import { getDeviceId } from '../lib/api/userSession'
 
 // Configure axios instance for API communication
 const api = axios.create({
@@ -93,7 +94,7 @@ export const UserProvider = ({ children }) => {
   const loginUser = async (email, password, remember) => {
     setLoading(true)
     try {
-      const { data } = await api.post('/api/users/login', { email, password }, {
+      const { data } = await api.post('/api/users/login', { email, password, deviceId: getDeviceId() }, {
         headers: {  
           'Content-Type': 'application/json',
           'Accept': 'application/json',
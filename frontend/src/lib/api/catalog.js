@@ -0,0 +1,106 @@
+/**
+ * Catalog API Service
+ * 
+ * API service for the public storefront catalog.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get catalog products
+ * 
+ * @param {Object} params - Filters (provider, serviceType, minPrice, maxPrice, duration, q, sort, page, limit)
+ * @returns {Promise<Object>} { products, total, page, limit }
+ */
+export const getCatalogProducts = async (params = {}) => {
+  const cleanParams = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}`, {
+    params: cleanParams
+  });
+
+  return response.data;
+};
+
+/**
+ * Get catalog filter facets
+ * 
+ * @returns {Promise<Object>} { providers, serviceTypes, durations, minPrice, maxPrice }
+ */
+export const getCatalogFilters = async () => {
+  try {
+    const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}/filters`);
+    return response.data.filters || {};
+  } catch (error) {
+    console.error('Catalog filters error:', error);
+    return {};
+  }
+};
+
+/**
+ * Get catalog product detail
+ * 
+ * Signed-in customers also get their waitlist state for the product.
+ * 
+ * @param {string} id - Product ID
+ * @returns {Promise<Object>} { product, related, waitlist }
+ */
+export const getCatalogProduct = async (id) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}/${id}`, getUserRequestConfig());
+  return response.data;
+};
+
+/**
+ * Join the back-in-stock waitlist of a product
+ * 
+ * @param {string} id - Product ID
+ * @param {string} [email] - Email for guests (signed-in customers use their account email)
+ * @returns {Promise<Object>} { message, waitlist: { status, position, holdExpiresAt, token } }
+ */
+export const joinWaitlist = async (id, email = '') => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}/${id}/waitlist`,
+    { email },
+    getUserRequestConfig()
+  );
+  return response.data;
+};
+
+/**
+ * Leave a waitlist with the token from the email
+ * 
+ * @param {string} token - Waitlist entry token
+ * @returns {Promise<Object>} { message, productId, productTitle }
+ */
+export const leaveWaitlist = async (token) => {
+  const response = await axios.delete(`${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}/waitlist/${encodeURIComponent(token)}`);
+  return response.data;
+};
+
+/**
+ * Get exchange rates for display currencies
+ * 
+ * @returns {Promise<Object>} { baseCurrency, rates }
+ */
+export const getCurrencyRates = async () => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.CATALOG}/currencies`);
+  return { baseCurrency: response.data.baseCurrency, rates: response.data.rates || {} };
+};
+
+export default {
+  getCatalogProducts,
+  getCatalogFilters,
+  getCatalogProduct,
+  joinWaitlist,
+  leaveWaitlist,
+  getCurrencyRates
+};
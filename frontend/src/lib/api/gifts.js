@@ -0,0 +1,45 @@
+/**
+ * Gifts API Service
+ * 
+ * API service for the gift claim page.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get a gift from its claim link (no sign-in needed)
+ * 
+ * @param {string} token - Gift claim token
+ * @returns {Promise<Object>} { status, senderName, recipientName, message, expiresAt, items }
+ */
+export const getGift = async (token) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_GIFTS}/${encodeURIComponent(token)}`);
+  return response.data.gift;
+};
+
+/**
+ * Claim a gift into the signed-in customer's account
+ * 
+ * @param {string} token - Gift claim token
+ * @returns {Promise<Object>} Redemption order { orderId, orderNumber }
+ */
+export const claimGift = async (token) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_GIFTS}/${encodeURIComponent(token)}/claim`,
+    {},
+    getUserRequestConfig()
+  );
+  return response.data.order;
+};
+
+export default {
+  getGift,
+  claimGift
+};
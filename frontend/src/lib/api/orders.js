@@ -0,0 +1,99 @@
+/**
+ * Orders API Service
+ * 
+ * API service for customer checkout and order history.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Price cart items with running promotions and an optional coupon
+ * 
+ * @param {Object} payload - { items: [{ productId, quantity }], couponCode, billingDetails }
+ * @returns {Promise<Object>} { items, subtotalAmount, discountAmount, taxAmount, taxLines, taxNote, totalAmount, discounts, currency, couponCode }
+ */
+export const quoteOrder = async (payload) => {
+  const response = await axios.post(`${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}/quote`, payload, getUserRequestConfig());
+  return response.data.quote;
+};
+
+/**
+ * Create an order from cart items
+ * 
+ * @param {Object} payload - { items: [{ productId, quantity }], billingDetails, paymentMethod, customerNotes, couponCode }
+ * @returns {Promise<Object>} Created order
+ */
+export const createOrder = async (payload) => {
+  const response = await axios.post(`${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}`, payload, getUserRequestConfig());
+  return response.data.order;
+};
+
+/**
+ * Get the customer's orders
+ * 
+ * @param {Object} params - { status, paymentStatus, page, limit }
+ * @returns {Promise<Object>} { orders, total, page, limit }
+ */
+export const getMyOrders = async (params = {}) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}`, getUserRequestConfig({ params }));
+  return response.data;
+};
+
+/**
+ * Get one of the customer's orders
+ * 
+ * @param {string} id - Order ID
+ * @returns {Promise<Object>} Order
+ */
+export const getMyOrder = async (id) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}/${id}`, getUserRequestConfig());
+  return response.data.order;
+};
+
+/**
+ * Start payment for a pending order
+ * 
+ * @param {string} id - Order ID
+ * @returns {Promise<Object>} { provider, intentId, status, redirectUrl }
+ */
+export const payOrder = async (id) => {
+  const response = await axios.post(`${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}/${id}/pay`, {}, getUserRequestConfig());
+  return response.data.payment;
+};
+
+/**
+ * Download the invoice of a paid order as a PDF
+ * 
+ * @param {string} id - Order ID
+ * @returns {Promise<void>}
+ */
+export const downloadInvoice = async (id) => {
+  const response = await axios.get(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_ORDERS}/${id}/invoice`,
+    getUserRequestConfig({ responseType: 'blob' })
+  );
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : 'invoice.pdf';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  quoteOrder,
+  createOrder,
+  getMyOrders,
+  getMyOrder,
+  payOrder,
+  downloadInvoice
+};
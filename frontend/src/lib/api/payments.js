@@ -0,0 +1,62 @@
+/**
+ * Payments API Service
+ * 
+ * API service for the local mock payment gateway and payment redirects.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get a mock checkout session
+ * 
+ * @param {string} intentId - Mock payment intent ID
+ * @returns {Promise<Object>} { intentId, orderId, orderNumber, amount, currency, paymentStatus }
+ */
+export const getMockCheckout = async (intentId) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.PAYMENTS_MOCK}/${intentId}`, getUserRequestConfig());
+  return response.data.session;
+};
+
+/**
+ * Complete a mock checkout with the chosen outcome
+ * 
+ * @param {string} intentId - Mock payment intent ID
+ * @param {'succeeded'|'failed'} outcome - Simulated outcome
+ * @returns {Promise<Object>} Updated order
+ */
+export const completeMockCheckout = async (intentId, outcome) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.PAYMENTS_MOCK}/${intentId}/complete`,
+    { outcome },
+    getUserRequestConfig()
+  );
+  return response.data.order;
+};
+
+/**
+ * Follow a provider redirect URL, staying inside the SPA when possible
+ * 
+ * @param {string} redirectUrl - URL returned by the payment provider
+ * @param {Function} navigate - react-router navigate function
+ */
+export const followPaymentRedirect = (redirectUrl, navigate) => {
+  const url = new URL(redirectUrl, window.location.origin);
+  if (url.origin === window.location.origin) {
+    navigate(`${url.pathname}${url.search}`);
+  } else {
+    window.location.assign(url.href);
+  }
+};
+
+export default {
+  getMockCheckout,
+  completeMockCheckout,
+  followPaymentRedirect
+};
@@ -0,0 +1,28 @@
+/**
+ * Referrals API Service
+ * 
+ * API service for the customer's referral link.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get the customer's referral link, rewards and referred friends
+ * 
+ * @returns {Promise<Object>} { code, link, reward, stats, referrals }
+ */
+export const getReferrals = async () => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_REFERRALS}`, getUserRequestConfig());
+  return response.data;
+};
+
+export default {
+  getReferrals
+};
@@ -0,0 +1,130 @@
+/**
+ * Subscriptions API Service
+ * 
+ * API service for the customer's subscriptions and access details.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get the customer's subscriptions
+ * 
+ * @param {Object} params - { status }
+ * @returns {Promise<Array>} Subscriptions
+ */
+export const getMySubscriptions = async (params = {}) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_SUBSCRIPTIONS}`, getUserRequestConfig({ params }));
+  return response.data.subscriptions;
+};
+
+/**
+ * Get dashboard counters
+ * 
+ * @returns {Promise<Object>} { active, expiring, pending, awaitingPayment, tickets }
+ */
+export const getSubscriptionSummary = async () => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_SUBSCRIPTIONS}/summary`, getUserRequestConfig());
+  return response.data.summary;
+};
+
+/**
+ * Reveal the access details of one allocation (audited server-side)
+ * 
+ * @param {string} itemId - Order item ID
+ * @param {string} allocationId - Allocation ID
+ * @returns {Promise<Object>} Access details
+ */
+export const revealAccess = async (itemId, allocationId) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_SUBSCRIPTIONS}/${itemId}/access/${allocationId}/reveal`,
+    {},
+    getUserRequestConfig()
+  );
+  return response.data.access;
+};
+
+/**
+ * Create a renewal order for a subscription (reuses an unpaid one if open)
+ * 
+ * @param {string} itemId - Order item ID
+ * @returns {Promise<Object>} Renewal order
+ */
+export const renewSubscription = async (itemId) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_SUBSCRIPTIONS}/${itemId}/renew`,
+    {},
+    getUserRequestConfig()
+  );
+  return response.data.order;
+};
+
+/**
+ * Report broken access under the product warranty
+ * 
+ * @param {string} itemId - Order item ID
+ * @param {string} allocationId - Allocation ID
+ * @param {Object} claim - { issueType, description }
+ * @returns {Promise<Object>} Created claim
+ */
+export const reportAccessProblem = async (itemId, allocationId, claim) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_SUBSCRIPTIONS}/${itemId}/access/${allocationId}/claims`,
+    claim,
+    getUserRequestConfig()
+  );
+  return response.data.claim;
+};
+
+/**
+ * Get the customer's warranty claims
+ * 
+ * @returns {Promise<Array>} Claims, newest first
+ */
+export const getMyClaims = async () => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_CLAIMS}`, getUserRequestConfig());
+  return response.data.claims;
+};
+
+/**
+ * Request a refund for a claim that stayed unresolved
+ * 
+ * @param {string} claimId - Warranty claim ID
+ * @param {string} [reason] - Customer's explanation
+ * @returns {Promise<Object>} Refund request
+ */
+export const requestRefund = async (claimId, reason = '') => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_CLAIMS}/${claimId}/refund`,
+    { reason },
+    getUserRequestConfig()
+  );
+  return response.data.refund;
+};
+
+/**
+ * Get the customer's refund requests
+ * 
+ * @returns {Promise<Array>} Refund requests, newest first
+ */
+export const getMyRefunds = async () => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_REFUNDS}`, getUserRequestConfig());
+  return response.data.refunds;
+};
+
+export default {
+  getMySubscriptions,
+  getSubscriptionSummary,
+  revealAccess,
+  renewSubscription,
+  reportAccessProblem,
+  getMyClaims,
+  requestRefund,
+  getMyRefunds
+};
@@ -0,0 +1,113 @@
+/**
+ * Support API Service
+ *
+ * API service for the customer's support tickets.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+const multipartConfig = () => getUserRequestConfig({ headers: { 'Content-Type': 'multipart/form-data' } });
+
+/**
+ * Build multipart form data for a ticket message
+ *
+ * @param {Object} fields - Text fields
+ * @param {File[]} files - Attachments (max 3)
+ * @returns {FormData} Form data
+ */
+const toFormData = (fields, files = []) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+  });
+  files.forEach(file => formData.append('attachments', file));
+  return formData;
+};
+
+/**
+ * Get the customer's tickets
+ *
+ * @param {Object} params - { status }
+ * @returns {Promise<Array>} Tickets
+ */
+export const getMyTickets = async (params = {}) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_TICKETS}`, getUserRequestConfig({ params }));
+  return response.data.tickets;
+};
+
+/**
+ * Open a ticket
+ *
+ * @param {Object} ticket - { subject, category, orderId, body }
+ * @param {File[]} files - Attachments
+ * @returns {Promise<Object>} Created ticket
+ */
+export const openTicket = async (ticket, files = []) => {
+  const response = await axios.post(`${apiBase}${API_CONFIG.ENDPOINTS.USER_TICKETS}`, toFormData(ticket, files), multipartConfig());
+  return response.data.ticket;
+};
+
+/**
+ * Reply to a ticket
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {string} body - Message text
+ * @param {File[]} files - Attachments
+ * @returns {Promise<Object>} Updated ticket
+ */
+export const replyToTicket = async (ticketId, body, files = []) => {
+  const response = await axios.post(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_TICKETS}/${ticketId}/messages`,
+    toFormData({ body }, files),
+    multipartConfig()
+  );
+  return response.data.ticket;
+};
+
+/**
+ * Close a ticket
+ *
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object>} Updated ticket
+ */
+export const closeTicket = async (ticketId) => {
+  const response = await axios.post(`${apiBase}${API_CONFIG.ENDPOINTS.USER_TICKETS}/${ticketId}/close`, {}, getUserRequestConfig());
+  return response.data.ticket;
+};
+
+/**
+ * Download an attachment and hand it to the browser
+ *
+ * Attachments are served behind authentication, so they are fetched as a
+ * blob rather than linked directly.
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} attachment - { _id, originalName }
+ * @returns {Promise<void>}
+ */
+export const downloadTicketAttachment = async (ticketId, attachment) => {
+  const response = await axios.get(
+    `${apiBase}${API_CONFIG.ENDPOINTS.USER_TICKETS}/${ticketId}/attachments/${attachment._id}`,
+    getUserRequestConfig({ responseType: 'blob' })
+  );
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = attachment.originalName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  getMyTickets,
+  openTicket,
+  replyToTicket,
+  closeTicket,
+  downloadTicketAttachment
+};
@@ -0,0 +1,73 @@
+/**
+ * User Session Helpers
+ * 
+ * Builds axios request config for authenticated customer API calls.
+ * The token is read from the session persisted by UserContext.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+/**
+ * Get the stored customer access token
+ * 
+ * @returns {string|null} JWT access token
+ */
+export const getUserToken = () => {
+  try {
+    const raw = localStorage.getItem('nextsubscription_auth') || sessionStorage.getItem('nextsubscription_auth');
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return parsed?.token || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Get this browser's device ID, creating it on first use
+ * 
+ * Sent with sign-up and login so the backend can spot referrals made
+ * from the referrer's own device.
+ * 
+ * @returns {string|null} Device ID (null when storage is unavailable)
+ */
+export const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem('nextsubscription_device');
+    if (!deviceId) {
+      deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem('nextsubscription_device', deviceId);
+    }
+    return deviceId;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Build axios config for authenticated customer requests
+ * 
+ * @param {Object} [extra] - Additional axios config to merge
+ * @returns {Object} Axios request config
+ */
+export const getUserRequestConfig = (extra = {}) => {
+  const token = getUserToken();
+  return {
+    withCredentials: true,
+    ...extra,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(extra.headers || {})
+    }
+  };
+};
+
+export default {
+  getUserToken,
+  getDeviceId,
+  getUserRequestConfig
+};
@@ -0,0 +1,32 @@
+/**
+ * Wallet API Service
+ * 
+ * API service for the customer's store credit wallet.
+ * 
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import axios from 'axios';
+import { API_CONFIG } from '../../constants/ui.js';
+import { getUserRequestConfig } from './userSession.js';
+
+const apiBase = API_CONFIG.BASE_URL;
+
+/**
+ * Get the customer's store credit balance and ledger
+ * 
+ * @param {Object} [params] - { limit, page }
+ * @returns {Promise<Object>} { balance, currency, transactions, total, page, limit }
+ */
+export const getWallet = async (params = {}) => {
+  const response = await axios.get(`${apiBase}${API_CONFIG.ENDPOINTS.USER_WALLET}`, {
+    ...getUserRequestConfig(),
+    params
+  });
+  return response.data;
+};
+
+export default {
+  getWallet
+};
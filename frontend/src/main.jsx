@@ -20,6 +20,8 @@ import { BrowserRouter } from 'react-router-dom'
 import { ToastContainer } from 'react-toastify'
 import 'react-toastify/dist/ReactToastify.css'
 import { UserProvider } from './context/UserContext.jsx'
+import { CartProvider } from './context/CartContext.jsx'
+import { CurrencyProvider } from './context/CurrencyContext.jsx'
 import axios from 'axios'
 import { themeTokens } from './theme/themeTokens.js'
 
@@ -158,6 +160,8 @@ initializeTheme().then(() => {
    * 
    * - BrowserRouter: Enables client-side routing for SPA navigation
    * - UserProvider: Manages global user authentication state for both subscribers and providers
+   * - CartProvider: Keeps the storefront cart in sync with localStorage
+   * - CurrencyProvider: Customer's display currency and exchange rates
    * - ToastContainer: Provides global toast notifications with glassmorphism styling
    * 
    * The toast configuration matches the app's design system with dark theme,
@@ -166,7 +170,11 @@ initializeTheme().then(() => {
   createRoot(document.getElementById('root')).render(
   <BrowserRouter>
     <UserProvider>
-        <App />
+      <CartProvider>
+        <CurrencyProvider>
+          <App />
+        </CurrencyProvider>
+      </CartProvider>
     </UserProvider>
     {/* Global Toast Notifications with Glassmorphism Styling */}
     <ToastContainer
@@ -1,54 +1,145 @@
 /**
  * UserCheckout.jsx - Subscription Checkout Page
- * 
- * Page for users to review and confirm their subscription purchase.
- * Features subscription summary, payment method selection, and billing information.
- * 
+ *
+ * Page for users to review their cart and place an order.
+ * Features cart summary, payment method selection, and billing information.
+ *
  * Key Features:
- * - Subscription summary card with plan details
+ * - Cart summary with quantity controls
+ * - Coupon codes and automatic promotions priced by the backend
  * - Payment method selection with visual indicators
- * - Billing information form
- * - Secure checkout button with animations
+ * - Billing information form (business customers enter a VAT ID; tax is priced by the backend)
+ * - Server-side order creation (prices are recalculated by the backend)
  * - Responsive design for all device sizes
- * 
+ *
  * @component UserCheckout
  */
 
-import React, { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { toast } from 'react-toastify'
 import { useUser } from '../../context/UserContext'
+import { useCart, MAX_LINE_QUANTITY } from '../../context/CartContext'
+import { useCurrency } from '../../context/CurrencyContext'
+import { quoteOrder, createOrder, payOrder } from '../../lib/api/orders'
+import { followPaymentRedirect } from '../../lib/api/payments'
+import { formatPrice, PROVIDER_LABELS, US_STATES } from '../../utils/constants'
 import { motion } from 'framer-motion'
 import logo from '../../assets/branding/nextsubscription_main_logo.png'
 
 /**
  * UserCheckout Component
- * 
+ *
  * Checkout form for subscription purchases.
- * 
+ *
  * @returns {JSX.Element} Checkout page component
  */
 const UserCheckout = () => {
-  const { user } = useUser()
+  const { user, isAuthenticated, isInitialized } = useUser()
+  const { items, subtotal, currency, updateQuantity, removeItem, clearCart } = useCart()
+  const { convert } = useCurrency()
   const navigate = useNavigate()
-  
+
   // Payment method state
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('card')
-  
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  // Coupon and server-side quote (promotions are applied automatically)
+  const [couponInput, setCouponInput] = useState('')
+  const [appliedCoupon, setAppliedCoupon] = useState('')
+  const [couponError, setCouponError] = useState('')
+  const [quote, setQuote] = useState(null)
+  const cartLines = items.map(item => ({ productId: item.productId, quantity: item.quantity }))
+  const cartKey = cartLines.map(line => `${line.productId}:${line.quantity}`).join(',')
+  // Orders are charged in the cart currency; the converted total is for reference only
+  const displayTotal = quote ? convert(quote.totalAmount, quote.currency) : convert(subtotal, currency)
+
   // Billing info state (pre-filled with user data)
   const [billingInfo, setBillingInfo] = useState({
-    name: user?.firstname ? `${user.firstname} ${user.lastname || ''}` : '',
+    name: user?.firstname ? `${user.firstname} ${user.lastname || ''}`.trim() : '',
     email: user?.email || '',
-    country: 'PK' // Default to Pakistan
+    country: 'DE',
+    region: '',
+    customerType: 'individual',
+    companyName: '',
+    vatId: ''
   })
-  
-  // Mock subscription data (would come from context/cart in a real app)
-  const subscription = {
-    name: 'Netflix Premium',
-    plan: 'Monthly',
-    warranty: '30 days',
-    price: '$5.99',
-    originalPrice: '$19.99',
-    savings: '70%'
+  const [quoteError, setQuoteError] = useState('')
+  // Gift: the paid order is emailed to the recipient as a claim link
+  const [isGift, setIsGift] = useState(false)
+  const [gift, setGift] = useState({ recipientEmail: '', recipientName: '', message: '' })
+  // Store credit: the whole spendable balance unless the customer enters an amount
+  const [useStoreCredit, setUseStoreCredit] = useState(false)
+  const [storeCreditInput, setStoreCreditInput] = useState('')
+  const requestedStoreCredit = useStoreCredit
+    ? (storeCreditInput !== '' ? Math.max(Number(storeCreditInput) || 0, 0) : (quote?.storeCreditAvailable || 0))
+    : 0
+  const taxKey = [billingInfo.country, billingInfo.region, billingInfo.customerType, billingInfo.companyName, billingInfo.vatId].join('|')
+
+  // Pre-fill billing details once the session has been restored
+  useEffect(() => {
+    if (!user) return
+    setBillingInfo(prev => ({
+      ...prev,
+      name: prev.name || `${user.firstname || ''} ${user.lastname || ''}`.trim(),
+      email: prev.email || user.email || ''
+    }))
+  }, [user])
+
+  // Require a customer session before checkout; come back here after login
+  useEffect(() => {
+    if (!isInitialized) return
+    if (!isAuthenticated || !user || user.type !== 'user') {
+      navigate('/user/login?redirect=/user/checkout')
+    }
+  }, [isInitialized, isAuthenticated, user, navigate])
+
+  // Re-price the cart whenever it, the coupon or the tax details change (debounced while typing)
+  useEffect(() => {
+    if (!isAuthenticated || cartLines.length === 0) {
+      setQuote(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      quoteOrder({ items: cartLines, couponCode: appliedCoupon, billingDetails: billingInfo, storeCreditAmount: requestedStoreCredit })
+        .then(result => {
+          if (cancelled) return
+          setQuote(result)
+          setQuoteError('')
+        })
+        .catch(err => {
+          if (cancelled) return
+          const message = err?.response?.data?.message || 'Could not price your cart.'
+          if (appliedCoupon && /coupon/i.test(message)) {
+            // Drop the coupon and re-price without it
+            setCouponError(message)
+            setAppliedCoupon('')
+          } else {
+            setQuote(null)
+            setQuoteError(message)
+          }
+        })
+    }, 400)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [cartKey, appliedCoupon, taxKey, requestedStoreCredit, isAuthenticated])
+
+  const handleApplyCoupon = () => {
+    const code = couponInput.trim().toUpperCase()
+    if (!code) return
+    setCouponError('')
+    setAppliedCoupon(code)
+  }
+
+  const handleRemoveCoupon = () => {
+    setCouponInput('')
+    setCouponError('')
+    setAppliedCoupon('')
   }
 
   // Payment methods
@@ -60,13 +151,24 @@ const UserCheckout = () => {
 
   // Country options
   const countries = [
-    { code: 'PK', name: 'Pakistan' },
-    { code: 'US', name: 'United States' },
+    { code: 'DE', name: 'Germany' },
+    { code: 'AT', name: 'Austria' },
+    { code: 'BE', name: 'Belgium' },
+    { code: 'DK', name: 'Denmark' },
+    { code: 'ES', name: 'Spain' },
+    { code: 'FI', name: 'Finland' },
+    { code: 'FR', name: 'France' },
+    { code: 'IE', name: 'Ireland' },
+    { code: 'IT', name: 'Italy' },
+    { code: 'NL', name: 'Netherlands' },
+    { code: 'PL', name: 'Poland' },
+    { code: 'PT', name: 'Portugal' },
+    { code: 'SE', name: 'Sweden' },
     { code: 'GB', name: 'United Kingdom' },
+    { code: 'US', name: 'United States' },
     { code: 'CA', name: 'Canada' },
     { code: 'AU', name: 'Australia' },
-    { code: 'DE', name: 'Germany' },
-    { code: 'FR', name: 'France' }
+    { code: 'PK', name: 'Pakistan' }
   ]
 
   // Handle billing info changes
@@ -78,13 +180,47 @@ const UserCheckout = () => {
   }
 
   // Handle form submission
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    // In a real app, this would integrate with a payment processor
-    console.log('Proceeding to payment with:', { subscription, selectedPaymentMethod, billingInfo })
-    // For now, just show an alert and navigate to a success page
-    alert('In a real implementation, this would redirect to a payment processor')
-    // navigate('/checkout/success')
+    if (items.length === 0 || isSubmitting) return
+
+    if (!billingInfo.name.trim() || !billingInfo.email.trim()) {
+      setError('Please enter your name and email address.')
+      return
+    }
+    if (isGift && !gift.recipientEmail.trim()) {
+      setError("Please enter the recipient's email address.")
+      return
+    }
+
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const order = await createOrder({
+        items: cartLines,
+        billingDetails: billingInfo,
+        paymentMethod: selectedPaymentMethod,
+        couponCode: appliedCoupon,
+        storeCreditAmount: requestedStoreCredit,
+        ...(isGift ? { gift } : {})
+      })
+      clearCart()
+
+      // The order exists from here on; a payment error leaves it payable from the order page
+      try {
+        const payment = await payOrder(order._id)
+        followPaymentRedirect(payment.redirectUrl, navigate)
+      } catch (paymentErr) {
+        toast.error(paymentErr?.response?.data?.message || 'Order placed, but payment could not be started.')
+        navigate(`/user/orders/${order._id}`)
+      }
+    } catch (err) {
+      const message = err?.response?.data?.message || 'Could not place your order. Please try again.'
+      setError(message)
+      toast.error(message)
+    } finally {
+      setIsSubmitting(false)
+    }
   }
 
   // Animation variants
@@ -109,21 +245,25 @@ const UserCheckout = () => {
     }
   }
 
+  const glassCard = 'rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+  const inputClass = 'w-full rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] px-4 py-3 text-sm text-[var(--theme-text)] placeholder-[var(--theme-text-subtle)] focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)] focus:border-transparent transition-all duration-200'
+
+  if (!isInitialized || !isAuthenticated) {
+    return (
+      <div className='flex items-center justify-center min-h-screen bg-[var(--theme-background)]'>
+        <div className='text-[var(--theme-text)]'>Loading...</div>
+      </div>
+    )
+  }
+
   return (
     <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)] overflow-hidden'>
       {/* Ambient gradient orbs */}
       <div className='pointer-events-none absolute -top-24 -left-24 h-72 w-72 rounded-full bg-gradient-to-br from-[var(--theme-primary)]/20 via-[var(--theme-secondary)]/10 to-[var(--theme-accent)]/10 blur-3xl opacity-40' />
       <div className='pointer-events-none absolute -bottom-24 -right-24 h-80 w-80 rounded-full bg-gradient-to-tr from-[var(--theme-primary)]/15 via-[var(--theme-secondary)]/10 to-[var(--theme-accent)]/10 blur-3xl opacity-30' />
-      
-      {/* Floating icons background (optional) */}
-      <div className='absolute inset-0 overflow-hidden pointer-events-none'>
-        <div className='absolute top-1/4 left-1/4 text-4xl opacity-5 animate-float'>💳</div>
-        <div className='absolute top-3/4 right-1/4 text-4xl opacity-5 animate-float animation-delay-2000'>🛡️</div>
-        <div className='absolute top-1/2 left-1/2 text-4xl opacity-5 animate-float animation-delay-4000'>🔒</div>
-      </div>
-      
+
       <main className='relative z-10 mx-auto max-w-6xl px-6 py-12'>
-        <motion.div 
+        <motion.div
           className='mb-8 text-center'
           initial={{ opacity: 0, y: -20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -138,77 +278,212 @@ const UserCheckout = () => {
             Complete Your Purchase
           </h1>
           <p className='text-base text-[var(--theme-text-secondary)] mt-2'>
-            Review your subscription and securely checkout
+            Review your subscriptions and securely checkout
           </p>
         </motion.div>
-        
+
+        {items.length === 0 ? (
+          <div className={`${glassCard} max-w-xl mx-auto text-center`}>
+            <p className='text-lg font-semibold'>Your cart is empty</p>
+            <p className='text-sm text-[var(--theme-text-secondary)] mt-2'>Browse the catalog to find a subscription.</p>
+            <Link to='/catalog' className='inline-block mt-6 rounded-full px-6 py-3 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+              Browse catalog
+            </Link>
+          </div>
+        ) : (
         <div className='grid grid-cols-1 lg:grid-cols-2 gap-8'>
           {/* Left Column - Summary and Payment */}
-          <motion.div 
+          <motion.div
             className='space-y-8'
             variants={containerVariants}
             initial="hidden"
             animate="visible"
           >
-            {/* Subscription Summary Card */}
-            <motion.div 
-              className='rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
-              variants={itemVariants}
-            >
+            {/* Cart Summary Card */}
+            <motion.div className={glassCard} variants={itemVariants}>
               <h2 className='text-xl font-bold text-[var(--theme-text)] mb-4' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
-                Subscription Summary
+                Order Summary
               </h2>
-              
+
               <div className='space-y-4'>
-                <div className='flex justify-between items-center pb-3 border-b border-[var(--theme-border-subtle)]'>
-                  <div>
-                    <h3 className='font-semibold text-[var(--theme-text)]'>{subscription.name}</h3>
-                    <p className='text-sm text-[var(--theme-text-secondary)]'>{subscription.plan} Plan</p>
+                {items.map(item => (
+                  <div key={item.productId} className='flex justify-between items-start gap-4 pb-3 border-b border-[var(--theme-border-subtle)]'>
+                    <div className='min-w-0'>
+                      <h3 className='font-semibold text-[var(--theme-text)] truncate'>{item.title}</h3>
+                      <p className='text-sm text-[var(--theme-text-secondary)]'>
+                        {PROVIDER_LABELS[item.provider] || item.provider} · {item.planDurationDays} days
+                        {item.warrantyDays ? ` · ${item.warrantyDays}-day warranty` : ''}
+                      </p>
+                      <div className='mt-2 flex items-center gap-2'>
+                        <button
+                          type='button'
+                          onClick={() => updateQuantity(item.productId, item.quantity - 1)}
+                          className='h-7 w-7 rounded-full border border-[var(--theme-border)] text-sm'
+                          aria-label='Decrease quantity'
+                        >
+                          −
+                        </button>
+                        <span className='w-6 text-center text-sm'>{item.quantity}</span>
+                        <button
+                          type='button'
+                          onClick={() => updateQuantity(item.productId, item.quantity + 1)}
+                          disabled={item.quantity >= MAX_LINE_QUANTITY}
+                          className='h-7 w-7 rounded-full border border-[var(--theme-border)] text-sm disabled:opacity-40'
+                          aria-label='Increase quantity'
+                        >
+                          +
+                        </button>
+                        <button
+                          type='button'
+                          onClick={() => removeItem(item.productId)}
+                          className='ml-2 text-xs text-[var(--theme-text-subtle)] hover:text-[var(--theme-primary)]'
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                    <p className='font-semibold text-[var(--theme-text)] whitespace-nowrap'>
+                      {formatPrice(item.price * item.quantity, item.currency)}
+                    </p>
                   </div>
-                  <div className='text-right'>
-                    <p className='font-semibold text-[var(--theme-text)]'>{subscription.price}</p>
-                    <p className='text-sm text-[var(--theme-text-secondary)] line-through'>{subscription.originalPrice}</p>
+                ))}
+
+                {/* Coupon */}
+                <div>
+                  <div className='flex gap-2'>
+                    <input
+                      type='text'
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleApplyCoupon() } }}
+                      disabled={!!appliedCoupon}
+                      maxLength={32}
+                      className={`${inputClass} uppercase`}
+                      placeholder='Coupon code'
+                    />
+                    {appliedCoupon ? (
+                      <button
+                        type='button'
+                        onClick={handleRemoveCoupon}
+                        className='rounded-xl px-4 text-sm font-semibold border border-[var(--theme-border)] text-[var(--theme-text)]'
+                      >
+                        Remove
+                      </button>
+                    ) : (
+                      <button
+                        type='button'
+                        onClick={handleApplyCoupon}
+                        disabled={!couponInput.trim()}
+                        className='rounded-xl px-4 text-sm font-semibold text-white bg-[var(--theme-primary)] disabled:opacity-50'
+                      >
+                        Apply
+                      </button>
+                    )}
                   </div>
+                  {couponError && (
+                    <p className='mt-2 text-xs text-[var(--theme-error)]'>{couponError}</p>
+                  )}
                 </div>
-                
-                <div className='flex justify-between items-center py-3 border-b border-[var(--theme-border-subtle)]'>
-                  <div>
-                    <p className='text-[var(--theme-text)]'>Warranty Period</p>
+
+                {quote?.storeCreditAvailable > 0 && (
+                  <div className='space-y-2'>
+                    <label className='flex items-center justify-between gap-4 cursor-pointer text-sm'>
+                      <span className='text-[var(--theme-text)]'>
+                        Use store credit
+                        <span className='ml-1 text-[var(--theme-text-subtle)]'>
+                          ({formatPrice(quote.storeCreditAvailable, quote.currency)} available)
+                        </span>
+                      </span>
+                      <input
+                        type='checkbox'
+                        checked={useStoreCredit}
+                        onChange={(e) => {
+                          setUseStoreCredit(e.target.checked)
+                          setStoreCreditInput('')
+                        }}
+                        className='h-4 w-4 accent-[var(--theme-primary)]'
+                      />
+                    </label>
+                    {useStoreCredit && (
+                      <input
+                        type='number'
+                        min='0'
+                        step='0.01'
+                        value={storeCreditInput}
+                        onChange={(e) => setStoreCreditInput(e.target.value)}
+                        className={inputClass}
+                        placeholder='Amount to use (all by default)'
+                      />
+                    )}
                   </div>
-                  <div>
-                    <p className='font-medium text-[var(--theme-text)]'>{subscription.warranty}</p>
+                )}
+
+                {(quote?.discounts?.length > 0 || quote?.taxLines?.length > 0) && (
+                  <div className='space-y-1 text-sm'>
+                    <div className='flex justify-between text-[var(--theme-text-secondary)]'>
+                      <span>Subtotal</span>
+                      <span>{formatPrice(quote.subtotalAmount, quote.currency)}</span>
+                    </div>
+                    {quote.discounts.map(discount => (
+                      <div key={discount.couponId || discount.promotionId} className='flex justify-between text-[var(--theme-success)]'>
+                        <span>{discount.source === 'coupon' ? `Coupon ${discount.code}` : discount.name}</span>
+                        <span>−{formatPrice(discount.amount, quote.currency)}</span>
+                      </div>
+                    ))}
+                    {quote.taxLines.map(tax => (
+                      <div key={`${tax.jurisdiction}-${tax.rate}`} className='flex justify-between text-[var(--theme-text-secondary)]'>
+                        <span>{tax.name} {tax.rate}% ({tax.jurisdiction})</span>
+                        <span>{formatPrice(tax.amount, quote.currency)}</span>
+                      </div>
+                    ))}
+                    {quote.taxNote && (
+                      <p className='text-xs text-[var(--theme-text-subtle)]'>{quote.taxNote}</p>
+                    )}
                   </div>
-                </div>
-                
+                )}
+
                 <div className='flex justify-between items-center pt-3'>
                   <div>
                     <p className='text-[var(--theme-text)] font-semibold'>Total</p>
+                    <p className='text-xs text-[var(--theme-text-subtle)]'>
+                      {quote?.discountAmount > 0
+                        ? `You save ${formatPrice(quote.discountAmount, quote.currency)}`
+                        : 'Final price is confirmed when the order is placed'}
+                    </p>
                   </div>
                   <div>
-                    <p className='text-xl font-bold text-[var(--theme-primary)]'>{subscription.price}</p>
+                    <p className='text-xl font-bold text-[var(--theme-primary)]'>
+                      {quote ? formatPrice(quote.totalAmount, quote.currency) : formatPrice(subtotal, currency)}
+                    </p>
+                    {displayTotal.converted && (
+                      <p className='text-xs text-right text-[var(--theme-text-subtle)]'>
+                        ≈ {formatPrice(displayTotal.amount, displayTotal.currency)}
+                      </p>
+                    )}
                   </div>
                 </div>
-                
-                <div className='mt-4 p-3 rounded-xl bg-[var(--theme-success-light)] border border-[var(--theme-success)]/30'>
-                  <p className='text-sm font-medium text-[var(--theme-success)] flex items-center'>
-                    <svg className='w-4 h-4 mr-2' fill='none' stroke='currentColor' viewBox='0 0 24 24'>
-                      <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z' />
-                    </svg>
-                    You're saving up to {subscription.savings}!
-                  </p>
-                </div>
+
+                {quote?.storeCreditAmount > 0 && (
+                  <div className='space-y-1 text-sm pt-2'>
+                    <div className='flex justify-between text-[var(--theme-success)]'>
+                      <span>Store credit</span>
+                      <span>−{formatPrice(quote.storeCreditAmount, quote.currency)}</span>
+                    </div>
+                    <div className='flex justify-between font-semibold text-[var(--theme-text)]'>
+                      <span>Due now</span>
+                      <span>{formatPrice(quote.amountDue, quote.currency)}</span>
+                    </div>
+                  </div>
+                )}
               </div>
             </motion.div>
-            
+
             {/* Payment Methods */}
-            <motion.div 
-              className='rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
-              variants={itemVariants}
-            >
+            <motion.div className={glassCard} variants={itemVariants}>
               <h2 className='text-xl font-bold text-[var(--theme-text)] mb-4' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
                 Payment Method
               </h2>
-              
+
               <div className='grid grid-cols-3 gap-4'>
                 {paymentMethods.map((method) => (
                   <motion.button
@@ -235,25 +510,70 @@ const UserCheckout = () => {
                 ))}
               </div>
             </motion.div>
+
+            {/* Gift */}
+            <motion.div className={glassCard} variants={itemVariants}>
+              <label className='flex items-center justify-between gap-4 cursor-pointer'>
+                <span>
+                  <span className='block text-xl font-bold text-[var(--theme-text)]' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+                    🎁 Send as a gift
+                  </span>
+                  <span className='block text-sm text-[var(--theme-text-secondary)] mt-1'>
+                    We email the recipient a link to claim it. Access starts when they claim; if they never do, you get store credit.
+                  </span>
+                </span>
+                <input
+                  type='checkbox'
+                  checked={isGift}
+                  onChange={(e) => setIsGift(e.target.checked)}
+                  className='h-5 w-5 accent-[var(--theme-primary)]'
+                />
+              </label>
+
+              {isGift && (
+                <div className='space-y-4 mt-4'>
+                  <input
+                    type='email'
+                    value={gift.recipientEmail}
+                    onChange={(e) => setGift(prev => ({ ...prev, recipientEmail: e.target.value }))}
+                    className={inputClass}
+                    placeholder="Recipient's email"
+                  />
+                  <input
+                    type='text'
+                    value={gift.recipientName}
+                    onChange={(e) => setGift(prev => ({ ...prev, recipientName: e.target.value }))}
+                    className={inputClass}
+                    placeholder="Recipient's name (optional)"
+                    maxLength={120}
+                  />
+                  <textarea
+                    value={gift.message}
+                    onChange={(e) => setGift(prev => ({ ...prev, message: e.target.value }))}
+                    className={inputClass}
+                    placeholder='Personal message (optional)'
+                    rows={3}
+                    maxLength={500}
+                  />
+                </div>
+              )}
+            </motion.div>
           </motion.div>
-          
+
           {/* Right Column - Billing Info and CTA */}
-          <motion.div 
+          <motion.div
             className='space-y-8'
             variants={containerVariants}
             initial="hidden"
             animate="visible"
           >
             {/* Billing Information */}
-            <motion.div 
-              className='rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
-              variants={itemVariants}
-            >
+            <motion.div className={glassCard} variants={itemVariants}>
               <h2 className='text-xl font-bold text-[var(--theme-text)] mb-4' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
                 Billing Information
               </h2>
-              
-              <form className='space-y-4'>
+
+              <form className='space-y-4' onSubmit={handleSubmit}>
                 <div>
                   <label htmlFor='name' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
                     Full Name
@@ -263,11 +583,11 @@ const UserCheckout = () => {
                     type='text'
                     value={billingInfo.name}
                     onChange={(e) => handleBillingChange('name', e.target.value)}
-                    className='w-full rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] px-4 py-3 text-sm text-[var(--theme-text)] placeholder-[var(--theme-text-subtle)] focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)] focus:border-transparent transition-all duration-200'
+                    className={inputClass}
                     placeholder='Enter your full name'
                   />
                 </div>
-                
+
                 <div>
                   <label htmlFor='email' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
                     Email Address
@@ -277,11 +597,11 @@ const UserCheckout = () => {
                     type='email'
                     value={billingInfo.email}
                     onChange={(e) => handleBillingChange('email', e.target.value)}
-                    className='w-full rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] px-4 py-3 text-sm text-[var(--theme-text)] placeholder-[var(--theme-text-subtle)] focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)] focus:border-transparent transition-all duration-200'
+                    className={inputClass}
                     placeholder='Enter your email'
                   />
                 </div>
-                
+
                 <div>
                   <label htmlFor='country' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
                     Country
@@ -290,7 +610,7 @@ const UserCheckout = () => {
                     id='country'
                     value={billingInfo.country}
                     onChange={(e) => handleBillingChange('country', e.target.value)}
-                    className='w-full rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] px-4 py-3 text-sm text-[var(--theme-text)] focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)] focus:border-transparent transition-all duration-200'
+                    className={inputClass}
                   >
                     {countries.map((country) => (
                       <option key={country.code} value={country.code}>
@@ -299,23 +619,101 @@ const UserCheckout = () => {
                     ))}
                   </select>
                 </div>
+
+                {billingInfo.country === 'US' && (
+                  <div>
+                    <label htmlFor='region' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
+                      State
+                    </label>
+                    <select
+                      id='region'
+                      value={billingInfo.region}
+                      onChange={(e) => handleBillingChange('region', e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value=''>Select your state</option>
+                      {US_STATES.map((state) => (
+                        <option key={state.code} value={state.code}>
+                          {state.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div>
+                  <span className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>Buying as</span>
+                  <div className='grid grid-cols-2 gap-3'>
+                    {[['individual', 'Individual'], ['business', 'Business']].map(([type, label]) => (
+                      <button
+                        key={type}
+                        type='button'
+                        onClick={() => handleBillingChange('customerType', type)}
+                        className={`rounded-xl border-2 px-4 py-2 text-sm font-medium transition-colors ${
+                          billingInfo.customerType === type
+                            ? 'border-[var(--theme-primary)] bg-[var(--theme-primary)]/10 text-[var(--theme-text)]'
+                            : 'border-[var(--theme-border-subtle)] bg-[var(--theme-surface)] text-[var(--theme-text-secondary)]'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {billingInfo.customerType === 'business' && (
+                  <>
+                    <div>
+                      <label htmlFor='companyName' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
+                        Company Name
+                      </label>
+                      <input
+                        id='companyName'
+                        type='text'
+                        value={billingInfo.companyName}
+                        onChange={(e) => handleBillingChange('companyName', e.target.value)}
+                        className={inputClass}
+                        placeholder='Registered company name'
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor='vatId' className='block text-sm font-medium mb-2 text-[var(--theme-text)]'>
+                        VAT ID
+                      </label>
+                      <input
+                        id='vatId'
+                        type='text'
+                        value={billingInfo.vatId}
+                        onChange={(e) => handleBillingChange('vatId', e.target.value)}
+                        className={inputClass}
+                        placeholder='e.g. DE123456789'
+                      />
+                      <p className='mt-1 text-xs text-[var(--theme-text-subtle)]'>
+                        EU and UK businesses with a valid VAT ID are invoiced under the reverse charge where it applies.
+                      </p>
+                    </div>
+                  </>
+                )}
+
+                {quoteError && (
+                  <p className='text-sm text-[var(--theme-error)]'>{quoteError}</p>
+                )}
               </form>
             </motion.div>
-            
+
             {/* CTA Button */}
-            <motion.div 
-              className='rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)] text-center'
-              variants={itemVariants}
-            >
+            <motion.div className={`${glassCard} text-center`} variants={itemVariants}>
+              {error && (
+                <p className='mb-4 text-sm text-[var(--theme-error)]'>{error}</p>
+              )}
               <button
                 onClick={handleSubmit}
-                className='w-full inline-flex items-center justify-center rounded-full px-8 py-4 text-base font-semibold text-white bg-[var(--theme-primary)] hover:bg-[var(--theme-primary)] transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)]/50 focus:ring-offset-2 hover:shadow-[0_0_12px_var(--theme-primary)]'
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
+                disabled={isSubmitting}
+                className='w-full inline-flex items-center justify-center rounded-full px-8 py-4 text-base font-semibold text-white bg-[var(--theme-primary)] hover:bg-[var(--theme-primary)] transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)]/50 focus:ring-offset-2 hover:shadow-[0_0_12px_var(--theme-primary)] disabled:opacity-60 disabled:cursor-not-allowed'
               >
-                Proceed to Payment
+                {isSubmitting ? 'Placing order...' : 'Place Order'}
               </button>
-              
+
               <div className='mt-4 flex items-center justify-center'>
                 <svg className='w-4 h-4 text-[var(--theme-success)] mr-2' fill='none' stroke='currentColor' viewBox='0 0 24 24'>
                   <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z' />
@@ -327,33 +725,10 @@ const UserCheckout = () => {
             </motion.div>
           </motion.div>
         </div>
+        )}
       </main>
-      
-      {/* Floating animation styles */}
-      <style jsx>{`
-        @keyframes float {
-          0% {
-            transform: translateY(0px);
-          }
-          50% {
-            transform: translateY(-20px);
-          }
-          100% {
-            transform: translateY(0px);
-          }
-        }
-        .animate-float {
-          animation: float 6s ease-in-out infinite;
-        }
-        .animation-delay-2000 {
-          animation-delay: 2s;
-        }
-        .animation-delay-4000 {
-          animation-delay: 4s;
-        }
-      `}</style>
     </div>
   )
 }
 
-export default UserCheckout
\ No newline at end of file
+export default UserCheckout
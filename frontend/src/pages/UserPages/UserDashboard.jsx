@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useUser } from '../../context/UserContext';
+import { getSubscriptionSummary } from '../../lib/api/subscriptions';
 import logo from '../../assets/branding/nextsubscription_main_logo.png';
 
 const UserDashboard = () => {
@@ -18,13 +19,28 @@ const UserDashboard = () => {
     }
   }, [isAuthenticated, user, navigate, isInitialized]);
 
-  // Mock data for dashboard cards
-  const subscriptionStats = {
-    active: 5,
-    expiring: 2,
-    pending: 1,
-    tickets: 3
-  };
+  // Dashboard counters (computed server-side from paid orders)
+  const [subscriptionStats, setSubscriptionStats] = useState({
+    active: 0,
+    expiring: 0,
+    pending: 0,
+    tickets: 0
+  });
+
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated) return;
+    let cancelled = false;
+
+    getSubscriptionSummary()
+      .then(summary => {
+        if (!cancelled) setSubscriptionStats(summary);
+      })
+      .catch(error => {
+        console.error('Dashboard summary error:', error);
+      });
+
+    return () => { cancelled = true; };
+  }, [isInitialized, isAuthenticated]);
 
   // Animation variants
   const containerVariants = {
@@ -68,7 +84,7 @@ const UserDashboard = () => {
   const navItems = [
     { name: 'Dashboard', icon: '📊', path: '/user/dashboard' },
     { name: 'Subscriptions', icon: '📋', path: '/user/subscriptions' },
-    { name: 'Support', icon: '💬', path: '/legal/contact' },
+    { name: 'Support', icon: '💬', path: '/user/support' },
     { name: 'Settings', icon: '⚙️', path: '/user/profile' },
   ];
 
@@ -220,21 +236,22 @@ const UserDashboard = () => {
               className='rounded-2xl border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] backdrop-blur-md p-6 shadow-[var(--theme-glass-shadow)] transition-all duration-300'
             >
               <div className='flex items-center justify-between'>
-                <h3 className='text-lg font-semibold text-[var(--theme-text)]'>Pending Renewals</h3>
+                <h3 className='text-lg font-semibold text-[var(--theme-text)]'>Pending Activation</h3>
                 <span className='text-2xl'>🔄</span>
               </div>
               <p className='text-3xl font-bold mt-4 text-[var(--theme-info)]'>{subscriptionStats.pending}</p>
-              <p className='text-sm text-[var(--theme-text-secondary)] mt-2'>Action required</p>
+              <p className='text-sm text-[var(--theme-text-secondary)] mt-2'>Paid, access being prepared</p>
             </motion.div>
 
-            {/* Warranty Tickets Card */}
+            {/* Support Tickets Card */}
             <motion.div
               variants={itemVariants}
               whileHover="hover"
-              className='rounded-2xl border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] backdrop-blur-md p-6 shadow-[var(--theme-glass-shadow)] transition-all duration-300'
+              onClick={() => navigate('/user/support')}
+              className='cursor-pointer rounded-2xl border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] backdrop-blur-md p-6 shadow-[var(--theme-glass-shadow)] transition-all duration-300'
             >
               <div className='flex items-center justify-between'>
-                <h3 className='text-lg font-semibold text-[var(--theme-text)]'>Warranty Tickets</h3>
+                <h3 className='text-lg font-semibold text-[var(--theme-text)]'>Support Tickets</h3>
                 <span className='text-2xl'>🎟️</span>
               </div>
               <p className='text-3xl font-bold mt-4 text-[var(--theme-accent)]'>{subscriptionStats.tickets}</p>
@@ -257,7 +274,7 @@ const UserDashboard = () => {
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                onClick={() => navigate('/user/checkout')}
+                onClick={() => navigate('/catalog')}
                 className='inline-flex items-center justify-center rounded-full bg-[var(--theme-primary)] px-8 py-4 text-base font-semibold text-white shadow-[var(--theme-shadow-brand)] transition-all duration-200 hover:bg-[var(--theme-primary)] hover:scale-[1.03] hover:shadow-[0_8px_25px_rgba(228,54,54,0.4)]'
               >
                 Buy More Subscriptions
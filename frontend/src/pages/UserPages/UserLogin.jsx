@@ -7,7 +7,7 @@
  */
 
 import React, { useState, useEffect } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useNavigate, Link, useSearchParams } from 'react-router-dom'
 import { toast } from 'react-toastify'
 import { useUser } from '../../context/UserContext'
 import { motion } from 'framer-motion'
@@ -15,6 +15,7 @@ import logo from '../../assets/branding/nextsubscription_main_logo.png'
 
 const UserLogin = () => {
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [showPassword, setShowPassword] = useState(false)
@@ -83,8 +84,11 @@ const UserLogin = () => {
       toast.success('Logged in successfully')
       
       // Navigate after a short delay to show success animation
+      // Only follow same-origin relative redirects (e.g. back to checkout)
+      const redirect = searchParams.get('redirect')
+      const target = redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/user/home'
       setTimeout(() => {
-        navigate('/user/home')
+        navigate(target)
       }, 1000)
     } catch (err) {
       const message = err?.response?.data?.message || err?.message || 'Login failed.'
@@ -244,7 +248,7 @@ const UserLogin = () => {
               >
                 <span>Don't have an account?</span>
                 <Link 
-                  to='/user/register' 
+                  to={searchParams.get('redirect') ? `/user/register?redirect=${encodeURIComponent(searchParams.get('redirect'))}` : '/user/register'} 
                   className='font-medium text-[var(--theme-primary)] hover:text-[var(--theme-primary)] transition-colors duration-200'
                 >
                   Create account
@@ -0,0 +1,150 @@
+/**
+ * UserMockPayment.jsx - Mock Payment Gateway Checkout
+ *
+ * Hosted-checkout stand-in for the local mock payment provider. The customer
+ * chooses an outcome; the backend turns it into a signed gateway webhook so
+ * the order moves through the same path a real provider would use.
+ *
+ * @component UserMockPayment
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { toast } from 'react-toastify'
+import { useUser } from '../../context/UserContext'
+import { getMockCheckout, completeMockCheckout } from '../../lib/api/payments'
+import { formatPrice } from '../../utils/constants'
+
+const glassCard = 'rounded-3xl p-8 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+
+/**
+ * UserMockPayment Component
+ *
+ * @returns {JSX.Element} Mock checkout page
+ */
+const UserMockPayment = () => {
+  const { intentId } = useParams()
+  const navigate = useNavigate()
+  const { user, isAuthenticated, isInitialized } = useUser()
+  const [session, setSession] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isInitialized) return
+    if (!isAuthenticated || !user || user.type !== 'user') {
+      navigate(`/user/login?redirect=/user/payment/mock/${intentId}`)
+    }
+  }, [isInitialized, isAuthenticated, user, navigate, intentId])
+
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated) return
+    let cancelled = false
+    const load = async () => {
+      setLoading(true)
+      try {
+        const data = await getMockCheckout(intentId)
+        if (cancelled) return
+        if (data.paymentStatus !== 'pending') {
+          navigate(`/user/orders/${data.orderId}`, { replace: true })
+          return
+        }
+        setSession(data)
+      } catch (err) {
+        console.error('Mock checkout error:', err)
+        if (!cancelled) setError(err?.response?.data?.message || 'Payment session not found')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [intentId, isInitialized, isAuthenticated, navigate])
+
+  const handleOutcome = async (outcome) => {
+    if (submitting) return
+    setSubmitting(outcome)
+    try {
+      const order = await completeMockCheckout(intentId, outcome)
+      if (order.paymentStatus === 'paid') {
+        toast.success('Payment successful')
+      } else {
+        toast.error('Payment failed')
+      }
+      navigate(`/user/orders/${order._id}`, { replace: true })
+    } catch (err) {
+      const message = err?.response?.data?.message || 'Could not complete payment'
+      setError(message)
+      toast.error(message)
+      setSubmitting(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className='flex items-center justify-center min-h-screen bg-[var(--theme-background)]'>
+        <div className='text-[var(--theme-text)]'>Loading...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)] flex items-center justify-center px-6'>
+      <motion.div
+        className={`${glassCard} w-full max-w-md`}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.4 }}
+      >
+        <div className='flex items-center justify-between mb-6'>
+          <h1 className='text-2xl font-bold' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>Mock Pay</h1>
+          <span className='rounded-full px-3 py-1 text-xs font-semibold bg-[var(--theme-warning-light)] text-[var(--theme-warning)]'>
+            Test mode
+          </span>
+        </div>
+
+        {error || !session ? (
+          <p className='text-[var(--theme-error)]'>{error || 'Payment session not found'}</p>
+        ) : (
+          <>
+            <div className='space-y-2 mb-8'>
+              <div className='flex justify-between text-sm'>
+                <span className='text-[var(--theme-text-secondary)]'>Order</span>
+                <span className='font-medium'>{session.orderNumber}</span>
+              </div>
+              <div className='flex justify-between items-center'>
+                <span className='text-[var(--theme-text-secondary)] text-sm'>Amount due</span>
+                <span className='text-2xl font-bold text-[var(--theme-primary)]'>{formatPrice(session.amount, session.currency)}</span>
+              </div>
+            </div>
+
+            <p className='text-sm text-[var(--theme-text-secondary)] mb-6'>
+              No real payment is taken. Choose how this test payment should end.
+            </p>
+
+            <div className='flex flex-col gap-3'>
+              <button
+                onClick={() => handleOutcome('succeeded')}
+                disabled={!!submitting}
+                className='rounded-full px-6 py-3 text-sm font-semibold text-white bg-[var(--theme-primary)] hover:shadow-[0_0_12px_var(--theme-primary)] transition-all duration-200 disabled:opacity-50'
+              >
+                {submitting === 'succeeded' ? 'Processing...' : 'Simulate successful payment'}
+              </button>
+              <button
+                onClick={() => handleOutcome('failed')}
+                disabled={!!submitting}
+                className='rounded-full px-6 py-3 text-sm font-semibold border border-[var(--theme-border)] hover:border-[var(--theme-error)] hover:text-[var(--theme-error)] transition-all duration-200 disabled:opacity-50'
+              >
+                {submitting === 'failed' ? 'Processing...' : 'Simulate declined payment'}
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  )
+}
+
+export default UserMockPayment
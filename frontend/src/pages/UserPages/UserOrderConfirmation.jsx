@@ -0,0 +1,293 @@
+/**
+ * UserOrderConfirmation.jsx - Order Confirmation Page
+ *
+ * Shown after checkout and after returning from the payment provider. Loads
+ * the order from the backend so the customer sees the order number, priced
+ * items and current payment status, and can retry an unpaid order.
+ *
+ * @component UserOrderConfirmation
+ */
+
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { toast } from 'react-toastify'
+import { useUser } from '../../context/UserContext'
+import { getMyOrder, payOrder, downloadInvoice } from '../../lib/api/orders'
+import { followPaymentRedirect } from '../../lib/api/payments'
+import { formatPrice, PROVIDER_LABELS } from '../../utils/constants'
+
+const glassCard = 'rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+
+const PAYMENT_STATUS_STYLES = {
+  pending: { label: 'Awaiting payment', className: 'bg-[var(--theme-warning-light)] text-[var(--theme-warning)]' },
+  paid: { label: 'Paid', className: 'bg-[var(--theme-success-light)] text-[var(--theme-success)]' },
+  failed: { label: 'Payment failed', className: 'bg-[var(--theme-error-light)] text-[var(--theme-error)]' },
+  refunded: { label: 'Refunded', className: 'bg-[var(--theme-info-light)] text-[var(--theme-info)]' }
+}
+
+const HEADINGS = {
+  paid: { title: 'Thank you for your order!', subtitle: 'has been paid.' },
+  pending: { title: 'Complete your payment', subtitle: 'is waiting for payment.' },
+  failed: { title: 'Payment failed', subtitle: 'could not be paid.' },
+  refunded: { title: 'Order refunded', subtitle: 'has been refunded.' }
+}
+
+const GIFT_STATUS_LABELS = {
+  awaiting_payment: 'The claim link is emailed to the recipient once the order is paid.',
+  sent: 'Emailed to the recipient and waiting to be claimed.',
+  claimed: 'Claimed by the recipient.',
+  converted: 'Not claimed in time; the order total was added to your store credit.'
+}
+
+/**
+ * UserOrderConfirmation Component
+ *
+ * @returns {JSX.Element} Order confirmation page
+ */
+const UserOrderConfirmation = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { user, isAuthenticated, isInitialized } = useUser()
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [paying, setPaying] = useState(false)
+
+  useEffect(() => {
+    if (!isInitialized) return
+    if (!isAuthenticated || !user || user.type !== 'user') {
+      navigate(`/user/login?redirect=/user/orders/${id}`)
+    }
+  }, [isInitialized, isAuthenticated, user, navigate, id])
+
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated) return
+    let cancelled = false
+    const load = async () => {
+      setLoading(true)
+      try {
+        const data = await getMyOrder(id)
+        if (!cancelled) setOrder(data)
+      } catch (err) {
+        console.error('Order confirmation error:', err)
+        if (!cancelled) setError(err?.response?.data?.message || 'Order not found')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [id, isInitialized, isAuthenticated])
+
+  const handleCopyGiftLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/gift/${order.gift.token}`)
+      toast.success('Claim link copied')
+    } catch (_) {
+      toast.error('Could not copy the link')
+    }
+  }
+
+  const handlePay = async () => {
+    if (paying) return
+    setPaying(true)
+    try {
+      const payment = await payOrder(order._id)
+      followPaymentRedirect(payment.redirectUrl, navigate)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not start payment')
+      setPaying(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className='flex items-center justify-center min-h-screen bg-[var(--theme-background)]'>
+        <div className='text-[var(--theme-text)]'>Loading...</div>
+      </div>
+    )
+  }
+
+  if (error || !order) {
+    return (
+      <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)] flex items-center justify-center px-6'>
+        <div className={`${glassCard} max-w-md text-center`}>
+          <h1 className='text-2xl font-bold'>{error || 'Order not found'}</h1>
+          <Link to='/user/dashboard' className='inline-block mt-6 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+            Go to dashboard
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const paymentStatus = PAYMENT_STATUS_STYLES[order.paymentStatus] || PAYMENT_STATUS_STYLES.pending
+  const heading = HEADINGS[order.paymentStatus] || HEADINGS.pending
+  const isPaid = order.paymentStatus === 'paid'
+  const canPay = ['pending', 'failed'].includes(order.paymentStatus) && order.status !== 'cancelled'
+
+  return (
+    <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)] overflow-hidden'>
+      <div className='pointer-events-none absolute -top-24 -left-24 h-72 w-72 rounded-full bg-gradient-to-br from-[var(--theme-primary)]/20 via-[var(--theme-secondary)]/10 to-[var(--theme-accent)]/10 blur-3xl opacity-40' />
+
+      <main className='relative z-10 mx-auto max-w-3xl px-6 py-12'>
+        <motion.div
+          className='text-center mb-8'
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          {isPaid && (
+            <div className='mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-[var(--theme-success-light)]'>
+              <svg className='h-8 w-8 text-[var(--theme-success)]' fill='none' stroke='currentColor' viewBox='0 0 24 24'>
+                <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M5 13l4 4L19 7' />
+              </svg>
+            </div>
+          )}
+          <h1 className='text-3xl font-bold tracking-tight' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+            {heading.title}
+          </h1>
+          <p className='text-[var(--theme-text-secondary)] mt-2'>
+            Order <span className='font-semibold text-[var(--theme-text)]'>{order.orderNumber}</span> {heading.subtitle}
+          </p>
+          {order.paymentStatus === 'failed' && order.paymentFailureReason && (
+            <p className='text-sm text-[var(--theme-error)] mt-2'>{order.paymentFailureReason}</p>
+          )}
+        </motion.div>
+
+        <motion.div
+          className={`${glassCard} space-y-4`}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <div className='flex items-center justify-between'>
+            <h2 className='text-xl font-bold'>Order details</h2>
+            <span className={`rounded-full px-3 py-1 text-xs font-semibold ${paymentStatus.className}`}>
+              {paymentStatus.label}
+            </span>
+          </div>
+
+          {order.gift && (
+            <div className='rounded-2xl bg-[var(--theme-surface)] border border-[var(--theme-border-subtle)] p-4 text-sm'>
+              <p className='font-semibold'>
+                🎁 Gift for {order.gift.recipientName ? `${order.gift.recipientName} (${order.gift.recipientEmail})` : order.gift.recipientEmail}
+              </p>
+              <p className='text-[var(--theme-text-secondary)] mt-1'>{GIFT_STATUS_LABELS[order.gift.status]}</p>
+              {order.gift.status === 'sent' && (
+                <div className='flex flex-wrap items-center justify-between gap-3 mt-2'>
+                  <span className='text-xs text-[var(--theme-text-subtle)]'>
+                    Claimable until {new Date(order.gift.expiresAt).toLocaleDateString()}
+                  </span>
+                  <button type='button' onClick={handleCopyGiftLink} className='text-xs font-semibold text-[var(--theme-primary)]'>
+                    Copy claim link
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+          {order.giftOrderId && (
+            <p className='text-sm text-[var(--theme-text-secondary)]'>🎁 You received this order as a gift.</p>
+          )}
+
+          {/* Bundle tools are listed under their bundle */}
+          {order.items.filter(item => !item.bundleItemId).map(item => (
+            <div key={item._id} className='flex justify-between gap-4 pb-3 border-b border-[var(--theme-border-subtle)]'>
+              <div>
+                <p className='font-semibold'>{item.productTitle}</p>
+                <p className='text-sm text-[var(--theme-text-secondary)]'>
+                  {item.provider ? `${PROVIDER_LABELS[item.provider] || item.provider} · ` : ''}
+                  {item.planDurationDays ? `${item.planDurationDays} days · ` : ''}
+                  Qty {item.quantity}
+                </p>
+                {item.isBundle && (
+                  <p className='text-xs text-[var(--theme-text-subtle)] mt-1'>
+                    Includes {item.bundleComponents.map(component => (component.quantity > 1 ? `${component.quantity} × ${component.productTitle}` : component.productTitle)).join(', ')}
+                    {item.allocationStatus === 'partially_allocated' && ' · some tools are still being delivered'}
+                  </p>
+                )}
+              </div>
+              <p className='font-semibold whitespace-nowrap'>{formatPrice(item.price * item.quantity, item.currency)}</p>
+            </div>
+          ))}
+
+          {order.discounts?.length > 0 && (
+            <div className='space-y-1 text-sm'>
+              {order.discounts.map(discount => (
+                <div key={discount.couponId || discount.promotionId} className='flex justify-between text-[var(--theme-success)]'>
+                  <span>{discount.source === 'coupon' ? `Coupon ${discount.code}` : discount.name}</span>
+                  <span>−{formatPrice(discount.amount, order.currency)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {order.taxLines?.length > 0 && (
+            <div className='space-y-1 text-sm'>
+              {order.taxLines.map(tax => (
+                <div key={`${tax.jurisdiction}-${tax.rate}`} className='flex justify-between text-[var(--theme-text-secondary)]'>
+                  <span>{tax.name} {tax.rate}% ({tax.jurisdiction})</span>
+                  <span>{formatPrice(tax.amount, order.currency)}</span>
+                </div>
+              ))}
+              {order.taxNote && (
+                <p className='text-xs text-[var(--theme-text-subtle)]'>{order.taxNote}</p>
+              )}
+            </div>
+          )}
+
+          <div className='flex justify-between items-center pt-2'>
+            <span className='font-semibold'>Total</span>
+            <span className='text-xl font-bold text-[var(--theme-primary)]'>{formatPrice(order.totalAmount, order.currency)}</span>
+          </div>
+
+          {order.storeCreditAmount > 0 && (
+            <div className='space-y-1 text-sm'>
+              <div className='flex justify-between text-[var(--theme-success)]'>
+                <span>Paid with store credit</span>
+                <span>−{formatPrice(order.storeCreditAmount, order.currency)}</span>
+              </div>
+              <div className='flex justify-between text-[var(--theme-text-secondary)]'>
+                <span>{order.paymentStatus === 'paid' ? 'Charged to your payment method' : 'Left to pay'}</span>
+                <span>{formatPrice(Math.max(order.totalAmount - order.storeCreditAmount, 0), order.currency)}</span>
+              </div>
+            </div>
+          )}
+
+          <div className='text-sm text-[var(--theme-text-secondary)]'>
+            Placed on {new Date(order.createdAt).toLocaleString()}
+          </div>
+        </motion.div>
+
+        <div className='mt-8 flex flex-col sm:flex-row gap-3 justify-center'>
+          {canPay && (
+            <button
+              onClick={handlePay}
+              disabled={paying}
+              className='rounded-full px-6 py-3 text-sm font-semibold text-white bg-[var(--theme-primary)] text-center disabled:opacity-50'
+            >
+              {paying ? 'Redirecting...' : (order.paymentStatus === 'failed' ? 'Try payment again' : 'Pay now')}
+            </button>
+          )}
+          {order.paymentStatus === 'paid' && (
+            <button
+              onClick={() => downloadInvoice(order._id).catch(() => toast.error('Could not download the invoice.'))}
+              className='rounded-full px-6 py-3 text-sm font-semibold border border-[var(--theme-border)] text-center'
+            >
+              Download invoice
+            </button>
+          )}
+          <Link to='/user/dashboard' className='rounded-full px-6 py-3 text-sm font-semibold text-white bg-[var(--theme-primary)] text-center'>
+            Go to dashboard
+          </Link>
+          <Link to='/catalog' className='rounded-full px-6 py-3 text-sm font-semibold border border-[var(--theme-border)] text-center'>
+            Continue shopping
+          </Link>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default UserOrderConfirmation
@@ -9,6 +9,8 @@
  * - Account information display (name, email, verification status)
  * - Account details (ID, member since, last updated)
  * - Profile picture upload modal with preview
+ * - Store credit wallet balance and ledger
+ * - Referral link with referred friends and rewards
  * - Logout functionality
  * - Form validation for file uploads (JPG, PNG, max 2MB)
  * 
@@ -22,6 +24,8 @@
  * - POST /api/users/upload-profile-pic - Upload new profile picture
  * - PUT /api/users/update-profile-pic - Update existing profile picture
  * - DELETE /api/users/delete-profile-pic - Delete profile picture
+ * - GET /api/users/wallet - Store credit balance and ledger
+ * - GET /api/users/referrals - Referral link and referred friends
  * 
  * @component
  */
@@ -33,6 +37,21 @@ import { toast } from 'react-toastify'
 import { useUser } from '../../context/UserContext'
 import Navbar from '../../components/Navbar'
 import axios from 'axios'
+import { getWallet } from '../../lib/api/wallet'
+import { getReferrals } from '../../lib/api/referrals'
+
+const WALLET_PAGE_SIZE = 10
+
+// Ledger reasons as customers read them
+const WALLET_REASON_LABELS = {
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+  gift_unclaimed: 'Unclaimed gift',
+  goodwill: 'Goodwill credit',
+  checkout_payment: 'Paid for order',
+  checkout_reversal: 'Order cancelled',
+  referral_reward: 'Referral reward'
+}
 
 /**
  * UserProfile Component
@@ -55,6 +74,15 @@ const UserProfile = () => {
   const [isUploading, setIsUploading] = useState(false)
   const [showUploadModal, setShowUploadModal] = useState(false)
 
+  // Store credit wallet
+  const [wallet, setWallet] = useState(null)
+  const [walletPage, setWalletPage] = useState(1)
+  const [walletLoading, setWalletLoading] = useState(false)
+
+  // Referral program (the code is only issued to verified accounts)
+  const [referrals, setReferrals] = useState(null)
+  const [referralError, setReferralError] = useState('')
+
   /**
    * Get API Base URL Helper
    * 
@@ -130,6 +158,57 @@ const UserProfile = () => {
     fetchProfile()
   }, [isAuthenticated, user, navigate, isInitialized])
 
+  // Fetch the store credit ledger one page at a time
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated || !user || user.type !== 'user') return
+
+    let cancelled = false
+    setWalletLoading(true)
+    getWallet({ page: walletPage, limit: WALLET_PAGE_SIZE })
+      .then(data => {
+        if (!cancelled) setWallet(data)
+      })
+      .catch(err => {
+        if (!cancelled) console.error('Wallet fetch error:', err)
+      })
+      .finally(() => {
+        if (!cancelled) setWalletLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [isAuthenticated, user, isInitialized, walletPage])
+
+  // Fetch the referral link once the profile shows a verified account
+  useEffect(() => {
+    if (!profile?.isAccountVerified) return
+
+    let cancelled = false
+    getReferrals()
+      .then(data => {
+        if (!cancelled) setReferrals(data)
+      })
+      .catch(err => {
+        if (!cancelled) setReferralError(err?.response?.data?.message || 'Could not load your referral link')
+      })
+    return () => { cancelled = true }
+  }, [profile?.isAccountVerified])
+
+  const handleCopyReferralLink = async () => {
+    try {
+      await navigator.clipboard.writeText(referrals.link)
+      toast.success('Referral link copied')
+    } catch (_) {
+      toast.error('Could not copy the link')
+    }
+  }
+
+  const formatWalletAmount = (amount, currency) => {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
+    } catch (_) {
+      return `${currency} ${Number(amount).toFixed(2)}`
+    }
+  }
+
   // Handle logout
   const handleLogout = async () => {
     try {
@@ -637,6 +716,146 @@ const UserProfile = () => {
                 </div>
               </div>
 
+              {/* Store Credit Wallet */}
+              <div className='mt-8 pt-6 border-t glass-border'>
+                <div className='flex flex-col sm:flex-row gap-2 justify-between sm:items-end mb-4'>
+                  <div>
+                    <h3 className='text-lg font-semibold text-brand-primary mb-1' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+                      Store Credit
+                    </h3>
+                    <p className='text-sm text-theme-muted' style={{ fontFamily: 'Inter, system-ui' }}>
+                      Refunds and credits land here and can be used at checkout
+                    </p>
+                  </div>
+                  <p className='text-2xl font-bold text-theme-primary' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+                    {wallet ? formatWalletAmount(wallet.balance, wallet.currency) : '—'}
+                  </p>
+                </div>
+
+                {wallet && wallet.transactions.length > 0 ? (
+                  <>
+                    <div className='rounded-xl glass-border bg-white/5 divide-y divide-white/10'>
+                      {wallet.transactions.map(entry => (
+                        <div key={entry._id} className='flex justify-between gap-4 p-4 text-sm' style={{ fontFamily: 'Inter, system-ui' }}>
+                          <div className='min-w-0'>
+                            <p className='text-theme-primary font-medium'>
+                              {WALLET_REASON_LABELS[entry.reason] || entry.reason}
+                              {entry.orderId?.orderNumber && (
+                                <Link to={`/user/orders/${entry.orderId._id}`} className='ml-2 text-brand-primary hover:underline'>
+                                  {entry.orderId.orderNumber}
+                                </Link>
+                              )}
+                            </p>
+                            {entry.note && <p className='text-theme-muted mt-1 break-words'>{entry.note}</p>}
+                            <p className='text-theme-muted text-xs mt-1'>{new Date(entry.createdAt).toLocaleString()}</p>
+                          </div>
+                          <div className='text-right shrink-0'>
+                            <p className={entry.amount < 0 ? 'text-red-300 font-semibold' : 'text-green-400 font-semibold'}>
+                              {entry.amount > 0 ? '+' : ''}{formatWalletAmount(entry.amount, entry.currency)}
+                            </p>
+                            <p className='text-theme-muted text-xs mt-1'>Balance {formatWalletAmount(entry.balanceAfter, entry.currency)}</p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {wallet.total > WALLET_PAGE_SIZE && (
+                      <div className='flex justify-end items-center gap-3 mt-3 text-sm' style={{ fontFamily: 'Inter, system-ui' }}>
+                        <button
+                          type='button'
+                          onClick={() => setWalletPage(page => page - 1)}
+                          disabled={walletLoading || walletPage <= 1}
+                          className='px-3 py-1 rounded-lg glass-border disabled:opacity-40'
+                        >
+                          Previous
+                        </button>
+                        <span className='text-theme-muted'>Page {walletPage} of {Math.ceil(wallet.total / WALLET_PAGE_SIZE)}</span>
+                        <button
+                          type='button'
+                          onClick={() => setWalletPage(page => page + 1)}
+                          disabled={walletLoading || walletPage * WALLET_PAGE_SIZE >= wallet.total}
+                          className='px-3 py-1 rounded-lg glass-border disabled:opacity-40'
+                        >
+                          Next
+                        </button>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className='text-sm text-theme-muted' style={{ fontFamily: 'Inter, system-ui' }}>
+                    {walletLoading ? 'Loading…' : 'No store credit activity yet.'}
+                  </p>
+                )}
+              </div>
+
+              {/* Referrals */}
+              <div className='mt-8 pt-6 border-t glass-border'>
+                <h3 className='text-lg font-semibold text-brand-secondary mb-1' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+                  Invite Friends
+                </h3>
+                {!profile?.isAccountVerified ? (
+                  <p className='text-sm text-theme-muted' style={{ fontFamily: 'Inter, system-ui' }}>
+                    Verify your email address to get your referral link.
+                  </p>
+                ) : referralError ? (
+                  <p className='text-sm text-theme-muted' style={{ fontFamily: 'Inter, system-ui' }}>{referralError}</p>
+                ) : !referrals ? (
+                  <p className='text-sm text-theme-muted' style={{ fontFamily: 'Inter, system-ui' }}>Loading…</p>
+                ) : (
+                  <div className='space-y-4' style={{ fontFamily: 'Inter, system-ui' }}>
+                    <p className='text-sm text-theme-muted'>
+                      {referrals.reward.type === 'coupon'
+                        ? `When a friend signs up with your link and pays for their first order, you both get ${referrals.reward.percent}% off your next order.`
+                        : `When a friend signs up with your link and pays for their first order, you get ${formatWalletAmount(referrals.reward.referrer, referrals.reward.currency)} and they get ${formatWalletAmount(referrals.reward.referee, referrals.reward.currency)} in store credit.`}
+                    </p>
+                    <div className='flex flex-col sm:flex-row gap-2'>
+                      <input
+                        type='text'
+                        readOnly
+                        value={referrals.link}
+                        onFocus={(e) => e.target.select()}
+                        className='flex-1 px-4 py-2 rounded-lg glass-border bg-white/5 text-theme-primary text-sm font-mono'
+                      />
+                      <button
+                        type='button'
+                        onClick={handleCopyReferralLink}
+                        className='px-4 py-2 bg-brand-primary text-theme-primary rounded-lg hover:bg-brand-primary/90 transition-colors text-sm'
+                      >
+                        Copy link
+                      </button>
+                    </div>
+                    <div className='grid grid-cols-3 gap-4'>
+                      <div className='p-4 rounded-xl glass-border bg-white/5'>
+                        <label className='text-sm text-theme-muted font-medium'>Friends joined</label>
+                        <p className='text-theme-primary mt-1 text-xl font-semibold'>{referrals.stats.signups}</p>
+                      </div>
+                      <div className='p-4 rounded-xl glass-border bg-white/5'>
+                        <label className='text-sm text-theme-muted font-medium'>Rewarded</label>
+                        <p className='text-theme-primary mt-1 text-xl font-semibold'>{referrals.stats.rewarded}</p>
+                      </div>
+                      <div className='p-4 rounded-xl glass-border bg-white/5'>
+                        <label className='text-sm text-theme-muted font-medium'>Credit earned</label>
+                        <p className='text-theme-primary mt-1 text-xl font-semibold'>{formatWalletAmount(referrals.stats.creditEarned, referrals.stats.currency)}</p>
+                      </div>
+                    </div>
+                    {referrals.referrals.length > 0 && (
+                      <ul className='rounded-xl glass-border bg-white/5 divide-y divide-white/10 text-sm'>
+                        {referrals.referrals.map(referral => (
+                          <li key={referral._id} className='flex justify-between gap-4 p-3'>
+                            <span className='text-theme-primary'>
+                              {referral.name}
+                              <span className='ml-2 text-theme-muted text-xs'>joined {new Date(referral.createdAt).toLocaleDateString()}</span>
+                            </span>
+                            <span className={referral.status === 'rewarded' ? 'text-green-400' : 'text-theme-muted'}>
+                              {referral.status === 'rewarded' ? (referral.reward || 'Rewarded') : 'Waiting for first order'}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+
               {/* Actions */}
               <div className='mt-8 pt-6 border-t glass-border'>
                 <div className='flex flex-col sm:flex-row gap-4 justify-between items-start sm:items-center'>
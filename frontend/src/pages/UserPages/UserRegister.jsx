@@ -27,9 +27,10 @@
  */
 
 import React, { useState } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useNavigate, Link, useSearchParams } from 'react-router-dom'
 import logo from '../../assets/branding/nextsubscription_main_logo.png'
 import axios from 'axios'
+import { getDeviceId } from '../../lib/api/userSession'
 import { toast } from 'react-toastify'
 
 /**
@@ -41,6 +42,11 @@ import { toast } from 'react-toastify'
  */
 const UserRegister = () => {
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  // Carried through to login (e.g. back to a gift claim)
+  const loginPath = searchParams.get('redirect') ? `/user/login?redirect=${encodeURIComponent(searchParams.get('redirect'))}` : '/user/login'
+  // Referral code from a friend's link (?ref=CODE)
+  const referralCode = (searchParams.get('ref') || '').trim().toUpperCase()
   const [firstName, setFirstName] = useState('')
   const [lastName, setLastName] = useState('')
   const [email, setEmail] = useState('')
@@ -98,6 +104,8 @@ const UserRegister = () => {
         ...(lastName && lastName.trim() ? { lastname: lastName.trim() } : {}),
         email,
         password,
+        deviceId: getDeviceId(),
+        ...(referralCode ? { referralCode } : {}),
       }
       // Send POST to registration endpoint with explicit JSON headers
       const { data } = await axios.post(`${apiBase}/api/users/register`, payload, {
@@ -109,7 +117,7 @@ const UserRegister = () => {
       })
       toast.dismiss()
       toast.success(data?.message || 'Account created! Please log in.')
-      navigate('/user/login')
+      navigate(loginPath)
     } catch (err) {
       // Extract an informative error message from API response if available
       const apiMessage = err?.response?.data?.message
@@ -148,6 +156,9 @@ const UserRegister = () => {
             <div className='text-center mb-8'>
               <h1 className='text-3xl sm:text-4xl font-bold tracking-tight text-theme-primary mb-2' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>Create your account</h1>
               <p className='text-base text-theme-secondary'>Start managing your subscriptions with confidence</p>
+              {referralCode && (
+                <p className='mt-3 text-sm text-brand-primary'>🤝 You were invited by a friend. You both get a reward after your first order.</p>
+              )}
             </div>
 
             <form onSubmit={handleSubmit} className='mt-6 space-y-4'>
@@ -282,7 +293,7 @@ const UserRegister = () => {
 
               <div className='mt-3 flex items-center justify-between text-xs text-theme-secondary'>
                 <span>Already have an account?</span>
-                <Link to='/user/login' className='font-medium text-theme-primary'>Log in</Link>
+                <Link to={loginPath} className='font-medium text-theme-primary'>Log in</Link>
               </div>
             </form>
           </div>
@@ -0,0 +1,485 @@
+/**
+ * UserSubscriptions.jsx - My Subscriptions Page
+ *
+ * Lists everything the customer has bought with its delivery state. Access
+ * details (passwords, PINs, license keys) stay hidden until the customer
+ * explicitly reveals them; each reveal is audited by the backend. Renewing
+ * creates a renewal order that extends the same access once paid. Broken
+ * access can be reported as a warranty claim while the warranty window is open;
+ * a claim left unresolved for 24 hours qualifies for a refund request.
+ * The invoice of each order can be downloaded as a PDF.
+ *
+ * @component UserSubscriptions
+ */
+
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { toast } from 'react-toastify'
+import Navbar from '../../components/Navbar'
+import { useUser } from '../../context/UserContext'
+import { getMySubscriptions, revealAccess, renewSubscription, reportAccessProblem, getMyClaims, requestRefund, getMyRefunds } from '../../lib/api/subscriptions'
+import { payOrder, downloadInvoice } from '../../lib/api/orders'
+import { followPaymentRedirect } from '../../lib/api/payments'
+import { PROVIDER_LABELS } from '../../utils/constants'
+
+const glassCard = 'rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+
+const STATUS_FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'active', label: 'Active' },
+  { id: 'expiring', label: 'Expiring soon' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'expired', label: 'Expired' },
+  { id: 'refunded', label: 'Refunded' }
+]
+
+const STATUS_STYLES = {
+  active: { label: 'Active', className: 'bg-[var(--theme-success-light)] text-[var(--theme-success)]' },
+  expiring: { label: 'Expiring soon', className: 'bg-[var(--theme-warning-light)] text-[var(--theme-warning)]' },
+  expired: { label: 'Expired', className: 'bg-[var(--theme-error-light)] text-[var(--theme-error)]' },
+  pending: { label: 'Being prepared', className: 'bg-[var(--theme-info-light)] text-[var(--theme-info)]' },
+  refunded: { label: 'Refunded', className: 'bg-[var(--theme-surface)] text-[var(--theme-text-secondary)]' }
+}
+
+const ACCESS_LABELS = {
+  account_share: 'Profile',
+  email_invite: 'Invite',
+  license_key: 'License key'
+}
+
+const ISSUE_TYPES = [
+  { id: 'not_working', label: 'Access not working' },
+  { id: 'wrong_credentials', label: 'Wrong login details' },
+  { id: 'password_changed', label: 'Password was changed' },
+  { id: 'profile_taken', label: 'Profile used by someone else' },
+  { id: 'other', label: 'Something else' }
+]
+
+const CLAIM_STATUS_LABELS = {
+  open: 'Claim submitted',
+  in_review: 'Claim under review',
+  replaced: 'Replaced',
+  rejected: 'Claim declined',
+  refunded: 'Refunded'
+}
+
+const REFUND_STATUS_LABELS = {
+  requested: 'Refund requested',
+  processing: 'Refund in progress',
+  completed: 'Refund completed',
+  rejected: 'Refund declined',
+  failed: 'Refund failed, our team will follow up'
+}
+
+// Failure guarantee: unresolved claims qualify for a refund after this long
+const REFUND_GUARANTEE_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Field labels for revealed access details
+ */
+const REVEALED_FIELDS = [
+  { key: 'accountEmail', label: 'Account email' },
+  { key: 'accountPassword', label: 'Password' },
+  { key: 'profileName', label: 'Profile' },
+  { key: 'pin', label: 'PIN' },
+  { key: 'inviteEmail', label: 'Invite email' },
+  { key: 'inviteStatus', label: 'Invite status' },
+  { key: 'licenseKey', label: 'License key' }
+]
+
+/**
+ * UserSubscriptions Component
+ *
+ * @returns {JSX.Element} Subscriptions page
+ */
+const UserSubscriptions = () => {
+  const navigate = useNavigate()
+  const { user, isAuthenticated, isInitialized } = useUser()
+  const [subscriptions, setSubscriptions] = useState([])
+  const [statusFilter, setStatusFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [revealed, setRevealed] = useState({})
+  const [revealingId, setRevealingId] = useState(null)
+  const [renewingId, setRenewingId] = useState(null)
+  const [claims, setClaims] = useState([])
+  const [reportingId, setReportingId] = useState(null)
+  const [claimForm, setClaimForm] = useState({ issueType: 'not_working', description: '' })
+  const [submittingClaim, setSubmittingClaim] = useState(false)
+  const [refunds, setRefunds] = useState([])
+  const [requestingRefundId, setRequestingRefundId] = useState(null)
+
+  useEffect(() => {
+    if (!isInitialized) return
+    if (!isAuthenticated || !user || user.type !== 'user') {
+      navigate('/user/login?redirect=/user/subscriptions')
+    }
+  }, [isInitialized, isAuthenticated, user, navigate])
+
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated) return
+    let cancelled = false
+    const load = async () => {
+      setLoading(true)
+      try {
+        const [data, claimList, refundList] = await Promise.all([
+          getMySubscriptions(statusFilter ? { status: statusFilter } : {}),
+          getMyClaims(),
+          getMyRefunds()
+        ])
+        if (!cancelled) {
+          setSubscriptions(data)
+          setClaims(claimList)
+          setRefunds(refundList)
+        }
+      } catch (err) {
+        console.error('Subscriptions error:', err)
+        if (!cancelled) toast.error(err?.response?.data?.message || 'Failed to load subscriptions')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [statusFilter, isInitialized, isAuthenticated])
+
+  const handleReveal = async (subscription, access) => {
+    if (revealingId) return
+    setRevealingId(access._id)
+    try {
+      const details = await revealAccess(subscription._id, access._id)
+      setRevealed(prev => ({ ...prev, [access._id]: details }))
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not reveal access details')
+    } finally {
+      setRevealingId(null)
+    }
+  }
+
+  const handleDownloadInvoice = async (subscription) => {
+    try {
+      await downloadInvoice(subscription.orderId)
+    } catch (err) {
+      toast.error('Could not download the invoice. Please try again.')
+    }
+  }
+
+  const handleRenew = async (subscription) => {
+    if (renewingId) return
+    setRenewingId(subscription._id)
+    try {
+      const order = await renewSubscription(subscription._id)
+      const payment = await payOrder(order._id)
+      followPaymentRedirect(payment.redirectUrl, navigate)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not start renewal')
+      setRenewingId(null)
+    }
+  }
+
+  const openClaimForm = (accessId) => {
+    setReportingId(accessId)
+    setClaimForm({ issueType: 'not_working', description: '' })
+  }
+
+  const handleSubmitClaim = async (subscription, access) => {
+    if (submittingClaim) return
+    setSubmittingClaim(true)
+    try {
+      const claim = await reportAccessProblem(subscription._id, access._id, claimForm)
+      setClaims(prev => [claim, ...prev])
+      setReportingId(null)
+      toast.success(`Claim ${claim.claimNumber} submitted`)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not submit your claim')
+    } finally {
+      setSubmittingClaim(false)
+    }
+  }
+
+  const handleRequestRefund = async (claim) => {
+    if (requestingRefundId) return
+    setRequestingRefundId(claim._id)
+    try {
+      const refund = await requestRefund(claim._id)
+      setRefunds(prev => [refund, ...prev])
+      toast.success(`Refund ${refund.refundNumber} requested`)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not request a refund')
+    } finally {
+      setRequestingRefundId(null)
+    }
+  }
+
+  const handleHide = (accessId) => {
+    setRevealed(prev => {
+      const next = { ...prev }
+      delete next[accessId]
+      return next
+    })
+  }
+
+  const handleCopy = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value)
+      toast.success('Copied to clipboard')
+    } catch {
+      toast.error('Could not copy')
+    }
+  }
+
+  return (
+    <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <main className='relative z-10 mx-auto max-w-5xl px-6 py-10'>
+        <motion.div
+          className='mb-8'
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <h1 className='text-3xl font-bold tracking-tight' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+            My Subscriptions
+          </h1>
+          <p className='text-[var(--theme-text-secondary)] mt-2'>Your plans and how to access them.</p>
+        </motion.div>
+
+        <div className='flex flex-wrap gap-2 mb-6'>
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.id || 'all'}
+              onClick={() => setStatusFilter(filter.id)}
+              className={`rounded-full px-4 py-2 text-sm font-medium border transition-colors ${
+                statusFilter === filter.id
+                  ? 'border-[var(--theme-primary)] bg-[var(--theme-primary)] text-white'
+                  : 'border-[var(--theme-border)] text-[var(--theme-text-secondary)] hover:border-[var(--theme-primary)]'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className='flex items-center justify-center py-24'>
+            <div className='h-10 w-10 animate-spin rounded-full border-2 border-[var(--theme-primary)] border-t-transparent' />
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <div className={`${glassCard} text-center py-12`}>
+            <p className='text-lg font-semibold'>No subscriptions yet</p>
+            <p className='text-sm text-[var(--theme-text-secondary)] mt-2'>Plans you buy will show up here.</p>
+            <Link to='/catalog' className='inline-block mt-6 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+              Browse catalog
+            </Link>
+          </div>
+        ) : (
+          <div className='space-y-4'>
+            {subscriptions.map(subscription => {
+              const status = STATUS_STYLES[subscription.status] || STATUS_STYLES.pending
+              return (
+                <motion.div
+                  key={subscription._id}
+                  className={glassCard}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <div className='flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3'>
+                    <div>
+                      <p className='text-lg font-semibold'>{subscription.productTitle}</p>
+                      {subscription.bundleTitle && (
+                        <p className='text-xs text-[var(--theme-text-subtle)]'>Part of {subscription.bundleTitle}</p>
+                      )}
+                      {subscription.isGift && (
+                        <p className='text-xs text-[var(--theme-text-subtle)]'>🎁 Received as a gift</p>
+                      )}
+                      <p className='text-sm text-[var(--theme-text-secondary)]'>
+                        {subscription.provider ? `${PROVIDER_LABELS[subscription.provider] || subscription.provider} · ` : ''}
+                        {subscription.planDurationDays ? `${subscription.planDurationDays} days · ` : ''}
+                        Order {subscription.orderNumber} ·{' '}
+                        <button
+                          onClick={() => handleDownloadInvoice(subscription)}
+                          className='text-[var(--theme-primary)] hover:underline'
+                        >
+                          Invoice
+                        </button>
+                      </p>
+                      {subscription.expiresAt && (
+                        <p className='text-sm text-[var(--theme-text-secondary)] mt-1'>
+                          {subscription.status === 'expired' ? 'Expired' : 'Expires'} {new Date(subscription.expiresAt).toLocaleDateString()}
+                        </p>
+                      )}
+                    </div>
+                    <div className='flex items-center gap-3 self-start'>
+                      <span className={`rounded-full px-3 py-1 text-xs font-semibold ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {subscription.canRenew && (
+                        <button
+                          onClick={() => handleRenew(subscription)}
+                          disabled={Boolean(renewingId)}
+                          className='rounded-full px-4 py-1.5 text-sm font-semibold border border-[var(--theme-primary)] text-[var(--theme-primary)] hover:bg-[var(--theme-primary)] hover:text-white transition-colors disabled:opacity-50'
+                        >
+                          {renewingId === subscription._id ? 'Starting...' : 'Renew'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {subscription.access.length === 0 ? (
+                    <p className='mt-4 text-sm text-[var(--theme-text-secondary)]'>
+                      {subscription.allocationStatus === 'manual'
+                        ? 'The seller is preparing your access and will deliver it shortly.'
+                        : 'Your access is being prepared. You will find it here as soon as it is ready.'}
+                    </p>
+                  ) : (
+                    <div className='mt-4 space-y-3'>
+                      {subscription.access.map((access, index) => {
+                        const details = revealed[access._id]
+                        // Claims arrive newest first
+                        const claim = claims.find(entry => String(entry.allocationId) === String(access._id))
+                        const claimOpen = claim && ['open', 'in_review'].includes(claim.status)
+                        const refund = claim && refunds.find(entry => String(entry.claimId) === String(claim._id))
+                        const canRequestRefund = claimOpen && (!refund || ['rejected', 'failed'].includes(refund.status)) &&
+                          Date.now() - new Date(claim.createdAt).getTime() >= REFUND_GUARANTEE_MS
+                        const canClaim = !claimOpen && !['expired', 'refunded'].includes(subscription.status) &&
+                          subscription.warrantyEndsAt && new Date(subscription.warrantyEndsAt) > new Date()
+                        return (
+                          <div key={access._id} className='rounded-2xl border border-[var(--theme-border)] p-4'>
+                            <div className='flex items-center justify-between gap-3'>
+                              <p className='text-sm font-medium'>
+                                {ACCESS_LABELS[access.credentialType] || 'Access'}
+                                {access.profileName ? `: ${access.profileName}` : (subscription.access.length > 1 ? ` #${index + 1}` : '')}
+                              </p>
+                              {details ? (
+                                <button onClick={() => handleHide(access._id)} className='text-sm font-semibold text-[var(--theme-text-secondary)] hover:text-[var(--theme-primary)]'>
+                                  Hide
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => handleReveal(subscription, access)}
+                                  disabled={revealingId === access._id || ['expired', 'refunded'].includes(subscription.status)}
+                                  className='rounded-full px-4 py-1.5 text-sm font-semibold text-white bg-[var(--theme-primary)] disabled:opacity-50'
+                                >
+                                  {revealingId === access._id ? 'Revealing...' : 'Reveal'}
+                                </button>
+                              )}
+                            </div>
+
+                            {claim && (
+                              <p className='mt-2 text-xs text-[var(--theme-text-secondary)]'>
+                                {CLAIM_STATUS_LABELS[claim.status] || claim.status} · {claim.claimNumber}
+                                {claim.resolutionNote ? ` · ${claim.resolutionNote}` : ''}
+                                {refund ? ` · ${REFUND_STATUS_LABELS[refund.status] || refund.status}` : ''}
+                                {refund?.status === 'completed' && refund.approvedAmount != null
+                                  ? ` (${refund.approvedAmount} ${refund.currency}${refund.method === 'store_credit' ? ' store credit' : ''})`
+                                  : ''}
+                              </p>
+                            )}
+
+                            {canRequestRefund && (
+                              <button
+                                onClick={() => handleRequestRefund(claim)}
+                                disabled={requestingRefundId === claim._id}
+                                className='mt-2 text-xs font-semibold text-[var(--theme-primary)] disabled:opacity-50'
+                              >
+                                {requestingRefundId === claim._id ? 'Requesting...' : 'Still not working after 24 hours? Request a refund'}
+                              </button>
+                            )}
+
+                            {canClaim && reportingId !== access._id && (
+                              <button
+                                onClick={() => openClaimForm(access._id)}
+                                className='mt-2 text-xs font-semibold text-[var(--theme-text-secondary)] hover:text-[var(--theme-primary)]'
+                              >
+                                Report a problem (warranty until {new Date(subscription.warrantyEndsAt).toLocaleDateString()})
+                              </button>
+                            )}
+
+                            {reportingId === access._id && (
+                              <div className='mt-3 space-y-2 rounded-xl bg-[var(--theme-surface)] p-3'>
+                                <select
+                                  value={claimForm.issueType}
+                                  onChange={(e) => setClaimForm(prev => ({ ...prev, issueType: e.target.value }))}
+                                  className='w-full rounded-lg border border-[var(--theme-border)] bg-transparent px-3 py-2 text-sm'
+                                >
+                                  {ISSUE_TYPES.map(type => (
+                                    <option key={type.id} value={type.id}>{type.label}</option>
+                                  ))}
+                                </select>
+                                <textarea
+                                  value={claimForm.description}
+                                  onChange={(e) => setClaimForm(prev => ({ ...prev, description: e.target.value }))}
+                                  maxLength={2000}
+                                  rows={3}
+                                  placeholder='What happens when you try to use it?'
+                                  className='w-full rounded-lg border border-[var(--theme-border)] bg-transparent px-3 py-2 text-sm'
+                                />
+                                <div className='flex justify-end gap-2'>
+                                  <button
+                                    onClick={() => setReportingId(null)}
+                                    className='rounded-full px-4 py-1.5 text-sm font-semibold text-[var(--theme-text-secondary)]'
+                                  >
+                                    Cancel
+                                  </button>
+                                  <button
+                                    onClick={() => handleSubmitClaim(subscription, access)}
+                                    disabled={submittingClaim}
+                                    className='rounded-full px-4 py-1.5 text-sm font-semibold text-white bg-[var(--theme-primary)] disabled:opacity-50'
+                                  >
+                                    {submittingClaim ? 'Submitting...' : 'Submit claim'}
+                                  </button>
+                                </div>
+                              </div>
+                            )}
+
+                            {details && (
+                              <dl className='mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3'>
+                                {REVEALED_FIELDS.filter(field => details[field.key]).map(field => (
+                                  <div key={field.key} className='rounded-xl bg-[var(--theme-surface)] px-3 py-2'>
+                                    <dt className='text-xs text-[var(--theme-text-secondary)]'>{field.label}</dt>
+                                    <dd className='flex items-center justify-between gap-2 font-mono text-sm break-all'>
+                                      <span>{details[field.key]}</span>
+                                      <button
+                                        onClick={() => handleCopy(details[field.key])}
+                                        className='text-xs font-sans font-semibold text-[var(--theme-primary)]'
+                                      >
+                                        Copy
+                                      </button>
+                                    </dd>
+                                  </div>
+                                ))}
+                              </dl>
+                            )}
+                          </div>
+                        )
+                      })}
+                    </div>
+                  )}
+
+                  {subscription.renewals?.length > 0 && (
+                    <div className='mt-4 border-t border-[var(--theme-border)] pt-3'>
+                      <p className='text-xs font-semibold uppercase tracking-wide text-[var(--theme-text-secondary)]'>Renewals</p>
+                      <ul className='mt-2 space-y-1 text-sm text-[var(--theme-text-secondary)]'>
+                        {subscription.renewals.map(renewal => (
+                          <li key={`${renewal.orderNumber}-${renewal.renewedAt}`}>
+                            {new Date(renewal.renewedAt).toLocaleDateString()} · Order {renewal.orderNumber} ·{' '}
+                            {renewal.mode === 'extended'
+                              ? `+${renewal.days} days, now until ${new Date(renewal.newExpiresAt).toLocaleDateString()}`
+                              : 'delivered as new access'}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </motion.div>
+              )
+            })}
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default UserSubscriptions
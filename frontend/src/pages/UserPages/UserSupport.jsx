@@ -0,0 +1,385 @@
+/**
+ * UserSupport.jsx - Support Tickets Page
+ *
+ * Customers open tickets (optionally about a specific order), follow the
+ * conversation with our support team and reply with attachments. Replying
+ * to a resolved ticket reopens it; closed tickets are read-only.
+ *
+ * @component UserSupport
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { toast } from 'react-toastify'
+import Navbar from '../../components/Navbar'
+import { useUser } from '../../context/UserContext'
+import { getMyTickets, openTicket, replyToTicket, closeTicket, downloadTicketAttachment } from '../../lib/api/support'
+import { getMyOrders } from '../../lib/api/orders'
+
+const glassCard = 'rounded-3xl p-6 backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+const inputClass = 'w-full rounded-lg border border-[var(--theme-border)] bg-transparent px-3 py-2 text-sm'
+
+const CATEGORIES = [
+  { id: 'order', label: 'An order' },
+  { id: 'subscription', label: 'A subscription' },
+  { id: 'payment', label: 'Payment or billing' },
+  { id: 'account', label: 'My account' },
+  { id: 'other', label: 'Something else' }
+]
+
+const STATUS_STYLES = {
+  open: { label: 'Waiting for support', className: 'bg-[var(--theme-info-light)] text-[var(--theme-info)]' },
+  pending: { label: 'Awaiting your reply', className: 'bg-[var(--theme-warning-light)] text-[var(--theme-warning)]' },
+  resolved: { label: 'Resolved', className: 'bg-[var(--theme-success-light)] text-[var(--theme-success)]' },
+  closed: { label: 'Closed', className: 'bg-[var(--theme-surface)] text-[var(--theme-text-secondary)]' }
+}
+
+const AUTHOR_LABELS = {
+  customer: 'You',
+  admin: 'Support',
+  vendor: 'Supplier',
+  system: 'System'
+}
+
+const MAX_FILES = 3
+
+const EMPTY_FORM = { subject: '', category: 'order', orderId: '', body: '' }
+
+/**
+ * UserSupport Component
+ *
+ * @returns {JSX.Element} Support page
+ */
+const UserSupport = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const { user, isAuthenticated, isInitialized } = useUser()
+  const [tickets, setTickets] = useState([])
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selectedId, setSelectedId] = useState(null)
+  const [composing, setComposing] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [files, setFiles] = useState([])
+  const [reply, setReply] = useState('')
+  const [replyFiles, setReplyFiles] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!isInitialized) return
+    if (!isAuthenticated || !user || user.type !== 'user') {
+      navigate('/user/login?redirect=/user/support')
+    }
+  }, [isInitialized, isAuthenticated, user, navigate])
+
+  useEffect(() => {
+    if (!isInitialized || !isAuthenticated) return
+    let cancelled = false
+
+    Promise.all([getMyTickets(), getMyOrders({ limit: 50 })])
+      .then(([ticketList, orderData]) => {
+        if (cancelled) return
+        setTickets(ticketList)
+        setOrders(orderData.orders || [])
+        const orderId = searchParams.get('orderId')
+        if (orderId) {
+          setComposing(true)
+          setForm({ ...EMPTY_FORM, orderId })
+        }
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Could not load your tickets')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [isInitialized, isAuthenticated, searchParams])
+
+  const selected = tickets.find(ticket => ticket._id === selectedId) || null
+
+  const replaceTicket = (ticket) => {
+    setTickets(prev => [ticket, ...prev.filter(entry => entry._id !== ticket._id)])
+  }
+
+  const pickFiles = (event, setter) => {
+    const picked = Array.from(event.target.files || [])
+    if (picked.length > MAX_FILES) {
+      toast.error(`You can attach up to ${MAX_FILES} files`)
+    }
+    setter(picked.slice(0, MAX_FILES))
+  }
+
+  const handleOpenTicket = async (event) => {
+    event.preventDefault()
+    if (submitting) return
+    setSubmitting(true)
+    try {
+      const ticket = await openTicket(form, files)
+      replaceTicket(ticket)
+      setSelectedId(ticket._id)
+      setComposing(false)
+      setForm(EMPTY_FORM)
+      setFiles([])
+      toast.success(`Ticket ${ticket.ticketNumber} opened. We will get back to you by email.`)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not open ticket')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleReply = async (event) => {
+    event.preventDefault()
+    if (!selected || submitting) return
+    setSubmitting(true)
+    try {
+      const ticket = await replyToTicket(selected._id, reply, replyFiles)
+      replaceTicket(ticket)
+      setReply('')
+      setReplyFiles([])
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not send reply')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleClose = async () => {
+    if (!selected || submitting) return
+    setSubmitting(true)
+    try {
+      replaceTicket(await closeTicket(selected._id))
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Could not close ticket')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadTicketAttachment(selected._id, attachment)
+    } catch (err) {
+      toast.error('Could not download attachment')
+    }
+  }
+
+  return (
+    <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <main className='relative z-10 mx-auto max-w-5xl px-6 py-10'>
+        <motion.div
+          className='mb-8 flex flex-wrap items-end justify-between gap-4'
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div>
+            <h1 className='text-3xl font-bold tracking-tight' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Support
+            </h1>
+            <p className='text-[var(--theme-text-secondary)] mt-2'>Ask us anything about your orders and subscriptions.</p>
+          </div>
+          <button
+            onClick={() => { setComposing(true); setSelectedId(null) }}
+            className='rounded-full bg-[var(--theme-primary)] px-5 py-2 text-sm font-semibold text-white'
+          >
+            New ticket
+          </button>
+        </motion.div>
+
+        {loading ? (
+          <div className='flex items-center justify-center py-24'>
+            <div className='h-10 w-10 animate-spin rounded-full border-2 border-[var(--theme-primary)] border-t-transparent' />
+          </div>
+        ) : (
+          <div className='grid grid-cols-1 gap-6 md:grid-cols-5'>
+            <div className={`${glassCard} md:col-span-2 space-y-2`}>
+              {tickets.length === 0 ? (
+                <p className='text-sm text-[var(--theme-text-secondary)]'>You have not opened any tickets yet.</p>
+              ) : tickets.map(ticket => {
+                const style = STATUS_STYLES[ticket.status] || STATUS_STYLES.open
+                return (
+                  <button
+                    key={ticket._id}
+                    onClick={() => { setSelectedId(ticket._id); setComposing(false) }}
+                    className={`w-full rounded-xl border px-4 py-3 text-left transition-colors ${
+                      selectedId === ticket._id
+                        ? 'border-[var(--theme-primary)]'
+                        : 'border-[var(--theme-border)] hover:border-[var(--theme-primary)]'
+                    }`}
+                  >
+                    <p className='font-medium truncate'>{ticket.subject}</p>
+                    <div className='mt-1 flex items-center justify-between gap-2 text-xs'>
+                      <span className='text-[var(--theme-text-secondary)]'>{ticket.ticketNumber}</span>
+                      <span className={`rounded-full px-2 py-0.5 ${style.className}`}>{style.label}</span>
+                    </div>
+                  </button>
+                )
+              })}
+            </div>
+
+            <div className={`${glassCard} md:col-span-3`}>
+              {composing ? (
+                <form onSubmit={handleOpenTicket} className='space-y-3'>
+                  <h2 className='text-lg font-semibold'>Open a ticket</h2>
+                  <input
+                    value={form.subject}
+                    onChange={(e) => setForm(prev => ({ ...prev, subject: e.target.value }))}
+                    maxLength={200}
+                    placeholder='Subject'
+                    required
+                    className={inputClass}
+                  />
+                  <div className='grid grid-cols-1 gap-3 sm:grid-cols-2'>
+                    <select
+                      value={form.category}
+                      onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                      className={inputClass}
+                    >
+                      {CATEGORIES.map(category => (
+                        <option key={category.id} value={category.id}>{category.label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={form.orderId}
+                      onChange={(e) => setForm(prev => ({ ...prev, orderId: e.target.value }))}
+                      className={inputClass}
+                    >
+                      <option value=''>Not about a specific order</option>
+                      {orders.map(order => (
+                        <option key={order._id} value={order._id}>
+                          {order.orderNumber} · {new Date(order.createdAt).toLocaleDateString()}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <textarea
+                    value={form.body}
+                    onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+                    maxLength={5000}
+                    rows={6}
+                    placeholder='How can we help?'
+                    required
+                    className={inputClass}
+                  />
+                  <input
+                    type='file'
+                    multiple
+                    accept='image/*,.pdf,.txt'
+                    onChange={(e) => pickFiles(e, setFiles)}
+                    className='text-sm'
+                  />
+                  <div className='flex gap-2'>
+                    <button
+                      type='submit'
+                      disabled={submitting}
+                      className='rounded-full bg-[var(--theme-primary)] px-5 py-2 text-sm font-semibold text-white disabled:opacity-50'
+                    >
+                      {submitting ? 'Sending...' : 'Send'}
+                    </button>
+                    <button
+                      type='button'
+                      onClick={() => setComposing(false)}
+                      className='rounded-full border border-[var(--theme-border)] px-5 py-2 text-sm'
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : !selected ? (
+                <p className='text-sm text-[var(--theme-text-secondary)]'>Select a ticket to see the conversation.</p>
+              ) : (
+                <div className='space-y-4'>
+                  <div className='flex flex-wrap items-start justify-between gap-2'>
+                    <div>
+                      <p className='text-xs text-[var(--theme-text-secondary)]'>{selected.ticketNumber}</p>
+                      <h2 className='text-lg font-semibold'>{selected.subject}</h2>
+                    </div>
+                    {selected.status !== 'closed' && (
+                      <button
+                        onClick={handleClose}
+                        disabled={submitting}
+                        className='rounded-full border border-[var(--theme-border)] px-4 py-1 text-xs disabled:opacity-50'
+                      >
+                        Close ticket
+                      </button>
+                    )}
+                  </div>
+
+                  <ul className='space-y-3'>
+                    {selected.messages.map(message => (
+                      <li
+                        key={message._id}
+                        className={`rounded-2xl px-4 py-3 text-sm ${
+                          message.authorType === 'customer'
+                            ? 'ml-8 bg-[var(--theme-primary)]/10'
+                            : 'mr-8 bg-[var(--theme-surface)]'
+                        }`}
+                      >
+                        <p className='mb-1 text-xs text-[var(--theme-text-secondary)]'>
+                          {AUTHOR_LABELS[message.authorType]} · {new Date(message.createdAt).toLocaleString()}
+                        </p>
+                        {message.body && <p className='whitespace-pre-wrap'>{message.body}</p>}
+                        {message.attachments.length > 0 && (
+                          <div className='mt-2 flex flex-wrap gap-2'>
+                            {message.attachments.map(attachment => (
+                              <button
+                                key={attachment._id}
+                                onClick={() => handleDownload(attachment)}
+                                className='rounded-full border border-[var(--theme-border)] px-3 py-1 text-xs hover:border-[var(--theme-primary)]'
+                              >
+                                📎 {attachment.originalName}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+
+                  {selected.status === 'closed' ? (
+                    <p className='text-sm text-[var(--theme-text-secondary)]'>This ticket is closed. Open a new one if you need more help.</p>
+                  ) : (
+                    <form onSubmit={handleReply} className='space-y-2 border-t border-[var(--theme-border)] pt-4'>
+                      <textarea
+                        value={reply}
+                        onChange={(e) => setReply(e.target.value)}
+                        maxLength={5000}
+                        rows={3}
+                        placeholder={selected.status === 'resolved' ? 'Still need help? Replying reopens the ticket.' : 'Write a reply'}
+                        className={inputClass}
+                      />
+                      <div className='flex flex-wrap items-center justify-between gap-2'>
+                        <input
+                          key={selected.messages.length}
+                          type='file'
+                          multiple
+                          accept='image/*,.pdf,.txt'
+                          onChange={(e) => pickFiles(e, setReplyFiles)}
+                          className='text-sm'
+                        />
+                        <button
+                          type='submit'
+                          disabled={submitting || (!reply.trim() && replyFiles.length === 0)}
+                          className='rounded-full bg-[var(--theme-primary)] px-5 py-2 text-sm font-semibold text-white disabled:opacity-50'
+                        >
+                          {submitting ? 'Sending...' : 'Reply'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default UserSupport
@@ -0,0 +1,440 @@
+/**
+ * Bundles Manager
+ *
+ * Admin page for bundles: several catalog products (possibly from
+ * different vendors) sold as one product with its own price and plan
+ * duration. A bundle is available while every component is in stock;
+ * once paid, each component is delivered by its own vendor.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+import { formatPrice } from '../../../utils/constants';
+
+const EMPTY_BUNDLE = {
+  title: '',
+  description: '',
+  priceDecimal: '',
+  currency: 'USD',
+  planDurationDays: '30',
+  thumbnail: '',
+  tags: '',
+  items: []
+};
+
+const inputClass = 'w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+const STATUS_STYLES = {
+  active: 'bg-success/20 text-success',
+  inactive: 'bg-theme-surface text-theme-subtle',
+  archived: 'bg-error/20 text-error'
+};
+
+const BundlesManager = () => {
+  const [bundles, setBundles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_BUNDLE);
+  const [saving, setSaving] = useState(false);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchBundles();
+  }, []);
+
+  const fetchBundles = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/bundles`, { params: { limit: 100 }, withCredentials: true });
+      if (response.data.success) {
+        setBundles(response.data.bundles);
+      }
+    } catch (error) {
+      toast.error('Failed to load bundles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Components are picked from the live storefront (active, approved products)
+  const searchProducts = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.get(`${apiBase}/api/catalog`, {
+        params: { q: search.trim() || undefined, productType: 'single', limit: 20 }
+      });
+      if (response.data.success) {
+        setResults(response.data.products);
+      }
+    } catch (error) {
+      toast.error('Failed to search products');
+    }
+  };
+
+  const startCreate = () => {
+    setEditing('new');
+    setForm(EMPTY_BUNDLE);
+    setResults([]);
+  };
+
+  const startEdit = (bundle) => {
+    setEditing(bundle._id);
+    setResults([]);
+    setForm({
+      title: bundle.title,
+      description: bundle.description || '',
+      priceDecimal: String(bundle.priceDecimal),
+      currency: bundle.currency || 'USD',
+      planDurationDays: String(bundle.planDurationDays),
+      thumbnail: bundle.thumbnail || '',
+      tags: (bundle.tags || []).join(', '),
+      items: bundle.components.map(component => ({
+        productId: component.productId,
+        title: component.title,
+        priceDecimal: component.listPrice,
+        quantity: component.quantity
+      }))
+    });
+  };
+
+  const addComponent = (product) => {
+    if (form.items.some(item => item.productId === product._id)) return;
+    setForm(prev => ({
+      ...prev,
+      items: [...prev.items, { productId: product._id, title: product.title, priceDecimal: product.priceDecimal, quantity: 1 }]
+    }));
+  };
+
+  const updateComponent = (productId, quantity) => {
+    setForm(prev => ({
+      ...prev,
+      items: prev.items.map(item => (item.productId === productId ? { ...item, quantity } : item))
+    }));
+  };
+
+  const removeComponent = (productId) => {
+    setForm(prev => ({ ...prev, items: prev.items.filter(item => item.productId !== productId) }));
+  };
+
+  const componentsValue = form.items.reduce((sum, item) => sum + (Number(item.priceDecimal) || 0) * (Number(item.quantity) || 0), 0);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setSaving(true);
+    try {
+      const payload = {
+        ...form,
+        tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        items: form.items.map(item => ({ productId: item.productId, quantity: Number(item.quantity) }))
+      };
+      const response = editing === 'new'
+        ? await axios.post(`${apiBase}/api/admin/bundles`, payload, { withCredentials: true })
+        : await axios.put(`${apiBase}/api/admin/bundles/${editing}`, payload, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setEditing(null);
+        fetchBundles();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save bundle');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatus = async (bundle, status) => {
+    try {
+      const response = await axios.patch(`${apiBase}/api/admin/bundles/${bundle._id}/status`, { status }, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        fetchBundles();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update bundle');
+    }
+  };
+
+  return (
+    <AdminLayout currentPage="bundles">
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+            Bundles
+          </h1>
+          <p className="text-theme-secondary mt-1">
+            Several tools sold as one product. Each tool is delivered and paid out to its own vendor; an order stays partially fulfilled until every tool is delivered.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-theme-base">
+              <p className="font-semibold text-theme-primary">All bundles</p>
+              <button
+                onClick={startCreate}
+                className="px-3 py-1.5 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors"
+              >
+                New
+              </button>
+            </div>
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : bundles.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No bundles yet</p>
+            ) : (
+              <div className="divide-y divide-theme-base">
+                {bundles.map(bundle => (
+                  <div
+                    key={bundle._id}
+                    onClick={() => startEdit(bundle)}
+                    className={`p-4 cursor-pointer hover:bg-theme-surface/30 ${editing === bundle._id ? 'bg-theme-surface/40' : ''}`}
+                  >
+                    <div className="flex flex-wrap items-start justify-between gap-2">
+                      <div>
+                        <p className="font-semibold text-theme-primary">{bundle.title}</p>
+                        <p className="text-xs text-theme-secondary">
+                          {bundle.sku} · {formatPrice(bundle.priceDecimal, bundle.currency)} for {bundle.planDurationDays} days
+                          {bundle.componentsValue > 0 && ` · ${formatPrice(bundle.componentsValue, bundle.currency)} bought separately`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className={`px-3 py-1 rounded-full text-xs ${STATUS_STYLES[bundle.status] || STATUS_STYLES.inactive}`}>
+                          {bundle.status}
+                        </span>
+                        <span className="text-xs text-theme-secondary">{bundle.available} available</span>
+                      </div>
+                    </div>
+                    <ul className="mt-2 space-y-1 text-xs">
+                      {bundle.components.map(component => (
+                        <li key={component.productId} className="flex justify-between gap-2">
+                          <span className={component.sellable ? 'text-theme-primary' : 'text-error'}>
+                            {component.quantity} × {component.title}
+                            {!component.sellable && ' (no longer sold)'}
+                          </span>
+                          <span className="text-theme-secondary">{component.vendor || '—'} · {component.available} in stock</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="mt-3 flex gap-3">
+                      {bundle.status !== 'active' && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleStatus(bundle, 'active'); }}
+                          className="text-xs text-success hover:underline"
+                        >
+                          Activate
+                        </button>
+                      )}
+                      {bundle.status === 'active' && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleStatus(bundle, 'inactive'); }}
+                          className="text-xs text-warning hover:underline"
+                        >
+                          Deactivate
+                        </button>
+                      )}
+                      {bundle.status !== 'archived' && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleStatus(bundle, 'archived'); }}
+                          className="text-xs text-error hover:underline"
+                        >
+                          Archive
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!editing ? (
+              <p className="text-theme-secondary text-sm">Select a bundle to edit it, or create a new one.</p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                <form onSubmit={handleSave} className="space-y-3">
+                  <h2 className="text-lg font-semibold text-theme-primary">{editing === 'new' ? 'New' : 'Edit'} bundle</h2>
+
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Title</span>
+                    <input
+                      value={form.title}
+                      onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                      maxLength={150}
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Description</span>
+                    <textarea
+                      value={form.description}
+                      onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                      rows={3}
+                      className={inputClass}
+                    />
+                  </label>
+
+                  <div className="grid grid-cols-3 gap-3">
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Price</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={form.priceDecimal}
+                        onChange={(e) => setForm(prev => ({ ...prev, priceDecimal: e.target.value }))}
+                        className={inputClass}
+                        required
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Currency</span>
+                      <input
+                        value={form.currency}
+                        onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                        maxLength={3}
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Duration (days)</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.planDurationDays}
+                        onChange={(e) => setForm(prev => ({ ...prev, planDurationDays: e.target.value }))}
+                        className={inputClass}
+                        required
+                      />
+                    </label>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Thumbnail URL</span>
+                      <input
+                        value={form.thumbnail}
+                        onChange={(e) => setForm(prev => ({ ...prev, thumbnail: e.target.value }))}
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Tags (comma separated)</span>
+                      <input
+                        value={form.tags}
+                        onChange={(e) => setForm(prev => ({ ...prev, tags: e.target.value }))}
+                        className={inputClass}
+                      />
+                    </label>
+                  </div>
+
+                  <div className="space-y-2">
+                    <span className="text-xs text-theme-secondary">Included products (at least two)</span>
+                    {form.items.length === 0 ? (
+                      <p className="text-xs text-theme-subtle">Search below to add products</p>
+                    ) : (
+                      form.items.map(item => (
+                        <div key={item.productId} className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            min="1"
+                            max="10"
+                            value={item.quantity}
+                            onChange={(e) => updateComponent(item.productId, e.target.value)}
+                            className={`${inputClass} w-16`}
+                          />
+                          <span className="flex-1 text-theme-primary">{item.title}</span>
+                          <span className="text-xs text-theme-secondary">{formatPrice(item.priceDecimal || 0, form.currency)}</span>
+                          <button
+                            type="button"
+                            onClick={() => removeComponent(item.productId)}
+                            className="text-xs text-error hover:underline"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))
+                    )}
+                    {componentsValue > 0 && (
+                      <p className="text-xs text-theme-secondary">
+                        Bought separately: {formatPrice(componentsValue, form.currency)}. The bundle price is split between vendors in proportion to these prices.
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(null)}
+                      className="px-4 py-2 border border-theme-base/50 rounded-lg font-semibold text-theme-primary"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                  {editing === 'new' && (
+                    <p className="text-xs text-theme-subtle">New bundles start inactive; activate them from the list.</p>
+                  )}
+                </form>
+
+                <form onSubmit={searchProducts} className="space-y-2 border-t border-theme-base pt-4">
+                  <span className="text-xs text-theme-secondary">Add products from the storefront</span>
+                  <div className="flex gap-2">
+                    <input
+                      value={search}
+                      onChange={(e) => setSearch(e.target.value)}
+                      placeholder="Search products"
+                      className={inputClass}
+                    />
+                    <button
+                      type="submit"
+                      className="px-4 py-2 border border-theme-base/50 rounded-lg font-semibold text-theme-primary"
+                    >
+                      Search
+                    </button>
+                  </div>
+                  {results.map(product => (
+                    <div key={product._id} className="flex items-center justify-between gap-2">
+                      <span className="text-theme-primary">
+                        {product.title}
+                        <span className="text-xs text-theme-secondary"> · {formatPrice(product.priceDecimal, product.currency)} · {product.planDurationDays} days</span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => addComponent(product)}
+                        disabled={form.items.some(item => item.productId === product._id)}
+                        className="text-xs text-brand-primary hover:underline disabled:opacity-50"
+                      >
+                        Add
+                      </button>
+                    </div>
+                  ))}
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default BundlesManager;
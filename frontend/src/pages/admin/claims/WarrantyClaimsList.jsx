@@ -0,0 +1,248 @@
+/**
+ * Warranty Claims List
+ *
+ * Admin view of warranty claims across all vendors, with the customer,
+ * supplying vendor and the full replacement chain of the affected access.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const STATUS_CLASSES = {
+  open: 'bg-warning/20 text-warning',
+  in_review: 'bg-info/20 text-info',
+  replaced: 'bg-success/20 text-success',
+  rejected: 'bg-error/20 text-error',
+  refunded: 'bg-theme-surface text-theme-secondary'
+};
+
+const WarrantyClaimsList = () => {
+  const [claims, setClaims] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [detail, setDetail] = useState(null);
+  const [note, setNote] = useState('');
+  const [acting, setActing] = useState(false);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchClaims();
+  }, [statusFilter]);
+
+  const fetchClaims = async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100 };
+      if (statusFilter !== 'all') params.status = statusFilter;
+      const response = await axios.get(`${apiBase}/api/admin/claims`, { params, withCredentials: true });
+      if (response.data.success) {
+        setClaims(response.data.claims);
+        setTotal(response.data.total);
+      }
+    } catch (error) {
+      toast.error('Failed to load claims');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDetail = async (claimId) => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/claims/${claimId}`, { withCredentials: true });
+      if (response.data.success) {
+        setDetail({ claim: response.data.claim, chain: response.data.chain });
+        setNote('');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load claim');
+    }
+  };
+
+  const handleAction = async (action) => {
+    if (!detail || acting) return;
+    if (action === 'reject' && !note.trim()) {
+      toast.error('A reason is required to reject a claim');
+      return;
+    }
+
+    setActing(true);
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/claims/${detail.claim._id}/${action}`,
+        { note },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        toast.success(response.data.message);
+        await openDetail(detail.claim._id);
+        fetchClaims();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update claim');
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const vendorName = (vendor) => vendor?.displayName || vendor?.companyName || 'Unknown vendor';
+
+  return (
+    <AdminLayout currentPage="claims">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Warranty Claims
+            </h1>
+            <p className="text-theme-secondary mt-1">{total} claim{total === 1 ? '' : 's'}</p>
+          </div>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="rounded-xl border border-theme-base/50 bg-theme-surface px-4 py-2 text-theme-primary"
+          >
+            <option value="all">All statuses</option>
+            <option value="open">Open</option>
+            <option value="in_review">In review</option>
+            <option value="replaced">Replaced</option>
+            <option value="rejected">Rejected</option>
+            <option value="refunded">Refunded</option>
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : claims.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No claims found</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-theme-surface/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-semibold">Claim #</th>
+                      <th className="px-4 py-3 text-left font-semibold">Customer</th>
+                      <th className="px-4 py-3 text-left font-semibold">Vendor</th>
+                      <th className="px-4 py-3 text-left font-semibold">Product</th>
+                      <th className="px-4 py-3 text-left font-semibold">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {claims.map(claim => (
+                      <tr
+                        key={claim._id}
+                        onClick={() => openDetail(claim._id)}
+                        className={`border-t border-theme-base cursor-pointer hover:bg-theme-surface/30 ${detail?.claim._id === claim._id ? 'bg-theme-surface/40' : ''}`}
+                      >
+                        <td className="px-4 py-3 font-mono">{claim.claimNumber}</td>
+                        <td className="px-4 py-3">{claim.customerId?.email || '—'}</td>
+                        <td className="px-4 py-3">{vendorName(claim.vendorId)}</td>
+                        <td className="px-4 py-3">{claim.productTitle}</td>
+                        <td className="px-4 py-3">
+                          <span className={`px-3 py-1 rounded-full text-xs ${STATUS_CLASSES[claim.status] || ''}`}>
+                            {claim.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!detail ? (
+              <p className="text-theme-secondary text-sm">Select a claim to see its details.</p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                <div>
+                  <p className="font-mono text-theme-secondary">{detail.claim.claimNumber}</p>
+                  <h2 className="text-xl font-semibold">{detail.claim.productTitle}</h2>
+                  <p className="text-theme-secondary">
+                    {detail.claim.customerId?.email} · {vendorName(detail.claim.vendorId)}
+                  </p>
+                  <p className="text-theme-secondary">
+                    Opened {new Date(detail.claim.createdAt).toLocaleString()} · warranty until {new Date(detail.claim.warrantyEndsAt).toLocaleDateString()}
+                  </p>
+                </div>
+
+                {detail.claim.description && (
+                  <p className="rounded-xl bg-theme-surface p-3 whitespace-pre-wrap">{detail.claim.description}</p>
+                )}
+
+                <div>
+                  <p className="text-xs font-semibold uppercase text-theme-secondary mb-2">Replacement chain</p>
+                  <ol className="space-y-2">
+                    {detail.chain.map(link => (
+                      <li key={link._id} className="rounded-xl border border-theme-base/40 p-3">
+                        <p className="font-mono text-xs">{link.claimNumber} · {link.status.replace('_', ' ')}</p>
+                        <p className="text-xs text-theme-secondary">
+                          Unit {String(link.credentialId).slice(-8)}{link.profileName ? ` (${link.profileName})` : ''}
+                          {link.replacement
+                            ? ` → ${String(link.replacement.toCredentialId).slice(-8)}${link.replacement.toProfileName ? ` (${link.replacement.toProfileName})` : ''} by ${link.replacement.replacedBy}`
+                            : ''}
+                        </p>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+
+                <div>
+                  <p className="text-xs font-semibold uppercase text-theme-secondary mb-2">History</p>
+                  <ul className="space-y-1 text-xs text-theme-secondary">
+                    {(detail.claim.history || []).map((event, index) => (
+                      <li key={index}>
+                        {new Date(event.at).toLocaleString()} · {event.status.replace('_', ' ')} by {event.actorId} ({event.actorType})
+                        {event.note ? ` · ${event.note}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {['open', 'in_review'].includes(detail.claim.status) && (
+                  <div className="space-y-3 border-t border-theme-base pt-4">
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      rows={3}
+                      placeholder="Note for the customer (required to reject)"
+                      className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleAction('replace')}
+                        disabled={acting}
+                        className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                      >
+                        Issue replacement
+                      </button>
+                      <button
+                        onClick={() => handleAction('reject')}
+                        disabled={acting}
+                        className="px-4 py-2 border border-error text-error rounded-lg font-semibold hover:bg-error/10 transition-colors disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default WarrantyClaimsList;
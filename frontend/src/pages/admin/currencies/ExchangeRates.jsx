@@ -0,0 +1,286 @@
+/**
+ * Exchange Rates
+ *
+ * Admin page for the exchange rate table used to display prices in other
+ * currencies and to normalize order amounts to the settlement currency.
+ * Rates can be edited one by one or imported from a JSON or CSV file.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const inputClass = 'w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+const ExchangeRates = () => {
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [rates, setRates] = useState([]);
+  const [missingCurrencies, setMissingCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ currency: '', rate: '' });
+  const [editing, setEditing] = useState(null);
+  const [editRate, setEditRate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [skipped, setSkipped] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const fetchRates = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/currencies`, { withCredentials: true });
+      if (response.data.success) {
+        setBaseCurrency(response.data.baseCurrency);
+        setRates(response.data.rates);
+        setMissingCurrencies(response.data.missingCurrencies || []);
+      }
+    } catch (error) {
+      toast.error('Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveRate = async (currency, rate) => {
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${apiBase}/api/admin/currencies/${encodeURIComponent(currency.trim().toUpperCase())}`,
+        { rate },
+        { withCredentials: true }
+      );
+      toast.success(response.data.message);
+      await fetchRates();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save rate');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await saveRate(form.currency, form.rate)) {
+      setForm({ currency: '', rate: '' });
+    }
+  };
+
+  const handleUpdate = async (currency) => {
+    if (await saveRate(currency, editRate)) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = async (currency) => {
+    if (!window.confirm(`Delete the ${currency} rate? Orders in ${currency} cannot be placed without it.`)) return;
+    try {
+      await axios.delete(`${apiBase}/api/admin/currencies/${currency}`, { withCredentials: true });
+      toast.success('Rate deleted');
+      fetchRates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete rate');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    setSkipped([]);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await axios.post(`${apiBase}/api/admin/currencies/import`, formData, {
+        withCredentials: true,
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success(response.data.message);
+      setSkipped(response.data.skipped || []);
+      fetchRates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import rates');
+    } finally {
+      setImporting(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <AdminLayout currentPage="currencies">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Exchange Rates
+            </h1>
+            <p className="text-theme-secondary mt-1">
+              Orders settle and reports are totalled in {baseCurrency}. Each rate is the amount of that currency per 1 {baseCurrency}.
+            </p>
+          </div>
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              className="px-4 py-2 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import JSON / CSV'}
+            </button>
+          </div>
+        </div>
+
+        {missingCurrencies.length > 0 && (
+          <div className="glass-card rounded-2xl p-4 border border-warning/30 bg-warning/10 text-sm text-warning">
+            No rate for {missingCurrencies.join(', ')}. Products priced in these currencies cannot be ordered until a rate is added.
+          </div>
+        )}
+
+        {skipped.length > 0 && (
+          <div className="glass-card rounded-2xl p-4 border border-theme-base/30 text-sm">
+            <p className="font-semibold text-theme-primary mb-1">Skipped rows</p>
+            <ul className="list-disc pl-5 text-theme-secondary space-y-0.5">
+              {skipped.map((message, idx) => <li key={idx}>{message}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-theme-surface/50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">Currency</th>
+                    <th className="px-4 py-3 text-left font-semibold">Rate per 1 {baseCurrency}</th>
+                    <th className="px-4 py-3 text-left font-semibold">Source</th>
+                    <th className="px-4 py-3 text-left font-semibold">Updated</th>
+                    <th className="px-4 py-3 text-right font-semibold">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-t border-theme-base">
+                    <td className="px-4 py-3 font-medium">{baseCurrency}</td>
+                    <td className="px-4 py-3">1</td>
+                    <td className="px-4 py-3 text-theme-secondary" colSpan={3}>Settlement currency</td>
+                  </tr>
+                  {rates.map(rate => (
+                    <tr key={rate.currency} className="border-t border-theme-base">
+                      <td className="px-4 py-3 font-medium">{rate.currency}</td>
+                      <td className="px-4 py-3">
+                        {editing === rate.currency ? (
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={editRate}
+                            onChange={(e) => setEditRate(e.target.value)}
+                            className={inputClass}
+                          />
+                        ) : rate.rate}
+                      </td>
+                      <td className="px-4 py-3 capitalize">{rate.source}</td>
+                      <td className="px-4 py-3">
+                        {new Date(rate.updatedAt).toLocaleString()}
+                        {rate.updatedBy && <span className="block text-xs text-theme-secondary">{rate.updatedBy}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        {editing === rate.currency ? (
+                          <>
+                            <button
+                              onClick={() => handleUpdate(rate.currency)}
+                              disabled={saving}
+                              className="text-brand-primary font-semibold mr-3 disabled:opacity-50"
+                            >
+                              Save
+                            </button>
+                            <button onClick={() => setEditing(null)} className="text-theme-secondary">Cancel</button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => { setEditing(rate.currency); setEditRate(String(rate.rate)); }}
+                              className="text-brand-primary font-semibold mr-3"
+                            >
+                              Edit
+                            </button>
+                            <button onClick={() => handleDelete(rate.currency)} className="text-error">Delete</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <form onSubmit={handleCreate} className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30 space-y-4 self-start">
+            <p className="font-semibold text-theme-primary">Add or replace a rate</p>
+            <label className="block space-y-1 text-sm">
+              <span className="text-xs text-theme-secondary">Currency code</span>
+              <input
+                value={form.currency}
+                onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                maxLength={3}
+                placeholder="EUR"
+                list="missing-currencies"
+                className={inputClass}
+                required
+              />
+              <datalist id="missing-currencies">
+                {missingCurrencies.map(code => <option key={code} value={code} />)}
+              </datalist>
+            </label>
+            <label className="block space-y-1 text-sm">
+              <span className="text-xs text-theme-secondary">Units per 1 {baseCurrency}</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.rate}
+                onChange={(e) => setForm(prev => ({ ...prev, rate: e.target.value }))}
+                placeholder="0.92"
+                className={inputClass}
+                required
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={saving}
+              className="w-full px-4 py-2 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save rate'}
+            </button>
+            <p className="text-xs text-theme-secondary">
+              Files: JSON such as {'{ "base": "USD", "rates": { "EUR": 0.92 } }'} or CSV rows of "currency,rate". Rows in the file replace existing rates.
+            </p>
+          </form>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default ExchangeRates;
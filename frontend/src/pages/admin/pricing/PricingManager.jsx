@@ -0,0 +1,471 @@
+/**
+ * Pricing Manager
+ *
+ * Admin page for markup rules turning vendor cost prices into customer
+ * sale prices (global, per provider, per vendor or per product; the most
+ * specific rule wins), plus the margin report. Vendors never see margins.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+import { PROVIDER_LABELS, formatPrice } from '../../../utils/constants';
+
+const EMPTY_RULE = {
+  scope: 'global',
+  provider: 'netflix',
+  vendorId: '',
+  productId: '',
+  type: 'percentage',
+  value: '',
+  currency: 'USD',
+  rounding: 'none',
+  isActive: true
+};
+
+const inputClass = 'w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+const SCOPE_LABELS = {
+  global: 'Global',
+  provider: 'Provider',
+  vendor: 'Vendor',
+  product: 'Product'
+};
+
+const ROUNDING_LABELS = {
+  none: 'No rounding',
+  end_99: 'Up to .99',
+  end_95: 'Up to .95',
+  half_99: 'Up to .49 / .99',
+  whole: 'Up to a whole amount'
+};
+
+const PricingManager = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [vendors, setVendors] = useState([]);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [range, setRange] = useState('30d');
+  const [report, setReport] = useState(null);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchRules();
+    fetchVendors();
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [range]);
+
+  const fetchRules = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/pricing/rules`, { withCredentials: true });
+      if (response.data.success) {
+        setRules(response.data.rules);
+      }
+    } catch (error) {
+      toast.error('Failed to load pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchVendors = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/vendor`, { withCredentials: true });
+      if (response.data.success) {
+        setVendors(response.data.data || []);
+      }
+    } catch (error) {
+      // Vendor rules cannot be created without the list; the rest still works
+    }
+  };
+
+  const fetchReport = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/pricing/margins`, { params: { range }, withCredentials: true });
+      if (response.data.success) {
+        setReport(response.data.report);
+      }
+    } catch (error) {
+      toast.error('Failed to load margin report');
+    }
+  };
+
+  const searchProducts = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/products`, {
+        params: { search: search.trim() || undefined, limit: 20 },
+        withCredentials: true
+      });
+      if (response.data.success) {
+        setResults(response.data.products.filter(product => product.productType !== 'bundle'));
+      }
+    } catch (error) {
+      toast.error('Failed to search products');
+    }
+  };
+
+  const startCreate = () => {
+    setEditing('new');
+    setForm(EMPTY_RULE);
+    setResults([]);
+  };
+
+  const startEdit = (rule) => {
+    setEditing(rule._id);
+    setForm({
+      scope: rule.scope,
+      provider: rule.provider || 'netflix',
+      vendorId: rule.vendorId?._id || '',
+      productId: rule.productId?._id || '',
+      type: rule.type,
+      value: String(rule.value),
+      currency: rule.currency || 'USD',
+      rounding: rule.rounding,
+      isActive: rule.isActive
+    });
+    setResults(rule.productId ? [rule.productId] : []);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setSaving(true);
+    try {
+      const response = editing === 'new'
+        ? await axios.post(`${apiBase}/api/admin/pricing/rules`, form, { withCredentials: true })
+        : await axios.put(`${apiBase}/api/admin/pricing/rules/${editing}`, form, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setEditing(null);
+        fetchRules();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save pricing rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm('Delete this rule? Its products fall back to the next broader rule.')) return;
+    try {
+      const response = await axios.delete(`${apiBase}/api/admin/pricing/rules/${rule._id}`, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        if (editing === rule._id) setEditing(null);
+        fetchRules();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete pricing rule');
+    }
+  };
+
+  const describeTarget = (rule) => {
+    if (rule.scope === 'provider') return PROVIDER_LABELS[rule.provider] || rule.provider;
+    if (rule.scope === 'vendor') return rule.vendorId?.displayName || rule.vendorId?.companyName || 'Deleted vendor';
+    if (rule.scope === 'product') return rule.productId ? `${rule.productId.title} (${rule.productId.sku})` : 'Deleted product';
+    return 'All products';
+  };
+
+  const describeMarkup = (rule) => (
+    rule.type === 'percentage' ? `+${rule.value}%` : `+${formatPrice(rule.value, rule.currency)}`
+  );
+
+  return (
+    <AdminLayout currentPage="pricing">
+      <div className="space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Pricing
+            </h1>
+            <p className="text-theme-secondary mt-1">
+              Customer prices are vendor cost plus the most specific markup rule: product, then vendor, then provider, then global.
+            </p>
+          </div>
+          <button
+            onClick={startCreate}
+            className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors"
+          >
+            New Rule
+          </button>
+        </div>
+
+        {/* Margin Report */}
+        <div className="glass-card rounded-2xl p-6 border border-theme-base/30 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-lg font-semibold text-theme-primary">Margins</h2>
+            <select value={range} onChange={(e) => setRange(e.target.value)} className={`${inputClass} w-auto`}>
+              <option value="7d">Last 7 Days</option>
+              <option value="30d">Last 30 Days</option>
+              <option value="90d">Last 90 Days</option>
+              <option value="365d">Last Year</option>
+            </select>
+          </div>
+          {report && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <div className="text-2xl font-bold text-theme-primary">{formatPrice(report.revenue, report.currency)}</div>
+                  <div className="text-sm text-theme-secondary">Customer revenue</div>
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-theme-primary">{formatPrice(report.cost, report.currency)}</div>
+                  <div className="text-sm text-theme-secondary">Vendor cost</div>
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-success">{formatPrice(report.margin, report.currency)}</div>
+                  <div className="text-sm text-theme-secondary">Margin</div>
+                </div>
+                <div>
+                  <div className="text-2xl font-bold text-theme-primary">{report.marginPercent}%</div>
+                  <div className="text-sm text-theme-secondary">Margin rate</div>
+                </div>
+              </div>
+              {report.unconvertedOrders > 0 && (
+                <p className="text-sm text-warning">
+                  {report.unconvertedOrders} order(s) are in a currency without an exchange rate and are not included.
+                </p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+                {[['By vendor', report.byVendor, row => row.vendor], ['By provider', report.byProvider, row => PROVIDER_LABELS[row.provider] || row.provider]].map(([title, rows, label]) => (
+                  <div key={title}>
+                    <h3 className="font-semibold text-theme-primary mb-2">{title}</h3>
+                    {rows.length === 0 ? (
+                      <p className="text-theme-subtle">No paid orders in this period</p>
+                    ) : (
+                      <table className="w-full">
+                        <thead>
+                          <tr className="text-left text-xs text-theme-secondary">
+                            <th className="py-1"></th>
+                            <th className="py-1">Revenue</th>
+                            <th className="py-1">Cost</th>
+                            <th className="py-1">Margin</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rows.map(row => (
+                            <tr key={label(row)} className="border-t border-theme-base/20">
+                              <td className="py-1 text-theme-primary">{label(row)}</td>
+                              <td className="py-1">{formatPrice(row.revenue, report.currency)}</td>
+                              <td className="py-1">{formatPrice(row.cost, report.currency)}</td>
+                              <td className="py-1 text-success">{formatPrice(row.margin, report.currency)} ({row.marginPercent}%)</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          {/* Rule List */}
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : rules.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No markup rules yet; products sell at vendor cost</p>
+            ) : (
+              <div className="divide-y divide-theme-base">
+                {rules.map(rule => (
+                  <div key={rule._id} className="p-4 flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <p className="font-semibold text-theme-primary">
+                        {SCOPE_LABELS[rule.scope]}: {describeTarget(rule)}
+                      </p>
+                      <p className="text-xs text-theme-secondary">
+                        {describeMarkup(rule)} · {ROUNDING_LABELS[rule.rounding]}
+                        {rule.type === 'fixed' && ` · ${rule.currency} products only`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {!rule.isActive && (
+                        <span className="px-3 py-1 rounded-full text-xs bg-theme-surface text-theme-subtle">inactive</span>
+                      )}
+                      <button onClick={() => startEdit(rule)} className="text-xs text-brand-primary hover:underline">
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(rule)} className="text-xs text-error hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Rule Form */}
+          <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!editing ? (
+              <p className="text-theme-secondary text-sm">Select a rule to edit or create a new one.</p>
+            ) : (
+              <form onSubmit={handleSave} className="space-y-4 text-sm">
+                <h2 className="text-lg font-semibold text-theme-primary">{editing === 'new' ? 'New Rule' : 'Edit Rule'}</h2>
+                <label className="block space-y-1">
+                  <span className="text-xs text-theme-secondary">Applies to</span>
+                  <select
+                    value={form.scope}
+                    onChange={(e) => setForm(prev => ({ ...prev, scope: e.target.value }))}
+                    className={inputClass}
+                  >
+                    {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                {form.scope === 'provider' && (
+                  <select
+                    value={form.provider}
+                    onChange={(e) => setForm(prev => ({ ...prev, provider: e.target.value }))}
+                    className={inputClass}
+                  >
+                    {Object.entries(PROVIDER_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                )}
+
+                {form.scope === 'vendor' && (
+                  <select
+                    value={form.vendorId}
+                    onChange={(e) => setForm(prev => ({ ...prev, vendorId: e.target.value }))}
+                    className={inputClass}
+                    required
+                  >
+                    <option value="">Choose a vendor</option>
+                    {vendors.map(vendor => (
+                      <option key={vendor._id} value={vendor._id}>{vendor.displayName || vendor.companyName}</option>
+                    ))}
+                  </select>
+                )}
+
+                {form.scope === 'product' && (
+                  <div className="space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Title or SKU"
+                        className={inputClass}
+                      />
+                      <button type="button" onClick={searchProducts} className="px-3 py-2 rounded-lg border border-theme-base text-theme-primary">
+                        Search
+                      </button>
+                    </div>
+                    {results.map(product => (
+                      <label key={product._id} className="flex items-center gap-2 text-xs text-theme-primary">
+                        <input
+                          type="radio"
+                          checked={form.productId === product._id}
+                          onChange={() => setForm(prev => ({ ...prev, productId: product._id }))}
+                        />
+                        {product.title} ({product.sku})
+                        {product.costPrice !== undefined && ` · cost ${formatPrice(product.costPrice, product.currency)}`}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Markup</span>
+                    <select
+                      value={form.type}
+                      onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                      className={inputClass}
+                    >
+                      <option value="percentage">Percent of cost</option>
+                      <option value="fixed">Fixed amount</option>
+                    </select>
+                  </label>
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">{form.type === 'percentage' ? 'Percent' : 'Amount'}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form.value}
+                      onChange={(e) => setForm(prev => ({ ...prev, value: e.target.value }))}
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+                </div>
+
+                {form.type === 'fixed' && (
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Currency (applies only to products priced in it)</span>
+                    <input
+                      value={form.currency}
+                      onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                      maxLength={3}
+                      className={inputClass}
+                    />
+                  </label>
+                )}
+
+                <label className="block space-y-1">
+                  <span className="text-xs text-theme-secondary">Price point</span>
+                  <select
+                    value={form.rounding}
+                    onChange={(e) => setForm(prev => ({ ...prev, rounding: e.target.value }))}
+                    className={inputClass}
+                  >
+                    {Object.entries(ROUNDING_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="flex items-center gap-2 text-theme-primary">
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm(prev => ({ ...prev, isActive: e.target.checked }))}
+                  />
+                  Active
+                </label>
+
+                <div className="flex gap-3">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save & Reprice'}
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 rounded-lg border border-theme-base text-theme-primary">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default PricingManager;
@@ -24,6 +24,7 @@ const AdminStockRequestsList = () => {
   });
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [credentials, setCredentials] = useState([]);
+  const [inventory, setInventory] = useState(null);
   const [selectedCredential, setSelectedCredential] = useState(null);
   const [decryptedData, setDecryptedData] = useState(null);
   const [statusFilter, setStatusFilter] = useState('all');
@@ -100,6 +101,7 @@ const AdminStockRequestsList = () => {
       });
       if (response.data.success) {
         setCredentials(response.data.credentials);
+        setInventory(response.data.inventory || null);
         setSelectedRequest(response.data.request);
       }
     } catch (error) {
@@ -332,6 +334,7 @@ const AdminStockRequestsList = () => {
                 onClick={() => {
                   setSelectedRequest(null);
                   setCredentials([]);
+                  setInventory(null);
                   setDecryptedData(null);
                   setSelectedCredential(null);
                 }}
@@ -348,6 +351,11 @@ const AdminStockRequestsList = () => {
               <p className="text-theme-secondary">
                 <strong>Requested:</strong> {selectedRequest.quantityRequested} | <strong>Fulfilled:</strong> {selectedRequest.quantityFulfilled || 0}
               </p>
+              {inventory && (
+                <p className="text-theme-secondary">
+                  <strong>Product stock:</strong> {inventory.available} available | {inventory.reserved} reserved by open checkouts
+                </p>
+              )}
             </div>
 
             {credentials.length === 0 ? (
@@ -28,6 +28,10 @@ const ProductRequestsQueue = () => {
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [actionModal, setActionModal] = useState({ open: false, action: null, request: null });
   const [comment, setComment] = useState('');
+  const [threadComment, setThreadComment] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [postingComment, setPostingComment] = useState(false);
+  const [viewedRevision, setViewedRevision] = useState(null);
 
   const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
 
@@ -76,7 +80,8 @@ const ProductRequestsQueue = () => {
     }
   };
 
-  const handleAction = async (action, requestId) => {
+  const handleAction = async (action, request) => {
+    const requestId = request._id;
     if (action === 'approve' || action === 'reject' || action === 'request-changes') {
       if (!comment.trim() && action !== 'approve') {
         toast.error('Comment is required for this action');
@@ -96,12 +101,12 @@ const ProductRequestsQueue = () => {
 
       const response = await axios.post(
         endpoint,
-        { comment: comment.trim() || null },
+        { comment: comment.trim() || null, revision: request.revision },
         { withCredentials: true }
       );
 
       if (response.data.success) {
-        toast.success(`Request ${action === 'approve' ? 'approved' : action === 'reject' ? 'rejected' : 'changes requested'} successfully`);
+        toast.success(response.data.message);
         setActionModal({ open: false, action: null, request: null });
         setComment('');
         fetchRequests();
@@ -114,6 +119,63 @@ const ProductRequestsQueue = () => {
     }
   };
 
+  const closeDetails = () => {
+    setSelectedRequest(null);
+    setViewedRevision(null);
+    setThreadComment('');
+    setReplyTo(null);
+  };
+
+  const handleAddComment = async () => {
+    if (!threadComment.trim() || !selectedRequest?.request) return;
+    setPostingComment(true);
+    try {
+      const requestId = selectedRequest.request._id;
+      const response = await axios.post(
+        `${apiBase}/api/admin/product-requests/${requestId}/comments`,
+        { comment: threadComment.trim(), parentId: replyTo?._id || null },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        toast.success('Comment added');
+        setThreadComment('');
+        setReplyTo(null);
+        fetchRequestDetails(requestId);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setPostingComment(false);
+    }
+  };
+
+  // Top-level comments with their replies, oldest first
+  const buildThread = (comments = []) => {
+    const replies = {};
+    comments.forEach((entry) => {
+      if (entry.parentId) {
+        replies[entry.parentId] = [...(replies[entry.parentId] || []), entry];
+      }
+    });
+    const collect = (entry) => [entry, ...(replies[entry._id] || []).flatMap(collect)];
+    return comments.filter((entry) => !entry.parentId).map((entry) => ({
+      ...entry,
+      replies: (replies[entry._id] || []).flatMap(collect)
+    }));
+  };
+
+  const getAuditLabel = (action) => {
+    const labels = {
+      submitted: 'Submitted',
+      approved: 'Approved',
+      rejected: 'Rejected',
+      changes_requested: 'Changes requested',
+      resubmitted: 'Resubmitted',
+      comment_added: 'Comment'
+    };
+    return labels[action] || action;
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       pending_review: 'bg-warning/20 text-warning border-warning/30',
@@ -243,6 +305,9 @@ const ProductRequestsQueue = () => {
                       <td className="py-3 px-4 text-theme-secondary capitalize">{request.provider}</td>
                       <td className="py-3 px-4 text-theme-secondary">
                         {request.plans?.length || 0} plan(s)
+                        {request.revision > 1 && (
+                          <span className="ml-2 text-xs text-brand-primary">v{request.revision}</span>
+                        )}
                       </td>
                       <td className="py-3 px-4 text-theme-secondary">{request.stock}</td>
                       <td className="py-3 px-4 text-theme-secondary">
@@ -257,7 +322,8 @@ const ProductRequestsQueue = () => {
                         <button
                           onClick={() => {
                             fetchRequestDetails(request._id);
-                            setSelectedRequest({ request, auditLog: [] });
+                            setSelectedRequest({ request, revisions: [], auditLog: [] });
+                            setViewedRevision(null);
                           }}
                           className="text-brand-primary hover:text-brand-primary-hover text-sm font-medium mr-3"
                         >
@@ -297,12 +363,12 @@ const ProductRequestsQueue = () => {
 
       {/* Request Details Modal */}
       {selectedRequest && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={() => setSelectedRequest(null)}>
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={closeDetails}>
           <div className="glass-card rounded-3xl p-8 border border-theme-base/30 max-w-4xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-theme-primary">Request Details</h2>
               <button
-                onClick={() => setSelectedRequest(null)}
+                onClick={closeDetails}
                 className="text-theme-secondary hover:text-theme-primary"
               >
                 ✕
@@ -340,8 +406,57 @@ const ProductRequestsQueue = () => {
                     <label className="text-sm font-medium text-theme-secondary">Stock</label>
                     <p className="text-theme-primary">{selectedRequest.request.stock}</p>
                   </div>
+                  <div>
+                    <label className="text-sm font-medium text-theme-secondary">Revision</label>
+                    <p className="text-theme-primary">v{selectedRequest.request.revision || 1}</p>
+                  </div>
                 </div>
 
+                {selectedRequest.revisions?.length > 1 && (() => {
+                  const current = selectedRequest.revisions.find((rev) => rev.revision === viewedRevision) ||
+                    selectedRequest.revisions[selectedRequest.revisions.length - 1];
+                  return (
+                    <div>
+                      <label className="text-sm font-medium text-theme-secondary">Revisions</label>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {selectedRequest.revisions.map((rev) => (
+                          <button
+                            key={rev.revision}
+                            onClick={() => setViewedRevision(rev.revision)}
+                            className={`px-3 py-1 rounded-full text-xs font-medium border ${rev.revision === current.revision ? 'bg-brand-primary text-white border-brand-primary' : 'border-theme-base/50 text-theme-secondary hover:text-theme-primary'}`}
+                          >
+                            v{rev.revision} · {new Date(rev.createdAt).toLocaleDateString()}
+                          </button>
+                        ))}
+                      </div>
+                      {current.revision === 1 ? (
+                        <p className="mt-3 text-sm text-theme-subtle">Original submission</p>
+                      ) : current.changes.length === 0 ? (
+                        <p className="mt-3 text-sm text-theme-subtle">Resubmitted without changes to v{current.revision - 1}</p>
+                      ) : (
+                        <table className="w-full mt-3 text-sm">
+                          <thead>
+                            <tr className="border-b border-theme-base/30">
+                              <th className="text-left py-2 pr-4 text-theme-primary font-semibold">Field</th>
+                              <th className="text-left py-2 pr-4 text-theme-primary font-semibold">v{current.revision - 1}</th>
+                              <th className="text-left py-2 text-theme-primary font-semibold">v{current.revision}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {current.changes.map((change) => (
+                              <tr key={change.label} className="border-b border-theme-base/10 align-top">
+                                <td className="py-2 pr-4 text-theme-secondary">{change.label}</td>
+                                <td className="py-2 pr-4 text-error whitespace-pre-line">{change.before ?? '—'}</td>
+                                <td className="py-2 text-success whitespace-pre-line">{change.after ?? '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  );
+                })()}
+
                 <div>
                   <label className="text-sm font-medium text-theme-secondary">Plans</label>
                   <div className="mt-2 space-y-2">
@@ -383,10 +498,116 @@ const ProductRequestsQueue = () => {
                   </div>
                 )}
 
+                {selectedRequest.request.productIds?.length > 0 && (
+                  <div>
+                    <label className="text-sm font-medium text-theme-secondary">Created Products</label>
+                    <div className="mt-2 space-y-2">
+                      {selectedRequest.request.productIds.map((product) => (
+                        <div key={product._id} className="p-3 bg-theme-surface rounded-lg border border-theme-base/30 flex justify-between gap-4">
+                          <span className="text-theme-primary">{product.title}</span>
+                          <span className="text-theme-secondary text-sm">
+                            {product.sku} · cost {product.currency} {product.costPrice ?? product.priceDecimal} · sale {product.currency} {product.priceDecimal} · stock {product.stock}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Comment Thread */}
+                <div>
+                  <label className="text-sm font-medium text-theme-secondary">Discussion</label>
+                  <div className="mt-2 space-y-3">
+                    {buildThread(selectedRequest.request.comments).length === 0 && (
+                      <p className="text-sm text-theme-subtle">No comments yet</p>
+                    )}
+                    {buildThread(selectedRequest.request.comments).map((entry) => (
+                      <div key={entry._id} className="p-3 bg-theme-surface rounded-lg border border-theme-base/30">
+                        {[entry, ...entry.replies].map((item) => (
+                          <div key={item._id} className={item._id === entry._id ? '' : 'mt-3 ml-6 pl-3 border-l-2 border-theme-base/30'}>
+                            <div className="flex justify-between gap-4 text-xs text-theme-secondary">
+                              <span>
+                                <span className={item.authorType === 'admin' ? 'text-brand-primary font-medium' : 'text-theme-primary font-medium'}>
+                                  {item.authorType === 'admin' ? 'Admin' : 'Vendor'}
+                                </span>
+                                {' '}· {item.authorId}
+                                {item.revision && <span className="text-theme-subtle"> · v{item.revision}</span>}
+                              </span>
+                              <span>{new Date(item.createdAt).toLocaleString()}</span>
+                            </div>
+                            <p className="text-theme-primary mt-1 whitespace-pre-line">{item.body}</p>
+                          </div>
+                        ))}
+                        <button
+                          onClick={() => setReplyTo(entry)}
+                          className="mt-2 text-brand-primary hover:text-brand-primary-hover text-xs font-medium"
+                        >
+                          Reply
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="mt-3 space-y-2">
+                    {replyTo && (
+                      <div className="flex items-center justify-between text-xs text-theme-secondary">
+                        <span>Replying to {replyTo.authorType === 'admin' ? 'admin' : 'vendor'}: “{replyTo.body.slice(0, 60)}”</span>
+                        <button onClick={() => setReplyTo(null)} className="hover:text-theme-primary">Cancel</button>
+                      </div>
+                    )}
+                    <textarea
+                      value={threadComment}
+                      onChange={(e) => setThreadComment(e.target.value)}
+                      rows={3}
+                      maxLength={2000}
+                      className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-4 py-3 text-theme-primary placeholder:text-theme-subtle"
+                      placeholder={replyTo ? 'Write a reply...' : 'Add a comment for the vendor...'}
+                    />
+                    <button
+                      onClick={handleAddComment}
+                      disabled={postingComment || !threadComment.trim()}
+                      className="px-6 py-2 bg-brand-primary text-white rounded-lg hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                    >
+                      {postingComment ? 'Posting...' : replyTo ? 'Post Reply' : 'Post Comment'}
+                    </button>
+                  </div>
+                </div>
+
+                {selectedRequest.auditLog?.length > 0 && (
+                  <div>
+                    <label className="text-sm font-medium text-theme-secondary">History</label>
+                    <div className="mt-2 space-y-2">
+                      {selectedRequest.auditLog.map((entry) => (
+                        <div key={entry._id} className="text-sm flex justify-between gap-4 border-b border-theme-base/10 pb-2">
+                          <span className="text-theme-primary">
+                            {getAuditLabel(entry.action)}
+                            {entry.revision && <span className="text-theme-secondary"> · v{entry.revision}</span>}
+                            {entry.previousStatus && entry.newStatus && (
+                              <span className="text-theme-secondary"> · {getStatusLabel(entry.previousStatus)} → {getStatusLabel(entry.newStatus)}</span>
+                            )}
+                            <span className="text-theme-secondary"> · {entry.adminId}</span>
+                          </span>
+                          <span className="text-theme-secondary">{new Date(entry.createdAt).toLocaleString()}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {selectedRequest.request.status === 'changes_requested' && (
+                  <div className="flex gap-3 pt-4 border-t border-theme-base/30">
+                    <button
+                      onClick={() => setActionModal({ open: true, action: 'reject', request: selectedRequest.request })}
+                      className="px-6 py-2 bg-error text-white rounded-lg hover:bg-error/80 transition-colors"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+
                 {selectedRequest.request.status === 'pending_review' && (
                   <div className="flex gap-3 pt-4 border-t border-theme-base/30">
                     <button
-                      onClick={() => handleAction('approve', selectedRequest.request._id)}
+                      onClick={() => setActionModal({ open: true, action: 'approve', request: selectedRequest.request })}
                       className="px-6 py-2 bg-success text-white rounded-lg hover:bg-success/80 transition-colors"
                     >
                       Approve
@@ -434,7 +655,7 @@ const ProductRequestsQueue = () => {
               </div>
               <div className="flex gap-3">
                 <button
-                  onClick={() => handleAction(actionModal.action, actionModal.request._id)}
+                  onClick={() => handleAction(actionModal.action, actionModal.request)}
                   className="flex-1 px-6 py-2 bg-brand-primary text-white rounded-lg hover:bg-brand-primary-hover transition-colors"
                 >
                   Confirm
@@ -0,0 +1,651 @@
+/**
+ * Products Console
+ *
+ * Admin catalog console over every vendor's products: filter across
+ * vendors, edit what customers see (title, description, images), change
+ * storefront status, send products back for review and decide on vendor
+ * changes to price, rules or warranty (held until approved). Every change
+ * is recorded in the product's admin history, apart from vendor edits.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+import { PROVIDER_LABELS, formatPrice } from '../../../utils/constants';
+
+const inputClass = 'w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+const STATUS_STYLES = {
+  active: 'bg-success/20 text-success',
+  pending: 'bg-warning/20 text-warning',
+  draft: 'bg-theme-surface text-theme-subtle',
+  inactive: 'bg-theme-surface text-theme-subtle',
+  archived: 'bg-error/20 text-error'
+};
+
+const REVIEW_STYLES = {
+  approved: 'text-success',
+  pending: 'text-warning',
+  rejected: 'text-error'
+};
+
+const AUDIT_LABELS = {
+  listing_updated: 'Listing edited',
+  status_changed: 'Status changed',
+  re_review_requested: 'Sent back for review',
+  review_approved: 'Review approved',
+  review_rejected: 'Review rejected',
+  change_approved: 'Vendor change approved',
+  change_rejected: 'Vendor change rejected'
+};
+
+const CHANGE_FIELD_LABELS = {
+  costPrice: 'Vendor price',
+  currency: 'Currency',
+  provider: 'Provider',
+  serviceType: 'Service type',
+  planDurationDays: 'Plan duration (days)',
+  rules: 'Rules',
+  warrantyDays: 'Warranty days',
+  warrantyType: 'Warranty type',
+  replacementPolicy: 'Replacement policy'
+};
+
+const EMPTY_FILTERS = {
+  search: '',
+  vendorId: '',
+  provider: '',
+  status: '',
+  reviewStatus: '',
+  stock: '',
+  changes: ''
+};
+
+const PAGE_SIZE = 25;
+
+const ProductsConsole = () => {
+  const [products, setProducts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [vendors, setVendors] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ title: '', description: '', images: [] });
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchVendors();
+  }, []);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [appliedFilters, page]);
+
+  const fetchVendors = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/vendor`, { withCredentials: true });
+      if (response.data.success) {
+        setVendors(response.data.data || []);
+      }
+    } catch (error) {
+      // The vendor filter is optional; the console works without it
+    }
+  };
+
+  const fetchProducts = async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await axios.get(`${apiBase}/api/admin/products`, { params, withCredentials: true });
+      if (response.data.success) {
+        setProducts(response.data.products);
+        setCounts(response.data.counts);
+        setTotal(response.data.total);
+      }
+    } catch (error) {
+      toast.error('Failed to load products');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openProduct = async (productId) => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/products/${productId}`, { withCredentials: true });
+      if (response.data.success) {
+        const { product, auditLog, changeRequests } = response.data;
+        setSelected({ product, auditLog, changeRequests: changeRequests || [] });
+        setForm({
+          title: product.title,
+          description: product.description || '',
+          images: (product.images || []).map(({ url, alt, isPrimary }) => ({ url, alt: alt || '', isPrimary: Boolean(isPrimary) }))
+        });
+        setReason('');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load product');
+    }
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const afterChange = (message, productId) => {
+    toast.success(message);
+    fetchProducts();
+    openProduct(productId);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (saving || !selected) return;
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${apiBase}/api/admin/products/${selected.product._id}`,
+        { ...form, images: form.images.filter(image => image.url.trim()) },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        afterChange(response.data.message, selected.product._id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save product');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatus = async (status) => {
+    try {
+      const response = await axios.patch(
+        `${apiBase}/api/admin/products/${selected.product._id}/status`,
+        { status, reason: reason.trim() || null },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        afterChange(response.data.message, selected.product._id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update status');
+    }
+  };
+
+  const handleReReview = async () => {
+    if (!reason.trim()) {
+      toast.error('Give a reason for the re-review');
+      return;
+    }
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/products/${selected.product._id}/re-review`,
+        { reason: reason.trim() },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        afterChange(response.data.message, selected.product._id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send product for review');
+    }
+  };
+
+  const handleReview = async (decision) => {
+    if (decision === 'rejected' && !reason.trim()) {
+      toast.error('Give a reason for the rejection');
+      return;
+    }
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/products/${selected.product._id}/review`,
+        { decision, notes: reason.trim() || null },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        afterChange(response.data.message, selected.product._id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review product');
+    }
+  };
+
+  const handleChangeReview = async (change, decision) => {
+    if (decision === 'rejected' && !reason.trim()) {
+      toast.error('Give a reason for the rejection');
+      return;
+    }
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/products/changes/${change._id}/review`,
+        { decision, notes: reason.trim() || null },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        afterChange(response.data.message, selected.product._id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review change');
+    }
+  };
+
+  const showPendingChanges = () => {
+    const next = { ...filters, changes: filters.changes ? '' : 'pending' };
+    setFilters(next);
+    setPage(1);
+    setAppliedFilters(next);
+  };
+
+  const updateImage = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      images: prev.images.map((image, i) => {
+        if (field === 'isPrimary') return { ...image, isPrimary: i === index };
+        return i === index ? { ...image, [field]: value } : image;
+      })
+    }));
+  };
+
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return `${value.length} image(s)`;
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const product = selected?.product;
+  const pendingChange = selected?.changeRequests.find(change => change.status === 'pending');
+
+  return (
+    <AdminLayout currentPage="products">
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+            Products
+          </h1>
+          <p className="text-theme-secondary mt-1">
+            Every vendor's products as customers see them. Edits here are recorded in the product's admin history.
+          </p>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 md:grid-cols-7 gap-4">
+          {['active', 'pending', 'inactive', 'draft', 'archived'].map(key => (
+            <div key={key} className="glass-card rounded-2xl p-4 border border-theme-base/30">
+              <div className="text-2xl font-bold text-theme-primary">{counts[key] || 0}</div>
+              <div className="text-sm text-theme-secondary capitalize">{key}</div>
+            </div>
+          ))}
+          <div className="glass-card rounded-2xl p-4 border border-warning/30 bg-warning/5">
+            <div className="text-2xl font-bold text-warning">{counts.reviewPending || 0}</div>
+            <div className="text-sm text-theme-secondary">Awaiting review</div>
+          </div>
+          <button
+            onClick={showPendingChanges}
+            className={`glass-card rounded-2xl p-4 border text-left ${appliedFilters.changes ? 'border-brand-primary' : 'border-warning/30 bg-warning/5'}`}
+          >
+            <div className="text-2xl font-bold text-warning">{counts.changesPending || 0}</div>
+            <div className="text-sm text-theme-secondary">{appliedFilters.changes ? 'Showing pending changes' : 'Vendor changes'}</div>
+          </button>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={applyFilters} className="glass-card rounded-2xl p-4 border border-theme-base/30 grid grid-cols-1 md:grid-cols-7 gap-3">
+          <input
+            value={filters.search}
+            onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+            placeholder="Title or SKU"
+            className={`${inputClass} md:col-span-2`}
+          />
+          <select
+            value={filters.vendorId}
+            onChange={(e) => setFilters(prev => ({ ...prev, vendorId: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">All vendors</option>
+            {vendors.map(vendor => (
+              <option key={vendor._id} value={vendor._id}>{vendor.displayName || vendor.companyName}</option>
+            ))}
+          </select>
+          <select
+            value={filters.provider}
+            onChange={(e) => setFilters(prev => ({ ...prev, provider: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">All providers</option>
+            {Object.entries(PROVIDER_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="pending">Pending</option>
+            <option value="inactive">Inactive</option>
+            <option value="draft">Draft</option>
+            <option value="archived">Archived</option>
+          </select>
+          <select
+            value={filters.reviewStatus}
+            onChange={(e) => setFilters(prev => ({ ...prev, reviewStatus: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Any review</option>
+            <option value="pending">Awaiting review</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+          </select>
+          <div className="flex gap-2">
+            <select
+              value={filters.stock}
+              onChange={(e) => setFilters(prev => ({ ...prev, stock: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">Any stock</option>
+              <option value="low">Low stock</option>
+              <option value="out">Out of stock</option>
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors"
+            >
+              Filter
+            </button>
+          </div>
+        </form>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          {/* Product List */}
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : products.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No products match these filters</p>
+            ) : (
+              <div className="divide-y divide-theme-base">
+                {products.map(item => (
+                  <div
+                    key={item._id}
+                    onClick={() => openProduct(item._id)}
+                    className={`p-4 cursor-pointer hover:bg-theme-surface/30 ${product?._id === item._id ? 'bg-theme-surface/40' : ''}`}
+                  >
+                    <div className="flex flex-wrap items-start justify-between gap-2">
+                      <div>
+                        <p className="font-semibold text-theme-primary">{item.title}</p>
+                        <p className="text-xs text-theme-secondary">
+                          {item.sku} · {item.vendorId?.displayName || item.vendorId?.companyName || 'Unknown vendor'} · {PROVIDER_LABELS[item.provider] || item.provider}
+                          {' '}· {formatPrice(item.priceDecimal, item.currency)} for {item.planDurationDays} days
+                          {item.margin !== null && ` · cost ${formatPrice(item.costPrice, item.currency)}, margin ${formatPrice(item.margin, item.currency)}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className={`px-3 py-1 rounded-full text-xs ${STATUS_STYLES[item.status] || STATUS_STYLES.inactive}`}>
+                          {item.status}
+                        </span>
+                        <span className={`text-xs ${REVIEW_STYLES[item.adminReviewStatus] || ''}`}>
+                          review {item.adminReviewStatus}
+                        </span>
+                        <span className={`text-xs ${item.available > 0 ? 'text-theme-secondary' : 'text-error'}`}>
+                          {item.available} available
+                        </span>
+                        {item.pendingChange && (
+                          <span className="px-3 py-1 rounded-full text-xs bg-warning/20 text-warning">change pending</span>
+                        )}
+                      </div>
+                    </div>
+                    {!item.onStorefront && item.status === 'active' && (
+                      <p className="mt-1 text-xs text-warning">Hidden from the storefront until approved</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between px-4 py-3 border-t border-theme-base text-sm">
+                <button
+                  onClick={() => setPage(prev => Math.max(1, prev - 1))}
+                  disabled={page === 1}
+                  className="text-brand-primary disabled:text-theme-subtle"
+                >
+                  Previous
+                </button>
+                <span className="text-theme-secondary">Page {page} of {totalPages}</span>
+                <button
+                  onClick={() => setPage(prev => Math.min(totalPages, prev + 1))}
+                  disabled={page === totalPages}
+                  className="text-brand-primary disabled:text-theme-subtle"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Product Panel */}
+          <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!product ? (
+              <p className="text-theme-secondary text-sm">Select a product to edit its listing or status.</p>
+            ) : (
+              <div className="space-y-6 text-sm">
+                <div>
+                  <h2 className="text-lg font-semibold text-theme-primary">{product.title}</h2>
+                  <p className="text-xs text-theme-secondary">
+                    {product.sku} · {product.vendorId?.displayName || product.vendorId?.companyName} · {product.stock} in stock, {product.reservedStock || 0} held
+                  </p>
+                  <p className="text-xs text-theme-secondary">
+                    Sale {formatPrice(product.priceDecimal, product.currency)}
+                    {product.margin !== null && ` · vendor cost ${formatPrice(product.costPrice, product.currency)} · margin ${formatPrice(product.margin, product.currency)}`}
+                  </p>
+                  {product.adminReviewNotes && (
+                    <p className="mt-2 text-xs text-theme-secondary">Review notes: {product.adminReviewNotes}</p>
+                  )}
+                </div>
+
+                <form onSubmit={handleSave} className="space-y-3">
+                  <h3 className="font-semibold text-theme-primary">Customer-facing listing</h3>
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Title</span>
+                    <input
+                      value={form.title}
+                      onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                      maxLength={150}
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Description</span>
+                    <textarea
+                      value={form.description}
+                      onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                      rows={4}
+                      maxLength={5000}
+                      className={inputClass}
+                    />
+                  </label>
+                  <div className="space-y-2">
+                    <span className="text-xs text-theme-secondary">Images (the primary image is the thumbnail)</span>
+                    {form.images.map((image, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          checked={image.isPrimary}
+                          onChange={() => updateImage(index, 'isPrimary', true)}
+                          title="Primary image"
+                        />
+                        <input
+                          value={image.url}
+                          onChange={(e) => updateImage(index, 'url', e.target.value)}
+                          placeholder="Image URL"
+                          className={inputClass}
+                        />
+                        <input
+                          value={image.alt}
+                          onChange={(e) => updateImage(index, 'alt', e.target.value)}
+                          placeholder="Alt text"
+                          className={`${inputClass} w-32`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setForm(prev => ({ ...prev, images: prev.images.filter((_, i) => i !== index) }))}
+                          className="text-xs text-error hover:underline"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    {form.images.length < 10 && (
+                      <button
+                        type="button"
+                        onClick={() => setForm(prev => ({ ...prev, images: [...prev.images, { url: '', alt: '', isPrimary: prev.images.length === 0 }] }))}
+                        className="text-xs text-brand-primary hover:underline"
+                      >
+                        + Add image
+                      </button>
+                    )}
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save listing'}
+                  </button>
+                </form>
+
+                <div className="space-y-3 border-t border-theme-base pt-4">
+                  <h3 className="font-semibold text-theme-primary">Status & review</h3>
+                  <p className="text-xs text-theme-secondary">
+                    Status <span className="font-semibold">{product.status}</span>, review{' '}
+                    <span className={`font-semibold ${REVIEW_STYLES[product.adminReviewStatus] || ''}`}>{product.adminReviewStatus}</span>
+                    {product.onStorefront ? ' · on the storefront' : ' · not on the storefront'}
+                  </p>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={2}
+                    maxLength={1000}
+                    className={inputClass}
+                    placeholder="Reason (required for re-review and rejection)"
+                  />
+                  <div className="flex flex-wrap gap-3">
+                    {product.status !== 'active' && product.adminReviewStatus === 'approved' && (
+                      <button onClick={() => handleStatus('active')} className="text-xs text-success hover:underline">
+                        Activate
+                      </button>
+                    )}
+                    {product.status === 'active' && (
+                      <button onClick={() => handleStatus('inactive')} className="text-xs text-warning hover:underline">
+                        Deactivate
+                      </button>
+                    )}
+                    {product.status !== 'archived' && (
+                      <button onClick={() => handleStatus('archived')} className="text-xs text-error hover:underline">
+                        Archive
+                      </button>
+                    )}
+                    {product.adminReviewStatus !== 'pending' ? (
+                      <button onClick={handleReReview} className="text-xs text-brand-primary hover:underline">
+                        Force re-review
+                      </button>
+                    ) : (
+                      <>
+                        <button onClick={() => handleReview('approved')} className="text-xs text-success hover:underline">
+                          Approve
+                        </button>
+                        <button onClick={() => handleReview('rejected')} className="text-xs text-error hover:underline">
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {pendingChange && (
+                  <div className="space-y-3 border-t border-theme-base pt-4">
+                    <h3 className="font-semibold text-theme-primary">Vendor change waiting for approval</h3>
+                    <p className="text-xs text-theme-secondary">
+                      Submitted by {pendingChange.submittedBy} on {new Date(pendingChange.createdAt).toLocaleString()}. Customers see the live version until it is approved.
+                    </p>
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-theme-secondary">
+                          <th className="py-1">Field</th>
+                          <th className="py-1">Live</th>
+                          <th className="py-1">Proposed</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pendingChange.changes.map(change => (
+                          <tr key={change.field} className="border-t border-theme-base/20 align-top">
+                            <td className="py-1 text-theme-primary">{CHANGE_FIELD_LABELS[change.field] || change.field}</td>
+                            <td className="py-1 text-theme-secondary whitespace-pre-wrap">{formatAuditValue(change.before)}</td>
+                            <td className="py-1 text-theme-primary whitespace-pre-wrap">{formatAuditValue(change.after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-theme-subtle">The reason above is sent as review notes (required to reject).</p>
+                    <div className="flex gap-3">
+                      <button onClick={() => handleChangeReview(pendingChange, 'approved')} className="text-xs text-success hover:underline">
+                        Approve change
+                      </button>
+                      <button onClick={() => handleChangeReview(pendingChange, 'rejected')} className="text-xs text-error hover:underline">
+                        Reject change
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="space-y-2 border-t border-theme-base pt-4">
+                  <h3 className="font-semibold text-theme-primary">Admin history</h3>
+                  {selected.auditLog.length === 0 ? (
+                    <p className="text-xs text-theme-subtle">No admin changes yet</p>
+                  ) : (
+                    selected.auditLog.map(entry => (
+                      <div key={entry._id} className="border-b border-theme-base/10 pb-2">
+                        <div className="flex justify-between gap-2 text-xs">
+                          <span className="text-theme-primary font-medium">{AUDIT_LABELS[entry.action] || entry.action}</span>
+                          <span className="text-theme-secondary">{new Date(entry.createdAt).toLocaleString()}</span>
+                        </div>
+                        <p className="text-xs text-theme-secondary">{entry.adminId}{entry.reason ? ` · ${entry.reason}` : ''}</p>
+                        {entry.changes.map(change => (
+                          <p key={change.field} className="text-xs text-theme-subtle">
+                            {change.field}: {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+                          </p>
+                        ))}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default ProductsConsole;
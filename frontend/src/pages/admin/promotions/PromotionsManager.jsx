@@ -0,0 +1,639 @@
+/**
+ * Promotions Manager
+ *
+ * Admin page for coupon codes, automatic promotions (flash sales on a
+ * provider or product) and the redemption report over paid orders.
+ * Discounts are evaluated by the backend when an order total is computed.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+import { PROVIDER_LABELS, formatPrice } from '../../../utils/constants';
+
+const EMPTY_COUPON = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  currency: 'USD',
+  maxDiscountAmount: '',
+  minOrderAmount: '',
+  usageLimit: '',
+  perUserLimit: '1',
+  startsAt: '',
+  expiresAt: '',
+  providers: [],
+  productIds: '',
+  isActive: true
+};
+
+const EMPTY_PROMOTION = {
+  name: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  currency: 'USD',
+  startsAt: '',
+  endsAt: '',
+  providers: [],
+  productIds: '',
+  isActive: true
+};
+
+const inputClass = 'w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+// <input type="datetime-local"> works in local time without seconds
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describeScope = (scope = {}) => {
+  const parts = [
+    ...(scope.providers || []).map(provider => PROVIDER_LABELS[provider] || provider),
+    ...((scope.productIds || []).length ? [`${scope.productIds.length} product(s)`] : [])
+  ];
+  return parts.length ? parts.join(', ') : 'Whole order';
+};
+
+const describeValue = (rule) => (rule.type === 'percentage' ? `${rule.value}%` : formatPrice(rule.value, rule.currency));
+
+const PromotionsManager = () => {
+  const [tab, setTab] = useState('coupons');
+  const [coupons, setCoupons] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [report, setReport] = useState(null);
+  const [reportRange, setReportRange] = useState({ startDate: '', endDate: '' });
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_COUPON);
+  const [saving, setSaving] = useState(false);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    setEditing(null);
+    if (tab === 'coupons') fetchCoupons();
+    if (tab === 'promotions') fetchPromotions();
+    if (tab === 'report') fetchReport();
+  }, [tab]);
+
+  const fetchCoupons = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/promotions/coupons`, { params: { limit: 100 }, withCredentials: true });
+      if (response.data.success) {
+        setCoupons(response.data.coupons);
+      }
+    } catch (error) {
+      toast.error('Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPromotions = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/promotions`, { params: { limit: 100 }, withCredentials: true });
+      if (response.data.success) {
+        setPromotions(response.data.promotions);
+      }
+    } catch (error) {
+      toast.error('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (reportRange.startDate) params.startDate = reportRange.startDate;
+      if (reportRange.endDate) params.endDate = `${reportRange.endDate}T23:59:59`;
+      const response = await axios.get(`${apiBase}/api/admin/promotions/report`, { params, withCredentials: true });
+      if (response.data.success) {
+        setReport(response.data.report);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load redemption report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startCreate = () => {
+    setEditing('new');
+    setForm(tab === 'coupons' ? EMPTY_COUPON : EMPTY_PROMOTION);
+  };
+
+  const startEdit = (rule) => {
+    setEditing(rule._id);
+    const shared = {
+      description: rule.description || '',
+      type: rule.type,
+      value: String(rule.value),
+      currency: rule.currency || 'USD',
+      providers: rule.scope?.providers || [],
+      productIds: (rule.scope?.productIds || []).join(', '),
+      isActive: rule.isActive
+    };
+    if (tab === 'coupons') {
+      setForm({
+        ...shared,
+        code: rule.code,
+        maxDiscountAmount: rule.maxDiscountAmount ?? '',
+        minOrderAmount: rule.minOrderAmount ? String(rule.minOrderAmount) : '',
+        usageLimit: rule.usageLimit ?? '',
+        perUserLimit: String(rule.perUserLimit || 1),
+        startsAt: toLocalInput(rule.startsAt),
+        expiresAt: toLocalInput(rule.expiresAt)
+      });
+    } else {
+      setForm({
+        ...shared,
+        name: rule.name,
+        startsAt: toLocalInput(rule.startsAt),
+        endsAt: toLocalInput(rule.endsAt)
+      });
+    }
+  };
+
+  const toggleProvider = (provider) => {
+    setForm(prev => ({
+      ...prev,
+      providers: prev.providers.includes(provider)
+        ? prev.providers.filter(item => item !== provider)
+        : [...prev.providers, provider]
+    }));
+  };
+
+  const buildPayload = () => {
+    const { providers, productIds, ...fields } = form;
+    const payload = {
+      ...fields,
+      scope: {
+        providers,
+        productIds: productIds.split(',').map(id => id.trim()).filter(Boolean)
+      }
+    };
+    ['startsAt', 'expiresAt', 'endsAt'].forEach(key => {
+      if (payload[key]) payload[key] = new Date(payload[key]).toISOString();
+    });
+    return payload;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setSaving(true);
+    try {
+      const base = tab === 'coupons' ? `${apiBase}/api/admin/promotions/coupons` : `${apiBase}/api/admin/promotions`;
+      const response = editing === 'new'
+        ? await axios.post(base, buildPayload(), { withCredentials: true })
+        : await axios.put(`${base}/${editing}`, buildPayload(), { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setEditing(null);
+        tab === 'coupons' ? fetchCoupons() : fetchPromotions();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const label = tab === 'coupons' ? rule.code : rule.name;
+    if (!window.confirm(`Delete ${label}?`)) return;
+    try {
+      const url = tab === 'coupons'
+        ? `${apiBase}/api/admin/promotions/coupons/${rule._id}`
+        : `${apiBase}/api/admin/promotions/${rule._id}`;
+      const response = await axios.delete(url, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        if (editing === rule._id) setEditing(null);
+        tab === 'coupons' ? fetchCoupons() : fetchPromotions();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete');
+    }
+  };
+
+  const isRunning = (promotion) => {
+    const now = Date.now();
+    return promotion.isActive && new Date(promotion.startsAt).getTime() <= now && new Date(promotion.endsAt).getTime() > now;
+  };
+
+  const rows = tab === 'coupons' ? coupons : promotions;
+
+  return (
+    <AdminLayout currentPage="promotions">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Promotions
+            </h1>
+            <p className="text-theme-secondary mt-1">Coupon codes, automatic sales and what they cost</p>
+          </div>
+          <div className="flex gap-2">
+            {[['coupons', 'Coupons'], ['promotions', 'Automatic'], ['report', 'Report']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setTab(id)}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${tab === id ? 'bg-brand-primary text-white' : 'border border-theme-base/50 text-theme-primary hover:bg-theme-surface'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {tab === 'report' ? (
+          <div className="space-y-4">
+            <div className="glass-card rounded-2xl p-4 border border-theme-base/30 flex flex-wrap items-end gap-3">
+              <label className="space-y-1 text-sm">
+                <span className="text-xs text-theme-secondary">Paid from</span>
+                <input
+                  type="date"
+                  value={reportRange.startDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, startDate: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+              <label className="space-y-1 text-sm">
+                <span className="text-xs text-theme-secondary">Paid until</span>
+                <input
+                  type="date"
+                  value={reportRange.endDate}
+                  onChange={(e) => setReportRange(prev => ({ ...prev, endDate: e.target.value }))}
+                  className={inputClass}
+                />
+              </label>
+              <button
+                onClick={fetchReport}
+                className="px-4 py-2 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors"
+              >
+                Apply
+              </button>
+            </div>
+
+            {loading || !report ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {report.totals.length === 0 ? (
+                    <p className="text-theme-secondary text-sm">No discounted orders in this period</p>
+                  ) : (
+                    <>
+                      <div className="glass-card rounded-2xl p-5 border border-brand-primary/40">
+                        <p className="text-xs text-theme-secondary">All orders in {report.currency} · {report.summary.orders} discounted order(s)</p>
+                        <p className="text-2xl font-bold text-theme-primary">{formatPrice(report.summary.discountTotal, report.currency)}</p>
+                        <p className="text-xs text-theme-secondary">given on {formatPrice(report.summary.orderRevenue, report.currency)} collected</p>
+                      </div>
+                      {report.totals.length > 1 && report.totals.map(total => (
+                        <div key={total.currency} className="glass-card rounded-2xl p-5 border border-theme-base/30">
+                          <p className="text-xs text-theme-secondary">{total.currency} · {total.orders} discounted order(s)</p>
+                          <p className="text-2xl font-bold text-theme-primary">{formatPrice(total.discountTotal, total.currency)}</p>
+                          <p className="text-xs text-theme-secondary">given on {formatPrice(total.orderRevenue, total.currency)} collected</p>
+                        </div>
+                      ))}
+                    </>
+                  )}
+                </div>
+
+                {report.rows.length > 0 && (
+                  <div className="glass-card rounded-2xl overflow-hidden border border-theme-base/30 overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead className="bg-theme-surface/50">
+                        <tr>
+                          <th className="px-4 py-3 text-left font-semibold">Discount</th>
+                          <th className="px-4 py-3 text-left font-semibold">Type</th>
+                          <th className="px-4 py-3 text-left font-semibold">Redemptions</th>
+                          <th className="px-4 py-3 text-left font-semibold">Discount given</th>
+                          <th className="px-4 py-3 text-left font-semibold">Order revenue</th>
+                          <th className="px-4 py-3 text-left font-semibold">Last used</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.rows.map(row => (
+                          <tr key={`${row.couponId || row.promotionId}-${row.currency}`} className="border-t border-theme-base">
+                            <td className="px-4 py-3 font-medium">{row.source === 'coupon' ? row.code : row.name}</td>
+                            <td className="px-4 py-3">{row.source === 'coupon' ? 'Coupon' : 'Automatic'}</td>
+                            <td className="px-4 py-3">{row.redemptions}</td>
+                            <td className="px-4 py-3">
+                              {formatPrice(row.discountTotal, row.currency)}
+                              {row.currency !== report.currency && (
+                                <span className="block text-xs text-theme-secondary">{formatPrice(row.settlementDiscount, report.currency)}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3">
+                              {formatPrice(row.orderRevenue, row.currency)}
+                              {row.currency !== report.currency && (
+                                <span className="block text-xs text-theme-secondary">{formatPrice(row.settlementRevenue, report.currency)}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3">{row.lastRedeemedAt ? new Date(row.lastRedeemedAt).toLocaleDateString() : '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+            <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+              <div className="flex items-center justify-between px-4 py-3 border-b border-theme-base">
+                <p className="font-semibold text-theme-primary">{tab === 'coupons' ? 'Coupons' : 'Automatic promotions'}</p>
+                <button
+                  onClick={startCreate}
+                  className="px-3 py-1.5 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors"
+                >
+                  New
+                </button>
+              </div>
+              {loading ? (
+                <div className="p-12 text-center">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+                </div>
+              ) : rows.length === 0 ? (
+                <p className="p-12 text-center text-theme-secondary">Nothing here yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-theme-surface/50">
+                      <tr>
+                        <th className="px-4 py-3 text-left font-semibold">{tab === 'coupons' ? 'Code' : 'Name'}</th>
+                        <th className="px-4 py-3 text-left font-semibold">Discount</th>
+                        <th className="px-4 py-3 text-left font-semibold">Applies to</th>
+                        <th className="px-4 py-3 text-left font-semibold">{tab === 'coupons' ? 'Used' : 'Window'}</th>
+                        <th className="px-4 py-3 text-left font-semibold">Status</th>
+                        <th className="px-4 py-3"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(rule => (
+                        <tr
+                          key={rule._id}
+                          onClick={() => startEdit(rule)}
+                          className={`border-t border-theme-base cursor-pointer hover:bg-theme-surface/30 ${editing === rule._id ? 'bg-theme-surface/40' : ''}`}
+                        >
+                          <td className="px-4 py-3 font-mono">{tab === 'coupons' ? rule.code : rule.name}</td>
+                          <td className="px-4 py-3">{describeValue(rule)}</td>
+                          <td className="px-4 py-3">{describeScope(rule.scope)}</td>
+                          <td className="px-4 py-3">
+                            {tab === 'coupons'
+                              ? `${rule.usedCount}${rule.usageLimit ? ` / ${rule.usageLimit}` : ''}`
+                              : `${new Date(rule.startsAt).toLocaleDateString()} – ${new Date(rule.endsAt).toLocaleDateString()}`}
+                          </td>
+                          <td className="px-4 py-3">
+                            {tab === 'promotions' && isRunning(rule) ? (
+                              <span className="px-3 py-1 rounded-full text-xs bg-success/20 text-success">running</span>
+                            ) : (
+                              <span className={`px-3 py-1 rounded-full text-xs ${rule.isActive ? 'bg-info/20 text-info' : 'bg-theme-surface text-theme-subtle'}`}>
+                                {rule.isActive ? 'active' : 'inactive'}
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-right">
+                            <button
+                              onClick={(e) => { e.stopPropagation(); handleDelete(rule); }}
+                              className="text-xs text-error hover:underline"
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+              {!editing ? (
+                <p className="text-theme-secondary text-sm">Select an entry to edit it, or create a new one.</p>
+              ) : (
+                <form onSubmit={handleSave} className="space-y-3 text-sm">
+                  <h2 className="text-lg font-semibold text-theme-primary">
+                    {editing === 'new' ? 'New' : 'Edit'} {tab === 'coupons' ? 'coupon' : 'promotion'}
+                  </h2>
+
+                  {tab === 'coupons' ? (
+                    <label className="block space-y-1">
+                      <span className="text-xs text-theme-secondary">Code</span>
+                      <input
+                        value={form.code}
+                        onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                        maxLength={32}
+                        className={`${inputClass} font-mono`}
+                        required
+                      />
+                    </label>
+                  ) : (
+                    <label className="block space-y-1">
+                      <span className="text-xs text-theme-secondary">Name (shown to customers)</span>
+                      <input
+                        value={form.name}
+                        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                        maxLength={100}
+                        className={inputClass}
+                        required
+                      />
+                    </label>
+                  )}
+
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Description</span>
+                    <input
+                      value={form.description}
+                      onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                      maxLength={300}
+                      className={inputClass}
+                    />
+                  </label>
+
+                  <div className="grid grid-cols-3 gap-3">
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Type</span>
+                      <select
+                        value={form.type}
+                        onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                        className={inputClass}
+                      >
+                        <option value="percentage">Percent</option>
+                        <option value="fixed">{tab === 'coupons' ? 'Fixed amount' : 'Amount per unit'}</option>
+                      </select>
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Value</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={form.value}
+                        onChange={(e) => setForm(prev => ({ ...prev, value: e.target.value }))}
+                        className={inputClass}
+                        required
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Currency</span>
+                      <input
+                        value={form.currency}
+                        onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                        maxLength={3}
+                        className={inputClass}
+                      />
+                    </label>
+                  </div>
+
+                  {tab === 'coupons' && (
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Minimum spend</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={form.minOrderAmount}
+                          onChange={(e) => setForm(prev => ({ ...prev, minOrderAmount: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Max discount (percent only)</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={form.maxDiscountAmount}
+                          onChange={(e) => setForm(prev => ({ ...prev, maxDiscountAmount: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Total uses (empty = unlimited)</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={form.usageLimit}
+                          onChange={(e) => setForm(prev => ({ ...prev, usageLimit: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Uses per customer</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={form.perUserLimit}
+                          onChange={(e) => setForm(prev => ({ ...prev, perUserLimit: e.target.value }))}
+                          className={inputClass}
+                        />
+                      </label>
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Starts</span>
+                      <input
+                        type="datetime-local"
+                        value={form.startsAt}
+                        onChange={(e) => setForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                        className={inputClass}
+                        required={tab === 'promotions'}
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">{tab === 'coupons' ? 'Expires' : 'Ends'}</span>
+                      <input
+                        type="datetime-local"
+                        value={tab === 'coupons' ? form.expiresAt : form.endsAt}
+                        onChange={(e) => setForm(prev => ({ ...prev, [tab === 'coupons' ? 'expiresAt' : 'endsAt']: e.target.value }))}
+                        className={inputClass}
+                        required={tab === 'promotions'}
+                      />
+                    </label>
+                  </div>
+
+                  <div className="space-y-1">
+                    <span className="text-xs text-theme-secondary">
+                      Providers {tab === 'coupons' ? '(none selected and no products = whole order)' : ''}
+                    </span>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(PROVIDER_LABELS).map(([provider, label]) => (
+                        <button
+                          key={provider}
+                          type="button"
+                          onClick={() => toggleProvider(provider)}
+                          className={`px-3 py-1 rounded-full text-xs border ${form.providers.includes(provider) ? 'bg-brand-primary text-white border-brand-primary' : 'border-theme-base/50 text-theme-primary'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <label className="block space-y-1">
+                    <span className="text-xs text-theme-secondary">Product IDs (comma separated)</span>
+                    <input
+                      value={form.productIds}
+                      onChange={(e) => setForm(prev => ({ ...prev, productIds: e.target.value }))}
+                      className={`${inputClass} font-mono text-xs`}
+                    />
+                  </label>
+
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={form.isActive}
+                      onChange={(e) => setForm(prev => ({ ...prev, isActive: e.target.checked }))}
+                    />
+                    <span>Active</span>
+                  </label>
+
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(null)}
+                      className="px-4 py-2 border border-theme-base/50 rounded-lg font-semibold text-theme-primary"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default PromotionsManager;
@@ -0,0 +1,221 @@
+/**
+ * Referrals Report
+ *
+ * Admin page for the referral program: sign-ups made through referral
+ * links, how many went on to pay, the rewards handed out, sign-ups
+ * rejected by the fraud checks and the customers referring the most.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const STATUS_CLASSES = {
+  pending: 'bg-warning/20 text-warning',
+  rewarded: 'bg-success/20 text-success',
+  rejected: 'bg-error/20 text-error'
+};
+
+const REJECT_LABELS = {
+  self_referral: 'Own email address',
+  same_ip: 'Same IP address',
+  same_device: 'Same device'
+};
+
+const ReferralsReport = () => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ startDate: '', endDate: '', status: '' });
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchReport();
+  }, [filters]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await axios.get(`${apiBase}/api/admin/referrals`, { params, withCredentials: true });
+      if (response.data.success) {
+        setReport(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load referral report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totals = report?.totals;
+  const summaryCards = totals ? [
+    { label: 'Sign-ups', value: totals.signups },
+    { label: 'Rewarded', value: totals.rewarded },
+    { label: 'Waiting for first order', value: totals.pending },
+    { label: 'Rejected', value: totals.rejected },
+    { label: 'Conversion', value: `${totals.conversionRate}%` },
+    { label: 'First-order revenue', value: `${totals.qualifyingRevenue.toFixed(2)} ${report.currency}` },
+    { label: 'Credit given', value: `${(totals.referrerCredit + totals.refereeCredit).toFixed(2)} ${report.currency}` },
+    { label: 'Coupons issued', value: totals.couponsIssued }
+  ] : [];
+
+  return (
+    <AdminLayout currentPage="referrals">
+      <div className="space-y-6">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Referrals
+            </h1>
+            <p className="text-theme-secondary mt-1">
+              Sign-ups through referral links. Both sides are rewarded when the new customer pays for their first order.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))}
+              className="rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+            />
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))}
+              className="rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              className="rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+            >
+              <option value="">All referrals</option>
+              <option value="pending">Waiting for first order</option>
+              <option value="rewarded">Rewarded</option>
+              <option value="rejected">Rejected</option>
+            </select>
+          </div>
+        </div>
+
+        {loading && !report ? (
+          <div className="p-12 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+          </div>
+        ) : report && (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              {summaryCards.map(card => (
+                <div key={card.label} className="glass-card rounded-2xl p-5 border border-theme-base/30">
+                  <p className="text-sm text-theme-secondary">{card.label}</p>
+                  <p className="text-2xl font-bold text-theme-primary mt-1">{card.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+              <div className="xl:col-span-2 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+                <h2 className="px-4 pt-4 text-lg font-semibold">Top referrers</h2>
+                {report.topReferrers.length === 0 ? (
+                  <p className="p-8 text-center text-theme-secondary">No referrals yet</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm mt-2">
+                      <thead className="bg-theme-surface/50">
+                        <tr>
+                          <th className="px-4 py-3 text-left font-semibold">Customer</th>
+                          <th className="px-4 py-3 text-right font-semibold">Sign-ups</th>
+                          <th className="px-4 py-3 text-right font-semibold">Rewarded</th>
+                          <th className="px-4 py-3 text-right font-semibold">Rejected</th>
+                          <th className="px-4 py-3 text-right font-semibold">Revenue</th>
+                          <th className="px-4 py-3 text-right font-semibold">Credit earned</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.topReferrers.map(row => (
+                          <tr key={row._id} className="border-t border-theme-base">
+                            <td className="px-4 py-3">
+                              <span className="text-theme-primary">{row.email || '—'}</span>
+                              {row.referralCode && <span className="block text-xs font-mono text-theme-secondary">{row.referralCode}</span>}
+                            </td>
+                            <td className="px-4 py-3 text-right">{row.signups}</td>
+                            <td className="px-4 py-3 text-right">{row.rewarded}</td>
+                            <td className={`px-4 py-3 text-right ${row.rejected > 0 ? 'text-error' : 'text-theme-secondary'}`}>{row.rejected}</td>
+                            <td className="px-4 py-3 text-right">{row.qualifyingRevenue.toFixed(2)}</td>
+                            <td className="px-4 py-3 text-right">{row.creditEarned.toFixed(2)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              <div className="glass-card rounded-2xl p-4 border border-theme-base/30">
+                <h2 className="text-lg font-semibold mb-3">Rejected by fraud checks</h2>
+                {report.rejectReasons.length === 0 ? (
+                  <p className="text-sm text-theme-secondary">Nothing rejected</p>
+                ) : (
+                  <ul className="space-y-2 text-sm">
+                    {report.rejectReasons.map(row => (
+                      <li key={row.reason} className="flex justify-between">
+                        <span>{REJECT_LABELS[row.reason] || row.reason}</span>
+                        <span className="font-semibold">{row.count}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            <div className="glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+              <h2 className="px-4 pt-4 text-lg font-semibold">Recent referrals</h2>
+              {report.referrals.length === 0 ? (
+                <p className="p-8 text-center text-theme-secondary">No referrals match these filters</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm mt-2">
+                    <thead className="bg-theme-surface/50">
+                      <tr>
+                        <th className="px-4 py-3 text-left font-semibold">Signed up</th>
+                        <th className="px-4 py-3 text-left font-semibold">Referrer</th>
+                        <th className="px-4 py-3 text-left font-semibold">New customer</th>
+                        <th className="px-4 py-3 text-left font-semibold">Status</th>
+                        <th className="px-4 py-3 text-left font-semibold">First order</th>
+                        <th className="px-4 py-3 text-left font-semibold">Sign-up IP</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.referrals.map(referral => (
+                        <tr key={referral._id} className="border-t border-theme-base">
+                          <td className="px-4 py-3 text-theme-secondary">{new Date(referral.createdAt).toLocaleString()}</td>
+                          <td className="px-4 py-3">{referral.referrerId?.email || '—'}</td>
+                          <td className="px-4 py-3">{referral.refereeId?.email || '—'}</td>
+                          <td className="px-4 py-3">
+                            <span className={`px-3 py-1 rounded-full text-xs ${STATUS_CLASSES[referral.status] || ''}`}>
+                              {referral.status}
+                            </span>
+                            {referral.rejectReason && (
+                              <span className="block text-xs text-theme-secondary mt-1">{REJECT_LABELS[referral.rejectReason] || referral.rejectReason}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 font-mono">{referral.qualifyingOrderId?.orderNumber || '—'}</td>
+                          <td className="px-4 py-3 font-mono text-xs text-theme-secondary">{referral.signupIp || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default ReferralsReport;
@@ -0,0 +1,294 @@
+/**
+ * Refund Requests List
+ *
+ * Admin queue for customer refund requests raised from unresolved warranty
+ * claims. Approving pays back a full or partial amount through the original
+ * payment or as store credit; the step-by-step history is shown per request.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const STATUS_CLASSES = {
+  requested: 'bg-warning/20 text-warning',
+  processing: 'bg-info/20 text-info',
+  completed: 'bg-success/20 text-success',
+  rejected: 'bg-error/20 text-error',
+  failed: 'bg-error/20 text-error'
+};
+
+const STEP_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  payment_refunded: 'Refunded to original payment',
+  store_credit_granted: 'Store credit granted',
+  vendor_earnings_adjusted: 'Vendor earnings adjusted',
+  credentials_revoked: 'Access revoked',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  failed: 'Failed'
+};
+
+const RefundRequestsList = () => {
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('requested');
+  const [detail, setDetail] = useState(null);
+  const [form, setForm] = useState({ amount: '', method: 'original_payment', note: '' });
+  const [acting, setActing] = useState(false);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [statusFilter]);
+
+  const fetchRefunds = async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100 };
+      if (statusFilter !== 'all') params.status = statusFilter;
+      const response = await axios.get(`${apiBase}/api/admin/refunds`, { params, withCredentials: true });
+      if (response.data.success) {
+        setRefunds(response.data.refunds);
+      }
+    } catch (error) {
+      toast.error('Failed to load refund requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDetail = async (refundId) => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/refunds/${refundId}`, { withCredentials: true });
+      if (response.data.success) {
+        setDetail(response.data);
+        setForm({ amount: String(response.data.refundableAmount || ''), method: 'original_payment', note: '' });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load refund request');
+    }
+  };
+
+  const handleApprove = async () => {
+    if (!detail || acting) return;
+    setActing(true);
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/refunds/${detail.refund._id}/approve`,
+        { amount: form.amount === '' ? undefined : Number(form.amount), method: form.method, note: form.note },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        toast.success(response.data.message);
+        await openDetail(detail.refund._id);
+        fetchRefunds();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to process refund');
+      openDetail(detail.refund._id);
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!detail || acting) return;
+    if (!form.note.trim()) {
+      toast.error('A reason is required to reject a refund');
+      return;
+    }
+    setActing(true);
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/refunds/${detail.refund._id}/reject`,
+        { note: form.note },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        toast.success(response.data.message);
+        await openDetail(detail.refund._id);
+        fetchRefunds();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reject refund');
+    } finally {
+      setActing(false);
+    }
+  };
+
+  return (
+    <AdminLayout currentPage="refunds">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Refunds
+            </h1>
+            <p className="text-theme-secondary mt-1">Requests from claims left unresolved for 24 hours</p>
+          </div>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="rounded-xl border border-theme-base/50 bg-theme-surface px-4 py-2 text-theme-primary"
+          >
+            <option value="all">All statuses</option>
+            <option value="requested">Awaiting decision</option>
+            <option value="completed">Completed</option>
+            <option value="rejected">Rejected</option>
+            <option value="failed">Failed</option>
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-3 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : refunds.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No refund requests</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-theme-surface/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-semibold">Refund #</th>
+                      <th className="px-4 py-3 text-left font-semibold">Customer</th>
+                      <th className="px-4 py-3 text-left font-semibold">Product</th>
+                      <th className="px-4 py-3 text-left font-semibold">Amount</th>
+                      <th className="px-4 py-3 text-left font-semibold">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {refunds.map(refund => (
+                      <tr
+                        key={refund._id}
+                        onClick={() => openDetail(refund._id)}
+                        className={`border-t border-theme-base cursor-pointer hover:bg-theme-surface/30 ${detail?.refund._id === refund._id ? 'bg-theme-surface/40' : ''}`}
+                      >
+                        <td className="px-4 py-3 font-mono">{refund.refundNumber}</td>
+                        <td className="px-4 py-3">{refund.customerId?.email || '—'}</td>
+                        <td className="px-4 py-3">{refund.productTitle}</td>
+                        <td className="px-4 py-3">
+                          {refund.approvedAmount ?? refund.requestedAmount} {refund.currency}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={`px-3 py-1 rounded-full text-xs ${STATUS_CLASSES[refund.status] || ''}`}>
+                            {refund.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="xl:col-span-2 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!detail ? (
+              <p className="text-theme-secondary text-sm">Select a refund request to review it.</p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                <div>
+                  <p className="font-mono text-theme-secondary">{detail.refund.refundNumber}</p>
+                  <h2 className="text-xl font-semibold">{detail.refund.productTitle}</h2>
+                  <p className="text-theme-secondary">
+                    {detail.refund.customerId?.email} · Order {detail.order.orderNumber} · {detail.refund.vendorId?.displayName || detail.refund.vendorId?.companyName}
+                  </p>
+                  <p className="text-theme-secondary">
+                    Order total {detail.order.totalAmount} {detail.refund.currency}
+                    {detail.order.refundAmount ? ` · already refunded ${detail.order.refundAmount}` : ''}
+                    {' · '}refundable now {detail.refundableAmount} {detail.refund.currency}
+                  </p>
+                </div>
+
+                {detail.claim && (
+                  <div className="rounded-xl bg-theme-surface p-3">
+                    <p className="font-mono text-xs">{detail.claim.claimNumber} · {detail.claim.status.replace('_', ' ')}</p>
+                    <p className="text-xs text-theme-secondary">Opened {new Date(detail.claim.createdAt).toLocaleString()}</p>
+                    {detail.claim.description && <p className="mt-1 whitespace-pre-wrap">{detail.claim.description}</p>}
+                  </div>
+                )}
+                {detail.refund.reason && <p className="whitespace-pre-wrap">Customer: {detail.refund.reason}</p>}
+
+                <div>
+                  <p className="text-xs font-semibold uppercase text-theme-secondary mb-2">History</p>
+                  <ul className="space-y-1 text-xs text-theme-secondary">
+                    {(detail.refund.history || []).map((event, index) => (
+                      <li key={index}>
+                        {new Date(event.at).toLocaleString()} · {STEP_LABELS[event.step] || event.step} ({event.actorId})
+                        {event.note ? ` · ${event.note}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {detail.refund.status === 'requested' && (
+                  <div className="space-y-3 border-t border-theme-base pt-4">
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Amount ({detail.refund.currency})</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          max={detail.refundableAmount}
+                          value={form.amount}
+                          onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                          className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs text-theme-secondary">Pay back as</span>
+                        <select
+                          value={form.method}
+                          onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}
+                          className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                        >
+                          <option value="original_payment">Original payment</option>
+                          <option value="store_credit">Store credit</option>
+                        </select>
+                      </label>
+                    </div>
+                    <textarea
+                      value={form.note}
+                      onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                      rows={2}
+                      placeholder="Note (required to reject)"
+                      className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={handleApprove}
+                        disabled={acting}
+                        className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                      >
+                        {acting ? 'Processing...' : 'Approve refund'}
+                      </button>
+                      <button
+                        onClick={handleReject}
+                        disabled={acting}
+                        className="px-4 py-2 border border-error text-error rounded-lg font-semibold hover:bg-error/10 transition-colors disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default RefundRequestsList;
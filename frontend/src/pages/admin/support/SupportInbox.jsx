@@ -0,0 +1,482 @@
+/**
+ * Support Inbox
+ *
+ * Admin inbox for customer support tickets: filter by status, priority and
+ * assignee, answer with canned replies or internal notes, and share
+ * order-linked tickets with the supplying vendor (who only ever sees an
+ * anonymised thread).
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const STATUSES = ['open', 'pending', 'resolved', 'closed'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const STATUS_CLASSES = {
+  open: 'bg-info/20 text-info',
+  pending: 'bg-warning/20 text-warning',
+  resolved: 'bg-success/20 text-success',
+  closed: 'bg-theme-surface text-theme-secondary'
+};
+
+const PRIORITY_CLASSES = {
+  low: 'text-theme-secondary',
+  normal: 'text-theme-primary',
+  high: 'text-warning',
+  urgent: 'text-error font-semibold'
+};
+
+const MESSAGE_CLASSES = {
+  customer: 'bg-theme-surface',
+  admin: 'bg-brand-primary/10',
+  vendor: 'bg-info/10',
+  system: 'bg-transparent border border-dashed border-theme-base/50'
+};
+
+const EMPTY_REPLY = { body: '', internal: false, status: 'pending' };
+
+const SupportInbox = () => {
+  const [tickets, setTickets] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: 'open', priority: '', assignee: '', search: '' });
+  const [detail, setDetail] = useState(null);
+  const [reply, setReply] = useState(EMPTY_REPLY);
+  const [files, setFiles] = useState([]);
+  const [assigneeInput, setAssigneeInput] = useState('');
+  const [acting, setActing] = useState(false);
+  const [cannedReplies, setCannedReplies] = useState([]);
+  const [showCanned, setShowCanned] = useState(false);
+  const [cannedForm, setCannedForm] = useState({ id: null, title: '', body: '' });
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchTickets();
+  }, [filters.status, filters.priority, filters.assignee]);
+
+  useEffect(() => {
+    fetchCannedReplies();
+  }, []);
+
+  const fetchTickets = async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await axios.get(`${apiBase}/api/admin/support/tickets`, { params, withCredentials: true });
+      if (response.data.success) {
+        setTickets(response.data.tickets);
+        setCounts(response.data.counts || {});
+      }
+    } catch (error) {
+      toast.error('Failed to load tickets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCannedReplies = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/support/canned-replies`, { withCredentials: true });
+      if (response.data.success) {
+        setCannedReplies(response.data.replies);
+      }
+    } catch (error) {
+      toast.error('Failed to load canned replies');
+    }
+  };
+
+  const showTicket = (ticket) => {
+    setDetail(ticket);
+    setAssigneeInput(ticket.assignee || '');
+  };
+
+  const openDetail = async (ticketId) => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/support/tickets/${ticketId}`, { withCredentials: true });
+      if (response.data.success) {
+        showTicket(response.data.ticket);
+        setReply(EMPTY_REPLY);
+        setFiles([]);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load ticket');
+    }
+  };
+
+  const handleUpdate = async (updates) => {
+    if (!detail || acting) return;
+    setActing(true);
+    try {
+      const response = await axios.patch(`${apiBase}/api/admin/support/tickets/${detail._id}`, updates, { withCredentials: true });
+      if (response.data.success) {
+        showTicket(response.data.ticket);
+        fetchTickets();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update ticket');
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const applyCannedReply = (replyId) => {
+    const canned = cannedReplies.find(entry => entry._id === replyId);
+    if (!canned || !detail) return;
+    const text = canned.body
+      .replace(/\{\{\s*firstname\s*\}\}/g, detail.customerId?.firstname || 'there')
+      .replace(/\{\{\s*ticketNumber\s*\}\}/g, detail.ticketNumber);
+    setReply(prev => ({ ...prev, body: prev.body ? `${prev.body}\n\n${text}` : text }));
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!detail || acting) return;
+    setActing(true);
+    try {
+      const formData = new FormData();
+      formData.append('body', reply.body);
+      formData.append('internal', String(reply.internal));
+      if (!reply.internal) formData.append('status', reply.status);
+      files.forEach(file => formData.append('attachments', file));
+
+      const response = await axios.post(
+        `${apiBase}/api/admin/support/tickets/${detail._id}/messages`,
+        formData,
+        { withCredentials: true, headers: { 'Content-Type': 'multipart/form-data' } }
+      );
+      if (response.data.success) {
+        toast.success(response.data.message);
+        showTicket(response.data.ticket);
+        setReply(EMPTY_REPLY);
+        setFiles([]);
+        fetchTickets();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reply');
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const handleSaveCanned = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = { title: cannedForm.title, body: cannedForm.body };
+      const response = cannedForm.id
+        ? await axios.put(`${apiBase}/api/admin/support/canned-replies/${cannedForm.id}`, payload, { withCredentials: true })
+        : await axios.post(`${apiBase}/api/admin/support/canned-replies`, payload, { withCredentials: true });
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setCannedForm({ id: null, title: '', body: '' });
+        fetchCannedReplies();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save canned reply');
+    }
+  };
+
+  const handleDeleteCanned = async (replyId) => {
+    try {
+      const response = await axios.delete(`${apiBase}/api/admin/support/canned-replies/${replyId}`, { withCredentials: true });
+      if (response.data.success) {
+        setCannedReplies(prev => prev.filter(entry => entry._id !== replyId));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete canned reply');
+    }
+  };
+
+  const authorLabel = (message) => {
+    if (message.authorType === 'customer') return detail?.customerId?.email || 'Customer';
+    if (message.authorType === 'vendor') return `Vendor (${message.authorId})`;
+    return message.authorId;
+  };
+
+  const inputClass = 'rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary';
+
+  return (
+    <AdminLayout currentPage="support">
+      <div className="space-y-6">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Support Inbox
+            </h1>
+            <p className="text-theme-secondary mt-1">
+              {counts.open || 0} open · {counts.pending || 0} awaiting customer
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">All statuses</option>
+              {STATUSES.map(status => (
+                <option key={status} value={status}>{status} ({counts[status] || 0})</option>
+              ))}
+            </select>
+            <select
+              value={filters.priority}
+              onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">All priorities</option>
+              {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+            </select>
+            <select
+              value={filters.assignee}
+              onChange={(e) => setFilters(prev => ({ ...prev, assignee: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">Any assignee</option>
+              <option value="unassigned">Unassigned</option>
+            </select>
+            <form onSubmit={(e) => { e.preventDefault(); fetchTickets(); }}>
+              <input
+                value={filters.search}
+                onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                placeholder="Ticket # or subject"
+                className={inputClass}
+              />
+            </form>
+            <button
+              onClick={() => setShowCanned(prev => !prev)}
+              className="px-4 py-2 border border-theme-base rounded-lg text-sm font-semibold hover:bg-theme-surface transition-colors"
+            >
+              Canned replies
+            </button>
+          </div>
+        </div>
+
+        {showCanned && (
+          <div className="glass-card rounded-2xl p-6 border border-theme-base/30 grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ul className="space-y-2 text-sm">
+              {cannedReplies.length === 0 && <li className="text-theme-secondary">No canned replies yet.</li>}
+              {cannedReplies.map(canned => (
+                <li key={canned._id} className="flex items-start justify-between gap-2 rounded-xl border border-theme-base/40 p-3">
+                  <div>
+                    <p className="font-semibold">{canned.title}</p>
+                    <p className="text-xs text-theme-secondary line-clamp-2 whitespace-pre-wrap">{canned.body}</p>
+                  </div>
+                  <div className="flex gap-2 text-xs">
+                    <button onClick={() => setCannedForm({ id: canned._id, title: canned.title, body: canned.body })} className="text-info">Edit</button>
+                    <button onClick={() => handleDeleteCanned(canned._id)} className="text-error">Delete</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleSaveCanned} className="space-y-3">
+              <input
+                value={cannedForm.title}
+                onChange={(e) => setCannedForm(prev => ({ ...prev, title: e.target.value }))}
+                placeholder="Title"
+                maxLength={100}
+                className={`w-full ${inputClass}`}
+              />
+              <textarea
+                value={cannedForm.body}
+                onChange={(e) => setCannedForm(prev => ({ ...prev, body: e.target.value }))}
+                rows={4}
+                placeholder="Reply text. {{firstname}} and {{ticketNumber}} are filled in automatically."
+                className={`w-full ${inputClass}`}
+              />
+              <div className="flex gap-2">
+                <button type="submit" className="px-4 py-2 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors">
+                  {cannedForm.id ? 'Update' : 'Add'} canned reply
+                </button>
+                {cannedForm.id && (
+                  <button type="button" onClick={() => setCannedForm({ id: null, title: '', body: '' })} className="px-4 py-2 border border-theme-base rounded-lg text-sm">
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-2 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : tickets.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">No tickets found</p>
+            ) : (
+              <ul>
+                {tickets.map(ticket => (
+                  <li
+                    key={ticket._id}
+                    onClick={() => openDetail(ticket._id)}
+                    className={`border-t border-theme-base px-4 py-3 cursor-pointer hover:bg-theme-surface/30 ${detail?._id === ticket._id ? 'bg-theme-surface/40' : ''}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-semibold truncate">{ticket.subject}</p>
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[ticket.status] || ''}`}>{ticket.status}</span>
+                    </div>
+                    <p className="text-xs text-theme-secondary mt-1">
+                      <span className="font-mono">{ticket.ticketNumber}</span> · {ticket.customerId?.email || '—'} ·{' '}
+                      <span className={PRIORITY_CLASSES[ticket.priority]}>{ticket.priority}</span>
+                      {ticket.assignee ? ` · ${ticket.assignee}` : ' · unassigned'}
+                      {ticket.lastMessageBy === 'customer' && ticket.status === 'open' ? ' · awaiting reply' : ''}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="xl:col-span-3 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!detail ? (
+              <p className="text-theme-secondary text-sm">Select a ticket to see the conversation.</p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                <div>
+                  <p className="font-mono text-theme-secondary">{detail.ticketNumber} · {detail.category}</p>
+                  <h2 className="text-xl font-semibold">{detail.subject}</h2>
+                  <p className="text-theme-secondary">
+                    {detail.customerId?.firstname} {detail.customerId?.lastname} · {detail.customerId?.email}
+                    {detail.orderId && ` · Order ${detail.orderId.orderNumber} (${detail.orderId.paymentStatus})`}
+                    {detail.vendorId && ` · ${detail.vendorId.displayName || detail.vendorId.companyName}`}
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <select value={detail.status} disabled={acting} onChange={(e) => handleUpdate({ status: e.target.value })} className={inputClass}>
+                    {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                  </select>
+                  <select value={detail.priority} disabled={acting} onChange={(e) => handleUpdate({ priority: e.target.value })} className={inputClass}>
+                    {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                  </select>
+                  <form
+                    onSubmit={(e) => { e.preventDefault(); handleUpdate({ assignee: assigneeInput }); }}
+                    className="col-span-2 flex gap-2"
+                  >
+                    <input
+                      value={assigneeInput}
+                      onChange={(e) => setAssigneeInput(e.target.value)}
+                      placeholder="Assignee email"
+                      className={`flex-1 ${inputClass}`}
+                    />
+                    <button type="submit" disabled={acting} className="px-3 py-2 border border-theme-base rounded-lg text-xs font-semibold disabled:opacity-50">
+                      Assign
+                    </button>
+                  </form>
+                </div>
+
+                {detail.vendorId && (
+                  <label className="flex items-center gap-2 text-xs">
+                    <input
+                      type="checkbox"
+                      checked={detail.sharedWithVendor}
+                      disabled={acting}
+                      onChange={(e) => handleUpdate({ sharedWithVendor: e.target.checked })}
+                    />
+                    Share with vendor (they see the thread without customer details, attachments or internal notes)
+                  </label>
+                )}
+
+                <ul className="space-y-3 max-h-[28rem] overflow-y-auto pr-1">
+                  {detail.messages.map(message => (
+                    <li
+                      key={message._id}
+                      className={`rounded-xl p-3 ${message.internal ? 'bg-warning/10 border border-warning/30' : MESSAGE_CLASSES[message.authorType]}`}
+                    >
+                      <p className="text-xs text-theme-secondary mb-1">
+                        {message.internal && <span className="font-semibold text-warning">Internal · </span>}
+                        {authorLabel(message)} · {new Date(message.createdAt).toLocaleString()}
+                      </p>
+                      {message.body && <p className="whitespace-pre-wrap">{message.body}</p>}
+                      {message.attachments?.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {message.attachments.map(attachment => (
+                            <a
+                              key={attachment._id}
+                              href={`${apiBase}/api/admin/support/tickets/${detail._id}/attachments/${attachment._id}`}
+                              target="_blank"
+                              rel="noreferrer"
+                              className="rounded-full border border-theme-base/50 px-3 py-1 text-xs hover:border-brand-primary"
+                            >
+                              📎 {attachment.originalName}
+                            </a>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                <form onSubmit={handleReply} className="space-y-3 border-t border-theme-base pt-4">
+                  {cannedReplies.length > 0 && (
+                    <select value="" onChange={(e) => applyCannedReply(e.target.value)} className={`w-full ${inputClass}`}>
+                      <option value="">Insert canned reply…</option>
+                      {cannedReplies.map(canned => <option key={canned._id} value={canned._id}>{canned.title}</option>)}
+                    </select>
+                  )}
+                  <textarea
+                    value={reply.body}
+                    onChange={(e) => setReply(prev => ({ ...prev, body: e.target.value }))}
+                    rows={4}
+                    maxLength={5000}
+                    placeholder={reply.internal ? 'Internal note (never shown to the customer or vendor)' : 'Reply to the customer'}
+                    className={`w-full ${inputClass}`}
+                  />
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2 text-xs">
+                      <input
+                        type="checkbox"
+                        checked={reply.internal}
+                        onChange={(e) => setReply(prev => ({ ...prev, internal: e.target.checked }))}
+                      />
+                      Internal note
+                    </label>
+                    {!reply.internal && (
+                      <label className="flex items-center gap-2 text-xs">
+                        Then set
+                        <select
+                          value={reply.status}
+                          onChange={(e) => setReply(prev => ({ ...prev, status: e.target.value }))}
+                          className={inputClass}
+                        >
+                          {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                        </select>
+                      </label>
+                    )}
+                    <input
+                      key={detail.messages.length}
+                      type="file"
+                      multiple
+                      accept="image/*,.pdf,.txt"
+                      onChange={(e) => setFiles(Array.from(e.target.files || []).slice(0, 3))}
+                      className="text-xs"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={acting || (!reply.body.trim() && files.length === 0)}
+                    className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                  >
+                    {acting ? 'Sending...' : reply.internal ? 'Add note' : 'Send reply'}
+                  </button>
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default SupportInbox;
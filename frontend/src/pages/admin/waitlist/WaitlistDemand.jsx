@@ -0,0 +1,127 @@
+/**
+ * Waitlist Demand
+ *
+ * Admin page showing back-in-stock waitlist depth per product: customers
+ * waiting, customers holding a unit after a restock, and how many of them
+ * bought. Deep queues point at products that need more stock.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const WaitlistDemand = () => {
+  const [products, setProducts] = useState([]);
+  const [totals, setTotals] = useState({ waiting: 0, holding: 0, claimed: 0 });
+  const [loading, setLoading] = useState(true);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchDemand();
+  }, []);
+
+  const fetchDemand = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/waitlist`, { withCredentials: true });
+      if (response.data.success) {
+        setProducts(response.data.products);
+        setTotals(response.data.totals);
+      }
+    } catch (error) {
+      toast.error('Failed to load waitlist demand');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summaryCards = [
+    { label: 'Customers waiting', value: totals.waiting },
+    { label: 'Holding a unit', value: totals.holding },
+    { label: 'Bought after restock', value: totals.claimed }
+  ];
+
+  return (
+    <AdminLayout currentPage="waitlist">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Waitlist Demand
+            </h1>
+            <p className="text-theme-secondary mt-1">
+              Customers waiting for out-of-stock products. When stock is added, the oldest entries are notified first and a unit is held for them.
+            </p>
+          </div>
+          <button
+            onClick={fetchDemand}
+            className="px-4 py-2 bg-brand-primary text-white rounded-lg text-sm font-semibold hover:bg-brand-primary-hover transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {summaryCards.map(card => (
+            <div key={card.label} className="glass-card rounded-2xl p-5 border border-theme-base/30">
+              <p className="text-sm text-theme-secondary">{card.label}</p>
+              <p className="text-3xl font-bold text-theme-primary mt-1">{card.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+          {loading ? (
+            <div className="p-12 text-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+            </div>
+          ) : products.length === 0 ? (
+            <div className="p-12 text-center text-theme-secondary">No customers are waiting for any product</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-theme-surface/50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">Product</th>
+                    <th className="px-4 py-3 text-left font-semibold">Vendor</th>
+                    <th className="px-4 py-3 text-right font-semibold">Waiting</th>
+                    <th className="px-4 py-3 text-right font-semibold">Holding</th>
+                    <th className="px-4 py-3 text-right font-semibold">Bought</th>
+                    <th className="px-4 py-3 text-right font-semibold">Expired</th>
+                    <th className="px-4 py-3 text-right font-semibold">Available / Reserved</th>
+                    <th className="px-4 py-3 text-left font-semibold">Waiting since</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map(product => (
+                    <tr key={product.productId} className="border-t border-theme-base">
+                      <td className="px-4 py-3">
+                        <span className="font-medium text-theme-primary">{product.title}</span>
+                        {product.sku && <span className="block text-xs text-theme-secondary">{product.sku}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-theme-secondary">{product.vendor || '—'}</td>
+                      <td className={`px-4 py-3 text-right font-semibold ${product.waiting > 0 ? 'text-warning' : ''}`}>{product.waiting}</td>
+                      <td className="px-4 py-3 text-right">{product.holding}</td>
+                      <td className="px-4 py-3 text-right">{product.claimed}</td>
+                      <td className="px-4 py-3 text-right text-theme-secondary">{product.expired}</td>
+                      <td className="px-4 py-3 text-right">{product.available} / {product.reserved}</td>
+                      <td className="px-4 py-3 text-theme-secondary">
+                        {product.oldestWaitingAt ? new Date(product.oldestWaitingAt).toLocaleDateString() : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default WaitlistDemand;
@@ -0,0 +1,293 @@
+/**
+ * Wallets Manager
+ *
+ * Admin view of customer store credit. Lists customers holding a balance
+ * (or matching a search), shows each wallet's ledger with a check that the
+ * cached balance matches its entries, and posts manual adjustments, which
+ * always need a note and are recorded with the admin and IP.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import AdminLayout from '../../../components/AdminLayout';
+
+const REASON_LABELS = {
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+  gift_unclaimed: 'Unclaimed gift',
+  goodwill: 'Goodwill',
+  checkout_payment: 'Checkout payment',
+  checkout_reversal: 'Checkout reversal',
+  referral_reward: 'Referral reward'
+};
+
+const EMPTY_FORM = { amount: '', reason: 'adjustment', note: '' };
+
+const WalletsManager = () => {
+  const [customers, setCustomers] = useState([]);
+  const [currency, setCurrency] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [detail, setDetail] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const apiBase = (import.meta.env.VITE_API_BASE_URL && String(import.meta.env.VITE_API_BASE_URL).trim().replace(/\/+$/, '')) || 'http://localhost:3000';
+
+  useEffect(() => {
+    fetchWallets();
+  }, [search]);
+
+  const fetchWallets = async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100 };
+      if (search) params.search = search;
+      const response = await axios.get(`${apiBase}/api/admin/wallets`, { params, withCredentials: true });
+      if (response.data.success) {
+        setCustomers(response.data.customers);
+        setCurrency(response.data.currency);
+      }
+    } catch (error) {
+      toast.error('Failed to load wallets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDetail = async (userId) => {
+    try {
+      const response = await axios.get(`${apiBase}/api/admin/wallets/${userId}`, { withCredentials: true });
+      if (response.data.success) {
+        setDetail(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load wallet');
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    if (!detail || saving) return;
+    const amount = Number(form.amount);
+    if (!amount) {
+      toast.error('Enter a non-zero amount');
+      return;
+    }
+    if (form.note.trim().length < 5) {
+      toast.error('A note of at least 5 characters is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.post(
+        `${apiBase}/api/admin/wallets/${detail.customer._id}/adjustments`,
+        { amount, reason: form.reason, note: form.note },
+        { withCredentials: true }
+      );
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setForm(EMPTY_FORM);
+        await openDetail(detail.customer._id);
+        fetchWallets();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to adjust wallet');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AdminLayout currentPage="wallets">
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-theme-primary" style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+              Wallets
+            </h1>
+            <p className="text-theme-secondary mt-1">Customer store credit, held in {currency || 'the settlement currency'}</p>
+          </div>
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search email or name"
+              className="rounded-xl border border-theme-base/50 bg-theme-surface px-4 py-2 text-theme-primary"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors"
+            >
+              Search
+            </button>
+          </form>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-2 glass-card rounded-2xl overflow-hidden border border-theme-base/30">
+            {loading ? (
+              <div className="p-12 text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-brand-primary mx-auto"></div>
+              </div>
+            ) : customers.length === 0 ? (
+              <p className="p-12 text-center text-theme-secondary">
+                {search ? 'No customers match this search' : 'No customer holds store credit'}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-theme-surface/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-semibold">Customer</th>
+                      <th className="px-4 py-3 text-right font-semibold">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customers.map(customer => (
+                      <tr
+                        key={customer._id}
+                        onClick={() => openDetail(customer._id)}
+                        className={`border-t border-theme-base cursor-pointer hover:bg-theme-surface/30 ${detail?.customer._id === customer._id ? 'bg-theme-surface/40' : ''}`}
+                      >
+                        <td className="px-4 py-3">
+                          <p>{customer.email}</p>
+                          <p className="text-xs text-theme-secondary">{`${customer.firstname || ''} ${customer.lastname || ''}`.trim()}</p>
+                        </td>
+                        <td className="px-4 py-3 text-right font-mono">
+                          {(customer.storeCreditBalance || 0).toFixed(2)} {currency}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="xl:col-span-3 glass-card rounded-2xl p-6 border border-theme-base/30">
+            {!detail ? (
+              <p className="text-theme-secondary text-sm">Select a customer to see their ledger.</p>
+            ) : (
+              <div className="space-y-4 text-sm">
+                <div className="flex flex-wrap justify-between gap-4">
+                  <div>
+                    <h2 className="text-xl font-semibold">{detail.customer.email}</h2>
+                    <p className="text-theme-secondary">{`${detail.customer.firstname || ''} ${detail.customer.lastname || ''}`.trim()}</p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-2xl font-bold font-mono">{detail.balance.toFixed(2)} {detail.currency}</p>
+                    {detail.reconciled ? (
+                      <span className="px-3 py-1 rounded-full text-xs bg-success/20 text-success">Matches ledger</span>
+                    ) : (
+                      <span className="px-3 py-1 rounded-full text-xs bg-error/20 text-error">
+                        Ledger sums to {detail.ledgerBalance.toFixed(2)}
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <form onSubmit={handleAdjust} className="space-y-3 rounded-xl bg-theme-surface p-4">
+                  <p className="text-xs font-semibold uppercase text-theme-secondary">Adjust balance</p>
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Amount ({detail.currency}, negative to debit)</span>
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={form.amount}
+                        onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                        className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                      />
+                    </label>
+                    <label className="space-y-1">
+                      <span className="text-xs text-theme-secondary">Reason</span>
+                      <select
+                        value={form.reason}
+                        onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                        className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                      >
+                        <option value="adjustment">Adjustment</option>
+                        <option value="goodwill">Goodwill (credit only)</option>
+                      </select>
+                    </label>
+                  </div>
+                  <textarea
+                    value={form.note}
+                    onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                    rows={2}
+                    placeholder="Why is this balance being changed? (required)"
+                    className="w-full rounded-xl border border-theme-base/50 bg-theme-surface px-3 py-2 text-theme-primary"
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-brand-primary text-white rounded-lg font-semibold hover:bg-brand-primary-hover transition-colors disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Post adjustment'}
+                  </button>
+                </form>
+
+                <div>
+                  <p className="text-xs font-semibold uppercase text-theme-secondary mb-2">
+                    Ledger ({detail.total} {detail.total === 1 ? 'entry' : 'entries'})
+                  </p>
+                  {detail.transactions.length === 0 ? (
+                    <p className="text-theme-secondary">No entries yet.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-theme-secondary">
+                            <th className="py-2 text-left font-semibold">Date</th>
+                            <th className="py-2 text-left font-semibold">Reason</th>
+                            <th className="py-2 text-left font-semibold">Account</th>
+                            <th className="py-2 text-right font-semibold">Amount</th>
+                            <th className="py-2 text-right font-semibold">Balance</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {detail.transactions.map(entry => (
+                            <tr key={entry._id} className="border-t border-theme-base align-top">
+                              <td className="py-2 pr-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                              <td className="py-2 pr-2">
+                                <p>{REASON_LABELS[entry.reason] || entry.reason}{entry.orderId?.orderNumber ? ` · ${entry.orderId.orderNumber}` : ''}</p>
+                                {entry.note && <p className="text-theme-secondary whitespace-pre-wrap">{entry.note}</p>}
+                                <p className="text-theme-secondary">
+                                  {entry.createdBy}{entry.ipAddress ? ` · ${entry.ipAddress}` : ''}
+                                  {entry.sourceCurrency ? ` · ${entry.sourceAmount} ${entry.sourceCurrency}` : ''}
+                                </p>
+                              </td>
+                              <td className="py-2 pr-2">{entry.account}</td>
+                              <td className={`py-2 text-right font-mono ${entry.amount < 0 ? 'text-error' : 'text-success'}`}>
+                                {entry.amount > 0 ? '+' : ''}{entry.amount.toFixed(2)}
+                              </td>
+                              <td className="py-2 text-right font-mono">{entry.balanceAfter.toFixed(2)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default WalletsManager;
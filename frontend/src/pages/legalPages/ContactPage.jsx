@@ -121,13 +121,15 @@ const ContactPage = () => {
                     <p className='text-xs text-[var(--theme-text-subtle)]' style={{ fontFamily: 'Inter, system-ui' }}>Browse our guides</p>
                   </div>
                   <div className='text-center p-4 rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] hover:bg-[var(--theme-surface-hover)] transition-colors'>
-                    <div className='w-8 h-8 mx-auto mb-2 text-[var(--theme-accent)]'>
-                      <svg fill='none' stroke='currentColor' viewBox='0 0 24 24'>
-                        <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a2 2 0 01-2-2v-6a2 2 0 012-2h8z' />
-                      </svg>
-                    </div>
-                    <h3 className='text-sm font-semibold text-[var(--theme-text)] mb-1' style={{ fontFamily: 'Inter, system-ui' }}>Live Chat</h3>
-                    <p className='text-xs text-[var(--theme-text-subtle)]' style={{ fontFamily: 'Inter, system-ui' }}>Chat with support</p>
+                    <Link to='/user/support' className='block'>
+                      <div className='w-8 h-8 mx-auto mb-2 text-[var(--theme-accent)]'>
+                        <svg fill='none' stroke='currentColor' viewBox='0 0 24 24'>
+                          <path strokeLinecap='round' strokeLinejoin='round' strokeWidth='2' d='M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a2 2 0 01-2-2v-6a2 2 0 012-2h8z' />
+                        </svg>
+                      </div>
+                      <h3 className='text-sm font-semibold text-[var(--theme-text)] mb-1' style={{ fontFamily: 'Inter, system-ui' }}>Support Tickets</h3>
+                      <p className='text-xs text-[var(--theme-text-subtle)]' style={{ fontFamily: 'Inter, system-ui' }}>Open a ticket with our team</p>
+                    </Link>
                   </div>
                   <div className='text-center p-4 rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] hover:bg-[var(--theme-surface-hover)] transition-colors'>
                     <div className='w-8 h-8 mx-auto mb-2 text-[var(--theme-accent)]'>
@@ -0,0 +1,301 @@
+/**
+ * CatalogPage.jsx - Public Storefront Catalog
+ *
+ * Lets customers browse approved subscription products with filters for
+ * provider, service type, price and plan duration plus full-text search.
+ * Filters are mirrored into the URL so results can be shared and bookmarked.
+ *
+ * @component CatalogPage
+ */
+
+import React, { useEffect, useMemo, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import Navbar from '../../components/Navbar'
+import { getCatalogProducts, getCatalogFilters } from '../../lib/api/catalog'
+import { PROVIDER_LABELS, SERVICE_TYPE_LABELS } from '../../utils/constants'
+import { useCurrency } from '../../context/CurrencyContext'
+
+const PAGE_SIZE = 12
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+  { value: 'duration_asc', label: 'Duration: Shortest' },
+  { value: 'duration_desc', label: 'Duration: Longest' }
+]
+
+const inputClass = 'w-full rounded-xl border border-[var(--theme-border)] bg-[var(--theme-surface)] px-3 py-2 text-sm text-[var(--theme-text)] placeholder-[var(--theme-text-subtle)] focus:outline-none focus:ring-2 focus:ring-[var(--theme-primary)] focus:border-transparent transition-all duration-200'
+
+const glassCard = 'rounded-3xl backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+
+/**
+ * CatalogPage Component
+ *
+ * @returns {JSX.Element} Catalog page
+ */
+const CatalogPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const { formatDisplayPrice } = useCurrency()
+  const [products, setProducts] = useState([])
+  const [total, setTotal] = useState(0)
+  const [facets, setFacets] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [searchInput, setSearchInput] = useState(searchParams.get('q') || '')
+
+  const filters = useMemo(() => ({
+    q: searchParams.get('q') || '',
+    provider: searchParams.get('provider') || '',
+    serviceType: searchParams.get('serviceType') || '',
+    minPrice: searchParams.get('minPrice') || '',
+    maxPrice: searchParams.get('maxPrice') || '',
+    duration: searchParams.get('duration') || '',
+    sort: searchParams.get('sort') || '',
+    page: parseInt(searchParams.get('page') || '1', 10)
+  }), [searchParams])
+
+  useEffect(() => {
+    getCatalogFilters().then(setFacets)
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const data = await getCatalogProducts({ ...filters, limit: PAGE_SIZE })
+        if (!cancelled) {
+          setProducts(data.products || [])
+          setTotal(data.total || 0)
+        }
+      } catch (err) {
+        console.error('Catalog load error:', err)
+        if (!cancelled) setError('Unable to load the catalog right now. Please try again.')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [filters])
+
+  const updateFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value === '' || value === null || value === undefined) next.delete(key)
+    else next.set(key, value)
+    if (key !== 'page') next.delete('page')
+    setSearchParams(next)
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    updateFilter('q', searchInput.trim())
+  }
+
+  const clearFilters = () => {
+    setSearchInput('')
+    setSearchParams(new URLSearchParams())
+  }
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1)
+  const hasFilters = ['q', 'provider', 'serviceType', 'minPrice', 'maxPrice', 'duration'].some(key => filters[key])
+
+  return (
+    <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <div className='pointer-events-none absolute -top-24 -left-24 h-72 w-72 rounded-full bg-gradient-to-br from-[var(--theme-primary)]/20 via-[var(--theme-secondary)]/10 to-[var(--theme-accent)]/10 blur-3xl opacity-40' />
+
+      <main className='relative z-10 mx-auto max-w-screen-xl px-6 py-10'>
+        <motion.div
+          className='mb-8'
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <h1 className='text-3xl sm:text-4xl font-bold tracking-tight' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+            Browse Subscriptions
+          </h1>
+          <p className='text-base text-[var(--theme-text-secondary)] mt-2'>
+            Verified plans with warranty, delivered instantly after payment.
+          </p>
+        </motion.div>
+
+        <form onSubmit={handleSearch} className='mb-6 flex gap-3'>
+          <input
+            type='search'
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder='Search by name, description or tag...'
+            className={inputClass}
+          />
+          <button type='submit' className='rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)] hover:shadow-[0_0_12px_var(--theme-primary)] transition-all duration-200'>
+            Search
+          </button>
+        </form>
+
+        <div className='grid grid-cols-1 lg:grid-cols-4 gap-8'>
+          {/* Filters */}
+          <aside className={`${glassCard} p-6 h-fit space-y-5`}>
+            <div className='flex items-center justify-between'>
+              <h2 className='text-lg font-semibold'>Filters</h2>
+              {hasFilters && (
+                <button onClick={clearFilters} className='text-sm text-[var(--theme-primary)] hover:underline'>
+                  Clear all
+                </button>
+              )}
+            </div>
+
+            <div>
+              <label className='block text-sm font-medium mb-2'>Provider</label>
+              <select value={filters.provider} onChange={(e) => updateFilter('provider', e.target.value)} className={inputClass}>
+                <option value=''>All providers</option>
+                {(facets.providers || []).map(provider => (
+                  <option key={provider} value={provider}>{PROVIDER_LABELS[provider] || provider}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className='block text-sm font-medium mb-2'>Type</label>
+              <select value={filters.serviceType} onChange={(e) => updateFilter('serviceType', e.target.value)} className={inputClass}>
+                <option value=''>All types</option>
+                {(facets.serviceTypes || []).map(type => (
+                  <option key={type} value={type}>{SERVICE_TYPE_LABELS[type] || type}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className='block text-sm font-medium mb-2'>Duration</label>
+              <select value={filters.duration} onChange={(e) => updateFilter('duration', e.target.value)} className={inputClass}>
+                <option value=''>Any duration</option>
+                {(facets.durations || []).map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className='block text-sm font-medium mb-2'>Price</label>
+              <div className='flex gap-2'>
+                <input
+                  type='number'
+                  min='0'
+                  step='0.01'
+                  defaultValue={filters.minPrice}
+                  onBlur={(e) => updateFilter('minPrice', e.target.value)}
+                  placeholder={facets.minPrice !== undefined ? String(facets.minPrice) : 'Min'}
+                  className={inputClass}
+                />
+                <input
+                  type='number'
+                  min='0'
+                  step='0.01'
+                  defaultValue={filters.maxPrice}
+                  onBlur={(e) => updateFilter('maxPrice', e.target.value)}
+                  placeholder={facets.maxPrice !== undefined ? String(facets.maxPrice) : 'Max'}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className='block text-sm font-medium mb-2'>Sort by</label>
+              <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} className={inputClass}>
+                <option value=''>{filters.q ? 'Relevance' : 'Newest'}</option>
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </aside>
+
+          {/* Results */}
+          <section className='lg:col-span-3'>
+            <p className='text-sm text-[var(--theme-text-secondary)] mb-4'>
+              {loading ? 'Loading products...' : `${total} product${total === 1 ? '' : 's'} found`}
+            </p>
+
+            {error && (
+              <div className={`${glassCard} p-6 text-center text-[var(--theme-error)]`}>{error}</div>
+            )}
+
+            {!loading && !error && products.length === 0 && (
+              <div className={`${glassCard} p-10 text-center`}>
+                <p className='text-lg font-semibold'>No products match your filters</p>
+                <p className='text-sm text-[var(--theme-text-secondary)] mt-2'>Try a different search or clear your filters.</p>
+              </div>
+            )}
+
+            <div className='grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6'>
+              {products.map(product => (
+                <motion.div
+                  key={product._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <Link
+                    to={`/catalog/${product._id}`}
+                    className={`${glassCard} flex h-full flex-col overflow-hidden hover:border-[var(--theme-primary)] transition-colors`}
+                  >
+                    {product.thumbnail ? (
+                      <img src={product.thumbnail} alt={product.title} className='h-40 w-full object-cover' />
+                    ) : (
+                      <div className='h-40 w-full flex items-center justify-center bg-[var(--theme-surface)] text-2xl font-bold text-[var(--theme-text-secondary)]'>
+                        {PROVIDER_LABELS[product.provider] || product.provider}
+                      </div>
+                    )}
+                    <div className='flex flex-1 flex-col p-5'>
+                      <div className='flex items-center gap-2 text-xs text-[var(--theme-text-secondary)] mb-2'>
+                        <span className='rounded-full bg-[var(--theme-surface)] px-2 py-0.5'>{PROVIDER_LABELS[product.provider] || product.provider}</span>
+                        <span className='rounded-full bg-[var(--theme-surface)] px-2 py-0.5'>
+                          {product.productType === 'bundle' ? `Bundle of ${product.bundleItems.length}` : SERVICE_TYPE_LABELS[product.serviceType] || product.serviceType}
+                        </span>
+                      </div>
+                      <h3 className='font-semibold text-lg leading-snug'>{product.title}</h3>
+                      <p className='text-sm text-[var(--theme-text-secondary)] mt-1'>{product.planDurationDays} days</p>
+                      <div className='mt-auto pt-4 flex items-end justify-between'>
+                        <span className='text-xl font-bold text-[var(--theme-primary)]'>
+                          {formatDisplayPrice(product.priceDecimal, product.currency)}
+                        </span>
+                        <span className={`text-xs font-medium ${product.inStock ? 'text-[var(--theme-success)]' : 'text-[var(--theme-text-subtle)]'}`}>
+                          {product.inStock ? (product.lowStock ? 'Few left' : 'In stock') : 'Out of stock'}
+                        </span>
+                      </div>
+                    </div>
+                  </Link>
+                </motion.div>
+              ))}
+            </div>
+
+            {totalPages > 1 && (
+              <div className='mt-8 flex items-center justify-center gap-3'>
+                <button
+                  disabled={filters.page <= 1}
+                  onClick={() => updateFilter('page', String(filters.page - 1))}
+                  className='rounded-full border border-[var(--theme-border)] px-4 py-2 text-sm disabled:opacity-40'
+                >
+                  Previous
+                </button>
+                <span className='text-sm text-[var(--theme-text-secondary)]'>Page {filters.page} of {totalPages}</span>
+                <button
+                  disabled={filters.page >= totalPages}
+                  onClick={() => updateFilter('page', String(filters.page + 1))}
+                  className='rounded-full border border-[var(--theme-border)] px-4 py-2 text-sm disabled:opacity-40'
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default CatalogPage
@@ -0,0 +1,136 @@
+/**
+ * GiftClaimPage Component
+ *
+ * Landing page for the claim link in gift emails. Shows what was sent and
+ * by whom; signed-in customers claim it into their account, everyone else
+ * is sent to sign in or create an account first and brought back here.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import Navbar from '../../components/Navbar'
+import { useUser } from '../../context/UserContext'
+import { getGift, claimGift } from '../../lib/api/gifts'
+
+const CLOSED_MESSAGES = {
+  claimed: 'This gift has already been claimed.',
+  converted: 'This gift has expired.',
+  expired: 'This gift has expired.'
+}
+
+/**
+ * GiftClaimPage Component
+ *
+ * @returns {JSX.Element} Gift claim page
+ */
+const GiftClaimPage = () => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const { user, isAuthenticated } = useUser()
+  const [state, setState] = useState({ loading: true, error: '', gift: null })
+  const [claiming, setClaiming] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    getGift(token)
+      .then(gift => {
+        if (!cancelled) setState({ loading: false, error: '', gift })
+      })
+      .catch(err => {
+        if (!cancelled) setState({ loading: false, error: err.response?.data?.message || 'Gift not found', gift: null })
+      })
+    return () => { cancelled = true }
+  }, [token])
+
+  const isCustomer = isAuthenticated && user?.type === 'user'
+  const redirect = encodeURIComponent(`/gift/${token}`)
+
+  const handleClaim = async () => {
+    if (claiming) return
+    setClaiming(true)
+    try {
+      const order = await claimGift(token)
+      toast.success('Gift claimed')
+      navigate(`/user/orders/${order.orderId}`)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not claim this gift')
+      setClaiming(false)
+    }
+  }
+
+  const { gift } = state
+
+  return (
+    <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <div className='mx-auto max-w-xl px-6 py-24 text-center'>
+        {state.loading ? (
+          <div className='mx-auto h-10 w-10 animate-spin rounded-full border-2 border-[var(--theme-primary)] border-t-transparent' />
+        ) : state.error ? (
+          <>
+            <h1 className='text-2xl font-bold'>Gift link not valid</h1>
+            <p className='text-[var(--theme-text-secondary)] mt-2'>{state.error}</p>
+            <Link to='/catalog' className='inline-block mt-6 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+              Back to catalog
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className='text-5xl'>🎁</div>
+            <h1 className='text-2xl font-bold mt-4'>
+              {gift.recipientName ? `${gift.recipientName}, you` : 'You'} received a gift from {gift.senderName}
+            </h1>
+            <ul className='mt-6 space-y-2 text-left rounded-2xl bg-[var(--theme-surface)] border border-[var(--theme-border-subtle)] p-4'>
+              {gift.items.map((item, index) => (
+                <li key={index} className='flex justify-between gap-4 text-sm'>
+                  <span className='font-semibold'>{item.quantity > 1 ? `${item.quantity} × ` : ''}{item.productTitle}</span>
+                  {item.planDurationDays && (
+                    <span className='text-[var(--theme-text-secondary)]'>{item.planDurationDays} days</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {gift.message && (
+              <p className='mt-4 whitespace-pre-line text-[var(--theme-text-secondary)] italic'>“{gift.message}”</p>
+            )}
+
+            {gift.status !== 'sent' ? (
+              <p className='mt-6 text-[var(--theme-text-secondary)]'>{CLOSED_MESSAGES[gift.status]}</p>
+            ) : (
+              <>
+                <p className='mt-6 text-sm text-[var(--theme-text-subtle)]'>
+                  Claim by {new Date(gift.expiresAt).toLocaleDateString()}. Your access starts when you claim.
+                </p>
+                {isCustomer ? (
+                  <button
+                    type='button'
+                    onClick={handleClaim}
+                    disabled={claiming}
+                    className='mt-4 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)] disabled:opacity-60'
+                  >
+                    {claiming ? 'Claiming…' : 'Claim gift'}
+                  </button>
+                ) : (
+                  <div className='mt-4 flex justify-center gap-3'>
+                    <Link to={`/user/login?redirect=${redirect}`} className='rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+                      Sign in to claim
+                    </Link>
+                    <Link to={`/user/register?redirect=${redirect}`} className='rounded-full px-6 py-2 text-sm font-semibold border border-[var(--theme-border)]'>
+                      Create account
+                    </Link>
+                  </div>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default GiftClaimPage
@@ -0,0 +1,363 @@
+/**
+ * ProductDetailPage.jsx - Storefront Product Detail
+ *
+ * Shows a single approved product with plan details, warranty and usage
+ * rules, plus other plans from the same provider for comparison.
+ *
+ * @component ProductDetailPage
+ */
+
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { toast } from 'react-toastify'
+import Navbar from '../../components/Navbar'
+import { getCatalogProduct, joinWaitlist } from '../../lib/api/catalog'
+import { useUser } from '../../context/UserContext'
+import { useCart } from '../../context/CartContext'
+import { useCurrency } from '../../context/CurrencyContext'
+import { PROVIDER_LABELS, SERVICE_TYPE_LABELS, formatPrice } from '../../utils/constants'
+
+const glassCard = 'rounded-3xl backdrop-blur-md border border-[var(--theme-glass-border)] bg-[var(--theme-glass-background)] shadow-[var(--theme-glass-shadow)]'
+
+const WARRANTY_LABELS = {
+  full: 'Full replacement warranty',
+  limited: 'Limited warranty',
+  none: 'No warranty'
+}
+
+/**
+ * ProductDetailPage Component
+ *
+ * @returns {JSX.Element} Product detail page
+ */
+const ProductDetailPage = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { addItem } = useCart()
+  const { convert, formatDisplayPrice } = useCurrency()
+  const { isAuthenticated } = useUser()
+  const [product, setProduct] = useState(null)
+  const [waitlist, setWaitlist] = useState(null)
+  const [waitlistEmail, setWaitlistEmail] = useState('')
+  const [joining, setJoining] = useState(false)
+  const [related, setRelated] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+  const [activeImage, setActiveImage] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      setLoading(true)
+      setNotFound(false)
+      setActiveImage(0)
+      try {
+        const data = await getCatalogProduct(id)
+        if (!cancelled) {
+          setProduct(data.product)
+          setRelated(data.related || [])
+          setWaitlist(data.waitlist || null)
+        }
+      } catch (err) {
+        console.error('Product detail error:', err)
+        if (!cancelled) setNotFound(true)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [id])
+
+  const handleAddToCart = () => {
+    addItem(product, 1)
+    toast.success('Added to cart')
+  }
+
+  const handleBuyNow = () => {
+    addItem(product, 1)
+    navigate('/user/checkout')
+  }
+
+  const handleJoinWaitlist = async (e) => {
+    e.preventDefault()
+    setJoining(true)
+    try {
+      const data = await joinWaitlist(product._id, waitlistEmail)
+      setWaitlist(prev => ({ ...prev, ...data.waitlist }))
+      toast.success(data.message)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not join the waitlist')
+    } finally {
+      setJoining(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)]'>
+        <Navbar />
+        <div className='flex items-center justify-center py-32'>
+          <div className='h-10 w-10 animate-spin rounded-full border-2 border-[var(--theme-primary)] border-t-transparent' />
+        </div>
+      </div>
+    )
+  }
+
+  if (notFound || !product) {
+    return (
+      <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)]'>
+        <Navbar />
+        <div className='mx-auto max-w-xl px-6 py-24 text-center'>
+          <h1 className='text-2xl font-bold'>Product not available</h1>
+          <p className='text-[var(--theme-text-secondary)] mt-2'>This product may have been removed or is no longer on sale.</p>
+          <Link to='/catalog' className='inline-block mt-6 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'>
+            Back to catalog
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const images = product.images?.length ? product.images : (product.thumbnail ? [{ url: product.thumbnail, alt: product.title }] : [])
+  // A unit held for this customer after a restock can be bought even when the product shows as sold out
+  const heldForMe = waitlist?.hold?.quantity > 0
+  const canBuy = product.inStock || heldForMe
+  const isBundle = product.productType === 'bundle'
+
+  return (
+    <div className='relative min-h-screen w-full bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <main className='relative z-10 mx-auto max-w-6xl px-6 py-10'>
+        <Link to='/catalog' className='text-sm text-[var(--theme-text-secondary)] hover:text-[var(--theme-primary)]'>
+          ← Back to catalog
+        </Link>
+
+        <div className='mt-6 grid grid-cols-1 lg:grid-cols-2 gap-8'>
+          {/* Media */}
+          <motion.div
+            className={`${glassCard} overflow-hidden`}
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.4 }}
+          >
+            {images.length > 0 ? (
+              <>
+                <img src={images[activeImage]?.url} alt={images[activeImage]?.alt || product.title} className='h-80 w-full object-cover' />
+                {images.length > 1 && (
+                  <div className='flex gap-2 p-4'>
+                    {images.map((image, index) => (
+                      <button
+                        key={image.url || index}
+                        onClick={() => setActiveImage(index)}
+                        className={`h-16 w-16 overflow-hidden rounded-xl border-2 ${index === activeImage ? 'border-[var(--theme-primary)]' : 'border-transparent'}`}
+                      >
+                        <img src={image.url} alt={image.alt || product.title} className='h-full w-full object-cover' />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className='h-80 w-full flex items-center justify-center bg-[var(--theme-surface)] text-4xl font-bold text-[var(--theme-text-secondary)]'>
+                {PROVIDER_LABELS[product.provider] || product.provider}
+              </div>
+            )}
+          </motion.div>
+
+          {/* Summary */}
+          <motion.div
+            className='space-y-6'
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ duration: 0.4 }}
+          >
+            <div>
+              <div className='flex items-center gap-2 text-xs text-[var(--theme-text-secondary)] mb-3'>
+                <span className='rounded-full bg-[var(--theme-surface)] px-3 py-1'>{PROVIDER_LABELS[product.provider] || product.provider}</span>
+                <span className='rounded-full bg-[var(--theme-surface)] px-3 py-1'>
+                  {isBundle ? 'Bundle' : SERVICE_TYPE_LABELS[product.serviceType] || product.serviceType}
+                </span>
+              </div>
+              <h1 className='text-3xl font-bold tracking-tight' style={{ fontFamily: 'Poppins, Inter, system-ui' }}>
+                {product.title}
+              </h1>
+              <p className='text-3xl font-bold text-[var(--theme-primary)] mt-4'>
+                {formatDisplayPrice(product.priceDecimal, product.currency)}
+              </p>
+              {convert(product.priceDecimal, product.currency).converted && (
+                <p className='text-xs text-[var(--theme-text-subtle)] mt-1'>
+                  Charged as {formatPrice(product.priceDecimal, product.currency)}
+                </p>
+              )}
+              <p className='text-sm text-[var(--theme-text-secondary)] mt-1'>for {product.planDurationDays} days</p>
+            </div>
+
+            <div className={`${glassCard} p-6 space-y-3`}>
+              <div className='flex justify-between text-sm'>
+                <span className='text-[var(--theme-text-secondary)]'>Availability</span>
+                <span className={canBuy ? 'text-[var(--theme-success)] font-medium' : 'text-[var(--theme-text-subtle)] font-medium'}>
+                  {heldForMe ? 'Reserved for you' : product.inStock ? (product.lowStock ? 'Only a few left' : 'In stock') : 'Out of stock'}
+                </span>
+              </div>
+              <div className='flex justify-between text-sm'>
+                <span className='text-[var(--theme-text-secondary)]'>Warranty</span>
+                <span className='font-medium'>
+                  {isBundle
+                    ? 'As for each included tool'
+                    : product.warrantyType === 'none' || !product.warrantyDays
+                    ? WARRANTY_LABELS.none
+                    : `${product.warrantyDays} days · ${WARRANTY_LABELS[product.warrantyType] || product.warrantyType}`}
+                </span>
+              </div>
+            </div>
+
+            {isBundle && (
+              <div className={`${glassCard} p-6`}>
+                <h2 className='text-lg font-semibold mb-3'>What's included</h2>
+                <ul className='space-y-2 text-sm'>
+                  {product.bundleItems.map(item => (
+                    <li key={item.productId} className='flex justify-between gap-3'>
+                      <Link to={`/catalog/${item.productId}`} className='hover:text-[var(--theme-primary)]'>
+                        {item.quantity > 1 ? `${item.quantity} × ` : ''}{item.title}
+                      </Link>
+                      <span className='text-[var(--theme-text-secondary)]'>{PROVIDER_LABELS[item.provider] || item.provider}</span>
+                    </li>
+                  ))}
+                </ul>
+                <p className='text-xs text-[var(--theme-text-subtle)] mt-3'>
+                  Every tool runs for {product.planDurationDays} days from its delivery. Tools are delivered one by one as they become ready.
+                </p>
+              </div>
+            )}
+
+            <div className='flex flex-col sm:flex-row gap-3'>
+              <button
+                onClick={handleBuyNow}
+                disabled={!canBuy}
+                className='flex-1 rounded-full px-8 py-4 text-base font-semibold text-white bg-[var(--theme-primary)] hover:shadow-[0_0_12px_var(--theme-primary)] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed'
+              >
+                {canBuy ? 'Buy now' : 'Currently unavailable'}
+              </button>
+              {canBuy && (
+                <button
+                  onClick={handleAddToCart}
+                  className='flex-1 rounded-full px-8 py-4 text-base font-semibold border-2 border-[var(--theme-primary)] text-[var(--theme-primary)] hover:bg-[var(--theme-primary)]/10 transition-all duration-200'
+                >
+                  Add to cart
+                </button>
+              )}
+            </div>
+
+            {heldForMe && (
+              <p className='text-sm text-[var(--theme-text-secondary)]'>
+                One unit is held for you until {new Date(waitlist.hold.expiresAt).toLocaleString()}. Check out before then to get it.
+              </p>
+            )}
+
+            {!canBuy && isBundle && (
+              <p className='text-sm text-[var(--theme-text-secondary)]'>
+                One of the included tools is out of stock. Check back soon, or buy the tools that are available on their own.
+              </p>
+            )}
+
+            {!canBuy && !isBundle && (
+              <div className={`${glassCard} p-6`}>
+                {waitlist?.status === 'waiting' ? (
+                  <p className='text-sm text-[var(--theme-text-secondary)]'>
+                    You are number {waitlist.position} on the waitlist. We will email you and hold a unit for you as soon as it is back in stock.
+                  </p>
+                ) : (
+                  <form onSubmit={handleJoinWaitlist} className='space-y-3'>
+                    <div>
+                      <h2 className='text-lg font-semibold'>Get notified when it is back</h2>
+                      <p className='text-sm text-[var(--theme-text-secondary)] mt-1'>
+                        Join the waitlist and we will hold a unit for you when stock arrives. First come, first served.
+                      </p>
+                    </div>
+                    <div className='flex flex-col sm:flex-row gap-3'>
+                      {!isAuthenticated && (
+                        <input
+                          type='email'
+                          required
+                          value={waitlistEmail}
+                          onChange={(e) => setWaitlistEmail(e.target.value)}
+                          placeholder='you@example.com'
+                          className='flex-1 rounded-full border border-[var(--theme-border)] bg-[var(--theme-surface)] px-5 py-3 text-sm focus:outline-none focus:border-[var(--theme-primary)]'
+                        />
+                      )}
+                      <button
+                        type='submit'
+                        disabled={joining}
+                        className='rounded-full px-6 py-3 text-sm font-semibold border-2 border-[var(--theme-primary)] text-[var(--theme-primary)] hover:bg-[var(--theme-primary)]/10 transition-all duration-200 disabled:opacity-50'
+                      >
+                        {joining ? 'Joining...' : 'Notify me'}
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            )}
+
+            {product.description && (
+              <div>
+                <h2 className='text-lg font-semibold mb-2'>About this plan</h2>
+                <p className='text-sm leading-relaxed text-[var(--theme-text-secondary)] whitespace-pre-line'>{product.description}</p>
+              </div>
+            )}
+
+            {product.rules && (
+              <div>
+                <h2 className='text-lg font-semibold mb-2'>Usage rules</h2>
+                <p className='text-sm leading-relaxed text-[var(--theme-text-secondary)] whitespace-pre-line'>{product.rules}</p>
+              </div>
+            )}
+
+            {product.replacementPolicy && (
+              <div>
+                <h2 className='text-lg font-semibold mb-2'>Replacement policy</h2>
+                <p className='text-sm leading-relaxed text-[var(--theme-text-secondary)] whitespace-pre-line'>{product.replacementPolicy}</p>
+              </div>
+            )}
+
+            {product.tags?.length > 0 && (
+              <div className='flex flex-wrap gap-2'>
+                {product.tags.map(tag => (
+                  <Link
+                    key={tag}
+                    to={`/catalog?q=${encodeURIComponent(tag)}`}
+                    className='rounded-full border border-[var(--theme-border)] px-3 py-1 text-xs text-[var(--theme-text-secondary)] hover:border-[var(--theme-primary)]'
+                  >
+                    #{tag}
+                  </Link>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        </div>
+
+        {related.length > 0 && (
+          <section className='mt-12'>
+            <h2 className='text-xl font-bold mb-4'>Other plans</h2>
+            <div className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4'>
+              {related.map(item => (
+                <Link
+                  key={item._id}
+                  to={`/catalog/${item._id}`}
+                  className={`${glassCard} p-5 hover:border-[var(--theme-primary)] transition-colors`}
+                >
+                  <p className='font-semibold'>{item.title}</p>
+                  <p className='text-sm text-[var(--theme-text-secondary)]'>{item.planDurationDays} days</p>
+                  <p className='mt-2 font-bold text-[var(--theme-primary)]'>{formatDisplayPrice(item.priceDecimal, item.currency)}</p>
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default ProductDetailPage
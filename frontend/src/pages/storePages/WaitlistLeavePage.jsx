@@ -0,0 +1,68 @@
+/**
+ * WaitlistLeavePage Component
+ *
+ * Landing page for the "Leave the waitlist" link in back-in-stock emails.
+ * Removes the customer from the waitlist; a unit held for them goes to the
+ * next person in line.
+ *
+ * @author Gaurav Khatri
+ * @version 1.0
+ */
+
+import React, { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import Navbar from '../../components/Navbar'
+import { leaveWaitlist } from '../../lib/api/catalog'
+
+/**
+ * WaitlistLeavePage Component
+ *
+ * @returns {JSX.Element} Waitlist leave confirmation page
+ */
+const WaitlistLeavePage = () => {
+  const { token } = useParams()
+  const [state, setState] = useState({ loading: true, error: '', productId: null, productTitle: '' })
+
+  useEffect(() => {
+    let cancelled = false
+    leaveWaitlist(token)
+      .then(data => {
+        if (!cancelled) setState({ loading: false, error: '', productId: data.productId, productTitle: data.productTitle })
+      })
+      .catch(err => {
+        if (!cancelled) setState({ loading: false, error: err.response?.data?.message || 'Could not leave the waitlist', productId: null, productTitle: '' })
+      })
+    return () => { cancelled = true }
+  }, [token])
+
+  return (
+    <div className='min-h-screen bg-[var(--theme-background)] text-[var(--theme-text)]'>
+      <Navbar />
+      <div className='mx-auto max-w-xl px-6 py-24 text-center'>
+        {state.loading ? (
+          <div className='mx-auto h-10 w-10 animate-spin rounded-full border-2 border-[var(--theme-primary)] border-t-transparent' />
+        ) : state.error ? (
+          <>
+            <h1 className='text-2xl font-bold'>Waitlist link not valid</h1>
+            <p className='text-[var(--theme-text-secondary)] mt-2'>{state.error}</p>
+          </>
+        ) : (
+          <>
+            <h1 className='text-2xl font-bold'>You have left the waitlist</h1>
+            <p className='text-[var(--theme-text-secondary)] mt-2'>
+              We will not email you about {state.productTitle || 'this product'} any more.
+            </p>
+          </>
+        )}
+        <Link
+          to={state.productId ? `/catalog/${state.productId}` : '/catalog'}
+          className='inline-block mt-6 rounded-full px-6 py-2 text-sm font-semibold text-white bg-[var(--theme-primary)]'
+        >
+          {state.productId ? 'View product' : 'Back to catalog'}
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default WaitlistLeavePage
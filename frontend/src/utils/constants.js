@@ -49,3 +49,52 @@ export const COUNTRIES = [
   'United States', 'Vietnam'
 ].sort();
 
+// US states and DC (billing region for sales tax)
+export const US_STATES = [
+  ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'], ['CA', 'California'],
+  ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'], ['DC', 'District of Columbia'], ['FL', 'Florida'],
+  ['GA', 'Georgia'], ['HI', 'Hawaii'], ['ID', 'Idaho'], ['IL', 'Illinois'], ['IN', 'Indiana'],
+  ['IA', 'Iowa'], ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'], ['ME', 'Maine'],
+  ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'], ['MS', 'Mississippi'],
+  ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'], ['NV', 'Nevada'], ['NH', 'New Hampshire'],
+  ['NJ', 'New Jersey'], ['NM', 'New Mexico'], ['NY', 'New York'], ['NC', 'North Carolina'], ['ND', 'North Dakota'],
+  ['OH', 'Ohio'], ['OK', 'Oklahoma'], ['OR', 'Oregon'], ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'],
+  ['SC', 'South Carolina'], ['SD', 'South Dakota'], ['TN', 'Tennessee'], ['TX', 'Texas'], ['UT', 'Utah'],
+  ['VT', 'Vermont'], ['VA', 'Virginia'], ['WA', 'Washington'], ['WV', 'West Virginia'], ['WI', 'Wisconsin'],
+  ['WY', 'Wyoming']
+].map(([code, name]) => ({ code, name }));
+
+
+export const PROVIDER_LABELS = {
+  netflix: 'Netflix',
+  spotify: 'Spotify',
+  adobe: 'Adobe',
+  disney: 'Disney+',
+  hulu: 'Hulu',
+  amazon: 'Amazon Prime',
+  apple: 'Apple',
+  microsoft: 'Microsoft',
+  other: 'Other'
+};
+
+export const SERVICE_TYPE_LABELS = {
+  account_share: 'Shared Profile',
+  email_invite: 'Email Invite',
+  license_key: 'License Key',
+  other: 'Other'
+};
+
+/**
+ * Format a price for display
+ * 
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted price
+ */
+export const formatPrice = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount) || 0);
+  } catch (_) {
+    return `${currency} ${(Number(amount) || 0).toFixed(2)}`;
+  }
+};